@@ -14,10 +14,15 @@ const {
 
 // Import IPFS upload module
 const { 
-    uploadFileToPinata, 
-    uploadDirectoryToPinata,
+    uploadFile,
+    uploadDirectory,
+    uploadJSON,
     getIPFSUrl 
 } = require('./upload');
+const disasterRegistry = require('./db/repos/disasterRegistry');
+const ngosRepo = require('./db/repos/ngos');
+const filesRepo = require('./db/repos/files');
+const { registerFile } = require('./web3/fileRegistry');
 
 // Document types for IPFS
 const DOCUMENT_TYPES = {
@@ -56,44 +61,49 @@ async function init() {
 init().catch(console.error);
 
 /**
- * Register an NGO with verification documents
- * @param {string} ngoId - Unique identifier for the NGO
- * @param {string} ngoName - Name of the NGO
+ * Attach verification documents to an NGO application. NGOs live in the
+ * database (see /api/ngos); the documents are pinned, added to the
+ * application's documentCids and registered on IPFSVerifier for reviewers.
+ * @param {string} ngoId - Id of the NGO application
  * @param {string} documentsPath - Path to the verification documents
  */
-async function registerNGO(ngoId, ngoName, documentsPath) {
+async function registerNGO(ngoId, documentsPath) {
     try {
         // Ensure contracts are initialized
-        if (!donationTracker) await init();
+        if (!ipfsVerifier) await init();
+
+        const ngo = await ngosRepo.getNgo(ngoId);
+        if (!ngo) throw new Error(`NGO ${ngoId} has not applied; submit it through POST /api/ngos first`);
         
         // 1. Upload verification documents to IPFS
-        const ipfsResult = await uploadDirectoryToPinata(
+        const metadata = { ngoId, legalName: ngo.legalName };
+        const ipfsResult = await uploadDirectory(
             documentsPath, 
             DOCUMENT_TYPES.NGO_VERIFICATION,
-            { ngoId, ngoName }
+            metadata
         );
         
-        console.log(`Verification documents uploaded with CID: ${ipfsResult.IpfsHash}`);
-        
-        // 2. Connect to the NGO Registry contract
-        const { ngoRegistry } = await setupEthereumConnection();
+        console.log(`Verification documents uploaded with CID: ${ipfsResult.cid}`);
         
-        // 3. Register the NGO with the IPFS CID
-        const tx = await ngoRegistry.registerNGO(
-            ngoId, 
-            ngoName,
-            ipfsResult.IpfsHash
-        );
+        // 2. Attach them to the application
+        await filesRepo.saveUploadedFile({
+            cid: ipfsResult.cid,
+            documentType: DOCUMENT_TYPES.NGO_VERIFICATION,
+            uploader: ngo.submittedBy,
+            metadata,
+            verificationStatus: 'unregistered'
+        });
+        await ngosRepo.addDocuments(ngoId, [ipfsResult.cid]);
         
-        console.log(`Transaction sent: ${tx.hash}`);
-        await tx.wait();
-        console.log(`NGO registration confirmed on blockchain`);
+        // 3. Register the CID on IPFSVerifier
+        const file = await registerFile(ipfsResult.cid, { verifier: ipfsVerifier });
+        console.log(`IPFSVerifier registration: ${file ? file.verificationStatus : 'already claimed'}`);
         
         return {
             ngoId,
-            documentsCID: ipfsResult.IpfsHash,
-            documentsUrl: getIPFSUrl(ipfsResult.IpfsHash),
-            txHash: tx.hash
+            documentsCID: ipfsResult.cid,
+            documentsUrl: getIPFSUrl(ipfsResult.cid),
+            txHash: file ? file.registerTxHash : null
         };
     } catch (error) {
         console.error('Error registering NGO:', error);
@@ -110,13 +120,13 @@ async function registerNGO(ngoId, ngoName, documentsPath) {
 async function submitMilestoneProof(projectId, milestoneNumber, proofPath) {
     try {
         // 1. Upload milestone proof to IPFS
-        const ipfsResult = await uploadDirectoryToPinata(
+        const ipfsResult = await uploadDirectory(
             proofPath,
             DOCUMENT_TYPES.MILESTONE_PROOF,
             { projectId, milestoneNumber }
         );
         
-        console.log(`Milestone proof uploaded with CID: ${ipfsResult.IpfsHash}`);
+        console.log(`Milestone proof uploaded with CID: ${ipfsResult.cid}`);
         
         // 2. Connect to the Milestone contract
         const { milestone } = await setupEthereumConnection();
@@ -125,7 +135,7 @@ async function submitMilestoneProof(projectId, milestoneNumber, proofPath) {
         const tx = await milestone.submitProof(
             projectId,
             milestoneNumber,
-            ipfsResult.IpfsHash
+            ipfsResult.cid
         );
         
         console.log(`Transaction sent: ${tx.hash}`);
@@ -135,8 +145,8 @@ async function submitMilestoneProof(projectId, milestoneNumber, proofPath) {
         return {
             projectId,
             milestoneNumber,
-            proofCID: ipfsResult.IpfsHash,
-            proofUrl: getIPFSUrl(ipfsResult.IpfsHash),
+            proofCID: ipfsResult.cid,
+            proofUrl: getIPFSUrl(ipfsResult.cid),
             txHash: tx.hash
         };
     } catch (error) {
@@ -146,21 +156,32 @@ async function submitMilestoneProof(projectId, milestoneNumber, proofPath) {
 }
 
 /**
- * Register a new disaster and upload evidence
- * @param {string} disasterId - Unique identifier for the disaster
- * @param {string} disasterName - Name/description of the disaster
- * @param {string} evidencePath - Path to the disaster evidence files
+ * Register a disaster from the disaster registry on-chain. Evidence is
+ * uploaded through POST /api/disasters/:id/evidence; the registry record,
+ * including its evidence CIDs, is pinned as JSON and that CID is registered.
+ * @param {string} disasterId - Disaster registry id
  */
-async function registerDisaster(disasterId, disasterName, evidencePath) {
+async function registerDisaster(disasterId) {
     try {
-        // 1. Upload disaster evidence to IPFS
-        const ipfsResult = await uploadDirectoryToPinata(
-            evidencePath,
-            DOCUMENT_TYPES.DISASTER_EVIDENCE,
-            { disasterId, disasterName }
-        );
+        // 1. Load the disaster and pin its record
+        const disaster = await disasterRegistry.getDisaster(disasterId);
+        if (!disaster) throw new Error(`Disaster ${disasterId} is not in the registry`);
+        if (!disaster.evidenceCids.length) throw new Error(`Disaster ${disasterId} has no evidence`);
+
+        const record = {
+            id: disaster.id,
+            name: disaster.name,
+            eventType: disaster.eventType,
+            severity: disaster.severity,
+            startDate: disaster.startDate,
+            endDate: disaster.endDate,
+            epicenter: disaster.epicenter,
+            affectedArea: disaster.affectedArea,
+            evidenceCids: disaster.evidenceCids
+        };
+        const ipfsResult = await uploadJSON(record, DOCUMENT_TYPES.DISASTER_EVIDENCE, { disasterId });
         
-        console.log(`Disaster evidence uploaded with CID: ${ipfsResult.IpfsHash}`);
+        console.log(`Disaster record pinned with CID: ${ipfsResult.cid}`);
         
         // 2. Connect to the FundPool contract
         const { fundPool } = await setupEthereumConnection();
@@ -168,8 +189,8 @@ async function registerDisaster(disasterId, disasterName, evidencePath) {
         // 3. Register the disaster on-chain
         const tx = await fundPool.registerDisaster(
             disasterId,
-            disasterName,
-            ipfsResult.IpfsHash
+            disaster.name,
+            ipfsResult.cid
         );
         
         console.log(`Transaction sent: ${tx.hash}`);
@@ -178,8 +199,8 @@ async function registerDisaster(disasterId, disasterName, evidencePath) {
         
         return {
             disasterId,
-            evidenceCID: ipfsResult.IpfsHash,
-            evidenceUrl: getIPFSUrl(ipfsResult.IpfsHash),
+            evidenceCID: ipfsResult.cid,
+            evidenceUrl: getIPFSUrl(ipfsResult.cid),
             txHash: tx.hash
         };
     } catch (error) {
@@ -301,7 +322,7 @@ async function checkDisasterVerificationByDisasterId(disasterId) {
 async function registerVerifiedDisaster(disasterId, disasterName, disasterLocation, disasterType, date, evidencePath) {
     try {
         // 1. Upload disaster evidence to IPFS
-        const ipfsResult = await uploadDirectoryToPinata(
+        const ipfsResult = await uploadDirectory(
             evidencePath,
             DOCUMENT_TYPES.DISASTER_EVIDENCE,
             { 
@@ -313,7 +334,7 @@ async function registerVerifiedDisaster(disasterId, disasterName, disasterLocati
             }
         );
         
-        console.log(`Disaster evidence uploaded with CID: ${ipfsResult.IpfsHash}`);
+        console.log(`Disaster evidence uploaded with CID: ${ipfsResult.cid}`);
         
         // 2. Request Chainlink verification
         const verificationRequest = await requestDisasterVerification(
@@ -343,7 +364,7 @@ async function registerVerifiedDisaster(disasterId, disasterName, disasterLocati
                 const tx = await fundPool.registerDisaster(
                     disasterId,
                     disasterName,
-                    ipfsResult.IpfsHash,
+                    ipfsResult.cid,
                     verificationResult.verified,
                     verificationResult.confidence,
                     verificationResult.source
@@ -355,8 +376,8 @@ async function registerVerifiedDisaster(disasterId, disasterName, disasterLocati
                 
                 return {
                     disasterId,
-                    evidenceCID: ipfsResult.IpfsHash,
-                    evidenceUrl: getIPFSUrl(ipfsResult.IpfsHash),
+                    evidenceCID: ipfsResult.cid,
+                    evidenceUrl: getIPFSUrl(ipfsResult.cid),
                     verified: verificationResult.verified,
                     confidence: verificationResult.confidence,
                     source: verificationResult.source,
@@ -376,7 +397,7 @@ async function registerVerifiedDisaster(disasterId, disasterName, disasterLocati
             const tx = await fundPool.registerDisaster(
                 disasterId,
                 disasterName,
-                ipfsResult.IpfsHash
+                ipfsResult.cid
             );
             
             console.log(`Transaction sent: ${tx.hash}`);
@@ -385,8 +406,8 @@ async function registerVerifiedDisaster(disasterId, disasterName, disasterLocati
             
             return {
                 disasterId,
-                evidenceCID: ipfsResult.IpfsHash,
-                evidenceUrl: getIPFSUrl(ipfsResult.IpfsHash),
+                evidenceCID: ipfsResult.cid,
+                evidenceUrl: getIPFSUrl(ipfsResult.cid),
                 verified: false,
                 pendingVerification: true,
                 requestId: verificationRequest.requestId,
@@ -413,12 +434,11 @@ module.exports = {
 // Example usage when run directly
 if (require.main === module) {
     // Change these values to test with your actual data
-    const ngoId = 'ngo-123';
-    const ngoName = 'Example Relief Organization';
+    const ngoId = process.env.NGO_ID || '00000000-0000-4000-8000-000000000000';
     const ngoDocsPath = path.join(__dirname, 'example-docs/ngo-verification');
     
     console.log('Registering NGO with verification documents...');
-    registerNGO(ngoId, ngoName, ngoDocsPath)
+    registerNGO(ngoId, ngoDocsPath)
         .then(result => {
             console.log('NGO Registration complete:');
             console.log(result);
@@ -0,0 +1,103 @@
+/**
+ * Migration: Add on-chain id mapping and indexer state tables
+ * Created: 2025-11-02
+ */
+
+exports.up = (pgm) => {
+  // On-chain DonationTracker ids for campaigns and milestones
+  pgm.addColumn('campaigns', {
+    onchainid: {
+      type: 'bigint',
+      notNull: false,
+      comment: 'DonationTracker campaign id',
+    },
+  });
+  pgm.addConstraint('campaigns', 'uq_campaigns_onchainid', { unique: 'onchainid' });
+
+  pgm.addColumn('milestones', {
+    onchainindex: {
+      type: 'integer',
+      notNull: false,
+      comment: 'Milestone index within the on-chain campaign',
+    },
+  });
+  pgm.addConstraint('milestones', 'uq_milestones_onchainindex', { unique: ['campaignid', 'onchainindex'] });
+
+  // Last processed block per indexer
+  pgm.createTable('indexercursors', {
+    name: {
+      type: 'varchar(64)',
+      primaryKey: true,
+    },
+    blocknumber: {
+      type: 'bigint',
+      notNull: true,
+    },
+    blockhash: {
+      type: 'varchar(66)',
+      notNull: false,
+    },
+    updatedat: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+
+  // Every chain event the indexer applied, kept so unconfirmed blocks can be rolled back
+  pgm.createTable('chainevents', {
+    id: {
+      type: 'varchar(36)',
+      primaryKey: true,
+    },
+    blocknumber: {
+      type: 'bigint',
+      notNull: true,
+    },
+    blockhash: {
+      type: 'varchar(66)',
+      notNull: true,
+    },
+    txhash: {
+      type: 'varchar(66)',
+      notNull: true,
+    },
+    logindex: {
+      type: 'integer',
+      notNull: true,
+      comment: '-1 for donations decoded from transaction input',
+    },
+    eventname: {
+      type: 'varchar(64)',
+      notNull: true,
+    },
+    entityid: {
+      type: 'varchar(100)',
+      notNull: false,
+    },
+    undo: {
+      type: 'jsonb',
+      notNull: false,
+      comment: 'State needed to revert this event on reorg',
+    },
+    createdat: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+  pgm.addConstraint('chainevents', 'uq_chainevents_tx_log', { unique: ['txhash', 'logindex'] });
+  pgm.createIndex('chainevents', 'blocknumber', {
+    name: 'idx_chainevents_blocknumber',
+    ifNotExists: true,
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('chainevents', { ifExists: true });
+  pgm.dropTable('indexercursors', { ifExists: true });
+  pgm.dropConstraint('milestones', 'uq_milestones_onchainindex', { ifExists: true });
+  pgm.dropColumn('milestones', 'onchainindex', { ifExists: true });
+  pgm.dropConstraint('campaigns', 'uq_campaigns_onchainid', { ifExists: true });
+  pgm.dropColumn('campaigns', 'onchainid', { ifExists: true });
+};
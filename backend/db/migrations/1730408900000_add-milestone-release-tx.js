@@ -0,0 +1,29 @@
+/**
+ * Migration: Record the on-chain release transaction on milestones
+ * Created: 2025-11-02
+ */
+
+exports.up = (pgm) => {
+  pgm.addColumns('milestones', {
+    releasetxhash: {
+      type: 'varchar(66)',
+      notNull: false,
+      comment: 'DonationTracker.releaseFunds transaction hash',
+    },
+    releaseblocknumber: {
+      type: 'bigint',
+      notNull: false,
+    },
+    releasegasused: {
+      type: 'varchar(78)',
+      notNull: false,
+      comment: 'Gas used by the release transaction (uint256 as string)',
+    },
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropColumns('milestones', ['releasetxhash', 'releaseblocknumber', 'releasegasused'], {
+    ifExists: true,
+  });
+};
@@ -0,0 +1,67 @@
+/**
+ * Migration: Add auth nonce and issued-token tables
+ * Created: 2025-11-03
+ */
+
+exports.up = (pgm) => {
+  // Single-use SIWE nonces shared by every backend instance
+  pgm.createTable('authnonces', {
+    nonce: {
+      type: 'varchar(64)',
+      primaryKey: true,
+    },
+    walletaddress: {
+      type: 'varchar(64)',
+      notNull: true,
+    },
+    expiresat: {
+      type: 'timestamp',
+      notNull: true,
+    },
+    createdat: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+  pgm.createIndex('authnonces', 'expiresat', {
+    name: 'idx_authnonces_expiresat',
+    ifNotExists: true,
+  });
+
+  // Issued JWT ids, so a token can be revoked before it expires
+  pgm.createTable('authtokens', {
+    jti: {
+      type: 'varchar(64)',
+      primaryKey: true,
+    },
+    userid: {
+      type: 'varchar(100)',
+      notNull: true,
+      references: 'users',
+      onDelete: 'CASCADE',
+    },
+    expiresat: {
+      type: 'timestamp',
+      notNull: true,
+    },
+    revokedat: {
+      type: 'timestamp',
+      notNull: false,
+    },
+    createdat: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+  pgm.createIndex('authtokens', 'expiresat', {
+    name: 'idx_authtokens_expiresat',
+    ifNotExists: true,
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('authtokens', { ifExists: true });
+  pgm.dropTable('authnonces', { ifExists: true });
+};
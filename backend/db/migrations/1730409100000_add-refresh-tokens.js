@@ -0,0 +1,55 @@
+/**
+ * Migration: Add rotating refresh tokens
+ * Created: 2025-11-03
+ */
+
+exports.up = (pgm) => {
+  // Refresh tokens are stored as SHA-256 hashes; each sign-in starts a new family
+  pgm.createTable('refreshtokens', {
+    id: {
+      type: 'varchar(36)',
+      primaryKey: true,
+    },
+    userid: {
+      type: 'varchar(100)',
+      notNull: true,
+      references: 'users',
+      onDelete: 'CASCADE',
+    },
+    familyid: {
+      type: 'varchar(36)',
+      notNull: true,
+    },
+    tokenhash: {
+      type: 'varchar(64)',
+      notNull: true,
+      unique: true,
+    },
+    expiresat: {
+      type: 'timestamp',
+      notNull: true,
+    },
+    rotatedat: {
+      type: 'timestamp',
+      notNull: false,
+      comment: 'Set when exchanged for a new token; presenting it again is reuse',
+    },
+    revokedat: {
+      type: 'timestamp',
+      notNull: false,
+    },
+    createdat: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+  pgm.createIndex('refreshtokens', 'familyid', {
+    name: 'idx_refreshtokens_familyid',
+    ifNotExists: true,
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('refreshtokens', { ifExists: true });
+};
@@ -0,0 +1,45 @@
+/**
+ * Migration: Add per-user roles for access control
+ * Created: 2025-11-04
+ */
+
+const ROLES = ['donor', 'campaign_creator', 'ngo_verifier', 'admin', 'auditor'];
+
+exports.up = (pgm) => {
+  pgm.createTable('userroles', {
+    userid: {
+      type: 'varchar(100)',
+      notNull: true,
+      references: 'users',
+      onDelete: 'CASCADE',
+    },
+    role: {
+      type: 'varchar(32)',
+      notNull: true,
+    },
+    grantedby: {
+      type: 'varchar(100)',
+      notNull: false,
+    },
+    createdat: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+  pgm.addConstraint('userroles', 'pk_userroles', { primaryKey: ['userid', 'role'] });
+  pgm.addConstraint('userroles', 'chk_userroles_role', {
+    check: `role IN (${ROLES.map((r) => `'${r}'`).join(', ')})`,
+  });
+
+  // Existing users keep what the header-based checks allowed them: donating and creating campaigns
+  pgm.sql(`
+    INSERT INTO userroles (userid, role)
+    SELECT id, r.role FROM users CROSS JOIN (VALUES ('donor'), ('campaign_creator')) AS r(role)
+    ON CONFLICT DO NOTHING
+  `);
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('userroles', { ifExists: true });
+};
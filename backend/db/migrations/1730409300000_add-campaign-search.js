@@ -0,0 +1,33 @@
+/**
+ * Migration: Add full-text search over campaign title and description
+ * Created: 2025-11-05
+ */
+
+exports.up = (pgm) => {
+  // Title matches rank above description matches
+  pgm.sql(`
+    ALTER TABLE campaigns
+    ADD COLUMN IF NOT EXISTS searchvector tsvector
+    GENERATED ALWAYS AS (
+      setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+      setweight(to_tsvector('english', coalesce(description, '')), 'B')
+    ) STORED
+  `);
+
+  pgm.createIndex('campaigns', 'searchvector', {
+    name: 'idx_campaigns_searchvector',
+    ifNotExists: true,
+    method: 'gin',
+  });
+
+  pgm.createIndex('campaigns', 'deadline', {
+    name: 'idx_campaigns_deadline',
+    ifNotExists: true,
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropIndex('campaigns', 'deadline', { name: 'idx_campaigns_deadline', ifExists: true });
+  pgm.dropIndex('campaigns', 'searchvector', { name: 'idx_campaigns_searchvector', ifExists: true });
+  pgm.dropColumn('campaigns', 'searchvector', { ifExists: true });
+};
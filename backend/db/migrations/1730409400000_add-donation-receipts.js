@@ -0,0 +1,45 @@
+/**
+ * Migration: Add signed donation receipts
+ * Created: 2025-11-06
+ */
+
+exports.up = (pgm) => {
+  pgm.createTable('donationreceipts', {
+    donationid: {
+      type: 'varchar(100)',
+      primaryKey: true,
+      references: 'donations',
+      onDelete: 'CASCADE',
+    },
+    jsoncid: {
+      type: 'varchar(100)',
+      notNull: true,
+    },
+    pdfcid: {
+      type: 'varchar(100)',
+      notNull: true,
+    },
+    signer: {
+      type: 'varchar(42)',
+      notNull: true,
+    },
+    signature: {
+      type: 'varchar(132)',
+      notNull: true,
+    },
+    // The exact document that was signed, so the PDF can be re-rendered byte for byte
+    document: {
+      type: 'jsonb',
+      notNull: true,
+    },
+    createdat: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('donationreceipts', { ifExists: true });
+};
@@ -0,0 +1,87 @@
+/**
+ * Migration: Track IPFSVerifier registration and review of uploaded files
+ * Created: 2025-11-06
+ */
+
+const STATUSES = ['offchain', 'unregistered', 'registering', 'pending', 'approved', 'rejected', 'failed'];
+
+exports.up = (pgm) => {
+  pgm.addColumns('uploadedfiles', {
+    metadata: {
+      type: 'jsonb',
+      notNull: false,
+      comment: 'Upload metadata; registered on-chain alongside the CID',
+    },
+    verificationstatus: {
+      type: 'varchar(16)',
+      notNull: true,
+      default: 'offchain',
+    },
+    registrationattempts: {
+      type: 'integer',
+      notNull: true,
+      default: 0,
+    },
+    registrationerror: {
+      type: 'text',
+      notNull: false,
+    },
+    registertxhash: {
+      type: 'varchar(66)',
+      notNull: false,
+      comment: 'IPFSVerifier.registerCID transaction hash',
+    },
+    registeredat: {
+      type: 'timestamp',
+      notNull: false,
+    },
+    reviewtxhash: {
+      type: 'varchar(66)',
+      notNull: false,
+      comment: 'IPFSVerifier.approveCID/rejectCID transaction hash',
+    },
+    reviewedby: {
+      type: 'varchar(100)',
+      notNull: false,
+      references: 'users',
+    },
+    reviewreason: {
+      type: 'text',
+      notNull: false,
+    },
+    reviewedat: {
+      type: 'timestamp',
+      notNull: false,
+    },
+  });
+  pgm.addConstraint('uploadedfiles', 'chk_uploadedfiles_verificationstatus', {
+    check: `verificationstatus IN (${STATUSES.map((s) => `'${s}'`).join(', ')})`,
+  });
+  pgm.createIndex('uploadedfiles', 'verificationstatus', {
+    name: 'idx_uploadedfiles_verificationstatus',
+    ifNotExists: true,
+  });
+
+  // Earlier uploads and milestone proofs join the registration backlog; receipts stay off-chain
+  pgm.sql(`
+    UPDATE uploadedfiles SET verificationstatus = 'unregistered'
+    WHERE documenttype <> 'donation-receipt'
+  `);
+};
+
+exports.down = (pgm) => {
+  pgm.dropIndex('uploadedfiles', 'verificationstatus', { name: 'idx_uploadedfiles_verificationstatus', ifExists: true });
+  pgm.dropConstraint('uploadedfiles', 'chk_uploadedfiles_verificationstatus', { ifExists: true });
+  pgm.dropColumns('uploadedfiles', [
+    'metadata',
+    'verificationstatus',
+    'registrationattempts',
+    'registrationerror',
+    'registertxhash',
+    'registeredat',
+    'reviewtxhash',
+    'reviewedby',
+    'reviewreason',
+    'reviewedat',
+  ], { ifExists: true });
+};
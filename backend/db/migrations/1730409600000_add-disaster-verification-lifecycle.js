@@ -0,0 +1,102 @@
+/**
+ * Migration: Track oracle results, timeouts and retries for disaster verifications
+ * Created: 2025-11-07
+ */
+
+exports.up = (pgm) => {
+  pgm.addColumns('disasterverifications', {
+    disasteridhash: {
+      type: 'varchar(66)',
+      notNull: false,
+      comment: 'keccak256(disasterId), as indexed in DisasterOracleMock.DisasterVerified',
+    },
+    attempts: {
+      type: 'integer',
+      notNull: true,
+      default: 0,
+    },
+    requestedat: {
+      type: 'timestamp',
+      notNull: false,
+      comment: 'When the current oracle request was sent; the timeout runs from here',
+    },
+    resulttxhash: {
+      type: 'varchar(66)',
+      notNull: false,
+    },
+    resultblocknumber: {
+      type: 'bigint',
+      notNull: false,
+    },
+    failurereason: {
+      type: 'text',
+      notNull: false,
+    },
+  });
+  pgm.sql('UPDATE disasterverifications SET requestedat = createdat WHERE requestedat IS NULL');
+  pgm.createIndex('disasterverifications', 'disasteridhash', {
+    name: 'idx_disasterverifications_disasteridhash',
+    ifNotExists: true,
+  });
+
+  // Every step of a verification request, oldest first
+  pgm.createTable('disasterverificationevents', {
+    id: {
+      type: 'varchar(36)',
+      primaryKey: true,
+    },
+    disasterid: {
+      type: 'varchar(128)',
+      notNull: true,
+      references: 'disasterverifications(disasterid)',
+      onDelete: 'CASCADE',
+    },
+    event: {
+      type: 'varchar(32)',
+      notNull: true,
+      comment: 'requested | request_failed | verified | rejected | timed_out | retried',
+    },
+    status: {
+      type: 'varchar(32)',
+      notNull: true,
+      comment: 'Verification status after this event',
+    },
+    confidence: {
+      type: 'decimal(5,2)',
+      notNull: false,
+    },
+    txhash: {
+      type: 'varchar(66)',
+      notNull: false,
+    },
+    blocknumber: {
+      type: 'bigint',
+      notNull: false,
+    },
+    actor: {
+      type: 'varchar(100)',
+      notNull: false,
+      references: 'users',
+      onDelete: 'SET NULL',
+    },
+    detail: {
+      type: 'text',
+      notNull: false,
+    },
+    createdat: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+  pgm.createIndex('disasterverificationevents', ['disasterid', 'createdat'], {
+    name: 'idx_disasterverificationevents_disasterid',
+    ifNotExists: true,
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('disasterverificationevents', { ifExists: true });
+  pgm.dropIndex('disasterverifications', 'disasteridhash', { name: 'idx_disasterverifications_disasteridhash', ifExists: true });
+  pgm.dropColumns('disasterverifications', ['disasteridhash', 'attempts', 'requestedat', 'resulttxhash', 'resultblocknumber', 'failurereason'], { ifExists: true });
+};
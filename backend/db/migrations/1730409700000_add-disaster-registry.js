@@ -0,0 +1,83 @@
+/**
+ * Migration: Add the disaster registry with PostGIS epicenters and affected areas
+ * Created: 2025-11-08
+ */
+
+const SEVERITIES = ['low', 'moderate', 'high', 'critical'];
+
+exports.up = (pgm) => {
+  pgm.createExtension('postgis', { ifNotExists: true });
+
+  // Ids are the disasterId used by DisasterVerifications and Campaigns
+  pgm.createTable('disasters', {
+    id: {
+      type: 'varchar(64)',
+      primaryKey: true,
+    },
+    name: {
+      type: 'varchar(200)',
+      notNull: true,
+    },
+    description: {
+      type: 'text',
+      notNull: false,
+    },
+    eventtype: {
+      type: 'varchar(64)',
+      notNull: true,
+    },
+    severity: {
+      type: 'varchar(16)',
+      notNull: true,
+    },
+    startdate: {
+      type: 'timestamp',
+      notNull: true,
+    },
+    enddate: {
+      type: 'timestamp',
+      notNull: false,
+      comment: 'Null while the event is ongoing',
+    },
+    epicenter: {
+      type: 'geography(Point, 4326)',
+      notNull: true,
+    },
+    affectedarea: {
+      type: 'geography(Geometry, 4326)',
+      notNull: false,
+      comment: 'Polygon or MultiPolygon, stored from GeoJSON',
+    },
+    evidencecids: {
+      type: 'text[]',
+      notNull: true,
+      default: pgm.func("'{}'::text[]"),
+    },
+    createdby: {
+      type: 'varchar(100)',
+      notNull: false,
+      references: 'users',
+      onDelete: 'SET NULL',
+    },
+    createdat: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+    updatedat: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+  pgm.addConstraint('disasters', 'chk_disasters_severity', { check: `severity IN (${SEVERITIES.map((s) => `'${s}'`).join(', ')})` });
+  pgm.addConstraint('disasters', 'chk_disasters_dates', { check: 'enddate IS NULL OR enddate >= startdate' });
+  pgm.createIndex('disasters', 'epicenter', { name: 'idx_disasters_epicenter', method: 'gist', ifNotExists: true });
+  pgm.createIndex('disasters', 'affectedarea', { name: 'idx_disasters_affectedarea', method: 'gist', ifNotExists: true });
+  pgm.createIndex('disasters', 'eventtype', { name: 'idx_disasters_eventtype', ifNotExists: true });
+  pgm.createIndex('disasters', 'startdate', { name: 'idx_disasters_startdate', ifNotExists: true });
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('disasters', { ifExists: true });
+};
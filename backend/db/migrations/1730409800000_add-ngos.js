@@ -0,0 +1,147 @@
+/**
+ * Migration: Add NGOs with their wallets and review decisions
+ * Created: 2025-11-09
+ */
+
+const STATUSES = ['submitted', 'under_review', 'verified', 'suspended'];
+const statusCheck = (column) => `${column} IN (${STATUSES.map((s) => `'${s}'`).join(', ')})`;
+
+exports.up = (pgm) => {
+  pgm.createTable('ngos', {
+    id: {
+      type: 'varchar(36)',
+      primaryKey: true,
+    },
+    legalname: {
+      type: 'varchar(200)',
+      notNull: true,
+    },
+    registrationnumber: {
+      type: 'varchar(100)',
+      notNull: true,
+    },
+    country: {
+      type: 'char(2)',
+      notNull: true,
+      comment: 'ISO 3166-1 alpha-2 country of registration',
+    },
+    contactemail: {
+      type: 'varchar(255)',
+      notNull: true,
+    },
+    contactphone: {
+      type: 'varchar(32)',
+      notNull: false,
+    },
+    website: {
+      type: 'varchar(255)',
+      notNull: false,
+    },
+    documentcids: {
+      type: 'text[]',
+      notNull: true,
+      default: pgm.func("'{}'::text[]"),
+    },
+    status: {
+      type: 'varchar(16)',
+      notNull: true,
+      default: 'submitted',
+    },
+    submittedby: {
+      type: 'varchar(100)',
+      notNull: false,
+      references: 'users',
+      onDelete: 'SET NULL',
+    },
+    createdat: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+    updatedat: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+  pgm.addConstraint('ngos', 'chk_ngos_status', { check: statusCheck('status') });
+  pgm.addConstraint('ngos', 'uq_ngos_registration', { unique: ['country', 'registrationnumber'] });
+  pgm.createIndex('ngos', 'status', { name: 'idx_ngos_status', ifNotExists: true });
+
+  // A wallet belongs to at most one NGO
+  pgm.createTable('ngowallets', {
+    walletaddress: {
+      type: 'varchar(42)',
+      primaryKey: true,
+      comment: 'Lowercased',
+    },
+    ngoid: {
+      type: 'varchar(36)',
+      notNull: true,
+      references: 'ngos',
+      onDelete: 'CASCADE',
+    },
+    createdat: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+  pgm.createIndex('ngowallets', 'ngoid', { name: 'idx_ngowallets_ngoid', ifNotExists: true });
+
+  // Who moved an NGO between states, and why
+  pgm.createTable('ngoreviews', {
+    id: {
+      type: 'varchar(36)',
+      primaryKey: true,
+    },
+    ngoid: {
+      type: 'varchar(36)',
+      notNull: true,
+      references: 'ngos',
+      onDelete: 'CASCADE',
+    },
+    fromstatus: {
+      type: 'varchar(16)',
+      notNull: true,
+    },
+    tostatus: {
+      type: 'varchar(16)',
+      notNull: true,
+    },
+    reviewer: {
+      type: 'varchar(100)',
+      notNull: false,
+      references: 'users',
+      onDelete: 'SET NULL',
+    },
+    reason: {
+      type: 'text',
+      notNull: true,
+    },
+    createdat: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+  pgm.createIndex('ngoreviews', ['ngoid', 'createdat'], { name: 'idx_ngoreviews_ngoid', ifNotExists: true });
+
+  pgm.addColumns('campaigns', {
+    ngoid: {
+      type: 'varchar(36)',
+      notNull: false,
+      references: 'ngos',
+      onDelete: 'SET NULL',
+      comment: 'Verified NGO whose wallet created the campaign',
+    },
+  });
+  pgm.createIndex('campaigns', 'ngoid', { name: 'idx_campaigns_ngoid', ifNotExists: true });
+};
+
+exports.down = (pgm) => {
+  pgm.dropColumns('campaigns', ['ngoid'], { ifExists: true });
+  pgm.dropTable('ngoreviews', { ifExists: true });
+  pgm.dropTable('ngowallets', { ifExists: true });
+  pgm.dropTable('ngos', { ifExists: true });
+};
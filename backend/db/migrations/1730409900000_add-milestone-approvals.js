@@ -0,0 +1,100 @@
+/**
+ * Migration: Approve milestones by a quorum of EIP-712 signatures from assigned verifiers
+ * Created: 2025-11-10
+ */
+
+exports.up = (pgm) => {
+  pgm.addColumns('milestones', {
+    approvalquorum: {
+      type: 'integer',
+      notNull: false,
+      comment: 'Signatures needed from the assigned verifiers; set when verifiers are assigned',
+    },
+    approvedat: {
+      type: 'timestamp',
+      notNull: false,
+    },
+    approvaltxhash: {
+      type: 'varchar(66)',
+      notNull: false,
+      comment: 'DonationTracker.approveMilestone transaction hash, for milestones linked on-chain',
+    },
+  });
+
+  pgm.createTable('milestoneverifiers', {
+    milestoneid: {
+      type: 'varchar(100)',
+      notNull: true,
+      references: 'milestones',
+      onDelete: 'CASCADE',
+    },
+    walletaddress: {
+      type: 'varchar(42)',
+      notNull: true,
+      comment: 'Lowercased',
+    },
+    assignedby: {
+      type: 'varchar(100)',
+      notNull: false,
+      references: 'users',
+      onDelete: 'SET NULL',
+    },
+    createdat: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+  pgm.addConstraint('milestoneverifiers', 'pk_milestoneverifiers', { primaryKey: ['milestoneid', 'walletaddress'] });
+
+  // Every signature received, kept for audit; one per verifier and proof
+  pgm.createTable('milestoneapprovals', {
+    id: {
+      type: 'varchar(36)',
+      primaryKey: true,
+    },
+    milestoneid: {
+      type: 'varchar(100)',
+      notNull: true,
+      references: 'milestones',
+      onDelete: 'CASCADE',
+    },
+    verifier: {
+      type: 'varchar(42)',
+      notNull: true,
+      comment: 'Lowercased address recovered from the signature',
+    },
+    proofcid: {
+      type: 'varchar(200)',
+      notNull: true,
+    },
+    amountwei: {
+      type: 'varchar(78)',
+      notNull: true,
+    },
+    signature: {
+      type: 'varchar(132)',
+      notNull: true,
+    },
+    submittedby: {
+      type: 'varchar(100)',
+      notNull: false,
+      references: 'users',
+      onDelete: 'SET NULL',
+    },
+    createdat: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+  pgm.addConstraint('milestoneapprovals', 'uq_milestoneapprovals_verifier_proof', {
+    unique: ['milestoneid', 'verifier', 'proofcid'],
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('milestoneapprovals', { ifExists: true });
+  pgm.dropTable('milestoneverifiers', { ifExists: true });
+  pgm.dropColumns('milestones', ['approvalquorum', 'approvedat', 'approvaltxhash'], { ifExists: true });
+};
@@ -0,0 +1,120 @@
+/**
+ * Migration: Challenge window after milestone approval and donor disputes that freeze fund release
+ * Created: 2025-11-11
+ */
+
+exports.up = (pgm) => {
+  pgm.addColumns('milestones', {
+    challengeendsat: {
+      type: 'timestamp',
+      notNull: false,
+      comment: 'Donors can dispute the milestone until this time; funds are not released before it',
+    },
+  });
+
+  pgm.createTable('milestonedisputes', {
+    id: {
+      type: 'varchar(36)',
+      primaryKey: true,
+    },
+    milestoneid: {
+      type: 'varchar(100)',
+      notNull: true,
+      references: 'milestones',
+      onDelete: 'CASCADE',
+    },
+    raisedby: {
+      type: 'varchar(100)',
+      notNull: true,
+      references: 'users',
+      onDelete: 'CASCADE',
+    },
+    reason: {
+      type: 'text',
+      notNull: true,
+    },
+    evidencecids: {
+      type: 'text[]',
+      notNull: true,
+      default: pgm.func("'{}'::text[]"),
+    },
+    status: {
+      type: 'varchar(20)',
+      notNull: true,
+      default: 'open',
+      check: "status IN ('open', 'upheld', 'dismissed')",
+    },
+    resolvedby: {
+      type: 'varchar(100)',
+      notNull: false,
+      references: 'users',
+      onDelete: 'SET NULL',
+    },
+    resolution: {
+      type: 'text',
+      notNull: false,
+    },
+    resolvedat: {
+      type: 'timestamp',
+      notNull: false,
+    },
+    createdat: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+    updatedat: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+  pgm.createIndex('milestonedisputes', ['milestoneid', 'createdat']);
+  // One open dispute per donor and milestone; further evidence goes in the thread
+  pgm.createIndex('milestonedisputes', ['milestoneid', 'raisedby'], {
+    name: 'uq_milestonedisputes_open_per_donor',
+    unique: true,
+    where: "status = 'open'",
+  });
+
+  // Review thread: donors, the campaign creator and reviewers
+  pgm.createTable('milestonedisputecomments', {
+    id: {
+      type: 'varchar(36)',
+      primaryKey: true,
+    },
+    disputeid: {
+      type: 'varchar(36)',
+      notNull: true,
+      references: 'milestonedisputes',
+      onDelete: 'CASCADE',
+    },
+    author: {
+      type: 'varchar(100)',
+      notNull: false,
+      references: 'users',
+      onDelete: 'SET NULL',
+    },
+    body: {
+      type: 'text',
+      notNull: true,
+    },
+    evidencecids: {
+      type: 'text[]',
+      notNull: true,
+      default: pgm.func("'{}'::text[]"),
+    },
+    createdat: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+  pgm.createIndex('milestonedisputecomments', ['disputeid', 'createdat']);
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('milestonedisputecomments', { ifExists: true });
+  pgm.dropTable('milestonedisputes', { ifExists: true });
+  pgm.dropColumns('milestones', ['challengeendsat'], { ifExists: true });
+};
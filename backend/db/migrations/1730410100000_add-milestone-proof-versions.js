@@ -0,0 +1,104 @@
+/**
+ * Migration: Versioned milestone proof bundles with reviewer comments
+ * Created: 2025-11-12
+ */
+
+exports.up = (pgm) => {
+  // Every proof submitted for a milestone; milestones.proofcid is the latest version's CID
+  pgm.createTable('milestoneproofversions', {
+    id: {
+      type: 'varchar(36)',
+      primaryKey: true,
+    },
+    milestoneid: {
+      type: 'varchar(100)',
+      notNull: true,
+      references: 'milestones',
+      onDelete: 'CASCADE',
+    },
+    version: {
+      type: 'integer',
+      notNull: true,
+    },
+    cid: {
+      type: 'varchar(200)',
+      notNull: true,
+      comment: 'Bundle manifest CID; for proofs submitted on-chain, the CID given to submitProof',
+    },
+    files: {
+      type: 'jsonb',
+      notNull: true,
+      default: pgm.func("'[]'::jsonb"),
+      comment: 'Array of { cid, name, mimeType, size, kind, caption }',
+    },
+    note: {
+      type: 'text',
+      notNull: false,
+    },
+    status: {
+      type: 'varchar(20)',
+      notNull: true,
+      default: 'submitted',
+      check: "status IN ('submitted', 'changes_requested')",
+    },
+    submittedby: {
+      type: 'varchar(100)',
+      notNull: false,
+      references: 'users',
+      onDelete: 'SET NULL',
+    },
+    createdat: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+  pgm.addConstraint('milestoneproofversions', 'uq_milestoneproofversions_version', {
+    unique: ['milestoneid', 'version'],
+  });
+
+  pgm.createTable('milestoneproofcomments', {
+    id: {
+      type: 'varchar(36)',
+      primaryKey: true,
+    },
+    versionid: {
+      type: 'varchar(36)',
+      notNull: true,
+      references: 'milestoneproofversions',
+      onDelete: 'CASCADE',
+    },
+    author: {
+      type: 'varchar(100)',
+      notNull: false,
+      references: 'users',
+      onDelete: 'SET NULL',
+    },
+    body: {
+      type: 'text',
+      notNull: true,
+    },
+    requestschanges: {
+      type: 'boolean',
+      notNull: true,
+      default: false,
+    },
+    createdat: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+  pgm.createIndex('milestoneproofcomments', ['versionid', 'createdat']);
+
+  // Existing proofs become version 1
+  pgm.sql(`
+    INSERT INTO milestoneproofversions (id, milestoneid, version, cid)
+    SELECT md5(id || ':proof:1')::uuid::varchar, id, 1, proofcid FROM milestones WHERE proofcid IS NOT NULL
+  `);
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('milestoneproofcomments', { ifExists: true });
+  pgm.dropTable('milestoneproofversions', { ifExists: true });
+};
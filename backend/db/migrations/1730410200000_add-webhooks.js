@@ -0,0 +1,182 @@
+/**
+ * Migration: Webhook subscriptions, emitted events, deliveries and their attempt log
+ * Created: 2025-11-13
+ */
+
+exports.up = (pgm) => {
+  pgm.createTable('webhooksubscriptions', {
+    id: {
+      type: 'varchar(36)',
+      primaryKey: true,
+    },
+    url: {
+      type: 'varchar(2048)',
+      notNull: true,
+    },
+    events: {
+      type: 'text[]',
+      notNull: true,
+      comment: 'Event types delivered to this subscription, e.g. donation.confirmed',
+    },
+    secret: {
+      type: 'varchar(100)',
+      notNull: true,
+      comment: 'HMAC-SHA256 key for the X-D3R-Signature header',
+    },
+    description: {
+      type: 'text',
+      notNull: false,
+    },
+    active: {
+      type: 'boolean',
+      notNull: true,
+      default: true,
+    },
+    createdby: {
+      type: 'varchar(100)',
+      notNull: false,
+      references: 'users',
+      onDelete: 'SET NULL',
+    },
+    createdat: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+    updatedat: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+
+  // Outbox written alongside the change that caused the event
+  pgm.createTable('webhookevents', {
+    id: {
+      type: 'varchar(36)',
+      primaryKey: true,
+    },
+    type: {
+      type: 'varchar(50)',
+      notNull: true,
+    },
+    payload: {
+      type: 'jsonb',
+      notNull: true,
+    },
+    createdat: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+
+  // One row per event and subscription; status 'dead' is the dead-letter store
+  pgm.createTable('webhookdeliveries', {
+    id: {
+      type: 'varchar(36)',
+      primaryKey: true,
+    },
+    subscriptionid: {
+      type: 'varchar(36)',
+      notNull: true,
+      references: 'webhooksubscriptions',
+      onDelete: 'CASCADE',
+    },
+    eventid: {
+      type: 'varchar(36)',
+      notNull: true,
+      references: 'webhookevents',
+      onDelete: 'CASCADE',
+    },
+    status: {
+      type: 'varchar(20)',
+      notNull: true,
+      default: 'pending',
+      check: "status IN ('pending', 'delivering', 'delivered', 'dead')",
+    },
+    attempts: {
+      type: 'integer',
+      notNull: true,
+      default: 0,
+    },
+    nextattemptat: {
+      type: 'timestamp',
+      notNull: false,
+      default: pgm.func('current_timestamp'),
+    },
+    lastattemptat: {
+      type: 'timestamp',
+      notNull: false,
+    },
+    responsestatus: {
+      type: 'integer',
+      notNull: false,
+    },
+    lasterror: {
+      type: 'text',
+      notNull: false,
+    },
+    deliveredat: {
+      type: 'timestamp',
+      notNull: false,
+    },
+    createdat: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+    updatedat: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+  pgm.addConstraint('webhookdeliveries', 'uq_webhookdeliveries_event_subscription', {
+    unique: ['eventid', 'subscriptionid'],
+  });
+  pgm.createIndex('webhookdeliveries', ['status', 'nextattemptat']);
+  pgm.createIndex('webhookdeliveries', ['subscriptionid', 'createdat']);
+
+  pgm.createTable('webhookattempts', {
+    id: {
+      type: 'varchar(36)',
+      primaryKey: true,
+    },
+    deliveryid: {
+      type: 'varchar(36)',
+      notNull: true,
+      references: 'webhookdeliveries',
+      onDelete: 'CASCADE',
+    },
+    attempt: {
+      type: 'integer',
+      notNull: true,
+    },
+    responsestatus: {
+      type: 'integer',
+      notNull: false,
+    },
+    error: {
+      type: 'text',
+      notNull: false,
+    },
+    durationms: {
+      type: 'integer',
+      notNull: false,
+    },
+    createdat: {
+      type: 'timestamp',
+      notNull: true,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+  pgm.createIndex('webhookattempts', ['deliveryid', 'createdat']);
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('webhookattempts', { ifExists: true });
+  pgm.dropTable('webhookdeliveries', { ifExists: true });
+  pgm.dropTable('webhookevents', { ifExists: true });
+  pgm.dropTable('webhooksubscriptions', { ifExists: true });
+};
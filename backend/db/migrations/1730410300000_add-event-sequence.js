@@ -0,0 +1,20 @@
+/**
+ * Migration: Ordered sequence on recorded events, used as the realtime stream's event id
+ * Created: 2025-11-14
+ */
+
+exports.up = (pgm) => {
+  pgm.addColumn('webhookevents', {
+    seq: {
+      type: 'bigserial',
+      notNull: true,
+      comment: 'Insert order; realtime clients resume after the last seq they saw',
+    },
+  });
+  pgm.addConstraint('webhookevents', 'uq_webhookevents_seq', { unique: ['seq'] });
+};
+
+exports.down = (pgm) => {
+  pgm.dropConstraint('webhookevents', 'uq_webhookevents_seq', { ifExists: true });
+  pgm.dropColumn('webhookevents', 'seq', { ifExists: true });
+};
@@ -0,0 +1,16 @@
+/**
+ * Migration: Limit disaster ids on verification requests to 64 characters, like disasters.id
+ * Created: 2025-11-15
+ */
+
+exports.up = (pgm) => {
+  // Fails on ids longer than 64 characters; no registry disaster can have one, so such
+  // requests need deleting first
+  pgm.alterColumn('disasterverifications', 'disasterid', { type: 'varchar(64)' });
+  pgm.alterColumn('disasterverificationevents', 'disasterid', { type: 'varchar(64)' });
+};
+
+exports.down = (pgm) => {
+  pgm.alterColumn('disasterverificationevents', 'disasterid', { type: 'varchar(128)' });
+  pgm.alterColumn('disasterverifications', 'disasterid', { type: 'varchar(128)' });
+};
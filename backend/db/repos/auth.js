@@ -0,0 +1,60 @@
+const { query } = require('../client');
+
+async function saveNonce({ nonce, walletAddress, expiresAt }) {
+  await query(
+    'INSERT INTO authnonces (nonce, walletaddress, expiresat) VALUES ($1, $2, $3)',
+    [nonce, walletAddress, new Date(expiresAt)]
+  );
+}
+
+// DELETE ... RETURNING makes consumption atomic: only one caller gets the row
+async function consumeNonce(nonce) {
+  const { rows } = await query(
+    `DELETE FROM authnonces WHERE nonce = $1 AND expiresat > CURRENT_TIMESTAMP
+     RETURNING nonce, walletaddress AS "walletAddress", expiresat AS "expiresAt"`,
+    [nonce]
+  );
+  return rows[0] || null;
+}
+
+async function saveToken({ jti, userId, expiresAt }) {
+  await query(
+    'INSERT INTO authtokens (jti, userid, expiresat) VALUES ($1, $2, $3) ON CONFLICT (jti) DO NOTHING',
+    [jti, userId, new Date(expiresAt)]
+  );
+}
+
+// Upserts so a token issued before the row existed can still be revoked
+async function revokeToken({ jti, userId, expiresAt }) {
+  const { rows } = await query(
+    `INSERT INTO authtokens (jti, userid, expiresat, revokedat)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+     ON CONFLICT (jti) DO UPDATE SET revokedat = COALESCE(authtokens.revokedat, CURRENT_TIMESTAMP)
+     RETURNING revokedat AS "revokedAt"`,
+    [jti, userId, new Date(expiresAt)]
+  );
+  return rows[0];
+}
+
+async function isTokenRevoked(jti) {
+  const { rowCount } = await query(
+    'SELECT 1 FROM authtokens WHERE jti = $1 AND revokedat IS NOT NULL',
+    [jti]
+  );
+  return rowCount > 0;
+}
+
+async function deleteExpired() {
+  const nonces = await query('DELETE FROM authnonces WHERE expiresat <= CURRENT_TIMESTAMP');
+  const tokens = await query('DELETE FROM authtokens WHERE expiresat <= CURRENT_TIMESTAMP');
+  return nonces.rowCount + tokens.rowCount;
+}
+
+module.exports = {
+  saveNonce,
+  consumeNonce,
+  saveToken,
+  revokeToken,
+  isTokenRevoked,
+  deleteExpired,
+};
@@ -1,5 +1,6 @@
 const { query } = require('../client');
 const { v4: uuidv4 } = require('uuid');
+const webhooksRepo = require('./webhooks');
 
 function toOrderBy(sortBy) {
   switch ((sortBy || 'createdAt').toLowerCase()) {
@@ -15,19 +16,24 @@ function toOrderBy(sortBy) {
   }
 }
 
-async function createCampaign({ title, description, disasterId, imageCID, targetAmount, deadline, creator }) {
+// Oracle verification of the campaign's disaster, or null when it has none
+const disasterVerificationSql = (table) => `(
+  SELECT json_build_object('status', v.status, 'confidence', v.confidence::float, 'eventType', v.eventtype, 'txHash', v.resulttxhash)
+  FROM disasterverifications v WHERE v.disasterid = ${table}.disasterid
+) AS "disasterVerification"`;
+
+async function createCampaign({ title, description, disasterId, imageCID, targetAmount, deadline, creator, onChainId, ngoId, status = 'active' }) {
   try {
     console.log('=== CREATING CAMPAIGN IN REPO ===');
-    console.log('With data:', { title, description, disasterId, imageCID, targetAmount, deadline, creator });
+    console.log('With data:', { title, description, disasterId, imageCID, targetAmount, deadline, creator, onChainId, ngoId, status });
     
     const id = uuidv4();
-    const status = 'active';
     const sql = `
       INSERT INTO Campaigns (
         id, title, description, disasterId, imageCID, 
         targetAmount, currentAmount, creator, deadline, status, 
-        createdAt, updatedAt
-      ) VALUES ($1, $2, $3, $4, $5, $6, 0, $7, $8, $9, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        onChainId, ngoId, createdAt, updatedAt
+      ) VALUES ($1, $2, $3, $4, $5, $6, 0, $7, $8, $9, $10, $11, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
       RETURNING 
         id, title, description, 
         disasterId AS "disasterId", 
@@ -37,6 +43,8 @@ async function createCampaign({ title, description, disasterId, imageCID, target
         creator, 
         deadline, 
         status, 
+        onChainId AS "onChainId", 
+        ngoId AS "ngoId", 
         createdAt AS "createdAt", 
         updatedAt AS "updatedAt"
     `;
@@ -50,7 +58,9 @@ async function createCampaign({ title, description, disasterId, imageCID, target
       targetAmount, 
       creator, 
       deadline || null, 
-      status
+      status,
+      onChainId || null,
+      ngoId || null
     ];
     
     console.log('Executing campaign SQL:', sql);
@@ -86,7 +96,7 @@ async function createCampaign({ title, description, disasterId, imageCID, target
   }
 }
 
-async function listCampaigns({ page = 1, limit = 10, status, sortBy = 'createdAt', sortOrder = 'desc', featured = false }) {
+async function listCampaigns({ page = 1, limit = 10, status, disasterId, sortBy = 'createdAt', sortOrder = 'desc', featured = false }) {
   page = Math.max(1, parseInt(page, 10) || 1);
   limit = Math.min(100, Math.max(1, parseInt(limit, 10) || 10));
   const offset = (page - 1) * limit;
@@ -97,6 +107,10 @@ async function listCampaigns({ page = 1, limit = 10, status, sortBy = 'createdAt
     params.push(status);
     where.push(`status = $${params.length}`);
   }
+  if (disasterId) {
+    params.push(disasterId);
+    where.push(`disasterid = $${params.length}`);
+  }
   // Featured campaigns: active status + has donations
   if (featured) {
     where.push(`status = 'active'`);
@@ -107,7 +121,8 @@ async function listCampaigns({ page = 1, limit = 10, status, sortBy = 'createdAt
   const orderDir = featured ? 'DESC' : ((sortOrder || 'desc').toLowerCase() === 'asc' ? 'ASC' : 'DESC');
 
   const dataSql = `
-    SELECT id, title, description, disasterid AS "disasterId", imagecid AS "imageCID", targetamount AS "targetAmount", currentamount AS "currentAmount", creator, deadline, status, createdat AS "createdAt", updatedat AS "updatedAt"
+    SELECT id, title, description, disasterid AS "disasterId", imagecid AS "imageCID", targetamount AS "targetAmount", currentamount AS "currentAmount", creator, deadline, status, onchainid AS "onChainId", ngoid AS "ngoId", createdat AS "createdAt", updatedat AS "updatedAt",
+           ${disasterVerificationSql('campaigns')}
     FROM campaigns
     ${whereSql}
     ORDER BY ${orderCol} ${orderDir}
@@ -129,13 +144,134 @@ async function listCampaigns({ page = 1, limit = 10, status, sortBy = 'createdAt
   };
 }
 
+const ENDING_SOON_DAYS = 7;
+const FUNDED_PERCENT = 'CASE WHEN c.targetamount > 0 THEN c.currentamount * 100 / c.targetamount ELSE 0 END';
+const FUNDING_BUCKETS = ['0-25', '25-50', '50-75', '75-100', '100+'];
+const SEARCH_FROM = 'FROM campaigns c LEFT JOIN disasterverifications dv ON dv.disasterid = c.disasterid';
+
+// WHERE clause for the search filters, skipping the one a facet is counting
+function buildSearchWhere(filters, exclude) {
+  const params = [];
+  const where = [];
+  const add = (key, value, toSql) => {
+    if (key === exclude || value === undefined || value === null || value === '') return;
+    params.push(value);
+    where.push(toSql(`$${params.length}`));
+  };
+
+  add('q', filters.q, (p) => `c.searchvector @@ websearch_to_tsquery('english', ${p})`);
+  add('status', filters.status, (p) => `c.status = ${p}`);
+  add('disasterId', filters.disasterId, (p) => `c.disasterid = ${p}`);
+  add('eventType', filters.eventType, (p) => `LOWER(dv.eventtype) = LOWER(${p})`);
+  if (filters.creator && /^0x[0-9a-fA-F]{40}$/.test(filters.creator)) {
+    add('creator', filters.creator, (p) => `c.creator IN (SELECT id FROM users WHERE LOWER(walletaddress) = LOWER(${p}))`);
+  } else {
+    add('creator', filters.creator, (p) => `c.creator = ${p}`);
+  }
+  add('minTarget', filters.minTarget, (p) => `c.targetamount >= ${p}`);
+  add('maxTarget', filters.maxTarget, (p) => `c.targetamount <= ${p}`);
+  if (exclude !== 'funded') {
+    add('minFunded', filters.minFunded, (p) => `${FUNDED_PERCENT} >= ${p}`);
+    // Exclusive, like the facet buckets, so 25% is in 25-50 and not also in 0-25
+    add('maxFunded', filters.maxFunded, (p) => `${FUNDED_PERCENT} < ${p}`);
+  }
+  add('deadlineFrom', filters.deadlineFrom, (p) => `c.deadline >= ${p}`);
+  add('deadlineTo', filters.deadlineTo, (p) => `c.deadline <= ${p}`);
+  if (filters.endingSoon) {
+    add('endingSoon', ENDING_SOON_DAYS, (p) => `c.status = 'active' AND c.deadline > CURRENT_TIMESTAMP AND c.deadline <= CURRENT_TIMESTAMP + make_interval(days => ${p})`);
+  }
+
+  return { whereSql: where.length ? `WHERE ${where.join(' AND ')}` : '', params };
+}
+
+function toSearchOrderBy(sortBy, hasQuery) {
+  switch (sortBy || (hasQuery ? 'relevance' : 'createdAt')) {
+    case 'relevance':
+      return hasQuery ? 'rank' : 'c.createdat';
+    case 'fundedPercent':
+      return '"fundedPercent"';
+    default:
+      return `c.${toOrderBy(sortBy)}`;
+  }
+}
+
+/**
+ * Full-text and filtered campaign search with facet counts
+ * Each facet is counted with every filter applied except its own, so the UI
+ * can show how many results picking another value would give.
+ * @param {Object} filters - q, status, disasterId, eventType, creator (user id or wallet),
+ *   minTarget, maxTarget, minFunded, maxFunded (percent, exclusive), deadlineFrom, deadlineTo, endingSoon,
+ *   sortBy (relevance|createdAt|targetAmount|currentAmount|deadline|fundedPercent), sortOrder, page, limit
+ * @returns {Promise<{items, page, limit, total, facets: {status, eventType, funding, endingSoon}}>}
+ */
+async function searchCampaigns(filters = {}) {
+  const page = Math.max(1, parseInt(filters.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(filters.limit, 10) || 10));
+  const offset = (page - 1) * limit;
+  const hasQuery = Boolean(filters.q);
+
+  const { whereSql, params } = buildSearchWhere(filters);
+  // q is always the first parameter when present
+  const rankSql = hasQuery ? "ts_rank(c.searchvector, websearch_to_tsquery('english', $1))" : '0';
+  const orderCol = toSearchOrderBy(filters.sortBy, hasQuery);
+  const orderDir = (filters.sortOrder || 'desc').toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+
+  const dataSql = `
+    SELECT c.id, c.title, c.description, c.disasterid AS "disasterId", c.imagecid AS "imageCID",
+           c.targetamount AS "targetAmount", c.currentamount AS "currentAmount", c.creator, c.deadline, c.status,
+           c.onchainid AS "onChainId", c.ngoid AS "ngoId", c.createdat AS "createdAt", c.updatedat AS "updatedAt",
+           dv.eventtype AS "eventType", ${disasterVerificationSql('c')},
+           ROUND(${FUNDED_PERCENT}, 2)::float AS "fundedPercent", ${rankSql} AS rank
+    ${SEARCH_FROM}
+    ${whereSql}
+    ORDER BY ${orderCol} ${orderDir} NULLS LAST, c.createdat DESC
+    LIMIT ${limit} OFFSET ${offset}
+  `;
+  const countSql = `SELECT COUNT(*)::int AS count ${SEARCH_FROM} ${whereSql}`;
+
+  const facet = (exclude, selectSql, groupSql) => {
+    const w = buildSearchWhere(filters, exclude);
+    return query(`SELECT ${selectSql} AS value, COUNT(*)::int AS count ${SEARCH_FROM} ${w.whereSql} ${groupSql}`, w.params);
+  };
+  const fundingBucket = `CASE WHEN ${FUNDED_PERCENT} >= 100 THEN '100+' WHEN ${FUNDED_PERCENT} >= 75 THEN '75-100'
+    WHEN ${FUNDED_PERCENT} >= 50 THEN '50-75' WHEN ${FUNDED_PERCENT} >= 25 THEN '25-50' ELSE '0-25' END`;
+
+  const endingSoon = buildSearchWhere({ ...filters, endingSoon: true });
+
+  const [dataRes, countRes, statusRes, eventTypeRes, fundingRes, endingSoonRes] = await Promise.all([
+    query(dataSql, params),
+    query(countSql, params),
+    facet('status', 'c.status', 'GROUP BY 1 ORDER BY 2 DESC'),
+    facet('eventType', 'LOWER(dv.eventtype)', 'GROUP BY 1 ORDER BY 2 DESC'),
+    facet('funded', fundingBucket, 'GROUP BY 1'),
+    query(`SELECT COUNT(*)::int AS count ${SEARCH_FROM} ${endingSoon.whereSql}`, endingSoon.params),
+  ]);
+
+  const fundingCounts = Object.fromEntries(fundingRes.rows.map((r) => [r.value, r.count]));
+  return {
+    items: dataRes.rows.map(({ rank, ...row }) => row),
+    page,
+    limit,
+    total: countRes.rows[0].count,
+    facets: {
+      status: statusRes.rows,
+      eventType: eventTypeRes.rows.filter((r) => r.value),
+      funding: FUNDING_BUCKETS.map((value) => ({ value, count: fundingCounts[value] || 0 })),
+      endingSoon: endingSoonRes.rows[0].count,
+    },
+  };
+}
+
 async function getCampaignByIdWithCounts(id) {
   const sql = `
     SELECT c.id, c.title, c.description, c.disasterid AS "disasterId", c.imagecid AS "imageCID",
            c.targetamount AS "targetAmount", c.currentamount AS "currentAmount",
-           c.creator, c.deadline, c.status, c.createdat AS "createdAt", c.updatedat AS "updatedAt",
+           c.creator, c.deadline, c.status, c.onchainid AS "onChainId", c.ngoid AS "ngoId", c.createdat AS "createdAt", c.updatedat AS "updatedAt",
+           (SELECT json_build_object('id', n.id, 'legalName', n.legalname, 'country', n.country, 'status', n.status)
+            FROM ngos n WHERE n.id = c.ngoid) AS ngo,
            (SELECT COUNT(*)::int FROM donations d WHERE d.campaignid = c.id) AS "donationCount",
-           (SELECT COUNT(*)::int FROM milestones m WHERE m.campaignid = c.id) AS "milestoneCount"
+           (SELECT COUNT(*)::int FROM milestones m WHERE m.campaignid = c.id) AS "milestoneCount",
+           ${disasterVerificationSql('c')}
     FROM campaigns c
     WHERE c.id = $1
   `;
@@ -165,22 +301,80 @@ async function updateCampaign({ id, creator, title, description, deadline }) {
   return getCampaignByIdWithCounts(id);
 }
 
+// Cancelling twice succeeds but emits campaign.cancelled once
 async function cancelCampaign({ id, creator }) {
   const sql = `
-    UPDATE campaigns
+    UPDATE campaigns c
     SET status = 'cancelled'
-    WHERE id = $1 AND creator = $2
-    RETURNING id
+    FROM (SELECT id, status FROM campaigns WHERE id = $1 FOR UPDATE) previous
+    WHERE c.id = previous.id AND c.creator = $2
+    RETURNING c.id, c.title, c.onchainid AS "onChainId", previous.status AS "previousStatus"
   `;
-  const res = await query(sql, [id, creator]);
-  if (res.rowCount === 0) return null;
+  const cancelled = await webhooksRepo.withEvent(async (client) => {
+    const { rows } = await client.query(sql, [id, creator]);
+    const row = rows[0] || null;
+    const event = row && row.previousStatus !== 'cancelled' && {
+      type: 'campaign.cancelled',
+      data: { campaignId: row.id, title: row.title, onChainId: row.onChainId, creator, previousStatus: row.previousStatus },
+    };
+    return { result: row, event };
+  });
+  if (!cancelled) return null;
   return getCampaignByIdWithCounts(id);
 }
 
+async function getCampaignByOnChainId(onChainId) {
+  const { rows } = await query(
+    `SELECT id, title, targetamount AS "targetAmount", currentamount AS "currentAmount", creator, deadline, status, onchainid AS "onChainId"
+     FROM campaigns WHERE onchainid = $1`,
+    [String(onChainId)]
+  );
+  return rows[0] || null;
+}
+
+// Links a campaign to its DonationTracker id; null when the campaign is already linked or the id is taken
+async function setOnChainId({ id, onChainId }) {
+  try {
+    const { rows } = await query(
+      `UPDATE campaigns SET onchainid = $2 WHERE id = $1 AND onchainid IS NULL RETURNING id, onchainid AS "onChainId"`,
+      [id, String(onChainId)]
+    );
+    return rows[0] || null;
+  } catch (err) {
+    if (err.code === '23505') return null;
+    throw err;
+  }
+}
+
+// Moves campaigns waiting on a disaster's verification to status; returns their ids
+async function settlePendingForDisaster({ disasterId, status }) {
+  return webhooksRepo.withEvent(async (client) => {
+    const { rows } = await client.query(
+      `UPDATE campaigns SET status = $2 WHERE disasterid = $1 AND status = 'pending_verification' RETURNING id`,
+      [disasterId, status]
+    );
+    const events = rows.map((r) => ({
+      type: 'campaign.status_changed',
+      data: { campaignId: r.id, disasterId, status, previousStatus: 'pending_verification' },
+    }));
+    return { result: rows.map((r) => r.id), events };
+  });
+}
+
+async function deleteCampaign(id) {
+  const { rowCount } = await query('DELETE FROM campaigns WHERE id = $1', [id]);
+  return rowCount > 0;
+}
+
 module.exports = {
   createCampaign,
   listCampaigns,
+  searchCampaigns,
   getCampaignByIdWithCounts,
   updateCampaign,
   cancelCampaign,
+  getCampaignByOnChainId,
+  setOnChainId,
+  settlePendingForDisaster,
+  deleteCampaign,
 };
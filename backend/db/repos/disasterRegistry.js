@@ -0,0 +1,130 @@
+const { query } = require('../client');
+
+const DISASTER_COLUMNS = `d.id, d.name, d.description, d.eventtype AS "eventType", d.severity,
+  d.startdate AS "startDate", d.enddate AS "endDate",
+  ST_AsGeoJSON(d.epicenter)::json AS epicenter, ST_AsGeoJSON(d.affectedarea)::json AS "affectedArea",
+  d.evidencecids AS "evidenceCids", d.createdby AS "createdBy", d.createdat AS "createdAt", d.updatedat AS "updatedAt",
+  (SELECT json_build_object('status', v.status, 'confidence', v.confidence::float, 'txHash', v.resulttxhash)
+   FROM disasterverifications v WHERE v.disasterid = d.id) AS verification,
+  (SELECT COUNT(*)::int FROM campaigns c WHERE c.disasterid = d.id) AS "campaignCount"`;
+
+const geography = (p) => `ST_SetSRID(ST_GeomFromGeoJSON(${p}), 4326)::geography`;
+// Disasters without a mapped area are located by their epicenter
+const FOOTPRINT = 'COALESCE(d.affectedarea, d.epicenter)';
+
+async function getDisaster(id) {
+  const { rows } = await query(`SELECT ${DISASTER_COLUMNS} FROM disasters d WHERE d.id = $1`, [id]);
+  return rows[0] || null;
+}
+
+async function createDisaster({ id, name, description, eventType, severity, startDate, endDate, epicenter, affectedArea, evidenceCids = [], createdBy }) {
+  const { rowCount } = await query(
+    `INSERT INTO disasters (id, name, description, eventtype, severity, startdate, enddate, epicenter, affectedarea, evidencecids, createdby)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, ${geography('$8')}, ${geography('$9')}, $10, $11)
+     ON CONFLICT (id) DO NOTHING`,
+    [id, name, description || null, eventType, severity, startDate, endDate || null,
+      JSON.stringify(epicenter), affectedArea ? JSON.stringify(affectedArea) : null, evidenceCids, createdBy || null]
+  );
+  // null when the id is taken
+  return rowCount > 0 ? getDisaster(id) : null;
+}
+
+const UPDATABLE = {
+  name: ['name'],
+  description: ['description'],
+  eventType: ['eventtype'],
+  severity: ['severity'],
+  startDate: ['startdate'],
+  endDate: ['enddate'],
+  epicenter: ['epicenter', JSON.stringify],
+  affectedArea: ['affectedarea', JSON.stringify],
+  evidenceCids: ['evidencecids'],
+};
+
+async function updateDisaster(id, changes) {
+  const fields = [];
+  const params = [id];
+  for (const [key, [column, encode]] of Object.entries(UPDATABLE)) {
+    if (!(key in changes)) continue;
+    const value = changes[key];
+    params.push(value === null ? null : encode ? encode(value) : value);
+    const p = `$${params.length}`;
+    fields.push(`${column} = ${encode ? geography(p) : p}`);
+  }
+  if (!fields.length) return getDisaster(id);
+  const { rowCount } = await query(
+    `UPDATE disasters SET ${fields.join(', ')}, updatedat = CURRENT_TIMESTAMP WHERE id = $1`,
+    params
+  );
+  return rowCount > 0 ? getDisaster(id) : null;
+}
+
+async function addEvidence(id, cids) {
+  const { rowCount } = await query(
+    `UPDATE disasters
+     SET evidencecids = ARRAY(SELECT DISTINCT unnest(evidencecids || $2::text[])), updatedat = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [id, cids]
+  );
+  return rowCount > 0 ? getDisaster(id) : null;
+}
+
+async function deleteDisaster(id) {
+  const { rowCount } = await query('DELETE FROM disasters WHERE id = $1', [id]);
+  return rowCount > 0;
+}
+
+/**
+ * List disasters, optionally near a point or intersecting a bounding box
+ * @param {Object} filters - eventType, severity, ongoing, near { lat, lon, radiusKm },
+ *   bbox [minLon, minLat, maxLon, maxLat], page, limit
+ * @returns {Promise<{items, page, limit, total}>} - near queries add distanceKm (to the epicenter) and sort by it
+ */
+async function listDisasters({ eventType, severity, ongoing, near, bbox, page = 1, limit = 20 } = {}) {
+  const where = [];
+  const params = [];
+  const add = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (eventType) where.push(`LOWER(d.eventtype) = LOWER(${add(eventType)})`);
+  if (severity) where.push(`d.severity = ${add(severity)}`);
+  if (ongoing === true) where.push('(d.enddate IS NULL OR d.enddate >= CURRENT_TIMESTAMP)');
+  if (ongoing === false) where.push('d.enddate < CURRENT_TIMESTAMP');
+
+  let distanceSql = 'NULL::float';
+  let orderSql = 'd.startdate DESC';
+  if (near) {
+    const point = `ST_SetSRID(ST_MakePoint(${add(near.lon)}, ${add(near.lat)}), 4326)::geography`;
+    where.push(`ST_DWithin(${FOOTPRINT}, ${point}, ${add(near.radiusKm * 1000)})`);
+    distanceSql = `ROUND((ST_Distance(d.epicenter, ${point}) / 1000)::numeric, 3)::float`;
+    orderSql = '"distanceKm" ASC, d.startdate DESC';
+  }
+  if (bbox) {
+    const [minLon, minLat, maxLon, maxLat] = bbox.map(add);
+    where.push(`ST_Intersects(${FOOTPRINT}, ST_MakeEnvelope(${minLon}, ${minLat}, ${maxLon}, ${maxLat}, 4326)::geography)`);
+  }
+
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const offset = (page - 1) * limit;
+  const [list, count] = await Promise.all([
+    query(
+      `SELECT ${DISASTER_COLUMNS}, ${distanceSql} AS "distanceKm" FROM disasters d ${whereSql}
+       ORDER BY ${orderSql} LIMIT ${limit} OFFSET ${offset}`,
+      params
+    ),
+    query(`SELECT COUNT(*)::int AS count FROM disasters d ${whereSql}`, params),
+  ]);
+  const items = near ? list.rows : list.rows.map(({ distanceKm, ...row }) => row);
+  return { items, page, limit, total: count.rows[0].count };
+}
+
+module.exports = {
+  getDisaster,
+  createDisaster,
+  updateDisaster,
+  addEvidence,
+  deleteDisaster,
+  listDisasters,
+};
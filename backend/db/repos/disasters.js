@@ -1,47 +1,181 @@
 const { query } = require('../client');
 const { v4: uuidv4 } = require('uuid');
+const webhooksRepo = require('./webhooks');
 
-async function upsertVerification({ disasterId, latitude, longitude, eventType, status, confidence, txHash }) {
-  // Try update by disasterId, else insert
-  const updateRes = await query(
-    `UPDATE disasterverifications
-     SET latitude = $2, longitude = $3, eventtype = $4, status = $5, confidence = $6, txhash = COALESCE($7, txhash)
-     WHERE disasterid = $1 RETURNING id`,
-    [disasterId, latitude, longitude, eventType, status, confidence, txHash || null]
-  );
-  if (updateRes.rowCount > 0) return updateRes.rows[0].id;
+const VERIFICATION_COLUMNS = `id, disasterid AS "disasterId", disasteridhash AS "disasterIdHash", latitude, longitude,
+  eventtype AS "eventType", status, confidence, txhash AS "txHash", attempts, requestedat AS "requestedAt",
+  resulttxhash AS "resultTxHash", resultblocknumber AS "resultBlockNumber", failurereason AS "failureReason",
+  createdat AS "createdAt", updatedat AS "updatedAt"`;
+
+const EVENT_COLUMNS = `id, event, status, confidence, txhash AS "txHash", blocknumber AS "blockNumber", actor, detail,
+  createdat AS "createdAt"`;
 
+// Opens the oracle request for a disaster; null when one already exists (failed ones are retried via reopenRequest)
+async function createVerification({ disasterId, disasterIdHash, latitude, longitude, eventType }) {
   const id = uuidv4();
-  await query(
-    `INSERT INTO disasterverifications (id, disasterid, latitude, longitude, eventtype, status, confidence, txhash)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-    [id, disasterId, latitude, longitude, eventType, status, confidence, txHash || null]
+  const { rows } = await query(
+    `INSERT INTO disasterverifications (id, disasterid, disasteridhash, latitude, longitude, eventtype, status, attempts, requestedat)
+     VALUES ($1, $2, $3, $4, $5, $6, 'pending', 1, CURRENT_TIMESTAMP)
+     ON CONFLICT (disasterid) DO NOTHING
+     RETURNING ${VERIFICATION_COLUMNS}`,
+    [id, disasterId, disasterIdHash, latitude, longitude, eventType]
   );
-  return id;
+  return rows[0] || null;
 }
 
-async function setVerified({ disasterId, confidence }) {
-  const { rowCount } = await query(
-    `UPDATE disasterverifications SET status = 'verified', confidence = $2 WHERE disasterid = $1`,
-    [disasterId, confidence]
+async function setRequestTx({ disasterId, txHash }) {
+  const { rows } = await query(
+    `UPDATE disasterverifications SET txhash = $2 WHERE disasterid = $1 RETURNING ${VERIFICATION_COLUMNS}`,
+    [disasterId, txHash]
   );
-  return rowCount > 0;
+  return rows[0] || null;
 }
 
-async function setFailed({ disasterId }) {
-  const { rowCount } = await query(
-    `UPDATE disasterverifications SET status = 'failed' WHERE disasterid = $1`,
-    [disasterId]
+// Retries only apply to failed requests, so a result that lands first is not overwritten
+async function reopenRequest({ disasterId, txHash }) {
+  const { rows } = await query(
+    `UPDATE disasterverifications
+     SET status = 'pending', txhash = $2, attempts = attempts + 1, requestedat = CURRENT_TIMESTAMP, failurereason = NULL
+     WHERE disasterid = $1 AND status = 'failed'
+     RETURNING ${VERIFICATION_COLUMNS}`,
+    [disasterId, txHash]
   );
-  return rowCount > 0;
+  return rows[0] || null;
+}
+
+async function setVerified({ disasterId, confidence, txHash, blockNumber }) {
+  return webhooksRepo.withEvent(async (client) => {
+    const { rows } = await client.query(
+      `UPDATE disasterverifications
+       SET status = 'verified', confidence = $2, resulttxhash = $3, resultblocknumber = $4, failurereason = NULL
+       WHERE disasterid = $1
+       RETURNING ${VERIFICATION_COLUMNS}`,
+      [disasterId, confidence, txHash || null, blockNumber ?? null]
+    );
+    const verified = rows[0] || null;
+    const event = verified && {
+      type: 'disaster.verified',
+      data: { disasterId, eventType: verified.eventType, confidence, txHash: txHash || null, blockNumber: blockNumber ?? null },
+    };
+    return { result: verified, event };
+  });
+}
+
+async function setFailed({ disasterId, reason, confidence, txHash, blockNumber }) {
+  return webhooksRepo.withEvent(async (client) => {
+    const { rows } = await client.query(
+      `UPDATE disasterverifications
+       SET status = 'failed', failurereason = $2, confidence = $3, resulttxhash = $4, resultblocknumber = $5
+       WHERE disasterid = $1
+       RETURNING ${VERIFICATION_COLUMNS}`,
+      [disasterId, reason || null, confidence ?? null, txHash || null, blockNumber ?? null]
+    );
+    const failed = rows[0] || null;
+    const event = failed && {
+      type: 'disaster.verification_failed',
+      data: {
+        disasterId,
+        eventType: failed.eventType,
+        reason: reason || null,
+        confidence: confidence ?? null,
+        txHash: txHash || null,
+        blockNumber: blockNumber ?? null,
+      },
+    };
+    return { result: failed, event };
+  });
+}
+
+// Fails every pending request older than timeoutMs and returns the rows it changed
+async function expirePending({ timeoutMs, reason }) {
+  const { rows } = await query(
+    `UPDATE disasterverifications SET status = 'failed', failurereason = $2
+     WHERE status = 'pending' AND requestedat < CURRENT_TIMESTAMP - make_interval(secs => $1)
+     RETURNING ${VERIFICATION_COLUMNS}`,
+    [timeoutMs / 1000, reason]
+  );
+  return rows;
+}
+
+async function getVerification(disasterId) {
+  const { rows } = await query(`SELECT ${VERIFICATION_COLUMNS} FROM disasterverifications WHERE disasterid = $1`, [disasterId]);
+  return rows[0] || null;
+}
+
+async function getByHash(disasterIdHash) {
+  const { rows } = await query(
+    `SELECT ${VERIFICATION_COLUMNS} FROM disasterverifications WHERE disasteridhash = $1`,
+    [disasterIdHash.toLowerCase()]
+  );
+  return rows[0] || null;
 }
 
 async function getStatus(disasterId) {
   const { rows } = await query(
-    `SELECT disasterid AS "disasterId", status, confidence, updatedat AS "timestamp" FROM disasterverifications WHERE disasterid = $1`,
+    `SELECT ${VERIFICATION_COLUMNS}, updatedat AS "timestamp" FROM disasterverifications WHERE disasterid = $1`,
     [disasterId]
   );
   return rows[0] || null;
 }
 
-module.exports = { upsertVerification, setVerified, setFailed, getStatus };
+async function addEvent({ disasterId, event, status, confidence, txHash, blockNumber, actor, detail }) {
+  const id = uuidv4();
+  const { rows } = await query(
+    `INSERT INTO disasterverificationevents (id, disasterid, event, status, confidence, txhash, blocknumber, actor, detail)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING ${EVENT_COLUMNS}`,
+    [id, disasterId, event, status, confidence ?? null, txHash || null, blockNumber ?? null, actor || null, detail || null]
+  );
+  return rows[0];
+}
+
+async function listEvents(disasterId) {
+  const { rows } = await query(
+    `SELECT ${EVENT_COLUMNS} FROM disasterverificationevents WHERE disasterid = $1 ORDER BY createdat ASC, id ASC`,
+    [disasterId]
+  );
+  return rows;
+}
+
+/**
+ * Verified disasters with their location and the campaigns raising funds for them
+ * @param {Object} options
+ * @param {number} options.minConfidence - results below this confidence do not count as verified
+ * @param {string[]} options.campaignStatuses - campaigns in other statuses are left out of the list and the totals
+ * @returns {Promise<Array>} - campaigns are ordered by amount raised; raisedAmount and targetAmount are their totals
+ */
+async function listVerifiedWithCampaigns({ minConfidence, campaignStatuses }) {
+  const { rows } = await query(
+    `SELECT v.disasterid AS "disasterId", d.name, v.eventtype AS "eventType", v.confidence::float AS confidence,
+            v.latitude::float AS latitude, v.longitude::float AS longitude,
+            COALESCE(SUM(c.currentamount), 0)::float AS "raisedAmount",
+            COALESCE(SUM(c.targetamount), 0)::float AS "targetAmount",
+            COALESCE(json_agg(json_build_object(
+              'id', c.id, 'title', c.title, 'description', c.description, 'imageCID', c.imagecid,
+              'targetAmount', c.targetamount::float, 'currentAmount', c.currentamount::float, 'status', c.status
+            ) ORDER BY c.currentamount DESC) FILTER (WHERE c.id IS NOT NULL), '[]') AS campaigns
+     FROM disasterverifications v
+     LEFT JOIN disasters d ON d.id = v.disasterid
+     LEFT JOIN campaigns c ON c.disasterid = v.disasterid AND c.status = ANY($2)
+     WHERE v.status = 'verified' AND v.confidence >= $1
+     GROUP BY v.id, d.name
+     ORDER BY "raisedAmount" DESC`,
+    [minConfidence, campaignStatuses]
+  );
+  return rows;
+}
+
+module.exports = {
+  createVerification,
+  setRequestTx,
+  reopenRequest,
+  setVerified,
+  setFailed,
+  expirePending,
+  getVerification,
+  getByHash,
+  getStatus,
+  addEvent,
+  listEvents,
+  listVerifiedWithCampaigns,
+};
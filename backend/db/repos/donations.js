@@ -1,7 +1,12 @@
 const { pool, query } = require('../client');
 const { v4: uuidv4 } = require('uuid');
+const webhooksRepo = require('./webhooks');
 
 const ANON_WALLET = 'ANONYMOUS';
+// Campaign donationCount as the campaigns repo reports it, for RETURNING on campaigns
+const DONATION_COUNT = '(SELECT COUNT(*)::int FROM donations WHERE campaignid = campaigns.id) AS "donationCount"';
+// Platform total as GET /api/stats reports it, so realtime clients can replace theirs
+const TOTAL_DONATIONS = `(SELECT COALESCE(SUM(amount), 0) FROM donations WHERE status = 'confirmed') AS "totalDonations"`;
 
 async function ensureUserByWallet(client, wallet) {
   const res = await client.query('SELECT id FROM users WHERE walletaddress = $1', [wallet]);
@@ -11,7 +16,37 @@ async function ensureUserByWallet(client, wallet) {
   return id;
 }
 
-async function createDonation({ campaignId, donorWallet, amount, txHash, anonymous = false }) {
+// Donations start out pending; totals only move once confirmDonation runs
+// Returns the campaign's new currentAmount and donationCount and the platform totalDonations
+async function addToTotals(client, { campaignId, donorId, amount }) {
+  const { rows } = await client.query(
+    `UPDATE campaigns SET currentamount = currentamount + $1 WHERE id = $2
+     RETURNING currentamount AS "currentAmount", ${DONATION_COUNT}, ${TOTAL_DONATIONS}`,
+    [String(amount), campaignId]
+  );
+  await client.query(
+    'UPDATE users SET totaldonated = totaldonated + $1 WHERE id = $2',
+    [String(amount), donorId]
+  );
+  return rows[0] || { currentAmount: null, donationCount: null, totalDonations: null };
+}
+
+// Counts a confirmed donation and records donation.confirmed in the caller's transaction
+async function recordConfirmed(client, donation) {
+  const totals = await addToTotals(client, donation);
+  await webhooksRepo.enqueueEvent('donation.confirmed', {
+    donationId: donation.id,
+    campaignId: donation.campaignId,
+    donorId: donation.donorId,
+    donorWallet: donation.donorWallet,
+    amount: String(donation.amount),
+    txHash: donation.txHash,
+    timestamp: donation.timestamp,
+    ...totals,
+  }, client);
+}
+
+async function createDonation({ campaignId, donorWallet, amount, txHash, anonymous = false, status = 'pending' }) {
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
@@ -38,8 +73,8 @@ async function createDonation({ campaignId, donorWallet, amount, txHash, anonymo
     try {
       donationRes = await client.query(
         `INSERT INTO donations (id, campaignid, donor, amount, txhash, status)
-         VALUES ($1, $2, $3, $4, $5, 'confirmed') RETURNING id`,
-        [donationId, campaignId, donorId, String(amount), txHash]
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, timestamp`,
+        [donationId, campaignId, donorId, String(amount), txHash, status]
       );
     } catch (e) {
       // Unique violation for txHash
@@ -49,18 +84,13 @@ async function createDonation({ campaignId, donorWallet, amount, txHash, anonymo
       throw e;
     }
 
-    // Update totals
-    await client.query(
-      'UPDATE campaigns SET currentamount = currentamount + $1 WHERE id = $2',
-      [String(amount), campaignId]
-    );
-    await client.query(
-      'UPDATE users SET totaldonated = totaldonated + $1 WHERE id = $2',
-      [String(amount), donorId]
-    );
+    if (status === 'confirmed') {
+      const { timestamp } = donationRes.rows[0];
+      await recordConfirmed(client, { id: donationId, campaignId, donorId, donorWallet: wallet, amount, txHash, timestamp });
+    }
 
     await client.query('COMMIT');
-    return { id: donationRes.rows[0].id, donorId };
+    return { id: donationRes.rows[0].id, donorId, status };
   } catch (err) {
     try { await client.query('ROLLBACK'); } catch (_) {}
     throw err;
@@ -93,4 +123,124 @@ async function listDonationsByCampaign({ campaignId, page = 1, limit = 10 }) {
   return { items: dataRes.rows, page, limit, total: countRes.rows[0].count };
 }
 
-module.exports = { createDonation, listDonationsByCampaign };
+async function getDonationById(id) {
+  const { rows } = await query(
+    `SELECT d.id, d.campaignid AS "campaignId", d.donor AS "donorId", u.walletaddress AS "donorWallet",
+            d.amount, d.txhash AS "txHash", d.status, d.timestamp
+     FROM donations d LEFT JOIN users u ON u.id = d.donor
+     WHERE d.id = $1`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+async function confirmDonation({ txHash }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const res = await client.query(
+      `UPDATE donations SET status = 'confirmed' WHERE txhash = $1 AND status = 'pending'
+       RETURNING id, campaignid AS "campaignId", donor AS "donorId", amount`,
+      [txHash]
+    );
+    if (res.rowCount === 0) {
+      await client.query('COMMIT');
+      return null;
+    }
+    const confirmed = res.rows[0];
+    const { rows: [details] } = await client.query(
+      `SELECT u.walletaddress AS "donorWallet", d.timestamp FROM donations d JOIN users u ON u.id = d.donor WHERE d.id = $1`,
+      [confirmed.id]
+    );
+    await recordConfirmed(client, { ...confirmed, ...details, txHash });
+    await client.query('COMMIT');
+    return confirmed;
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch (_) {}
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function failDonation({ txHash }) {
+  const { rowCount, rows } = await query(
+    `UPDATE donations SET status = 'failed' WHERE txhash = $1 AND status = 'pending' RETURNING id`,
+    [txHash]
+  );
+  return rowCount > 0 ? rows[0] : null;
+}
+
+async function listPendingDonations({ limit = 100 } = {}) {
+  const { rows } = await query(
+    `SELECT id, campaignid AS "campaignId", amount, txhash AS "txHash", createdat AS "createdAt"
+     FROM donations WHERE status = 'pending' ORDER BY createdat ASC LIMIT $1`,
+    [limit]
+  );
+  return rows;
+}
+
+// Reverses createDonation: removes the row and takes its amount back off the totals
+async function removeDonation({ txHash }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const res = await client.query(
+      'DELETE FROM donations WHERE txhash = $1 RETURNING id, campaignid, donor, amount, status',
+      [txHash]
+    );
+    if (res.rowCount === 0 || res.rows[0].status !== 'confirmed') {
+      await client.query('COMMIT');
+      return res.rows[0] ? { id: res.rows[0].id } : null;
+    }
+    const { id, campaignid, donor, amount } = res.rows[0];
+    const { rows } = await client.query(
+      `UPDATE campaigns SET currentamount = currentamount - $1 WHERE id = $2
+       RETURNING currentamount AS "currentAmount", ${DONATION_COUNT}, ${TOTAL_DONATIONS}`,
+      [String(amount), campaignid]
+    );
+    await client.query(
+      'UPDATE users SET totaldonated = totaldonated - $1 WHERE id = $2',
+      [String(amount), donor]
+    );
+    await webhooksRepo.enqueueEvent('donation.removed', {
+      donationId: id,
+      campaignId: campaignid,
+      amount: String(amount),
+      txHash,
+      currentAmount: rows[0] ? rows[0].currentAmount : null,
+      donationCount: rows[0] ? rows[0].donationCount : null,
+      totalDonations: rows[0] ? rows[0].totalDonations : null,
+    }, client);
+    await client.query('COMMIT');
+    return { id };
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch (_) {}
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Whether the wallet has a confirmed donation to the campaign
+async function hasConfirmedDonation({ campaignId, walletAddress }) {
+  const { rowCount } = await query(
+    `SELECT 1 FROM donations d JOIN users u ON u.id = d.donor
+     WHERE d.campaignid = $1 AND LOWER(u.walletaddress) = LOWER($2) AND d.status = 'confirmed'
+     LIMIT 1`,
+    [campaignId, walletAddress]
+  );
+  return rowCount > 0;
+}
+
+module.exports = {
+  ANON_WALLET,
+  createDonation,
+  getDonationById,
+  confirmDonation,
+  failDonation,
+  listPendingDonations,
+  listDonationsByCampaign,
+  removeDonation,
+  hasConfirmedDonation,
+};
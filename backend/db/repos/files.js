@@ -1,15 +1,128 @@
 const { query } = require('../client');
 const { v4: uuidv4 } = require('uuid');
 
-async function saveUploadedFile({ cid, documentType, uploader, originalName, mimeType, sizeBytes }) {
+const FILE_COLUMNS = `id, cid, documenttype AS "documentType", uploader, originalname AS "originalName", mimetype AS "mimeType",
+  sizebytes AS "sizeBytes", metadata, verificationstatus AS "verificationStatus",
+  registrationattempts AS "registrationAttempts", registrationerror AS "registrationError",
+  registertxhash AS "registerTxHash", registeredat AS "registeredAt", reviewtxhash AS "reviewTxHash",
+  reviewedby AS "reviewedBy", reviewreason AS "reviewReason", reviewedat AS "reviewedAt", createdat AS "createdAt"`;
+
+// A CID is stored once: uploading the same content again returns the existing row
+async function saveUploadedFile({ cid, documentType, uploader, originalName, mimeType, sizeBytes, metadata, verificationStatus = 'offchain' }) {
   const id = uuidv4();
   const { rows } = await query(
-    `INSERT INTO uploadedfiles (id, cid, documenttype, uploader, originalname, mimetype, sizebytes)
-     VALUES ($1, $2, $3, $4, $5, $6, $7)
-     RETURNING id, cid, documenttype AS "documentType", uploader, originalname AS "originalName", mimetype AS "mimeType", sizebytes AS "sizeBytes", createdat AS "createdAt"`,
-    [id, cid, documentType, uploader || null, originalName || null, mimeType || null, sizeBytes || null]
+    `INSERT INTO uploadedfiles (id, cid, documenttype, uploader, originalname, mimetype, sizebytes, metadata, verificationstatus)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     ON CONFLICT (cid) DO NOTHING
+     RETURNING ${FILE_COLUMNS}`,
+    [id, cid, documentType, uploader || null, originalName || null, mimeType || null, sizeBytes || null,
+      metadata ? JSON.stringify(metadata) : null, verificationStatus]
+  );
+  return rows[0] || getFileByCid(cid);
+}
+
+async function getFileByCid(cid) {
+  const { rows } = await query(`SELECT ${FILE_COLUMNS} FROM uploadedfiles WHERE cid = $1`, [cid]);
+  return rows[0] || null;
+}
+
+async function listFiles({ page = 1, limit = 20, documentType, status, uploader } = {}) {
+  const where = [];
+  const params = [];
+  if (documentType) {
+    params.push(documentType);
+    where.push(`documenttype = $${params.length}`);
+  }
+  if (status) {
+    params.push(status);
+    where.push(`verificationstatus = $${params.length}`);
+  }
+  if (uploader) {
+    params.push(uploader);
+    where.push(`uploader = $${params.length}`);
+  }
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const offset = (page - 1) * limit;
+
+  const [list, count] = await Promise.all([
+    query(
+      `SELECT ${FILE_COLUMNS} FROM uploadedfiles ${whereSql}
+       ORDER BY createdat DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    ),
+    query(`SELECT COUNT(*)::int AS count FROM uploadedfiles ${whereSql}`, params),
+  ]);
+  return { items: list.rows, page, limit, total: count.rows[0].count };
+}
+
+// Takes a file for registration; null when another worker has it or it needs none
+async function claimForRegistration({ cid, staleMs }) {
+  const { rows } = await query(
+    `UPDATE uploadedfiles
+     SET verificationstatus = 'registering', registrationattempts = registrationattempts + 1, updatedat = CURRENT_TIMESTAMP
+     WHERE cid = $1
+       AND (verificationstatus IN ('unregistered', 'failed')
+            OR (verificationstatus = 'registering' AND updatedat < CURRENT_TIMESTAMP - make_interval(secs => $2)))
+     RETURNING ${FILE_COLUMNS}`,
+    [cid, staleMs / 1000]
+  );
+  return rows[0] || null;
+}
+
+// Files waiting for (another) registration attempt, oldest first
+async function listRegistrationBacklog({ maxAttempts, staleMs, limit = 20 }) {
+  const { rows } = await query(
+    `SELECT ${FILE_COLUMNS} FROM uploadedfiles
+     WHERE registrationattempts < $1
+       AND (verificationstatus IN ('unregistered', 'failed')
+            OR (verificationstatus = 'registering' AND updatedat < CURRENT_TIMESTAMP - make_interval(secs => $2)))
+     ORDER BY createdat ASC LIMIT $3`,
+    [maxAttempts, staleMs / 1000, limit]
+  );
+  return rows;
+}
+
+async function markRegistered({ cid, txHash, status = 'pending' }) {
+  const { rows } = await query(
+    `UPDATE uploadedfiles
+     SET verificationstatus = $2, registertxhash = $3, registeredat = CURRENT_TIMESTAMP, registrationerror = NULL,
+         updatedat = CURRENT_TIMESTAMP
+     WHERE cid = $1
+     RETURNING ${FILE_COLUMNS}`,
+    [cid, status, txHash || null]
+  );
+  return rows[0] || null;
+}
+
+async function markRegistrationFailed({ cid, error }) {
+  const { rows } = await query(
+    `UPDATE uploadedfiles SET verificationstatus = 'failed', registrationerror = $2, updatedat = CURRENT_TIMESTAMP
+     WHERE cid = $1
+     RETURNING ${FILE_COLUMNS}`,
+    [cid, error]
+  );
+  return rows[0] || null;
+}
+
+async function recordReview({ cid, approved, reason, reviewer, txHash }) {
+  const { rows } = await query(
+    `UPDATE uploadedfiles
+     SET verificationstatus = $2, reviewreason = $3, reviewedby = $4, reviewtxhash = $5, reviewedat = CURRENT_TIMESTAMP,
+         updatedat = CURRENT_TIMESTAMP
+     WHERE cid = $1
+     RETURNING ${FILE_COLUMNS}`,
+    [cid, approved ? 'approved' : 'rejected', reason || null, reviewer, txHash]
   );
-  return rows[0];
+  return rows[0] || null;
 }
 
-module.exports = { saveUploadedFile };
+module.exports = {
+  saveUploadedFile,
+  getFileByCid,
+  listFiles,
+  claimForRegistration,
+  listRegistrationBacklog,
+  markRegistered,
+  markRegistrationFailed,
+  recordReview,
+};
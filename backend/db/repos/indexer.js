@@ -0,0 +1,58 @@
+const { query } = require('../client');
+const { v4: uuidv4 } = require('uuid');
+
+async function getCursor(name) {
+  const { rows } = await query(
+    `SELECT name, blocknumber AS "blockNumber", blockhash AS "blockHash", updatedat AS "updatedAt" FROM indexercursors WHERE name = $1`,
+    [name]
+  );
+  if (!rows[0]) return null;
+  return { ...rows[0], blockNumber: Number(rows[0].blockNumber) };
+}
+
+async function setCursor({ name, blockNumber, blockHash }) {
+  await query(
+    `INSERT INTO indexercursors (name, blocknumber, blockhash, updatedat)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+     ON CONFLICT (name) DO UPDATE SET blocknumber = EXCLUDED.blocknumber, blockhash = EXCLUDED.blockhash, updatedat = CURRENT_TIMESTAMP`,
+    [name, blockNumber, blockHash || null]
+  );
+}
+
+async function isRecorded({ txHash, logIndex }) {
+  const { rowCount } = await query(
+    'SELECT 1 FROM chainevents WHERE txhash = $1 AND logindex = $2',
+    [txHash, logIndex]
+  );
+  return rowCount > 0;
+}
+
+async function recordEvent({ blockNumber, blockHash, txHash, logIndex, eventName, entityId, undo }) {
+  const id = uuidv4();
+  const { rowCount } = await query(
+    `INSERT INTO chainevents (id, blocknumber, blockhash, txhash, logindex, eventname, entityid, undo)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (txhash, logindex) DO NOTHING`,
+    [id, blockNumber, blockHash, txHash, logIndex, eventName, entityId || null, undo ? JSON.stringify(undo) : null]
+  );
+  return rowCount > 0;
+}
+
+// Newest first, so effects are reverted in the opposite order they were applied
+async function listEventsFrom(blockNumber) {
+  const { rows } = await query(
+    `SELECT id, blocknumber AS "blockNumber", blockhash AS "blockHash", txhash AS "txHash", logindex AS "logIndex",
+            eventname AS "eventName", entityid AS "entityId", undo
+     FROM chainevents WHERE blocknumber >= $1
+     ORDER BY blocknumber DESC, createdat DESC, logindex DESC`,
+    [blockNumber]
+  );
+  return rows;
+}
+
+async function deleteEventsFrom(blockNumber) {
+  const { rowCount } = await query('DELETE FROM chainevents WHERE blocknumber >= $1', [blockNumber]);
+  return rowCount;
+}
+
+module.exports = { getCursor, setCursor, isRecorded, recordEvent, listEventsFrom, deleteEventsFrom };
@@ -1,50 +1,519 @@
 const { query, pool } = require('../client');
 const { v4: uuidv4 } = require('uuid');
+const webhooksRepo = require('./webhooks');
 
-async function createMilestone({ campaignId, title, description, proofCID, fundAmount }) {
+const MILESTONE_COLUMNS = `id, campaignid AS "campaignId", title, description, proofcid AS "proofCID", approved,
+  fundamount AS "fundAmount", onchainindex AS "onChainIndex", releasedat AS "releasedAt",
+  releasetxhash AS "releaseTxHash", releaseblocknumber AS "releaseBlockNumber", releasegasused AS "releaseGasUsed",
+  approvalquorum AS "approvalQuorum", approvedat AS "approvedAt", approvaltxhash AS "approvalTxHash",
+  challengeendsat AS "challengeEndsAt", createdat AS "createdAt", updatedat AS "updatedAt"`;
+
+const DISPUTE_COLUMNS = `id, milestoneid AS "milestoneId", raisedby AS "raisedBy", reason, evidencecids AS "evidenceCids",
+  status, resolvedby AS "resolvedBy", resolution, resolvedat AS "resolvedAt", createdat AS "createdAt", updatedat AS "updatedAt"`;
+
+const COMMENT_COLUMNS = `id, disputeid AS "disputeId", author, body, evidencecids AS "evidenceCids", createdat AS "createdAt"`;
+
+const PROOF_VERSION_COLUMNS = `v.id, v.milestoneid AS "milestoneId", v.version, v.cid, v.files, v.note, v.status,
+  v.submittedby AS "submittedBy", v.createdat AS "createdAt"`;
+
+const PROOF_COMMENT_COLUMNS = `id, versionid AS "versionId", author, body, requestschanges AS "requestsChanges", createdat AS "createdAt"`;
+
+const APPROVAL_COLUMNS = `id, verifier, proofcid AS "proofCID", amountwei AS "amountWei", signature,
+  submittedby AS "submittedBy", createdat AS "createdAt"`;
+
+const createdEvent = (m) => ({
+  type: 'milestone.created',
+  data: {
+    milestoneId: m.id,
+    campaignId: m.campaignId,
+    title: m.title,
+    description: m.description,
+    fundAmount: m.fundAmount,
+    proofCID: m.proofCID,
+    onChainIndex: m.onChainIndex,
+    createdAt: m.createdAt,
+  },
+});
+
+// Dispute as listByCampaign returns it
+const disputeEventData = (d) => ({
+  milestoneId: d.milestoneId,
+  campaignId: d.campaignId,
+  dispute: { id: d.id, status: d.status, reason: d.reason, evidenceCids: d.evidenceCids, createdAt: d.createdAt, resolvedAt: d.resolvedAt },
+});
+
+// A proof CID given at creation becomes proof version 1
+async function createMilestone({ campaignId, title, description, proofCID, fundAmount, onChainIndex }) {
   const id = uuidv4();
   const sql = `
-    INSERT INTO milestones (id, campaignid, title, description, proofcid, approved, fundamount)
-    VALUES ($1, $2, $3, $4, $5, FALSE, $6)
-    RETURNING id, campaignid AS "campaignId", title, description, proofcid AS "proofCID", approved, fundamount AS "fundAmount", releasedat AS "releasedAt", createdat AS "createdAt", updatedat AS "updatedAt";
+    WITH m AS (
+      INSERT INTO milestones (id, campaignid, title, description, proofcid, approved, fundamount, onchainindex)
+      VALUES ($1, $2, $3, $4, $5, FALSE, $6, $7)
+      RETURNING *
+    ), v AS (
+      INSERT INTO milestoneproofversions (id, milestoneid, version, cid)
+      SELECT $8, m.id, 1, m.proofcid FROM m WHERE m.proofcid IS NOT NULL
+    )
+    SELECT ${MILESTONE_COLUMNS} FROM m;
   `;
-  const { rows } = await query(sql, [id, campaignId, title, description || null, proofCID || null, String(fundAmount)]);
-  return rows[0];
+  return webhooksRepo.withEvent(async (client) => {
+    const { rows } = await client.query(sql, [id, campaignId, title, description || null, proofCID || null, String(fundAmount), onChainIndex ?? null, uuidv4()]);
+    return { result: rows[0], event: createdEvent(rows[0]) };
+  });
+}
+
+// Campaign totals over its milestones; allocation is capped by the larger of target and raised
+const budgetSql = (campaignParam) => `
+  SELECT b.*,
+         b."allocatedAmount" - b."releasedAmount" AS "remainingAmount",
+         GREATEST(b."targetAmount", b."raisedAmount") - b."allocatedAmount" AS "unallocatedAmount"
+  FROM (
+    SELECT c.id AS "campaignId", c.targetamount AS "targetAmount", c.currentamount AS "raisedAmount",
+           COALESCE(SUM(m.fundamount), 0) AS "allocatedAmount",
+           COALESCE(SUM(m.fundamount) FILTER (WHERE m.releasedat IS NOT NULL), 0) AS "releasedAmount",
+           COUNT(m.id)::int AS "milestoneCount",
+           COUNT(m.releasedat)::int AS "releasedCount"
+    FROM campaigns c LEFT JOIN milestones m ON m.campaignid = c.id
+    WHERE c.id = ${campaignParam}
+    GROUP BY c.id
+  ) b`;
+
+// null for unknown campaigns
+async function getBudget(campaignId) {
+  const { rows } = await query(budgetSql('$1'), [campaignId]);
+  return rows[0] || null;
 }
 
+const insertProofVersion = (client, { milestoneId, version, cid, files = [], note, submittedBy }) =>
+  client.query(
+    `INSERT INTO milestoneproofversions AS v (id, milestoneid, version, cid, files, note, submittedby)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING ${PROOF_VERSION_COLUMNS}`,
+    [uuidv4(), milestoneId, version, cid, JSON.stringify(files), note || null, submittedBy || null]
+  );
+
+// createMilestone for creators: null when the amount does not fit the campaign's unallocated budget.
+// proof ({ cid, files, note, submittedBy }) is recorded as version 1.
+async function createMilestoneWithinBudget({ id = uuidv4(), campaignId, title, description, fundAmount, proof }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Serialises allocations per campaign so concurrent milestones cannot overshoot together
+    await client.query('SELECT id FROM campaigns WHERE id = $1 FOR UPDATE', [campaignId]);
+    const { rows } = await client.query(
+      `INSERT INTO milestones (id, campaignid, title, description, proofcid, approved, fundamount)
+       SELECT $2, $1, $3, $4, $5, FALSE, $6
+       FROM (${budgetSql('$1')}) budget
+       WHERE budget."unallocatedAmount" >= $6::numeric
+       RETURNING ${MILESTONE_COLUMNS}`,
+      [campaignId, id, title, description || null, proof ? proof.cid : null, String(fundAmount)]
+    );
+    if (rows[0] && proof) await insertProofVersion(client, { ...proof, milestoneId: id, version: 1 });
+    if (rows[0]) {
+      const { type, data } = createdEvent(rows[0]);
+      await webhooksRepo.enqueueEvent(type, data, client);
+    }
+    await client.query('COMMIT');
+    return rows[0] || null;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// First milestone created before this one that has not been released; releases go in order.
+// Milestones frozen by an upheld dispute are never released, so they do not hold up later ones.
+async function findUnreleasedBefore(id) {
+  const { rows } = await query(
+    `SELECT ${MILESTONE_COLUMNS} FROM milestones
+     WHERE releasedat IS NULL
+       AND NOT EXISTS (SELECT 1 FROM milestonedisputes d WHERE d.milestoneid = milestones.id AND d.status = 'upheld')
+       AND campaignid = (SELECT campaignid FROM milestones WHERE id = $1)
+       AND (createdat, id) < (SELECT createdat, id FROM milestones WHERE id = $1)
+     ORDER BY createdat ASC, id ASC
+     LIMIT 1`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+// Each milestone carries its disputes (without threads) for the challenge countdown
 async function listByCampaign({ campaignId }) {
   const { rows } = await query(
-    `SELECT id, campaignid AS "campaignId", title, description, proofcid AS "proofCID", approved, fundamount AS "fundAmount", releasedat AS "releasedAt", createdat AS "createdAt", updatedat AS "updatedAt"
-     FROM milestones WHERE campaignid = $1 ORDER BY createdat ASC`,
+    `SELECT ${MILESTONE_COLUMNS},
+       COALESCE((
+         SELECT json_agg(json_build_object('id', d.id, 'status', d.status, 'reason', d.reason,
+           'evidenceCids', d.evidencecids, 'createdAt', d.createdat, 'resolvedAt', d.resolvedat) ORDER BY d.createdat)
+         FROM milestonedisputes d WHERE d.milestoneid = milestones.id
+       ), '[]'::json) AS disputes
+     FROM milestones WHERE campaignid = $1 ORDER BY createdat ASC, id ASC`,
     [campaignId]
   );
   return rows;
 }
 
-async function approveMilestone({ id }) {
-  const { rowCount, rows } = await query(
-    `UPDATE milestones SET approved = TRUE WHERE id = $1 AND approved = FALSE RETURNING id, approved`,
+// Keeps an existing releasedAt so the indexer and the release route can both record the same release;
+// funds.released is emitted by whichever records it first
+async function markReleased({ id, txHash, blockNumber, gasUsed }) {
+  return webhooksRepo.withEvent(async (client) => {
+    const { rows } = await client.query(
+      `UPDATE milestones m
+       SET releasedat = COALESCE(m.releasedat, CURRENT_TIMESTAMP),
+           releasetxhash = COALESCE($2, m.releasetxhash),
+           releaseblocknumber = COALESCE($3, m.releaseblocknumber),
+           releasegasused = COALESCE($4, m.releasegasused)
+       FROM (SELECT id, releasedat FROM milestones WHERE id = $1 FOR UPDATE) previous
+       WHERE m.id = previous.id
+       RETURNING m.id, m.campaignid AS "campaignId", m.fundamount AS "fundAmount", m.onchainindex AS "onChainIndex",
+         m.releasedat AS "releasedAt", m.releasetxhash AS "releaseTxHash", m.releaseblocknumber AS "releaseBlockNumber",
+         m.releasegasused AS "releaseGasUsed", previous.releasedat IS NULL AS "firstRelease"`,
+      [id, txHash || null, blockNumber ?? null, gasUsed ?? null]
+    );
+    if (!rows[0]) return { result: null, event: null };
+    const { campaignId, fundAmount, onChainIndex, firstRelease, ...released } = rows[0];
+    const event = firstRelease && {
+      type: 'funds.released',
+      data: {
+        milestoneId: id,
+        campaignId,
+        onChainIndex,
+        fundAmount,
+        txHash: released.releaseTxHash,
+        blockNumber: released.releaseBlockNumber,
+        releasedAt: released.releasedAt,
+      },
+    };
+    return { result: released, event };
+  });
+}
+
+async function getById(id) {
+  const { rows } = await query(
+    `SELECT ${MILESTONE_COLUMNS} FROM milestones WHERE id = $1`,
     [id]
   );
-  if (rowCount === 0) return null;
-  return rows[0];
+  return rows[0] || null;
 }
 
-async function markReleased({ id }) {
-  const { rowCount, rows } = await query(
-    `UPDATE milestones SET releasedat = CURRENT_TIMESTAMP WHERE id = $1 RETURNING id, releasedat AS "releasedAt"`,
-    [id]
+async function getByOnChainIndex({ campaignId, onChainIndex }) {
+  const { rows } = await query(
+    `SELECT ${MILESTONE_COLUMNS}
+     FROM milestones WHERE campaignid = $1 AND onchainindex = $2`,
+    [campaignId, onChainIndex]
+  );
+  return rows[0] || null;
+}
+
+async function setProofCID({ id, proofCID }) {
+  const { rowCount } = await query(`UPDATE milestones SET proofcid = $2 WHERE id = $1`, [id, proofCID || null]);
+  return rowCount > 0;
+}
+
+async function unmarkReleased({ id }) {
+  const { rowCount } = await query(`UPDATE milestones SET releasedat = NULL, releasetxhash = NULL, releaseblocknumber = NULL, releasegasused = NULL WHERE id = $1`, [id]);
+  return rowCount > 0;
+}
+
+async function setOnChainIndex({ id, onChainIndex }) {
+  try {
+    const { rowCount } = await query(`UPDATE milestones SET onchainindex = $2 WHERE id = $1`, [id, onChainIndex]);
+    return rowCount > 0;
+  } catch (e) {
+    if (e && e.code === '23505') {
+      throw Object.assign(new Error('On-chain milestone is already linked'), { status: 409 });
+    }
+    throw e;
+  }
+}
+
+async function deleteMilestone(id) {
+  const { rowCount } = await query('DELETE FROM milestones WHERE id = $1', [id]);
+  return rowCount > 0;
+}
+
+// Replaces the milestone's verifier set and quorum
+async function setVerifiers({ milestoneId, verifiers, quorum, assignedBy }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM milestoneverifiers WHERE milestoneid = $1', [milestoneId]);
+    await client.query(
+      `INSERT INTO milestoneverifiers (milestoneid, walletaddress, assignedby)
+       SELECT $1, UNNEST($2::varchar[]), $3`,
+      [milestoneId, verifiers.map((v) => v.toLowerCase()), assignedBy || null]
+    );
+    await client.query(
+      'UPDATE milestones SET approvalquorum = $2, updatedat = CURRENT_TIMESTAMP WHERE id = $1',
+      [milestoneId, quorum]
+    );
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+  return listVerifiers(milestoneId);
+}
+
+async function listVerifiers(milestoneId) {
+  const { rows } = await query(
+    'SELECT walletaddress FROM milestoneverifiers WHERE milestoneid = $1 ORDER BY walletaddress',
+    [milestoneId]
+  );
+  return rows.map((r) => r.walletaddress);
+}
+
+// null when this verifier already signed this proof
+async function addApproval({ milestoneId, verifier, proofCID, amountWei, signature, submittedBy }) {
+  const { rows } = await query(
+    `INSERT INTO milestoneapprovals (id, milestoneid, verifier, proofcid, amountwei, signature, submittedby)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (milestoneid, verifier, proofcid) DO NOTHING
+     RETURNING ${APPROVAL_COLUMNS}`,
+    [uuidv4(), milestoneId, verifier.toLowerCase(), proofCID, amountWei, signature, submittedBy || null]
+  );
+  return rows[0] || null;
+}
+
+async function listApprovals(milestoneId) {
+  const { rows } = await query(
+    `SELECT ${APPROVAL_COLUMNS} FROM milestoneapprovals WHERE milestoneid = $1 ORDER BY createdat ASC, id ASC`,
+    [milestoneId]
+  );
+  return rows;
+}
+
+// Quorum reached; txHash is the on-chain approval for linked milestones
+async function markApproved({ id, txHash, challengeEndsAt }) {
+  return webhooksRepo.withEvent(async (client) => {
+    const { rows } = await client.query(
+      `UPDATE milestones
+       SET approved = TRUE, approvedat = CURRENT_TIMESTAMP, approvaltxhash = $2, challengeendsat = $3,
+           updatedat = CURRENT_TIMESTAMP
+       WHERE id = $1 AND approved = FALSE
+       RETURNING ${MILESTONE_COLUMNS}`,
+      [id, txHash || null, challengeEndsAt || null]
+    );
+    const m = rows[0] || null;
+    const event = m && {
+      type: 'milestone.approved',
+      data: {
+        milestoneId: m.id,
+        campaignId: m.campaignId,
+        title: m.title,
+        fundAmount: m.fundAmount,
+        proofCID: m.proofCID,
+        approvalTxHash: m.approvalTxHash,
+        approvedAt: m.approvedAt,
+        challengeEndsAt: m.challengeEndsAt,
+      },
+    };
+    return { result: m, event };
+  });
+}
+
+// null when the donor already has an open dispute on this milestone
+async function fileDispute({ milestoneId, raisedBy, reason, evidenceCids = [] }) {
+  return webhooksRepo.withEvent(async (client) => {
+    const { rows } = await client.query(
+      `INSERT INTO milestonedisputes (id, milestoneid, raisedby, reason, evidencecids)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (milestoneid, raisedby) WHERE status = 'open' DO NOTHING
+       RETURNING ${DISPUTE_COLUMNS}, (SELECT campaignid FROM milestones WHERE id = $2) AS "campaignId"`,
+      [uuidv4(), milestoneId, raisedBy, reason, evidenceCids]
+    );
+    if (!rows[0]) return { result: null, event: null };
+    const { campaignId, ...dispute } = rows[0];
+    return { result: dispute, event: { type: 'milestone.disputed', data: disputeEventData(rows[0]) } };
+  });
+}
+
+async function getDispute(id) {
+  const { rows } = await query(`SELECT ${DISPUTE_COLUMNS} FROM milestonedisputes WHERE id = $1`, [id]);
+  return rows[0] || null;
+}
+
+async function listDisputes(milestoneId) {
+  const { rows } = await query(
+    `SELECT ${DISPUTE_COLUMNS} FROM milestonedisputes WHERE milestoneid = $1 ORDER BY createdat ASC, id ASC`,
+    [milestoneId]
+  );
+  return rows;
+}
+
+async function addDisputeComment({ disputeId, author, body, evidenceCids = [] }) {
+  const { rows } = await query(
+    `INSERT INTO milestonedisputecomments (id, disputeid, author, body, evidencecids)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING ${COMMENT_COLUMNS}`,
+    [uuidv4(), disputeId, author, body, evidenceCids]
   );
-  if (rowCount === 0) return null;
   return rows[0];
 }
 
-async function getById(id) {
+async function listDisputeComments(disputeId) {
   const { rows } = await query(
-    `SELECT id, campaignid AS "campaignId", title, description, proofcid AS "proofCID", approved, fundamount AS "fundAmount", releasedat AS "releasedAt", createdat AS "createdAt", updatedat AS "updatedAt" FROM milestones WHERE id = $1`,
-    [id]
+    `SELECT ${COMMENT_COLUMNS} FROM milestonedisputecomments WHERE disputeid = $1 ORDER BY createdat ASC, id ASC`,
+    [disputeId]
+  );
+  return rows;
+}
+
+// Moves the dispute only if it is still in `from`; null when someone else resolved it first
+async function resolveDispute({ id, from, to, resolvedBy, resolution }) {
+  return webhooksRepo.withEvent(async (client) => {
+    const { rows } = await client.query(
+      `UPDATE milestonedisputes
+       SET status = $3, resolvedby = $4, resolution = $5, resolvedat = CURRENT_TIMESTAMP, updatedat = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = $2
+       RETURNING ${DISPUTE_COLUMNS}, (SELECT campaignid FROM milestones m WHERE m.id = milestonedisputes.milestoneid) AS "campaignId"`,
+      [id, from, to, resolvedBy, resolution]
+    );
+    if (!rows[0]) return { result: null, event: null };
+    const { campaignId, ...dispute } = rows[0];
+    return { result: dispute, event: { type: 'milestone.dispute_resolved', data: disputeEventData(rows[0]) } };
+  });
+}
+
+// Next numbered proof version, which becomes the milestone's proof; null when another version took the number
+async function addProofVersion({ milestoneId, cid, files = [], note, submittedBy }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: [{ next }] } = await client.query(
+      'SELECT COALESCE(MAX(version), 0) + 1 AS next FROM milestoneproofversions WHERE milestoneid = $1',
+      [milestoneId]
+    );
+    const { rows } = await insertProofVersion(client, { milestoneId, version: next, cid, files, note, submittedBy });
+    const { rows: [milestone] } = await client.query(
+      'UPDATE milestones SET proofcid = $2, updatedat = CURRENT_TIMESTAMP WHERE id = $1 RETURNING campaignid AS "campaignId"',
+      [milestoneId, cid]
+    );
+    await webhooksRepo.enqueueEvent('milestone.proof_submitted', {
+      milestoneId,
+      campaignId: milestone ? milestone.campaignId : null,
+      version: next,
+      proofCID: cid,
+    }, client);
+    await client.query('COMMIT');
+    return rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') return null;
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Oldest first, with comment counts
+async function listProofVersions(milestoneId) {
+  const { rows } = await query(
+    `SELECT ${PROOF_VERSION_COLUMNS},
+       COUNT(c.id)::int AS "commentCount",
+       COUNT(c.id) FILTER (WHERE c.requestschanges)::int AS "changeRequestCount"
+     FROM milestoneproofversions v LEFT JOIN milestoneproofcomments c ON c.versionid = v.id
+     WHERE v.milestoneid = $1
+     GROUP BY v.id
+     ORDER BY v.version ASC`,
+    [milestoneId]
+  );
+  return rows;
+}
+
+async function getProofVersion({ milestoneId, version }) {
+  const { rows } = await query(
+    `SELECT ${PROOF_VERSION_COLUMNS} FROM milestoneproofversions v WHERE v.milestoneid = $1 AND v.version = $2`,
+    [milestoneId, version]
   );
   return rows[0] || null;
 }
 
-module.exports = { createMilestone, listByCampaign, approveMilestone, markReleased, getById };
+async function getLatestProofVersion(milestoneId) {
+  const { rows } = await query(
+    `SELECT ${PROOF_VERSION_COLUMNS} FROM milestoneproofversions v WHERE v.milestoneid = $1 ORDER BY v.version DESC LIMIT 1`,
+    [milestoneId]
+  );
+  return rows[0] || null;
+}
+
+// Only the indexer removes versions, when the on-chain submission is reorged away
+async function deleteProofVersion(id) {
+  const { rowCount } = await query('DELETE FROM milestoneproofversions WHERE id = $1', [id]);
+  return rowCount > 0;
+}
+
+// A change request also marks the version changes_requested
+async function addProofComment({ versionId, author, body, requestsChanges = false }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `INSERT INTO milestoneproofcomments (id, versionid, author, body, requestschanges)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${PROOF_COMMENT_COLUMNS}`,
+      [uuidv4(), versionId, author, body, requestsChanges]
+    );
+    if (requestsChanges) {
+      const { rows: [version] } = await client.query(
+        `UPDATE milestoneproofversions v SET status = 'changes_requested'
+         FROM milestones m
+         WHERE v.id = $1 AND m.id = v.milestoneid
+         RETURNING v.milestoneid AS "milestoneId", m.campaignid AS "campaignId", v.version`,
+        [versionId]
+      );
+      if (version) await webhooksRepo.enqueueEvent('milestone.changes_requested', version, client);
+    }
+    await client.query('COMMIT');
+    return rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function listProofComments(versionId) {
+  const { rows } = await query(
+    `SELECT ${PROOF_COMMENT_COLUMNS} FROM milestoneproofcomments WHERE versionid = $1 ORDER BY createdat ASC, id ASC`,
+    [versionId]
+  );
+  return rows;
+}
+
+module.exports = {
+  createMilestone,
+  createMilestoneWithinBudget,
+  getBudget,
+  findUnreleasedBefore,
+  listByCampaign,
+  markReleased,
+  getById,
+  getByOnChainIndex,
+  setProofCID,
+  setOnChainIndex,
+  unmarkReleased,
+  deleteMilestone,
+  setVerifiers,
+  listVerifiers,
+  addApproval,
+  listApprovals,
+  markApproved,
+  fileDispute,
+  getDispute,
+  listDisputes,
+  addDisputeComment,
+  listDisputeComments,
+  resolveDispute,
+  addProofVersion,
+  listProofVersions,
+  getProofVersion,
+  getLatestProofVersion,
+  deleteProofVersion,
+  addProofComment,
+  listProofComments,
+};
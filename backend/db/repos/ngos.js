@@ -0,0 +1,192 @@
+const { query, pool } = require('../client');
+const { v4: uuidv4 } = require('uuid');
+
+const NGO_COLUMNS = `n.id, n.legalname AS "legalName", n.registrationnumber AS "registrationNumber", n.country,
+  n.contactemail AS "contactEmail", n.contactphone AS "contactPhone", n.website, n.documentcids AS "documentCids",
+  n.status, n.submittedby AS "submittedBy", n.createdat AS "createdAt", n.updatedat AS "updatedAt",
+  ARRAY(SELECT w.walletaddress FROM ngowallets w WHERE w.ngoid = n.id ORDER BY w.createdat, w.walletaddress) AS "walletAddresses"`;
+
+const REVIEW_COLUMNS = `id, fromstatus AS "fromStatus", tostatus AS "toStatus", reviewer, reason, createdat AS "createdAt"`;
+
+const UNIQUE_VIOLATION = '23505';
+
+async function inTransaction(work) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query(result === null ? 'ROLLBACK' : 'COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+const insertWallets = (client, ngoId, walletAddresses) =>
+  client.query(
+    'INSERT INTO ngowallets (walletaddress, ngoid) SELECT UNNEST($2::varchar[]), $1',
+    [ngoId, walletAddresses.map((w) => w.toLowerCase())]
+  );
+
+async function getNgo(id) {
+  const { rows } = await query(`SELECT ${NGO_COLUMNS} FROM ngos n WHERE n.id = $1`, [id]);
+  return rows[0] || null;
+}
+
+async function getNgoByWallet(walletAddress) {
+  const { rows } = await query(
+    `SELECT ${NGO_COLUMNS} FROM ngos n JOIN ngowallets nw ON nw.ngoid = n.id WHERE nw.walletaddress = $1`,
+    [walletAddress.toLowerCase()]
+  );
+  return rows[0] || null;
+}
+
+async function getNgoByRegistration({ country, registrationNumber }) {
+  const { rows } = await query(
+    `SELECT ${NGO_COLUMNS} FROM ngos n WHERE n.country = $1 AND n.registrationnumber = $2`,
+    [country, registrationNumber]
+  );
+  return rows[0] || null;
+}
+
+// Wallets from the list that already belong to an NGO other than excludeNgoId
+async function findClaimedWallets(walletAddresses, excludeNgoId = null) {
+  const { rows } = await query(
+    `SELECT walletaddress AS "walletAddress", ngoid AS "ngoId" FROM ngowallets
+     WHERE walletaddress = ANY($1::varchar[]) AND ($2::varchar IS NULL OR ngoid <> $2)`,
+    [walletAddresses.map((w) => w.toLowerCase()), excludeNgoId]
+  );
+  return rows;
+}
+
+// Returns null when the registration number or a wallet was claimed concurrently
+async function createNgo({ legalName, registrationNumber, country, contactEmail, contactPhone, website, documentCids = [], walletAddresses, submittedBy }) {
+  const id = uuidv4();
+  try {
+    await inTransaction(async (client) => {
+      await client.query(
+        `INSERT INTO ngos (id, legalname, registrationnumber, country, contactemail, contactphone, website, documentcids, submittedby)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [id, legalName, registrationNumber, country, contactEmail, contactPhone || null, website || null, documentCids, submittedBy || null]
+      );
+      await insertWallets(client, id, walletAddresses);
+    });
+  } catch (err) {
+    if (err.code === UNIQUE_VIOLATION) return null;
+    throw err;
+  }
+  return getNgo(id);
+}
+
+const UPDATABLE = {
+  legalName: 'legalname',
+  registrationNumber: 'registrationnumber',
+  country: 'country',
+  contactEmail: 'contactemail',
+  contactPhone: 'contactphone',
+  website: 'website',
+};
+
+// Applicant edits; walletAddresses replaces the NGO's wallet list
+async function updateNgo(id, changes) {
+  const fields = [];
+  const params = [id];
+  for (const [key, column] of Object.entries(UPDATABLE)) {
+    if (!(key in changes)) continue;
+    params.push(changes[key]);
+    fields.push(`${column} = $${params.length}`);
+  }
+  try {
+    const updated = await inTransaction(async (client) => {
+      const { rowCount } = await client.query(
+        `UPDATE ngos SET ${[...fields, 'updatedat = CURRENT_TIMESTAMP'].join(', ')} WHERE id = $1`,
+        params
+      );
+      if (rowCount === 0) return null;
+      if (changes.walletAddresses) {
+        await client.query('DELETE FROM ngowallets WHERE ngoid = $1', [id]);
+        await insertWallets(client, id, changes.walletAddresses);
+      }
+      return true;
+    });
+    return updated ? getNgo(id) : null;
+  } catch (err) {
+    if (err.code === UNIQUE_VIOLATION) return null;
+    throw err;
+  }
+}
+
+async function addDocuments(id, cids) {
+  const { rowCount } = await query(
+    `UPDATE ngos
+     SET documentcids = ARRAY(SELECT DISTINCT unnest(documentcids || $2::text[])), updatedat = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [id, cids]
+  );
+  return rowCount > 0 ? getNgo(id) : null;
+}
+
+async function listNgos({ status, page = 1, limit = 20 } = {}) {
+  const params = [];
+  let whereSql = '';
+  if (status) {
+    params.push(status);
+    whereSql = 'WHERE n.status = $1';
+  }
+  const offset = (page - 1) * limit;
+  const [list, count] = await Promise.all([
+    query(
+      `SELECT ${NGO_COLUMNS} FROM ngos n ${whereSql}
+       ORDER BY n.createdat ASC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    ),
+    query(`SELECT COUNT(*)::int AS count FROM ngos n ${whereSql}`, params),
+  ]);
+  return { items: list.rows, page, limit, total: count.rows[0].count };
+}
+
+/**
+ * Move an NGO from one status to another and record the decision
+ * @param {Object} review - id, from, to, reviewer (user id), reason
+ * @returns {Promise<Object|null>} - the NGO, or null when it is no longer in `from`
+ */
+async function recordReview({ id, from, to, reviewer, reason }) {
+  const moved = await inTransaction(async (client) => {
+    const { rowCount } = await client.query(
+      'UPDATE ngos SET status = $3, updatedat = CURRENT_TIMESTAMP WHERE id = $1 AND status = $2',
+      [id, from, to]
+    );
+    if (rowCount === 0) return null;
+    await client.query(
+      `INSERT INTO ngoreviews (id, ngoid, fromstatus, tostatus, reviewer, reason)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [uuidv4(), id, from, to, reviewer || null, reason]
+    );
+    return true;
+  });
+  return moved ? getNgo(id) : null;
+}
+
+async function listReviews(ngoId) {
+  const { rows } = await query(
+    `SELECT ${REVIEW_COLUMNS} FROM ngoreviews WHERE ngoid = $1 ORDER BY createdat ASC, id ASC`,
+    [ngoId]
+  );
+  return rows;
+}
+
+module.exports = {
+  getNgo,
+  getNgoByWallet,
+  getNgoByRegistration,
+  findClaimedWallets,
+  createNgo,
+  updateNgo,
+  addDocuments,
+  listNgos,
+  recordReview,
+  listReviews,
+};
@@ -0,0 +1,26 @@
+const { query } = require('../client');
+
+const RECEIPT_COLUMNS = `donationid AS "donationId", jsoncid AS "jsonCid", pdfcid AS "pdfCid", signer, signature,
+  document, createdat AS "createdAt"`;
+
+async function getReceiptByDonationId(donationId) {
+  const { rows } = await query(
+    `SELECT ${RECEIPT_COLUMNS} FROM donationreceipts WHERE donationid = $1`,
+    [donationId]
+  );
+  return rows[0] || null;
+}
+
+// First receipt wins: a concurrent issue for the same donation gets the stored row back
+async function saveReceipt({ donationId, jsonCid, pdfCid, signer, signature, document }) {
+  const { rows } = await query(
+    `INSERT INTO donationreceipts (donationid, jsoncid, pdfcid, signer, signature, document)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (donationid) DO NOTHING
+     RETURNING ${RECEIPT_COLUMNS}`,
+    [donationId, jsonCid, pdfCid, signer, signature, JSON.stringify(document)]
+  );
+  return rows[0] || getReceiptByDonationId(donationId);
+}
+
+module.exports = { getReceiptByDonationId, saveReceipt };
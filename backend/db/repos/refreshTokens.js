@@ -0,0 +1,45 @@
+const { query } = require('../client');
+const { v4: uuidv4 } = require('uuid');
+
+const COLUMNS = `id, userid AS "userId", familyid AS "familyId", expiresat AS "expiresAt",
+  rotatedat AS "rotatedAt", revokedat AS "revokedAt", createdat AS "createdAt"`;
+
+async function createRefreshToken({ userId, familyId, tokenHash, expiresAt }) {
+  const { rows } = await query(
+    `INSERT INTO refreshtokens (id, userid, familyid, tokenhash, expiresat)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING ${COLUMNS}`,
+    [uuidv4(), userId, familyId, tokenHash, new Date(expiresAt)]
+  );
+  return rows[0];
+}
+
+async function getByHash(tokenHash) {
+  const { rows } = await query(`SELECT ${COLUMNS} FROM refreshtokens WHERE tokenhash = $1`, [tokenHash]);
+  return rows[0] || null;
+}
+
+// Conditional update: of two concurrent rotations only one sees rowCount 1
+async function markRotated(id) {
+  const { rowCount } = await query(
+    `UPDATE refreshtokens SET rotatedat = CURRENT_TIMESTAMP
+     WHERE id = $1 AND rotatedat IS NULL AND revokedat IS NULL`,
+    [id]
+  );
+  return rowCount > 0;
+}
+
+async function revokeFamily(familyId) {
+  const { rowCount } = await query(
+    'UPDATE refreshtokens SET revokedat = CURRENT_TIMESTAMP WHERE familyid = $1 AND revokedat IS NULL',
+    [familyId]
+  );
+  return rowCount;
+}
+
+module.exports = {
+  createRefreshToken,
+  getByHash,
+  markRotated,
+  revokeFamily,
+};
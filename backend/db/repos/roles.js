@@ -0,0 +1,30 @@
+const { query, pool } = require('../client');
+
+async function listRoles(userId) {
+  const { rows } = await query('SELECT role FROM userroles WHERE userid = $1 ORDER BY role', [userId]);
+  return rows.map((r) => r.role);
+}
+
+// Replaces the user's role set atomically
+async function setRoles({ userId, roles, grantedBy }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM userroles WHERE userid = $1 AND role <> ALL($2::varchar[])', [userId, roles]);
+    await client.query(
+      `INSERT INTO userroles (userid, role, grantedby)
+       SELECT $1, UNNEST($2::varchar[]), $3
+       ON CONFLICT (userid, role) DO NOTHING`,
+      [userId, roles, grantedBy || null]
+    );
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+  return listRoles(userId);
+}
+
+module.exports = { listRoles, setRoles };
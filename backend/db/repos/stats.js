@@ -6,7 +6,7 @@ async function getStats() {
     const donationsResult = await query(
       `SELECT COALESCE(SUM(amount), 0) as total_donations 
        FROM donations 
-       WHERE status = 'completed'`
+       WHERE status = 'confirmed'`
     );
     
     // Get total number of active campaigns
@@ -1,5 +1,6 @@
 const { query } = require('../client');
 const { v4: uuidv4 } = require('uuid');
+const { getDefaultRoles } = require('../../utils/roles');
 
 async function listUsers() {
   const { rows } = await query('SELECT id, walletaddress AS "walletAddress", displayname AS "displayName", totaldonated AS "totalDonated", createdat AS "createdAt" FROM users ORDER BY createdat DESC');
@@ -11,13 +12,31 @@ async function getUserById(id) {
   return rows[0] || null;
 }
 
-async function createUser({ walletAddress, displayName }) {
+// Default roles are inserted in the same statement so a user never exists without them
+async function createUser({ walletAddress, displayName, roles = getDefaultRoles() }) {
   const id = uuidv4();
   const { rows } = await query(
-    'INSERT INTO users (id, walletaddress, displayname, totaldonated) VALUES ($1, $2, $3, 0) RETURNING id, walletaddress AS "walletAddress", displayname AS "displayName", totaldonated AS "totalDonated", createdat AS "createdAt"',
-    [id, walletAddress, displayName || null]
+    `WITH created AS (
+       INSERT INTO users (id, walletaddress, displayname, totaldonated) VALUES ($1, $2, $3, 0)
+       RETURNING id, walletaddress AS "walletAddress", displayname AS "displayName", totaldonated AS "totalDonated", createdat AS "createdAt"
+     ), granted AS (
+       INSERT INTO userroles (userid, role) SELECT id, UNNEST($4::varchar[]) FROM created
+     )
+     SELECT * FROM created`,
+    [id, walletAddress, displayName || null, roles]
   );
   return rows[0];
 }
 
-module.exports = { listUsers, getUserById, createUser };
+async function getUserByWallet(walletAddress) {
+  const { rows } = await query('SELECT id, walletaddress AS "walletAddress", displayname AS "displayName", totaldonated AS "totalDonated", createdat AS "createdAt" FROM users WHERE LOWER(walletaddress) = LOWER($1)', [walletAddress]);
+  return rows[0] || null;
+}
+
+async function findOrCreateByWallet(walletAddress) {
+  const existing = await getUserByWallet(walletAddress);
+  if (existing) return existing;
+  return createUser({ walletAddress });
+}
+
+module.exports = { listUsers, getUserById, getUserByWallet, findOrCreateByWallet, createUser };
@@ -0,0 +1,268 @@
+const { query, pool } = require('../client');
+const { v4: uuidv4 } = require('uuid');
+
+// The secret is only returned when a subscription is created
+const SUBSCRIPTION_COLUMNS = `id, url, events, description, active, createdby AS "createdBy",
+  createdat AS "createdAt", updatedat AS "updatedAt"`;
+
+const DELIVERY_COLUMNS = `d.id, d.subscriptionid AS "subscriptionId", d.eventid AS "eventId", e.type AS "eventType",
+  d.status, d.attempts, d.nextattemptat AS "nextAttemptAt", d.lastattemptat AS "lastAttemptAt",
+  d.responsestatus AS "responseStatus", d.lasterror AS "lastError", d.deliveredat AS "deliveredAt",
+  d.createdat AS "createdAt", d.updatedat AS "updatedAt"`;
+
+const ATTEMPT_COLUMNS = `id, attempt, responsestatus AS "responseStatus", error, durationms AS "durationMs", createdat AS "createdAt"`;
+
+async function createSubscription({ url, events, secret, description, createdBy }) {
+  const { rows } = await query(
+    `INSERT INTO webhooksubscriptions (id, url, events, secret, description, createdby)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING ${SUBSCRIPTION_COLUMNS}, secret`,
+    [uuidv4(), url, events, secret, description || null, createdBy || null]
+  );
+  return rows[0];
+}
+
+async function listSubscriptions() {
+  const { rows } = await query(`SELECT ${SUBSCRIPTION_COLUMNS} FROM webhooksubscriptions ORDER BY createdat ASC, id ASC`);
+  return rows;
+}
+
+async function getSubscription(id) {
+  const { rows } = await query(`SELECT ${SUBSCRIPTION_COLUMNS} FROM webhooksubscriptions WHERE id = $1`, [id]);
+  return rows[0] || null;
+}
+
+const UPDATABLE = {
+  url: 'url',
+  events: 'events',
+  description: 'description',
+  active: 'active',
+};
+
+async function updateSubscription(id, changes) {
+  const fields = [];
+  const params = [id];
+  for (const [key, column] of Object.entries(UPDATABLE)) {
+    if (!(key in changes)) continue;
+    params.push(changes[key]);
+    fields.push(`${column} = $${params.length}`);
+  }
+  if (!fields.length) return getSubscription(id);
+  const { rows } = await query(
+    `UPDATE webhooksubscriptions SET ${fields.join(', ')}, updatedat = CURRENT_TIMESTAMP
+     WHERE id = $1 RETURNING ${SUBSCRIPTION_COLUMNS}`,
+    params
+  );
+  return rows[0] || null;
+}
+
+async function deleteSubscription(id) {
+  const { rowCount } = await query('DELETE FROM webhooksubscriptions WHERE id = $1', [id]);
+  return rowCount > 0;
+}
+
+/**
+ * Record an event and queue a delivery to every active subscription to its type
+ * @param {string} type - e.g. 'donation.confirmed'
+ * @param {Object} data - event payload
+ * @param {Object} [client] - pg client, to record the event in the caller's transaction
+ * @returns {Promise<string>} - event id
+ */
+async function enqueueEvent(type, data, client) {
+  const run = client ? (sql, params) => client.query(sql, params) : query;
+  const id = uuidv4();
+  await run(
+    `WITH e AS (
+       INSERT INTO webhookevents (id, type, payload) VALUES ($1, $2, $3) RETURNING id
+     )
+     INSERT INTO webhookdeliveries (id, subscriptionid, eventid)
+     SELECT md5(e.id || s.id)::uuid::varchar, s.id, e.id
+     FROM e JOIN webhooksubscriptions s ON s.active AND $2 = ANY(s.events)`,
+    [id, type, JSON.stringify(data)]
+  );
+  return id;
+}
+
+/**
+ * Run a repo write and record the events it caused in one transaction
+ * @param {function(Object): Promise<{ result: *, event?: ?Object, events?: Object[] }>} write - gets the pg client;
+ *   events are { type, data }
+ * @returns {Promise<*>} - the write's result
+ */
+async function withEvent(write) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { result, event, events = [event] } = await write(client);
+    for (const e of events) {
+      if (e) await enqueueEvent(e.type, e.data, client);
+    }
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+const toEvent = (row) => ({ ...row, seq: Number(row.seq) });
+
+// Highest recorded seq, 0 before the first event
+async function getLatestEventSeq() {
+  const { rows } = await query('SELECT COALESCE(MAX(seq), 0) AS seq FROM webhookevents');
+  return Number(rows[0].seq);
+}
+
+/**
+ * Events recorded after a seq, oldest first
+ * @param {Object} params
+ * @param {number} params.after - exclusive
+ * @param {number} [params.upTo] - inclusive
+ * @param {number} [params.limit]
+ */
+async function listEventsAfter({ after, upTo, limit = 500 }) {
+  const params = [after, limit];
+  let upToSql = '';
+  if (upTo != null) {
+    params.push(upTo);
+    upToSql = 'AND seq <= $3';
+  }
+  const { rows } = await query(
+    `SELECT seq, id, type, payload, createdat AS "createdAt" FROM webhookevents
+     WHERE seq > $1 ${upToSql} ORDER BY seq ASC LIMIT $2`,
+    params
+  );
+  return rows.map(toEvent);
+}
+
+/**
+ * Take due deliveries for sending and count the attempt
+ * Deliveries stuck in 'delivering' longer than staleMs (a crashed sender) are taken over.
+ * @returns {Promise<Object[]>} - deliveries with the subscription url and secret and the event
+ */
+async function claimDueDeliveries({ limit = 20, staleMs }) {
+  const { rows } = await query(
+    `WITH claimed AS (
+       UPDATE webhookdeliveries
+       SET status = 'delivering', attempts = attempts + 1, lastattemptat = CURRENT_TIMESTAMP, updatedat = CURRENT_TIMESTAMP
+       WHERE id IN (
+         SELECT d.id FROM webhookdeliveries d JOIN webhooksubscriptions s ON s.id = d.subscriptionid
+         WHERE s.active
+           AND ((d.status = 'pending' AND d.nextattemptat <= CURRENT_TIMESTAMP)
+             OR (d.status = 'delivering' AND d.lastattemptat < CURRENT_TIMESTAMP - make_interval(secs => $2)))
+         ORDER BY d.nextattemptat ASC
+         LIMIT $1
+         FOR UPDATE OF d SKIP LOCKED
+       )
+       RETURNING id, subscriptionid, eventid, attempts
+     )
+     SELECT c.id, c.attempts, s.id AS "subscriptionId", s.url, s.secret,
+            e.id AS "eventId", e.type AS "eventType", e.payload, e.createdat AS "eventCreatedAt"
+     FROM claimed c
+     JOIN webhooksubscriptions s ON s.id = c.subscriptionid
+     JOIN webhookevents e ON e.id = c.eventid`,
+    [limit, staleMs / 1000]
+  );
+  return rows;
+}
+
+/**
+ * Log an attempt and move the delivery on
+ * @param {Object} params
+ * @param {'delivered'|'pending'|'dead'} params.status - pending schedules a retry at nextAttemptAt
+ */
+async function recordAttempt({ id, attempt, status, responseStatus, error, durationMs, nextAttemptAt }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `INSERT INTO webhookattempts (id, deliveryid, attempt, responsestatus, error, durationms)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [uuidv4(), id, attempt, responseStatus ?? null, error || null, durationMs ?? null]
+    );
+    await client.query(
+      `UPDATE webhookdeliveries
+       SET status = $2, responsestatus = $3, lasterror = $4, nextattemptat = $5,
+           deliveredat = CASE WHEN $2 = 'delivered' THEN CURRENT_TIMESTAMP ELSE deliveredat END,
+           updatedat = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [id, status, responseStatus ?? null, error || null, nextAttemptAt || null]
+    );
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Newest first; status 'dead' lists the subscription's dead letters
+async function listDeliveries({ subscriptionId, status, page = 1, limit = 20 }) {
+  const params = [subscriptionId];
+  let whereSql = 'WHERE d.subscriptionid = $1';
+  if (status) {
+    params.push(status);
+    whereSql += ` AND d.status = $${params.length}`;
+  }
+  const offset = (page - 1) * limit;
+  const [list, count] = await Promise.all([
+    query(
+      `SELECT ${DELIVERY_COLUMNS} FROM webhookdeliveries d JOIN webhookevents e ON e.id = d.eventid ${whereSql}
+       ORDER BY d.createdat DESC, d.id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    ),
+    query(`SELECT COUNT(*)::int AS count FROM webhookdeliveries d ${whereSql}`, params),
+  ]);
+  return { items: list.rows, page, limit, total: count.rows[0].count };
+}
+
+// With the event payload
+async function getDelivery(id) {
+  const { rows } = await query(
+    `SELECT ${DELIVERY_COLUMNS}, e.payload FROM webhookdeliveries d JOIN webhookevents e ON e.id = d.eventid WHERE d.id = $1`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+async function listAttempts(deliveryId) {
+  const { rows } = await query(
+    `SELECT ${ATTEMPT_COLUMNS} FROM webhookattempts WHERE deliveryid = $1 ORDER BY createdat ASC, attempt ASC`,
+    [deliveryId]
+  );
+  return rows;
+}
+
+// Sends a delivered or dead-lettered delivery again with a fresh retry budget; null while it is still in flight
+async function redeliver(id) {
+  const { rows } = await query(
+    `UPDATE webhookdeliveries d
+     SET status = 'pending', attempts = 0, nextattemptat = CURRENT_TIMESTAMP, updatedat = CURRENT_TIMESTAMP
+     FROM webhookevents e
+     WHERE d.id = $1 AND e.id = d.eventid AND d.status IN ('delivered', 'dead')
+     RETURNING ${DELIVERY_COLUMNS}`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+module.exports = {
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  updateSubscription,
+  deleteSubscription,
+  enqueueEvent,
+  withEvent,
+  getLatestEventSeq,
+  listEventsAfter,
+  claimDueDeliveries,
+  recordAttempt,
+  listDeliveries,
+  getDelivery,
+  listAttempts,
+  redeliver,
+};
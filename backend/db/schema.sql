@@ -90,7 +90,7 @@ CREATE INDEX IF NOT EXISTS idx_uploadedfiles_createdAt ON UploadedFiles (created
 -- DisasterVerifications table
 CREATE TABLE IF NOT EXISTS DisasterVerifications (
   id           VARCHAR(36) PRIMARY KEY,
-  disasterId   VARCHAR(128) NOT NULL,
+  disasterId   VARCHAR(64) NOT NULL,
   latitude     DECIMAL(9,6),
   longitude    DECIMAL(9,6),
   eventType    VARCHAR(64),
@@ -105,6 +105,392 @@ CREATE TABLE IF NOT EXISTS DisasterVerifications (
 CREATE INDEX IF NOT EXISTS idx_disasterverifications_disasterId ON DisasterVerifications (disasterId);
 CREATE INDEX IF NOT EXISTS idx_disasterverifications_status ON DisasterVerifications (status);
 
+-- On-chain DonationTracker ids (filled by the chain indexer)
+ALTER TABLE IF EXISTS Campaigns
+  ADD COLUMN IF NOT EXISTS onChainId BIGINT;
+CREATE UNIQUE INDEX IF NOT EXISTS uq_campaigns_onchainid ON Campaigns (onChainId);
+
+ALTER TABLE IF EXISTS Milestones
+  ADD COLUMN IF NOT EXISTS onChainIndex INTEGER;
+CREATE UNIQUE INDEX IF NOT EXISTS uq_milestones_onchainindex ON Milestones (campaignId, onChainIndex);
+
+-- On-chain release transaction for milestones
+ALTER TABLE IF EXISTS Milestones
+  ADD COLUMN IF NOT EXISTS releaseTxHash VARCHAR(66),
+  ADD COLUMN IF NOT EXISTS releaseBlockNumber BIGINT,
+  ADD COLUMN IF NOT EXISTS releaseGasUsed VARCHAR(78);
+
+-- IndexerCursors table: last processed block per indexer
+CREATE TABLE IF NOT EXISTS IndexerCursors (
+  name          VARCHAR(64) PRIMARY KEY,
+  blockNumber   BIGINT NOT NULL,
+  blockHash     VARCHAR(66),
+  updatedAt     TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ChainEvents table: applied chain events, kept so unconfirmed blocks can be rolled back
+CREATE TABLE IF NOT EXISTS ChainEvents (
+  id            VARCHAR(36) PRIMARY KEY,
+  blockNumber   BIGINT NOT NULL,
+  blockHash     VARCHAR(66) NOT NULL,
+  txHash        VARCHAR(66) NOT NULL,
+  logIndex      INTEGER NOT NULL, -- -1 for donations decoded from transaction input
+  eventName     VARCHAR(64) NOT NULL,
+  entityId      VARCHAR(100),
+  undo          JSONB,
+  createdAt     TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT uq_chainevents_tx_log UNIQUE (txHash, logIndex)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chainevents_blocknumber ON ChainEvents (blockNumber);
+
+-- AuthNonces table: single-use SIWE nonces
+CREATE TABLE IF NOT EXISTS AuthNonces (
+  nonce          VARCHAR(64) PRIMARY KEY,
+  walletAddress  VARCHAR(64) NOT NULL,
+  expiresAt      TIMESTAMP NOT NULL,
+  createdAt      TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_authnonces_expiresat ON AuthNonces (expiresAt);
+
+-- AuthTokens table: issued JWT ids, revocable before expiry
+CREATE TABLE IF NOT EXISTS AuthTokens (
+  jti            VARCHAR(64) PRIMARY KEY,
+  userId         VARCHAR(100) NOT NULL,
+  expiresAt      TIMESTAMP NOT NULL,
+  revokedAt      TIMESTAMP,
+  createdAt      TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_authtokens_user FOREIGN KEY (userId) REFERENCES Users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_authtokens_expiresat ON AuthTokens (expiresAt);
+
+-- RefreshTokens table: hashed rotating refresh tokens grouped by sign-in family
+CREATE TABLE IF NOT EXISTS RefreshTokens (
+  id             VARCHAR(36) PRIMARY KEY,
+  userId         VARCHAR(100) NOT NULL,
+  familyId       VARCHAR(36) NOT NULL,
+  tokenHash      VARCHAR(64) NOT NULL,
+  expiresAt      TIMESTAMP NOT NULL,
+  rotatedAt      TIMESTAMP,
+  revokedAt      TIMESTAMP,
+  createdAt      TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT uq_refreshtokens_tokenhash UNIQUE (tokenHash),
+  CONSTRAINT fk_refreshtokens_user FOREIGN KEY (userId) REFERENCES Users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_refreshtokens_familyid ON RefreshTokens (familyId);
+
+-- UserRoles table: role-based access control
+CREATE TABLE IF NOT EXISTS UserRoles (
+  userId         VARCHAR(100) NOT NULL,
+  role           VARCHAR(32) NOT NULL,
+  grantedBy      VARCHAR(100),
+  createdAt      TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (userId, role),
+  CONSTRAINT chk_userroles_role CHECK (role IN ('donor', 'campaign_creator', 'ngo_verifier', 'admin', 'auditor')),
+  CONSTRAINT fk_userroles_user FOREIGN KEY (userId) REFERENCES Users(id) ON DELETE CASCADE
+);
+
+-- Postgres-only: full-text search over campaign title and description
+ALTER TABLE IF EXISTS Campaigns
+  ADD COLUMN IF NOT EXISTS searchVector tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'B')
+  ) STORED;
+CREATE INDEX IF NOT EXISTS idx_campaigns_searchvector ON Campaigns USING GIN (searchVector);
+CREATE INDEX IF NOT EXISTS idx_campaigns_deadline ON Campaigns (deadline);
+
+-- DonationReceipts: signed receipt documents pinned to IPFS, one per confirmed donation
+CREATE TABLE IF NOT EXISTS DonationReceipts (
+  donationId  VARCHAR(100) PRIMARY KEY,
+  jsonCid     VARCHAR(100) NOT NULL,
+  pdfCid      VARCHAR(100) NOT NULL,
+  signer      VARCHAR(42) NOT NULL,
+  signature   VARCHAR(132) NOT NULL,
+  document    JSONB NOT NULL,
+  createdAt   TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_donationreceipts_donation FOREIGN KEY (donationId) REFERENCES Donations(id) ON DELETE CASCADE
+);
+
+-- Postgres-only: IPFSVerifier registration and review of uploaded files
+ALTER TABLE IF EXISTS UploadedFiles
+  ADD COLUMN IF NOT EXISTS metadata JSONB,
+  ADD COLUMN IF NOT EXISTS verificationStatus VARCHAR(16) NOT NULL DEFAULT 'offchain',
+  ADD COLUMN IF NOT EXISTS registrationAttempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS registrationError TEXT,
+  ADD COLUMN IF NOT EXISTS registerTxHash VARCHAR(66),
+  ADD COLUMN IF NOT EXISTS registeredAt TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS reviewTxHash VARCHAR(66),
+  ADD COLUMN IF NOT EXISTS reviewedBy VARCHAR(100) REFERENCES Users(id),
+  ADD COLUMN IF NOT EXISTS reviewReason TEXT,
+  ADD COLUMN IF NOT EXISTS reviewedAt TIMESTAMP;
+ALTER TABLE IF EXISTS UploadedFiles DROP CONSTRAINT IF EXISTS chk_uploadedfiles_verificationstatus;
+ALTER TABLE IF EXISTS UploadedFiles ADD CONSTRAINT chk_uploadedfiles_verificationstatus
+  CHECK (verificationStatus IN ('offchain', 'unregistered', 'registering', 'pending', 'approved', 'rejected', 'failed'));
+CREATE INDEX IF NOT EXISTS idx_uploadedfiles_verificationstatus ON UploadedFiles (verificationStatus);
+
+-- Postgres-only: oracle results, timeouts and retries for disaster verifications
+ALTER TABLE IF EXISTS DisasterVerifications
+  ADD COLUMN IF NOT EXISTS disasterIdHash VARCHAR(66),
+  ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS requestedAt TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS resultTxHash VARCHAR(66),
+  ADD COLUMN IF NOT EXISTS resultBlockNumber BIGINT,
+  ADD COLUMN IF NOT EXISTS failureReason TEXT;
+CREATE INDEX IF NOT EXISTS idx_disasterverifications_disasterIdHash ON DisasterVerifications (disasterIdHash);
+
+-- DisasterVerificationEvents: every step of a verification request
+CREATE TABLE IF NOT EXISTS DisasterVerificationEvents (
+  id           VARCHAR(36) PRIMARY KEY,
+  disasterId   VARCHAR(64) NOT NULL,
+  event        VARCHAR(32) NOT NULL, -- requested|request_failed|verified|rejected|timed_out|retried
+  status       VARCHAR(32) NOT NULL,
+  confidence   DECIMAL(5,2),
+  txHash       VARCHAR(66),
+  blockNumber  BIGINT,
+  actor        VARCHAR(100),
+  detail       TEXT,
+  createdAt    TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_disasterverificationevents_disaster FOREIGN KEY (disasterId) REFERENCES DisasterVerifications(disasterId) ON DELETE CASCADE,
+  CONSTRAINT fk_disasterverificationevents_actor FOREIGN KEY (actor) REFERENCES Users(id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_disasterverificationevents_disasterId ON DisasterVerificationEvents (disasterId, createdAt);
+
+-- Disasters: registry with PostGIS epicenter and affected area; ids are the disasterId used elsewhere
+CREATE EXTENSION IF NOT EXISTS postgis;
+CREATE TABLE IF NOT EXISTS Disasters (
+  id            VARCHAR(64) PRIMARY KEY,
+  name          VARCHAR(200) NOT NULL,
+  description   TEXT,
+  eventType     VARCHAR(64) NOT NULL,
+  severity      VARCHAR(16) NOT NULL, -- low|moderate|high|critical
+  startDate     TIMESTAMP NOT NULL,
+  endDate       TIMESTAMP, -- null while ongoing
+  epicenter     GEOGRAPHY(Point, 4326) NOT NULL,
+  affectedArea  GEOGRAPHY(Geometry, 4326), -- Polygon or MultiPolygon
+  evidenceCids  TEXT[] NOT NULL DEFAULT '{}'::text[],
+  createdBy     VARCHAR(100),
+  createdAt     TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt     TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT chk_disasters_severity CHECK (severity IN ('low', 'moderate', 'high', 'critical')),
+  CONSTRAINT chk_disasters_dates CHECK (endDate IS NULL OR endDate >= startDate),
+  CONSTRAINT fk_disasters_createdby FOREIGN KEY (createdBy) REFERENCES Users(id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_disasters_epicenter ON Disasters USING GIST (epicenter);
+CREATE INDEX IF NOT EXISTS idx_disasters_affectedarea ON Disasters USING GIST (affectedArea);
+CREATE INDEX IF NOT EXISTS idx_disasters_eventtype ON Disasters (eventType);
+CREATE INDEX IF NOT EXISTS idx_disasters_startdate ON Disasters (startDate);
+
+-- Ngos: NGO applications and their review state
+CREATE TABLE IF NOT EXISTS Ngos (
+  id                  VARCHAR(36) PRIMARY KEY,
+  legalName           VARCHAR(200) NOT NULL,
+  registrationNumber  VARCHAR(100) NOT NULL,
+  country             CHAR(2) NOT NULL, -- ISO 3166-1 alpha-2
+  contactEmail        VARCHAR(255) NOT NULL,
+  contactPhone        VARCHAR(32),
+  website             VARCHAR(255),
+  documentCids        TEXT[] NOT NULL DEFAULT '{}'::text[],
+  status              VARCHAR(16) NOT NULL DEFAULT 'submitted', -- submitted|under_review|verified|suspended
+  submittedBy         VARCHAR(100),
+  createdAt           TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt           TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT chk_ngos_status CHECK (status IN ('submitted', 'under_review', 'verified', 'suspended')),
+  CONSTRAINT uq_ngos_registration UNIQUE (country, registrationNumber),
+  CONSTRAINT fk_ngos_submittedby FOREIGN KEY (submittedBy) REFERENCES Users(id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_ngos_status ON Ngos (status);
+
+-- NgoWallets: a wallet belongs to at most one NGO
+CREATE TABLE IF NOT EXISTS NgoWallets (
+  walletAddress  VARCHAR(42) PRIMARY KEY, -- lowercased
+  ngoId          VARCHAR(36) NOT NULL,
+  createdAt      TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_ngowallets_ngo FOREIGN KEY (ngoId) REFERENCES Ngos(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_ngowallets_ngoid ON NgoWallets (ngoId);
+
+-- NgoReviews: who moved an NGO between states, and why
+CREATE TABLE IF NOT EXISTS NgoReviews (
+  id          VARCHAR(36) PRIMARY KEY,
+  ngoId       VARCHAR(36) NOT NULL,
+  fromStatus  VARCHAR(16) NOT NULL,
+  toStatus    VARCHAR(16) NOT NULL,
+  reviewer    VARCHAR(100),
+  reason      TEXT NOT NULL,
+  createdAt   TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_ngoreviews_ngo FOREIGN KEY (ngoId) REFERENCES Ngos(id) ON DELETE CASCADE,
+  CONSTRAINT fk_ngoreviews_reviewer FOREIGN KEY (reviewer) REFERENCES Users(id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_ngoreviews_ngoid ON NgoReviews (ngoId, createdAt);
+
+ALTER TABLE IF EXISTS Campaigns
+  ADD COLUMN IF NOT EXISTS ngoId VARCHAR(36) REFERENCES Ngos(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_campaigns_ngoid ON Campaigns (ngoId);
+
+-- Postgres-only: milestone approval by a quorum of assigned verifiers
+ALTER TABLE IF EXISTS Milestones
+  ADD COLUMN IF NOT EXISTS approvalQuorum INTEGER,
+  ADD COLUMN IF NOT EXISTS approvedAt TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS approvalTxHash VARCHAR(66);
+
+CREATE TABLE IF NOT EXISTS MilestoneVerifiers (
+  milestoneId    VARCHAR(100) NOT NULL,
+  walletAddress  VARCHAR(42) NOT NULL, -- lowercased
+  assignedBy     VARCHAR(100),
+  createdAt      TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT pk_milestoneverifiers PRIMARY KEY (milestoneId, walletAddress),
+  CONSTRAINT fk_milestoneverifiers_milestone FOREIGN KEY (milestoneId) REFERENCES Milestones(id) ON DELETE CASCADE,
+  CONSTRAINT fk_milestoneverifiers_assignedby FOREIGN KEY (assignedBy) REFERENCES Users(id) ON DELETE SET NULL
+);
+
+-- MilestoneApprovals: every EIP-712 approval signature received, kept for audit
+CREATE TABLE IF NOT EXISTS MilestoneApprovals (
+  id           VARCHAR(36) PRIMARY KEY,
+  milestoneId  VARCHAR(100) NOT NULL,
+  verifier     VARCHAR(42) NOT NULL, -- lowercased signer
+  proofCid     VARCHAR(200) NOT NULL,
+  amountWei    VARCHAR(78) NOT NULL,
+  signature    VARCHAR(132) NOT NULL,
+  submittedBy  VARCHAR(100),
+  createdAt    TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT uq_milestoneapprovals_verifier_proof UNIQUE (milestoneId, verifier, proofCid),
+  CONSTRAINT fk_milestoneapprovals_milestone FOREIGN KEY (milestoneId) REFERENCES Milestones(id) ON DELETE CASCADE,
+  CONSTRAINT fk_milestoneapprovals_submittedby FOREIGN KEY (submittedBy) REFERENCES Users(id) ON DELETE SET NULL
+);
+
+-- Postgres-only: challenge window after approval; open or upheld disputes freeze fund release
+ALTER TABLE IF EXISTS Milestones
+  ADD COLUMN IF NOT EXISTS challengeEndsAt TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS MilestoneDisputes (
+  id            VARCHAR(36) PRIMARY KEY,
+  milestoneId   VARCHAR(100) NOT NULL,
+  raisedBy      VARCHAR(100) NOT NULL,
+  reason        TEXT NOT NULL,
+  evidenceCids  TEXT[] NOT NULL DEFAULT '{}'::text[],
+  status        VARCHAR(20) NOT NULL DEFAULT 'open', -- open|upheld|dismissed
+  resolvedBy    VARCHAR(100),
+  resolution    TEXT,
+  resolvedAt    TIMESTAMP,
+  createdAt     TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt     TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT chk_milestonedisputes_status CHECK (status IN ('open', 'upheld', 'dismissed')),
+  CONSTRAINT fk_milestonedisputes_milestone FOREIGN KEY (milestoneId) REFERENCES Milestones(id) ON DELETE CASCADE,
+  CONSTRAINT fk_milestonedisputes_raisedby FOREIGN KEY (raisedBy) REFERENCES Users(id) ON DELETE CASCADE,
+  CONSTRAINT fk_milestonedisputes_resolvedby FOREIGN KEY (resolvedBy) REFERENCES Users(id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_milestonedisputes_milestone ON MilestoneDisputes (milestoneId, createdAt);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_milestonedisputes_open_per_donor ON MilestoneDisputes (milestoneId, raisedBy) WHERE status = 'open';
+
+-- MilestoneDisputeComments: review thread of a dispute
+CREATE TABLE IF NOT EXISTS MilestoneDisputeComments (
+  id            VARCHAR(36) PRIMARY KEY,
+  disputeId     VARCHAR(36) NOT NULL,
+  author        VARCHAR(100),
+  body          TEXT NOT NULL,
+  evidenceCids  TEXT[] NOT NULL DEFAULT '{}'::text[],
+  createdAt     TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_milestonedisputecomments_dispute FOREIGN KEY (disputeId) REFERENCES MilestoneDisputes(id) ON DELETE CASCADE,
+  CONSTRAINT fk_milestonedisputecomments_author FOREIGN KEY (author) REFERENCES Users(id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_milestonedisputecomments_dispute ON MilestoneDisputeComments (disputeId, createdAt);
+
+-- Postgres-only: versioned milestone proof bundles; Milestones.proofCid is the latest version's CID
+CREATE TABLE IF NOT EXISTS MilestoneProofVersions (
+  id           VARCHAR(36) PRIMARY KEY,
+  milestoneId  VARCHAR(100) NOT NULL,
+  version      INTEGER NOT NULL,
+  cid          VARCHAR(200) NOT NULL, -- bundle manifest CID, or the CID submitted on-chain
+  files        JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{ cid, name, mimeType, size, kind, caption }]
+  note         TEXT,
+  status       VARCHAR(20) NOT NULL DEFAULT 'submitted', -- submitted|changes_requested
+  submittedBy  VARCHAR(100),
+  createdAt    TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT chk_milestoneproofversions_status CHECK (status IN ('submitted', 'changes_requested')),
+  CONSTRAINT uq_milestoneproofversions_version UNIQUE (milestoneId, version),
+  CONSTRAINT fk_milestoneproofversions_milestone FOREIGN KEY (milestoneId) REFERENCES Milestones(id) ON DELETE CASCADE,
+  CONSTRAINT fk_milestoneproofversions_submittedby FOREIGN KEY (submittedBy) REFERENCES Users(id) ON DELETE SET NULL
+);
+
+-- MilestoneProofComments: reviewer comments and change requests on a proof version
+CREATE TABLE IF NOT EXISTS MilestoneProofComments (
+  id               VARCHAR(36) PRIMARY KEY,
+  versionId        VARCHAR(36) NOT NULL,
+  author           VARCHAR(100),
+  body             TEXT NOT NULL,
+  requestsChanges  BOOLEAN NOT NULL DEFAULT FALSE,
+  createdAt        TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_milestoneproofcomments_version FOREIGN KEY (versionId) REFERENCES MilestoneProofVersions(id) ON DELETE CASCADE,
+  CONSTRAINT fk_milestoneproofcomments_author FOREIGN KEY (author) REFERENCES Users(id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_milestoneproofcomments_version ON MilestoneProofComments (versionId, createdAt);
+
+-- Postgres-only: webhook subscriptions and their delivery outbox
+CREATE TABLE IF NOT EXISTS WebhookSubscriptions (
+  id           VARCHAR(36) PRIMARY KEY,
+  url          VARCHAR(2048) NOT NULL,
+  events       TEXT[] NOT NULL, -- donation.confirmed|milestone.approved|funds.released|campaign.cancelled|disaster.verified
+  secret       VARCHAR(100) NOT NULL, -- HMAC-SHA256 key for X-D3R-Signature
+  description  TEXT,
+  active       BOOLEAN NOT NULL DEFAULT TRUE,
+  createdBy    VARCHAR(100),
+  createdAt    TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt    TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_webhooksubscriptions_createdby FOREIGN KEY (createdBy) REFERENCES Users(id) ON DELETE SET NULL
+);
+
+-- WebhookEvents: outbox written alongside the change that caused the event
+CREATE TABLE IF NOT EXISTS WebhookEvents (
+  id         VARCHAR(36) PRIMARY KEY,
+  type       VARCHAR(50) NOT NULL,
+  payload    JSONB NOT NULL,
+  createdAt  TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- WebhookDeliveries: one per event and subscription; status 'dead' is the dead-letter store
+CREATE TABLE IF NOT EXISTS WebhookDeliveries (
+  id              VARCHAR(36) PRIMARY KEY,
+  subscriptionId  VARCHAR(36) NOT NULL,
+  eventId         VARCHAR(36) NOT NULL,
+  status          VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending|delivering|delivered|dead
+  attempts        INTEGER NOT NULL DEFAULT 0,
+  nextAttemptAt   TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  lastAttemptAt   TIMESTAMP,
+  responseStatus  INTEGER,
+  lastError       TEXT,
+  deliveredAt     TIMESTAMP,
+  createdAt       TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt       TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT chk_webhookdeliveries_status CHECK (status IN ('pending', 'delivering', 'delivered', 'dead')),
+  CONSTRAINT uq_webhookdeliveries_event_subscription UNIQUE (eventId, subscriptionId),
+  CONSTRAINT fk_webhookdeliveries_subscription FOREIGN KEY (subscriptionId) REFERENCES WebhookSubscriptions(id) ON DELETE CASCADE,
+  CONSTRAINT fk_webhookdeliveries_event FOREIGN KEY (eventId) REFERENCES WebhookEvents(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_webhookdeliveries_due ON WebhookDeliveries (status, nextAttemptAt);
+CREATE INDEX IF NOT EXISTS idx_webhookdeliveries_subscription ON WebhookDeliveries (subscriptionId, createdAt);
+
+-- WebhookAttempts: delivery log, one row per HTTP attempt
+CREATE TABLE IF NOT EXISTS WebhookAttempts (
+  id              VARCHAR(36) PRIMARY KEY,
+  deliveryId      VARCHAR(36) NOT NULL,
+  attempt         INTEGER NOT NULL,
+  responseStatus  INTEGER,
+  error           TEXT,
+  durationMs      INTEGER,
+  createdAt       TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_webhookattempts_delivery FOREIGN KEY (deliveryId) REFERENCES WebhookDeliveries(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_webhookattempts_delivery ON WebhookAttempts (deliveryId, createdAt);
+
+-- Postgres-only: insert order of events; realtime clients resume after the last seq they saw
+ALTER TABLE IF EXISTS WebhookEvents
+  ADD COLUMN IF NOT EXISTS seq BIGSERIAL NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS uq_webhookevents_seq ON WebhookEvents (seq);
+
 -- Postgres-only: updatedAt trigger function
 CREATE OR REPLACE FUNCTION set_updated_at()
 RETURNS TRIGGER AS $func$
@@ -1,35 +1,76 @@
 const { verifyToken } = require('../utils/jwt');
+const { getAuthStore } = require('../utils/authStore');
+const { ROLES } = require('../utils/roles');
 
-function verifyAuth(req, res, next) {
+function bearerToken(req) {
   const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'No token provided' });
-  }
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+  return authHeader.substring(7);
+}
 
-  const token = authHeader.substring(7);
+// Decoded claims for a valid, unrevoked token, otherwise null
+async function authenticate(token) {
   const decoded = verifyToken(token);
-  
-  if (!decoded) {
-    return res.status(401).json({ error: 'Invalid or expired token' });
+  if (!decoded) return null;
+  if (decoded.jti && (await getAuthStore().isTokenRevoked(decoded.jti))) return null;
+  return decoded;
+}
+
+async function verifyAuth(req, res, next) {
+  const token = bearerToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'No token provided' });
   }
 
-  req.user = decoded;
-  next();
+  try {
+    const decoded = await authenticate(token);
+    if (!decoded) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    req.user = decoded;
+    next();
+  } catch (err) {
+    next(err);
+  }
 }
 
-function optionalAuth(req, res, next) {
-  const authHeader = req.headers.authorization;
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    const token = authHeader.substring(7);
-    const decoded = verifyToken(token);
+async function optionalAuth(req, res, next) {
+  const token = bearerToken(req);
+  try {
+    const decoded = token ? await authenticate(token) : null;
     if (decoded) {
       req.user = decoded;
     }
+    next();
+  } catch (err) {
+    next(err);
   }
-  next();
+}
+
+/**
+ * Require one of the given roles; use after verifyAuth. Admins pass every check.
+ * @param {...string} roles - Accepted roles (see utils/roles)
+ */
+function authorize(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+    const held = Array.isArray(req.user.roles) ? req.user.roles : [];
+    if (held.includes(ROLES.ADMIN) || roles.some((role) => held.includes(role))) {
+      return next();
+    }
+    return res.status(403).json({ error: 'Forbidden', requiredRoles: roles });
+  };
+}
+
+function hasRole(user, role) {
+  return Boolean(user && Array.isArray(user.roles) && (user.roles.includes(role) || user.roles.includes(ROLES.ADMIN)));
 }
 
 module.exports = {
   verifyAuth,
   optionalAuth,
+  authorize,
+  hasRole,
 };
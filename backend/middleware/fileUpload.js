@@ -0,0 +1,77 @@
+/**
+ * Multipart upload handling: disk storage with a MIME allowlist, optional
+ * virus scan and retry helper for the IPFS pinning step
+ */
+
+const path = require('path');
+const fs = require('fs');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const { execFile } = require('child_process');
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const uploadDir = path.join(__dirname, '..', 'uploads');
+    if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
+    cb(null, uploadDir);
+  },
+  filename: (req, file, cb) => {
+    const uniquePrefix = uuidv4().slice(0, 8);
+    cb(null, `${uniquePrefix}-${file.originalname}`);
+  },
+});
+const allowedMime = new Set([
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+]);
+
+const upload = multer({
+  storage,
+  limits: { fileSize: 100 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!allowedMime.has(file.mimetype)) {
+      return cb(new Error('Unsupported file type'));
+    }
+    cb(null, true);
+  },
+});
+
+function execScan(filePath) {
+  return new Promise((resolve, reject) => {
+    const cmd = process.env.VIRUS_SCAN_CMD;
+    if (!process.env.ENABLE_VIRUS_SCAN || process.env.ENABLE_VIRUS_SCAN !== 'true' || !cmd) {
+      return resolve({ scanned: false, clean: true });
+    }
+    execFile(cmd, [filePath], { timeout: 30000 }, (error, stdout, stderr) => {
+      if (error) {
+        return reject(new Error(`Virus scan failed: ${stderr || error.message}`));
+      }
+      const out = String(stdout || '').toLowerCase();
+      if (out.includes('ok') || out.includes('clean') || out.includes('no threats')) {
+        return resolve({ scanned: true, clean: true, output: stdout });
+      }
+      return reject(new Error(`Virus detected or unknown result: ${stdout}`));
+    });
+  });
+}
+
+async function withRetry(fn, attempts = 3, baseDelayMs = 300) {
+  let lastErr;
+  for (let i = 0; i < attempts; i++) {
+    try {
+      return await fn();
+    } catch (err) {
+      lastErr = err;
+      const delay = baseDelayMs * Math.pow(2, i);
+      await new Promise((r) => setTimeout(r, delay));
+    }
+  }
+  throw lastErr;
+}
+
+module.exports = { upload, execScan, withRetry };
@@ -4,6 +4,10 @@
 
 const { body, param, query, validationResult } = require('express-validator');
 const { ValidationError } = require('../utils/errorHandler');
+const { isPoint, isArea, parseBbox } = require('../utils/geo');
+const { NGO_STATUSES } = require('../utils/ngoReview');
+const { WEBHOOK_EVENTS } = require('../utils/webhooks');
+const { TOPIC_PATTERN, MAX_TOPICS } = require('../utils/realtime');
 
 /**
  * Middleware to check validation results and throw error if invalid
@@ -17,45 +21,50 @@ const validate = (req, res, next) => {
   next();
 };
 
+const DISASTER_SEVERITIES = ['low', 'moderate', 'high', 'critical'];
+const CID_PATTERN = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{50,})$/;
+
+const CAMPAIGN_STATUSES = ['active', 'pending_verification', 'rejected', 'completed', 'cancelled'];
+
+const futureDate = (value) => {
+  if (new Date(value) <= new Date()) {
+    throw new Error('Deadline must be in the future');
+  }
+  return true;
+};
+
 /**
  * Campaign validation rules
+ * Text is stored as entered; clients escape it when rendering.
  */
 const validateCampaign = [
   body('title')
     .trim()
     .notEmpty().withMessage('Title is required')
-    .isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters')
-    .escape(),
+    .isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters'),
   
   body('description')
     .optional()
     .trim()
-    .isLength({ max: 5000 }).withMessage('Description must be less than 5000 characters')
-    .escape(),
+    .isLength({ max: 5000 }).withMessage('Description must be less than 5000 characters'),
   
   body('targetAmount')
     .notEmpty().withMessage('Target amount is required')
-    .isFloat({ min: 1 }).withMessage('Target amount must be greater than 0')
+    .isFloat({ gt: 0 }).withMessage('Target amount must be greater than 0')
     .toFloat(),
   
   body('deadline')
-    .optional()
+    .optional({ values: 'falsy' })
     .isISO8601().withMessage('Deadline must be a valid date')
-    .custom((value) => {
-      if (new Date(value) <= new Date()) {
-        throw new Error('Deadline must be in the future');
-      }
-      return true;
-    }),
+    .custom(futureDate),
   
   body('disasterId')
-    .optional()
+    .optional({ values: 'falsy' })
     .trim()
-    .isLength({ max: 64 }).withMessage('Disaster ID must be less than 64 characters')
-    .escape(),
+    .isLength({ max: 64 }).withMessage('Disaster ID must be less than 64 characters'),
   
   body('imageCID')
-    .optional()
+    .optional({ values: 'falsy' })
     .trim()
     .isLength({ max: 100 }).withMessage('Image CID must be less than 100 characters')
     .matches(/^[a-zA-Z0-9]+$/).withMessage('Image CID must be alphanumeric'),
@@ -63,6 +72,39 @@ const validateCampaign = [
   validate,
 ];
 
+/**
+ * Campaign update rules: every field is optional, an empty deadline clears it
+ */
+const validateCampaignUpdate = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters'),
+  
+  body('description')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 5000 }).withMessage('Description must be less than 5000 characters'),
+  
+  body('deadline')
+    .optional({ values: 'falsy' })
+    .isISO8601().withMessage('Deadline must be a valid date')
+    .custom(futureDate),
+  
+  validate,
+];
+
+/**
+ * Link a campaign to its DonationTracker campaign id
+ */
+const validateCampaignOnChainLink = [
+  body('onChainId')
+    .isInt({ min: 1 }).withMessage('onChainId must be a positive integer')
+    .toInt(),
+  
+  validate,
+];
+
 /**
  * Donation validation rules
  */
@@ -202,7 +244,7 @@ const validateCampaignFilters = [
   query('status')
     .optional()
     .trim()
-    .isIn(['active', 'completed', 'cancelled']).withMessage('Invalid status'),
+    .isIn(CAMPAIGN_STATUSES).withMessage('Invalid status'),
   
   query('sortBy')
     .optional()
@@ -222,9 +264,552 @@ const validateCampaignFilters = [
   ...validatePagination,
 ];
 
+/**
+ * Campaign search validation
+ */
+const validateCampaignSearch = [
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('Search query must be less than 200 characters'),
+  
+  query('status')
+    .optional()
+    .trim()
+    .isIn(CAMPAIGN_STATUSES).withMessage('Invalid status'),
+  
+  query(['disasterId', 'eventType'])
+    .optional()
+    .trim()
+    .isLength({ max: 64 }).withMessage('Must be less than 64 characters'),
+  
+  query('creator')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Creator must be less than 100 characters'),
+  
+  query(['minTarget', 'maxTarget', 'minFunded', 'maxFunded'])
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Must be a non-negative number')
+    .toFloat(),
+  
+  query(['deadlineFrom', 'deadlineTo'])
+    .optional()
+    .isISO8601().withMessage('Must be a valid date'),
+  
+  query('endingSoon')
+    .optional()
+    .isBoolean().withMessage('endingSoon must be a boolean')
+    .toBoolean(),
+  
+  query('sortBy')
+    .optional()
+    .trim()
+    .isIn(['relevance', 'createdAt', 'targetAmount', 'currentAmount', 'deadline', 'fundedPercent']).withMessage('Invalid sort field'),
+  
+  query('sortOrder')
+    .optional()
+    .trim()
+    .isIn(['asc', 'desc']).withMessage('Invalid sort order'),
+  
+  ...validatePagination,
+];
+
+/**
+ * Donation receipt download
+ */
+const validateReceiptFormat = [
+  query('format')
+    .optional()
+    .trim()
+    .isIn(['pdf', 'json']).withMessage('format must be pdf or json'),
+  
+  validate,
+];
+
+const cidParam = param('cid')
+  .matches(CID_PATTERN).withMessage('Invalid CID');
+
+/**
+ * File listing filters
+ */
+const validateFileFilters = [
+  query('documentType')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 64 }).withMessage('Invalid document type'),
+  
+  query('status')
+    .optional()
+    .trim()
+    .isIn(['offchain', 'unregistered', 'registering', 'pending', 'approved', 'rejected', 'failed']).withMessage('Invalid verification status'),
+  
+  ...validatePagination,
+];
+
+/**
+ * Single file lookup by CID
+ */
+const validateCid = [
+  cidParam,
+  
+  query('onchain')
+    .optional()
+    .isBoolean().withMessage('onchain must be true or false')
+    .toBoolean(),
+  
+  validate,
+];
+
+/**
+ * Reviewer decision on a file; rejections must say why
+ */
+const validateFileReview = (approved) => [
+  cidParam,
+  
+  approved
+    ? body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+    : body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required (max 500 characters)'),
+  
+  validate,
+];
+
+/**
+ * Disaster verification lookup by disasterId; ids are at most 64 characters, like disasters.id
+ */
+const validateDisasterId = [
+  param('id')
+    .trim()
+    .isLength({ min: 1, max: 64 }).withMessage('Disaster ID must be 1-64 characters'),
+  
+  validate,
+];
+
+// Shared by create and update; `optional` makes every field optional for updates
+const disasterFields = (optional) => {
+  const field = (chain) => (optional ? chain.optional() : chain);
+  return [
+    field(body('name'))
+      .trim()
+      .notEmpty().withMessage('Name is required')
+      .isLength({ max: 200 }).withMessage('Name must be less than 200 characters'),
+    
+    body('description')
+      .optional({ values: 'null' })
+      .trim()
+      .isLength({ max: 5000 }).withMessage('Description must be less than 5000 characters'),
+    
+    field(body('eventType'))
+      .trim()
+      .notEmpty().withMessage('Event type is required')
+      .isLength({ max: 64 }).withMessage('Event type must be less than 64 characters'),
+    
+    field(body('severity'))
+      .isIn(DISASTER_SEVERITIES).withMessage(`Severity must be one of ${DISASTER_SEVERITIES.join(', ')}`),
+    
+    field(body('startDate'))
+      .isISO8601().withMessage('Start date must be a valid date'),
+    
+    body('endDate')
+      .optional({ values: 'null' })
+      .isISO8601().withMessage('End date must be a valid date')
+      .custom((value, { req }) => {
+        if (req.body.startDate && new Date(value) < new Date(req.body.startDate)) {
+          throw new Error('End date must not be before the start date');
+        }
+        return true;
+      }),
+    
+    field(body('epicenter'))
+      .custom(isPoint).withMessage('Epicenter must be a GeoJSON Point with [longitude, latitude] coordinates'),
+    
+    body('affectedArea')
+      .optional({ values: 'null' })
+      .custom(isArea).withMessage('Affected area must be a closed GeoJSON Polygon or MultiPolygon'),
+    
+    body('evidenceCids')
+      .optional()
+      .isArray({ max: 50 }).withMessage('evidenceCids must be an array of at most 50 CIDs'),
+    
+    body('evidenceCids.*')
+      .matches(CID_PATTERN).withMessage('Invalid evidence CID'),
+  ];
+};
+
+/**
+ * Disaster registry entry; id defaults to a generated UUID
+ */
+const validateDisaster = [
+  body('id')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9._-]{1,64}$/).withMessage('Disaster ID must be 1-64 letters, digits, ".", "_" or "-"'),
+  
+  ...disasterFields(false),
+  
+  validate,
+];
+
+/**
+ * Disaster update: every field is optional, null clears endDate, affectedArea and description
+ */
+const validateDisasterUpdate = [
+  ...disasterFields(true),
+  
+  validate,
+];
+
+/**
+ * Disaster search: lat/lon/radiusKm finds disasters near a point, bbox
+ * (minLon,minLat,maxLon,maxLat) those intersecting a box
+ */
+const validateDisasterFilters = [
+  query('eventType')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 64 }).withMessage('Invalid event type'),
+  
+  query('severity')
+    .optional()
+    .isIn(DISASTER_SEVERITIES).withMessage('Invalid severity'),
+  
+  query('ongoing')
+    .optional()
+    .isBoolean().withMessage('ongoing must be true or false')
+    .toBoolean(),
+  
+  query('lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 }).withMessage('lat must be between -90 and 90')
+    .toFloat(),
+  
+  query('lon')
+    .optional()
+    .isFloat({ min: -180, max: 180 }).withMessage('lon must be between -180 and 180')
+    .toFloat(),
+  
+  query('radiusKm')
+    .optional()
+    .isFloat({ gt: 0, max: 20000 }).withMessage('radiusKm must be between 0 and 20000')
+    .toFloat(),
+  
+  query('bbox')
+    .optional()
+    .custom((value) => parseBbox(value) !== null).withMessage('bbox must be minLon,minLat,maxLon,maxLat')
+    .customSanitizer(parseBbox),
+  
+  // Cross-field check; runs whether or not lat is present
+  query('lat')
+    .custom((value, { req }) => {
+      const near = ['lat', 'lon', 'radiusKm'].filter((key) => req.query[key] !== undefined);
+      if (near.length && near.length < 3) throw new Error('lat, lon and radiusKm must be given together');
+      if (near.length && req.query.bbox !== undefined) throw new Error('Use either lat/lon/radiusKm or bbox, not both');
+      return true;
+    }),
+  
+  ...validatePagination,
+];
+
+// Shared by create and update; `optional` makes every field optional for updates
+const ngoFields = (optional) => {
+  const field = (chain) => (optional ? chain.optional() : chain);
+  return [
+    field(body('legalName'))
+      .trim()
+      .notEmpty().withMessage('Legal name is required')
+      .isLength({ max: 200 }).withMessage('Legal name must be less than 200 characters'),
+    
+    field(body('registrationNumber'))
+      .trim()
+      .notEmpty().withMessage('Registration number is required')
+      .isLength({ max: 100 }).withMessage('Registration number must be less than 100 characters'),
+    
+    field(body('country'))
+      .trim()
+      .toUpperCase()
+      .matches(/^[A-Z]{2}$/).withMessage('Country must be an ISO 3166-1 alpha-2 code'),
+    
+    field(body('contactEmail'))
+      .trim()
+      .isEmail().withMessage('Invalid contact email')
+      .isLength({ max: 255 }).withMessage('Contact email must be less than 255 characters'),
+    
+    body('contactPhone')
+      .optional({ values: 'null' })
+      .trim()
+      .matches(/^\+?[0-9 ()-]{6,32}$/).withMessage('Invalid contact phone'),
+    
+    body('website')
+      .optional({ values: 'null' })
+      .trim()
+      .isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('Website must be an http(s) URL')
+      .isLength({ max: 255 }).withMessage('Website must be less than 255 characters'),
+    
+    field(body('walletAddresses'))
+      .isArray({ min: 1, max: 10 }).withMessage('walletAddresses must list 1-10 wallets')
+      .custom((wallets) => new Set(wallets.map((w) => String(w).toLowerCase())).size === wallets.length)
+      .withMessage('walletAddresses must not repeat a wallet'),
+    
+    body('walletAddresses.*')
+      .matches(/^0x[a-fA-F0-9]{40}$/).withMessage('Invalid Ethereum address'),
+  ];
+};
+
+/**
+ * NGO application; documents can be given as CIDs of files already uploaded
+ */
+const validateNgo = [
+  ...ngoFields(false),
+  
+  body('documentCids')
+    .optional()
+    .isArray({ max: 20 }).withMessage('documentCids must be an array of at most 20 CIDs'),
+  
+  body('documentCids.*')
+    .matches(CID_PATTERN).withMessage('Invalid document CID'),
+  
+  validate,
+];
+
+/**
+ * NGO application update: every field is optional
+ */
+const validateNgoUpdate = [
+  ...ngoFields(true),
+  
+  validate,
+];
+
+/**
+ * Reviewer decision: the status to move the NGO to and why
+ */
+const validateNgoReview = [
+  body('status')
+    .isIn(NGO_STATUSES).withMessage(`Status must be one of ${NGO_STATUSES.join(', ')}`),
+  
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('A reason is required')
+    .isLength({ max: 2000 }).withMessage('Reason must be less than 2000 characters'),
+  
+  validate,
+];
+
+/**
+ * NGO listing filters
+ */
+const validateNgoFilters = [
+  query('status')
+    .optional()
+    .isIn(NGO_STATUSES).withMessage('Invalid status'),
+  
+  ...validatePagination,
+];
+
+/**
+ * Verifiers assigned to a milestone and how many of them must sign
+ */
+const validateMilestoneVerifiers = [
+  body('verifiers')
+    .isArray({ min: 2, max: 20 }).withMessage('verifiers must list 2-20 wallets')
+    .custom((wallets) => new Set(wallets.map((w) => String(w).toLowerCase())).size === wallets.length)
+    .withMessage('verifiers must not repeat a wallet'),
+  
+  body('verifiers.*')
+    .matches(/^0x[a-fA-F0-9]{40}$/).withMessage('Invalid Ethereum address'),
+  
+  body('quorum')
+    .optional()
+    .isInt({ min: 2 }).withMessage('Quorum must be at least 2')
+    .toInt(),
+  
+  validate,
+];
+
+/**
+ * A verifier's EIP-712 MilestoneApproval signature
+ */
+const validateMilestoneApproval = [
+  body('signature')
+    .matches(/^0x[a-fA-F0-9]{130}$/).withMessage('Invalid signature format'),
+  
+  validate,
+];
+
+// Evidence already uploaded to IPFS, listed by CID
+const evidenceFields = [
+  body('evidenceCids')
+    .optional()
+    .isArray({ max: 20 }).withMessage('evidenceCids must be an array of at most 20 CIDs'),
+  
+  body('evidenceCids.*')
+    .matches(CID_PATTERN).withMessage('Invalid evidence CID'),
+];
+
+const validateDisputeId = [
+  param('disputeId')
+    .isUUID().withMessage('Invalid dispute ID'),
+  
+  validate,
+];
+
+/**
+ * Donor dispute against an approved milestone
+ */
+const validateDispute = [
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('A reason is required')
+    .isLength({ max: 5000 }).withMessage('Reason must be less than 5000 characters'),
+  
+  ...evidenceFields,
+  
+  validate,
+];
+
+/**
+ * Message in a dispute's review thread
+ */
+const validateDisputeComment = [
+  body('body')
+    .trim()
+    .notEmpty().withMessage('A message is required')
+    .isLength({ max: 5000 }).withMessage('Message must be less than 5000 characters'),
+  
+  ...evidenceFields,
+  
+  validate,
+];
+
+/**
+ * Reviewer outcome of a dispute
+ */
+const validateDisputeResolution = [
+  body('status')
+    .isIn(['upheld', 'dismissed']).withMessage('Status must be upheld or dismissed'),
+  
+  body('resolution')
+    .trim()
+    .notEmpty().withMessage('A resolution is required')
+    .isLength({ max: 5000 }).withMessage('Resolution must be less than 5000 characters'),
+  
+  validate,
+];
+
+/**
+ * Proof version number in the path
+ */
+const validateProofVersion = [
+  param('version')
+    .isInt({ min: 1 }).withMessage('Invalid proof version')
+    .toInt(),
+  
+  validate,
+];
+
+/**
+ * Review comment on a proof version; requestsChanges asks for a new version
+ */
+const validateProofComment = [
+  body('body')
+    .trim()
+    .notEmpty().withMessage('A comment is required')
+    .isLength({ max: 5000 }).withMessage('Comment must be less than 5000 characters'),
+  
+  body('requestsChanges')
+    .optional()
+    .isBoolean().withMessage('requestsChanges must be a boolean')
+    .toBoolean(),
+  
+  validate,
+];
+
+const DELIVERY_STATUSES = ['pending', 'delivering', 'delivered', 'dead'];
+
+const webhookFields = (optional) => [
+  (optional ? body('url').optional() : body('url'))
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }).withMessage('URL must be an http(s) URL')
+    .isLength({ max: 2048 }).withMessage('URL must be less than 2048 characters'),
+  
+  (optional ? body('events').optional() : body('events'))
+    .isArray({ min: 1, max: WEBHOOK_EVENTS.length }).withMessage('events must be a non-empty array'),
+  
+  body('events.*')
+    .isIn(WEBHOOK_EVENTS).withMessage(`Event must be one of: ${WEBHOOK_EVENTS.join(', ')}`),
+  
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 }).withMessage('Description must be less than 500 characters'),
+  
+  body('active')
+    .optional()
+    .isBoolean().withMessage('active must be a boolean')
+    .toBoolean(),
+];
+
+/**
+ * Webhook subscription
+ */
+const validateWebhook = [
+  ...webhookFields(false),
+  
+  validate,
+];
+
+const validateWebhookUpdate = [
+  ...webhookFields(true),
+  
+  validate,
+];
+
+const validateDeliveryId = [
+  param('deliveryId')
+    .isUUID().withMessage('Invalid delivery ID'),
+  
+  validate,
+];
+
+/**
+ * Delivery log filters; status=dead lists the dead letters
+ */
+const validateDeliveryFilters = [
+  query('status')
+    .optional()
+    .isIn(DELIVERY_STATUSES).withMessage(`Status must be one of: ${DELIVERY_STATUSES.join(', ')}`),
+  
+  ...validatePagination,
+];
+
+/**
+ * Realtime stream: comma-separated topics and the last event id seen
+ */
+const validateRealtimeStream = [
+  query('topics')
+    .customSanitizer((value) => String(value || '').split(',').map((t) => t.trim()).filter(Boolean))
+    .custom((topics) => {
+      if (!topics.length || topics.length > MAX_TOPICS) {
+        throw new Error(`Give between 1 and ${MAX_TOPICS} topics`);
+      }
+      const invalid = topics.find((t) => !TOPIC_PATTERN.test(t));
+      if (invalid) throw new Error(`Invalid topic ${invalid}; use stats, campaign:<id> or disaster:<id>`);
+      return true;
+    }),
+  
+  query('lastEventId')
+    .optional()
+    .isInt({ min: 0 }).withMessage('lastEventId must be a non-negative integer')
+    .toInt(),
+  
+  validate,
+];
+
 module.exports = {
   validate,
   validateCampaign,
+  validateCampaignUpdate,
+  validateCampaignOnChainLink,
   validateDonation,
   validateMilestone,
   validateUser,
@@ -233,4 +818,30 @@ module.exports = {
   validateUUID,
   validatePagination,
   validateCampaignFilters,
+  validateCampaignSearch,
+  validateReceiptFormat,
+  validateFileFilters,
+  validateCid,
+  validateFileReview,
+  validateDisasterId,
+  validateDisaster,
+  validateDisasterUpdate,
+  validateDisasterFilters,
+  validateNgo,
+  validateNgoUpdate,
+  validateNgoReview,
+  validateNgoFilters,
+  validateMilestoneVerifiers,
+  validateMilestoneApproval,
+  validateDisputeId,
+  validateDispute,
+  validateDisputeComment,
+  validateDisputeResolution,
+  validateProofVersion,
+  validateProofComment,
+  validateWebhook,
+  validateWebhookUpdate,
+  validateDeliveryId,
+  validateDeliveryFilters,
+  validateRealtimeStream,
 };
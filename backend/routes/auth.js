@@ -1,15 +1,22 @@
 const express = require('express');
 const { ethers } = require('ethers');
-const { generateToken } = require('../utils/jwt');
 const usersRepo = require('../db/repos/users');
+const { getAuthStore } = require('../utils/authStore');
+const { optionalAuth } = require('../middleware/auth');
+const { issueSession, rotateSession, endSession } = require('../utils/sessions');
+const logger = require('../utils/logger');
 const { ValidationError, AuthenticationError } = require('../utils/errorHandler');
+const {
+  SiweError,
+  getSiweConfig,
+  generateNonce,
+  parseSiweMessage,
+  validateSiweMessage,
+} = require('../utils/siwe');
 
 const router = express.Router();
 
-// In-memory nonce storage (use Redis in production)
-const nonces = new Map();
-
-// Generate nonce for wallet sign-in
+// Generate nonce for Sign-In with Ethereum
 router.post('/nonce', async (req, res, next) => {
   try {
     const { walletAddress } = req.body;
@@ -22,71 +29,98 @@ router.post('/nonce', async (req, res, next) => {
       throw new ValidationError('Invalid wallet address');
     }
 
-    const nonce = Math.floor(Math.random() * 1000000).toString();
-    nonces.set(walletAddress.toLowerCase(), { nonce, timestamp: Date.now() });
+    const { chainId, nonceTtlMs } = getSiweConfig();
+    const store = getAuthStore();
+    const now = Date.now();
+    store.pruneExpired().catch((err) => logger.warn('Auth store prune failed', { error: err.message }));
 
-    // Clean up old nonces (older than 5 minutes)
-    const fiveMinutesAgo = Date.now() - 5 * 60 * 1000;
-    for (const [addr, data] of nonces.entries()) {
-      if (data.timestamp < fiveMinutesAgo) {
-        nonces.delete(addr);
-      }
-    }
+    const nonce = generateNonce();
+    const expiresAt = now + nonceTtlMs;
+    await store.saveNonce({ nonce, walletAddress: walletAddress.toLowerCase(), expiresAt });
 
-    res.json({ nonce });
+    // The client builds the EIP-4361 message from these values plus its own domain and URI
+    res.json({
+      nonce,
+      chainId,
+      issuedAt: new Date(now).toISOString(),
+      expirationTime: new Date(expiresAt).toISOString(),
+    });
   } catch (err) {
     next(err);
   }
 });
 
-// Verify signature and issue JWT
+// Verify a signed SIWE message and issue access and refresh tokens
 router.post('/verify', async (req, res, next) => {
   try {
     const { walletAddress, signature, message } = req.body;
-    if (!walletAddress || !signature || !message) {
-      return res.status(400).json({ error: 'walletAddress, signature, and message are required' });
+    if (!signature || !message) {
+      return res.status(400).json({ error: 'signature and message are required' });
+    }
+
+    let fields;
+    try {
+      fields = parseSiweMessage(message);
+    } catch (err) {
+      throw new ValidationError(`Invalid SIWE message: ${err.message}`);
+    }
+    const addr = fields.address.toLowerCase();
+    if (walletAddress && walletAddress.toLowerCase() !== addr) {
+      throw new ValidationError('walletAddress does not match the signed message');
     }
 
-    const addr = walletAddress.toLowerCase();
-    const nonceData = nonces.get(addr);
-    if (!nonceData) {
+    // Nonces are single-use: consume before checking anything else
+    const nonceData = await getAuthStore().consumeNonce(fields.nonce);
+    if (!nonceData || nonceData.walletAddress !== addr) {
       return res.status(400).json({ error: 'Nonce not found or expired. Request a new nonce.' });
     }
 
-    // Verify the signature
     try {
-      const recoveredAddress = ethers.utils.verifyMessage(message, signature);
-      if (recoveredAddress.toLowerCase() !== addr) {
-        return res.status(401).json({ error: 'Signature verification failed' });
-      }
+      validateSiweMessage(fields, getSiweConfig());
     } catch (err) {
-      return res.status(401).json({ error: 'Invalid signature' });
+      if (err instanceof SiweError) throw new AuthenticationError(err.message);
+      throw err;
     }
 
-    // Delete used nonce
-    nonces.delete(addr);
-
-    // Get or create user
-    let user;
+    // Verify the signature
+    let recoveredAddress;
     try {
-      const users = await usersRepo.listUsers();
-      user = users.find(u => u.walletAddress.toLowerCase() === addr);
-    } catch (e) {
-      user = null;
+      recoveredAddress = ethers.utils.verifyMessage(message, signature);
+    } catch (err) {
+      throw new AuthenticationError('Invalid signature');
     }
-
-    if (!user) {
-      user = await usersRepo.createUser({ walletAddress, displayName: null });
+    if (recoveredAddress.toLowerCase() !== addr) {
+      throw new AuthenticationError('Signature verification failed');
     }
 
-    // Generate JWT
-    const token = generateToken({
-      userId: user.id,
-      walletAddress: user.walletAddress,
+    const user = await usersRepo.findOrCreateByWallet(fields.address);
+
+    const session = await issueSession(user);
+
+    res.json({
+      ...session,
+      user: {
+        id: user.id,
+        walletAddress: user.walletAddress,
+        displayName: user.displayName,
+      },
     });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Exchange a refresh token for a new access/refresh pair
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      throw new ValidationError('refreshToken is required');
+    }
 
+    const { user, session } = await rotateSession(refreshToken);
     res.json({
-      token,
+      ...session,
       user: {
         id: user.id,
         walletAddress: user.walletAddress,
@@ -98,4 +132,26 @@ router.post('/verify', async (req, res, next) => {
   }
 });
 
+// Revoke the access token and its whole refresh-token family
+router.post('/logout', optionalAuth, async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!req.user && !refreshToken) {
+      throw new AuthenticationError('An access token or refreshToken is required');
+    }
+
+    if (req.user && req.user.jti) {
+      await getAuthStore().revokeToken({
+        jti: req.user.jti,
+        userId: req.user.userId,
+        expiresAt: new Date(req.user.exp * 1000),
+      });
+    }
+    await endSession({ familyId: req.user && req.user.sid, refreshToken });
+    res.json({ revoked: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
 module.exports = router;
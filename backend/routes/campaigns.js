@@ -1,224 +1,238 @@
+/**
+ * Campaign API
+ * Every campaign endpoint lives here. Single campaigns are returned as the
+ * campaign object (with donation and milestone counts), lists as
+ * { items, page, limit, total } (search adds facets), and errors go through handleError.
+ */
+
 const express = require('express');
-const router = express.Router();
-const { query } = require('../db/client');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
 const campaignsRepo = require('../db/repos/campaigns');
-const { verifyAuth } = require('../middleware/auth');
-const { handleError } = require('../utils/errorHandler');
+const donationsRepo = require('../db/repos/donations');
+const milestonesRepo = require('../db/repos/milestones');
+const usersRepo = require('../db/repos/users');
+const { getDonationTracker } = require('../web3/contracts');
+const { readOnChainCampaign, campaignLinkError } = require('../web3/campaignLinks');
+const { getIndexerConfig } = require('../web3/indexer');
+const { campaignStatusFor, withMinConfidence } = require('../utils/disasterGate');
+const { requireVerifiedNgo } = require('../utils/ngoReview');
+const { AMOUNT_PATTERN, allocationError } = require('../utils/milestoneBudget');
+const { proofUpload, proofFilesOf, parseFileDetails, pinProofBundle } = require('../utils/proofBundles');
+const { verifyAuth, authorize, hasRole } = require('../middleware/auth');
+const { readLimiter, writeLimiter, uploadLimiter } = require('../middleware/rateLimits');
+const {
+  validateCampaign,
+  validateCampaignUpdate,
+  validateCampaignOnChainLink,
+  validateCampaignFilters,
+  validateCampaignSearch,
+  validatePagination,
+  validateUUID,
+} = require('../middleware/validators');
+const { ROLES } = require('../utils/roles');
+const { AppError, ValidationError, AuthorizationError, NotFoundError } = require('../utils/errorHandler');
+
+const router = express.Router();
+
+// Loads req.campaign or 404s
+async function loadCampaign(req, res, next) {
+  try {
+    const campaign = await campaignsRepo.getCampaignByIdWithCounts(req.params.id);
+    if (!campaign) throw new NotFoundError('Campaign not found');
+    req.campaign = campaign;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Lets only the campaign creator (or an admin) through; runs after loadCampaign
+function requireCampaignOwner(req, res, next) {
+  if (req.campaign.creator !== req.user.userId && !hasRole(req.user, ROLES.ADMIN)) {
+    return next(new AuthorizationError('Only the campaign creator can do this'));
+  }
+  next();
+}
+
+const ownerOnly = [verifyAuth, authorize(ROLES.CAMPAIGN_CREATOR), validateUUID, loadCampaign, requireCampaignOwner];
 
 // List campaigns
-router.get('/', async (req, res, next) => {
+router.get('/', readLimiter, validateCampaignFilters, async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, status, sortBy, sortOrder, featured } = req.query;
-    const result = await campaignsRepo.listCampaigns({
-      page: parseInt(page, 10),
-      limit: Math.min(parseInt(limit, 10) || 10, 100),
-      status,
-      sortBy,
-      sortOrder,
-      featured: featured === 'true'
-    });
+    const { page, limit, status, sortBy, sortOrder, featured } = req.query;
+    const result = await campaignsRepo.listCampaigns({ page, limit, status, sortBy, sortOrder, featured: featured === true });
     res.json(result);
   } catch (err) {
     next(err);
   }
 });
 
-// Get campaign by ID
-router.get('/:id', async (req, res, next) => {
+// Full-text search with filters and facet counts
+router.get('/search', readLimiter, validateCampaignSearch, async (req, res, next) => {
   try {
-    const campaignId = req.params.id;
-    
-    if (!campaignId || campaignId === 'undefined') {
-      return res.status(400).json({ error: 'Campaign ID is required' });
-    }
-
-    const campaign = await campaignsRepo.getCampaignByIdWithCounts(campaignId);
-    if (!campaign) {
-      return res.status(404).json({ error: 'Campaign not found' });
-    }
-    res.json(campaign);
+    res.json(await campaignsRepo.searchCampaigns(req.query));
   } catch (err) {
-    console.error('Error getting campaign:', err);
     next(err);
   }
 });
 
+// Get campaign by ID
+router.get('/:id', readLimiter, validateUUID, loadCampaign, (req, res) => {
+  res.json(withMinConfidence(req.campaign));
+});
+
 // Get campaign donations
-router.get('/:id/donations', async (req, res, next) => {
+router.get('/:id/donations', readLimiter, validateUUID, validatePagination, loadCampaign, async (req, res, next) => {
   try {
-    const campaignId = req.params.id;
-    const { limit = 10 } = req.query;
-    
-    if (!campaignId || campaignId === 'undefined') {
-      return res.status(400).json({ error: 'Campaign ID is required' });
-    }
-    
-    const campaign = await campaignsRepo.getCampaignByIdWithCounts(campaignId);
-    if (!campaign) {
-      return res.status(404).json({ error: 'Campaign not found' });
-    }
-    
-    const donations = await campaignsRepo.getCampaignDonations(campaignId, parseInt(limit));
-    res.json({ items: donations || [] });
+    const { page, limit } = req.query;
+    const result = await donationsRepo.listDonationsByCampaign({ campaignId: req.campaign.id, page, limit });
+    res.json(result);
   } catch (err) {
-    console.error('Error getting campaign donations:', err);
     next(err);
   }
 });
 
 // Get campaign milestones
-router.get('/:id/milestones', async (req, res, next) => {
+router.get('/:id/milestones', readLimiter, validateUUID, loadCampaign, async (req, res, next) => {
   try {
-    const campaignId = req.params.id;
-    
-    if (!campaignId || campaignId === 'undefined') {
-      return res.status(400).json({ error: 'Campaign ID is required' });
-    }
-    
-    const campaign = await campaignsRepo.getCampaignByIdWithCounts(campaignId);
-    if (!campaign) {
-      return res.status(404).json({ error: 'Campaign not found' });
-    }
-    
-    const milestones = await campaignsRepo.getCampaignMilestones(campaignId);
-    res.json({ items: milestones || [] });
+    const items = await milestonesRepo.listByCampaign({ campaignId: req.campaign.id });
+    res.json({ items });
   } catch (err) {
-    console.error('Error getting campaign milestones:', err);
     next(err);
   }
 });
 
-// Create campaign
-router.post('/', verifyAuth, async (req, res, next) => {
-  console.log('=== REQUEST BODY ===');
-  console.log(JSON.stringify(req.body, null, 2));
-  console.log('=== USER ===');
-  console.log(JSON.stringify(req.user, null, 2));
-  
-  const { title, description, targetAmount, deadline, disasterId, imageCID } = req.body;
-  
-  if (!title || !targetAmount) {
-    return res.status(400).json({ error: 'Title and target amount are required' });
+// Allocated, released and remaining milestone funds against the target and amount raised
+router.get('/:id/budget', readLimiter, validateUUID, loadCampaign, async (req, res, next) => {
+  try {
+    res.json(await milestonesRepo.getBudget(req.campaign.id));
+  } catch (err) {
+    next(err);
   }
+});
 
+// Submit a milestone, optionally with a proof bundle (proofFiles plus fileDetails) that becomes proof version 1;
+// 409 when it would overrun the budget
+router.post('/:id/milestones', uploadLimiter, ...ownerOnly, proofUpload, async (req, res, next) => {
+  const files = proofFilesOf(req);
   try {
-    // First, get or create the user
-    console.log('=== CREATING/FINDING USER ===');
-    const userQuery = {
-      text: `
-        INSERT INTO Users (id, walletAddress, displayName, createdAt, updatedAt)
-        VALUES (gen_random_uuid(), $1, $2, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-        ON CONFLICT (walletAddress) 
-        DO UPDATE SET 
-          displayName = COALESCE(EXCLUDED.displayName, Users.displayName),
-          updatedAt = CURRENT_TIMESTAMP
-        RETURNING id, walletAddress
-      `,
-      values: [req.user.walletAddress, req.user.displayName || null]
-    };
-    
-    console.log('Executing user query:', JSON.stringify(userQuery, null, 2));
-    const userResult = await query(userQuery.text, userQuery.values);
-    console.log('User query result:', JSON.stringify(userResult.rows, null, 2));
-
-    if (!userResult.rows || !userResult.rows[0]) {
-      throw new Error('Failed to create or get user');
+    const { title, description, proofNote } = req.body || {};
+    const fundAmount = String((req.body || {}).fundAmount ?? '').trim();
+    if (!title) throw new ValidationError('title is required');
+    if (!AMOUNT_PATTERN.test(fundAmount)) {
+      throw new ValidationError('fundAmount must be a non-negative amount with at most 18 decimals');
     }
+    const details = parseFileDetails(req.body.fileDetails, files);
+    // Checked before the proof is pinned; createMilestoneWithinBudget re-checks under a lock
+    const overrun = allocationError(await milestonesRepo.getBudget(req.campaign.id), fundAmount);
+    if (overrun) throw new AppError(overrun, 409);
+    const milestone = { id: uuidv4(), campaignId: req.campaign.id, title };
+    let proof;
+    if (files.length) {
+      const bundle = await pinProofBundle({ files, details, milestone, version: 1, note: proofNote, uploader: req.user.userId });
+      proof = { ...bundle, note: proofNote, submittedBy: req.user.userId };
+    }
+    const created = await milestonesRepo.createMilestoneWithinBudget({ ...milestone, description, fundAmount, proof });
+    if (!created) {
+      const budget = await milestonesRepo.getBudget(req.campaign.id);
+      throw new AppError(allocationError(budget, fundAmount) || 'The campaign budget changed; try again', 409);
+    }
+    res.status(201).json(created);
+  } catch (err) {
+    next(err);
+  } finally {
+    for (const file of files) {
+      try { fs.unlinkSync(file.path); } catch (_) {}
+    }
+  }
+});
 
-    const userId = userResult.rows[0].id;
-    console.log('=== CREATING CAMPAIGN ===');
-    console.log('Using creator ID:', userId);
-
-    const campaignData = {
+// Create campaign; campaigns for a disaster the oracle has not verified yet start in pending_verification
+router.post('/', writeLimiter, verifyAuth, authorize(ROLES.CAMPAIGN_CREATOR), validateCampaign, async (req, res, next) => {
+  try {
+    const { title, description, targetAmount, deadline, disasterId, imageCID } = req.body;
+    const ngo = await requireVerifiedNgo(req.user.walletAddress);
+    const status = await campaignStatusFor(disasterId || null);
+    const created = await campaignsRepo.createCampaign({
       title,
       description,
-      targetAmount,
-      deadline: deadline || null,
+      targetAmount: String(targetAmount),
+      deadline: deadline ? new Date(deadline).toISOString() : null,
       disasterId: disasterId || null,
       imageCID: imageCID || null,
-      creator: userId
-    };
-    
-    console.log('Campaign data:', JSON.stringify(campaignData, null, 2));
-    
-    const campaign = await campaignsRepo.createCampaign(campaignData);
-    console.log('Campaign created:', JSON.stringify(campaign, null, 2));
-
-    res.status(201).json(campaign);
-  } catch (err) {
-    console.error('=== ERROR CREATING CAMPAIGN ===');
-    console.error('Error name:', err.name);
-    console.error('Error message:', err.message);
-    console.error('Error stack:', err.stack);
-    console.error('Error code:', err.code);
-    console.error('Error detail:', err.detail);
-    console.error('Error hint:', err.hint);
-    console.error('Error position:', err.position);
-    console.error('Error internal position:', err.internalPosition);
-    console.error('Error internal query:', err.internalQuery);
-    console.error('Error where:', err.where);
-    console.error('Error schema:', err.schema);
-    console.error('Error table:', err.table);
-    console.error('Error column:', err.column);
-    console.error('Error data type:', err.dataType);
-    console.error('Error constraint:', err.constraint);
-    
-    next({
-      status: 500,
-      message: 'Failed to create campaign',
-      error: {
-        name: err.name,
-        message: err.message,
-        code: err.code,
-        detail: err.detail,
-        table: err.table,
-        constraint: err.constraint,
-        column: err.column
-      }
+      creator: req.user.userId,
+      ngoId: ngo.id,
+      status,
     });
+    res.status(201).json(withMinConfidence(await campaignsRepo.getCampaignByIdWithCounts(created.id)));
+  } catch (err) {
+    next(err);
   }
 });
 
 // Update campaign
-router.put('/:id', verifyAuth, async (req, res, next) => {
+router.put('/:id', writeLimiter, ...ownerOnly, validateCampaignUpdate, async (req, res, next) => {
   try {
-    const { title, description, deadline } = req.body;
-    
-    if (!title) {
-      return res.status(400).json({ error: 'Title is required' });
+    const { title, description } = req.body;
+    let deadline;
+    if ('deadline' in req.body) {
+      deadline = req.body.deadline ? new Date(req.body.deadline).toISOString() : null;
     }
-
     const updated = await campaignsRepo.updateCampaign({
-      id: req.params.id,
-      creator: req.user.walletAddress,
+      id: req.campaign.id,
+      creator: req.campaign.creator,
       title,
       description,
-      deadline: deadline || null
+      deadline,
     });
-
-    if (!updated) {
-      return res.status(404).json({ error: 'Campaign not found or not authorized' });
-    }
-
+    if (!updated) throw new NotFoundError('Campaign not found');
     res.json(updated);
   } catch (err) {
     next(err);
   }
 });
 
-// Cancel campaign
-router.post('/:id/cancel', verifyAuth, async (req, res, next) => {
+// Cancel campaign; DELETE is kept as an alias since campaigns are never removed
+async function cancelCampaign(req, res, next) {
   try {
-    const cancelled = await campaignsRepo.cancelCampaign({
-      id: req.params.id,
-      creator: req.user.walletAddress
-    });
+    const cancelled = await campaignsRepo.cancelCampaign({ id: req.campaign.id, creator: req.campaign.creator });
+    if (!cancelled) throw new NotFoundError('Campaign not found');
+    res.json(cancelled);
+  } catch (err) {
+    next(err);
+  }
+}
 
-    if (!cancelled) {
-      return res.status(404).json({ error: 'Campaign not found or not authorized' });
-    }
+router.post('/:id/cancel', writeLimiter, ...ownerOnly, cancelCampaign);
+router.delete('/:id', writeLimiter, ...ownerOnly, cancelCampaign);
 
-    res.json({ success: true });
+// Link a campaign to the DonationTracker campaign its creator created for it
+router.put('/:id/onchain', writeLimiter, verifyAuth, authorize(ROLES.ADMIN), validateUUID, validateCampaignOnChainLink, loadCampaign, async (req, res, next) => {
+  try {
+    const { onChainId } = req.body;
+    if (req.campaign.onChainId) {
+      throw new AppError(`Campaign is already linked to on-chain campaign ${req.campaign.onChainId}`, 409);
+    }
+    const linked = await campaignsRepo.getCampaignByOnChainId(onChainId);
+    if (linked) throw new AppError(`On-chain campaign ${onChainId} is already linked to campaign ${linked.id}`, 409);
+
+    let tracker;
+    try {
+      tracker = getDonationTracker(true);
+    } catch (e) {
+      throw new AppError('DonationTracker is not configured', 503);
+    }
+    const onChain = await readOnChainCampaign(tracker, onChainId, getIndexerConfig().startBlock);
+    if (!onChain) throw new ValidationError(`On-chain campaign ${onChainId} not found`);
+    const creator = await usersRepo.getUserById(req.campaign.creator);
+    const mismatch = campaignLinkError(req.campaign, creator && creator.walletAddress, onChain);
+    if (mismatch) throw new AppError(mismatch, 409);
+
+    if (!(await campaignsRepo.setOnChainId({ id: req.campaign.id, onChainId }))) {
+      throw new AppError('Campaign or on-chain campaign was linked in the meantime', 409);
+    }
+    res.json(await campaignsRepo.getCampaignByIdWithCounts(req.campaign.id));
   } catch (err) {
     next(err);
   }
@@ -0,0 +1,225 @@
+/**
+ * Disaster API
+ * The disaster registry (name, type, dates, epicenter, affected area,
+ * severity and evidence) with near-point and bounding-box search, plus the
+ * status, history and retry of oracle verification requests. Requests are
+ * created through POST /api/verify-disaster with the registry id.
+ */
+
+const express = require('express');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const disastersRepo = require('../db/repos/disasters');
+const registryRepo = require('../db/repos/disasterRegistry');
+const campaignsRepo = require('../db/repos/campaigns');
+const filesRepo = require('../db/repos/files');
+const { getDisasterOracle } = require('../web3/contracts');
+const { retryVerification } = require('../web3/disasterOracle');
+const { queueRegistration } = require('../web3/fileRegistry');
+const { uploadFile, DOCUMENT_TYPES } = require('../upload');
+const { verifyAuth, authorize, hasRole } = require('../middleware/auth');
+const { readLimiter, writeLimiter, uploadLimiter } = require('../middleware/rateLimits');
+const { upload, execScan, withRetry } = require('../middleware/fileUpload');
+const {
+  validateDisasterId,
+  validateDisaster,
+  validateDisasterUpdate,
+  validateDisasterFilters,
+  validatePagination,
+} = require('../middleware/validators');
+const { getMinConfidence } = require('../utils/disasterGate');
+
+// Campaigns the map shows: ones taking or done taking donations. pending_verification
+// cannot occur once the disaster is verified; rejected and cancelled never raised funds for it
+const MAP_CAMPAIGN_STATUSES = ['active', 'completed'];
+const { ROLES } = require('../utils/roles');
+const { AppError, AuthorizationError, NotFoundError, ValidationError } = require('../utils/errorHandler');
+
+const router = express.Router();
+
+const MAX_EVIDENCE_FILES = 10;
+
+// Loads req.disaster or 404s
+async function loadDisaster(req, res, next) {
+  try {
+    const disaster = await registryRepo.getDisaster(req.params.id);
+    if (!disaster) throw new NotFoundError('Disaster not found');
+    req.disaster = disaster;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Lets only whoever registered the disaster (or an admin) through; runs after loadDisaster
+function requireDisasterOwner(req, res, next) {
+  if (req.disaster.createdBy !== req.user.userId && !hasRole(req.user, ROLES.ADMIN)) {
+    return next(new AuthorizationError('Only the user who registered this disaster can do this'));
+  }
+  next();
+}
+
+const registrars = [verifyAuth, authorize(ROLES.CAMPAIGN_CREATOR, ROLES.NGO_VERIFIER)];
+const ownerOnly = [...registrars, validateDisasterId, loadDisaster, requireDisasterOwner];
+
+// List disasters; ?lat&lon&radiusKm for disasters near a point, ?bbox for those intersecting a box
+router.get('/', readLimiter, validateDisasterFilters, async (req, res, next) => {
+  try {
+    const { eventType, severity, ongoing, lat, lon, radiusKm, bbox, page, limit } = req.query;
+    const near = radiusKm !== undefined ? { lat, lon, radiusKm } : undefined;
+    res.json(await registryRepo.listDisasters({ eventType, severity, ongoing, near, bbox, page, limit }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Verified disasters with their campaigns, for the map
+router.get('/map', readLimiter, async (req, res, next) => {
+  try {
+    const items = await disastersRepo.listVerifiedWithCampaigns({
+      minConfidence: getMinConfidence(),
+      campaignStatuses: MAP_CAMPAIGN_STATUSES,
+    });
+    res.json({ items });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Register a disaster
+router.post('/', writeLimiter, ...registrars, validateDisaster, async (req, res, next) => {
+  try {
+    const created = await registryRepo.createDisaster({
+      ...req.body,
+      id: req.body.id || uuidv4(),
+      startDate: new Date(req.body.startDate).toISOString(),
+      endDate: req.body.endDate ? new Date(req.body.endDate).toISOString() : null,
+      createdBy: req.user.userId,
+    });
+    if (!created) throw new AppError(`Disaster ${req.body.id} already exists`, 409);
+    res.status(201).json(created);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/:id', readLimiter, validateDisasterId, loadDisaster, (req, res) => {
+  res.json(req.disaster);
+});
+
+// Update a disaster; null clears endDate, affectedArea and description
+router.put('/:id', writeLimiter, ...ownerOnly, validateDisasterUpdate, async (req, res, next) => {
+  try {
+    const changes = { ...req.body };
+    delete changes.id;
+    for (const key of ['startDate', 'endDate']) {
+      if (changes[key]) changes[key] = new Date(changes[key]).toISOString();
+    }
+    const startDate = changes.startDate || req.disaster.startDate;
+    const endDate = 'endDate' in changes ? changes.endDate : req.disaster.endDate;
+    if (endDate && new Date(endDate) < new Date(startDate)) {
+      throw new ValidationError('End date must not be before the start date');
+    }
+    const updated = await registryRepo.updateDisaster(req.disaster.id, changes);
+    if (!updated) throw new NotFoundError('Disaster not found');
+    res.json(updated);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Campaigns keep their disasterId, so a disaster with campaigns cannot be removed
+router.delete('/:id', writeLimiter, ...ownerOnly, async (req, res, next) => {
+  try {
+    if (req.disaster.campaignCount > 0) {
+      throw new AppError(`Disaster has ${req.disaster.campaignCount} campaign(s) and cannot be deleted`, 409);
+    }
+    await registryRepo.deleteDisaster(req.disaster.id);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Campaigns raising funds for this disaster
+router.get('/:id/campaigns', readLimiter, validateDisasterId, validatePagination, loadDisaster, async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+    res.json(await campaignsRepo.listCampaigns({ disasterId: req.disaster.id, page, limit }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Pin evidence files to IPFS, register them on IPFSVerifier and attach their CIDs
+router.post('/:id/evidence', uploadLimiter, ...ownerOnly, upload.array('evidence', MAX_EVIDENCE_FILES), async (req, res, next) => {
+  const files = req.files || [];
+  try {
+    if (!files.length) throw new ValidationError('At least one evidence file is required');
+    const cids = [];
+    for (const file of files) {
+      await execScan(file.path);
+      const metadata = { disasterId: req.disaster.id, name: req.disaster.name };
+      const up = await withRetry(() => uploadFile(file.path, DOCUMENT_TYPES.DISASTER_EVIDENCE, metadata), 3, 300);
+      await filesRepo.saveUploadedFile({
+        cid: up.cid,
+        documentType: DOCUMENT_TYPES.DISASTER_EVIDENCE,
+        uploader: req.user.userId,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        sizeBytes: file.size,
+        metadata,
+        verificationStatus: 'unregistered',
+      });
+      queueRegistration(up.cid);
+      cids.push(up.cid);
+    }
+    res.status(201).json(await registryRepo.addEvidence(req.disaster.id, cids));
+  } catch (err) {
+    next(err);
+  } finally {
+    for (const file of files) {
+      try { fs.unlinkSync(file.path); } catch (_) {}
+    }
+  }
+});
+
+// Current state plus every step of the request, oldest first
+router.get('/:id/status', readLimiter, validateDisasterId, async (req, res, next) => {
+  try {
+    const status = await disastersRepo.getStatus(req.params.id);
+    if (!status) throw new NotFoundError('Disaster verification not found');
+    const history = await disastersRepo.listEvents(req.params.id);
+    res.json({ ...status, history });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Operators re-send failed requests to the oracle
+router.post('/:id/retry', writeLimiter, verifyAuth, authorize(ROLES.ADMIN), validateDisasterId, async (req, res, next) => {
+  try {
+    const verification = await disastersRepo.getVerification(req.params.id);
+    if (!verification) throw new NotFoundError('Disaster verification not found');
+    if (verification.status !== 'failed') {
+      throw new AppError(`Only failed requests can be retried (status: ${verification.status})`, 409);
+    }
+
+    let oracle;
+    try {
+      oracle = getDisasterOracle();
+    } catch (e) {
+      throw new AppError(`Disaster oracle is not configured: ${e.message}`, 503);
+    }
+
+    const result = await retryVerification(verification, { actor: req.user.userId, oracle });
+    if (!result.ok) {
+      return res.status(502).json({ error: 'Oracle request failed', txHash: result.txHash, reason: result.reason });
+    }
+    res.status(202).json(result.verification);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+/**
+ * Donation receipts API
+ * Receipts are issued when a donation is confirmed; a download for a
+ * confirmed donation without one issues it on the spot.
+ */
+
+const express = require('express');
+const donationsRepo = require('../db/repos/donations');
+const receiptsRepo = require('../db/repos/receipts');
+const { issueReceipt, renderReceiptPdf } = require('../utils/receipts');
+const { verifyAuth, hasRole } = require('../middleware/auth');
+const { readLimiter } = require('../middleware/rateLimits');
+const { validateUUID, validateReceiptFormat } = require('../middleware/validators');
+const { ROLES } = require('../utils/roles');
+const { AppError, AuthorizationError, NotFoundError } = require('../utils/errorHandler');
+
+const router = express.Router();
+
+// The donor's wallet, auditors and admins may read a receipt
+function canReadReceipt(user, donation) {
+  const isDonor = donation.donorWallet
+    && donation.donorWallet !== donationsRepo.ANON_WALLET
+    && donation.donorWallet.toLowerCase() === String(user.walletAddress).toLowerCase();
+  return isDonor || hasRole(user, ROLES.AUDITOR);
+}
+
+// Download a donation receipt as PDF (default) or signed JSON
+router.get('/:id/receipt', readLimiter, verifyAuth, validateUUID, validateReceiptFormat, async (req, res, next) => {
+  try {
+    const donation = await donationsRepo.getDonationById(req.params.id);
+    if (!donation) throw new NotFoundError('Donation not found');
+    if (!canReadReceipt(req.user, donation)) throw new AuthorizationError('Only the donor can download this receipt');
+    if (donation.status !== 'confirmed') throw new AppError('Receipts are issued once the donation is confirmed', 409);
+
+    const receipt = (await receiptsRepo.getReceiptByDonationId(donation.id)) || (await issueReceipt(donation.id));
+    const { document, signature, signer, jsonCid, pdfCid } = receipt;
+
+    if (req.query.format === 'json') {
+      res.set('X-Receipt-CID', jsonCid);
+      return res.json({ document, signature, signer, jsonCid, pdfCid });
+    }
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="receipt-${donation.id}.pdf"`,
+      'X-Receipt-CID': pdfCid,
+    });
+    res.send(renderReceiptPdf({ document, signature }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,103 @@
+/**
+ * Uploaded files API
+ * Lists files with their IPFSVerifier status and lets reviewers approve or
+ * reject them on-chain. Reviewers and auditors see every file; other users
+ * see their own uploads.
+ */
+
+const express = require('express');
+const filesRepo = require('../db/repos/files');
+const { getIPFSVerifier } = require('../web3/contracts');
+const { getChainEntry, reviewFile } = require('../web3/fileRegistry');
+const { getIPFSUrl } = require('../upload');
+const { verifyAuth, authorize, hasRole } = require('../middleware/auth');
+const { readLimiter, writeLimiter } = require('../middleware/rateLimits');
+const { validateFileFilters, validateCid, validateFileReview } = require('../middleware/validators');
+const { ROLES } = require('../utils/roles');
+const { AppError, AuthorizationError, NotFoundError } = require('../utils/errorHandler');
+
+const router = express.Router();
+
+const REVIEWABLE = new Set(['pending', 'approved', 'rejected']);
+
+function canSeeAllFiles(user) {
+  return hasRole(user, ROLES.NGO_VERIFIER) || hasRole(user, ROLES.AUDITOR);
+}
+
+const withUrl = (file) => ({ ...file, url: getIPFSUrl(file.cid) });
+
+// Loads req.uploadedFile by CID (not req.file, which multer owns) or 404s
+async function loadFile(req, res, next) {
+  try {
+    const file = await filesRepo.getFileByCid(req.params.cid);
+    if (!file) throw new NotFoundError('File not found');
+    req.uploadedFile = file;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// List files with their verification status
+router.get('/', readLimiter, verifyAuth, validateFileFilters, async (req, res, next) => {
+  try {
+    const { page, limit, documentType, status } = req.query;
+    const uploader = canSeeAllFiles(req.user) ? undefined : req.user.userId;
+    const result = await filesRepo.listFiles({ page, limit, documentType, status, uploader });
+    res.json({ ...result, items: result.items.map(withUrl) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get one file; ?onchain=true adds the live IPFSVerifier entry
+router.get('/:cid', readLimiter, verifyAuth, validateCid, loadFile, async (req, res, next) => {
+  try {
+    if (!canSeeAllFiles(req.user) && req.uploadedFile.uploader !== req.user.userId) {
+      throw new AuthorizationError('Only the uploader or a reviewer can view this file');
+    }
+    const file = withUrl(req.uploadedFile);
+    if (req.query.onchain === true) {
+      try {
+        file.onChain = await getChainEntry(file.cid);
+      } catch (e) {
+        throw new AppError(`IPFSVerifier is unavailable: ${e.message}`, 503);
+      }
+    }
+    res.json(file);
+  } catch (err) {
+    next(err);
+  }
+});
+
+function review(approved) {
+  return async (req, res, next) => {
+    try {
+      if (!REVIEWABLE.has(req.uploadedFile.verificationStatus)) {
+        throw new AppError(`File is not registered on-chain yet (status: ${req.uploadedFile.verificationStatus})`, 409);
+      }
+
+      let verifier;
+      try {
+        verifier = getIPFSVerifier();
+      } catch (e) {
+        throw new AppError(`IPFSVerifier is not configured: ${e.message}`, 503);
+      }
+
+      const result = await reviewFile({ cid: req.uploadedFile.cid, approved, reason: req.body.reason, reviewer: req.user.userId, verifier });
+      if (!result.ok) {
+        return res.status(502).json({ error: 'Review transaction failed', txHash: result.txHash, reason: result.reason });
+      }
+      res.json(withUrl(result.file));
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+// Reviewer decisions are written on-chain first, then mirrored into UploadedFiles
+const reviewers = [writeLimiter, verifyAuth, authorize(ROLES.NGO_VERIFIER)];
+router.post('/:cid/approve', ...reviewers, validateFileReview(true), loadFile, review(true));
+router.post('/:cid/reject', ...reviewers, validateFileReview(false), loadFile, review(false));
+
+module.exports = router;
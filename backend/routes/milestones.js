@@ -0,0 +1,543 @@
+/**
+ * Milestone API
+ * Approval needs a quorum of EIP-712 signatures from verifiers assigned by an
+ * admin; no single key can approve a milestone. Approval opens a challenge
+ * window in which donors can dispute the milestone. Once the window closes
+ * with no open or upheld disputes (and the milestone is linked to its on-chain
+ * index), an admin releases the funds through DonationTracker, in milestone
+ * order and never beyond what the campaign raised.
+ * Proofs are versioned bundles: each resubmission is pinned as a new numbered
+ * version with its own CID, reviewers comment on or request changes to a
+ * specific version, and a version with requested changes cannot be approved.
+ */
+
+const express = require('express');
+const fs = require('fs');
+const { ethers } = require('ethers');
+const milestonesRepo = require('../db/repos/milestones');
+const campaignsRepo = require('../db/repos/campaigns');
+const usersRepo = require('../db/repos/users');
+const ngosRepo = require('../db/repos/ngos');
+const donationsRepo = require('../db/repos/donations');
+const { getDonationTracker } = require('../web3/contracts');
+const { sendAndWait } = require('../web3/tx');
+const {
+  getApprovalConfig,
+  approvalMessage,
+  approvalTypedData,
+  recoverApprover,
+  getApprovalState,
+  finalizeApproval,
+} = require('../web3/milestoneApproval');
+const { verifyAuth, authorize, hasRole } = require('../middleware/auth');
+const { readLimiter, writeLimiter, uploadLimiter } = require('../middleware/rateLimits');
+const {
+  validateMilestoneVerifiers,
+  validateMilestoneApproval,
+  validateDisputeId,
+  validateDispute,
+  validateDisputeComment,
+  validateDisputeResolution,
+  validateProofVersion,
+  validateProofComment,
+} = require('../middleware/validators');
+const { canTransition, isChallengeOpen, releaseBlocker } = require('../utils/milestoneDisputes');
+const { releaseError } = require('../utils/milestoneBudget');
+const { proofUpload, proofFilesOf, parseFileDetails, pinProofBundle } = require('../utils/proofBundles');
+const { ROLES } = require('../utils/roles');
+const { AppError, AuthorizationError, NotFoundError, ValidationError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Loads req.milestone or 404s
+async function loadMilestone(req, res, next) {
+  try {
+    const milestone = await milestonesRepo.getById(req.params.id);
+    if (!milestone) throw new NotFoundError('Milestone not found');
+    req.milestone = milestone;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Loads req.dispute, which must belong to req.milestone, or 404s
+async function loadDispute(req, res, next) {
+  try {
+    const dispute = await milestonesRepo.getDispute(req.params.disputeId);
+    if (!dispute || dispute.milestoneId !== req.milestone.id) throw new NotFoundError('Dispute not found');
+    req.dispute = dispute;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Loads req.proofVersion, the milestone's proof version :version, or 404s
+async function loadProofVersion(req, res, next) {
+  try {
+    const version = await milestonesRepo.getProofVersion({ milestoneId: req.milestone.id, version: req.params.version });
+    if (!version) throw new NotFoundError('Proof version not found');
+    req.proofVersion = version;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Lets only the campaign creator (or an admin) through; runs after loadMilestone
+async function requireMilestoneOwner(req, res, next) {
+  try {
+    const campaign = await campaignsRepo.getCampaignByIdWithCounts(req.milestone.campaignId);
+    if (hasRole(req.user, ROLES.ADMIN) || (campaign && campaign.creator === req.user.userId)) return next();
+    throw new AuthorizationError('Only the campaign creator can submit proof for this milestone');
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Sets req.isProofReviewer for reviewers and assigned verifiers; the campaign creator may only reply
+async function requireProofParticipant(req, res, next) {
+  try {
+    const verifiers = await milestonesRepo.listVerifiers(req.milestone.id);
+    const wallet = (req.user.walletAddress || '').toLowerCase();
+    req.isProofReviewer = hasRole(req.user, ROLES.NGO_VERIFIER) || verifiers.includes(wallet);
+    if (req.isProofReviewer) return next();
+    const campaign = await campaignsRepo.getCampaignByIdWithCounts(req.milestone.campaignId);
+    if (campaign && campaign.creator === req.user.userId) return next();
+    throw new AuthorizationError('Only reviewers, assigned verifiers or the campaign creator can comment on proofs');
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Lets only the disputing donor, the campaign creator or a reviewer through; runs after loadDispute
+async function requireDisputeParticipant(req, res, next) {
+  try {
+    if (req.dispute.raisedBy === req.user.userId || hasRole(req.user, ROLES.NGO_VERIFIER)) return next();
+    const campaign = await campaignsRepo.getCampaignByIdWithCounts(req.milestone.campaignId);
+    if (campaign && campaign.creator === req.user.userId) return next();
+    throw new AuthorizationError('Only the disputing donor, the campaign creator or a reviewer can take part in this dispute');
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Wallets of the campaign's creator and NGO, which cannot verify its milestones
+async function interestedWallets(campaignId) {
+  const campaign = await campaignsRepo.getCampaignByIdWithCounts(campaignId);
+  if (!campaign) return [];
+  const [creator, ngo] = await Promise.all([
+    campaign.creator ? usersRepo.getUserById(campaign.creator) : null,
+    campaign.ngoId ? ngosRepo.getNgo(campaign.ngoId) : null,
+  ]);
+  return [creator && creator.walletAddress, ...((ngo && ngo.walletAddresses) || [])]
+    .filter(Boolean)
+    .map((w) => w.toLowerCase());
+}
+
+// 502 with the transaction details when the on-chain approval fails
+function sendFinalizeResult(res, result, successStatus, body = {}) {
+  const { status, signatures, quorum } = result;
+  if (status === 'failed') {
+    return res.status(502).json({
+      error: 'On-chain approval failed',
+      txHash: result.txHash,
+      reason: result.reason,
+      signatures,
+      quorum,
+      ...body,
+    });
+  }
+  res.status(successStatus).json({
+    ...body,
+    approved: status === 'approved',
+    signatures,
+    quorum,
+    milestone: result.milestone,
+  });
+}
+
+// Approval progress; typedData is what verifiers sign for the current proof
+router.get('/:id/approval', readLimiter, loadMilestone, async (req, res, next) => {
+  try {
+    const m = req.milestone;
+    const { verifiers, approvals, counted, quorum } = await getApprovalState(m);
+    res.json({
+      milestoneId: m.id,
+      approved: m.approved,
+      approvedAt: m.approvedAt,
+      approvalTxHash: m.approvalTxHash,
+      challengeEndsAt: m.challengeEndsAt,
+      proofCID: m.proofCID,
+      quorum,
+      verifiers,
+      signatures: counted.length,
+      approvals,
+      typedData: m.proofCID ? approvalTypedData(m) : null,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Admin assigns independent verifiers: { verifiers[], quorum? }
+router.put('/:id/verifiers', writeLimiter, verifyAuth, authorize(ROLES.ADMIN), validateMilestoneVerifiers, loadMilestone, async (req, res, next) => {
+  try {
+    const m = req.milestone;
+    if (m.approved) throw new AppError('Milestone is already approved', 409);
+    const verifiers = req.body.verifiers.map((v) => v.toLowerCase());
+    const { minQuorum } = getApprovalConfig();
+    const quorum = req.body.quorum || minQuorum;
+    if (quorum < minQuorum) {
+      throw new ValidationError(`Quorum must be at least ${minQuorum}`);
+    }
+    if (quorum > verifiers.length) {
+      throw new ValidationError(`Quorum ${quorum} needs at least ${quorum} verifiers`);
+    }
+    const interested = await interestedWallets(m.campaignId);
+    const conflicted = verifiers.find((v) => interested.includes(v));
+    if (conflicted) {
+      throw new ValidationError(`${conflicted} belongs to the campaign's creator or NGO and cannot verify its milestones`);
+    }
+    const assigned = await milestonesRepo.setVerifiers({
+      milestoneId: m.id,
+      verifiers,
+      quorum,
+      assignedBy: req.user.userId,
+    });
+    res.json({ milestoneId: m.id, quorum, verifiers: assigned });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Submit a verifier's signature; anyone signed in may relay it
+async function submitApproval(req, res, next) {
+  try {
+    const m = req.milestone;
+    if (m.approved) throw new AppError('Milestone is already approved', 409);
+    if (!m.proofCID) throw new AppError('Milestone has no proof to approve yet', 409);
+    const latest = await milestonesRepo.getLatestProofVersion(m.id);
+    if (latest && latest.status === 'changes_requested') {
+      throw new AppError(`Changes were requested on proof version ${latest.version}; a new version is needed`, 409);
+    }
+    const verifiers = await milestonesRepo.listVerifiers(m.id);
+    if (!verifiers.length) throw new AppError('No verifiers are assigned to this milestone', 409);
+
+    const { signature } = req.body;
+    let verifier;
+    try {
+      verifier = recoverApprover(m, signature);
+    } catch (e) {
+      throw new ValidationError('Signature does not match the milestone approval');
+    }
+    if (!verifiers.includes(verifier)) {
+      throw new AuthorizationError(`${verifier} is not an assigned verifier of this milestone`);
+    }
+
+    const approval = await milestonesRepo.addApproval({
+      milestoneId: m.id,
+      verifier,
+      proofCID: m.proofCID,
+      amountWei: approvalMessage(m).amount,
+      signature,
+      submittedBy: req.user.userId,
+    });
+    if (!approval) throw new AppError(`${verifier} has already approved this proof`, 409);
+    logger.info('Milestone approval signature recorded', { milestoneId: m.id, verifier });
+
+    sendFinalizeResult(res, await finalizeApproval(m), 201, { approval });
+  } catch (err) {
+    next(err);
+  }
+}
+
+const approvalChain = [writeLimiter, verifyAuth, validateMilestoneApproval, loadMilestone, submitApproval];
+router.post('/:id/approvals', ...approvalChain);
+router.put('/:id/approve', ...approvalChain);
+
+// Retry approval after quorum was reached but the on-chain transaction failed
+router.post('/:id/approval/submit', writeLimiter, verifyAuth, authorize(ROLES.NGO_VERIFIER), loadMilestone, async (req, res, next) => {
+  try {
+    if (req.milestone.approved) throw new AppError('Milestone is already approved', 409);
+    const result = await finalizeApproval(req.milestone);
+    if (result.status === 'pending') {
+      throw new AppError(`Quorum not reached (${result.signatures}/${result.quorum || 0} signatures)`, 409);
+    }
+    sendFinalizeResult(res, result, 200);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Every proof version, oldest first; currentCID is the one verifiers sign
+router.get('/:id/proofs', readLimiter, loadMilestone, async (req, res, next) => {
+  try {
+    const items = await milestonesRepo.listProofVersions(req.milestone.id);
+    res.json({ milestoneId: req.milestone.id, currentCID: req.milestone.proofCID, items });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Resubmit proof as a new version: proofFiles plus fileDetails ([{ kind, caption }]) and an optional note.
+// Signatures on earlier versions stop counting, since they signed another CID.
+router.post('/:id/proofs', uploadLimiter, verifyAuth, authorize(ROLES.CAMPAIGN_CREATOR), loadMilestone, requireMilestoneOwner, proofUpload, async (req, res, next) => {
+  const files = proofFilesOf(req);
+  try {
+    const m = req.milestone;
+    if (m.approved) throw new AppError('Milestone is already approved', 409);
+    if (!files.length) throw new ValidationError('At least one proof file is required');
+    const details = parseFileDetails(req.body.fileDetails, files);
+    const note = req.body.note ? String(req.body.note).trim().slice(0, 5000) : null;
+    const latest = await milestonesRepo.getLatestProofVersion(m.id);
+    const bundle = await pinProofBundle({
+      files,
+      details,
+      milestone: m,
+      version: latest ? latest.version + 1 : 1,
+      previousCID: m.proofCID,
+      note,
+      uploader: req.user.userId,
+    });
+    const version = await milestonesRepo.addProofVersion({ milestoneId: m.id, ...bundle, note, submittedBy: req.user.userId });
+    if (!version) throw new AppError('Another proof version was submitted at the same time; try again', 409);
+    logger.info('Milestone proof version submitted', { milestoneId: m.id, version: version.version, cid: version.cid });
+    res.status(201).json(version);
+  } catch (err) {
+    next(err);
+  } finally {
+    for (const file of files) {
+      try { fs.unlinkSync(file.path); } catch (_) {}
+    }
+  }
+});
+
+// A proof version and its review comments
+router.get('/:id/proofs/:version', readLimiter, validateProofVersion, loadMilestone, loadProofVersion, async (req, res, next) => {
+  try {
+    res.json({ ...req.proofVersion, comments: await milestonesRepo.listProofComments(req.proofVersion.id) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Comment on a proof version; reviewers may set requestsChanges on the latest version of an unapproved milestone
+router.post('/:id/proofs/:version/comments', writeLimiter, verifyAuth, validateProofVersion, validateProofComment, loadMilestone, loadProofVersion, requireProofParticipant, async (req, res, next) => {
+  try {
+    const requestsChanges = req.body.requestsChanges === true;
+    if (requestsChanges) {
+      if (!req.isProofReviewer) throw new AuthorizationError('Only reviewers and assigned verifiers can request changes');
+      if (req.milestone.approved) throw new AppError('Milestone is already approved', 409);
+      if (req.proofVersion.cid !== req.milestone.proofCID) {
+        throw new AppError('Changes can only be requested on the current proof version', 409);
+      }
+    }
+    const comment = await milestonesRepo.addProofComment({
+      versionId: req.proofVersion.id,
+      author: req.user.userId,
+      body: req.body.body,
+      requestsChanges,
+    });
+    if (requestsChanges) {
+      logger.info('Changes requested on milestone proof', { milestoneId: req.milestone.id, version: req.proofVersion.version });
+    }
+    res.status(201).json(comment);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Disputes of the milestone, oldest first, and what still blocks its release
+router.get('/:id/disputes', readLimiter, loadMilestone, async (req, res, next) => {
+  try {
+    const m = req.milestone;
+    const disputes = await milestonesRepo.listDisputes(m.id);
+    res.json({
+      milestoneId: m.id,
+      challengeEndsAt: m.challengeEndsAt,
+      challengeOpen: isChallengeOpen(m),
+      releaseBlocker: m.approved && !m.releasedAt ? releaseBlocker(m, disputes) : null,
+      items: disputes,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Donors to the campaign dispute an approved milestone during its challenge window
+router.post('/:id/disputes', writeLimiter, verifyAuth, validateDispute, loadMilestone, async (req, res, next) => {
+  try {
+    const m = req.milestone;
+    if (!isChallengeOpen(m)) throw new AppError('Milestone is not open to challenge', 409);
+    const isDonor = await donationsRepo.hasConfirmedDonation({
+      campaignId: m.campaignId,
+      walletAddress: req.user.walletAddress,
+    });
+    if (!isDonor) throw new AuthorizationError('Only donors to this campaign can dispute its milestones');
+
+    const dispute = await milestonesRepo.fileDispute({
+      milestoneId: m.id,
+      raisedBy: req.user.userId,
+      reason: req.body.reason,
+      evidenceCids: req.body.evidenceCids,
+    });
+    if (!dispute) throw new AppError('You already have an open dispute on this milestone', 409);
+    logger.warn('Milestone disputed; release frozen', { milestoneId: m.id, disputeId: dispute.id });
+    res.status(201).json(dispute);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// A dispute and its review thread
+router.get('/:id/disputes/:disputeId', readLimiter, validateDisputeId, loadMilestone, loadDispute, async (req, res, next) => {
+  try {
+    res.json({ ...req.dispute, comments: await milestonesRepo.listDisputeComments(req.dispute.id) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/:id/disputes/:disputeId/comments', writeLimiter, verifyAuth, validateDisputeId, validateDisputeComment, loadMilestone, loadDispute, requireDisputeParticipant, async (req, res, next) => {
+  try {
+    if (req.dispute.status !== 'open') throw new AppError(`The dispute is closed (${req.dispute.status})`, 409);
+    const comment = await milestonesRepo.addDisputeComment({
+      disputeId: req.dispute.id,
+      author: req.user.userId,
+      body: req.body.body,
+      evidenceCids: req.body.evidenceCids,
+    });
+    res.status(201).json(comment);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Reviewer outcome: { status: upheld | dismissed, resolution }
+router.post('/:id/disputes/:disputeId/resolve', writeLimiter, verifyAuth, authorize(ROLES.NGO_VERIFIER), validateDisputeId, validateDisputeResolution, loadMilestone, loadDispute, async (req, res, next) => {
+  try {
+    const { status, resolution } = req.body;
+    if (!canTransition(req.dispute.status, status)) {
+      throw new AppError(`Cannot move a dispute from ${req.dispute.status} to ${status}`, 409);
+    }
+    const resolved = await milestonesRepo.resolveDispute({
+      id: req.dispute.id,
+      from: req.dispute.status,
+      to: status,
+      resolvedBy: req.user.userId,
+      resolution,
+    });
+    if (!resolved) throw new AppError('The dispute was resolved by someone else in the meantime', 409);
+    logger.info('Milestone dispute resolved', { milestoneId: req.milestone.id, disputeId: resolved.id, status });
+    res.json(resolved);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/:id/release-funds', writeLimiter, verifyAuth, authorize(ROLES.ADMIN), async (req, res, next) => {
+  try {
+    const milestone = await milestonesRepo.getById(req.params.id);
+    if (!milestone) return res.status(404).json({ error: 'Milestone not found' });
+    if (!milestone.approved) return res.status(400).json({ error: 'Milestone not approved' });
+    if (milestone.releasedAt) return res.status(400).json({ error: 'Funds already released' });
+    const blocker = releaseBlocker(milestone, await milestonesRepo.listDisputes(milestone.id));
+    if (blocker) return res.status(409).json({ error: blocker, challengeEndsAt: milestone.challengeEndsAt });
+    const earlier = await milestonesRepo.findUnreleasedBefore(milestone.id);
+    if (earlier) {
+      return res.status(409).json({ error: `Milestone "${earlier.title}" must be released first`, milestoneId: earlier.id });
+    }
+    const overdraw = releaseError(await milestonesRepo.getBudget(milestone.campaignId), milestone);
+    if (overdraw) return res.status(409).json({ error: overdraw });
+
+    const campaign = await campaignsRepo.getCampaignByIdWithCounts(milestone.campaignId);
+    if (!campaign || !campaign.onChainId || milestone.onChainIndex == null) {
+      return res.status(409).json({ error: 'Milestone is not linked to an on-chain milestone' });
+    }
+
+    let tracker;
+    try {
+      tracker = getDonationTracker();
+    } catch (e) {
+      return res.status(503).json({ error: 'DonationTracker is not configured', message: e.message });
+    }
+
+    // releasedAt is only set once the release transaction is mined successfully
+    const result = await sendAndWait(tracker.releaseFunds(campaign.onChainId, milestone.onChainIndex), 1);
+    if (result.status !== 'success') {
+      logger.error('Fund release failed', { milestoneId: milestone.id, result: result.error || result.status });
+      return res.status(502).json({
+        error: 'Release transaction failed',
+        txHash: result.txHash || null,
+        reason: result.error ? result.error.message : result.status,
+      });
+    }
+
+    const { receipt } = result;
+    const marked = await milestonesRepo.markReleased({
+      id: milestone.id,
+      txHash: result.txHash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+    });
+    res.json({
+      released: true,
+      txHash: marked.releaseTxHash,
+      blockNumber: Number(marked.releaseBlockNumber),
+      gasUsed: marked.releaseGasUsed,
+      releasedAt: marked.releasedAt,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Link a DB milestone to its index in the on-chain campaign
+router.put('/:id/onchain', writeLimiter, verifyAuth, authorize(ROLES.ADMIN), async (req, res, next) => {
+  try {
+    const onChainIndex = Number((req.body || {}).onChainIndex);
+    if (!Number.isInteger(onChainIndex) || onChainIndex < 0) {
+      return res.status(400).json({ error: 'onChainIndex must be a non-negative integer' });
+    }
+
+    const milestone = await milestonesRepo.getById(req.params.id);
+    if (!milestone) return res.status(404).json({ error: 'Milestone not found' });
+    const campaign = await campaignsRepo.getCampaignByIdWithCounts(milestone.campaignId);
+    if (!campaign || !campaign.onChainId) {
+      return res.status(409).json({ error: 'Campaign is not linked to an on-chain campaign' });
+    }
+
+    let tracker;
+    try {
+      tracker = getDonationTracker(true);
+    } catch (e) {
+      return res.status(503).json({ error: 'DonationTracker is not configured', message: e.message });
+    }
+    let onChain;
+    try {
+      onChain = await tracker.getMilestone(campaign.onChainId, onChainIndex);
+    } catch (e) {
+      return res.status(400).json({ error: 'On-chain milestone not found', message: e.reason || e.message });
+    }
+    // releaseFunds pays the on-chain amount, so it must be the one the budget checks allowed
+    if (onChain.released) return res.status(409).json({ error: 'On-chain milestone is already released' });
+    if (!onChain.fundAmount.eq(ethers.utils.parseEther(String(milestone.fundAmount)))) {
+      return res.status(409).json({
+        error: 'On-chain milestone amount does not match the milestone',
+        onChainAmount: ethers.utils.formatEther(onChain.fundAmount),
+        fundAmount: String(milestone.fundAmount),
+      });
+    }
+
+    await milestonesRepo.setOnChainIndex({ id: milestone.id, onChainIndex });
+    res.json({ milestoneId: milestone.id, campaignOnChainId: campaign.onChainId, onChainIndex });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    next(err);
+  }
+});
+
+module.exports = router;
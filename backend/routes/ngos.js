@@ -0,0 +1,193 @@
+/**
+ * NGO API
+ * Applications (legal details, wallets and verification documents) and their
+ * review. Reviewers move NGOs through submitted -> under_review -> verified,
+ * send them back for changes or suspend them; every decision is recorded with
+ * the reviewer and reason. Campaigns can only be created from the wallet of a
+ * verified NGO.
+ */
+
+const express = require('express');
+const fs = require('fs');
+const ngosRepo = require('../db/repos/ngos');
+const filesRepo = require('../db/repos/files');
+const { queueRegistration } = require('../web3/fileRegistry');
+const { uploadFile, DOCUMENT_TYPES } = require('../upload');
+const { verifyAuth, authorize, hasRole } = require('../middleware/auth');
+const { readLimiter, writeLimiter, uploadLimiter } = require('../middleware/rateLimits');
+const { upload, execScan, withRetry } = require('../middleware/fileUpload');
+const {
+  validateUUID,
+  validateNgo,
+  validateNgoUpdate,
+  validateNgoReview,
+  validateNgoFilters,
+} = require('../middleware/validators');
+const { canTransition, isEditable } = require('../utils/ngoReview');
+const { ROLES } = require('../utils/roles');
+const { AppError, AuthorizationError, NotFoundError, ValidationError } = require('../utils/errorHandler');
+
+const router = express.Router();
+
+const MAX_DOCUMENT_FILES = 10;
+
+const isReviewer = (user) => hasRole(user, ROLES.NGO_VERIFIER);
+
+// Loads req.ngo or 404s
+async function loadNgo(req, res, next) {
+  try {
+    const ngo = await ngosRepo.getNgo(req.params.id);
+    if (!ngo) throw new NotFoundError('NGO not found');
+    req.ngo = ngo;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Lets only the applicant (or a reviewer) through; runs after loadNgo
+function requireApplicantOrReviewer(req, res, next) {
+  if (req.ngo.submittedBy !== req.user.userId && !isReviewer(req.user)) {
+    return next(new AuthorizationError('Only the applicant or a reviewer can do this'));
+  }
+  next();
+}
+
+// 409 when another NGO already uses the registration number or one of the wallets
+async function assertUnclaimed({ country, registrationNumber, walletAddresses }, ngoId = null) {
+  if (country && registrationNumber) {
+    const existing = await ngosRepo.getNgoByRegistration({ country, registrationNumber });
+    if (existing && existing.id !== ngoId) {
+      throw new AppError(`An NGO with registration number ${registrationNumber} in ${country} already exists`, 409);
+    }
+  }
+  if (walletAddresses) {
+    const claimed = await ngosRepo.findClaimedWallets(walletAddresses, ngoId);
+    if (claimed.length) {
+      throw new AppError(`Wallet ${claimed[0].walletAddress} already belongs to another NGO`, 409);
+    }
+  }
+}
+
+const applicantOnly = [verifyAuth, validateUUID, loadNgo, requireApplicantOrReviewer];
+const reviewers = [verifyAuth, authorize(ROLES.NGO_VERIFIER)];
+
+// Reviewers list applications, oldest first; ?status narrows to one state
+router.get('/', readLimiter, ...reviewers, validateNgoFilters, async (req, res, next) => {
+  try {
+    const { status, page, limit } = req.query;
+    res.json(await ngosRepo.listNgos({ status, page, limit }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Apply as an NGO
+router.post('/', writeLimiter, verifyAuth, validateNgo, async (req, res, next) => {
+  try {
+    await assertUnclaimed(req.body);
+    const created = await ngosRepo.createNgo({ ...req.body, submittedBy: req.user.userId });
+    if (!created) throw new AppError('The registration number or a wallet was claimed by another NGO', 409);
+    res.status(201).json(created);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/:id', readLimiter, ...applicantOnly, (req, res) => {
+  res.json(req.ngo);
+});
+
+// Applicants edit their application until review starts
+router.put('/:id', writeLimiter, ...applicantOnly, validateNgoUpdate, async (req, res, next) => {
+  try {
+    if (!isEditable(req.ngo)) {
+      throw new AppError(`Applications can only be changed while submitted (status: ${req.ngo.status})`, 409);
+    }
+    const changes = { ...req.body };
+    await assertUnclaimed({
+      country: changes.country || req.ngo.country,
+      registrationNumber: changes.registrationNumber || req.ngo.registrationNumber,
+      walletAddresses: changes.walletAddresses,
+    }, req.ngo.id);
+    const updated = await ngosRepo.updateNgo(req.ngo.id, changes);
+    if (!updated) throw new AppError('The registration number or a wallet was claimed by another NGO', 409);
+    res.json(updated);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Pin verification documents to IPFS, register them on IPFSVerifier and attach their CIDs
+router.post('/:id/documents', uploadLimiter, ...applicantOnly, upload.array('documents', MAX_DOCUMENT_FILES), async (req, res, next) => {
+  const files = req.files || [];
+  try {
+    if (!files.length) throw new ValidationError('At least one document is required');
+    if (!isEditable(req.ngo) && req.ngo.status !== 'under_review') {
+      throw new AppError(`Documents cannot be added to a ${req.ngo.status} NGO`, 409);
+    }
+    const cids = [];
+    for (const file of files) {
+      await execScan(file.path);
+      const metadata = { ngoId: req.ngo.id, legalName: req.ngo.legalName };
+      const up = await withRetry(() => uploadFile(file.path, DOCUMENT_TYPES.NGO_VERIFICATION, metadata), 3, 300);
+      await filesRepo.saveUploadedFile({
+        cid: up.cid,
+        documentType: DOCUMENT_TYPES.NGO_VERIFICATION,
+        uploader: req.user.userId,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        sizeBytes: file.size,
+        metadata,
+        verificationStatus: 'unregistered',
+      });
+      queueRegistration(up.cid);
+      cids.push(up.cid);
+    }
+    res.status(201).json(await ngosRepo.addDocuments(req.ngo.id, cids));
+  } catch (err) {
+    next(err);
+  } finally {
+    for (const file of files) {
+      try { fs.unlinkSync(file.path); } catch (_) {}
+    }
+  }
+});
+
+// Every review decision, oldest first
+router.get('/:id/reviews', readLimiter, ...applicantOnly, async (req, res, next) => {
+  try {
+    res.json({ items: await ngosRepo.listReviews(req.ngo.id) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Reviewer decision: { status, reason }
+router.post('/:id/review', writeLimiter, ...reviewers, validateUUID, validateNgoReview, loadNgo, async (req, res, next) => {
+  try {
+    const { status, reason } = req.body;
+    if (req.ngo.submittedBy === req.user.userId) {
+      throw new AuthorizationError('Reviewers cannot review an NGO they submitted');
+    }
+    if (!canTransition(req.ngo.status, status)) {
+      throw new AppError(`Cannot move an NGO from ${req.ngo.status} to ${status}`, 409);
+    }
+    if (status === 'verified' && !req.ngo.documentCids.length) {
+      throw new AppError('NGOs need at least one verification document before they can be verified', 409);
+    }
+    const reviewed = await ngosRepo.recordReview({
+      id: req.ngo.id,
+      from: req.ngo.status,
+      to: status,
+      reviewer: req.user.userId,
+      reason,
+    });
+    if (!reviewed) throw new AppError('The NGO was reviewed by someone else in the meantime', 409);
+    res.json({ ...reviewed, reviews: await ngosRepo.listReviews(req.ngo.id) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
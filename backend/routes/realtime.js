@@ -0,0 +1,72 @@
+/**
+ * Realtime API
+ * Server-Sent Events stream of campaign, disaster and platform stats updates.
+ * Each message's id is the event seq; browsers send it back as Last-Event-ID
+ * when they reconnect and the events missed in between are replayed first.
+ */
+
+const express = require('express');
+const { readLimiter } = require('../middleware/rateLimits');
+const { validateRealtimeStream } = require('../middleware/validators');
+const { getRealtimeHub, getRealtimeConfig } = require('../utils/realtime');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const RETRY_MS = 3000;
+
+const formatEvent = (event) =>
+  `id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify({ id: event.id, type: event.type, createdAt: event.createdAt, data: event.payload })}\n\n`;
+
+// ?topics=stats,campaign:<id>,disaster:<id>; ?lastEventId resumes when the Last-Event-ID header is not sent
+router.get('/', readLimiter, validateRealtimeStream, async (req, res, next) => {
+  const header = req.get('Last-Event-ID');
+  const after = /^\d+$/.test(header || '') ? Number(header) : req.query.lastEventId;
+  const write = (chunk) => {
+    if (!res.writableEnded) res.write(chunk);
+  };
+
+  const hub = getRealtimeHub();
+  try {
+    await hub.start();
+  } catch (err) {
+    return next(err);
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  write(`retry: ${RETRY_MS}\n\n`);
+
+  let closed = false;
+  let unsubscribe = () => {};
+  const heartbeat = setInterval(() => write(': ping\n\n'), getRealtimeConfig().heartbeatMs);
+  if (heartbeat.unref) heartbeat.unref();
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    const off = await hub.subscribe({
+      topics: req.query.topics,
+      after,
+      send: (event) => write(formatEvent(event)),
+      // Too much was missed to replay; the client reloads and resumes from here
+      reset: () => write('event: reset\ndata: {}\n\n'),
+      end: () => res.end(),
+    });
+    if (closed) off();
+    else unsubscribe = off;
+  } catch (err) {
+    logger.error('Realtime subscribe failed', { error: err.message });
+    res.end();
+  }
+});
+
+module.exports = router;
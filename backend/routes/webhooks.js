@@ -0,0 +1,135 @@
+/**
+ * Webhooks API
+ * Admins subscribe integration endpoints (CRMs, accounting) to platform
+ * events, inspect each subscription's delivery log and dead letters, and
+ * redeliver. The signing secret is returned only when a subscription is
+ * created.
+ */
+
+const express = require('express');
+const webhooksRepo = require('../db/repos/webhooks');
+const { verifyAuth, authorize } = require('../middleware/auth');
+const { readLimiter, writeLimiter } = require('../middleware/rateLimits');
+const {
+  validateUUID,
+  validateWebhook,
+  validateWebhookUpdate,
+  validateDeliveryId,
+  validateDeliveryFilters,
+} = require('../middleware/validators');
+const { generateSecret } = require('../utils/webhooks');
+const { ROLES } = require('../utils/roles');
+const { AppError, NotFoundError } = require('../utils/errorHandler');
+
+const router = express.Router();
+
+// Loads req.subscription or 404s
+async function loadSubscription(req, res, next) {
+  try {
+    const subscription = await webhooksRepo.getSubscription(req.params.id);
+    if (!subscription) throw new NotFoundError('Webhook subscription not found');
+    req.subscription = subscription;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Loads req.delivery, which must belong to req.subscription, or 404s
+async function loadDelivery(req, res, next) {
+  try {
+    const delivery = await webhooksRepo.getDelivery(req.params.deliveryId);
+    if (!delivery || delivery.subscriptionId !== req.subscription.id) throw new NotFoundError('Delivery not found');
+    req.delivery = delivery;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+const admins = [verifyAuth, authorize(ROLES.ADMIN)];
+const subscriptionRoute = [...admins, validateUUID, loadSubscription];
+const deliveryRoute = [...subscriptionRoute, validateDeliveryId, loadDelivery];
+
+router.get('/', readLimiter, ...admins, async (req, res, next) => {
+  try {
+    res.json(await webhooksRepo.listSubscriptions());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Receivers verify X-D3R-Signature with the returned secret
+router.post('/', writeLimiter, ...admins, validateWebhook, async (req, res, next) => {
+  try {
+    const { url, events, description } = req.body;
+    const created = await webhooksRepo.createSubscription({
+      url,
+      events: [...new Set(events)],
+      description,
+      secret: generateSecret(),
+      createdBy: req.user.userId,
+    });
+    res.status(201).json(created);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/:id', readLimiter, ...subscriptionRoute, (req, res) => {
+  res.json(req.subscription);
+});
+
+// Deactivating stops new events; queued deliveries are held until the subscription is active again
+router.put('/:id', writeLimiter, ...subscriptionRoute, validateWebhookUpdate, async (req, res, next) => {
+  try {
+    const changes = {};
+    for (const key of ['url', 'description', 'active']) {
+      if (key in req.body) changes[key] = req.body[key];
+    }
+    if (req.body.events) changes.events = [...new Set(req.body.events)];
+    res.json(await webhooksRepo.updateSubscription(req.subscription.id, changes));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/:id', writeLimiter, ...subscriptionRoute, async (req, res, next) => {
+  try {
+    await webhooksRepo.deleteSubscription(req.subscription.id);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delivery log, newest first; ?status=dead lists the dead letters
+router.get('/:id/deliveries', readLimiter, ...subscriptionRoute, validateDeliveryFilters, async (req, res, next) => {
+  try {
+    const { status, page, limit } = req.query;
+    res.json(await webhooksRepo.listDeliveries({ subscriptionId: req.subscription.id, status, page, limit }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/:id/deliveries/:deliveryId', readLimiter, ...deliveryRoute, async (req, res, next) => {
+  try {
+    res.json({ ...req.delivery, attemptLog: await webhooksRepo.listAttempts(req.delivery.id) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Queue a delivered or dead-lettered delivery again with a fresh retry budget
+router.post('/:id/deliveries/:deliveryId/redeliver', writeLimiter, ...deliveryRoute, async (req, res, next) => {
+  try {
+    const queued = await webhooksRepo.redeliver(req.delivery.id);
+    if (!queued) throw new AppError(`Delivery is ${req.delivery.status}; only delivered or dead deliveries can be redelivered`, 409);
+    res.status(202).json(queued);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -32,6 +32,7 @@ console.log('\n🔌 Initializing server...');
 
 // Import the app from server.js
 const app = require('./server');
+const { closeRealtimeHub } = require('./utils/realtime');
 const PORT = process.env.PORT || 4000;
 
 // Start the server
@@ -40,6 +41,70 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   console.log('Press Ctrl+C to stop the server');
 });
 
+// Start the chain indexer when enabled
+let indexer = null;
+if (process.env.INDEXER_ENABLED === 'true') {
+  try {
+    indexer = require('./web3/indexer').startIndexer();
+    console.log('⛓️  Chain indexer started');
+  } catch (err) {
+    console.error('Failed to start chain indexer:', err.message);
+  }
+}
+
+// Confirm or fail pending donations as blocks arrive
+let donationConfirmer = null;
+if (process.env.RPC_URL) {
+  try {
+    donationConfirmer = require('./web3/donations').startDonationConfirmer();
+  } catch (err) {
+    console.error('Failed to start donation confirmer:', err.message);
+  }
+}
+
+// Register uploaded CIDs on IPFSVerifier, retrying failed registrations
+let fileRegistrar = null;
+if (process.env.RPC_URL && process.env.IPFS_VERIFIER_ADDRESS) {
+  try {
+    fileRegistrar = require('./web3/fileRegistry').startFileRegistrar();
+  } catch (err) {
+    console.error('Failed to start file registrar:', err.message);
+  }
+}
+
+// Record DisasterOracleMock results and time out unanswered verification requests
+let oracleListener = null;
+if (process.env.RPC_URL && process.env.DISASTER_ORACLE_ADDRESS) {
+  try {
+    oracleListener = require('./web3/disasterOracle').startOracleListener();
+  } catch (err) {
+    console.error('Failed to start disaster oracle listener:', err.message);
+  }
+}
+
+// Deliver webhook events to subscribers, retrying failed deliveries
+let webhookDispatcher = null;
+if (process.env.WEBHOOKS_ENABLED !== 'false') {
+  try {
+    webhookDispatcher = require('./utils/webhooks').startWebhookDispatcher();
+  } catch (err) {
+    console.error('Failed to start webhook dispatcher:', err.message);
+  }
+}
+
+// Report ABI/bytecode mismatches for the configured contract addresses
+if (process.env.RPC_URL) {
+  require('./web3/contracts')
+    .checkDeployedContracts()
+    .then((results) => {
+      const mismatched = results.filter((r) => !r.ok);
+      if (mismatched.length) {
+        console.warn(`⚠️  ABI mismatch for: ${mismatched.map((r) => r.name).join(', ')}`);
+      }
+    })
+    .catch((err) => console.error('Contract ABI check failed:', err.message));
+}
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   console.error('Unhandled Rejection:', err);
@@ -55,6 +120,12 @@ process.on('uncaughtException', (err) => {
 // Handle termination signals
 process.on('SIGTERM', () => {
   console.log('\nSIGTERM received. Shutting down gracefully...');
+  if (indexer) indexer.stop();
+  if (donationConfirmer) donationConfirmer.stop();
+  if (fileRegistrar) fileRegistrar.stop();
+  if (oracleListener) oracleListener.stop();
+  if (webhookDispatcher) webhookDispatcher.stop();
+  closeRealtimeHub();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -64,6 +135,12 @@ process.on('SIGTERM', () => {
 // Handle Ctrl+C
 process.on('SIGINT', () => {
   console.log('\nSIGINT received. Shutting down gracefully...');
+  if (indexer) indexer.stop();
+  if (donationConfirmer) donationConfirmer.stop();
+  if (fileRegistrar) fileRegistrar.stop();
+  if (oracleListener) oracleListener.stop();
+  if (webhookDispatcher) webhookDispatcher.stop();
+  closeRealtimeHub();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
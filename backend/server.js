@@ -1,7 +1,6 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const rateLimit = require('express-rate-limit');
 const path = require('path');
 const fs = require('fs');
 const { query, checkConnection } = require('./db/client');
@@ -9,18 +8,26 @@ const usersRepo = require('./db/repos/users');
 const campaignsRepo = require('./db/repos/campaigns');
 const filesRepo = require('./db/repos/files');
 const donationsRepo = require('./db/repos/donations');
-const multer = require('multer');
-const { v4: uuidv4 } = require('uuid');
-const { uploadFileToPinata, testPinataConnection } = require('./upload');
-const { execFile } = require('child_process');
-const milestonesRepo = require('./db/repos/milestones');
-const disastersRepo = require('./db/repos/disasters');
-const { getDisasterOracle } = require('./web3/contracts');
-const { sendAndWait } = require('./web3/tx');
+const { uploadFile, testStorageConnection, getIPFSUrl } = require('./upload');
+const { getStorageProvider } = require('./storage');
+const { verifyDonationTx } = require('./web3/donations');
+const { queueRegistration, MAX_CHAIN_METADATA_LENGTH } = require('./web3/fileRegistry');
+const { requestVerification } = require('./web3/disasterOracle');
 const authRoutes = require('./routes/auth');
 const campaignsRoutes = require('./routes/campaigns');
 const statsRoutes = require('./routes/stats');
-const { verifyAuth } = require('./middleware/auth');
+const donationsRoutes = require('./routes/donations');
+const filesRoutes = require('./routes/files');
+const disastersRoutes = require('./routes/disasters');
+const ngosRoutes = require('./routes/ngos');
+const milestonesRoutes = require('./routes/milestones');
+const webhooksRoutes = require('./routes/webhooks');
+const realtimeRoutes = require('./routes/realtime');
+const { verifyAuth, authorize } = require('./middleware/auth');
+const { authLimiter, writeLimiter, readLimiter, uploadLimiter } = require('./middleware/rateLimits');
+const { upload, execScan, withRetry } = require('./middleware/fileUpload');
+const { ROLES, ALL_ROLES } = require('./utils/roles');
+const rolesRepo = require('./db/repos/roles');
 const { handleError, NotFoundError, ValidationError, AuthenticationError, AuthorizationError } = require('./utils/errorHandler');
 const logger = require('./utils/logger');
 
@@ -105,8 +112,8 @@ const corsOptions = {
   },
   credentials: true, // Allow cookies and authorization headers
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-user-id', 'x-admin-key'],
-  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'],
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'X-Receipt-CID', 'Content-Disposition'],
   maxAge: 86400, // 24 hours
 };
 
@@ -114,91 +121,38 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Rate limiting configurations
-// Strict limiter for authentication endpoints
-const authLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // 5 requests per window
-  message: 'Too many authentication attempts, please try again later',
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-// Moderate limiter for write operations (POST, PUT, DELETE)
-const writeLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 50, // 50 requests per window
-  message: 'Too many requests, please try again later',
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-// Lenient limiter for read operations (GET)
-const readLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 200, // 200 requests per window
-  message: 'Too many requests, please try again later',
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-// Very strict limiter for file uploads
-const uploadLimiter = rateLimit({
-  windowMs: 60 * 60 * 1000, // 1 hour
-  max: 10, // 10 uploads per hour
-  message: 'Too many file uploads, please try again later',
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
 // Auth routes with strict rate limiting
 app.use('/api/auth', authLimiter, authRoutes);
 app.use('/api/campaigns', campaignsRoutes);
 app.use('/api/stats', statsRoutes);
+app.use('/api/donations', donationsRoutes);
+app.use('/api/files', filesRoutes);
+app.use('/api/disasters', disastersRoutes);
+app.use('/api/ngos', ngosRoutes);
+app.use('/api/milestones', milestonesRoutes);
+app.use('/api/webhooks', webhooksRoutes);
+app.use('/api/realtime', realtimeRoutes);
+
+// The local storage provider doubles as a read-only IPFS gateway
+if (getStorageProvider().name === 'local') {
+  app.use('/ipfs', readLimiter, express.static(getStorageProvider().root, { index: false, dotfiles: 'deny' }));
+}
 
 // Disaster verification with write limiter
-app.post('/api/verify-disaster', writeLimiter, async (req, res, next) => {
+app.post('/api/verify-disaster', writeLimiter, verifyAuth, authorize(ROLES.CAMPAIGN_CREATOR, ROLES.NGO_VERIFIER), async (req, res, next) => {
   try {
     const { disasterId, latitude, longitude, eventType } = req.body || {};
     if (!disasterId) return res.status(400).json({ error: 'disasterId is required' });
+    if (String(disasterId).length > 64) return res.status(400).json({ error: 'disasterId must be at most 64 characters' });
     if (typeof latitude === 'undefined' || typeof longitude === 'undefined') {
       return res.status(400).json({ error: 'latitude and longitude are required' });
     }
     if (!eventType) return res.status(400).json({ error: 'eventType is required' });
 
-    // Upsert pending record
-    await disastersRepo.upsertVerification({ disasterId, latitude, longitude, eventType, status: 'pending', confidence: null, txHash: null });
-
-    // On-chain request (if configured); otherwise simulate success
-    let txHash = null;
-    try {
-      const oracle = getDisasterOracle(false);
-      const txResp = await oracle.requestVerification(String(disasterId), Math.trunc(Number(latitude) * 1e6), Math.trunc(Number(longitude) * 1e6), String(eventType));
-      const result = await sendAndWait(Promise.resolve(txResp), 1);
-      if (result.status === 'success') {
-        txHash = result.txHash;
-      } else {
-        console.error('Oracle request failed:', result.error || result);
-      }
-    } catch (e) {
-      console.warn('Oracle not configured or call failed, continuing with pending status:', e.message || e);
-    }
-
-    if (txHash) {
-      await disastersRepo.upsertVerification({ disasterId, latitude, longitude, eventType, status: 'pending', confidence: null, txHash });
-    }
+    // Recorded as pending either way; a request the oracle never received times out and can be retried
+    const verification = await requestVerification({ disasterId, latitude, longitude, eventType, actor: req.user.userId });
 
-    res.status(202).json({ status: 'pending', disasterId, txHash });
-  } catch (err) {
-    next(err);
-  }
-});
-
-app.get('/api/disasters/:id/status', readLimiter, async (req, res, next) => {
-  try {
-    const status = await disastersRepo.getStatus(req.params.id);
-    if (!status) return res.status(404).json({ error: 'Not found' });
-    res.json(status);
+    res.status(202).json({ status: 'pending', disasterId, txHash: verification.txHash });
   } catch (err) {
     next(err);
   }
@@ -230,97 +184,38 @@ app.get('/api/db/health', async (req, res, next) => {
   }
 });
 
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, 'uploads');
-    if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniquePrefix = uuidv4().slice(0, 8);
-    cb(null, `${uniquePrefix}-${file.originalname}`);
-  },
-});
-const allowedMime = new Set([
-  'image/jpeg',
-  'image/png',
-  'image/gif',
-  'image/webp',
-  'application/pdf',
-  'application/msword',
-  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-]);
-
-const upload = multer({
-  storage,
-  limits: { fileSize: 100 * 1024 * 1024 },
-  fileFilter: (req, file, cb) => {
-    if (!allowedMime.has(file.mimetype)) {
-      return cb(new Error('Unsupported file type'));
-    }
-    cb(null, true);
-  },
-});
-
-function execScan(filePath) {
-  return new Promise((resolve, reject) => {
-    const cmd = process.env.VIRUS_SCAN_CMD;
-    if (!process.env.ENABLE_VIRUS_SCAN || process.env.ENABLE_VIRUS_SCAN !== 'true' || !cmd) {
-      return resolve({ scanned: false, clean: true });
-    }
-    execFile(cmd, [filePath], { timeout: 30000 }, (error, stdout, stderr) => {
-      if (error) {
-        return reject(new Error(`Virus scan failed: ${stderr || error.message}`));
-      }
-      const out = String(stdout || '').toLowerCase();
-      if (out.includes('ok') || out.includes('clean') || out.includes('no threats')) {
-        return resolve({ scanned: true, clean: true, output: stdout });
-      }
-      return reject(new Error(`Virus detected or unknown result: ${stdout}`));
-    });
-  });
-}
-
-async function withRetry(fn, attempts = 3, baseDelayMs = 300) {
-  let lastErr;
-  for (let i = 0; i < attempts; i++) {
-    try {
-      return await fn();
-    } catch (err) {
-      lastErr = err;
-      const delay = baseDelayMs * Math.pow(2, i);
-      await new Promise((r) => setTimeout(r, delay));
-    }
-  }
-  throw lastErr;
-}
-
-app.post('/api/ipfs/upload', uploadLimiter, upload.single('file'), async (req, res, next) => {
+app.post('/api/ipfs/upload', uploadLimiter, verifyAuth, upload.single('file'), async (req, res, next) => {
   try {
     if (!req.file) return res.status(400).json({ error: 'file is required (field name: file)' });
     const { documentType, ...rest } = req.body || {};
     if (!documentType) return res.status(400).json({ error: 'documentType is required' });
+    if (JSON.stringify(rest).length > MAX_CHAIN_METADATA_LENGTH) {
+      try { fs.unlinkSync(req.file.path); } catch (_) {}
+      return res.status(400).json({ error: `metadata must be at most ${MAX_CHAIN_METADATA_LENGTH} characters as JSON` });
+    }
 
     await execScan(req.file.path);
 
     const result = await withRetry(
-      () => uploadFileToPinata(req.file.path, documentType, rest),
+      () => uploadFile(req.file.path, documentType, rest),
       3,
       300
     );
 
-    const gateway = (process.env.IPFS_GATEWAY || 'https://gateway.pinata.cloud/ipfs/').replace(/\/?$/, '/');
-
-    const uploader = req.header('x-user-id') || null;
+    const uploader = req.user.userId;
+    let saved = null;
     try {
-      await filesRepo.saveUploadedFile({
-        cid: result.IpfsHash,
+      saved = await filesRepo.saveUploadedFile({
+        cid: result.cid,
         documentType,
         uploader,
         originalName: req.file.originalname,
         mimeType: req.file.mimetype,
         sizeBytes: req.file.size,
+        metadata: rest,
+        verificationStatus: 'unregistered',
       });
+      queueRegistration(result.cid);
     } catch (e) {
       // Non-fatal: uploading to IPFS succeeded; DB persistence failed
       console.error('Failed to persist uploaded file metadata:', e);
@@ -328,7 +223,11 @@ app.post('/api/ipfs/upload', uploadLimiter, upload.single('file'), async (req, r
 
     try { fs.unlinkSync(req.file.path); } catch (_) {}
 
-    res.json({ cid: result.IpfsHash, url: `${gateway}${result.IpfsHash}` });
+    res.json({
+      cid: result.cid,
+      url: getIPFSUrl(result.cid),
+      verificationStatus: saved ? saved.verificationStatus : null,
+    });
   } catch (err) {
     try { if (req.file && req.file.path) fs.unlinkSync(req.file.path); } catch (_) {}
     next(err);
@@ -336,79 +235,11 @@ app.post('/api/ipfs/upload', uploadLimiter, upload.single('file'), async (req, r
 });
 
 app.get('/api/ipfs/status', async (req, res, next) => {
+  const provider = getStorageProvider();
   try {
-    await testPinataConnection();
-    res.json({ ok: true, service: 'Pinata' });
+    res.json({ ...(await testStorageConnection()), provider: provider.name });
   } catch (err) {
-    res.status(200).json({ ok: false, service: 'Pinata', error: err.message });
-  }
-});
-
-// Milestones
-app.post('/api/campaigns/:id/milestones', uploadLimiter, upload.single('proofFile'), async (req, res, next) => {
-  try {
-    const { title, description, fundAmount, documentType } = req.body || {};
-    if (!title) return res.status(400).json({ error: 'title is required' });
-    const amt = Number(fundAmount);
-    if (!Number.isFinite(amt) || amt < 0) return res.status(400).json({ error: 'fundAmount must be >= 0' });
-    let proofCID = null;
-    if (req.file) {
-      await execScan(req.file.path);
-      const up = await withRetry(() => uploadFileToPinata(req.file.path, documentType || 'milestone-proof', { campaignId: req.params.id, title }), 3, 300);
-      proofCID = up.IpfsHash;
-      try { fs.unlinkSync(req.file.path); } catch (_) {}
-    }
-    const created = await milestonesRepo.createMilestone({ campaignId: req.params.id, title, description, proofCID, fundAmount: String(amt) });
-    return res.status(201).json({ milestoneId: created.id, proofCID: created.proofCID || null });
-  } catch (err) {
-    try { if (req.file && req.file.path) fs.unlinkSync(req.file.path); } catch (_) {}
-    next(err);
-  }
-});
-
-app.get('/api/campaigns/:id/milestones', readLimiter, async (req, res, next) => {
-  try {
-    const items = await milestonesRepo.listByCampaign({ campaignId: req.params.id });
-    res.json({ items });
-  } catch (err) {
-    next(err);
-  }
-});
-
-app.put('/api/milestones/:id/approve', writeLimiter, async (req, res, next) => {
-  try {
-    const adminKey = req.header('x-admin-key');
-    if (!adminKey || adminKey !== (process.env.ADMIN_KEY || '')) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
-    const approved = await milestonesRepo.approveMilestone({ id: req.params.id });
-    if (!approved) return res.status(400).json({ error: 'Already approved or not found' });
-    res.json({ approved: true });
-  } catch (err) {
-    next(err);
-  }
-});
-
-app.post('/api/milestones/:id/release-funds', writeLimiter, async (req, res, next) => {
-  try {
-    const adminKey = req.header('x-admin-key');
-    if (!adminKey || adminKey !== (process.env.ADMIN_KEY || '')) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
-    const { walletAddress } = req.body || {};
-    if (!walletAddress) return res.status(400).json({ error: 'walletAddress is required' });
-
-    const milestone = await milestonesRepo.getById(req.params.id);
-    if (!milestone) return res.status(404).json({ error: 'Milestone not found' });
-    if (!milestone.approved) return res.status(400).json({ error: 'Milestone not approved' });
-
-    // TODO: integrate with smart contract; for now mock call
-    const tx = { hash: '0xmocktx' };
-
-    const marked = await milestonesRepo.markReleased({ id: req.params.id });
-    res.json({ released: true, txHash: tx.hash, releasedAt: marked.releasedAt });
-  } catch (err) {
-    next(err);
+    res.status(200).json({ ok: false, provider: provider.name, error: err.message });
   }
 });
 
@@ -421,7 +252,7 @@ app.get('/api/users', async (req, res, next) => {
   }
 });
 
-app.post('/api/users', async (req, res, next) => {
+app.post('/api/users', writeLimiter, verifyAuth, authorize(ROLES.ADMIN), async (req, res, next) => {
   try {
     const { walletAddress, displayName } = req.body || {};
     if (!walletAddress || typeof walletAddress !== 'string') {
@@ -434,96 +265,28 @@ app.post('/api/users', async (req, res, next) => {
   }
 });
 
-// Campaigns
-app.post('/api/campaigns', writeLimiter, async (req, res, next) => {
-  try {
-    const { title, description, targetAmount, deadline, disasterId, imageCID } = req.body || {};
-    const creator = req.header('x-user-id');
-    if (!creator) return res.status(401).json({ error: 'x-user-id header required' });
-    if (!title || typeof title !== 'string') return res.status(400).json({ error: 'title is required' });
-    const amt = Number(targetAmount);
-    if (!Number.isFinite(amt) || amt <= 0) return res.status(400).json({ error: 'targetAmount must be > 0' });
-    let deadlineTs = null;
-    if (deadline) {
-      const d = new Date(deadline);
-      if (isNaN(d.getTime())) return res.status(400).json({ error: 'deadline must be a valid date' });
-      if (d.getTime() <= Date.now()) return res.status(400).json({ error: 'deadline must be in the future' });
-      deadlineTs = d.toISOString();
-    }
-    const created = await campaignsRepo.createCampaign({
-      title,
-      description,
-      disasterId,
-      imageCID,
-      targetAmount: String(amt),
-      deadline: deadlineTs,
-      creator,
-    });
-    return res.status(201).json({ campaignId: created.id });
-  } catch (err) {
-    next(err);
-  }
-});
-
-app.get('/api/campaigns', readLimiter, async (req, res, next) => {
-  try {
-    const { page, limit, status, sortBy, sortOrder, featured } = req.query || {};
-    let filterStatus = status;
-    if (filterStatus) {
-      const allowed = new Set(['active', 'completed', 'cancelled']);
-      if (!allowed.has(String(filterStatus).toLowerCase())) {
-        return res.status(400).json({ error: 'invalid status filter' });
-      }
-      filterStatus = String(filterStatus).toLowerCase();
-    }
-    const result = await campaignsRepo.listCampaigns({ page, limit, status: filterStatus, sortBy, sortOrder, featured: featured === 'true' });
-    res.json(result);
-  } catch (err) {
-    next(err);
-  }
-});
-
-app.get('/api/campaigns/:id', readLimiter, async (req, res, next) => {
+app.get('/api/users/:id/roles', readLimiter, verifyAuth, authorize(ROLES.ADMIN, ROLES.AUDITOR), async (req, res, next) => {
   try {
-    const campaign = await campaignsRepo.getCampaignByIdWithCounts(req.params.id);
-    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
-    res.json(campaign);
+    const user = await usersRepo.getUserById(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json({ userId: user.id, roles: await rolesRepo.listRoles(user.id) });
   } catch (err) {
     next(err);
   }
 });
 
-app.put('/api/campaigns/:id', writeLimiter, async (req, res, next) => {
+// Replace a user's roles; takes effect when their access token is next refreshed
+app.put('/api/users/:id/roles', writeLimiter, verifyAuth, authorize(ROLES.ADMIN), async (req, res, next) => {
   try {
-    const creator = req.header('x-user-id');
-    if (!creator) return res.status(401).json({ error: 'x-user-id header required' });
-    const { title, description, deadline } = req.body || {};
-    let deadlineTs;
-    if (typeof deadline !== 'undefined') {
-      if (deadline === null || deadline === '') {
-        deadlineTs = null;
-      } else {
-        const d = new Date(deadline);
-        if (isNaN(d.getTime())) return res.status(400).json({ error: 'deadline must be a valid date' });
-        if (d.getTime() <= Date.now()) return res.status(400).json({ error: 'deadline must be in the future' });
-        deadlineTs = d.toISOString();
-      }
+    const { roles } = req.body || {};
+    if (!Array.isArray(roles) || roles.some((r) => !ALL_ROLES.includes(r))) {
+      return res.status(400).json({ error: `roles must be an array of: ${ALL_ROLES.join(', ')}` });
     }
-    const updated = await campaignsRepo.updateCampaign({ id: req.params.id, creator, title, description, deadline: deadlineTs });
-    if (!updated) return res.status(403).json({ error: 'Not allowed or campaign not found' });
-    res.json(updated);
-  } catch (err) {
-    next(err);
-  }
-});
-
-app.delete('/api/campaigns/:id', async (req, res, next) => {
-  try {
-    const creator = req.header('x-user-id');
-    if (!creator) return res.status(401).json({ error: 'x-user-id header required' });
-    const cancelled = await campaignsRepo.cancelCampaign({ id: req.params.id, creator });
-    if (!cancelled) return res.status(403).json({ error: 'Not allowed or campaign not found' });
-    res.json(cancelled);
+    const user = await usersRepo.getUserById(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const updated = await rolesRepo.setRoles({ userId: user.id, roles: [...new Set(roles)], grantedBy: req.user.userId });
+    logger.info('User roles updated', { userId: user.id, roles: updated, by: req.user.userId });
+    res.json({ userId: user.id, roles: updated });
   } catch (err) {
     next(err);
   }
@@ -537,22 +300,40 @@ app.post('/api/donations', writeLimiter, async (req, res, next) => {
     if (!anonymous && !donor) return res.status(400).json({ error: 'donor (wallet) is required unless anonymous=true' });
     const amt = Number(amount);
     if (!Number.isFinite(amt) || amt <= 0) return res.status(400).json({ error: 'amount must be > 0' });
-    if (!txHash || typeof txHash !== 'string' || txHash.length < 32) {
+    if (!txHash || typeof txHash !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(txHash)) {
       return res.status(400).json({ error: 'txHash is invalid' });
     }
-    const created = await donationsRepo.createDonation({ campaignId, donorWallet: donor, amount: String(amt), txHash, anonymous: !!anonymous });
-    return res.status(201).json({ donationId: created.id });
-  } catch (err) {
-    next(err);
-  }
-});
 
-app.get('/api/campaigns/:id/donations', readLimiter, async (req, res, next) => {
-  try {
-    const { page, limit } = req.query || {};
-    const result = await donationsRepo.listDonationsByCampaign({ campaignId: req.params.id, page, limit });
-    res.json(result);
+    const campaign = await campaignsRepo.getCampaignByIdWithCounts(campaignId);
+    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+    // Set by an admin with PUT /api/campaigns/:id/onchain once the creator has created it on DonationTracker
+    if (!campaign.onChainId) return res.status(400).json({ error: 'Campaign is not linked to an on-chain campaign yet' });
+
+    // Never trust the client's report: check the transaction itself
+    let verification;
+    try {
+      verification = await verifyDonationTx({
+        txHash,
+        campaignOnChainId: campaign.onChainId,
+        donor: anonymous ? undefined : donor,
+        amount: String(amount),
+      });
+    } catch (e) {
+      logger.error('Donation verification unavailable', { error: e.message, txHash });
+      return res.status(503).json({ error: 'Unable to verify transaction on chain' });
+    }
+    if (!verification.ok) return res.status(400).json({ error: verification.reason });
+
+    const created = await donationsRepo.createDonation({
+      campaignId,
+      donorWallet: verification.from,
+      amount: verification.amount,
+      txHash,
+      anonymous: !!anonymous,
+    });
+    return res.status(202).json({ donationId: created.id, status: created.status });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     next(err);
   }
 });
@@ -603,6 +384,7 @@ app.get('/api/stats', readLimiter, async (req, res, next) => {
         (SELECT COUNT(DISTINCT id)::int FROM campaigns WHERE status = 'active') AS "campaignCount",
         (SELECT COUNT(DISTINCT donorwallet)::int FROM donations WHERE donorwallet IS NOT NULL) AS "peopleHelped"
       FROM donations d
+      WHERE d.status = 'confirmed'
     `;
     const { rows } = await query(statsQuery);
     res.json({
@@ -0,0 +1,61 @@
+/**
+ * Storage providers
+ * Everything the backend pins goes through a StorageProvider chosen by
+ * STORAGE_PROVIDER: 'pinata' (default), 'local' (content-addressed files on
+ * disk, no credentials needed) or 'ipfs' (a self-hosted Kubo node).
+ *
+ * @typedef {Object} PinOptions
+ * @property {string} [name] - Label for the pin (Pinata metadata name, Kubo file name)
+ * @property {Object} [metadata] - Scalar key/values kept alongside the pin where supported
+ *
+ * @typedef {Object} StorageProvider
+ * @property {string} name
+ * @property {function((string|Buffer), PinOptions=): Promise<{cid: string, size: number}>} pinFile - Path or contents
+ * @property {function(string, PinOptions=): Promise<{cid: string, size: number}>} pinDirectory
+ * @property {function(Object, PinOptions=): Promise<{cid: string, size: number}>} pinJSON
+ * @property {function(string): Promise<void>} unpin
+ * @property {function(): Promise<Object>} status - Resolves { ok, service, ... } or rejects when unreachable
+ * @property {function(string): string} gatewayUrl
+ */
+
+require('dotenv').config();
+const { createPinataProvider } = require('./pinata');
+const { createLocalProvider } = require('./local');
+const { createIpfsHttpProvider } = require('./ipfsHttp');
+
+const FACTORIES = {
+  pinata: createPinataProvider,
+  local: createLocalProvider,
+  ipfs: createIpfsHttpProvider,
+};
+
+let current = null;
+
+/**
+ * Create a provider by name
+ * @param {string} [name] - Defaults to STORAGE_PROVIDER, then 'pinata'
+ * @param {Object} [options] - Provider options; cidVersion defaults to STORAGE_CID_VERSION
+ * @returns {StorageProvider}
+ */
+function createStorageProvider(name = process.env.STORAGE_PROVIDER || 'pinata', options = {}) {
+  const factory = FACTORIES[String(name).toLowerCase()];
+  if (!factory) throw new Error(`Unknown STORAGE_PROVIDER "${name}" (expected ${Object.keys(FACTORIES).join(', ')})`);
+  const cidVersion = parseInt(process.env.STORAGE_CID_VERSION || '0', 10) === 1 ? 1 : 0;
+  return factory({ cidVersion, ...options });
+}
+
+/**
+ * The process-wide provider, created on first use
+ * @returns {StorageProvider}
+ */
+function getStorageProvider() {
+  if (!current) current = createStorageProvider();
+  return current;
+}
+
+// Swap the process-wide provider (tests, scripts)
+function setStorageProvider(provider) {
+  current = provider;
+}
+
+module.exports = { createStorageProvider, getStorageProvider, setStorageProvider };
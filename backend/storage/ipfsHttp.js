@@ -0,0 +1,88 @@
+/**
+ * Self-hosted IPFS storage provider
+ * Talks to a Kubo node over its HTTP RPC API (/api/v0). Kubo keeps no pin
+ * metadata, so names and metadata are only used to label uploads.
+ * Uses the global FormData/Blob (Node 18+).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { listFiles } = require('./unixfs');
+
+function createIpfsHttpProvider({
+  apiUrl = process.env.IPFS_API_URL || 'http://127.0.0.1:5001',
+  authorization = process.env.IPFS_API_AUTHORIZATION,
+  gateway = process.env.IPFS_GATEWAY || 'http://127.0.0.1:8080/ipfs/',
+  cidVersion = 0,
+  timeout = 60000,
+} = {}) {
+  const headers = authorization ? { Authorization: authorization } : {};
+
+  async function rpc(command, params = {}, data) {
+    const res = await axios.post(`${apiUrl.replace(/\/$/, '')}/api/v0/${command}`, data, {
+      params,
+      headers,
+      timeout,
+      responseType: 'text',
+      maxBodyLength: Infinity,
+    });
+    return res.data;
+  }
+
+  // add streams one JSON object per line: every file, then the directories
+  async function add(form, wrapName) {
+    const text = await rpc('add', { pin: true, 'cid-version': cidVersion }, form);
+    const entries = String(text).trim().split('\n').filter(Boolean).map((line) => JSON.parse(line));
+    const root = wrapName ? entries.find((e) => e.Name === wrapName) : entries[entries.length - 1];
+    if (!root) throw new Error('IPFS add returned no result');
+    return { cid: root.Hash, size: Number(root.Size) };
+  }
+
+  async function addBuffer(buffer, name) {
+    const form = new FormData();
+    form.append('file', new Blob([buffer]), encodeURIComponent(name));
+    return add(form);
+  }
+
+  return {
+    name: 'ipfs',
+
+    async pinFile(source, { name } = {}) {
+      if (Buffer.isBuffer(source)) return addBuffer(source, name || 'file');
+      if (!fs.existsSync(source)) throw new Error(`File does not exist: ${source}`);
+      return addBuffer(await fs.promises.readFile(source), name || path.basename(source));
+    },
+
+    async pinDirectory(dirPath, { name } = {}) {
+      if (!fs.existsSync(dirPath)) throw new Error(`Directory does not exist: ${dirPath}`);
+      const base = name || path.basename(dirPath);
+      const form = new FormData();
+      form.append('file', new Blob([], { type: 'application/x-directory' }), encodeURIComponent(base));
+      for (const file of listFiles(dirPath)) {
+        const contents = await fs.promises.readFile(file.absolutePath);
+        form.append('file', new Blob([contents]), encodeURIComponent(`${base}/${file.relativePath}`));
+      }
+      return add(form, base);
+    },
+
+    async pinJSON(body, { name } = {}) {
+      return addBuffer(Buffer.from(JSON.stringify(body)), name || 'data.json');
+    },
+
+    async unpin(cid) {
+      await rpc('pin/rm', { arg: cid });
+    },
+
+    async status() {
+      const { Version } = JSON.parse(await rpc('version'));
+      return { ok: true, service: 'IPFS', version: Version };
+    },
+
+    gatewayUrl(cid) {
+      return `${gateway.replace(/\/?$/, '/')}${cid}`;
+    },
+  };
+}
+
+module.exports = { createIpfsHttpProvider };
@@ -0,0 +1,90 @@
+/**
+ * Local filesystem storage provider
+ * A content-addressed stand-in for IPFS for development and tests. Content is
+ * stored under its real CID (see unixfs.js), so a CID recorded while working
+ * offline matches what Pinata or an IPFS node would return for the same bytes.
+ * The server exposes the store at /ipfs/<cid> as a gateway.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hashFile, hashDirectory } = require('./unixfs');
+
+const DEFAULT_ROOT = path.join(__dirname, '..', 'ipfs-local');
+
+function createLocalProvider({
+  root = process.env.LOCAL_STORAGE_DIR || DEFAULT_ROOT,
+  gateway = process.env.LOCAL_STORAGE_GATEWAY || `http://localhost:${process.env.PORT || 5000}/ipfs/`,
+  cidVersion = 0,
+} = {}) {
+  const indexPath = path.join(root, '.pins.json');
+
+  // .pins.json maps CID -> { name, metadata, size, pinnedAt }; sync I/O keeps read-modify-write atomic in-process
+  function readIndex() {
+    try {
+      return JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    } catch (_) {
+      return {};
+    }
+  }
+
+  function record(cid, entry) {
+    fs.mkdirSync(root, { recursive: true });
+    const index = readIndex();
+    index[cid] = { ...entry, pinnedAt: new Date().toISOString() };
+    fs.writeFileSync(indexPath, JSON.stringify(index, null, 2));
+  }
+
+  function pinBuffer(buffer, { name, metadata = {} }) {
+    const { cid, size } = hashFile(buffer, { cidVersion });
+    const target = path.join(root, cid);
+    fs.mkdirSync(root, { recursive: true });
+    if (!fs.existsSync(target)) fs.writeFileSync(target, buffer);
+    record(cid, { name, metadata, size });
+    return { cid, size };
+  }
+
+  return {
+    name: 'local',
+    root,
+
+    async pinFile(source, { name, metadata } = {}) {
+      if (Buffer.isBuffer(source)) return pinBuffer(source, { name: name || 'file', metadata });
+      if (!fs.existsSync(source)) throw new Error(`File does not exist: ${source}`);
+      return pinBuffer(await fs.promises.readFile(source), { name: name || path.basename(source), metadata });
+    },
+
+    async pinDirectory(dirPath, { name, metadata = {} } = {}) {
+      if (!fs.existsSync(dirPath)) throw new Error(`Directory does not exist: ${dirPath}`);
+      const { cid, size } = hashDirectory(dirPath, { cidVersion });
+      const target = path.join(root, cid);
+      if (!fs.existsSync(target)) fs.cpSync(dirPath, target, { recursive: true });
+      record(cid, { name: name || path.basename(dirPath), metadata, size });
+      return { cid, size };
+    },
+
+    async pinJSON(body, { name, metadata } = {}) {
+      return pinBuffer(Buffer.from(JSON.stringify(body)), { name: name || 'data.json', metadata });
+    },
+
+    async unpin(cid) {
+      const index = readIndex();
+      if (!index[cid]) throw new Error(`${cid} is not pinned`);
+      delete index[cid];
+      fs.writeFileSync(indexPath, JSON.stringify(index, null, 2));
+      fs.rmSync(path.join(root, cid), { recursive: true, force: true });
+    },
+
+    async status() {
+      fs.mkdirSync(root, { recursive: true });
+      fs.accessSync(root, fs.constants.W_OK);
+      return { ok: true, service: 'local', pins: Object.keys(readIndex()).length };
+    },
+
+    gatewayUrl(cid) {
+      return `${gateway.replace(/\/?$/, '/')}${cid}`;
+    },
+  };
+}
+
+module.exports = { createLocalProvider };
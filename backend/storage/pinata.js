@@ -0,0 +1,74 @@
+/**
+ * Pinata storage provider
+ * The SDK client is created on first use, so requiring this module (or
+ * running with another provider) needs no Pinata credentials.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+const DEFAULT_GATEWAY = 'https://gateway.pinata.cloud/ipfs/';
+
+function createPinataProvider({
+  apiKey = process.env.PINATA_API_KEY,
+  secretKey = process.env.PINATA_SECRET_API_KEY || process.env.PINATA_SECRET_KEY,
+  gateway = process.env.IPFS_GATEWAY || DEFAULT_GATEWAY,
+  cidVersion = 0,
+} = {}) {
+  let client = null;
+
+  function getClient() {
+    if (!client) {
+      if (!apiKey || !secretKey) throw new Error('PINATA_API_KEY and PINATA_SECRET_API_KEY must be set');
+      const PinataSDK = require('@pinata/sdk');
+      client = new PinataSDK(apiKey, secretKey);
+    }
+    return client;
+  }
+
+  function pinOptions(name, metadata = {}) {
+    // Pinata only accepts scalar keyvalues
+    const keyvalues = Object.fromEntries(
+      Object.entries(metadata).filter(([, v]) => ['string', 'number', 'boolean'].includes(typeof v))
+    );
+    return { pinataMetadata: { name, keyvalues }, pinataOptions: { cidVersion } };
+  }
+
+  const toResult = (res) => ({ cid: res.IpfsHash, size: res.PinSize });
+
+  return {
+    name: 'pinata',
+
+    async pinFile(source, { name, metadata } = {}) {
+      const isBuffer = Buffer.isBuffer(source);
+      if (!isBuffer && !fs.existsSync(source)) throw new Error(`File does not exist: ${source}`);
+      const stream = isBuffer ? Readable.from(source) : fs.createReadStream(source);
+      return toResult(await getClient().pinFileToIPFS(stream, pinOptions(name || (isBuffer ? 'file' : path.basename(source)), metadata)));
+    },
+
+    async pinDirectory(dirPath, { name, metadata } = {}) {
+      if (!fs.existsSync(dirPath)) throw new Error(`Directory does not exist: ${dirPath}`);
+      return toResult(await getClient().pinFromFS(dirPath, pinOptions(name || path.basename(dirPath), metadata)));
+    },
+
+    async pinJSON(body, { name, metadata } = {}) {
+      return toResult(await getClient().pinJSONToIPFS(body, pinOptions(name || 'data.json', metadata)));
+    },
+
+    async unpin(cid) {
+      await getClient().unpin(cid);
+    },
+
+    async status() {
+      await getClient().testAuthentication();
+      return { ok: true, service: 'Pinata' };
+    },
+
+    gatewayUrl(cid) {
+      return `${gateway.replace(/\/?$/, '/')}${cid}`;
+    },
+  };
+}
+
+module.exports = { createPinataProvider };
@@ -0,0 +1,169 @@
+/**
+ * UnixFS hashing
+ * Computes the CIDs `ipfs add` would give a file or directory, without a node:
+ * 256 KiB chunks, balanced DAG with up to 174 links per node, dag-pb leaves for
+ * CIDv0 and raw leaves for CIDv1 (the Kubo defaults for each version).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const CHUNK_SIZE = 262144;
+const MAX_LINKS = 174;
+const CODEC_RAW = 0x55;
+const CODEC_DAG_PB = 0x70;
+const UNIXFS_DIRECTORY = 1;
+const UNIXFS_FILE = 2;
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+function varint(n) {
+  const bytes = [];
+  while (n >= 0x80) {
+    bytes.push((n % 0x80) | 0x80);
+    n = Math.floor(n / 0x80);
+  }
+  bytes.push(n);
+  return Buffer.from(bytes);
+}
+
+function pbVarint(field, n) {
+  return Buffer.concat([varint(field << 3), varint(n)]);
+}
+
+function pbBytes(field, bytes) {
+  return Buffer.concat([varint((field << 3) | 2), varint(bytes.length), bytes]);
+}
+
+function unixfsData({ type, data, fileSize, blockSizes = [] }) {
+  const parts = [pbVarint(1, type)];
+  if (data && data.length) parts.push(pbBytes(2, data));
+  if (fileSize !== undefined) parts.push(pbVarint(3, fileSize));
+  blockSizes.forEach((size) => parts.push(pbVarint(4, size)));
+  return Buffer.concat(parts);
+}
+
+// dag-pb PBNode: links are serialised before data
+function pbNode(data, links = []) {
+  const encodedLinks = links.map((link) =>
+    pbBytes(2, Buffer.concat([pbBytes(1, link.cid.bytes), pbBytes(2, Buffer.from(link.name, 'utf8')), pbVarint(3, link.size)]))
+  );
+  return Buffer.concat([...encodedLinks, pbBytes(1, data)]);
+}
+
+function base32(bytes) {
+  let out = '';
+  let bits = 0;
+  let value = 0;
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function makeCid(block, version, codec) {
+  const multihash = Buffer.concat([Buffer.from([0x12, 0x20]), crypto.createHash('sha256').update(block).digest()]);
+  if (version === 0) return { bytes: multihash, string: ethers.utils.base58.encode(multihash) };
+  const bytes = Buffer.concat([varint(1), varint(codec), multihash]);
+  return { bytes, string: `b${base32(bytes)}` };
+}
+
+// A DAG node: its CID, the bytes of content below it and its cumulative block size
+function leaf(chunk, version) {
+  if (version === 1) return { cid: makeCid(chunk, 1, CODEC_RAW), fileSize: chunk.length, size: chunk.length };
+  const block = pbNode(unixfsData({ type: UNIXFS_FILE, data: chunk, fileSize: chunk.length }));
+  return { cid: makeCid(block, 0), fileSize: chunk.length, size: block.length };
+}
+
+function parent(children, version) {
+  const fileSize = children.reduce((sum, c) => sum + c.fileSize, 0);
+  const data = unixfsData({ type: UNIXFS_FILE, fileSize, blockSizes: children.map((c) => c.fileSize) });
+  const block = pbNode(data, children.map((c) => ({ cid: c.cid, name: '', size: c.size })));
+  const size = block.length + children.reduce((sum, c) => sum + c.size, 0);
+  return { cid: makeCid(block, version, CODEC_DAG_PB), fileSize, size };
+}
+
+function hashFileNode(buffer, version) {
+  if (buffer.length === 0) {
+    const block = pbNode(unixfsData({ type: UNIXFS_FILE, fileSize: 0 }));
+    return { cid: makeCid(block, version, CODEC_DAG_PB), fileSize: 0, size: block.length };
+  }
+  let level = [];
+  for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+    level.push(leaf(buffer.subarray(offset, offset + CHUNK_SIZE), version));
+  }
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += MAX_LINKS) next.push(parent(level.slice(i, i + MAX_LINKS), version));
+    level = next;
+  }
+  return level[0];
+}
+
+function byName(a, b) {
+  return Buffer.compare(Buffer.from(a.name), Buffer.from(b.name));
+}
+
+function hashDirectoryNode(dirPath, version) {
+  const links = fs.readdirSync(dirPath, { withFileTypes: true })
+    .filter((entry) => entry.isFile() || entry.isDirectory())
+    .sort(byName)
+    .map((entry) => {
+      const full = path.join(dirPath, entry.name);
+      const node = entry.isDirectory() ? hashDirectoryNode(full, version) : hashFileNode(fs.readFileSync(full), version);
+      return { cid: node.cid, name: entry.name, size: node.size };
+    });
+  const block = pbNode(unixfsData({ type: UNIXFS_DIRECTORY }), links);
+  const size = block.length + links.reduce((sum, l) => sum + l.size, 0);
+  return { cid: makeCid(block, version, CODEC_DAG_PB), size };
+}
+
+/**
+ * CID of a file's contents as `ipfs add` would compute it
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @param {0|1} [options.cidVersion=0]
+ * @returns {{ cid: string, size: number }} - size is the cumulative DAG size
+ */
+function hashFile(buffer, { cidVersion = 0 } = {}) {
+  const node = hashFileNode(buffer, cidVersion);
+  return { cid: node.cid.string, size: node.size };
+}
+
+/**
+ * CID of a directory tree as `ipfs add -r` would compute it (unsharded)
+ * @param {string} dirPath
+ * @param {Object} [options]
+ * @param {0|1} [options.cidVersion=0]
+ * @returns {{ cid: string, size: number }}
+ */
+function hashDirectory(dirPath, { cidVersion = 0 } = {}) {
+  const node = hashDirectoryNode(dirPath, cidVersion);
+  return { cid: node.cid.string, size: node.size };
+}
+
+/**
+ * Every file under a directory, paths relative to it with '/' separators
+ * @param {string} dirPath
+ * @returns {Array<{ relativePath: string, absolutePath: string }>}
+ */
+function listFiles(dirPath, prefix = '') {
+  return fs.readdirSync(dirPath, { withFileTypes: true })
+    .sort(byName)
+    .flatMap((entry) => {
+      const absolutePath = path.join(dirPath, entry.name);
+      const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) return listFiles(absolutePath, relativePath);
+      return entry.isFile() ? [{ relativePath, absolutePath }] : [];
+    });
+}
+
+module.exports = { hashFile, hashDirectory, listFiles };
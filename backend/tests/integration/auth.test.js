@@ -3,10 +3,20 @@
  */
 
 const request = require('supertest');
-const { app } = require('../../server-template');
+const { ethers } = require('ethers');
+const { buildSiweMessage } = require('../../utils/siwe');
 
 describe('Authentication Endpoints', () => {
-  const testWallet = '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb';
+  let app;
+
+  // Fresh app per test so the shared auth rate limiter does not carry over
+  beforeEach(() => {
+    jest.isolateModules(() => {
+      app = require('../../server');
+    });
+  });
+
+  const testWallet = '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045';
 
   describe('POST /api/auth/nonce', () => {
     it('should generate nonce for valid wallet address', async () => {
@@ -56,12 +66,30 @@ describe('Authentication Endpoints', () => {
         .send({
           walletAddress: testWallet,
           signature: '0x123',
-          message: 'test',
+          message: buildSiweMessage({
+            domain: 'localhost:3000',
+            address: ethers.utils.getAddress(testWallet),
+            statement: 'Sign in to D3R.',
+            uri: 'http://localhost:3000',
+            chainId: 11155111,
+            nonce: 'neverissued123',
+            issuedAt: new Date().toISOString(),
+            expirationTime: new Date(Date.now() + 60000).toISOString(),
+          }),
         })
         .expect(400);
 
       expect(response.body.error).toMatch(/nonce/i);
     });
+
+    it('should return 400 for a message that is not SIWE', async () => {
+      const response = await request(app)
+        .post('/api/auth/verify')
+        .send({ walletAddress: testWallet, signature: '0x123', message: 'test' })
+        .expect(400);
+
+      expect(response.body.message).toMatch(/SIWE/);
+    });
   });
 
   describe('Rate Limiting', () => {
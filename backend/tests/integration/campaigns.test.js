@@ -0,0 +1,639 @@
+/**
+ * Integration tests for campaign endpoints
+ */
+
+const request = require('supertest');
+const { ethers } = require('ethers');
+
+jest.mock('../../db/repos/campaigns');
+jest.mock('../../db/repos/donations');
+jest.mock('../../db/repos/milestones');
+jest.mock('../../db/repos/disasters');
+jest.mock('../../db/repos/ngos');
+jest.mock('../../db/repos/files');
+jest.mock('../../db/repos/users');
+jest.mock('../../web3/contracts', () => ({
+  ...jest.requireActual('../../web3/contracts'),
+  getDonationTracker: jest.fn(),
+}));
+jest.mock('../../upload', () => ({
+  ...jest.requireActual('../../upload'),
+  uploadFile: jest.fn(),
+  uploadJSON: jest.fn(),
+}));
+
+const campaignsRepo = require('../../db/repos/campaigns');
+const disastersRepo = require('../../db/repos/disasters');
+const donationsRepo = require('../../db/repos/donations');
+const milestonesRepo = require('../../db/repos/milestones');
+const ngosRepo = require('../../db/repos/ngos');
+const filesRepo = require('../../db/repos/files');
+const usersRepo = require('../../db/repos/users');
+const { getDonationTracker } = require('../../web3/contracts');
+const { uploadFile, uploadJSON } = require('../../upload');
+const { generateToken } = require('../../utils/jwt');
+const app = require('../../server');
+
+const CAMPAIGN_ID = '7f1c2d3e-4b5a-4c6d-8e9f-0a1b2c3d4e5f';
+const CREATOR_ID = '11111111-1111-4111-8111-111111111111';
+const OTHER_ID = '22222222-2222-4222-8222-222222222222';
+const NGO_ID = '33333333-3333-4333-8333-333333333333';
+const CREATOR_WALLET = '0x1111111111111111111111111111111111111111';
+
+const campaign = {
+  id: CAMPAIGN_ID,
+  title: 'Flood relief',
+  description: 'Clean water and shelter',
+  disasterId: null,
+  imageCID: null,
+  targetAmount: '10',
+  currentAmount: '0',
+  creator: CREATOR_ID,
+  deadline: null,
+  status: 'active',
+  onChainId: null,
+  donationCount: 0,
+  milestoneCount: 0,
+};
+
+const bearer = (userId, roles) => `Bearer ${generateToken({ userId, walletAddress: '0xabc', roles })}`;
+const creatorAuth = bearer(CREATOR_ID, ['donor', 'campaign_creator']);
+const otherCreatorAuth = bearer(OTHER_ID, ['donor', 'campaign_creator']);
+const donorAuth = bearer(OTHER_ID, ['donor']);
+const adminAuth = bearer(OTHER_ID, ['admin']);
+
+describe('Campaign Endpoints', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    campaignsRepo.getCampaignByIdWithCounts.mockImplementation(async (id) => (id === CAMPAIGN_ID ? campaign : null));
+  });
+
+  describe('GET /api/campaigns', () => {
+    it('should list campaigns with the parsed filters', async () => {
+      campaignsRepo.listCampaigns.mockResolvedValue({ items: [campaign], page: 2, limit: 5, total: 6 });
+
+      const response = await request(app)
+        .get('/api/campaigns?status=active&sortBy=deadline&sortOrder=asc&page=2&limit=5&featured=true')
+        .expect(200);
+
+      expect(response.body).toEqual({ items: [campaign], page: 2, limit: 5, total: 6 });
+      expect(campaignsRepo.listCampaigns).toHaveBeenCalledWith({
+        page: 2,
+        limit: 5,
+        status: 'active',
+        sortBy: 'deadline',
+        sortOrder: 'asc',
+        featured: true,
+      });
+    });
+
+    it('should return 400 for an unknown status', async () => {
+      const response = await request(app).get('/api/campaigns?status=deleted').expect(400);
+
+      expect(response.body).toHaveProperty('error');
+      expect(response.body.message).toMatch(/status/);
+      expect(campaignsRepo.listCampaigns).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for a limit above 100', async () => {
+      await request(app).get('/api/campaigns?limit=500').expect(400);
+    });
+  });
+
+  describe('GET /api/campaigns/search', () => {
+    it('should pass parsed filters to the search and return facets', async () => {
+      const result = {
+        items: [campaign],
+        page: 1,
+        limit: 12,
+        total: 1,
+        facets: { status: [{ value: 'active', count: 1 }], eventType: [], funding: [], endingSoon: 0 },
+      };
+      campaignsRepo.searchCampaigns.mockResolvedValue(result);
+
+      const response = await request(app)
+        .get('/api/campaigns/search?q=flood&eventType=flood&minFunded=25&endingSoon=true&limit=12')
+        .expect(200);
+
+      expect(response.body).toEqual(result);
+      expect(campaignsRepo.searchCampaigns).toHaveBeenCalledWith(
+        expect.objectContaining({ q: 'flood', eventType: 'flood', minFunded: 25, endingSoon: true, limit: 12 })
+      );
+    });
+
+    it('should return 400 for an unknown sort field', async () => {
+      await request(app).get('/api/campaigns/search?sortBy=title').expect(400);
+      expect(campaignsRepo.searchCampaigns).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for a negative target', async () => {
+      await request(app).get('/api/campaigns/search?minTarget=-1').expect(400);
+    });
+  });
+
+  describe('GET /api/campaigns/:id', () => {
+    it('should return the campaign', async () => {
+      const response = await request(app).get(`/api/campaigns/${CAMPAIGN_ID}`).expect(200);
+
+      expect(response.body).toEqual(campaign);
+    });
+
+    it('should include the confidence threshold with the disaster verification', async () => {
+      campaignsRepo.getCampaignByIdWithCounts.mockResolvedValue({ ...campaign, disasterVerification: { status: 'verified', confidence: 55 } });
+
+      const response = await request(app).get(`/api/campaigns/${CAMPAIGN_ID}`).expect(200);
+
+      expect(response.body.disasterVerification).toEqual({ status: 'verified', confidence: 55, minConfidence: 70 });
+    });
+
+    it('should return 404 for an unknown campaign', async () => {
+      const response = await request(app).get(`/api/campaigns/${OTHER_ID}`).expect(404);
+
+      expect(response.body.message).toBe('Campaign not found');
+    });
+
+    it('should return 400 for a malformed id', async () => {
+      await request(app).get('/api/campaigns/undefined').expect(400);
+      expect(campaignsRepo.getCampaignByIdWithCounts).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/campaigns/:id/donations', () => {
+    it('should return a page of donations', async () => {
+      const page = { items: [{ id: 'd1', amount: '1' }], page: 1, limit: 10, total: 1 };
+      donationsRepo.listDonationsByCampaign.mockResolvedValue(page);
+
+      const response = await request(app).get(`/api/campaigns/${CAMPAIGN_ID}/donations?limit=10`).expect(200);
+
+      expect(response.body).toEqual(page);
+      expect(donationsRepo.listDonationsByCampaign).toHaveBeenCalledWith({ campaignId: CAMPAIGN_ID, page: undefined, limit: 10 });
+    });
+
+    it('should return 404 for an unknown campaign', async () => {
+      await request(app).get(`/api/campaigns/${OTHER_ID}/donations`).expect(404);
+      expect(donationsRepo.listDonationsByCampaign).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/campaigns/:id/milestones', () => {
+    it('should return the milestones', async () => {
+      milestonesRepo.listByCampaign.mockResolvedValue([{ id: 'm1', title: 'Water tanks' }]);
+
+      const response = await request(app).get(`/api/campaigns/${CAMPAIGN_ID}/milestones`).expect(200);
+
+      expect(response.body).toEqual({ items: [{ id: 'm1', title: 'Water tanks' }] });
+    });
+  });
+
+  describe('GET /api/campaigns/:id/budget', () => {
+    it('should return the budget summary', async () => {
+      const budget = { campaignId: CAMPAIGN_ID, targetAmount: '10', raisedAmount: '4', allocatedAmount: '6', releasedAmount: '2', remainingAmount: '4', unallocatedAmount: '4' };
+      milestonesRepo.getBudget.mockResolvedValue(budget);
+
+      const response = await request(app).get(`/api/campaigns/${CAMPAIGN_ID}/budget`).expect(200);
+
+      expect(response.body).toEqual(budget);
+    });
+
+    it('should 404 for unknown campaigns', async () => {
+      await request(app).get('/api/campaigns/22222222-2222-4222-8222-222222222222/budget').expect(404);
+    });
+  });
+
+  describe('POST /api/campaigns/:id/milestones', () => {
+    const budget = { targetAmount: '10.000000000000000000', raisedAmount: '4.000000000000000000', allocatedAmount: '7.000000000000000000', unallocatedAmount: '3.000000000000000000' };
+
+    beforeEach(() => {
+      milestonesRepo.getBudget.mockResolvedValue(budget);
+    });
+
+    it('should create a milestone for the campaign creator', async () => {
+      const milestone = { id: 'm1', campaignId: CAMPAIGN_ID, title: 'Water tanks', fundAmount: '2', proofCID: null };
+      milestonesRepo.createMilestoneWithinBudget.mockResolvedValue(milestone);
+
+      const response = await request(app)
+        .post(`/api/campaigns/${CAMPAIGN_ID}/milestones`)
+        .set('Authorization', creatorAuth)
+        .field('title', 'Water tanks')
+        .field('fundAmount', '2')
+        .expect(201);
+
+      expect(response.body).toEqual(milestone);
+      expect(milestonesRepo.createMilestoneWithinBudget).toHaveBeenCalledWith(
+        expect.objectContaining({ campaignId: CAMPAIGN_ID, title: 'Water tanks', fundAmount: '2', proof: undefined })
+      );
+    });
+
+    it('should pin a captioned proof bundle as proof version 1', async () => {
+      const PHOTO_CID = 'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o';
+      const INVOICE_CID = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+      const MANIFEST_CID = 'QmZTR5bcpQD7cFgTorqxZDYaew1Wqgfbd2ud9QqGPAkK2V';
+      uploadFile.mockResolvedValueOnce({ cid: PHOTO_CID, size: 4 }).mockResolvedValueOnce({ cid: INVOICE_CID, size: 4 });
+      uploadJSON.mockResolvedValue({ cid: MANIFEST_CID, size: 300 });
+      filesRepo.saveUploadedFile.mockImplementation(async (row) => row);
+      milestonesRepo.createMilestoneWithinBudget.mockImplementation(async (m) => ({ id: m.id, proofCID: m.proof.cid }));
+
+      const response = await request(app)
+        .post(`/api/campaigns/${CAMPAIGN_ID}/milestones`)
+        .set('Authorization', creatorAuth)
+        .field('title', 'Water tanks')
+        .field('fundAmount', '2')
+        .field('fileDetails', JSON.stringify([{ kind: 'photo', caption: 'Tanks on site' }, { kind: 'invoice', caption: ' Supplier invoice ' }]))
+        .attach('proofFiles', Buffer.from('jpeg'), { filename: 'tanks.png', contentType: 'image/png' })
+        .attach('proofFiles', Buffer.from('%PDF'), { filename: 'invoice.pdf', contentType: 'application/pdf' })
+        .expect(201);
+
+      expect(response.body.proofCID).toBe(MANIFEST_CID);
+      const files = [
+        { cid: PHOTO_CID, name: 'tanks.png', mimeType: 'image/png', size: 4, kind: 'photo', caption: 'Tanks on site' },
+        { cid: INVOICE_CID, name: 'invoice.pdf', mimeType: 'application/pdf', size: 4, kind: 'invoice', caption: 'Supplier invoice' },
+      ];
+      const milestoneId = response.body.id;
+      expect(uploadJSON).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'milestone-proof', milestoneId, version: 1, previousCID: null, files }),
+        'milestone-proof',
+        expect.objectContaining({ milestoneId, version: 1 })
+      );
+      expect(milestonesRepo.createMilestoneWithinBudget).toHaveBeenCalledWith(expect.objectContaining({
+        id: milestoneId,
+        proof: expect.objectContaining({ cid: MANIFEST_CID, files, submittedBy: CREATOR_ID }),
+      }));
+      expect(filesRepo.saveUploadedFile).toHaveBeenCalledTimes(3);
+    });
+
+    it('should 409 when the amount exceeds the unallocated budget', async () => {
+      const response = await request(app)
+        .post(`/api/campaigns/${CAMPAIGN_ID}/milestones`)
+        .set('Authorization', creatorAuth)
+        .field('title', 'Water tanks')
+        .field('fundAmount', '3.5')
+        .expect(409);
+
+      expect(response.body.message).toBe('Milestone amount 3.5 exceeds the campaign\'s unallocated budget of 3 (target 10, raised 4, allocated 7)');
+      expect(milestonesRepo.createMilestoneWithinBudget).not.toHaveBeenCalled();
+    });
+
+    it('should 409 when another milestone took the budget first', async () => {
+      milestonesRepo.createMilestoneWithinBudget.mockResolvedValue(null);
+      milestonesRepo.getBudget
+        .mockResolvedValueOnce(budget)
+        .mockResolvedValueOnce({ ...budget, allocatedAmount: '9', unallocatedAmount: '1' });
+
+      const response = await request(app)
+        .post(`/api/campaigns/${CAMPAIGN_ID}/milestones`)
+        .set('Authorization', creatorAuth)
+        .field('title', 'Water tanks')
+        .field('fundAmount', '2')
+        .expect(409);
+
+      expect(response.body.message).toMatch(/unallocated budget of 1 /);
+    });
+
+    it('should reject malformed amounts', async () => {
+      for (const fundAmount of ['-1', '1e3', 'abc', '0.0000000000000000001']) {
+        await request(app)
+          .post(`/api/campaigns/${CAMPAIGN_ID}/milestones`)
+          .set('Authorization', creatorAuth)
+          .field('title', 'Water tanks')
+          .field('fundAmount', fundAmount)
+          .expect(400);
+      }
+    });
+
+    it('should return 403 for someone else\'s campaign', async () => {
+      await request(app)
+        .post(`/api/campaigns/${CAMPAIGN_ID}/milestones`)
+        .set('Authorization', otherCreatorAuth)
+        .field('title', 'Water tanks')
+        .field('fundAmount', '2')
+        .expect(403);
+      expect(milestonesRepo.createMilestoneWithinBudget).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 without a title', async () => {
+      await request(app)
+        .post(`/api/campaigns/${CAMPAIGN_ID}/milestones`)
+        .set('Authorization', creatorAuth)
+        .field('fundAmount', '2')
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/campaigns', () => {
+    const body = { title: 'Flood relief', description: 'Clean water and shelter', targetAmount: '10', deadline: null, disasterId: null, imageCID: null };
+
+    beforeEach(() => {
+      ngosRepo.getNgoByWallet.mockResolvedValue({ id: NGO_ID, status: 'verified', walletAddresses: ['0xabc'] });
+    });
+
+    it('should create a campaign owned by the caller', async () => {
+      campaignsRepo.createCampaign.mockResolvedValue({ id: CAMPAIGN_ID });
+
+      const response = await request(app)
+        .post('/api/campaigns')
+        .set('Authorization', creatorAuth)
+        .send(body)
+        .expect(201);
+
+      expect(response.body).toEqual(campaign);
+      expect(campaignsRepo.createCampaign).toHaveBeenCalledWith({
+        title: 'Flood relief',
+        description: 'Clean water and shelter',
+        targetAmount: '10',
+        deadline: null,
+        disasterId: null,
+        imageCID: null,
+        creator: CREATOR_ID,
+        ngoId: NGO_ID,
+        status: 'active',
+      });
+      expect(ngosRepo.getNgoByWallet).toHaveBeenCalledWith('0xabc');
+    });
+
+    it('should return 403 when the wallet belongs to no NGO', async () => {
+      ngosRepo.getNgoByWallet.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/campaigns')
+        .set('Authorization', creatorAuth)
+        .send(body)
+        .expect(403);
+
+      expect(response.body.message).toMatch(/verified NGOs/);
+      expect(campaignsRepo.createCampaign).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 while the NGO is not verified', async () => {
+      ngosRepo.getNgoByWallet.mockResolvedValue({ id: NGO_ID, status: 'under_review' });
+
+      const response = await request(app)
+        .post('/api/campaigns')
+        .set('Authorization', creatorAuth)
+        .send(body)
+        .expect(403);
+
+      expect(response.body.message).toMatch(/under review/);
+      expect(campaignsRepo.createCampaign).not.toHaveBeenCalled();
+    });
+
+    it('should go live straight away for a verified disaster', async () => {
+      campaignsRepo.createCampaign.mockResolvedValue({ id: CAMPAIGN_ID });
+      disastersRepo.getVerification.mockResolvedValue({ disasterId: 'FLOOD-1', status: 'verified', confidence: '92.00' });
+
+      await request(app)
+        .post('/api/campaigns')
+        .set('Authorization', creatorAuth)
+        .send({ ...body, disasterId: 'FLOOD-1' })
+        .expect(201);
+      expect(campaignsRepo.createCampaign).toHaveBeenCalledWith(expect.objectContaining({ disasterId: 'FLOOD-1', status: 'active' }));
+    });
+
+    it('should wait for the oracle when the disaster is still pending', async () => {
+      campaignsRepo.createCampaign.mockResolvedValue({ id: CAMPAIGN_ID });
+      disastersRepo.getVerification.mockResolvedValue({ disasterId: 'FLOOD-1', status: 'pending', confidence: null });
+
+      await request(app)
+        .post('/api/campaigns')
+        .set('Authorization', creatorAuth)
+        .send({ ...body, disasterId: 'FLOOD-1' })
+        .expect(201);
+      expect(campaignsRepo.createCampaign).toHaveBeenCalledWith(expect.objectContaining({ status: 'pending_verification' }));
+    });
+
+    it('should reject disasters that were never submitted for verification', async () => {
+      disastersRepo.getVerification.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/campaigns')
+        .set('Authorization', creatorAuth)
+        .send({ ...body, disasterId: 'MADE-UP' })
+        .expect(400);
+
+      expect(response.body.message).toMatch(/not been submitted/);
+      expect(campaignsRepo.createCampaign).not.toHaveBeenCalled();
+    });
+
+    it('should reject disasters verified below the minimum confidence', async () => {
+      disastersRepo.getVerification.mockResolvedValue({ disasterId: 'FLOOD-1', status: 'verified', confidence: '40.00' });
+
+      await request(app)
+        .post('/api/campaigns')
+        .set('Authorization', creatorAuth)
+        .send({ ...body, disasterId: 'FLOOD-1' })
+        .expect(400);
+      expect(campaignsRepo.createCampaign).not.toHaveBeenCalled();
+    });
+
+    it('should accept fractional target amounts', async () => {
+      campaignsRepo.createCampaign.mockResolvedValue({ id: CAMPAIGN_ID });
+
+      await request(app)
+        .post('/api/campaigns')
+        .set('Authorization', creatorAuth)
+        .send({ ...body, targetAmount: '0.5' })
+        .expect(201);
+      expect(campaignsRepo.createCampaign).toHaveBeenCalledWith(expect.objectContaining({ targetAmount: '0.5' }));
+    });
+
+    it('should return 400 for a missing title', async () => {
+      const response = await request(app)
+        .post('/api/campaigns')
+        .set('Authorization', creatorAuth)
+        .send({ ...body, title: '' })
+        .expect(400);
+
+      expect(response.body.message).toMatch(/Title is required/);
+      expect(campaignsRepo.createCampaign).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for a non-positive target amount', async () => {
+      await request(app)
+        .post('/api/campaigns')
+        .set('Authorization', creatorAuth)
+        .send({ ...body, targetAmount: '0' })
+        .expect(400);
+    });
+
+    it('should return 400 for a past deadline', async () => {
+      const response = await request(app)
+        .post('/api/campaigns')
+        .set('Authorization', creatorAuth)
+        .send({ ...body, deadline: '2000-01-01T00:00:00Z' })
+        .expect(400);
+
+      expect(response.body.message).toMatch(/future/);
+    });
+
+    it('should return 401 without a token', async () => {
+      await request(app).post('/api/campaigns').send(body).expect(401);
+    });
+
+    it('should return 403 without the campaign_creator role', async () => {
+      await request(app)
+        .post('/api/campaigns')
+        .set('Authorization', donorAuth)
+        .send(body)
+        .expect(403);
+    });
+  });
+
+  describe('PUT /api/campaigns/:id', () => {
+    it('should update the campaign and return it', async () => {
+      const updated = { ...campaign, title: 'Flood relief phase 2' };
+      campaignsRepo.updateCampaign.mockResolvedValue(updated);
+
+      const response = await request(app)
+        .put(`/api/campaigns/${CAMPAIGN_ID}`)
+        .set('Authorization', creatorAuth)
+        .send({ title: 'Flood relief phase 2', deadline: '' })
+        .expect(200);
+
+      expect(response.body).toEqual(updated);
+      expect(campaignsRepo.updateCampaign).toHaveBeenCalledWith({
+        id: CAMPAIGN_ID,
+        creator: CREATOR_ID,
+        title: 'Flood relief phase 2',
+        description: undefined,
+        deadline: null,
+      });
+    });
+
+    it('should return 403 for someone else\'s campaign', async () => {
+      await request(app)
+        .put(`/api/campaigns/${CAMPAIGN_ID}`)
+        .set('Authorization', otherCreatorAuth)
+        .send({ title: 'Hijacked' })
+        .expect(403);
+      expect(campaignsRepo.updateCampaign).not.toHaveBeenCalled();
+    });
+
+    it('should let an admin edit any campaign', async () => {
+      campaignsRepo.updateCampaign.mockResolvedValue(campaign);
+
+      await request(app)
+        .put(`/api/campaigns/${CAMPAIGN_ID}`)
+        .set('Authorization', adminAuth)
+        .send({ description: 'Moderated' })
+        .expect(200);
+      expect(campaignsRepo.updateCampaign).toHaveBeenCalledWith(expect.objectContaining({ creator: CREATOR_ID }));
+    });
+
+    it('should return 400 for a too-short title', async () => {
+      await request(app)
+        .put(`/api/campaigns/${CAMPAIGN_ID}`)
+        .set('Authorization', creatorAuth)
+        .send({ title: 'ab' })
+        .expect(400);
+    });
+
+    it('should return 404 for an unknown campaign', async () => {
+      await request(app)
+        .put(`/api/campaigns/${OTHER_ID}`)
+        .set('Authorization', creatorAuth)
+        .send({ title: 'Flood relief' })
+        .expect(404);
+    });
+  });
+
+  describe.each([
+    ['POST', (id) => request(app).post(`/api/campaigns/${id}/cancel`)],
+    ['DELETE', (id) => request(app).delete(`/api/campaigns/${id}`)],
+  ])('%s cancel', (_, send) => {
+    it('should cancel the campaign and return it', async () => {
+      const cancelled = { ...campaign, status: 'cancelled' };
+      campaignsRepo.cancelCampaign.mockResolvedValue(cancelled);
+
+      const response = await send(CAMPAIGN_ID).set('Authorization', creatorAuth).expect(200);
+
+      expect(response.body).toEqual(cancelled);
+      expect(campaignsRepo.cancelCampaign).toHaveBeenCalledWith({ id: CAMPAIGN_ID, creator: CREATOR_ID });
+    });
+
+    it('should return 403 for someone else\'s campaign', async () => {
+      await send(CAMPAIGN_ID).set('Authorization', otherCreatorAuth).expect(403);
+      expect(campaignsRepo.cancelCampaign).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown campaign', async () => {
+      await send(OTHER_ID).set('Authorization', creatorAuth).expect(404);
+    });
+  });
+
+  describe('PUT /api/campaigns/:id/onchain', () => {
+    const link = (body, auth = adminAuth) => request(app).put(`/api/campaigns/${CAMPAIGN_ID}/onchain`).set('Authorization', auth).send(body);
+    // DonationTracker campaign 7, created by `creator` with `target` ETH
+    const onChainCampaign = ({ target = '10', creator = CREATOR_WALLET } = {}) => ({
+      getCampaign: jest.fn().mockResolvedValue({
+        id: ethers.BigNumber.from(7),
+        target: ethers.utils.parseEther(target),
+        status: 0,
+        milestoneCount: ethers.BigNumber.from(0),
+      }),
+      filters: { CampaignCreated: jest.fn().mockReturnValue('created-filter') },
+      queryFilter: jest.fn().mockResolvedValue([{ transactionHash: `0x${'ab'.repeat(32)}` }]),
+      provider: { getTransaction: jest.fn().mockResolvedValue({ from: CREATOR_WALLET }) },
+    });
+
+    beforeEach(() => {
+      usersRepo.getUserById.mockResolvedValue({ id: CREATOR_ID, walletAddress: CREATOR_WALLET });
+      campaignsRepo.getCampaignByOnChainId.mockResolvedValue(null);
+      campaignsRepo.setOnChainId.mockResolvedValue({ id: CAMPAIGN_ID, onChainId: '7' });
+    });
+
+    it('should link a campaign created through the API to its on-chain campaign', async () => {
+      const tracker = onChainCampaign();
+      getDonationTracker.mockReturnValue(tracker);
+
+      const res = await link({ onChainId: 7 });
+
+      expect(res.status).toBe(200);
+      expect(tracker.getCampaign).toHaveBeenCalledWith(7);
+      expect(tracker.filters.CampaignCreated).toHaveBeenCalledWith(7);
+      expect(campaignsRepo.setOnChainId).toHaveBeenCalledWith({ id: CAMPAIGN_ID, onChainId: 7 });
+    });
+
+    it('should refuse an on-chain campaign with a different target or creator', async () => {
+      getDonationTracker.mockReturnValue(onChainCampaign({ target: '25' }));
+      const res = await link({ onChainId: 7 });
+      expect(res.status).toBe(409);
+      expect(res.body.message).toBe('On-chain target 25.0 does not match the campaign target 10');
+
+      const tracker = onChainCampaign();
+      tracker.provider.getTransaction.mockResolvedValue({ from: '0x9999999999999999999999999999999999999999' });
+      getDonationTracker.mockReturnValue(tracker);
+      expect((await link({ onChainId: 7 })).body.message).toMatch(/not created by the campaign creator/);
+
+      expect(campaignsRepo.setOnChainId).not.toHaveBeenCalled();
+    });
+
+    it('should refuse campaigns or on-chain ids that are already linked', async () => {
+      getDonationTracker.mockReturnValue(onChainCampaign());
+      campaignsRepo.getCampaignByOnChainId.mockResolvedValue({ id: OTHER_ID, onChainId: '7' });
+      expect((await link({ onChainId: 7 })).status).toBe(409);
+
+      campaignsRepo.getCampaignByIdWithCounts.mockResolvedValue({ ...campaign, onChainId: '3' });
+      const res = await link({ onChainId: 7 });
+      expect(res.status).toBe(409);
+      expect(res.body.message).toBe('Campaign is already linked to on-chain campaign 3');
+
+      expect(campaignsRepo.setOnChainId).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an on-chain campaign that does not exist', async () => {
+      const tracker = onChainCampaign();
+      tracker.getCampaign.mockRejectedValue(new Error('execution reverted: Campaign not found'));
+      getDonationTracker.mockReturnValue(tracker);
+
+      const res = await link({ onChainId: 7 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('On-chain campaign 7 not found');
+    });
+
+    it('should be limited to admins and need a positive on-chain id', async () => {
+      await link({ onChainId: 7 }, creatorAuth).expect(403);
+      await link({ onChainId: 0 }).expect(400);
+      expect(getDonationTracker).not.toHaveBeenCalled();
+    });
+  });
+});
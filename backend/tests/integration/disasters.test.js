@@ -0,0 +1,338 @@
+/**
+ * Integration tests for disaster verification endpoints
+ */
+
+const request = require('supertest');
+
+jest.mock('../../db/repos/disasters');
+jest.mock('../../db/repos/disasterRegistry');
+jest.mock('../../db/repos/campaigns');
+jest.mock('../../db/repos/files');
+jest.mock('../../upload', () => ({
+  ...jest.requireActual('../../upload'),
+  uploadFile: jest.fn(),
+}));
+jest.mock('../../web3/disasterOracle', () => ({
+  ...jest.requireActual('../../web3/disasterOracle'),
+  requestVerification: jest.fn(),
+  retryVerification: jest.fn(),
+}));
+jest.mock('../../web3/contracts', () => ({
+  ...jest.requireActual('../../web3/contracts'),
+  getDisasterOracle: jest.fn(),
+}));
+
+const disastersRepo = require('../../db/repos/disasters');
+const registryRepo = require('../../db/repos/disasterRegistry');
+const campaignsRepo = require('../../db/repos/campaigns');
+const filesRepo = require('../../db/repos/files');
+const { uploadFile } = require('../../upload');
+const { requestVerification, retryVerification } = require('../../web3/disasterOracle');
+const { getDisasterOracle } = require('../../web3/contracts');
+const { generateToken } = require('../../utils/jwt');
+const { AppError } = require('../../utils/errorHandler');
+const app = require('../../server');
+
+const DISASTER_ID = 'FLOOD-2025-07';
+const TX_HASH = `0x${'ab'.repeat(32)}`;
+
+const CREATOR_ID = '11111111-1111-4111-8111-111111111111';
+const EVIDENCE_CID = 'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o';
+
+const bearer = (roles, userId = CREATOR_ID) => `Bearer ${generateToken({ userId, walletAddress: '0xabc', roles })}`;
+const creatorAuth = bearer(['donor', 'campaign_creator']);
+const otherCreatorAuth = bearer(['campaign_creator'], '22222222-2222-4222-8222-222222222222');
+const adminAuth = bearer(['admin']);
+
+const disasterBody = {
+  id: DISASTER_ID,
+  name: 'July river floods',
+  eventType: 'flood',
+  severity: 'high',
+  startDate: '2025-07-01T00:00:00.000Z',
+  epicenter: { type: 'Point', coordinates: [2, 1] },
+  affectedArea: { type: 'Polygon', coordinates: [[[1, 0], [3, 0], [3, 2], [1, 2], [1, 0]]] },
+};
+const disaster = { ...disasterBody, endDate: null, evidenceCids: [], createdBy: CREATOR_ID, campaignCount: 0, verification: null };
+
+const failed = { disasterId: DISASTER_ID, status: 'failed', latitude: '1.000000', longitude: '2.000000', eventType: 'flood', attempts: 1 };
+
+describe('Disaster Endpoints', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    getDisasterOracle.mockReturnValue({});
+    registryRepo.getDisaster.mockImplementation(async (id) => (id === DISASTER_ID ? disaster : null));
+  });
+
+  describe('GET /api/disasters', () => {
+    it('should search near a point', async () => {
+      registryRepo.listDisasters.mockResolvedValue({ items: [{ ...disaster, distanceKm: 3.2 }], page: 1, limit: 20, total: 1 });
+
+      const res = await request(app).get('/api/disasters?lat=1.5&lon=2.5&radiusKm=25');
+
+      expect(res.status).toBe(200);
+      expect(registryRepo.listDisasters).toHaveBeenCalledWith(expect.objectContaining({ near: { lat: 1.5, lon: 2.5, radiusKm: 25 }, bbox: undefined }));
+      expect(res.body.items[0].distanceKm).toBe(3.2);
+    });
+
+    it('should search a bounding box', async () => {
+      registryRepo.listDisasters.mockResolvedValue({ items: [], page: 1, limit: 20, total: 0 });
+
+      await request(app).get('/api/disasters?bbox=0,0,4,4&severity=high').expect(200);
+
+      expect(registryRepo.listDisasters).toHaveBeenCalledWith(expect.objectContaining({ bbox: [0, 0, 4, 4], severity: 'high', near: undefined }));
+    });
+
+    it('should reject a radius search without a centre', async () => {
+      const res = await request(app).get('/api/disasters?radiusKm=25');
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toMatch(/given together/);
+    });
+
+    it('should reject combining radius and bbox', async () => {
+      await request(app).get('/api/disasters?lat=1&lon=2&radiusKm=5&bbox=0,0,4,4').expect(400);
+    });
+  });
+
+  describe('GET /api/disasters/map', () => {
+    it('should list verified disasters above the confidence threshold with their campaigns', async () => {
+      const point = { disasterId: DISASTER_ID, latitude: 1, longitude: 2, raisedAmount: 3, targetAmount: 10, campaigns: [{ id: 'c1' }] };
+      disastersRepo.listVerifiedWithCampaigns.mockResolvedValue([point]);
+
+      const res = await request(app).get('/api/disasters/map');
+
+      expect(res.status).toBe(200);
+      expect(res.body.items).toEqual([point]);
+      expect(disastersRepo.listVerifiedWithCampaigns).toHaveBeenCalledWith(expect.objectContaining({ minConfidence: 70 }));
+      expect(registryRepo.getDisaster).not.toHaveBeenCalled();
+    });
+
+    it('should only show active and completed campaigns', async () => {
+      disastersRepo.listVerifiedWithCampaigns.mockResolvedValue([]);
+
+      await request(app).get('/api/disasters/map').expect(200);
+
+      const { campaignStatuses } = disastersRepo.listVerifiedWithCampaigns.mock.calls[0][0];
+      expect(campaignStatuses).toEqual(['active', 'completed']);
+    });
+  });
+
+  describe('POST /api/disasters', () => {
+    it('should register a disaster for the caller', async () => {
+      registryRepo.createDisaster.mockResolvedValue(disaster);
+
+      const res = await request(app).post('/api/disasters').set('Authorization', creatorAuth).send(disasterBody);
+
+      expect(res.status).toBe(201);
+      expect(registryRepo.createDisaster).toHaveBeenCalledWith(expect.objectContaining({ id: DISASTER_ID, createdBy: CREATOR_ID, endDate: null }));
+    });
+
+    it('should 409 when the id is taken', async () => {
+      registryRepo.createDisaster.mockResolvedValue(null);
+
+      await request(app).post('/api/disasters').set('Authorization', creatorAuth).send(disasterBody).expect(409);
+    });
+
+    it('should reject polygons that are not closed', async () => {
+      const openArea = { type: 'Polygon', coordinates: [[[1, 0], [3, 0], [3, 2], [1, 2]]] };
+
+      const res = await request(app).post('/api/disasters').set('Authorization', creatorAuth).send({ ...disasterBody, affectedArea: openArea });
+
+      expect(res.status).toBe(400);
+      expect(registryRepo.createDisaster).not.toHaveBeenCalled();
+    });
+
+    it('should require a campaign creator or NGO verifier', async () => {
+      await request(app).post('/api/disasters').set('Authorization', bearer(['donor'])).send(disasterBody).expect(403);
+    });
+  });
+
+  describe('PUT /api/disasters/:id', () => {
+    it('should let the registrant end the event', async () => {
+      registryRepo.updateDisaster.mockResolvedValue({ ...disaster, endDate: '2025-07-20T00:00:00.000Z' });
+
+      await request(app).put(`/api/disasters/${DISASTER_ID}`).set('Authorization', creatorAuth).send({ endDate: '2025-07-20' }).expect(200);
+
+      expect(registryRepo.updateDisaster).toHaveBeenCalledWith(DISASTER_ID, { endDate: '2025-07-20T00:00:00.000Z' });
+    });
+
+    it('should reject an end date before the stored start date', async () => {
+      await request(app).put(`/api/disasters/${DISASTER_ID}`).set('Authorization', creatorAuth).send({ endDate: '2025-06-01' }).expect(400);
+    });
+
+    it('should forbid other users', async () => {
+      await request(app).put(`/api/disasters/${DISASTER_ID}`).set('Authorization', otherCreatorAuth).send({ severity: 'low' }).expect(403);
+    });
+  });
+
+  describe('DELETE /api/disasters/:id', () => {
+    it('should refuse to delete a disaster with campaigns', async () => {
+      registryRepo.getDisaster.mockResolvedValue({ ...disaster, campaignCount: 2 });
+
+      await request(app).delete(`/api/disasters/${DISASTER_ID}`).set('Authorization', creatorAuth).expect(409);
+      expect(registryRepo.deleteDisaster).not.toHaveBeenCalled();
+    });
+
+    it('should delete an unused disaster', async () => {
+      await request(app).delete(`/api/disasters/${DISASTER_ID}`).set('Authorization', adminAuth).expect(204);
+      expect(registryRepo.deleteDisaster).toHaveBeenCalledWith(DISASTER_ID);
+    });
+  });
+
+  describe('GET /api/disasters/:id/campaigns', () => {
+    it('should list the campaigns for the disaster', async () => {
+      campaignsRepo.listCampaigns.mockResolvedValue({ items: [{ id: 'c1' }], page: 1, limit: 10, total: 1 });
+
+      const res = await request(app).get(`/api/disasters/${DISASTER_ID}/campaigns`);
+
+      expect(res.status).toBe(200);
+      expect(campaignsRepo.listCampaigns).toHaveBeenCalledWith(expect.objectContaining({ disasterId: DISASTER_ID }));
+    });
+
+    it('should 404 for unknown disasters', async () => {
+      await request(app).get('/api/disasters/NOPE/campaigns').expect(404);
+    });
+  });
+
+  describe('POST /api/disasters/:id/evidence', () => {
+    it('should pin each file and attach its CID', async () => {
+      uploadFile.mockResolvedValue({ cid: EVIDENCE_CID, size: 4 });
+      filesRepo.saveUploadedFile.mockImplementation(async (row) => row);
+      registryRepo.addEvidence.mockResolvedValue({ ...disaster, evidenceCids: [EVIDENCE_CID] });
+
+      const res = await request(app)
+        .post(`/api/disasters/${DISASTER_ID}/evidence`)
+        .set('Authorization', creatorAuth)
+        .attach('evidence', Buffer.from('%PDF'), { filename: 'report.pdf', contentType: 'application/pdf' });
+
+      expect(res.status).toBe(201);
+      expect(uploadFile).toHaveBeenCalledWith(expect.any(String), 'disaster-evidence', expect.objectContaining({ disasterId: DISASTER_ID }));
+      expect(filesRepo.saveUploadedFile).toHaveBeenCalledWith(expect.objectContaining({ cid: EVIDENCE_CID, verificationStatus: 'unregistered' }));
+      expect(registryRepo.addEvidence).toHaveBeenCalledWith(DISASTER_ID, [EVIDENCE_CID]);
+      expect(res.body.evidenceCids).toEqual([EVIDENCE_CID]);
+    });
+
+    it('should require at least one file', async () => {
+      await request(app).post(`/api/disasters/${DISASTER_ID}/evidence`).set('Authorization', creatorAuth).expect(400);
+    });
+  });
+
+  describe('POST /api/verify-disaster', () => {
+    it('should send the request to the oracle and return it as pending', async () => {
+      requestVerification.mockResolvedValue({ disasterId: DISASTER_ID, status: 'pending', txHash: TX_HASH });
+
+      const res = await request(app)
+        .post('/api/verify-disaster')
+        .set('Authorization', creatorAuth)
+        .send({ disasterId: DISASTER_ID, latitude: 1, longitude: 2, eventType: 'flood' });
+
+      expect(res.status).toBe(202);
+      expect(res.body).toEqual({ status: 'pending', disasterId: DISASTER_ID, txHash: TX_HASH });
+      expect(requestVerification).toHaveBeenCalledWith(expect.objectContaining({ disasterId: DISASTER_ID, eventType: 'flood' }));
+    });
+
+    it('should return 409 when the disaster was already requested', async () => {
+      requestVerification.mockRejectedValue(new AppError(`Verification of ${DISASTER_ID} is already verified`, 409));
+
+      const res = await request(app)
+        .post('/api/verify-disaster')
+        .set('Authorization', creatorAuth)
+        .send({ disasterId: DISASTER_ID, latitude: 1, longitude: 2, eventType: 'flood' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.message).toBe(`Verification of ${DISASTER_ID} is already verified`);
+    });
+
+    it('should reject ids longer than disasters.id allows', async () => {
+      const res = await request(app)
+        .post('/api/verify-disaster')
+        .set('Authorization', creatorAuth)
+        .send({ disasterId: 'x'.repeat(65), latitude: 1, longitude: 2, eventType: 'flood' });
+
+      expect(res.status).toBe(400);
+      expect(requestVerification).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/disasters/:id/status', () => {
+    it('should return the current state with its history', async () => {
+      disastersRepo.getStatus.mockResolvedValue({ disasterId: DISASTER_ID, status: 'verified', confidence: '87.00', resultBlockNumber: '10' });
+      disastersRepo.listEvents.mockResolvedValue([
+        { event: 'requested', status: 'pending', txHash: TX_HASH },
+        { event: 'verified', status: 'verified', confidence: '87.00', blockNumber: '10' },
+      ]);
+
+      const res = await request(app).get(`/api/disasters/${DISASTER_ID}/status`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ status: 'verified', confidence: '87.00' });
+      expect(res.body.history.map((e) => e.event)).toEqual(['requested', 'verified']);
+    });
+
+    it('should 404 for unknown disasters', async () => {
+      disastersRepo.getStatus.mockResolvedValue(null);
+
+      const res = await request(app).get('/api/disasters/NOPE/status');
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should reject ids longer than 64 characters', async () => {
+      await request(app).get(`/api/disasters/${'x'.repeat(64)}/status`).expect(404);
+      const res = await request(app).get(`/api/disasters/${'x'.repeat(65)}/status`);
+
+      expect(res.status).toBe(400);
+      expect(disastersRepo.getStatus).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('POST /api/disasters/:id/retry', () => {
+    it('should re-send failed requests', async () => {
+      disastersRepo.getVerification.mockResolvedValue(failed);
+      retryVerification.mockResolvedValue({ ok: true, verification: { ...failed, status: 'pending', attempts: 2 } });
+
+      const res = await request(app).post(`/api/disasters/${DISASTER_ID}/retry`).set('Authorization', adminAuth);
+
+      expect(res.status).toBe(202);
+      expect(res.body).toMatchObject({ status: 'pending', attempts: 2 });
+      expect(retryVerification).toHaveBeenCalledWith(failed, expect.objectContaining({ actor: expect.any(String) }));
+    });
+
+    it('should only let admins retry', async () => {
+      const res = await request(app).post(`/api/disasters/${DISASTER_ID}/retry`).set('Authorization', creatorAuth);
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should 409 when the request has not failed', async () => {
+      disastersRepo.getVerification.mockResolvedValue({ ...failed, status: 'pending' });
+
+      const res = await request(app).post(`/api/disasters/${DISASTER_ID}/retry`).set('Authorization', adminAuth);
+
+      expect(res.status).toBe(409);
+      expect(retryVerification).not.toHaveBeenCalled();
+    });
+
+    it('should 503 when the oracle is not configured', async () => {
+      disastersRepo.getVerification.mockResolvedValue(failed);
+      getDisasterOracle.mockImplementation(() => {
+        throw new Error('DISASTER_ORACLE_ADDRESS not set');
+      });
+
+      const res = await request(app).post(`/api/disasters/${DISASTER_ID}/retry`).set('Authorization', adminAuth);
+
+      expect(res.status).toBe(503);
+    });
+
+    it('should 502 when the oracle transaction fails', async () => {
+      disastersRepo.getVerification.mockResolvedValue(failed);
+      retryVerification.mockResolvedValue({ ok: false, txHash: null, reason: 'Not owner' });
+
+      const res = await request(app).post(`/api/disasters/${DISASTER_ID}/retry`).set('Authorization', adminAuth);
+
+      expect(res.status).toBe(502);
+      expect(res.body.reason).toBe('Not owner');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Integration tests for donation receipt downloads
+ */
+
+const request = require('supertest');
+
+jest.mock('../../db/repos/donations');
+jest.mock('../../db/repos/receipts');
+jest.mock('../../utils/receipts', () => ({
+  ...jest.requireActual('../../utils/receipts'),
+  issueReceipt: jest.fn(),
+}));
+
+const donationsRepo = require('../../db/repos/donations');
+const receiptsRepo = require('../../db/repos/receipts');
+const { issueReceipt } = require('../../utils/receipts');
+const { generateToken } = require('../../utils/jwt');
+const app = require('../../server');
+
+const DONATION_ID = '33333333-3333-4333-8333-333333333333';
+const DONOR_WALLET = '0x1111111111111111111111111111111111111111';
+
+const donation = { id: DONATION_ID, donorWallet: DONOR_WALLET, status: 'confirmed' };
+const receipt = {
+  donationId: DONATION_ID,
+  jsonCid: 'QmJson',
+  pdfCid: 'QmPdf',
+  signer: '0x2222222222222222222222222222222222222222',
+  signature: '0xsig',
+  document: {
+    receiptId: DONATION_ID,
+    donor: { anonymous: false, wallet: DONOR_WALLET },
+    campaign: { id: 'c1', title: 'Flood relief', onChainId: '7' },
+    amount: { eth: '0.5', fiat: null },
+    transaction: { txHash: '0xabc', blockNumber: 10, timestamp: '2025-11-01T00:00:00.000Z' },
+    issuer: { name: 'D3R', address: '0x2222222222222222222222222222222222222222' },
+  },
+};
+
+const bearer = (walletAddress, roles = ['donor']) => `Bearer ${generateToken({ userId: 'u1', walletAddress, roles })}`;
+const url = `/api/donations/${DONATION_ID}/receipt`;
+
+describe('GET /api/donations/:id/receipt', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    donationsRepo.getDonationById.mockResolvedValue(donation);
+    receiptsRepo.getReceiptByDonationId.mockResolvedValue(receipt);
+  });
+
+  it('should require authentication', async () => {
+    const res = await request(app).get(url);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should serve the PDF to the donor', async () => {
+    const res = await request(app).get(url).set('Authorization', bearer(DONOR_WALLET));
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/application\/pdf/);
+    expect(res.headers['x-receipt-cid']).toBe('QmPdf');
+    expect(res.body.toString('latin1').startsWith('%PDF-')).toBe(true);
+  });
+
+  it('should serve the signed JSON when asked', async () => {
+    const res = await request(app).get(`${url}?format=json`).set('Authorization', bearer(DONOR_WALLET));
+
+    expect(res.status).toBe(200);
+    expect(res.headers['x-receipt-cid']).toBe('QmJson');
+    expect(res.body).toEqual({ document: receipt.document, signature: '0xsig', signer: receipt.signer, jsonCid: 'QmJson', pdfCid: 'QmPdf' });
+  });
+
+  it('should reject other wallets but let auditors through', async () => {
+    const other = await request(app).get(url).set('Authorization', bearer('0x9999999999999999999999999999999999999999'));
+    const auditor = await request(app).get(`${url}?format=json`).set('Authorization', bearer('0x9999999999999999999999999999999999999999', ['auditor']));
+
+    expect(other.status).toBe(403);
+    expect(auditor.status).toBe(200);
+  });
+
+  it('should issue the receipt when it does not exist yet', async () => {
+    receiptsRepo.getReceiptByDonationId.mockResolvedValue(null);
+    issueReceipt.mockResolvedValue(receipt);
+
+    const res = await request(app).get(`${url}?format=json`).set('Authorization', bearer(DONOR_WALLET));
+
+    expect(res.status).toBe(200);
+    expect(issueReceipt).toHaveBeenCalledWith(DONATION_ID);
+  });
+
+  it('should return 409 while the donation is pending', async () => {
+    donationsRepo.getDonationById.mockResolvedValue({ ...donation, status: 'pending' });
+
+    const res = await request(app).get(url).set('Authorization', bearer(DONOR_WALLET));
+
+    expect(res.status).toBe(409);
+    expect(issueReceipt).not.toHaveBeenCalled();
+  });
+
+  it('should 404 unknown donations and reject bad formats', async () => {
+    donationsRepo.getDonationById.mockResolvedValue(null);
+
+    const missing = await request(app).get(url).set('Authorization', bearer(DONOR_WALLET));
+    const badFormat = await request(app).get(`${url}?format=docx`).set('Authorization', bearer(DONOR_WALLET));
+
+    expect(missing.status).toBe(404);
+    expect(badFormat.status).toBe(400);
+  });
+});
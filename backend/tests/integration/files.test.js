@@ -0,0 +1,143 @@
+/**
+ * Integration tests for uploaded file listing and review endpoints
+ */
+
+const request = require('supertest');
+
+jest.mock('../../db/repos/files');
+jest.mock('../../web3/fileRegistry', () => ({
+  ...jest.requireActual('../../web3/fileRegistry'),
+  getChainEntry: jest.fn(),
+  reviewFile: jest.fn(),
+  queueRegistration: jest.fn(),
+}));
+jest.mock('../../web3/contracts', () => ({
+  ...jest.requireActual('../../web3/contracts'),
+  getIPFSVerifier: jest.fn(),
+}));
+
+const filesRepo = require('../../db/repos/files');
+const { getChainEntry, reviewFile } = require('../../web3/fileRegistry');
+const { getIPFSVerifier } = require('../../web3/contracts');
+const { generateToken } = require('../../utils/jwt');
+const app = require('../../server');
+
+const CID = 'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o';
+const UPLOADER_ID = '11111111-1111-4111-8111-111111111111';
+const REVIEWER_ID = '22222222-2222-4222-8222-222222222222';
+
+const file = { cid: CID, documentType: 'milestone-proof', uploader: UPLOADER_ID, verificationStatus: 'pending' };
+
+const bearer = (userId, roles) => `Bearer ${generateToken({ userId, walletAddress: '0xabc', roles })}`;
+const uploaderAuth = bearer(UPLOADER_ID, ['donor', 'campaign_creator']);
+const otherAuth = bearer('33333333-3333-4333-8333-333333333333', ['donor']);
+const reviewerAuth = bearer(REVIEWER_ID, ['ngo_verifier']);
+
+describe('File Endpoints', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    filesRepo.getFileByCid.mockImplementation(async (cid) => (cid === CID ? file : null));
+    filesRepo.listFiles.mockResolvedValue({ items: [file], page: 1, limit: 20, total: 1 });
+    getIPFSVerifier.mockReturnValue({});
+  });
+
+  describe('GET /api/files', () => {
+    it('should limit regular users to their own uploads', async () => {
+      const res = await request(app).get('/api/files?status=pending').set('Authorization', uploaderAuth);
+
+      expect(res.status).toBe(200);
+      expect(filesRepo.listFiles).toHaveBeenCalledWith(expect.objectContaining({ status: 'pending', uploader: UPLOADER_ID }));
+      expect(res.body.items[0]).toMatchObject({ cid: CID, verificationStatus: 'pending', url: expect.stringContaining(CID) });
+    });
+
+    it('should show reviewers every file', async () => {
+      await request(app).get('/api/files').set('Authorization', reviewerAuth);
+
+      expect(filesRepo.listFiles).toHaveBeenCalledWith(expect.objectContaining({ uploader: undefined }));
+    });
+
+    it('should reject unknown statuses', async () => {
+      const res = await request(app).get('/api/files?status=lost').set('Authorization', uploaderAuth);
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/files/:cid', () => {
+    it('should include the on-chain entry when asked', async () => {
+      getChainEntry.mockResolvedValue({ approved: false, registeredAt: '2025-11-06T00:00:00.000Z', metadata: '{}' });
+
+      const res = await request(app).get(`/api/files/${CID}?onchain=true`).set('Authorization', uploaderAuth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.onChain).toEqual({ approved: false, registeredAt: '2025-11-06T00:00:00.000Z', metadata: '{}' });
+    });
+
+    it("should hide other users' files", async () => {
+      const res = await request(app).get(`/api/files/${CID}`).set('Authorization', otherAuth);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/files/:cid/approve|reject', () => {
+    it('should approve on-chain and return the mirrored file', async () => {
+      reviewFile.mockResolvedValue({ ok: true, file: { ...file, verificationStatus: 'approved', reviewTxHash: '0xabc' } });
+
+      const res = await request(app).post(`/api/files/${CID}/approve`).set('Authorization', reviewerAuth).send({ reason: 'Looks right' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ verificationStatus: 'approved', reviewTxHash: '0xabc' });
+      expect(reviewFile).toHaveBeenCalledWith(expect.objectContaining({ cid: CID, approved: true, reason: 'Looks right', reviewer: REVIEWER_ID }));
+    });
+
+    it('should require a reason to reject', async () => {
+      const res = await request(app).post(`/api/files/${CID}/reject`).set('Authorization', reviewerAuth).send({});
+
+      expect(res.status).toBe(400);
+      expect(reviewFile).not.toHaveBeenCalled();
+    });
+
+    it('should only let reviewers decide', async () => {
+      const res = await request(app).post(`/api/files/${CID}/approve`).set('Authorization', uploaderAuth).send({});
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should refuse files that are not registered yet', async () => {
+      filesRepo.getFileByCid.mockResolvedValue({ ...file, verificationStatus: 'registering' });
+
+      const res = await request(app).post(`/api/files/${CID}/reject`).set('Authorization', reviewerAuth).send({ reason: 'Blurry' });
+
+      expect(res.status).toBe(409);
+    });
+
+    it('should report failed review transactions', async () => {
+      reviewFile.mockResolvedValue({ ok: false, txHash: null, reason: 'Not owner' });
+
+      const res = await request(app).post(`/api/files/${CID}/reject`).set('Authorization', reviewerAuth).send({ reason: 'Blurry' });
+
+      expect(res.status).toBe(502);
+      expect(res.body).toMatchObject({ reason: 'Not owner' });
+    });
+
+    it('should 503 when IPFSVerifier is not configured', async () => {
+      getIPFSVerifier.mockImplementation(() => {
+        throw new Error('IPFS_VERIFIER_ADDRESS not set');
+      });
+
+      const res = await request(app).post(`/api/files/${CID}/approve`).set('Authorization', reviewerAuth).send({});
+
+      expect(res.status).toBe(503);
+    });
+
+    it('should 404 unknown CIDs', async () => {
+      const res = await request(app)
+        .post('/api/files/QmbFMke1KXqnYyBBWxB74N4c5SBnJMVAiMNRcGu6x1AwQH/approve')
+        .set('Authorization', reviewerAuth)
+        .send({});
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
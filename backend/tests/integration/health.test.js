@@ -3,7 +3,7 @@
  */
 
 const request = require('supertest');
-const { app } = require('../../server-template');
+const app = require('../../server');
 
 describe('Health Check Endpoints', () => {
   describe('GET /api/health', () => {
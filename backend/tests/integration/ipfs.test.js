@@ -0,0 +1,72 @@
+/**
+ * Integration tests for IPFS uploads, run offline against the local storage provider
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const STORE = fs.mkdtempSync(path.join(os.tmpdir(), 'd3r-ipfs-'));
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LOCAL_STORAGE_DIR = STORE;
+
+jest.mock('../../db/repos/files');
+
+const filesRepo = require('../../db/repos/files');
+const { generateToken } = require('../../utils/jwt');
+const app = require('../../server');
+
+const HELLO_CID = 'Qmf412jQZiuVUtdgnB36FXFX7xg5V6KEbSJ4dpQuhkLyfD';
+const auth = `Bearer ${generateToken({ userId: 'u1', walletAddress: '0xabc', roles: ['donor'] })}`;
+
+describe('IPFS Endpoints (local storage)', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    delete process.env.STORAGE_PROVIDER;
+    delete process.env.LOCAL_STORAGE_DIR;
+    fs.rmSync(STORE, { recursive: true, force: true });
+  });
+
+  it('should report the storage provider status', async () => {
+    const res = await request(app).get('/api/ipfs/status');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ ok: true, service: 'local', provider: 'local' });
+  });
+
+  it('should pin an upload, record it and serve it from the local gateway', async () => {
+    filesRepo.saveUploadedFile.mockImplementation(async (file) => file);
+
+    const res = await request(app)
+      .post('/api/ipfs/upload')
+      .set('Authorization', auth)
+      .field('documentType', 'milestone-proof')
+      .attach('file', Buffer.from('hello world'), { filename: 'proof.pdf', contentType: 'application/pdf' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ cid: HELLO_CID, url: `http://localhost:5000/ipfs/${HELLO_CID}`, verificationStatus: 'unregistered' });
+    expect(filesRepo.saveUploadedFile).toHaveBeenCalledWith(expect.objectContaining({ cid: HELLO_CID, documentType: 'milestone-proof', uploader: 'u1', verificationStatus: 'unregistered' }));
+
+    const served = await request(app).get(`/ipfs/${HELLO_CID}`);
+    expect(served.status).toBe(200);
+    expect(served.body.toString()).toBe('hello world');
+    expect((await request(app).get('/ipfs/.pins.json')).status).not.toBe(200);
+  });
+
+  it('should reject metadata too long to register on-chain', async () => {
+    const res = await request(app)
+      .post('/api/ipfs/upload')
+      .set('Authorization', auth)
+      .field('documentType', 'milestone-proof')
+      .field('note', 'x'.repeat(2000))
+      .attach('file', Buffer.from('hello world'), { filename: 'proof.pdf', contentType: 'application/pdf' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/metadata must be at most 1024/);
+    expect(filesRepo.saveUploadedFile).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,635 @@
+/**
+ * Integration tests for milestone verifier assignment, quorum approval, proof versions and disputes
+ */
+
+const request = require('supertest');
+const { ethers } = require('ethers');
+
+jest.mock('../../db/repos/milestones');
+jest.mock('../../db/repos/campaigns');
+jest.mock('../../db/repos/users');
+jest.mock('../../db/repos/ngos');
+jest.mock('../../db/repos/donations');
+jest.mock('../../db/repos/files');
+jest.mock('../../web3/contracts', () => ({
+  ...jest.requireActual('../../web3/contracts'),
+  getDonationTracker: jest.fn(),
+}));
+jest.mock('../../web3/tx', () => ({
+  ...jest.requireActual('../../web3/tx'),
+  sendAndWait: jest.fn(),
+}));
+jest.mock('../../upload', () => ({
+  ...jest.requireActual('../../upload'),
+  uploadFile: jest.fn(),
+  uploadJSON: jest.fn(),
+}));
+
+const milestonesRepo = require('../../db/repos/milestones');
+const campaignsRepo = require('../../db/repos/campaigns');
+const usersRepo = require('../../db/repos/users');
+const ngosRepo = require('../../db/repos/ngos');
+const donationsRepo = require('../../db/repos/donations');
+const filesRepo = require('../../db/repos/files');
+const { uploadFile, uploadJSON } = require('../../upload');
+const { getDonationTracker } = require('../../web3/contracts');
+const { sendAndWait } = require('../../web3/tx');
+const { approvalTypedData } = require('../../web3/milestoneApproval');
+const { generateToken } = require('../../utils/jwt');
+const app = require('../../server');
+
+const MILESTONE_ID = '55555555-5555-4555-8555-555555555555';
+const CAMPAIGN_ID = '7f1c2d3e-4b5a-4c6d-8e9f-0a1b2c3d4e5f';
+const CREATOR_ID = '11111111-1111-4111-8111-111111111111';
+const NGO_ID = '33333333-3333-4333-8333-333333333333';
+const CREATOR_WALLET = '0x1111111111111111111111111111111111111111';
+const NGO_WALLET = '0x2222222222222222222222222222222222222222';
+const CID = 'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o';
+const DISPUTE_ID = '77777777-7777-4777-8777-777777777777';
+const DONOR_ID = '66666666-6666-4666-8666-666666666666';
+
+const alice = new ethers.Wallet(`0x${'11'.repeat(32)}`);
+const bob = new ethers.Wallet(`0x${'22'.repeat(32)}`);
+const mallory = new ethers.Wallet(`0x${'99'.repeat(32)}`);
+const addr = (wallet) => wallet.address.toLowerCase();
+
+const bearer = (userId, roles) => `Bearer ${generateToken({ userId, walletAddress: '0xabc', roles })}`;
+const adminAuth = bearer('22222222-2222-4222-8222-222222222222', ['admin']);
+const verifierAuth = bearer('44444444-4444-4444-8444-444444444444', ['ngo_verifier']);
+const donorAuth = bearer(DONOR_ID, ['donor']);
+const creatorAuth = bearer(CREATOR_ID, ['campaign_creator']);
+const strangerAuth = bearer('88888888-8888-4888-8888-888888888888', ['donor']);
+
+const milestone = {
+  id: MILESTONE_ID,
+  campaignId: CAMPAIGN_ID,
+  title: 'Water tanks',
+  proofCID: CID,
+  fundAmount: '1.5',
+  approved: false,
+  approvalQuorum: 2,
+  onChainIndex: null,
+};
+
+const sign = (wallet, m = milestone) => {
+  const { domain, types, message } = approvalTypedData(m);
+  return wallet._signTypedData(domain, { MilestoneApproval: types.MilestoneApproval }, message);
+};
+const stored = (wallet) => ({ verifier: addr(wallet), proofCID: CID, amountWei: '1500000000000000000' });
+
+describe('Milestone Endpoints', () => {
+  let current;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    current = milestone;
+    milestonesRepo.getById.mockImplementation(async (id) => (id === MILESTONE_ID ? current : null));
+    milestonesRepo.listVerifiers.mockResolvedValue([addr(alice), addr(bob)]);
+    milestonesRepo.listApprovals.mockResolvedValue([]);
+    milestonesRepo.addApproval.mockImplementation(async (row) => ({ id: 'a1', ...row }));
+    milestonesRepo.markApproved.mockImplementation(async ({ txHash }) => ({ ...milestone, approved: true, approvalTxHash: txHash }));
+    campaignsRepo.getCampaignByIdWithCounts.mockResolvedValue({ id: CAMPAIGN_ID, creator: CREATOR_ID, ngoId: NGO_ID, onChainId: null });
+    usersRepo.getUserById.mockResolvedValue({ id: CREATOR_ID, walletAddress: CREATOR_WALLET });
+    ngosRepo.getNgo.mockResolvedValue({ id: NGO_ID, walletAddresses: [NGO_WALLET] });
+  });
+
+  describe('PUT /api/milestones/:id/verifiers', () => {
+    const assign = (body, auth = adminAuth) => request(app).put(`/api/milestones/${MILESTONE_ID}/verifiers`).set('Authorization', auth).send(body);
+
+    it('should assign verifiers and a quorum', async () => {
+      milestonesRepo.setVerifiers.mockImplementation(async ({ verifiers }) => verifiers);
+
+      const res = await assign({ verifiers: [alice.address, bob.address, mallory.address], quorum: 2 });
+
+      expect(res.status).toBe(200);
+      expect(milestonesRepo.setVerifiers).toHaveBeenCalledWith(expect.objectContaining({
+        milestoneId: MILESTONE_ID,
+        verifiers: [addr(alice), addr(bob), addr(mallory)],
+        quorum: 2,
+      }));
+      expect(res.body).toMatchObject({ quorum: 2 });
+    });
+
+    it('should reject the campaign creator and NGO wallets as verifiers', async () => {
+      const res = await assign({ verifiers: [alice.address, NGO_WALLET], quorum: 2 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toMatch(/creator or NGO/);
+      await assign({ verifiers: [CREATOR_WALLET, bob.address], quorum: 2 }).expect(400);
+      expect(milestonesRepo.setVerifiers).not.toHaveBeenCalled();
+    });
+
+    it('should reject a quorum a single key could meet', async () => {
+      const res = await assign({ verifiers: [alice.address, bob.address], quorum: 1 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toMatch(/Quorum must be at least 2/);
+      expect(milestonesRepo.setVerifiers).not.toHaveBeenCalled();
+    });
+
+    it('should hold the quorum to MILESTONE_APPROVAL_QUORUM', async () => {
+      process.env.MILESTONE_APPROVAL_QUORUM = '3';
+      try {
+        const res = await assign({ verifiers: [alice.address, bob.address, mallory.address], quorum: 2 });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Quorum must be at least 3');
+      } finally {
+        delete process.env.MILESTONE_APPROVAL_QUORUM;
+      }
+    });
+
+    it('should reject a quorum larger than the verifier set', async () => {
+      await assign({ verifiers: [alice.address, bob.address], quorum: 3 }).expect(400);
+    });
+
+    it('should reject repeated wallets', async () => {
+      await assign({ verifiers: [alice.address, alice.address.toLowerCase()] }).expect(400);
+    });
+
+    it('should be limited to admins', async () => {
+      await assign({ verifiers: [alice.address] }, verifierAuth).expect(403);
+    });
+  });
+
+  describe('POST /api/milestones/:id/approvals', () => {
+    const submit = (signature) => request(app)
+      .post(`/api/milestones/${MILESTONE_ID}/approvals`)
+      .set('Authorization', donorAuth)
+      .send({ signature });
+
+    it('should record a signature and wait for quorum', async () => {
+      milestonesRepo.listApprovals.mockResolvedValue([stored(alice)]);
+
+      const res = await submit(await sign(alice));
+
+      expect(res.status).toBe(201);
+      expect(milestonesRepo.addApproval).toHaveBeenCalledWith(expect.objectContaining({
+        milestoneId: MILESTONE_ID,
+        verifier: addr(alice),
+        proofCID: CID,
+        amountWei: '1500000000000000000',
+      }));
+      expect(res.body).toMatchObject({ approved: false, signatures: 1, quorum: 2 });
+      expect(milestonesRepo.markApproved).not.toHaveBeenCalled();
+    });
+
+    it('should approve the milestone once quorum is reached', async () => {
+      milestonesRepo.listApprovals.mockResolvedValue([stored(alice), stored(bob)]);
+
+      const res = await submit(await sign(bob));
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({ approved: true, signatures: 2, quorum: 2 });
+      expect(milestonesRepo.markApproved).toHaveBeenCalledWith({ id: MILESTONE_ID, txHash: null, challengeEndsAt: expect.any(Date) });
+    });
+
+    it('should refuse signatures from wallets that are not assigned', async () => {
+      const res = await submit(await sign(mallory));
+
+      expect(res.status).toBe(403);
+      expect(milestonesRepo.addApproval).not.toHaveBeenCalled();
+    });
+
+    it('should refuse signatures over another proof', async () => {
+      const res = await submit(await sign(alice, { ...milestone, proofCID: 'QmOld' }));
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should 409 when the verifier already signed this proof', async () => {
+      milestonesRepo.addApproval.mockResolvedValue(null);
+
+      await submit(await sign(alice)).expect(409);
+    });
+
+    it('should 409 while changes are requested on the latest proof version', async () => {
+      milestonesRepo.getLatestProofVersion.mockResolvedValue({ version: 2, cid: CID, status: 'changes_requested' });
+
+      const res = await submit(await sign(alice));
+
+      expect(res.status).toBe(409);
+      expect(res.body.message).toMatch(/proof version 2/);
+      expect(milestonesRepo.addApproval).not.toHaveBeenCalled();
+    });
+
+    it('should 409 while the milestone has no proof or verifiers', async () => {
+      current = { ...milestone, proofCID: null };
+      await submit(await sign(alice)).expect(409);
+
+      current = milestone;
+      milestonesRepo.listVerifiers.mockResolvedValue([]);
+      await submit(await sign(alice)).expect(409);
+    });
+
+    it('should keep PUT /approve as an alias', async () => {
+      const res = await request(app)
+        .put(`/api/milestones/${MILESTONE_ID}/approve`)
+        .set('Authorization', donorAuth)
+        .send({ signature: await sign(alice) });
+
+      expect(res.status).toBe(201);
+    });
+
+    it('should no longer approve without a signature', async () => {
+      await request(app).put(`/api/milestones/${MILESTONE_ID}/approve`).set('Authorization', adminAuth).send({}).expect(400);
+    });
+  });
+
+  describe('GET /api/milestones/:id/approval', () => {
+    it('should show progress, every signature and the typed data to sign', async () => {
+      milestonesRepo.listApprovals.mockResolvedValue([stored(alice), { ...stored(bob), proofCID: 'QmOld' }]);
+
+      const res = await request(app).get(`/api/milestones/${MILESTONE_ID}/approval`).expect(200);
+
+      expect(res.body).toMatchObject({ quorum: 2, signatures: 1, verifiers: [addr(alice), addr(bob)] });
+      expect(res.body.approvals).toHaveLength(2);
+      expect(res.body.typedData.message).toEqual({ milestoneId: MILESTONE_ID, proofCID: CID, amount: '1500000000000000000' });
+    });
+
+    it('should 404 for unknown milestones', async () => {
+      await request(app).get('/api/milestones/unknown/approval').expect(404);
+    });
+  });
+
+  describe('POST /api/milestones/:id/approval/submit', () => {
+    it('should 409 below quorum', async () => {
+      const res = await request(app).post(`/api/milestones/${MILESTONE_ID}/approval/submit`).set('Authorization', verifierAuth);
+
+      expect(res.status).toBe(409);
+      expect(res.body.message).toMatch(/0\/2/);
+    });
+  });
+
+  describe('proof versions', () => {
+    const NEW_CID = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+    const MANIFEST_CID = 'QmZTR5bcpQD7cFgTorqxZDYaew1Wqgfbd2ud9QqGPAkK2V';
+    const v1 = { id: 'v1', milestoneId: MILESTONE_ID, version: 1, cid: CID, files: [], status: 'submitted' };
+    const aliceAuth = `Bearer ${generateToken({ userId: DONOR_ID, walletAddress: alice.address, roles: ['donor'] })}`;
+
+    beforeEach(() => {
+      milestonesRepo.getLatestProofVersion.mockResolvedValue(v1);
+      milestonesRepo.getProofVersion.mockImplementation(async ({ version }) => (version === 1 ? v1 : null));
+      milestonesRepo.addProofComment.mockImplementation(async (row) => ({ id: 'c1', ...row }));
+    });
+
+    describe('POST /api/milestones/:id/proofs', () => {
+      const resubmit = (auth = creatorAuth) => request(app)
+        .post(`/api/milestones/${MILESTONE_ID}/proofs`)
+        .set('Authorization', auth)
+        .field('note', 'Added the delivery receipt')
+        .field('fileDetails', JSON.stringify([{ kind: 'receipt', caption: 'Delivery receipt' }]))
+        .attach('proofFiles', Buffer.from('%PDF'), { filename: 'receipt.pdf', contentType: 'application/pdf' });
+
+      it('should pin the bundle as the next version', async () => {
+        uploadFile.mockResolvedValue({ cid: NEW_CID, size: 4 });
+        uploadJSON.mockResolvedValue({ cid: MANIFEST_CID, size: 200 });
+        filesRepo.saveUploadedFile.mockImplementation(async (row) => row);
+        milestonesRepo.addProofVersion.mockImplementation(async (row) => ({ id: 'v2', version: 2, ...row }));
+
+        const res = await resubmit();
+
+        expect(res.status).toBe(201);
+        expect(uploadJSON).toHaveBeenCalledWith(
+          expect.objectContaining({ version: 2, previousCID: CID, note: 'Added the delivery receipt' }),
+          'milestone-proof',
+          expect.any(Object)
+        );
+        expect(milestonesRepo.addProofVersion).toHaveBeenCalledWith(expect.objectContaining({
+          milestoneId: MILESTONE_ID,
+          cid: MANIFEST_CID,
+          files: [{ cid: NEW_CID, name: 'receipt.pdf', mimeType: 'application/pdf', size: 4, kind: 'receipt', caption: 'Delivery receipt' }],
+          submittedBy: CREATOR_ID,
+        }));
+        expect(res.body).toMatchObject({ version: 2, cid: MANIFEST_CID });
+      });
+
+      it('should only accept proof from the campaign creator before approval', async () => {
+        campaignsRepo.getCampaignByIdWithCounts.mockResolvedValue({ id: CAMPAIGN_ID, creator: 'someone-else' });
+        await resubmit().expect(403);
+
+        campaignsRepo.getCampaignByIdWithCounts.mockResolvedValue({ id: CAMPAIGN_ID, creator: CREATOR_ID });
+        current = { ...milestone, approved: true };
+        await resubmit().expect(409);
+        expect(uploadFile).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('GET /api/milestones/:id/proofs', () => {
+      it('should list the versions and the current CID', async () => {
+        milestonesRepo.listProofVersions.mockResolvedValue([{ ...v1, commentCount: 1, changeRequestCount: 0 }]);
+
+        const res = await request(app).get(`/api/milestones/${MILESTONE_ID}/proofs`).expect(200);
+
+        expect(res.body).toMatchObject({ milestoneId: MILESTONE_ID, currentCID: CID, items: [{ version: 1, commentCount: 1 }] });
+      });
+
+      it('should return a version with its comments, or 404', async () => {
+        milestonesRepo.listProofComments.mockResolvedValue([{ id: 'c1', body: 'Looks good' }]);
+
+        const res = await request(app).get(`/api/milestones/${MILESTONE_ID}/proofs/1`).expect(200);
+
+        expect(res.body).toMatchObject({ version: 1, comments: [{ body: 'Looks good' }] });
+        expect(milestonesRepo.listProofComments).toHaveBeenCalledWith('v1');
+        await request(app).get(`/api/milestones/${MILESTONE_ID}/proofs/7`).expect(404);
+        await request(app).get(`/api/milestones/${MILESTONE_ID}/proofs/latest`).expect(400);
+      });
+    });
+
+    describe('POST /api/milestones/:id/proofs/:version/comments', () => {
+      const comment = (auth, body) => request(app)
+        .post(`/api/milestones/${MILESTONE_ID}/proofs/1/comments`)
+        .set('Authorization', auth)
+        .send(body);
+
+      it('should let an assigned verifier request changes', async () => {
+        const res = await comment(aliceAuth, { body: 'The invoice total is unreadable', requestsChanges: true });
+
+        expect(res.status).toBe(201);
+        expect(milestonesRepo.addProofComment).toHaveBeenCalledWith({
+          versionId: 'v1',
+          author: DONOR_ID,
+          body: 'The invoice total is unreadable',
+          requestsChanges: true,
+        });
+      });
+
+      it('should let the campaign creator reply but not request changes', async () => {
+        await comment(creatorAuth, { body: 'Re-scanned copy coming' }).expect(201);
+        await comment(creatorAuth, { body: 'Approve it', requestsChanges: true }).expect(403);
+      });
+
+      it('should refuse other users', async () => {
+        await comment(strangerAuth, { body: 'Hello' }).expect(403);
+        expect(milestonesRepo.addProofComment).not.toHaveBeenCalled();
+      });
+
+      it('should 409 when requesting changes on a superseded version', async () => {
+        current = { ...milestone, proofCID: NEW_CID };
+
+        await comment(verifierAuth, { body: 'Blurry photo', requestsChanges: true }).expect(409);
+        await comment(verifierAuth, { body: 'Noted for the record' }).expect(201);
+      });
+    });
+  });
+
+  describe('disputes', () => {
+    const HOUR = 60 * 60 * 1000;
+    const approved = (challengeEndsAt) => ({ ...milestone, approved: true, approvedAt: new Date().toISOString(), challengeEndsAt });
+    const dispute = { id: DISPUTE_ID, milestoneId: MILESTONE_ID, raisedBy: DONOR_ID, reason: 'The tanks were never delivered', evidenceCids: [CID], status: 'open' };
+
+    beforeEach(() => {
+      current = approved(new Date(Date.now() + HOUR).toISOString());
+      donationsRepo.hasConfirmedDonation.mockResolvedValue(true);
+      milestonesRepo.getDispute.mockImplementation(async (id) => (id === DISPUTE_ID ? dispute : null));
+      milestonesRepo.listDisputes.mockResolvedValue([]);
+    });
+
+    describe('POST /api/milestones/:id/disputes', () => {
+      const file = (auth = donorAuth, body = { reason: dispute.reason, evidenceCids: [CID] }) => request(app)
+        .post(`/api/milestones/${MILESTONE_ID}/disputes`)
+        .set('Authorization', auth)
+        .send(body);
+
+      it('should let donors dispute during the challenge window', async () => {
+        milestonesRepo.fileDispute.mockResolvedValue(dispute);
+
+        const res = await file();
+
+        expect(res.status).toBe(201);
+        expect(donationsRepo.hasConfirmedDonation).toHaveBeenCalledWith({ campaignId: CAMPAIGN_ID, walletAddress: '0xabc' });
+        expect(milestonesRepo.fileDispute).toHaveBeenCalledWith({
+          milestoneId: MILESTONE_ID,
+          raisedBy: DONOR_ID,
+          reason: dispute.reason,
+          evidenceCids: [CID],
+        });
+      });
+
+      it('should refuse wallets that did not donate to the campaign', async () => {
+        donationsRepo.hasConfirmedDonation.mockResolvedValue(false);
+
+        await file().expect(403);
+        expect(milestonesRepo.fileDispute).not.toHaveBeenCalled();
+      });
+
+      it('should 409 outside the challenge window', async () => {
+        current = approved(new Date(Date.now() - HOUR).toISOString());
+        await file().expect(409);
+
+        current = milestone;
+        await file().expect(409);
+      });
+
+      it('should 409 when the donor already has an open dispute', async () => {
+        milestonesRepo.fileDispute.mockResolvedValue(null);
+
+        await file().expect(409);
+      });
+
+      it('should require a reason and valid evidence CIDs', async () => {
+        await file(donorAuth, { reason: ' ' }).expect(400);
+        await file(donorAuth, { reason: 'Fake receipts', evidenceCids: ['not-a-cid'] }).expect(400);
+      });
+    });
+
+    describe('GET /api/milestones/:id/disputes', () => {
+      it('should list disputes and what blocks the release', async () => {
+        milestonesRepo.listDisputes.mockResolvedValue([dispute]);
+
+        const res = await request(app).get(`/api/milestones/${MILESTONE_ID}/disputes`).expect(200);
+
+        expect(res.body).toMatchObject({ challengeOpen: true, items: [{ id: DISPUTE_ID }] });
+        expect(res.body.releaseBlocker).toMatch(/1 open dispute/);
+      });
+
+      it('should return a dispute with its thread', async () => {
+        milestonesRepo.listDisputeComments.mockResolvedValue([{ id: 'c1', body: 'Photos attached' }]);
+
+        const res = await request(app).get(`/api/milestones/${MILESTONE_ID}/disputes/${DISPUTE_ID}`).expect(200);
+
+        expect(res.body.comments).toHaveLength(1);
+      });
+    });
+
+    describe('POST /api/milestones/:id/disputes/:disputeId/comments', () => {
+      const comment = (auth) => request(app)
+        .post(`/api/milestones/${MILESTONE_ID}/disputes/${DISPUTE_ID}/comments`)
+        .set('Authorization', auth)
+        .send({ body: 'Delivery notes attached', evidenceCids: [CID] });
+
+      it('should let the donor, the campaign creator and reviewers reply', async () => {
+        campaignsRepo.getCampaignByIdWithCounts.mockResolvedValue({ id: CAMPAIGN_ID, creator: CREATOR_ID });
+        milestonesRepo.addDisputeComment.mockImplementation(async (row) => ({ id: 'c1', ...row }));
+
+        await comment(donorAuth).expect(201);
+        await comment(creatorAuth).expect(201);
+        await comment(verifierAuth).expect(201);
+        expect(milestonesRepo.addDisputeComment).toHaveBeenCalledWith({
+          disputeId: DISPUTE_ID,
+          author: CREATOR_ID,
+          body: 'Delivery notes attached',
+          evidenceCids: [CID],
+        });
+      });
+
+      it('should keep other users out of the thread', async () => {
+        campaignsRepo.getCampaignByIdWithCounts.mockResolvedValue({ id: CAMPAIGN_ID, creator: CREATOR_ID });
+
+        await comment(strangerAuth).expect(403);
+      });
+
+      it('should 409 once the dispute is resolved', async () => {
+        milestonesRepo.getDispute.mockResolvedValue({ ...dispute, status: 'dismissed' });
+
+        await comment(donorAuth).expect(409);
+      });
+    });
+
+    describe('POST /api/milestones/:id/disputes/:disputeId/resolve', () => {
+      const resolve = (body, auth = verifierAuth) => request(app)
+        .post(`/api/milestones/${MILESTONE_ID}/disputes/${DISPUTE_ID}/resolve`)
+        .set('Authorization', auth)
+        .send(body);
+
+      it('should record the reviewer outcome', async () => {
+        milestonesRepo.resolveDispute.mockResolvedValue({ ...dispute, status: 'upheld' });
+
+        await resolve({ status: 'upheld', resolution: 'No delivery records' }).expect(200);
+
+        expect(milestonesRepo.resolveDispute).toHaveBeenCalledWith({
+          id: DISPUTE_ID,
+          from: 'open',
+          to: 'upheld',
+          resolvedBy: '44444444-4444-4444-8444-444444444444',
+          resolution: 'No delivery records',
+        });
+      });
+
+      it('should not reopen or change a resolved dispute', async () => {
+        milestonesRepo.getDispute.mockResolvedValue({ ...dispute, status: 'dismissed' });
+
+        await resolve({ status: 'upheld', resolution: 'Second thoughts' }).expect(409);
+      });
+
+      it('should 409 when another reviewer resolved it first', async () => {
+        milestonesRepo.resolveDispute.mockResolvedValue(null);
+
+        await resolve({ status: 'dismissed', resolution: 'Receipts check out' }).expect(409);
+      });
+
+      it('should be limited to reviewers', async () => {
+        await resolve({ status: 'dismissed', resolution: 'Mine is fine' }, creatorAuth).expect(403);
+      });
+    });
+
+    describe('POST /api/milestones/:id/release-funds', () => {
+      const release = () => request(app).post(`/api/milestones/${MILESTONE_ID}/release-funds`).set('Authorization', adminAuth);
+
+      it('should wait for the challenge window to close', async () => {
+        const res = await release();
+
+        expect(res.status).toBe(409);
+        expect(res.body.error).toMatch(/challenge period ends/);
+      });
+
+      it('should stay frozen while a dispute is open or after one was upheld', async () => {
+        current = approved(new Date(Date.now() - HOUR).toISOString());
+        milestonesRepo.listDisputes.mockResolvedValue([dispute]);
+        expect((await release()).body.error).toMatch(/1 open dispute/);
+
+        milestonesRepo.listDisputes.mockResolvedValue([{ ...dispute, status: 'upheld' }]);
+        expect((await release()).body.error).toMatch(/upheld/);
+      });
+    });
+  });
+
+  describe('POST /api/milestones/:id/release-funds', () => {
+    const release = () => request(app).post(`/api/milestones/${MILESTONE_ID}/release-funds`).set('Authorization', adminAuth);
+
+    beforeEach(() => {
+      current = { ...milestone, approved: true, challengeEndsAt: new Date(Date.now() - 1000).toISOString() };
+      milestonesRepo.listDisputes.mockResolvedValue([]);
+      milestonesRepo.findUnreleasedBefore.mockResolvedValue(null);
+      milestonesRepo.getBudget.mockResolvedValue({ raisedAmount: '2.000000000000000000', releasedAmount: '0.000000000000000000' });
+    });
+
+    it('should release milestones in order', async () => {
+      milestonesRepo.findUnreleasedBefore.mockResolvedValue({ id: 'm0', title: 'Site survey' });
+
+      const res = await release();
+
+      expect(res.status).toBe(409);
+      expect(res.body).toEqual({ error: 'Milestone "Site survey" must be released first', milestoneId: 'm0' });
+    });
+
+    it('should not release more than the campaign raised', async () => {
+      milestonesRepo.getBudget.mockResolvedValue({ raisedAmount: '2.000000000000000000', releasedAmount: '1.000000000000000000' });
+
+      const res = await release();
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe('Releasing 1.5 would exceed the 2 raised (1 already released)');
+    });
+
+    it('should check the on-chain link once order and funds allow the release', async () => {
+      campaignsRepo.getCampaignByIdWithCounts.mockResolvedValue({ id: CAMPAIGN_ID, onChainId: null });
+
+      const res = await release();
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toMatch(/not linked to an on-chain milestone/);
+    });
+
+    describe('on-chain release', () => {
+      const RELEASE_TX = `0x${'ef'.repeat(32)}`;
+      let tracker;
+
+      beforeEach(() => {
+        current = { ...current, onChainIndex: 2 };
+        campaignsRepo.getCampaignByIdWithCounts.mockResolvedValue({ id: CAMPAIGN_ID, onChainId: 7 });
+        tracker = { releaseFunds: jest.fn().mockReturnValue('release-tx') };
+        getDonationTracker.mockReturnValue(tracker);
+      });
+
+      it('should release on-chain and record the mined transaction', async () => {
+        sendAndWait.mockResolvedValue({
+          status: 'success',
+          txHash: RELEASE_TX,
+          receipt: { blockNumber: 42, gasUsed: ethers.BigNumber.from(51234) },
+        });
+        milestonesRepo.markReleased.mockResolvedValue({
+          id: MILESTONE_ID,
+          releaseTxHash: RELEASE_TX,
+          releaseBlockNumber: '42',
+          releaseGasUsed: '51234',
+          releasedAt: '2025-11-20T10:00:00.000Z',
+        });
+
+        const res = await release();
+
+        expect(res.status).toBe(200);
+        expect(tracker.releaseFunds).toHaveBeenCalledWith(7, 2);
+        expect(sendAndWait).toHaveBeenCalledWith('release-tx', 1);
+        expect(milestonesRepo.markReleased).toHaveBeenCalledWith({ id: MILESTONE_ID, txHash: RELEASE_TX, blockNumber: 42, gasUsed: '51234' });
+        expect(res.body).toEqual({
+          released: true,
+          txHash: RELEASE_TX,
+          blockNumber: 42,
+          gasUsed: '51234',
+          releasedAt: '2025-11-20T10:00:00.000Z',
+        });
+      });
+
+      it('should return 502 and leave the milestone unreleased when the transaction fails', async () => {
+        sendAndWait.mockResolvedValue({ status: 'reverted', txHash: RELEASE_TX, error: { message: 'execution reverted: Already released' } });
+
+        const res = await release();
+
+        expect(res.status).toBe(502);
+        expect(res.body).toEqual({ error: 'Release transaction failed', txHash: RELEASE_TX, reason: 'execution reverted: Already released' });
+        expect(milestonesRepo.markReleased).not.toHaveBeenCalled();
+      });
+    });
+  });
+});
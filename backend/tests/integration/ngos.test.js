@@ -0,0 +1,209 @@
+/**
+ * Integration tests for NGO application and review endpoints
+ */
+
+const request = require('supertest');
+
+jest.mock('../../db/repos/ngos');
+jest.mock('../../db/repos/files');
+jest.mock('../../upload', () => ({
+  ...jest.requireActual('../../upload'),
+  uploadFile: jest.fn(),
+}));
+
+const ngosRepo = require('../../db/repos/ngos');
+const filesRepo = require('../../db/repos/files');
+const { uploadFile } = require('../../upload');
+const { generateToken } = require('../../utils/jwt');
+const app = require('../../server');
+
+const NGO_ID = '33333333-3333-4333-8333-333333333333';
+const APPLICANT_ID = '11111111-1111-4111-8111-111111111111';
+const REVIEWER_ID = '44444444-4444-4444-8444-444444444444';
+const WALLET = '0x1111111111111111111111111111111111111111';
+const DOCUMENT_CID = 'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o';
+
+const bearer = (userId, roles) => `Bearer ${generateToken({ userId, walletAddress: WALLET, roles })}`;
+const applicantAuth = bearer(APPLICANT_ID, ['donor', 'campaign_creator']);
+const strangerAuth = bearer('22222222-2222-4222-8222-222222222222', ['donor']);
+const reviewerAuth = bearer(REVIEWER_ID, ['ngo_verifier']);
+
+const application = {
+  legalName: 'Relief Without Borders',
+  registrationNumber: 'REG-2041',
+  country: 'in',
+  contactEmail: 'ops@relief.example',
+  website: 'https://relief.example',
+  walletAddresses: [WALLET],
+};
+const ngo = { id: NGO_ID, ...application, country: 'IN', documentCids: [], status: 'submitted', submittedBy: APPLICANT_ID };
+
+describe('NGO Endpoints', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    ngosRepo.getNgo.mockImplementation(async (id) => (id === NGO_ID ? ngo : null));
+    ngosRepo.findClaimedWallets.mockResolvedValue([]);
+    ngosRepo.getNgoByRegistration.mockResolvedValue(null);
+  });
+
+  describe('POST /api/ngos', () => {
+    it('should record the application for the caller', async () => {
+      ngosRepo.createNgo.mockResolvedValue(ngo);
+
+      const res = await request(app).post('/api/ngos').set('Authorization', applicantAuth).send(application);
+
+      expect(res.status).toBe(201);
+      expect(ngosRepo.createNgo).toHaveBeenCalledWith(expect.objectContaining({
+        legalName: 'Relief Without Borders',
+        country: 'IN',
+        walletAddresses: [WALLET],
+        submittedBy: APPLICANT_ID,
+      }));
+    });
+
+    it('should 409 when a wallet already belongs to another NGO', async () => {
+      ngosRepo.findClaimedWallets.mockResolvedValue([{ walletAddress: WALLET, ngoId: 'other' }]);
+
+      const res = await request(app).post('/api/ngos').set('Authorization', applicantAuth).send(application);
+
+      expect(res.status).toBe(409);
+      expect(res.body.message).toMatch(/already belongs/);
+      expect(ngosRepo.createNgo).not.toHaveBeenCalled();
+    });
+
+    it('should 409 for a registration number already on file', async () => {
+      ngosRepo.getNgoByRegistration.mockResolvedValue({ id: 'other' });
+
+      await request(app).post('/api/ngos').set('Authorization', applicantAuth).send(application).expect(409);
+    });
+
+    it('should require at least one valid wallet', async () => {
+      await request(app).post('/api/ngos').set('Authorization', applicantAuth).send({ ...application, walletAddresses: [] }).expect(400);
+      await request(app).post('/api/ngos').set('Authorization', applicantAuth).send({ ...application, walletAddresses: ['0x12'] }).expect(400);
+    });
+
+    it('should require authentication', async () => {
+      await request(app).post('/api/ngos').send(application).expect(401);
+    });
+  });
+
+  describe('GET /api/ngos', () => {
+    it('should let reviewers filter by status', async () => {
+      ngosRepo.listNgos.mockResolvedValue({ items: [ngo], page: 1, limit: 20, total: 1 });
+
+      await request(app).get('/api/ngos?status=submitted').set('Authorization', reviewerAuth).expect(200);
+
+      expect(ngosRepo.listNgos).toHaveBeenCalledWith(expect.objectContaining({ status: 'submitted' }));
+    });
+
+    it('should be closed to applicants', async () => {
+      await request(app).get('/api/ngos').set('Authorization', applicantAuth).expect(403);
+    });
+  });
+
+  describe('GET /api/ngos/:id', () => {
+    it('should show the application to its applicant', async () => {
+      const res = await request(app).get(`/api/ngos/${NGO_ID}`).set('Authorization', applicantAuth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.legalName).toBe('Relief Without Borders');
+    });
+
+    it('should hide it from other users', async () => {
+      await request(app).get(`/api/ngos/${NGO_ID}`).set('Authorization', strangerAuth).expect(403);
+    });
+  });
+
+  describe('PUT /api/ngos/:id', () => {
+    it('should update a submitted application', async () => {
+      ngosRepo.updateNgo.mockResolvedValue({ ...ngo, contactEmail: 'new@relief.example' });
+
+      await request(app).put(`/api/ngos/${NGO_ID}`).set('Authorization', applicantAuth).send({ contactEmail: 'new@relief.example' }).expect(200);
+
+      expect(ngosRepo.updateNgo).toHaveBeenCalledWith(NGO_ID, { contactEmail: 'new@relief.example' });
+    });
+
+    it('should 409 once review has started', async () => {
+      ngosRepo.getNgo.mockResolvedValue({ ...ngo, status: 'under_review' });
+
+      await request(app).put(`/api/ngos/${NGO_ID}`).set('Authorization', applicantAuth).send({ website: null }).expect(409);
+      expect(ngosRepo.updateNgo).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/ngos/:id/documents', () => {
+    it('should pin each document and attach its CID', async () => {
+      uploadFile.mockResolvedValue({ cid: DOCUMENT_CID, size: 4 });
+      filesRepo.saveUploadedFile.mockImplementation(async (row) => row);
+      ngosRepo.addDocuments.mockResolvedValue({ ...ngo, documentCids: [DOCUMENT_CID] });
+
+      const res = await request(app)
+        .post(`/api/ngos/${NGO_ID}/documents`)
+        .set('Authorization', applicantAuth)
+        .attach('documents', Buffer.from('%PDF'), { filename: 'certificate.pdf', contentType: 'application/pdf' });
+
+      expect(res.status).toBe(201);
+      expect(uploadFile).toHaveBeenCalledWith(expect.any(String), 'ngo-verification', expect.objectContaining({ ngoId: NGO_ID }));
+      expect(filesRepo.saveUploadedFile).toHaveBeenCalledWith(expect.objectContaining({ cid: DOCUMENT_CID, verificationStatus: 'unregistered' }));
+      expect(ngosRepo.addDocuments).toHaveBeenCalledWith(NGO_ID, [DOCUMENT_CID]);
+    });
+  });
+
+  describe('POST /api/ngos/:id/review', () => {
+    const review = (body, auth = reviewerAuth) => request(app).post(`/api/ngos/${NGO_ID}/review`).set('Authorization', auth).send(body);
+
+    it('should record who moved the NGO and why', async () => {
+      const history = [{ fromStatus: 'submitted', toStatus: 'under_review', reviewer: REVIEWER_ID, reason: 'Checking the registry' }];
+      ngosRepo.recordReview.mockResolvedValue({ ...ngo, status: 'under_review' });
+      ngosRepo.listReviews.mockResolvedValue(history);
+
+      const res = await review({ status: 'under_review', reason: 'Checking the registry' });
+
+      expect(res.status).toBe(200);
+      expect(ngosRepo.recordReview).toHaveBeenCalledWith({
+        id: NGO_ID,
+        from: 'submitted',
+        to: 'under_review',
+        reviewer: REVIEWER_ID,
+        reason: 'Checking the registry',
+      });
+      expect(res.body).toMatchObject({ status: 'under_review', reviews: history });
+    });
+
+    it('should not let a reviewer review an NGO they submitted', async () => {
+      const res = await review({ status: 'under_review', reason: 'Mine' }, bearer(APPLICANT_ID, ['campaign_creator', 'ngo_verifier']));
+
+      expect(res.status).toBe(403);
+      expect(res.body.message).toMatch(/cannot review an NGO they submitted/);
+      expect(ngosRepo.recordReview).not.toHaveBeenCalled();
+    });
+
+    it('should reject transitions the state machine does not allow', async () => {
+      const res = await review({ status: 'verified', reason: 'Looks fine' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.message).toMatch(/from submitted to verified/);
+      expect(ngosRepo.recordReview).not.toHaveBeenCalled();
+    });
+
+    it('should not verify an NGO without documents', async () => {
+      ngosRepo.getNgo.mockResolvedValue({ ...ngo, status: 'under_review' });
+
+      await review({ status: 'verified', reason: 'Looks fine' }).expect(409);
+    });
+
+    it('should require a reason', async () => {
+      await review({ status: 'under_review', reason: ' ' }).expect(400);
+    });
+
+    it('should 409 when another reviewer got there first', async () => {
+      ngosRepo.recordReview.mockResolvedValue(null);
+
+      await review({ status: 'under_review', reason: 'Checking the registry' }).expect(409);
+    });
+
+    it('should be limited to reviewers', async () => {
+      await review({ status: 'under_review', reason: 'Self-review' }, applicantAuth).expect(403);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Integration tests for linking campaigns and milestones to DonationTracker and releasing their funds
+ */
+
+const request = require('supertest');
+const { ethers } = require('ethers');
+
+jest.mock('../../db/repos/campaigns');
+jest.mock('../../db/repos/milestones');
+jest.mock('../../db/repos/users');
+jest.mock('../../db/repos/donations');
+jest.mock('../../web3/contracts', () => ({
+  ...jest.requireActual('../../web3/contracts'),
+  getDonationTracker: jest.fn(),
+}));
+jest.mock('../../web3/donations', () => ({
+  ...jest.requireActual('../../web3/donations'),
+  verifyDonationTx: jest.fn(),
+}));
+jest.mock('../../web3/tx', () => ({
+  ...jest.requireActual('../../web3/tx'),
+  sendAndWait: jest.fn(),
+}));
+
+const campaignsRepo = require('../../db/repos/campaigns');
+const milestonesRepo = require('../../db/repos/milestones');
+const usersRepo = require('../../db/repos/users');
+const donationsRepo = require('../../db/repos/donations');
+const { verifyDonationTx } = require('../../web3/donations');
+const { getDonationTracker } = require('../../web3/contracts');
+const { sendAndWait } = require('../../web3/tx');
+const { generateToken } = require('../../utils/jwt');
+const app = require('../../server');
+
+const CAMPAIGN_ID = '7f1c2d3e-4b5a-4c6d-8e9f-0a1b2c3d4e5f';
+const MILESTONE_ID = '55555555-5555-4555-8555-555555555555';
+const CREATOR_ID = '11111111-1111-4111-8111-111111111111';
+const CREATOR_WALLET = '0x1111111111111111111111111111111111111111';
+const RELEASE_TX = `0x${'ef'.repeat(32)}`;
+const DONATION_TX = `0x${'d0'.repeat(32)}`;
+const DONOR_WALLET = '0x3333333333333333333333333333333333333333';
+
+const adminAuth = `Bearer ${generateToken({ userId: '22222222-2222-4222-8222-222222222222', walletAddress: '0xabc', roles: ['admin'] })}`;
+
+// DonationTracker with campaign 7 (10 ETH, created by the campaign creator) and its milestone 0
+const onChainTracker = ({ fundAmount = '1.5', released = false } = {}) => ({
+  getCampaign: jest.fn().mockResolvedValue({
+    id: ethers.BigNumber.from(7),
+    target: ethers.utils.parseEther('10'),
+    status: 0,
+    milestoneCount: ethers.BigNumber.from(1),
+  }),
+  filters: { CampaignCreated: jest.fn().mockReturnValue('created-filter') },
+  queryFilter: jest.fn().mockResolvedValue([{ transactionHash: `0x${'ab'.repeat(32)}` }]),
+  provider: { getTransaction: jest.fn().mockResolvedValue({ from: CREATOR_WALLET }) },
+  getMilestone: jest.fn().mockResolvedValue({ fundAmount: ethers.utils.parseEther(fundAmount), released }),
+  releaseFunds: jest.fn().mockReturnValue('release-tx'),
+});
+
+const linkCampaign = () => request(app).put(`/api/campaigns/${CAMPAIGN_ID}/onchain`).set('Authorization', adminAuth).send({ onChainId: 7 });
+const linkMilestone = (onChainIndex = 0) =>
+  request(app).put(`/api/milestones/${MILESTONE_ID}/onchain`).set('Authorization', adminAuth).send({ onChainIndex });
+const release = () => request(app).post(`/api/milestones/${MILESTONE_ID}/release-funds`).set('Authorization', adminAuth);
+
+describe('On-chain links', () => {
+  let campaign;
+  let milestone;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    // Created through POST /api/campaigns, so not linked yet
+    campaign = { id: CAMPAIGN_ID, creator: CREATOR_ID, targetAmount: '10.000000000000000000', status: 'active', onChainId: null };
+    milestone = {
+      id: MILESTONE_ID,
+      campaignId: CAMPAIGN_ID,
+      title: 'Water tanks',
+      fundAmount: '1.500000000000000000',
+      approved: true,
+      challengeEndsAt: new Date(Date.now() - 1000).toISOString(),
+      releasedAt: null,
+      onChainIndex: null,
+    };
+    campaignsRepo.getCampaignByIdWithCounts.mockImplementation(async () => campaign);
+    campaignsRepo.getCampaignByOnChainId.mockResolvedValue(null);
+    campaignsRepo.setOnChainId.mockImplementation(async ({ id, onChainId }) => {
+      campaign = { ...campaign, onChainId: String(onChainId) };
+      return { id, onChainId: campaign.onChainId };
+    });
+    milestonesRepo.getById.mockImplementation(async () => milestone);
+    milestonesRepo.setOnChainIndex.mockImplementation(async ({ onChainIndex }) => {
+      milestone = { ...milestone, onChainIndex };
+      return true;
+    });
+    milestonesRepo.listDisputes.mockResolvedValue([]);
+    milestonesRepo.findUnreleasedBefore.mockResolvedValue(null);
+    milestonesRepo.getBudget.mockResolvedValue({ raisedAmount: '2.000000000000000000', releasedAmount: '0.000000000000000000' });
+    usersRepo.getUserById.mockResolvedValue({ id: CREATOR_ID, walletAddress: CREATOR_WALLET });
+  });
+
+  it('should release funds for an API-created campaign once it and its milestone are linked', async () => {
+    const tracker = onChainTracker();
+    getDonationTracker.mockReturnValue(tracker);
+    sendAndWait.mockResolvedValue({ status: 'success', txHash: RELEASE_TX, receipt: { blockNumber: 42, gasUsed: ethers.BigNumber.from(51234) } });
+    milestonesRepo.markReleased.mockImplementation(async ({ txHash, blockNumber, gasUsed }) => ({
+      releaseTxHash: txHash,
+      releaseBlockNumber: String(blockNumber),
+      releaseGasUsed: gasUsed,
+      releasedAt: '2025-11-20T10:00:00.000Z',
+    }));
+
+    expect((await release()).body.error).toMatch(/not linked to an on-chain milestone/);
+    expect((await linkMilestone()).body.error).toMatch(/not linked to an on-chain campaign/);
+
+    await linkCampaign().expect(200);
+    await linkMilestone().expect(200);
+    const res = await release();
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ released: true, txHash: RELEASE_TX, blockNumber: 42, gasUsed: '51234', releasedAt: '2025-11-20T10:00:00.000Z' });
+    expect(tracker.releaseFunds).toHaveBeenCalledWith('7', 0);
+  });
+
+  it('should accept donations to an API-created campaign once it is linked', async () => {
+    getDonationTracker.mockReturnValue(onChainTracker());
+    verifyDonationTx.mockResolvedValue({ ok: true, from: DONOR_WALLET, amount: '0.5', blockNumber: 12 });
+    donationsRepo.createDonation.mockResolvedValue({ id: 'donation-1', status: 'pending' });
+    const donate = () => request(app).post('/api/donations').send({ campaignId: CAMPAIGN_ID, donor: DONOR_WALLET, amount: '0.5', txHash: DONATION_TX });
+
+    const unlinked = await donate();
+    expect(unlinked.status).toBe(400);
+    expect(unlinked.body.error).toBe('Campaign is not linked to an on-chain campaign yet');
+
+    await linkCampaign().expect(200);
+    const res = await donate();
+
+    expect(res.status).toBe(202);
+    expect(res.body).toEqual({ donationId: 'donation-1', status: 'pending' });
+    expect(verifyDonationTx).toHaveBeenCalledWith({ txHash: DONATION_TX, campaignOnChainId: '7', donor: DONOR_WALLET, amount: '0.5' });
+    expect(donationsRepo.createDonation).toHaveBeenCalledWith(expect.objectContaining({ campaignId: CAMPAIGN_ID, txHash: DONATION_TX }));
+  });
+
+  describe('PUT /api/milestones/:id/onchain', () => {
+    beforeEach(() => {
+      campaign = { ...campaign, onChainId: '7' };
+    });
+
+    it('should link a milestone to the on-chain milestone paying the same amount', async () => {
+      const tracker = onChainTracker();
+      getDonationTracker.mockReturnValue(tracker);
+
+      const res = await linkMilestone();
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ milestoneId: MILESTONE_ID, campaignOnChainId: '7', onChainIndex: 0 });
+      expect(tracker.getMilestone).toHaveBeenCalledWith('7', 0);
+    });
+
+    it('should refuse an on-chain milestone paying a different amount', async () => {
+      getDonationTracker.mockReturnValue(onChainTracker({ fundAmount: '5' }));
+
+      const res = await linkMilestone();
+
+      expect(res.status).toBe(409);
+      expect(res.body).toEqual({
+        error: 'On-chain milestone amount does not match the milestone',
+        onChainAmount: '5.0',
+        fundAmount: '1.500000000000000000',
+      });
+      expect(milestonesRepo.setOnChainIndex).not.toHaveBeenCalled();
+    });
+
+    it('should refuse an on-chain milestone that was already released', async () => {
+      getDonationTracker.mockReturnValue(onChainTracker({ released: true }));
+
+      const res = await linkMilestone();
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe('On-chain milestone is already released');
+      expect(milestonesRepo.setOnChainIndex).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Integration tests for the realtime event stream
+ */
+
+const http = require('http');
+const request = require('supertest');
+
+jest.mock('../../db/repos/webhooks');
+
+const webhooksRepo = require('../../db/repos/webhooks');
+const app = require('../../server');
+
+const CAMPAIGN_ID = '7f1c2d3e-4b5a-4c6d-8e9f-0a1b2c3d4e5f';
+
+const donation = (seq) => ({
+  seq,
+  id: `e${seq}`,
+  type: 'donation.confirmed',
+  payload: { campaignId: CAMPAIGN_ID, amount: '0.5', currentAmount: '2.5' },
+  createdAt: '2025-11-14T10:00:00.000Z',
+});
+
+// Reads the stream until `done(text)` holds, then disconnects
+function readStream(server, path, headers, done) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ port: server.address().port, path, headers }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        text += chunk;
+        if (done(text)) {
+          req.destroy();
+          resolve({ res, text });
+        }
+      });
+    });
+    req.on('error', (err) => {
+      if (err.code !== 'ECONNRESET') reject(err);
+    });
+  });
+}
+
+describe('GET /api/realtime', () => {
+  let server;
+
+  beforeAll((ready) => {
+    server = app.listen(0, ready);
+  });
+
+  afterAll((closed) => {
+    server.close(closed);
+  });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    webhooksRepo.getLatestEventSeq.mockResolvedValue(12);
+    webhooksRepo.listEventsAfter.mockResolvedValue([]);
+  });
+
+  it('should stream missed events after Last-Event-ID', async () => {
+    webhooksRepo.listEventsAfter.mockResolvedValue([donation(11), donation(12)]);
+
+    const { res, text } = await readStream(
+      server,
+      `/api/realtime?topics=campaign:${CAMPAIGN_ID}`,
+      { 'Last-Event-ID': '10' },
+      (t) => t.includes('id: 12')
+    );
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+    expect(text).toContain('retry: 3000');
+    expect(text).toContain('id: 11\nevent: donation.confirmed\ndata: {"id":"e11","type":"donation.confirmed"');
+    expect(webhooksRepo.listEventsAfter).toHaveBeenCalledWith({ after: 10, upTo: 12, limit: 1001 });
+  });
+
+  it('should resume from ?lastEventId when the header is not sent', async () => {
+    webhooksRepo.listEventsAfter.mockResolvedValue([donation(12)]);
+
+    const { text } = await readStream(server, '/api/realtime?topics=stats&lastEventId=11', {}, (t) => t.includes('id: 12'));
+
+    expect(text).toContain('event: donation.confirmed');
+    expect(webhooksRepo.listEventsAfter).toHaveBeenCalledWith({ after: 11, upTo: 12, limit: 1001 });
+  });
+
+  it('should stream a disaster topic by its slug', async () => {
+    webhooksRepo.listEventsAfter.mockResolvedValue([{
+      seq: 12,
+      id: 'e12',
+      type: 'disaster.verified',
+      payload: { disasterId: 'FLOOD-2025-07', confidence: 87 },
+      createdAt: '2025-11-14T10:00:00.000Z',
+    }]);
+
+    const { res, text } = await readStream(server, '/api/realtime?topics=disaster:FLOOD-2025-07&lastEventId=11', {}, (t) => t.includes('id: 12'));
+
+    expect(res.statusCode).toBe(200);
+    expect(text).toContain('event: disaster.verified');
+  });
+
+  it('should reject unknown topics', async () => {
+    const res = await request(app).get('/api/realtime?topics=stats,campaigns:all');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/Invalid topic campaigns:all/);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Integration tests for webhook subscription and delivery log endpoints
+ */
+
+const request = require('supertest');
+
+jest.mock('../../db/repos/webhooks');
+
+const webhooksRepo = require('../../db/repos/webhooks');
+const { generateToken } = require('../../utils/jwt');
+const app = require('../../server');
+
+const SUBSCRIPTION_ID = '99999999-9999-4999-8999-999999999999';
+const DELIVERY_ID = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+const ADMIN_ID = '22222222-2222-4222-8222-222222222222';
+
+const bearer = (userId, roles) => `Bearer ${generateToken({ userId, walletAddress: '0xabc', roles })}`;
+const adminAuth = bearer(ADMIN_ID, ['admin']);
+const donorAuth = bearer('66666666-6666-4666-8666-666666666666', ['donor']);
+
+const subscription = {
+  id: SUBSCRIPTION_ID,
+  url: 'https://crm.example/hooks/d3r',
+  events: ['donation.confirmed', 'funds.released'],
+  description: 'CRM sync',
+  active: true,
+  createdBy: ADMIN_ID,
+};
+const delivery = {
+  id: DELIVERY_ID,
+  subscriptionId: SUBSCRIPTION_ID,
+  eventId: 'e1',
+  eventType: 'donation.confirmed',
+  status: 'dead',
+  attempts: 8,
+  lastError: 'HTTP 500',
+  payload: { donationId: 'd1' },
+};
+
+describe('Webhooks API', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    webhooksRepo.getSubscription.mockResolvedValue(subscription);
+    webhooksRepo.getDelivery.mockResolvedValue(delivery);
+  });
+
+  describe('POST /api/webhooks', () => {
+    it('should create a subscription and return its signing secret once', async () => {
+      webhooksRepo.createSubscription.mockImplementation(async (s) => ({ id: SUBSCRIPTION_ID, active: true, ...s }));
+
+      const res = await request(app)
+        .post('/api/webhooks')
+        .set('Authorization', adminAuth)
+        .send({ url: subscription.url, events: ['donation.confirmed', 'donation.confirmed', 'funds.released'], description: 'CRM sync' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.secret).toMatch(/^whsec_[0-9a-f]{48}$/);
+      expect(webhooksRepo.createSubscription).toHaveBeenCalledWith({
+        url: subscription.url,
+        events: ['donation.confirmed', 'funds.released'],
+        description: 'CRM sync',
+        secret: res.body.secret,
+        createdBy: ADMIN_ID,
+      });
+    });
+
+    it('should reject unknown event types and non-http URLs', async () => {
+      const res = await request(app)
+        .post('/api/webhooks')
+        .set('Authorization', adminAuth)
+        .send({ url: 'ftp://crm.example', events: ['donation.created'] });
+
+      expect(res.status).toBe(400);
+      expect(webhooksRepo.createSubscription).not.toHaveBeenCalled();
+    });
+
+    it('should be admin only', async () => {
+      const res = await request(app)
+        .post('/api/webhooks')
+        .set('Authorization', donorAuth)
+        .send({ url: subscription.url, events: ['donation.confirmed'] });
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('PUT /api/webhooks/:id', () => {
+    it('should update only the given fields', async () => {
+      webhooksRepo.updateSubscription.mockImplementation(async (id, changes) => ({ ...subscription, ...changes }));
+
+      const res = await request(app)
+        .put(`/api/webhooks/${SUBSCRIPTION_ID}`)
+        .set('Authorization', adminAuth)
+        .send({ active: false });
+
+      expect(res.status).toBe(200);
+      expect(webhooksRepo.updateSubscription).toHaveBeenCalledWith(SUBSCRIPTION_ID, { active: false });
+      expect(res.body.active).toBe(false);
+    });
+
+    it('should 404 for unknown subscriptions', async () => {
+      webhooksRepo.getSubscription.mockResolvedValue(null);
+
+      const res = await request(app).put(`/api/webhooks/${SUBSCRIPTION_ID}`).set('Authorization', adminAuth).send({ active: false });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/webhooks/:id/deliveries', () => {
+    it('should list the dead letters of a subscription', async () => {
+      webhooksRepo.listDeliveries.mockResolvedValue({ items: [delivery], page: 1, limit: 20, total: 1 });
+
+      const res = await request(app)
+        .get(`/api/webhooks/${SUBSCRIPTION_ID}/deliveries?status=dead`)
+        .set('Authorization', adminAuth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.total).toBe(1);
+      expect(webhooksRepo.listDeliveries).toHaveBeenCalledWith({ subscriptionId: SUBSCRIPTION_ID, status: 'dead', page: undefined, limit: undefined });
+    });
+
+    it('should show a delivery with its attempt log', async () => {
+      webhooksRepo.listAttempts.mockResolvedValue([{ attempt: 1, responseStatus: 500, error: 'HTTP 500' }]);
+
+      const res = await request(app)
+        .get(`/api/webhooks/${SUBSCRIPTION_ID}/deliveries/${DELIVERY_ID}`)
+        .set('Authorization', adminAuth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.payload).toEqual({ donationId: 'd1' });
+      expect(res.body.attemptLog).toHaveLength(1);
+    });
+
+    it('should 404 for a delivery of another subscription', async () => {
+      webhooksRepo.getDelivery.mockResolvedValue({ ...delivery, subscriptionId: 'other' });
+
+      const res = await request(app)
+        .get(`/api/webhooks/${SUBSCRIPTION_ID}/deliveries/${DELIVERY_ID}`)
+        .set('Authorization', adminAuth);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/webhooks/:id/deliveries/:deliveryId/redeliver', () => {
+    it('should queue a dead delivery again', async () => {
+      webhooksRepo.redeliver.mockResolvedValue({ ...delivery, status: 'pending', attempts: 0 });
+
+      const res = await request(app)
+        .post(`/api/webhooks/${SUBSCRIPTION_ID}/deliveries/${DELIVERY_ID}/redeliver`)
+        .set('Authorization', adminAuth);
+
+      expect(res.status).toBe(202);
+      expect(res.body.status).toBe('pending');
+      expect(webhooksRepo.redeliver).toHaveBeenCalledWith(DELIVERY_ID);
+    });
+
+    it('should 409 while the delivery is still in flight', async () => {
+      webhooksRepo.getDelivery.mockResolvedValue({ ...delivery, status: 'pending' });
+      webhooksRepo.redeliver.mockResolvedValue(null);
+
+      const res = await request(app)
+        .post(`/api/webhooks/${SUBSCRIPTION_ID}/deliveries/${DELIVERY_ID}/redeliver`)
+        .set('Authorization', adminAuth);
+
+      expect(res.status).toBe(409);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Unit tests for the contract ABI loader and deployed bytecode check
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { loadAbi, getSelectors, findMissingSelectors, exportAbis } = require('../../web3/abi');
+
+// Minimal dispatcher-style bytecode: PUSH4 <selector> for each function
+function bytecodeFor(abi, skip = []) {
+  const body = getSelectors(abi)
+    .filter(({ signature }) => !skip.includes(signature))
+    .map(({ selector }) => `63${selector.slice(2)}`)
+    .join('');
+  return `0x6080${body}00`;
+}
+
+describe('Contract ABIs', () => {
+  it('should match the functions declared in contracts/*.sol', () => {
+    const tracker = new ethers.utils.Interface(loadAbi('DonationTracker').abi);
+    const verifier = new ethers.utils.Interface(loadAbi('IPFSVerifier').abi);
+
+    expect(Object.keys(tracker.functions)).toEqual(
+      expect.arrayContaining(['receiveDonation(uint256)', 'getCampaign(uint256)', 'releaseFunds(uint256,uint256)'])
+    );
+    expect(tracker.functions['donate(uint256)']).toBeUndefined();
+    expect(Object.keys(verifier.functions)).toEqual(expect.arrayContaining(['registerCID(string,string)']));
+    expect(verifier.functions['addEntry(string,string)']).toBeUndefined();
+  });
+
+  it('should report no missing selectors when the bytecode dispatches every function', () => {
+    const { abi } = loadAbi('DonationTracker');
+
+    expect(findMissingSelectors(abi, bytecodeFor(abi))).toEqual([]);
+  });
+
+  it('should report selectors absent from the bytecode', () => {
+    const { abi } = loadAbi('IPFSVerifier');
+    const code = bytecodeFor(abi, ['approveCID(string,string)']);
+
+    expect(findMissingSelectors(abi, code)).toEqual(['approveCID(string,string)']);
+  });
+
+  it('should export ABIs from a Foundry out directory', () => {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'foundry-out-'));
+    const targetDir = fs.mkdtempSync(path.join(os.tmpdir(), 'abi-export-'));
+    for (const name of ['DonationTracker', 'IPFSVerifier', 'DisasterOracleMock']) {
+      fs.mkdirSync(path.join(outDir, `${name}.sol`));
+      fs.writeFileSync(path.join(outDir, `${name}.sol`, `${name}.json`), JSON.stringify({ abi: loadAbi(name).abi, bytecode: {} }));
+    }
+
+    const written = exportAbis({ outDir, targetDir });
+
+    expect(written).toHaveLength(3);
+    const exported = JSON.parse(fs.readFileSync(path.join(targetDir, 'DonationTracker.json'), 'utf8'));
+    expect(exported).toEqual({ contractName: 'DonationTracker', abi: loadAbi('DonationTracker').abi });
+    fs.rmSync(outDir, { recursive: true, force: true });
+    fs.rmSync(targetDir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Unit tests for the auth nonce/session store and token revocation
+ */
+
+const { createMemoryAuthStore, setAuthStore } = require('../../utils/authStore');
+const { issueToken } = require('../../utils/jwt');
+const { verifyAuth } = require('../../middleware/auth');
+
+describe('Auth store', () => {
+  describe('createMemoryAuthStore', () => {
+    let clock;
+    let store;
+
+    beforeEach(() => {
+      clock = 1000;
+      store = createMemoryAuthStore({ now: () => clock });
+    });
+
+    it('should hand a nonce to exactly one concurrent consumer', async () => {
+      await store.saveNonce({ nonce: 'n1', walletAddress: '0xabc', expiresAt: 5000 });
+
+      const results = await Promise.all([store.consumeNonce('n1'), store.consumeNonce('n1'), store.consumeNonce('n1')]);
+
+      expect(results.filter(Boolean)).toHaveLength(1);
+      expect(results.find(Boolean)).toMatchObject({ walletAddress: '0xabc' });
+    });
+
+    it('should not return expired nonces', async () => {
+      await store.saveNonce({ nonce: 'n2', walletAddress: '0xabc', expiresAt: 2000 });
+      clock = 2000;
+
+      expect(await store.consumeNonce('n2')).toBeNull();
+    });
+
+    it('should revoke tokens, including ones it never saw issued', async () => {
+      await store.saveToken({ jti: 't1', userId: 'u1', expiresAt: 9000 });
+      await store.revokeToken({ jti: 't1', userId: 'u1', expiresAt: 9000 });
+      await store.revokeToken({ jti: 't2', userId: 'u1', expiresAt: 9000 });
+
+      expect(await store.isTokenRevoked('t1')).toBe(true);
+      expect(await store.isTokenRevoked('t2')).toBe(true);
+      expect(await store.isTokenRevoked('t3')).toBe(false);
+    });
+
+    it('should prune expired entries', async () => {
+      await store.saveNonce({ nonce: 'n3', walletAddress: '0xabc', expiresAt: 1500 });
+      await store.saveToken({ jti: 't4', userId: 'u1', expiresAt: 1500 });
+      await store.saveToken({ jti: 't5', userId: 'u1', expiresAt: 9000 });
+      clock = 1600;
+
+      expect(await store.pruneExpired()).toBe(2);
+    });
+  });
+
+  describe('verifyAuth', () => {
+    let store;
+
+    beforeEach(() => {
+      store = createMemoryAuthStore();
+      setAuthStore(store);
+    });
+
+    afterAll(() => setAuthStore(null));
+
+    function run(token) {
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+      const next = jest.fn();
+      return verifyAuth(req, res, next).then(() => ({ req, res, next }));
+    }
+
+    it('should accept a live token and reject it once revoked', async () => {
+      const { token, jti, expiresAt } = issueToken({ userId: 'u1', walletAddress: '0xabc' });
+      await store.saveToken({ jti, userId: 'u1', expiresAt });
+
+      const before = await run(token);
+      expect(before.next).toHaveBeenCalledWith();
+      expect(before.req.user).toMatchObject({ userId: 'u1', jti });
+
+      await store.revokeToken({ jti, userId: 'u1', expiresAt });
+      const after = await run(token);
+      expect(after.next).not.toHaveBeenCalled();
+      expect(after.res.status).toHaveBeenCalledWith(401);
+    });
+  });
+});
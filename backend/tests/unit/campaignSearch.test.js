@@ -0,0 +1,156 @@
+/**
+ * Unit tests for campaign full-text search and facets
+ */
+
+jest.mock('../../db/client', () => ({ query: jest.fn() }));
+
+const { query } = require('../../db/client');
+const { searchCampaigns } = require('../../db/repos/campaigns');
+
+// Route each statement to a canned result by what it selects
+function mockResults({ items = [], total = 0, status = [], eventType = [], funding = [], endingSoon = 0 } = {}) {
+  query.mockImplementation(async (sql) => {
+    if (sql.includes('AS rank')) return { rows: items };
+    if (sql.includes('c.status AS value')) return { rows: status };
+    if (sql.includes('dv.eventtype) AS value')) return { rows: eventType };
+    if (sql.includes("'100+'")) return { rows: funding };
+    if (sql.includes('make_interval') && !sql.includes('AS value')) return { rows: [{ count: endingSoon }] };
+    return { rows: [{ count: total }] };
+  });
+}
+
+const callFor = (fragment) => query.mock.calls.find(([sql]) => sql.includes(fragment));
+
+describe('searchCampaigns', () => {
+  beforeEach(() => {
+    query.mockReset();
+  });
+
+  it('should match the query against the search vector and rank by relevance', async () => {
+    mockResults({ items: [{ id: 'c1', rank: 0.5, title: 'Flood relief' }], total: 1 });
+
+    const result = await searchCampaigns({ q: 'flood shelter' });
+
+    const [sql, params] = callFor('AS rank');
+    expect(sql).toContain("c.searchvector @@ websearch_to_tsquery('english', $1)");
+    expect(sql).toMatch(/ORDER BY rank DESC/);
+    expect(params).toEqual(['flood shelter']);
+    expect(result.items).toEqual([{ id: 'c1', title: 'Flood relief' }]);
+    expect(result.total).toBe(1);
+  });
+
+  it('should sort by creation date when there is no query', async () => {
+    mockResults();
+
+    await searchCampaigns({ sortBy: 'relevance' });
+
+    expect(callFor('AS rank')[0]).toMatch(/ORDER BY c\.createdat DESC/);
+  });
+
+  it('should combine every filter into parameterised conditions', async () => {
+    mockResults();
+
+    await searchCampaigns({
+      status: 'active',
+      disasterId: 'QUAKE-1',
+      eventType: 'Earthquake',
+      creator: '0x' + 'ab'.repeat(20),
+      minTarget: 1,
+      maxTarget: 50,
+      minFunded: 25,
+      maxFunded: 75,
+      deadlineFrom: '2025-01-01',
+      deadlineTo: '2025-12-31',
+      endingSoon: true,
+      sortBy: 'fundedPercent',
+      sortOrder: 'asc',
+    });
+
+    const [sql, params] = callFor('AS rank');
+    expect(sql).toContain('c.status = $1');
+    expect(sql).toContain('c.disasterid = $2');
+    expect(sql).toContain('LOWER(dv.eventtype) = LOWER($3)');
+    expect(sql).toContain('SELECT id FROM users WHERE LOWER(walletaddress) = LOWER($4)');
+    expect(sql).toContain('c.targetamount >= $5');
+    expect(sql).toContain('c.targetamount <= $6');
+    expect(sql).toContain('>= $7');
+    expect(sql).toContain('< $8');
+    expect(sql).not.toContain('<= $8');
+    expect(sql).toContain('c.deadline >= $9');
+    expect(sql).toContain('c.deadline <= $10');
+    expect(sql).toContain('make_interval(days => $11)');
+    expect(sql).toMatch(/ORDER BY "fundedPercent" ASC/);
+    expect(params).toEqual(['active', 'QUAKE-1', 'Earthquake', '0x' + 'ab'.repeat(20), 1, 50, 25, 75, '2025-01-01', '2025-12-31', 7]);
+  });
+
+  it('should filter by creator id when not given a wallet', async () => {
+    mockResults();
+
+    await searchCampaigns({ creator: 'user-1' });
+
+    expect(callFor('AS rank')[0]).toContain('c.creator = $1');
+  });
+
+  it('should count each facet without its own filter', async () => {
+    mockResults();
+
+    await searchCampaigns({ q: 'flood', status: 'active', eventType: 'flood' });
+
+    const [statusSql, statusParams] = callFor('c.status AS value');
+    expect(statusSql).not.toContain('c.status =');
+    expect(statusParams).toEqual(['flood', 'flood']);
+
+    const [eventSql, eventParams] = callFor('dv.eventtype) AS value');
+    expect(eventSql).toContain('c.status = $2');
+    expect(eventSql).not.toContain('LOWER(dv.eventtype) = ');
+    expect(eventParams).toEqual(['flood', 'active']);
+  });
+
+  it('should return facets with every funding bucket', async () => {
+    mockResults({
+      total: 3,
+      status: [{ value: 'active', count: 2 }, { value: 'completed', count: 1 }],
+      eventType: [{ value: 'flood', count: 2 }, { value: null, count: 1 }],
+      funding: [{ value: '0-25', count: 2 }, { value: '100+', count: 1 }],
+      endingSoon: 1,
+    });
+
+    const { facets } = await searchCampaigns({});
+
+    expect(facets).toEqual({
+      status: [{ value: 'active', count: 2 }, { value: 'completed', count: 1 }],
+      eventType: [{ value: 'flood', count: 2 }],
+      funding: [
+        { value: '0-25', count: 2 },
+        { value: '25-50', count: 0 },
+        { value: '50-75', count: 0 },
+        { value: '75-100', count: 0 },
+        { value: '100+', count: 1 },
+      ],
+      endingSoon: 1,
+    });
+  });
+
+  it('should count and filter a boundary percentage in the higher bucket only', async () => {
+    mockResults();
+
+    await searchCampaigns({ minFunded: 0, maxFunded: 25 });
+
+    const [bucketSql] = callFor("'100+'");
+    expect(bucketSql).toMatch(/>= 25 THEN '25-50'/);
+    expect(bucketSql).not.toMatch(/<= ?25/);
+    const [sql, params] = callFor('AS rank');
+    expect(sql).toMatch(/>= \$1 AND .* < \$2/);
+    expect(params).toEqual([0, 25]);
+  });
+
+  it('should clamp pagination', async () => {
+    mockResults();
+
+    const result = await searchCampaigns({ page: 0, limit: 500 });
+
+    expect(result.page).toBe(1);
+    expect(result.limit).toBe(100);
+    expect(callFor('AS rank')[0]).toMatch(/LIMIT 100 OFFSET 0/);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Unit tests for gating campaigns on disaster verification
+ */
+
+jest.mock('../../db/repos/disasters');
+jest.mock('../../db/repos/campaigns');
+
+const disastersRepo = require('../../db/repos/disasters');
+const campaignsRepo = require('../../db/repos/campaigns');
+const { meetsThreshold, campaignStatusFor, settleCampaigns } = require('../../utils/disasterGate');
+
+const DISASTER_ID = 'QUAKE-2025-001';
+
+describe('disasterGate', () => {
+  const originalMin = process.env.DISASTER_MIN_CONFIDENCE;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    process.env.DISASTER_MIN_CONFIDENCE = '70';
+    campaignsRepo.settlePendingForDisaster.mockResolvedValue(['c1']);
+  });
+
+  afterAll(() => {
+    if (originalMin === undefined) delete process.env.DISASTER_MIN_CONFIDENCE;
+    else process.env.DISASTER_MIN_CONFIDENCE = originalMin;
+  });
+
+  it('should require verified status and the minimum confidence', () => {
+    expect(meetsThreshold({ status: 'verified', confidence: '70.00' })).toBe(true);
+    expect(meetsThreshold({ status: 'verified', confidence: '69.99' })).toBe(false);
+    expect(meetsThreshold({ status: 'pending', confidence: null })).toBe(false);
+  });
+
+  describe('campaignStatusFor', () => {
+    it('should leave campaigns without a disaster active', async () => {
+      await expect(campaignStatusFor(null)).resolves.toBe('active');
+      expect(disastersRepo.getVerification).not.toHaveBeenCalled();
+    });
+
+    it('should keep campaigns pending while a timed-out request can still be retried', async () => {
+      disastersRepo.getVerification.mockResolvedValue({ disasterId: DISASTER_ID, status: 'failed', resultTxHash: null });
+
+      await expect(campaignStatusFor(DISASTER_ID)).resolves.toBe('pending_verification');
+    });
+
+    it('should refuse disasters the oracle rejected', async () => {
+      disastersRepo.getVerification.mockResolvedValue({ disasterId: DISASTER_ID, status: 'failed', resultTxHash: '0xabc' });
+
+      await expect(campaignStatusFor(DISASTER_ID)).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('settleCampaigns', () => {
+    it('should activate waiting campaigns once the disaster is verified', async () => {
+      const result = await settleCampaigns({ disasterId: DISASTER_ID, status: 'verified', confidence: 88 });
+
+      expect(campaignsRepo.settlePendingForDisaster).toHaveBeenCalledWith({ disasterId: DISASTER_ID, status: 'active' });
+      expect(result).toEqual({ activated: ['c1'], rejected: [] });
+    });
+
+    it('should reject waiting campaigns when confidence is too low', async () => {
+      const result = await settleCampaigns({ disasterId: DISASTER_ID, status: 'verified', confidence: 30 });
+
+      expect(campaignsRepo.settlePendingForDisaster).toHaveBeenCalledWith({ disasterId: DISASTER_ID, status: 'rejected' });
+      expect(result.rejected).toEqual(['c1']);
+    });
+
+    it('should leave campaigns waiting after a timeout', async () => {
+      await settleCampaigns({ disasterId: DISASTER_ID, status: 'failed', resultTxHash: null });
+
+      expect(campaignsRepo.settlePendingForDisaster).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Unit tests for disaster oracle requests, results and timeouts
+ */
+
+const { ethers } = require('ethers');
+
+jest.mock('../../db/repos/disasters');
+jest.mock('../../db/repos/indexer');
+
+const disastersRepo = require('../../db/repos/disasters');
+const indexerRepo = require('../../db/repos/indexer');
+const {
+  hashDisasterId,
+  requestVerification,
+  retryVerification,
+  createOracleListener,
+  LISTENER_NAME,
+} = require('../../web3/disasterOracle');
+
+const DISASTER_ID = 'QUAKE-2025-001';
+const HASH = hashDisasterId(DISASTER_ID);
+const TX_HASH = `0x${'ab'.repeat(32)}`;
+const RESULT_TX = `0x${'cd'.repeat(32)}`;
+
+const row = {
+  disasterId: DISASTER_ID,
+  disasterIdHash: HASH,
+  latitude: '35.680000',
+  longitude: '139.760000',
+  eventType: 'earthquake',
+  status: 'pending',
+  resultTxHash: null,
+};
+
+const minedTx = (status = 1) => Promise.resolve({ wait: jest.fn().mockResolvedValue({ status, transactionHash: TX_HASH, blockNumber: 5 }) });
+
+const resultLog = ({ verified = true, confidence = 87, blockNumber = 10, txHash = RESULT_TX } = {}) => ({
+  blockNumber,
+  logIndex: 0,
+  transactionHash: txHash,
+  args: { disasterIdHash: HASH, disasterId: DISASTER_ID, verified, confidence: ethers.BigNumber.from(confidence) },
+});
+
+function contractMock(logs = []) {
+  return {
+    address: '0x0000000000000000000000000000000000000001',
+    filters: { DisasterVerified: jest.fn(() => ({})) },
+    queryFilter: jest.fn().mockResolvedValue(logs),
+  };
+}
+
+describe('disasterOracle', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    disastersRepo.createVerification.mockResolvedValue({ ...row, txHash: null });
+    disastersRepo.setRequestTx.mockImplementation(async ({ txHash }) => ({ ...row, txHash }));
+    disastersRepo.getByHash.mockResolvedValue(row);
+    disastersRepo.setVerified.mockImplementation(async (r) => ({ ...row, ...r, status: 'verified' }));
+    disastersRepo.setFailed.mockImplementation(async (r) => ({ ...row, ...r, status: 'failed' }));
+    disastersRepo.expirePending.mockResolvedValue([]);
+    indexerRepo.getCursor.mockResolvedValue(null);
+  });
+
+  it('should hash disaster ids the way DisasterVerified indexes them', () => {
+    expect(HASH).toBe(ethers.utils.solidityKeccak256(['string'], [DISASTER_ID]));
+  });
+
+  describe('requestVerification', () => {
+    it('should store the id hash and record the request transaction', async () => {
+      const oracle = { requestVerification: jest.fn(() => minedTx()) };
+
+      const result = await requestVerification({ disasterId: DISASTER_ID, latitude: 35.68, longitude: 139.76, eventType: 'earthquake', actor: 'u1' }, { oracle });
+
+      expect(disastersRepo.createVerification).toHaveBeenCalledWith(expect.objectContaining({ disasterId: DISASTER_ID, disasterIdHash: HASH }));
+      expect(oracle.requestVerification).toHaveBeenCalledWith(DISASTER_ID, 35680000, 139760000, 'earthquake');
+      expect(disastersRepo.addEvent).toHaveBeenCalledWith(expect.objectContaining({ event: 'requested', txHash: TX_HASH, actor: 'u1' }));
+      expect(result.txHash).toBe(TX_HASH);
+    });
+
+    it('should keep the request pending when the oracle call fails', async () => {
+      const oracle = { requestVerification: jest.fn(() => Promise.reject(new Error('network down'))) };
+
+      const result = await requestVerification({ disasterId: DISASTER_ID, latitude: 1, longitude: 2, eventType: 'flood' }, { oracle });
+
+      expect(result.status).toBe('pending');
+      expect(disastersRepo.setRequestTx).not.toHaveBeenCalled();
+      expect(disastersRepo.addEvent).toHaveBeenCalledWith(expect.objectContaining({ event: 'request_failed', detail: 'network down' }));
+    });
+
+    it('should refuse to reopen a pending or verified request', async () => {
+      const oracle = { requestVerification: jest.fn(() => minedTx()) };
+      disastersRepo.createVerification.mockResolvedValue(null);
+      disastersRepo.getVerification.mockResolvedValue({ ...row, status: 'verified' });
+
+      await expect(requestVerification({ disasterId: DISASTER_ID, latitude: 1, longitude: 2, eventType: 'flood' }, { oracle }))
+        .rejects.toMatchObject({ statusCode: 409, message: `Verification of ${DISASTER_ID} is already verified` });
+      expect(oracle.requestVerification).not.toHaveBeenCalled();
+    });
+
+    it('should point failed requests at the retry route', async () => {
+      disastersRepo.createVerification.mockResolvedValue(null);
+      disastersRepo.getVerification.mockResolvedValue({ ...row, status: 'failed' });
+
+      await expect(requestVerification({ disasterId: DISASTER_ID, latitude: 1, longitude: 2, eventType: 'flood' }, { oracle: {} }))
+        .rejects.toMatchObject({ statusCode: 409, message: expect.stringMatching(/retry/) });
+    });
+  });
+
+  describe('retryVerification', () => {
+    it('should reopen the request once the new transaction is mined', async () => {
+      disastersRepo.reopenRequest.mockResolvedValue({ ...row, status: 'pending', txHash: TX_HASH, attempts: 2 });
+      const oracle = { requestVerification: jest.fn(() => minedTx()) };
+
+      const result = await retryVerification({ ...row, status: 'failed' }, { actor: 'admin', oracle });
+
+      expect(disastersRepo.reopenRequest).toHaveBeenCalledWith({ disasterId: DISASTER_ID, txHash: TX_HASH });
+      expect(disastersRepo.addEvent).toHaveBeenCalledWith(expect.objectContaining({ event: 'retried', status: 'pending', actor: 'admin' }));
+      expect(result).toMatchObject({ ok: true, verification: { attempts: 2 } });
+    });
+
+    it('should leave the request failed when the transaction reverts', async () => {
+      const oracle = { requestVerification: jest.fn(() => minedTx(0)) };
+
+      const result = await retryVerification({ ...row, status: 'failed' }, { oracle });
+
+      expect(result).toMatchObject({ ok: false });
+      expect(disastersRepo.reopenRequest).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createOracleListener', () => {
+    it('should record verified results with confidence, block and txHash', async () => {
+      const contract = contractMock([resultLog()]);
+      const onResult = jest.fn();
+      const listener = createOracleListener({ contract, provider: {}, startBlock: 5, confirmations: 1, onResult });
+
+      await listener.check(12);
+
+      expect(contract.queryFilter).toHaveBeenCalledWith({}, 5, 12);
+      expect(disastersRepo.getByHash).toHaveBeenCalledWith(HASH);
+      expect(disastersRepo.setVerified).toHaveBeenCalledWith({ disasterId: DISASTER_ID, confidence: 87, txHash: RESULT_TX, blockNumber: 10 });
+      expect(disastersRepo.addEvent).toHaveBeenCalledWith(expect.objectContaining({ event: 'verified', status: 'verified', blockNumber: 10 }));
+      expect(indexerRepo.setCursor).toHaveBeenCalledWith({ name: LISTENER_NAME, blockNumber: 12, blockHash: null });
+      await new Promise(setImmediate);
+      expect(onResult).toHaveBeenCalledWith(expect.objectContaining({ status: 'verified' }));
+    });
+
+    it('should fail requests the oracle did not verify', async () => {
+      const listener = createOracleListener({ contract: contractMock([resultLog({ verified: false, confidence: 20 })]), provider: {} });
+
+      await listener.check(12);
+
+      expect(disastersRepo.setFailed).toHaveBeenCalledWith(expect.objectContaining({ confidence: 20, reason: expect.any(String) }));
+      expect(disastersRepo.addEvent).toHaveBeenCalledWith(expect.objectContaining({ event: 'rejected', status: 'failed' }));
+    });
+
+    it('should match rows stored before id hashes by the event disasterId', async () => {
+      disastersRepo.getByHash.mockResolvedValue(null);
+      disastersRepo.getVerification.mockResolvedValue({ ...row, disasterIdHash: null });
+      const listener = createOracleListener({ contract: contractMock([resultLog()]), provider: {} });
+
+      await listener.check(12);
+
+      expect(disastersRepo.getVerification).toHaveBeenCalledWith(DISASTER_ID);
+      expect(disastersRepo.setVerified).toHaveBeenCalled();
+    });
+
+    it('should skip results it already recorded', async () => {
+      disastersRepo.getByHash.mockResolvedValue({ ...row, resultTxHash: RESULT_TX });
+      const listener = createOracleListener({ contract: contractMock([resultLog()]), provider: {} });
+
+      await listener.check(12);
+
+      expect(disastersRepo.setVerified).not.toHaveBeenCalled();
+    });
+
+    it('should wait for confirmations and resume from the cursor', async () => {
+      indexerRepo.getCursor.mockResolvedValue({ blockNumber: 20 });
+      const contract = contractMock();
+      const listener = createOracleListener({ contract, provider: {}, confirmations: 3 });
+
+      await listener.check(22);
+      expect(contract.queryFilter).not.toHaveBeenCalled();
+
+      await listener.check(25);
+      expect(contract.queryFilter).toHaveBeenCalledWith({}, 21, 23);
+    });
+
+    it('should fail pending requests past the timeout', async () => {
+      disastersRepo.expirePending.mockResolvedValue([{ ...row, status: 'failed', failureReason: 'No oracle result within 60s' }]);
+      const listener = createOracleListener({ contract: contractMock(), provider: {}, timeoutMs: 60000 });
+
+      await listener.check(1);
+
+      expect(disastersRepo.expirePending).toHaveBeenCalledWith({ timeoutMs: 60000, reason: 'No oracle result within 60s' });
+      expect(disastersRepo.addEvent).toHaveBeenCalledWith(expect.objectContaining({ event: 'timed_out', status: 'failed' }));
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for the disaster registry: GeoJSON checks and geospatial queries
+ */
+
+jest.mock('../../db/client', () => ({ query: jest.fn() }));
+
+const { query } = require('../../db/client');
+const { listDisasters, createDisaster, updateDisaster } = require('../../db/repos/disasterRegistry');
+const { isPoint, isArea, parseBbox } = require('../../utils/geo');
+
+const square = (lon, lat, d = 1) => ({
+  type: 'Polygon',
+  coordinates: [[[lon, lat], [lon + d, lat], [lon + d, lat + d], [lon, lat + d], [lon, lat]]],
+});
+
+describe('geo', () => {
+  it('should accept GeoJSON points in [longitude, latitude] order', () => {
+    expect(isPoint({ type: 'Point', coordinates: [139.76, 35.68] })).toBe(true);
+    expect(isPoint({ type: 'Point', coordinates: [35.68, 139.76] })).toBe(false);
+    expect(isPoint({ type: 'Polygon', coordinates: [] })).toBe(false);
+  });
+
+  it('should accept closed polygons and multipolygons only', () => {
+    const open = { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1]]] };
+
+    expect(isArea(square(10, 10))).toBe(true);
+    expect(isArea({ type: 'MultiPolygon', coordinates: [square(0, 0).coordinates, square(5, 5).coordinates] })).toBe(true);
+    expect(isArea(open)).toBe(false);
+    expect(isArea({ type: 'Point', coordinates: [0, 0] })).toBe(false);
+  });
+
+  it('should parse bounding boxes and reject inverted ones', () => {
+    expect(parseBbox('-10, 20.5, 5, 30')).toEqual([-10, 20.5, 5, 30]);
+    expect(parseBbox('5,20,-10,30')).toBeNull();
+    expect(parseBbox('1,2,3')).toBeNull();
+    expect(parseBbox('0,0,200,10')).toBeNull();
+  });
+});
+
+describe('disasterRegistry', () => {
+  beforeEach(() => {
+    query.mockReset();
+    query.mockImplementation(async (sql) => {
+      if (sql.includes('COUNT(*)::int AS count FROM disasters')) return { rows: [{ count: 1 }] };
+      return { rows: [{ id: 'QUAKE-1', distanceKm: 12.5 }], rowCount: 1 };
+    });
+  });
+
+  const listCall = () => query.mock.calls.find(([sql]) => sql.includes('"distanceKm" FROM disasters'));
+
+  it('should find disasters whose area or epicenter is within the radius, nearest first', async () => {
+    const result = await listDisasters({ near: { lat: 35.68, lon: 139.76, radiusKm: 50 } });
+
+    const [sql, params] = listCall();
+    expect(sql).toContain('ST_DWithin(COALESCE(d.affectedarea, d.epicenter), ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography, $3)');
+    expect(sql).toMatch(/ORDER BY "distanceKm" ASC/);
+    expect(params).toEqual([139.76, 35.68, 50000]);
+    expect(result.items[0].distanceKm).toBe(12.5);
+  });
+
+  it('should intersect footprints with the bounding box', async () => {
+    const result = await listDisasters({ bbox: [-10, 20, 5, 30], eventType: 'flood' });
+
+    const [sql, params] = listCall();
+    expect(sql).toContain('LOWER(d.eventtype) = LOWER($1)');
+    expect(sql).toContain('ST_Intersects(COALESCE(d.affectedarea, d.epicenter), ST_MakeEnvelope($2, $3, $4, $5, 4326)::geography)');
+    expect(params).toEqual(['flood', -10, 20, 5, 30]);
+    expect(result.items[0]).not.toHaveProperty('distanceKm');
+  });
+
+  it('should store geometries from GeoJSON', async () => {
+    await createDisaster({
+      id: 'QUAKE-1',
+      name: 'Quake',
+      eventType: 'earthquake',
+      severity: 'high',
+      startDate: '2025-01-01T00:00:00.000Z',
+      epicenter: { type: 'Point', coordinates: [139.76, 35.68] },
+      affectedArea: square(139, 35),
+    });
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain('ST_SetSRID(ST_GeomFromGeoJSON($8), 4326)::geography');
+    expect(JSON.parse(params[7])).toEqual({ type: 'Point', coordinates: [139.76, 35.68] });
+    expect(JSON.parse(params[8]).type).toBe('Polygon');
+  });
+
+  it('should only update the given fields and clear an area set to null', async () => {
+    await updateDisaster('QUAKE-1', { severity: 'critical', affectedArea: null });
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain('severity = $2, affectedarea = ST_SetSRID(ST_GeomFromGeoJSON($3), 4326)::geography');
+    expect(sql).not.toContain('name =');
+    expect(params).toEqual(['QUAKE-1', 'critical', null]);
+  });
+});
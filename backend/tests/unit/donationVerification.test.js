@@ -0,0 +1,134 @@
+/**
+ * Unit tests for donation transaction verification
+ */
+
+const { ethers } = require('ethers');
+
+jest.mock('../../db/repos/donations', () => ({
+  listPendingDonations: jest.fn(),
+  confirmDonation: jest.fn(),
+  failDonation: jest.fn(),
+}));
+
+const donationsRepo = require('../../db/repos/donations');
+const { DonationTrackerABI } = require('../../web3/contracts');
+const { verifyDonationTx, createDonationConfirmer } = require('../../web3/donations');
+
+const TRACKER = '0x1000000000000000000000000000000000000001';
+const DONOR = '0x2000000000000000000000000000000000000002';
+const TX_HASH = `0x${'ab'.repeat(32)}`;
+const iface = new ethers.utils.Interface(DonationTrackerABI);
+
+function providerFor(tx, receipt = null) {
+  return {
+    getTransaction: jest.fn(async () => tx),
+    getTransactionReceipt: jest.fn(async () => receipt),
+    getBlockNumber: jest.fn(async () => 100),
+  };
+}
+
+function donationTx(overrides = {}) {
+  return {
+    hash: TX_HASH,
+    from: DONOR,
+    to: TRACKER,
+    value: ethers.utils.parseEther('0.25'),
+    data: iface.encodeFunctionData('receiveDonation', [7]),
+    ...overrides,
+  };
+}
+
+describe('Donation verification', () => {
+  const originalAddress = process.env.DONATION_TRACKER_ADDRESS;
+
+  beforeAll(() => {
+    process.env.DONATION_TRACKER_ADDRESS = TRACKER;
+  });
+
+  afterAll(() => {
+    process.env.DONATION_TRACKER_ADDRESS = originalAddress;
+  });
+
+  describe('verifyDonationTx', () => {
+    const params = { txHash: TX_HASH, campaignOnChainId: '7', donor: DONOR, amount: '0.25' };
+
+    it('should accept a matching receiveDonation call', async () => {
+      const result = await verifyDonationTx(params, providerFor(donationTx(), { status: 1, blockNumber: 42 }));
+
+      expect(result).toEqual({ ok: true, from: DONOR, amount: '0.25', blockNumber: 42 });
+    });
+
+    it('should reject a transaction that is not on chain', async () => {
+      const result = await verifyDonationTx(params, providerFor(null));
+
+      expect(result.ok).toBe(false);
+      expect(result.reason).toMatch(/not found/i);
+    });
+
+    it('should reject a plain transfer to the contract', async () => {
+      const result = await verifyDonationTx(params, providerFor(donationTx({ data: '0x' })));
+
+      expect(result.reason).toMatch(/receiveDonation/);
+    });
+
+    it('should reject a donation to a different campaign', async () => {
+      const result = await verifyDonationTx({ ...params, campaignOnChainId: '8' }, providerFor(donationTx()));
+
+      expect(result.reason).toMatch(/different campaign/);
+    });
+
+    it('should reject a mismatched sender or value', async () => {
+      const other = '0x3000000000000000000000000000000000000003';
+      const wrongSender = await verifyDonationTx({ ...params, donor: other }, providerFor(donationTx()));
+      const wrongValue = await verifyDonationTx({ ...params, amount: '1' }, providerFor(donationTx()));
+
+      expect(wrongSender.reason).toMatch(/sender/);
+      expect(wrongValue.reason).toMatch(/value/);
+    });
+
+    it('should reject a reverted transaction', async () => {
+      const result = await verifyDonationTx(params, providerFor(donationTx(), { status: 0, blockNumber: 42 }));
+
+      expect(result.reason).toMatch(/reverted/);
+    });
+  });
+
+  describe('createDonationConfirmer', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      donationsRepo.listPendingDonations.mockResolvedValue([{ txHash: TX_HASH, createdAt: new Date().toISOString() }]);
+    });
+
+    it('should confirm once enough blocks have passed', async () => {
+      const confirmer = createDonationConfirmer({ provider: providerFor(donationTx(), { status: 1, blockNumber: 98 }), confirmations: 3 });
+      await confirmer.check(100);
+
+      expect(donationsRepo.confirmDonation).toHaveBeenCalledWith({ txHash: TX_HASH });
+    });
+
+    it('should hand confirmed donations to onConfirmed', async () => {
+      donationsRepo.confirmDonation.mockResolvedValue({ id: 'd1', campaignId: 'c1' });
+      const onConfirmed = jest.fn().mockRejectedValue(new Error('pinning down'));
+      const confirmer = createDonationConfirmer({ provider: providerFor(donationTx(), { status: 1, blockNumber: 98 }), confirmations: 3, onConfirmed });
+      await confirmer.check(100);
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(onConfirmed).toHaveBeenCalledWith({ id: 'd1', campaignId: 'c1' }, expect.objectContaining({ blockNumber: 98 }));
+    });
+
+    it('should keep waiting below the confirmation threshold', async () => {
+      const confirmer = createDonationConfirmer({ provider: providerFor(donationTx(), { status: 1, blockNumber: 99 }), confirmations: 3 });
+      await confirmer.check(100);
+
+      expect(donationsRepo.confirmDonation).not.toHaveBeenCalled();
+      expect(donationsRepo.failDonation).not.toHaveBeenCalled();
+    });
+
+    it('should fail reverted donations', async () => {
+      const confirmer = createDonationConfirmer({ provider: providerFor(donationTx(), { status: 0, blockNumber: 90 }), confirmations: 3 });
+      await confirmer.check(100);
+
+      expect(donationsRepo.failDonation).toHaveBeenCalledWith({ txHash: TX_HASH });
+    });
+  });
+});
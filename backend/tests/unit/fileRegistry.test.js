@@ -0,0 +1,149 @@
+/**
+ * Unit tests for IPFSVerifier file registration and review
+ */
+
+const { ethers } = require('ethers');
+
+jest.mock('../../db/repos/files');
+
+const filesRepo = require('../../db/repos/files');
+const { MAX_CHAIN_METADATA_LENGTH, buildChainMetadata, registerFile, reviewFile, createFileRegistrar } = require('../../web3/fileRegistry');
+
+const CID = 'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o';
+const TX_HASH = `0x${'cd'.repeat(32)}`;
+
+const file = {
+  cid: CID,
+  documentType: 'milestone-proof',
+  uploader: 'u1',
+  originalName: 'proof.pdf',
+  mimeType: 'application/pdf',
+  sizeBytes: '1024',
+  metadata: { campaignId: 'c1', title: 'Water tanks' },
+  registrationAttempts: 1,
+  registerTxHash: null,
+};
+
+const minedTx = (status = 1) => Promise.resolve({ wait: jest.fn().mockResolvedValue({ status, transactionHash: TX_HASH, blockNumber: 5 }) });
+const notFound = () => Promise.reject(Object.assign(new Error('call revert exception'), { code: 'CALL_EXCEPTION', reason: 'Not found' }));
+
+function verifierMock(overrides = {}) {
+  return {
+    getEntry: jest.fn(notFound),
+    registerCID: jest.fn(() => minedTx()),
+    approveCID: jest.fn(() => minedTx()),
+    rejectCID: jest.fn(() => minedTx()),
+    ...overrides,
+  };
+}
+
+describe('fileRegistry', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    filesRepo.claimForRegistration.mockResolvedValue(file);
+    filesRepo.markRegistered.mockImplementation(async ({ cid, txHash, status = 'pending' }) => ({ cid, registerTxHash: txHash, verificationStatus: status }));
+    filesRepo.markRegistrationFailed.mockImplementation(async ({ cid, error }) => ({ cid, verificationStatus: 'failed', registrationError: error }));
+  });
+
+  describe('buildChainMetadata', () => {
+    it('should combine file details with upload metadata', () => {
+      expect(JSON.parse(buildChainMetadata(file))).toEqual({
+        documentType: 'milestone-proof',
+        name: 'proof.pdf',
+        mimeType: 'application/pdf',
+        size: 1024,
+        uploader: 'u1',
+        campaignId: 'c1',
+        title: 'Water tanks',
+      });
+    });
+
+    it('should not let upload metadata override the file details', () => {
+      const spoofed = { ...file, metadata: { documentType: 'ngo-license', uploader: 'u2', size: 1, mimeType: 'text/html', note: 'ok' } };
+
+      expect(JSON.parse(buildChainMetadata(spoofed))).toMatchObject({ documentType: 'milestone-proof', uploader: 'u1', size: 1024, mimeType: 'application/pdf', note: 'ok' });
+    });
+
+    it('should leave out upload metadata longer than the on-chain cap', () => {
+      const metadata = JSON.parse(buildChainMetadata({ ...file, metadata: { note: 'x'.repeat(MAX_CHAIN_METADATA_LENGTH) } }));
+
+      expect(metadata.note).toBeUndefined();
+      expect(metadata.documentType).toBe('milestone-proof');
+    });
+  });
+
+  describe('registerFile', () => {
+    it('should register the CID with its metadata and mark it pending review', async () => {
+      const verifier = verifierMock();
+
+      const result = await registerFile(CID, { verifier, staleMs: 1000 });
+
+      expect(filesRepo.claimForRegistration).toHaveBeenCalledWith({ cid: CID, staleMs: 1000 });
+      expect(verifier.registerCID).toHaveBeenCalledWith(CID, buildChainMetadata(file));
+      expect(result).toEqual({ cid: CID, registerTxHash: TX_HASH, verificationStatus: 'pending' });
+    });
+
+    it('should do nothing when the file is not claimable', async () => {
+      filesRepo.claimForRegistration.mockResolvedValue(null);
+      const verifier = verifierMock();
+
+      await expect(registerFile(CID, { verifier })).resolves.toBeNull();
+      expect(verifier.registerCID).not.toHaveBeenCalled();
+    });
+
+    it('should adopt an existing on-chain entry instead of registering again', async () => {
+      const verifier = verifierMock({
+        getEntry: jest.fn().mockResolvedValue([CID, ethers.BigNumber.from(1700000000), true, '{}']),
+      });
+
+      const result = await registerFile(CID, { verifier });
+
+      expect(verifier.registerCID).not.toHaveBeenCalled();
+      expect(result.verificationStatus).toBe('approved');
+    });
+
+    it('should record failures for the registrar to retry', async () => {
+      const verifier = verifierMock({ registerCID: jest.fn(() => minedTx(0)) });
+
+      const result = await registerFile(CID, { verifier });
+
+      expect(result).toMatchObject({ verificationStatus: 'failed' });
+      expect(filesRepo.markRegistrationFailed).toHaveBeenCalledWith({ cid: CID, error: expect.any(String) });
+    });
+  });
+
+  describe('reviewFile', () => {
+    it('should write approvals on-chain and mirror them', async () => {
+      filesRepo.recordReview.mockResolvedValue({ cid: CID, verificationStatus: 'approved' });
+      const verifier = verifierMock();
+
+      const result = await reviewFile({ cid: CID, approved: true, reason: 'Matches invoice', reviewer: 'r1', verifier });
+
+      expect(verifier.approveCID).toHaveBeenCalledWith(CID, 'Matches invoice');
+      expect(filesRepo.recordReview).toHaveBeenCalledWith({ cid: CID, approved: true, reason: 'Matches invoice', reviewer: 'r1', txHash: TX_HASH });
+      expect(result).toEqual({ ok: true, file: { cid: CID, verificationStatus: 'approved' } });
+    });
+
+    it('should leave the database alone when the transaction fails', async () => {
+      const verifier = verifierMock({ rejectCID: jest.fn(() => Promise.reject(Object.assign(new Error('x'), { reason: 'Not owner' }))) });
+
+      const result = await reviewFile({ cid: CID, approved: false, reason: 'Blurry', reviewer: 'r1', verifier });
+
+      expect(result).toMatchObject({ ok: false, reason: 'Not owner' });
+      expect(filesRepo.recordReview).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createFileRegistrar', () => {
+    it('should register the backlog within the attempt limit', async () => {
+      filesRepo.listRegistrationBacklog.mockResolvedValue([{ cid: CID }, { cid: 'QmOther' }]);
+      const verifier = verifierMock();
+      const registrar = createFileRegistrar({ verifier, maxAttempts: 3, staleMs: 5000 });
+
+      await registrar.check();
+
+      expect(filesRepo.listRegistrationBacklog).toHaveBeenCalledWith({ maxAttempts: 3, staleMs: 5000 });
+      expect(filesRepo.claimForRegistration.mock.calls.map(([c]) => c.cid)).toEqual([CID, 'QmOther']);
+    });
+  });
+});
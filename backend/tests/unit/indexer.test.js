@@ -0,0 +1,227 @@
+/**
+ * Unit tests for the DonationTracker chain indexer
+ */
+
+const { ethers } = require('ethers');
+
+const mockState = { cursor: null, events: [] };
+
+jest.mock('../../db/repos/indexer', () => ({
+  getCursor: jest.fn(async () => mockState.cursor),
+  setCursor: jest.fn(async ({ blockNumber, blockHash }) => {
+    mockState.cursor = { blockNumber, blockHash };
+  }),
+  isRecorded: jest.fn(async ({ txHash, logIndex }) =>
+    mockState.events.some((e) => e.txHash === txHash && e.logIndex === logIndex)
+  ),
+  recordEvent: jest.fn(async (event) => {
+    mockState.events.push(event);
+    return true;
+  }),
+  listEventsFrom: jest.fn(async (blockNumber) =>
+    mockState.events.filter((e) => e.blockNumber >= blockNumber).reverse()
+  ),
+  deleteEventsFrom: jest.fn(async (blockNumber) => {
+    mockState.events = mockState.events.filter((e) => e.blockNumber < blockNumber);
+  }),
+}));
+jest.mock('../../db/repos/campaigns', () => ({
+  getCampaignByOnChainId: jest.fn(),
+  createCampaign: jest.fn(),
+  deleteCampaign: jest.fn(),
+}));
+jest.mock('../../db/repos/milestones', () => ({
+  getByOnChainIndex: jest.fn(),
+  createMilestone: jest.fn(),
+  setProofCID: jest.fn(),
+  addProofVersion: jest.fn(),
+  deleteProofVersion: jest.fn(),
+  markReleased: jest.fn(),
+  unmarkReleased: jest.fn(),
+  deleteMilestone: jest.fn(),
+}));
+jest.mock('../../db/repos/donations', () => ({
+  createDonation: jest.fn(),
+  removeDonation: jest.fn(),
+}));
+
+const campaignsRepo = require('../../db/repos/campaigns');
+const milestonesRepo = require('../../db/repos/milestones');
+const donationsRepo = require('../../db/repos/donations');
+const { DonationTrackerABI } = require('../../web3/contracts');
+const { createIndexer } = require('../../web3/indexer');
+
+const TRACKER = '0x1000000000000000000000000000000000000001';
+const DONOR = '0x2000000000000000000000000000000000000002';
+const iface = new ethers.utils.Interface(DonationTrackerABI);
+
+function fakeChain() {
+  const blocks = new Map();
+  const logs = { CampaignCreated: [], MilestoneSubmitted: [], FundsReleased: [] };
+  const provider = {
+    getBlockNumber: jest.fn(async () => Math.max(...blocks.keys())),
+    getBlock: jest.fn(async (n) => blocks.get(n) || null),
+    getBlockWithTransactions: jest.fn(async (n) => blocks.get(n)),
+    getTransaction: jest.fn(async () => ({ from: DONOR })),
+    getTransactionReceipt: jest.fn(async () => ({ status: 1 })),
+  };
+  const contract = {
+    address: TRACKER,
+    interface: iface,
+    filters: { CampaignCreated: () => 'CampaignCreated', MilestoneSubmitted: () => 'MilestoneSubmitted', FundsReleased: () => 'FundsReleased' },
+    queryFilter: jest.fn(async (name, from, to) =>
+      logs[name].filter((l) => l.blockNumber >= from && l.blockNumber <= to)
+    ),
+    getMilestone: jest.fn(),
+  };
+  const addBlock = (number, hash, transactions = []) => blocks.set(number, { number, hash, transactions });
+  return { provider, contract, logs, addBlock };
+}
+
+describe('Chain indexer', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockState.cursor = null;
+    mockState.events = [];
+  });
+
+  const campaignCreated = {
+    event: 'CampaignCreated',
+    blockNumber: 11,
+    transactionIndex: 0,
+    logIndex: 0,
+    transactionHash: '0xc1',
+    args: { campaignId: ethers.BigNumber.from(1), target: ethers.utils.parseEther('2'), deadline: ethers.BigNumber.from(0) },
+  };
+
+  it('should backfill from the start block and record a cursor', async () => {
+    const chain = fakeChain();
+    chain.addBlock(10, '0xa10');
+    chain.addBlock(11, '0xa11');
+    chain.logs.CampaignCreated.push(campaignCreated);
+    campaignsRepo.getCampaignByOnChainId.mockResolvedValue({ id: 'campaign-1', onChainId: '1' });
+
+    const indexer = createIndexer({ contract: chain.contract, provider: chain.provider, startBlock: 10, confirmations: 2 });
+    await indexer.syncOnce();
+
+    expect(campaignsRepo.getCampaignByOnChainId).toHaveBeenCalledWith('1');
+    expect(mockState.events).toHaveLength(1);
+    expect(mockState.events[0]).toMatchObject({ eventName: 'CampaignCreated', entityId: 'campaign-1', blockNumber: 11 });
+    expect(mockState.cursor).toEqual({ blockNumber: 11, blockHash: '0xa11' });
+  });
+
+  it('should record on-chain campaigns and milestones nobody linked without creating them', async () => {
+    const chain = fakeChain();
+    chain.addBlock(11, '0xa11');
+    chain.logs.CampaignCreated.push(campaignCreated);
+    chain.logs.MilestoneSubmitted.push({
+      event: 'MilestoneSubmitted',
+      blockNumber: 11,
+      transactionIndex: 1,
+      logIndex: 0,
+      transactionHash: '0xm1',
+      args: { campaignId: ethers.BigNumber.from(2), milestoneId: ethers.BigNumber.from(0), proofCID: 'QmProof' },
+    });
+    campaignsRepo.getCampaignByOnChainId.mockImplementation(async (id) => (id === '2' ? { id: 'campaign-2', onChainId: '2' } : null));
+    milestonesRepo.getByOnChainIndex.mockResolvedValue(null);
+
+    const indexer = createIndexer({ contract: chain.contract, provider: chain.provider, startBlock: 11 });
+    await indexer.syncOnce();
+
+    expect(campaignsRepo.createCampaign).not.toHaveBeenCalled();
+    expect(milestonesRepo.createMilestone).not.toHaveBeenCalled();
+    expect(mockState.events.map((e) => [e.eventName, e.entityId, e.undo])).toEqual([
+      ['CampaignCreated', null, { created: false, unlinked: true }],
+      ['MilestoneSubmitted', null, { created: false, unlinked: true }],
+    ]);
+  });
+
+  it('should record receiveDonation calls as donations', async () => {
+    const chain = fakeChain();
+    chain.addBlock(5, '0xb5', [
+      { hash: '0xd1', from: DONOR, to: TRACKER, value: ethers.utils.parseEther('0.5'), data: iface.encodeFunctionData('receiveDonation', [1]) },
+      { hash: '0xd2', from: DONOR, to: DONOR, value: ethers.utils.parseEther('1'), data: '0x' },
+    ]);
+    campaignsRepo.getCampaignByOnChainId.mockResolvedValue({ id: 'campaign-1' });
+    donationsRepo.createDonation.mockResolvedValue({ id: 'donation-1' });
+
+    const indexer = createIndexer({ contract: chain.contract, provider: chain.provider, startBlock: 5 });
+    await indexer.syncOnce();
+
+    expect(donationsRepo.createDonation).toHaveBeenCalledTimes(1);
+    expect(donationsRepo.createDonation).toHaveBeenCalledWith({
+      campaignId: 'campaign-1',
+      donorWallet: DONOR,
+      amount: '0.5',
+      txHash: '0xd1',
+    });
+    expect(mockState.events[0]).toMatchObject({ eventName: 'DonationReceived', logIndex: -1 });
+  });
+
+  it('should record the release transaction on FundsReleased', async () => {
+    const chain = fakeChain();
+    chain.addBlock(7, '0xe7');
+    chain.logs.FundsReleased.push({
+      event: 'FundsReleased',
+      blockNumber: 7,
+      transactionIndex: 0,
+      logIndex: 0,
+      transactionHash: '0xf1',
+      args: { campaignId: ethers.BigNumber.from(1), milestoneId: ethers.BigNumber.from(0) },
+    });
+    campaignsRepo.getCampaignByOnChainId.mockResolvedValue({ id: 'campaign-1' });
+    milestonesRepo.getByOnChainIndex.mockResolvedValue({ id: 'milestone-1', releasedAt: null });
+
+    const indexer = createIndexer({ contract: chain.contract, provider: chain.provider, startBlock: 7 });
+    await indexer.syncOnce();
+
+    expect(milestonesRepo.markReleased).toHaveBeenCalledWith({ id: 'milestone-1', txHash: '0xf1', blockNumber: 7 });
+    expect(mockState.events[0]).toMatchObject({ eventName: 'FundsReleased', undo: { wasReleased: false } });
+  });
+
+  it('should record a resubmitted proof as a new version and undo it on reorg', async () => {
+    const chain = fakeChain();
+    chain.addBlock(8, '0xe8');
+    chain.logs.MilestoneSubmitted.push({
+      event: 'MilestoneSubmitted',
+      blockNumber: 8,
+      transactionIndex: 0,
+      logIndex: 0,
+      transactionHash: '0xp1',
+      args: { campaignId: ethers.BigNumber.from(1), milestoneId: ethers.BigNumber.from(0), proofCID: 'QmNew' },
+    });
+    campaignsRepo.getCampaignByOnChainId.mockResolvedValue({ id: 'campaign-1' });
+    milestonesRepo.getByOnChainIndex.mockResolvedValue({ id: 'milestone-1', proofCID: 'QmOld' });
+    milestonesRepo.addProofVersion.mockResolvedValue({ id: 'version-2', version: 2 });
+
+    const indexer = createIndexer({ contract: chain.contract, provider: chain.provider, startBlock: 8 });
+    await indexer.syncOnce();
+
+    expect(milestonesRepo.addProofVersion).toHaveBeenCalledWith({ milestoneId: 'milestone-1', cid: 'QmNew' });
+    expect(mockState.events[0]).toMatchObject({ undo: { created: false, proofCID: 'QmOld', proofVersionId: 'version-2' } });
+
+    chain.addBlock(8, '0xreplaced8');
+    chain.logs.MilestoneSubmitted = [];
+    await indexer.syncOnce();
+
+    expect(milestonesRepo.deleteProofVersion).toHaveBeenCalledWith('version-2');
+    expect(milestonesRepo.setProofCID).toHaveBeenCalledWith({ id: 'milestone-1', proofCID: 'QmOld' });
+  });
+
+  it('should roll back unconfirmed blocks when the cursor block was replaced', async () => {
+    const chain = fakeChain();
+    chain.addBlock(19, '0xc19');
+    chain.addBlock(20, '0xnew20');
+    mockState.cursor = { blockNumber: 20, blockHash: '0xold20' };
+    mockState.events = [
+      { blockNumber: 20, blockHash: '0xold20', txHash: '0xd9', logIndex: -1, eventName: 'DonationReceived', undo: { created: true } },
+    ];
+
+    const indexer = createIndexer({ contract: chain.contract, provider: chain.provider, startBlock: 0, confirmations: 1 });
+    await indexer.syncOnce();
+
+    expect(donationsRepo.removeDonation).toHaveBeenCalledWith({ txHash: '0xd9' });
+    expect(mockState.events).toHaveLength(0);
+    expect(mockState.cursor).toEqual({ blockNumber: 20, blockHash: '0xnew20' });
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Unit tests for quorum approval of milestones by verifier signatures
+ */
+
+const { ethers } = require('ethers');
+
+jest.mock('../../db/repos/milestones');
+jest.mock('../../db/repos/campaigns');
+
+const milestonesRepo = require('../../db/repos/milestones');
+const campaignsRepo = require('../../db/repos/campaigns');
+const {
+  APPROVAL_TYPES,
+  approvalDomain,
+  approvalTypedData,
+  recoverApprover,
+  countedApprovals,
+  finalizeApproval,
+} = require('../../web3/milestoneApproval');
+
+const CID = 'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o';
+const TX_HASH = `0x${'ab'.repeat(32)}`;
+const config = { chainId: 11155111, verifyingContract: '0x5FbDB2315678afecb367f032d93F642f64180aa3' };
+
+const alice = new ethers.Wallet(`0x${'11'.repeat(32)}`);
+const bob = new ethers.Wallet(`0x${'22'.repeat(32)}`);
+const carol = new ethers.Wallet(`0x${'33'.repeat(32)}`);
+const addr = (wallet) => wallet.address.toLowerCase();
+
+const milestone = {
+  id: 'm1',
+  campaignId: 'c1',
+  proofCID: CID,
+  fundAmount: '1.5',
+  approved: false,
+  approvalQuorum: 2,
+  onChainIndex: null,
+};
+const AMOUNT_WEI = '1500000000000000000';
+
+const sign = (wallet, m = milestone) => wallet._signTypedData(approvalDomain(config), APPROVAL_TYPES, {
+  milestoneId: m.id,
+  proofCID: m.proofCID,
+  amount: ethers.utils.parseEther(m.fundAmount),
+});
+const approval = (wallet, overrides = {}) => ({ verifier: addr(wallet), proofCID: CID, amountWei: AMOUNT_WEI, ...overrides });
+
+describe('milestoneApproval', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    milestonesRepo.listVerifiers.mockResolvedValue([addr(alice), addr(bob), addr(carol)]);
+    milestonesRepo.markApproved.mockImplementation(async ({ id, txHash }) => ({ ...milestone, id, approved: true, approvalTxHash: txHash }));
+  });
+
+  describe('signatures', () => {
+    it('should recover the verifier that signed the milestone', async () => {
+      const signature = await sign(alice);
+
+      expect(recoverApprover(milestone, signature, config)).toBe(addr(alice));
+    });
+
+    it('should not recover the verifier for a different proof or amount', async () => {
+      const signature = await sign(alice);
+
+      expect(recoverApprover({ ...milestone, proofCID: 'QmOther' }, signature, config)).not.toBe(addr(alice));
+      expect(recoverApprover({ ...milestone, fundAmount: '2' }, signature, config)).not.toBe(addr(alice));
+    });
+
+    it('should throw on a malformed signature', () => {
+      expect(() => recoverApprover(milestone, '0x1234', config)).toThrow();
+    });
+
+    it('should build the typed data verifiers sign', () => {
+      const payload = approvalTypedData(milestone, config);
+
+      expect(payload.primaryType).toBe('MilestoneApproval');
+      expect(payload.domain).toMatchObject({ name: 'D3R Milestones', version: '1', chainId: '11155111' });
+      expect(payload.message).toEqual({ milestoneId: 'm1', proofCID: CID, amount: AMOUNT_WEI });
+    });
+  });
+
+  describe('countedApprovals', () => {
+    const verifiers = [addr(alice), addr(bob)];
+
+    it('should count one signature per assigned verifier', () => {
+      const approvals = [approval(alice), approval(alice), approval(bob)];
+
+      expect(countedApprovals(milestone, approvals, verifiers)).toHaveLength(2);
+    });
+
+    it('should ignore signatures over an earlier proof or amount and from unassigned wallets', () => {
+      const approvals = [approval(alice, { proofCID: 'QmOld' }), approval(bob, { amountWei: '1' }), approval(carol)];
+
+      expect(countedApprovals(milestone, approvals, verifiers)).toEqual([]);
+    });
+  });
+
+  describe('finalizeApproval', () => {
+    it('should wait for quorum', async () => {
+      milestonesRepo.listApprovals.mockResolvedValue([approval(alice)]);
+
+      await expect(finalizeApproval(milestone)).resolves.toEqual({ status: 'pending', signatures: 1, quorum: 2 });
+      expect(milestonesRepo.markApproved).not.toHaveBeenCalled();
+    });
+
+    it('should approve off-chain milestones once quorum is reached', async () => {
+      milestonesRepo.listApprovals.mockResolvedValue([approval(alice), approval(bob)]);
+
+      const result = await finalizeApproval(milestone);
+
+      expect(result).toMatchObject({ status: 'approved', signatures: 2, quorum: 2 });
+      expect(milestonesRepo.markApproved).toHaveBeenCalledWith({ id: 'm1', txHash: null, challengeEndsAt: expect.any(Date) });
+    });
+
+    describe('linked on-chain', () => {
+      const linked = { ...milestone, onChainIndex: 0 };
+      const mined = (status = 1) => Promise.resolve({ wait: jest.fn().mockResolvedValue({ status, transactionHash: TX_HASH }) });
+
+      beforeEach(() => {
+        milestonesRepo.listApprovals.mockResolvedValue([approval(alice), approval(carol)]);
+        campaignsRepo.getCampaignByIdWithCounts.mockResolvedValue({ id: 'c1', onChainId: 7 });
+      });
+
+      it('should approve on DonationTracker before marking the milestone', async () => {
+        const tracker = { approveMilestone: jest.fn(() => mined()) };
+
+        const result = await finalizeApproval(linked, { tracker });
+
+        expect(tracker.approveMilestone).toHaveBeenCalledWith(7, 0);
+        expect(result.status).toBe('approved');
+        expect(milestonesRepo.markApproved).toHaveBeenCalledWith({ id: 'm1', txHash: TX_HASH, challengeEndsAt: expect.any(Date) });
+      });
+
+      it('should leave the milestone unapproved when the transaction fails', async () => {
+        const tracker = { approveMilestone: jest.fn(() => mined(0)) };
+
+        const result = await finalizeApproval(linked, { tracker });
+
+        expect(result).toMatchObject({ status: 'failed', txHash: TX_HASH, reason: 'Transaction reverted' });
+        expect(milestonesRepo.markApproved).not.toHaveBeenCalled();
+      });
+
+      it('should adopt an approval already made on-chain', async () => {
+        const tracker = { approveMilestone: jest.fn(() => Promise.reject(Object.assign(new Error('execution reverted'), { reason: 'Already approved' }))) };
+
+        const result = await finalizeApproval(linked, { tracker });
+
+        expect(result.status).toBe('approved');
+        expect(milestonesRepo.markApproved).toHaveBeenCalledWith({ id: 'm1', txHash: null, challengeEndsAt: expect.any(Date) });
+      });
+    });
+  });
+});
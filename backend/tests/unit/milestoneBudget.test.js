@@ -0,0 +1,69 @@
+/**
+ * Unit tests for milestone budget rules and release order
+ */
+
+jest.mock('../../db/client', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+
+const { query } = require('../../db/client');
+const { findUnreleasedBefore } = require('../../db/repos/milestones');
+const { AMOUNT_PATTERN, allocationError, releaseError } = require('../../utils/milestoneBudget');
+
+const budget = {
+  targetAmount: '10.000000000000000000',
+  raisedAmount: '12.500000000000000000',
+  allocatedAmount: '11.000000000000000000',
+  releasedAmount: '4.000000000000000000',
+  unallocatedAmount: '1.500000000000000000',
+};
+
+describe('milestoneBudget', () => {
+  it('should accept ETH amounts with up to 18 decimals', () => {
+    expect(AMOUNT_PATTERN.test('0')).toBe(true);
+    expect(AMOUNT_PATTERN.test('1.000000000000000001')).toBe(true);
+    expect(AMOUNT_PATTERN.test('1.0000000000000000001')).toBe(false);
+    expect(AMOUNT_PATTERN.test('-1')).toBe(false);
+    expect(AMOUNT_PATTERN.test('1e18')).toBe(false);
+  });
+
+  describe('allocationError', () => {
+    it('should allow allocating up to the unallocated budget', () => {
+      expect(allocationError(budget, '1.5')).toBeNull();
+      expect(allocationError(budget, '0')).toBeNull();
+    });
+
+    it('should compare at wei precision', () => {
+      expect(allocationError(budget, '1.500000000000000001')).toMatch(/exceeds the campaign's unallocated budget of 1.5 /);
+    });
+
+    it('should report a budget already overrun as nothing left', () => {
+      const overrun = { ...budget, allocatedAmount: '13', unallocatedAmount: '-0.5' };
+
+      expect(allocationError(overrun, '1')).toBe(
+        "Milestone amount 1 exceeds the campaign's unallocated budget of 0 (target 10, raised 12.5, allocated 13)"
+      );
+    });
+  });
+
+  describe('releaseError', () => {
+    it('should allow releases covered by the funds raised', () => {
+      expect(releaseError(budget, { fundAmount: '8.500000000000000000' })).toBeNull();
+    });
+
+    it('should refuse releasing beyond the funds raised', () => {
+      expect(releaseError(budget, { fundAmount: '9' })).toBe('Releasing 9 would exceed the 12.5 raised (4 already released)');
+    });
+  });
+
+  describe('findUnreleasedBefore', () => {
+    it('should skip earlier milestones frozen by an upheld dispute', async () => {
+      query.mockResolvedValue({ rows: [] });
+
+      await expect(findUnreleasedBefore('m2')).resolves.toBeNull();
+
+      const [[sql, params]] = query.mock.calls;
+      expect(sql).toContain('releasedat IS NULL');
+      expect(sql).toContain("NOT EXISTS (SELECT 1 FROM milestonedisputes d WHERE d.milestoneid = milestones.id AND d.status = 'upheld')");
+      expect(params).toEqual(['m2']);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Unit tests for the milestone challenge window and dispute state machine
+ */
+
+const {
+  canTransition,
+  getChallengePeriodMs,
+  challengeEndsAt,
+  isChallengeOpen,
+  releaseBlocker,
+} = require('../../utils/milestoneDisputes');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2025-11-11T12:00:00Z');
+
+describe('milestoneDisputes', () => {
+  const originalPeriod = process.env.MILESTONE_CHALLENGE_PERIOD_HOURS;
+
+  afterEach(() => {
+    if (originalPeriod === undefined) delete process.env.MILESTONE_CHALLENGE_PERIOD_HOURS;
+    else process.env.MILESTONE_CHALLENGE_PERIOD_HOURS = originalPeriod;
+  });
+
+  it('should only resolve open disputes, once', () => {
+    expect(canTransition('open', 'upheld')).toBe(true);
+    expect(canTransition('open', 'dismissed')).toBe(true);
+    expect(canTransition('dismissed', 'upheld')).toBe(false);
+    expect(canTransition('upheld', 'open')).toBe(false);
+  });
+
+  it('should default to a 72 hour challenge period', () => {
+    delete process.env.MILESTONE_CHALLENGE_PERIOD_HOURS;
+
+    expect(getChallengePeriodMs()).toBe(72 * HOUR);
+    expect(challengeEndsAt(NOW)).toEqual(new Date('2025-11-14T12:00:00Z'));
+  });
+
+  it('should allow turning the challenge period off', () => {
+    process.env.MILESTONE_CHALLENGE_PERIOD_HOURS = '0';
+
+    expect(challengeEndsAt(NOW)).toEqual(NOW);
+  });
+
+  describe('isChallengeOpen', () => {
+    const approved = { approved: true, releasedAt: null, challengeEndsAt: new Date(NOW.getTime() + HOUR).toISOString() };
+
+    it('should be open until the window ends', () => {
+      expect(isChallengeOpen(approved, NOW)).toBe(true);
+      expect(isChallengeOpen(approved, new Date(NOW.getTime() + 2 * HOUR))).toBe(false);
+    });
+
+    it('should be closed for unapproved, released and legacy milestones', () => {
+      expect(isChallengeOpen({ ...approved, approved: false }, NOW)).toBe(false);
+      expect(isChallengeOpen({ ...approved, releasedAt: NOW.toISOString() }, NOW)).toBe(false);
+      expect(isChallengeOpen({ ...approved, challengeEndsAt: null }, NOW)).toBe(false);
+    });
+  });
+
+  describe('releaseBlocker', () => {
+    const closed = { approved: true, releasedAt: null, challengeEndsAt: new Date(NOW.getTime() - HOUR).toISOString() };
+
+    it('should allow release after the window with only dismissed disputes', () => {
+      expect(releaseBlocker(closed, [{ status: 'dismissed' }], NOW)).toBeNull();
+    });
+
+    it('should block release during the window', () => {
+      const open = { ...closed, challengeEndsAt: new Date(NOW.getTime() + HOUR).toISOString() };
+
+      expect(releaseBlocker(open, [], NOW)).toBe('The challenge period ends at 2025-11-11T13:00:00.000Z');
+    });
+
+    it('should freeze release while disputes are open, even after the window', () => {
+      expect(releaseBlocker(closed, [{ status: 'open' }, { status: 'open' }], NOW)).toBe('Release is frozen by 2 open disputes');
+    });
+
+    it('should freeze release for good once a dispute is upheld', () => {
+      expect(releaseBlocker(closed, [{ status: 'dismissed' }, { status: 'upheld' }], NOW)).toMatch(/upheld/);
+    });
+  });
+});
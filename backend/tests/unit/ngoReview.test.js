@@ -0,0 +1,58 @@
+/**
+ * Unit tests for the NGO review state machine and the campaign wallet check
+ */
+
+jest.mock('../../db/repos/ngos');
+
+const ngosRepo = require('../../db/repos/ngos');
+const { canTransition, isEditable, requireVerifiedNgo } = require('../../utils/ngoReview');
+const { AuthorizationError } = require('../../utils/errorHandler');
+
+describe('ngoReview', () => {
+  beforeEach(() => jest.resetAllMocks());
+
+  it('should follow submitted -> under_review -> verified -> suspended', () => {
+    expect(canTransition('submitted', 'under_review')).toBe(true);
+    expect(canTransition('under_review', 'verified')).toBe(true);
+    expect(canTransition('verified', 'suspended')).toBe(true);
+  });
+
+  it('should allow sending an application back and reinstating a suspended NGO through review', () => {
+    expect(canTransition('under_review', 'submitted')).toBe(true);
+    expect(canTransition('suspended', 'under_review')).toBe(true);
+  });
+
+  it('should not skip review', () => {
+    expect(canTransition('submitted', 'verified')).toBe(false);
+    expect(canTransition('suspended', 'verified')).toBe(false);
+    expect(canTransition('verified', 'verified')).toBe(false);
+    expect(canTransition('unknown', 'verified')).toBe(false);
+  });
+
+  it('should only let applicants edit submitted applications', () => {
+    expect(isEditable({ status: 'submitted' })).toBe(true);
+    expect(isEditable({ status: 'under_review' })).toBe(false);
+  });
+
+  describe('requireVerifiedNgo', () => {
+    it('should return the verified NGO of the wallet', async () => {
+      ngosRepo.getNgoByWallet.mockResolvedValue({ id: 'n1', status: 'verified' });
+
+      await expect(requireVerifiedNgo('0xABC')).resolves.toEqual({ id: 'n1', status: 'verified' });
+      expect(ngosRepo.getNgoByWallet).toHaveBeenCalledWith('0xABC');
+    });
+
+    it('should refuse wallets without an NGO', async () => {
+      ngosRepo.getNgoByWallet.mockResolvedValue(null);
+
+      await expect(requireVerifiedNgo('0xabc')).rejects.toThrow(AuthorizationError);
+      await expect(requireVerifiedNgo(undefined)).rejects.toThrow(/register your NGO/);
+    });
+
+    it('should refuse suspended NGOs', async () => {
+      ngosRepo.getNgoByWallet.mockResolvedValue({ id: 'n1', status: 'suspended' });
+
+      await expect(requireVerifiedNgo('0xabc')).rejects.toThrow(/Your NGO is suspended/);
+    });
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Unit tests for milestone proof bundle helpers
+ */
+
+const { parseFileDetails, MAX_PROOF_FILES } = require('../../utils/proofBundles');
+
+const pdf = { mimetype: 'application/pdf' };
+const png = { mimetype: 'image/png' };
+
+describe('parseFileDetails', () => {
+  it('should default images to photos and everything else to other', () => {
+    expect(parseFileDetails(undefined, [png, pdf])).toEqual([
+      { kind: 'photo', caption: '' },
+      { kind: 'other', caption: '' },
+    ]);
+  });
+
+  it('should keep kinds and trimmed captions in file order', () => {
+    const raw = JSON.stringify([{ kind: 'invoice', caption: ' Supplier invoice ' }, { caption: 'Tanks on site' }]);
+
+    expect(parseFileDetails(raw, [pdf, png])).toEqual([
+      { kind: 'invoice', caption: 'Supplier invoice' },
+      { kind: 'photo', caption: 'Tanks on site' },
+    ]);
+  });
+
+  it('should reject malformed or mismatched details', () => {
+    expect(() => parseFileDetails('{not json', [pdf])).toThrow(/JSON array/);
+    expect(() => parseFileDetails(JSON.stringify([{ kind: 'receipt' }]), [pdf, png])).toThrow(/each of the 2 files/);
+    expect(() => parseFileDetails(JSON.stringify([{ kind: 'selfie' }]), [png])).toThrow(/photo, invoice, receipt, other/);
+    expect(() => parseFileDetails(JSON.stringify([{ caption: 'x'.repeat(501) }]), [png])).toThrow(/Captions/);
+  });
+
+  it('should cap the number of files', () => {
+    expect(() => parseFileDetails(undefined, Array(MAX_PROOF_FILES + 1).fill(pdf))).toThrow(/at most 10 files/);
+  });
+});
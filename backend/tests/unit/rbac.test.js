@@ -0,0 +1,77 @@
+/**
+ * Unit tests for role-based access control
+ */
+
+const { authorize, hasRole } = require('../../middleware/auth');
+const { ROLES, getDefaultRoles, isBootstrapAdmin } = require('../../utils/roles');
+
+function run(middleware, user) {
+  const req = { user };
+  const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+  const next = jest.fn();
+  middleware(req, res, next);
+  return { res, next };
+}
+
+describe('RBAC', () => {
+  describe('authorize', () => {
+    it('should pass a user holding one of the required roles', () => {
+      const { next } = run(authorize(ROLES.NGO_VERIFIER, ROLES.AUDITOR), { userId: 'u1', roles: ['donor', 'auditor'] });
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should let admins through every check', () => {
+      const { next } = run(authorize(ROLES.NGO_VERIFIER), { userId: 'u1', roles: ['admin'] });
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should return 403 when the role is missing', () => {
+      const { res, next } = run(authorize(ROLES.ADMIN), { userId: 'u1', roles: ['donor', 'campaign_creator'] });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should return 401 without an authenticated user', () => {
+      const { res } = run(authorize(ROLES.DONOR), undefined);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should treat tokens without roles as having none', () => {
+      const { res } = run(authorize(ROLES.CAMPAIGN_CREATOR), { userId: 'u1' });
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(hasRole({ userId: 'u1' }, ROLES.DONOR)).toBe(false);
+    });
+  });
+
+  describe('role configuration', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...env };
+    });
+
+    it('should default new users to donor and campaign creator', () => {
+      delete process.env.DEFAULT_USER_ROLES;
+
+      expect(getDefaultRoles()).toEqual(['donor', 'campaign_creator']);
+    });
+
+    it('should ignore unknown roles in DEFAULT_USER_ROLES', () => {
+      process.env.DEFAULT_USER_ROLES = 'donor, superuser';
+
+      expect(getDefaultRoles()).toEqual(['donor']);
+    });
+
+    it('should recognise bootstrap admin wallets case-insensitively', () => {
+      process.env.ADMIN_WALLETS = '0xAbC0000000000000000000000000000000000001';
+
+      expect(isBootstrapAdmin('0xabc0000000000000000000000000000000000001')).toBe(true);
+      expect(isBootstrapAdmin('0xabc0000000000000000000000000000000000002')).toBe(false);
+    });
+  });
+});
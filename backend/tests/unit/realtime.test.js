@@ -0,0 +1,134 @@
+/**
+ * Unit tests for the realtime hub
+ */
+
+jest.mock('../../db/repos/webhooks');
+
+const webhooksRepo = require('../../db/repos/webhooks');
+const { TOPIC_PATTERN, topicsFor, createRealtimeHub } = require('../../utils/realtime');
+
+const CAMPAIGN_ID = '7f1c2d3e-4b5a-4c6d-8e9f-0a1b2c3d4e5f';
+const OTHER_CAMPAIGN_ID = '8f1c2d3e-4b5a-4c6d-8e9f-0a1b2c3d4e5f';
+const DISASTER_ID = 'FLOOD-2025-07';
+
+const event = (seq, type, payload) => ({ seq, id: `e${seq}`, type, payload, createdAt: '2025-11-14T10:00:00.000Z' });
+const donation = (seq, campaignId = CAMPAIGN_ID) => event(seq, 'donation.confirmed', { campaignId, amount: '0.5', currentAmount: '2.5' });
+
+describe('realtime', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    webhooksRepo.getLatestEventSeq.mockResolvedValue(10);
+    webhooksRepo.listEventsAfter.mockResolvedValue([]);
+  });
+
+  describe('topicsFor', () => {
+    it('should route events to their campaign, disaster and the stats topic', () => {
+      expect(topicsFor(donation(1))).toEqual([`campaign:${CAMPAIGN_ID}`, 'stats']);
+      expect(topicsFor(event(2, 'milestone.approved', { milestoneId: 'm1', campaignId: CAMPAIGN_ID }))).toEqual([`campaign:${CAMPAIGN_ID}`]);
+      expect(topicsFor(event(3, 'campaign.status_changed', { campaignId: CAMPAIGN_ID, disasterId: DISASTER_ID, status: 'active' })))
+        .toEqual([`campaign:${CAMPAIGN_ID}`, `disaster:${DISASTER_ID}`, 'stats']);
+    });
+  });
+
+  describe('TOPIC_PATTERN', () => {
+    it('should accept campaign UUIDs and disaster slugs', () => {
+      expect(['stats', `campaign:${CAMPAIGN_ID}`, `disaster:${DISASTER_ID}`, 'disaster:eq.2025_tokyo'].every((t) => TOPIC_PATTERN.test(t))).toBe(true);
+      expect(['campaign:FLOOD-2025-07', 'disaster:a b', `disaster:${'x'.repeat(65)}`, 'campaigns:all'].some((t) => TOPIC_PATTERN.test(t))).toBe(false);
+    });
+  });
+
+  describe('createRealtimeHub', () => {
+    it('should push new events to subscribers of their topics only', async () => {
+      const hub = createRealtimeHub({ pollMs: 60000 });
+      const campaignSend = jest.fn();
+      const otherSend = jest.fn();
+      await hub.subscribe({ topics: [`campaign:${CAMPAIGN_ID}`], send: campaignSend });
+      await hub.subscribe({ topics: [`campaign:${OTHER_CAMPAIGN_ID}`], send: otherSend });
+      webhooksRepo.listEventsAfter.mockResolvedValue([donation(11), donation(12, OTHER_CAMPAIGN_ID)]);
+
+      await hub.check();
+      hub.stop();
+
+      expect(webhooksRepo.listEventsAfter).toHaveBeenCalledWith({ after: 10, limit: 500 });
+      expect(campaignSend.mock.calls.map(([e]) => e.seq)).toEqual([11]);
+      expect(otherSend.mock.calls.map(([e]) => e.seq)).toEqual([12]);
+    });
+
+    it('should replay the events a reconnecting subscriber missed', async () => {
+      const hub = createRealtimeHub({ pollMs: 60000 });
+      const send = jest.fn();
+      webhooksRepo.listEventsAfter.mockResolvedValue([donation(8), donation(9, OTHER_CAMPAIGN_ID), donation(10)]);
+
+      await hub.subscribe({ topics: [`campaign:${CAMPAIGN_ID}`], after: 7, send });
+      hub.stop();
+
+      expect(webhooksRepo.listEventsAfter).toHaveBeenCalledWith({ after: 7, upTo: 10, limit: 1001 });
+      expect(send.mock.calls.map(([e]) => e.seq)).toEqual([8, 10]);
+    });
+
+    it('should ask the subscriber to reload when it missed more than can be replayed', async () => {
+      const hub = createRealtimeHub({ pollMs: 60000, replayLimit: 2 });
+      const send = jest.fn();
+      const reset = jest.fn();
+      webhooksRepo.listEventsAfter.mockResolvedValue([donation(8), donation(9), donation(10)]);
+
+      await hub.subscribe({ topics: ['stats'], after: 7, send, reset });
+      hub.stop();
+
+      expect(reset).toHaveBeenCalled();
+      expect(send).not.toHaveBeenCalled();
+    });
+
+    it('should hold back events behind a seq that has not committed yet', async () => {
+      const hub = createRealtimeHub({ pollMs: 60000, gapWaitMs: 60000 });
+      const send = jest.fn();
+      await hub.subscribe({ topics: ['stats'], send });
+
+      webhooksRepo.listEventsAfter.mockResolvedValueOnce([donation(12)]);
+      await hub.check();
+      expect(send).not.toHaveBeenCalled();
+
+      webhooksRepo.listEventsAfter.mockResolvedValueOnce([donation(11), donation(12)]);
+      await hub.check();
+      hub.stop();
+      expect(send.mock.calls.map(([e]) => e.seq)).toEqual([11, 12]);
+    });
+
+    it('should skip a gap left by a rolled back transaction once it has waited long enough', async () => {
+      const hub = createRealtimeHub({ pollMs: 60000, gapWaitMs: 0 });
+      const send = jest.fn();
+      await hub.subscribe({ topics: ['stats'], send });
+      webhooksRepo.listEventsAfter.mockResolvedValue([donation(12)]);
+
+      await hub.check();
+      hub.stop();
+
+      expect(send.mock.calls.map(([e]) => e.seq)).toEqual([12]);
+    });
+
+    it('should stop pushing after unsubscribe', async () => {
+      const hub = createRealtimeHub({ pollMs: 60000 });
+      const send = jest.fn();
+      const unsubscribe = await hub.subscribe({ topics: ['stats'], send });
+      unsubscribe();
+      webhooksRepo.listEventsAfter.mockResolvedValue([donation(11)]);
+
+      await hub.check();
+      hub.stop();
+
+      expect(send).not.toHaveBeenCalled();
+      expect(hub.subscriberCount()).toBe(0);
+    });
+
+    it('should end every open stream when it closes', async () => {
+      const hub = createRealtimeHub({ pollMs: 60000 });
+      const end = jest.fn();
+      await hub.subscribe({ topics: ['stats'], send: jest.fn(), end });
+
+      hub.close();
+
+      expect(end).toHaveBeenCalled();
+      expect(hub.subscriberCount()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Unit tests for donation receipts
+ */
+
+jest.mock('axios');
+jest.mock('../../upload', () => ({
+  DOCUMENT_TYPES: { DONATION_RECEIPT: 'donation-receipt' },
+  uploadJSON: jest.fn(),
+  uploadBuffer: jest.fn(),
+}));
+jest.mock('../../db/repos/donations', () => ({ ANON_WALLET: 'ANONYMOUS', getDonationById: jest.fn() }));
+jest.mock('../../db/repos/campaigns');
+jest.mock('../../db/repos/files');
+jest.mock('../../db/repos/receipts');
+
+const axios = require('axios');
+const { ethers } = require('ethers');
+const upload = require('../../upload');
+const donationsRepo = require('../../db/repos/donations');
+const campaignsRepo = require('../../db/repos/campaigns');
+const filesRepo = require('../../db/repos/files');
+const receiptsRepo = require('../../db/repos/receipts');
+const { renderTextPdf } = require('../../utils/pdf');
+const {
+  canonicalJSON,
+  signReceipt,
+  verifyReceipt,
+  renderReceiptPdf,
+  issueReceipt,
+} = require('../../utils/receipts');
+
+const SIGNER_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const DONATION_ID = '33333333-3333-4333-8333-333333333333';
+const TX_HASH = `0x${'ab'.repeat(32)}`;
+
+const donation = {
+  id: DONATION_ID,
+  campaignId: 'c1',
+  donorId: 'u1',
+  donorWallet: '0x1111111111111111111111111111111111111111',
+  amount: '0.500000000000000000',
+  txHash: TX_HASH,
+  status: 'confirmed',
+  timestamp: '2025-11-01T10:00:00.000Z',
+};
+
+const provider = {
+  getTransactionReceipt: jest.fn().mockResolvedValue({ blockNumber: 1234 }),
+  getBlock: jest.fn().mockResolvedValue({ timestamp: 1762000000 }),
+};
+
+describe('Donation receipts', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.RECEIPT_SIGNER_PRIVATE_KEY = SIGNER_KEY;
+    donationsRepo.getDonationById.mockResolvedValue(donation);
+    campaignsRepo.getCampaignByIdWithCounts.mockResolvedValue({ id: 'c1', title: 'Flood relief', onChainId: '7' });
+    receiptsRepo.getReceiptByDonationId.mockResolvedValue(null);
+    receiptsRepo.saveReceipt.mockImplementation(async (row) => row);
+    upload.uploadJSON.mockResolvedValue({ cid: 'QmJson', size: 100 });
+    upload.uploadBuffer.mockResolvedValue({ cid: 'QmPdf', size: 2000 });
+    axios.get.mockResolvedValue({ data: { market_data: { current_price: { usd: 3000 } } } });
+  });
+
+  afterAll(() => {
+    delete process.env.RECEIPT_SIGNER_PRIVATE_KEY;
+  });
+
+  describe('canonicalJSON', () => {
+    it('should sort keys at every level and drop undefined values', () => {
+      expect(canonicalJSON({ b: 1, a: { d: [2, { f: 1, e: 0 }], c: undefined } })).toBe('{"a":{"d":[2,{"e":0,"f":1}]},"b":1}');
+    });
+  });
+
+  describe('signReceipt / verifyReceipt', () => {
+    it('should verify a receipt signed by its issuer and reject tampering', async () => {
+      const wallet = new ethers.Wallet(SIGNER_KEY);
+      const signed = await signReceipt({ receiptId: 'r1', issuer: { address: wallet.address }, amount: { eth: '1.0' } }, wallet);
+
+      expect(signed.signer).toBe(wallet.address);
+      expect(verifyReceipt(signed)).toBe(true);
+      expect(verifyReceipt({ ...signed, document: { ...signed.document, amount: { eth: '2.0' } } })).toBe(false);
+    });
+  });
+
+  describe('issueReceipt', () => {
+    it('should sign, pin and record a receipt for a confirmed donation', async () => {
+      const receipt = await issueReceipt(DONATION_ID, { provider });
+
+      const { document, signature } = upload.uploadJSON.mock.calls[0][0];
+      expect(document).toMatchObject({
+        receiptId: DONATION_ID,
+        donor: { anonymous: false, wallet: donation.donorWallet },
+        campaign: { id: 'c1', title: 'Flood relief', onChainId: '7' },
+        amount: { eth: '0.5', fiat: { currency: 'USD', amount: '1500.00', rate: 3000, source: 'coingecko' } },
+        transaction: { txHash: TX_HASH, blockNumber: 1234, timestamp: new Date(1762000000 * 1000).toISOString() },
+      });
+      expect(verifyReceipt({ document, signature })).toBe(true);
+      expect(axios.get.mock.calls[0][1].params.date).toBe('01-11-2025');
+
+      const pdf = upload.uploadBuffer.mock.calls[0][0];
+      expect(pdf.equals(renderReceiptPdf({ document, signature }))).toBe(true);
+      expect(filesRepo.saveUploadedFile).toHaveBeenCalledWith(expect.objectContaining({ cid: 'QmJson', documentType: 'donation-receipt', mimeType: 'application/json' }));
+      expect(filesRepo.saveUploadedFile).toHaveBeenCalledWith(expect.objectContaining({ cid: 'QmPdf', documentType: 'donation-receipt', mimeType: 'application/pdf' }));
+      expect(receipt).toMatchObject({ donationId: DONATION_ID, jsonCid: 'QmJson', pdfCid: 'QmPdf', signature });
+    });
+
+    it('should leave out the fiat value when the price feed fails', async () => {
+      axios.get.mockRejectedValue(new Error('rate limited'));
+      donationsRepo.getDonationById.mockResolvedValue({ ...donation, timestamp: '2024-02-03T00:00:00.000Z' });
+      provider.getTransactionReceipt.mockResolvedValueOnce(null);
+
+      await issueReceipt(DONATION_ID, { provider });
+
+      const { document } = upload.uploadJSON.mock.calls[0][0];
+      expect(document.amount.fiat).toBeNull();
+      expect(document.transaction).toMatchObject({ blockNumber: null, timestamp: '2024-02-03T00:00:00.000Z' });
+    });
+
+    it('should mark anonymous donations without a wallet', async () => {
+      donationsRepo.getDonationById.mockResolvedValue({ ...donation, donorWallet: 'ANONYMOUS' });
+
+      await issueReceipt(DONATION_ID, { provider, blockNumber: 1234 });
+
+      expect(upload.uploadJSON.mock.calls[0][0].document.donor).toEqual({ anonymous: true, wallet: null });
+      expect(provider.getTransactionReceipt).not.toHaveBeenCalled();
+    });
+
+    it('should return an existing receipt without pinning again', async () => {
+      receiptsRepo.getReceiptByDonationId.mockResolvedValue({ donationId: DONATION_ID, jsonCid: 'QmOld' });
+
+      await expect(issueReceipt(DONATION_ID, { provider })).resolves.toMatchObject({ jsonCid: 'QmOld' });
+      expect(upload.uploadJSON).not.toHaveBeenCalled();
+    });
+
+    it('should pin once when issued twice at the same time', async () => {
+      await Promise.all([issueReceipt(DONATION_ID, { provider }), issueReceipt(DONATION_ID, { provider })]);
+
+      expect(upload.uploadJSON).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse donations that are not confirmed', async () => {
+      donationsRepo.getDonationById.mockResolvedValue({ ...donation, status: 'pending' });
+
+      await expect(issueReceipt(DONATION_ID, { provider })).rejects.toThrow(/not confirmed/);
+      expect(upload.uploadJSON).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('renderTextPdf', () => {
+    it('should produce a well-formed, deterministic PDF', () => {
+      const lines = ['Receipt (copy)', { text: 'x'.repeat(500), size: 9 }];
+      const pdf = renderTextPdf(lines, { title: 'Test' });
+      const text = pdf.toString('latin1');
+
+      expect(text.startsWith('%PDF-1.4')).toBe(true);
+      expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+      expect(text).toContain('(Receipt \\(copy\\)) Tj');
+      const startxref = Number(text.match(/startxref\n(\d+)/)[1]);
+      expect(text.slice(startxref, startxref + 4)).toBe('xref');
+      expect(renderTextPdf(lines, { title: 'Test' }).equals(pdf)).toBe(true);
+    });
+
+    it('should start a new page when the text runs past the bottom', () => {
+      const text = renderTextPdf(Array.from({ length: 80 }, (_, i) => `Line ${i}`)).toString('latin1');
+
+      expect(text).toContain('/Count 2');
+    });
+  });
+});
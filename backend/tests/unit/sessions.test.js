@@ -0,0 +1,92 @@
+/**
+ * Unit tests for refresh-token rotation and reuse detection
+ */
+
+const mockRows = [];
+
+jest.mock('../../db/repos/refreshTokens', () => ({
+  createRefreshToken: jest.fn(async ({ userId, familyId, tokenHash, expiresAt }) => {
+    const row = { id: `rt-${mockRows.length + 1}`, userId, familyId, tokenHash, expiresAt, rotatedAt: null, revokedAt: null };
+    mockRows.push(row);
+    return row;
+  }),
+  getByHash: jest.fn(async (hash) => mockRows.find((r) => r.tokenHash === hash) || null),
+  markRotated: jest.fn(async (id) => {
+    const row = mockRows.find((r) => r.id === id);
+    if (!row || row.rotatedAt || row.revokedAt) return false;
+    row.rotatedAt = new Date();
+    return true;
+  }),
+  revokeFamily: jest.fn(async (familyId) => {
+    mockRows.filter((r) => r.familyId === familyId).forEach((r) => {
+      r.revokedAt = r.revokedAt || new Date();
+    });
+  }),
+}));
+jest.mock('../../db/repos/roles', () => ({
+  listRoles: jest.fn(async () => ['donor']),
+}));
+jest.mock('../../db/repos/users', () => ({
+  getUserById: jest.fn(async (id) => ({ id, walletAddress: '0xabc', displayName: null })),
+}));
+
+const refreshTokensRepo = require('../../db/repos/refreshTokens');
+const { createMemoryAuthStore, setAuthStore } = require('../../utils/authStore');
+const { verifyToken } = require('../../utils/jwt');
+const { issueSession, rotateSession, endSession } = require('../../utils/sessions');
+
+describe('Sessions', () => {
+  const user = { id: 'user-1', walletAddress: '0xabc' };
+
+  beforeEach(() => {
+    mockRows.length = 0;
+    jest.clearAllMocks();
+    setAuthStore(createMemoryAuthStore());
+  });
+
+  afterAll(() => setAuthStore(null));
+
+  it('should issue an access token tied to a refresh-token family', async () => {
+    const session = await issueSession(user);
+    const claims = verifyToken(session.token);
+
+    expect(claims).toMatchObject({ userId: 'user-1', roles: ['donor'], sid: mockRows[0].familyId });
+    expect(mockRows[0].tokenHash).not.toBe(session.refreshToken);
+    expect(new Date(session.refreshExpiresAt).getTime()).toBeGreaterThan(new Date(session.expiresAt).getTime());
+  });
+
+  it('should rotate a refresh token within the same family', async () => {
+    const first = await issueSession(user);
+    const { session } = await rotateSession(first.refreshToken);
+
+    expect(session.refreshToken).not.toBe(first.refreshToken);
+    expect(mockRows).toHaveLength(2);
+    expect(mockRows[1].familyId).toBe(mockRows[0].familyId);
+    expect(mockRows[0].rotatedAt).toBeTruthy();
+  });
+
+  it('should revoke the family when a rotated token is reused', async () => {
+    const first = await issueSession(user);
+    const { session } = await rotateSession(first.refreshToken);
+
+    await expect(rotateSession(first.refreshToken)).rejects.toThrow(/already been used/);
+    expect(refreshTokensRepo.revokeFamily).toHaveBeenCalledWith(mockRows[0].familyId);
+    await expect(rotateSession(session.refreshToken)).rejects.toThrow(/already been used/);
+  });
+
+  it('should reject unknown and expired refresh tokens', async () => {
+    await expect(rotateSession('nope')).rejects.toThrow(/Invalid refresh token/);
+
+    const first = await issueSession(user);
+    mockRows[0].expiresAt = new Date(Date.now() - 1000);
+    await expect(rotateSession(first.refreshToken)).rejects.toThrow(/expired/);
+  });
+
+  it('should end a session from its refresh token', async () => {
+    const first = await issueSession(user);
+
+    expect(await endSession({ refreshToken: first.refreshToken })).toBe(true);
+    expect(mockRows[0].revokedAt).toBeTruthy();
+    expect(await endSession({ refreshToken: 'unknown' })).toBe(false);
+  });
+});
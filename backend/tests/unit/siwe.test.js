@@ -0,0 +1,109 @@
+/**
+ * Unit tests for Sign-In with Ethereum message handling
+ */
+
+const { ethers } = require('ethers');
+const {
+  SiweError,
+  generateNonce,
+  buildSiweMessage,
+  parseSiweMessage,
+  validateSiweMessage,
+} = require('../../utils/siwe');
+
+const wallet = new ethers.Wallet(`0x${'11'.repeat(32)}`);
+const NOW = Date.parse('2025-01-01T00:00:00.000Z');
+const expected = { domains: ['app.d3r.org'], chainId: 11155111, now: NOW };
+
+function fields(overrides = {}) {
+  return {
+    domain: 'app.d3r.org',
+    address: wallet.address,
+    statement: 'Sign in to D3R.',
+    uri: 'https://app.d3r.org',
+    version: '1',
+    chainId: 11155111,
+    nonce: 'abcdef0123456789',
+    issuedAt: '2025-01-01T00:00:00.000Z',
+    expirationTime: '2025-01-01T00:05:00.000Z',
+    ...overrides,
+  };
+}
+
+describe('SIWE', () => {
+  describe('generateNonce', () => {
+    it('should produce distinct alphanumeric nonces of at least 8 characters', () => {
+      const a = generateNonce();
+      const b = generateNonce();
+
+      expect(a).toMatch(/^[a-zA-Z0-9]{8,}$/);
+      expect(a).not.toBe(b);
+    });
+  });
+
+  describe('parseSiweMessage', () => {
+    it('should round-trip a built message', () => {
+      const parsed = parseSiweMessage(buildSiweMessage({ ...fields(), resources: ['ipfs://Qm1'] }));
+
+      expect(parsed).toMatchObject({
+        domain: 'app.d3r.org',
+        address: wallet.address,
+        statement: 'Sign in to D3R.',
+        uri: 'https://app.d3r.org',
+        version: '1',
+        chainId: '11155111',
+        nonce: 'abcdef0123456789',
+        expirationTime: '2025-01-01T00:05:00.000Z',
+        resources: ['ipfs://Qm1'],
+      });
+    });
+
+    it('should parse a message without a statement', () => {
+      const parsed = parseSiweMessage(buildSiweMessage(fields({ statement: null })));
+
+      expect(parsed.statement).toBeNull();
+      expect(parsed.nonce).toBe('abcdef0123456789');
+    });
+
+    it('should reject free-form messages', () => {
+      expect(() => parseSiweMessage('Sign in to D3R. Nonce: 123')).toThrow(SiweError);
+    });
+
+    it('should reject messages missing required fields', () => {
+      const message = buildSiweMessage(fields()).replace(/\nNonce: .*/, '');
+
+      expect(() => parseSiweMessage(message)).toThrow(/nonce/);
+    });
+  });
+
+  describe('validateSiweMessage', () => {
+    const validate = (overrides, opts = {}) =>
+      validateSiweMessage(parseSiweMessage(buildSiweMessage(fields(overrides))), { ...expected, ...opts });
+
+    it('should accept a valid message', () => {
+      expect(() => validate({})).not.toThrow();
+    });
+
+    it('should reject a foreign domain or mismatched URI', () => {
+      expect(() => validate({ domain: 'evil.example', uri: 'https://evil.example' })).toThrow(/Domain/);
+      expect(() => validate({ uri: 'https://evil.example' })).toThrow(/URI/);
+    });
+
+    it('should reject the wrong chain', () => {
+      expect(() => validate({ chainId: 1 })).toThrow(/Chain ID/);
+    });
+
+    it('should reject expired or unexpiring messages', () => {
+      expect(() => validate({}, { now: NOW + 10 * 60 * 1000 })).toThrow(/expired/);
+      expect(() => validate({ expirationTime: null })).toThrow(/Expiration Time/);
+    });
+
+    it('should reject a non-checksummed address', () => {
+      expect(() => validate({ address: wallet.address.toLowerCase() })).toThrow(/checksum/);
+    });
+
+    it('should reject a nonce other than the one issued', () => {
+      expect(() => validate({}, { nonce: 'zzzzzzzzzzzz' })).toThrow(/Nonce mismatch/);
+    });
+  });
+});
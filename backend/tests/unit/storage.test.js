@@ -0,0 +1,159 @@
+/**
+ * Unit tests for storage providers and UnixFS hashing
+ */
+
+jest.mock('axios');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { hashFile, hashDirectory } = require('../../storage/unixfs');
+const { createLocalProvider } = require('../../storage/local');
+const { createIpfsHttpProvider } = require('../../storage/ipfsHttp');
+const { createStorageProvider } = require('../../storage');
+
+const HELLO_V0 = 'Qmf412jQZiuVUtdgnB36FXFX7xg5V6KEbSJ4dpQuhkLyfD';
+
+describe('Storage', () => {
+  let tmp;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'd3r-storage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  describe('unixfs', () => {
+    // Reference CIDs from `ipfs add` / `ipfs add --cid-version 1`
+    it('should match ipfs add for small files', () => {
+      expect(hashFile(Buffer.from('')).cid).toBe('QmbFMke1KXqnYyBBWxB74N4c5SBnJMVAiMNRcGu6x1AwQH');
+      expect(hashFile(Buffer.from('hello world'))).toEqual({ cid: HELLO_V0, size: 19 });
+      expect(hashFile(Buffer.from('hello world\n')).cid).toBe('QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o');
+      expect(hashFile(Buffer.from('hello world'), { cidVersion: 1 }).cid).toBe('bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e');
+    });
+
+    it('should match ipfs add for an empty directory', () => {
+      expect(hashDirectory(tmp).cid).toBe('QmUNLLsPACCz1vLxQVkXqqLX5R1X345qqfHbsf67hvA3Nn');
+      expect(hashDirectory(tmp, { cidVersion: 1 }).cid).toBe('bafybeiczsscdsbs7ffqz55asqdf3smv6klcw3gofszvwlyarci47bgf354');
+    });
+
+    it('should chunk large files into a DAG', () => {
+      const big = Buffer.alloc(600000, 1);
+      const v0 = hashFile(big);
+      const v1 = hashFile(big, { cidVersion: 1 });
+
+      expect(v0.cid).toMatch(/^Qm/);
+      expect(v1.cid).toMatch(/^bafybei/);
+      expect(v0.size).toBeGreaterThan(big.length);
+      expect(hashFile(Buffer.alloc(600000, 2)).cid).not.toBe(v0.cid);
+    });
+  });
+
+  describe('local provider', () => {
+    const gateway = 'http://localhost:5000/ipfs/';
+    let provider;
+
+    beforeEach(() => {
+      provider = createLocalProvider({ root: path.join(tmp, 'store'), gateway });
+    });
+
+    it('should store files under their CID', async () => {
+      const file = path.join(tmp, 'hello.txt');
+      fs.writeFileSync(file, 'hello world');
+
+      const fromPath = await provider.pinFile(file, { name: 'hello', metadata: { documentType: 'milestone-proof' } });
+      const fromBuffer = await provider.pinFile(Buffer.from('hello world'));
+
+      expect(fromPath).toEqual({ cid: HELLO_V0, size: 19 });
+      expect(fromBuffer.cid).toBe(HELLO_V0);
+      expect(fs.readFileSync(path.join(tmp, 'store', HELLO_V0), 'utf8')).toBe('hello world');
+      expect(provider.gatewayUrl(HELLO_V0)).toBe(`${gateway}${HELLO_V0}`);
+      await expect(provider.status()).resolves.toEqual({ ok: true, service: 'local', pins: 1 });
+    });
+
+    it('should pin JSON as its serialised bytes', async () => {
+      const body = { a: 1 };
+
+      const { cid } = await provider.pinJSON(body);
+
+      expect(cid).toBe(hashFile(Buffer.from(JSON.stringify(body))).cid);
+    });
+
+    it('should copy directories under the directory CID', async () => {
+      const dir = path.join(tmp, 'docs');
+      fs.mkdirSync(path.join(dir, 'nested'), { recursive: true });
+      fs.writeFileSync(path.join(dir, 'a.txt'), 'a');
+      fs.writeFileSync(path.join(dir, 'nested', 'b.txt'), 'b');
+
+      const { cid } = await provider.pinDirectory(dir);
+
+      expect(cid).toBe(hashDirectory(dir).cid);
+      expect(fs.readFileSync(path.join(tmp, 'store', cid, 'nested', 'b.txt'), 'utf8')).toBe('b');
+    });
+
+    it('should remove content on unpin', async () => {
+      const { cid } = await provider.pinFile(Buffer.from('gone soon'));
+
+      await provider.unpin(cid);
+
+      expect(fs.existsSync(path.join(tmp, 'store', cid))).toBe(false);
+      await expect(provider.unpin(cid)).rejects.toThrow(/not pinned/);
+    });
+  });
+
+  describe('ipfs provider', () => {
+    const provider = createIpfsHttpProvider({ apiUrl: 'http://ipfs.test:5001', authorization: 'Bearer t', gateway: 'http://gw.test/ipfs' });
+
+    it('should add files and return the reported CID', async () => {
+      axios.post.mockResolvedValue({ data: `${JSON.stringify({ Name: 'r.pdf', Hash: 'QmFile', Size: '42' })}\n` });
+
+      await expect(provider.pinFile(Buffer.from('pdf'), { name: 'r.pdf' })).resolves.toEqual({ cid: 'QmFile', size: 42 });
+      const [url, form, config] = axios.post.mock.calls[0];
+      expect(url).toBe('http://ipfs.test:5001/api/v0/add');
+      expect(form.getAll('file')).toHaveLength(1);
+      expect(config).toMatchObject({ params: { pin: true, 'cid-version': 0 }, headers: { Authorization: 'Bearer t' } });
+    });
+
+    it('should pick the directory entry when adding a directory', async () => {
+      const dir = path.join(tmp, 'evidence');
+      fs.mkdirSync(dir);
+      fs.writeFileSync(path.join(dir, 'a.txt'), 'a');
+      axios.post.mockResolvedValue({
+        data: [
+          { Name: 'evidence/a.txt', Hash: 'QmA', Size: '9' },
+          { Name: 'evidence', Hash: 'QmDir', Size: '60' },
+        ].map((e) => JSON.stringify(e)).join('\n'),
+      });
+
+      await expect(provider.pinDirectory(dir)).resolves.toEqual({ cid: 'QmDir', size: 60 });
+      expect(axios.post.mock.calls[0][1].getAll('file')).toHaveLength(2);
+    });
+
+    it('should unpin, report status and build gateway URLs', async () => {
+      axios.post.mockResolvedValueOnce({ data: '{}' }).mockResolvedValueOnce({ data: '{"Version":"0.29.0"}' });
+
+      await provider.unpin('QmOld');
+      await expect(provider.status()).resolves.toEqual({ ok: true, service: 'IPFS', version: '0.29.0' });
+      expect(axios.post.mock.calls[0][2].params).toEqual({ arg: 'QmOld' });
+      expect(provider.gatewayUrl('QmX')).toBe('http://gw.test/ipfs/QmX');
+    });
+  });
+
+  describe('createStorageProvider', () => {
+    it('should create providers by name and reject unknown ones', () => {
+      expect(createStorageProvider('local', { root: tmp }).name).toBe('local');
+      expect(createStorageProvider('pinata').name).toBe('pinata');
+      expect(() => createStorageProvider('s3')).toThrow(/Unknown STORAGE_PROVIDER/);
+    });
+
+    it('should not need Pinata credentials until something is pinned', async () => {
+      const provider = createStorageProvider('pinata', { apiKey: '', secretKey: '' });
+
+      await expect(provider.pinJSON({})).rejects.toThrow(/PINATA_API_KEY/);
+    });
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Unit tests for webhook signing, retries and event emission
+ */
+
+const crypto = require('crypto');
+
+jest.mock('../../db/client', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+
+const db = require('../../db/client');
+const webhooksRepo = require('../../db/repos/webhooks');
+const milestonesRepo = require('../../db/repos/milestones');
+const campaignsRepo = require('../../db/repos/campaigns');
+const {
+  signPayload,
+  signatureHeader,
+  retryDelayMs,
+  buildBody,
+  deliver,
+  createWebhookDispatcher,
+} = require('../../utils/webhooks');
+
+const SECRET = 'whsec_test';
+
+const delivery = {
+  id: 'd1',
+  attempts: 1,
+  subscriptionId: 's1',
+  url: 'https://crm.example/hooks/d3r',
+  secret: SECRET,
+  eventId: 'e1',
+  eventType: 'donation.confirmed',
+  payload: { donationId: 'don1', amount: '0.5' },
+  eventCreatedAt: '2025-11-13T10:00:00.000Z',
+};
+
+// pg client that answers queries in order and records them
+function clientMock(results = []) {
+  const client = { queries: [], release: jest.fn() };
+  client.query = jest.fn(async (sql, params) => {
+    client.queries.push({ sql: sql.trim(), params });
+    if (/^(BEGIN|COMMIT|ROLLBACK)/.test(sql.trim())) return { rows: [] };
+    return results.shift() || { rows: [], rowCount: 0 };
+  });
+  return client;
+}
+
+describe('webhooks', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    db.query.mockReset();
+    db.pool.connect.mockReset();
+  });
+
+  describe('signing', () => {
+    it('should sign the timestamp and raw body with the subscription secret', () => {
+      const body = '{"a":1}';
+      const expected = crypto.createHmac('sha256', SECRET).update(`1700000000.${body}`).digest('hex');
+
+      expect(signPayload(SECRET, 1700000000, body)).toBe(expected);
+      expect(signatureHeader(SECRET, 1700000000, body)).toBe(`t=1700000000,v1=${expected}`);
+    });
+  });
+
+  describe('retryDelayMs', () => {
+    it('should double the delay with every attempt up to the cap', () => {
+      const options = { baseMs: 1000, maxMs: 5000 };
+
+      expect([1, 2, 3, 4].map((attempt) => retryDelayMs(attempt, options))).toEqual([1000, 2000, 4000, 5000]);
+    });
+  });
+
+  describe('deliver', () => {
+    it('should POST the signed event and treat 2xx as delivered', async () => {
+      const post = jest.fn().mockResolvedValue({ status: 204 });
+
+      const outcome = await deliver(delivery, { post, now: () => 1700000000000 });
+
+      const body = buildBody(delivery);
+      expect(JSON.parse(body)).toEqual({ id: 'e1', type: 'donation.confirmed', createdAt: delivery.eventCreatedAt, data: delivery.payload });
+      expect(post).toHaveBeenCalledWith(delivery.url, body, expect.objectContaining({
+        headers: expect.objectContaining({
+          'X-D3R-Event': 'donation.confirmed',
+          'X-D3R-Delivery': 'd1',
+          'X-D3R-Signature': signatureHeader(SECRET, 1700000000, body),
+        }),
+      }));
+      expect(outcome).toEqual({ ok: true, responseStatus: 204, error: null, durationMs: 0 });
+    });
+
+    it('should report non-2xx responses and network errors as failures', async () => {
+      await expect(deliver(delivery, { post: jest.fn().mockResolvedValue({ status: 500 }) }))
+        .resolves.toMatchObject({ ok: false, responseStatus: 500, error: 'HTTP 500' });
+      await expect(deliver(delivery, { post: jest.fn().mockRejectedValue(new Error('timeout of 10000ms exceeded')) }))
+        .resolves.toMatchObject({ ok: false, responseStatus: null, error: 'timeout of 10000ms exceeded' });
+    });
+  });
+
+  describe('createWebhookDispatcher', () => {
+    beforeEach(() => {
+      jest.spyOn(webhooksRepo, 'recordAttempt').mockResolvedValue();
+    });
+
+    it('should record successful deliveries as delivered', async () => {
+      jest.spyOn(webhooksRepo, 'claimDueDeliveries').mockResolvedValue([delivery]);
+      const dispatcher = createWebhookDispatcher({ post: jest.fn().mockResolvedValue({ status: 200 }), batchSize: 5, staleMs: 1000 });
+
+      await dispatcher.check();
+
+      expect(webhooksRepo.claimDueDeliveries).toHaveBeenCalledWith({ limit: 5, staleMs: 1000 });
+      expect(webhooksRepo.recordAttempt).toHaveBeenCalledWith(expect.objectContaining({
+        id: 'd1', attempt: 1, status: 'delivered', responseStatus: 200, nextAttemptAt: null,
+      }));
+    });
+
+    it('should schedule a retry with backoff after a failed attempt', async () => {
+      jest.spyOn(webhooksRepo, 'claimDueDeliveries').mockResolvedValue([{ ...delivery, attempts: 3 }]);
+      const dispatcher = createWebhookDispatcher({ post: jest.fn().mockResolvedValue({ status: 503 }), retryBaseMs: 1000, maxAttempts: 5 });
+      const before = Date.now();
+
+      await dispatcher.check();
+
+      const [[recorded]] = webhooksRepo.recordAttempt.mock.calls;
+      expect(recorded).toMatchObject({ attempt: 3, status: 'pending', responseStatus: 503, error: 'HTTP 503' });
+      expect(recorded.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 4000);
+    });
+
+    it('should dead-letter a delivery that used its last attempt', async () => {
+      jest.spyOn(webhooksRepo, 'claimDueDeliveries').mockResolvedValue([{ ...delivery, attempts: 5 }]);
+      const dispatcher = createWebhookDispatcher({ post: jest.fn().mockRejectedValue(new Error('ECONNREFUSED')), maxAttempts: 5 });
+
+      await dispatcher.check();
+
+      expect(webhooksRepo.recordAttempt).toHaveBeenCalledWith(expect.objectContaining({ status: 'dead', error: 'ECONNREFUSED', nextAttemptAt: null }));
+    });
+
+    it('should not start a second sweep while one is running', async () => {
+      jest.spyOn(webhooksRepo, 'claimDueDeliveries').mockResolvedValue([]);
+      const dispatcher = createWebhookDispatcher({});
+
+      await Promise.all([dispatcher.check(), dispatcher.check()]);
+
+      expect(webhooksRepo.claimDueDeliveries).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('withEvent', () => {
+    it('should record the event in the same transaction as the write', async () => {
+      const client = clientMock();
+      db.pool.connect.mockResolvedValue(client);
+
+      const result = await webhooksRepo.withEvent(async () => ({ result: 'ok', event: { type: 'campaign.cancelled', data: { campaignId: 'c1' } } }));
+
+      expect(result).toBe('ok');
+      expect(client.queries.map((q) => q.sql.split(/\s/)[0])).toEqual(['BEGIN', 'WITH', 'COMMIT']);
+      expect(client.queries[1].params.slice(1)).toEqual(['campaign.cancelled', JSON.stringify({ campaignId: 'c1' })]);
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('should record every event of a write that affects several rows', async () => {
+      const client = clientMock([{ rows: [{ id: 'c1' }, { id: 'c2' }] }]);
+      db.pool.connect.mockResolvedValue(client);
+
+      const activated = await campaignsRepo.settlePendingForDisaster({ disasterId: 'd1', status: 'active' });
+
+      expect(activated).toEqual(['c1', 'c2']);
+      const emitted = client.queries.filter((q) => q.sql.startsWith('WITH'));
+      expect(emitted.map((q) => JSON.parse(q.params[2]).campaignId)).toEqual(['c1', 'c2']);
+      expect(emitted[0].params[1]).toBe('campaign.status_changed');
+    });
+
+    it('should roll back the write when recording the event fails', async () => {
+      const client = clientMock();
+      client.query.mockImplementation(async (sql) => {
+        if (sql.trim().startsWith('WITH')) throw new Error('relation "webhookevents" does not exist');
+        return { rows: [] };
+      });
+      db.pool.connect.mockResolvedValue(client);
+
+      await expect(webhooksRepo.withEvent(async () => ({ result: 1, event: { type: 'funds.released', data: {} } })))
+        .rejects.toThrow('webhookevents');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+  });
+
+  describe('markReleased', () => {
+    const released = {
+      id: 'm1', campaignId: 'c1', fundAmount: '1.5', onChainIndex: 0, releasedAt: '2025-11-13T10:00:00.000Z',
+      releaseTxHash: '0xf1', releaseBlockNumber: 7, releaseGasUsed: null,
+    };
+
+    it('should emit funds.released on the first release', async () => {
+      const client = clientMock([{ rows: [{ ...released, firstRelease: true }] }]);
+      db.pool.connect.mockResolvedValue(client);
+
+      const result = await milestonesRepo.markReleased({ id: 'm1', txHash: '0xf1', blockNumber: 7 });
+
+      expect(result).toEqual({ id: 'm1', releasedAt: released.releasedAt, releaseTxHash: '0xf1', releaseBlockNumber: 7, releaseGasUsed: null });
+      const emitted = client.queries.find((q) => q.sql.startsWith('WITH'));
+      expect(emitted.params[1]).toBe('funds.released');
+      expect(JSON.parse(emitted.params[2])).toMatchObject({ milestoneId: 'm1', campaignId: 'c1', txHash: '0xf1', blockNumber: 7 });
+    });
+
+    it('should not emit again when the release was already recorded', async () => {
+      const client = clientMock([{ rows: [{ ...released, firstRelease: false }] }]);
+      db.pool.connect.mockResolvedValue(client);
+
+      await milestonesRepo.markReleased({ id: 'm1', txHash: '0xf1', blockNumber: 7 });
+
+      expect(client.queries.some((q) => q.sql.startsWith('WITH'))).toBe(false);
+    });
+  });
+});
@@ -1,14 +1,7 @@
 require('dotenv').config();
-const pinataSDK = require('@pinata/sdk');
-const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-
-// Initialize Pinata client
-const pinata = new pinataSDK(
-    process.env.PINATA_API_KEY,
-    process.env.PINATA_SECRET_KEY
-);
+const { getStorageProvider } = require('./storage');
 
 // Document types for metadata
 const DOCUMENT_TYPES = {
@@ -19,118 +12,98 @@ const DOCUMENT_TYPES = {
 };
 
 /**
- * Test the Pinata connection
+ * Build pin options shared by every upload
+ * @param {string} documentType - Type of document (use DOCUMENT_TYPES)
+ * @param {string} [fileName] - Original file name, appended to the pin name
+ * @param {Object} metadata - Additional metadata to include
  */
-async function testPinataConnection() {
-    try {
-        const result = await pinata.testAuthentication();
-        console.log('Pinata connection successful:', result);
-        return result;
-    } catch (error) {
-        console.error('Pinata connection failed:', error);
-        throw error;
-    }
+function pinOptions(documentType, fileName, metadata = {}) {
+    const suffix = fileName ? `-${fileName}` : '';
+    return {
+        name: `${documentType}-${uuidv4().substring(0, 8)}${suffix}`,
+        metadata: {
+            documentType,
+            timestamp: new Date().toISOString(),
+            ...metadata
+        }
+    };
 }
 
 /**
- * Upload a single file to Pinata/IPFS
+ * Check that the configured storage provider is reachable
+ * @returns {Promise<Object>} - { ok, service, ... }
+ */
+async function testStorageConnection() {
+    return getStorageProvider().status();
+}
+
+/**
+ * Upload a single file to IPFS through the configured storage provider
  * @param {string} filePath - Path to the file
  * @param {string} documentType - Type of document (use DOCUMENT_TYPES)
  * @param {Object} metadata - Additional metadata to include
- * @returns {Promise<Object>} - Pinata response with IPFS hash
+ * @returns {Promise<Object>} - { cid, size }
  */
-async function uploadFileToPinata(filePath, documentType, metadata = {}) {
-    try {
-        if (!fs.existsSync(filePath)) {
-            throw new Error(`File does not exist: ${filePath}`);
-        }
+async function uploadFile(filePath, documentType, metadata = {}) {
+    return getStorageProvider().pinFile(filePath, pinOptions(documentType, path.basename(filePath), metadata));
+}
 
-        const readableStreamForFile = fs.createReadStream(filePath);
-        const fileName = path.basename(filePath);
-        
-        const options = {
-            pinataMetadata: {
-                name: `${documentType}-${uuidv4().substring(0, 8)}-${fileName}`,
-                keyvalues: {
-                    documentType,
-                    timestamp: new Date().toISOString(),
-                    ...metadata
-                }
-            },
-            pinataOptions: {
-                cidVersion: 0
-            }
-        };
+/**
+ * Upload an in-memory file (e.g. a generated document) to IPFS
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileName - Name to pin the file under
+ * @param {string} documentType - Type of document (use DOCUMENT_TYPES)
+ * @param {Object} metadata - Additional metadata to include
+ * @returns {Promise<Object>} - { cid, size }
+ */
+async function uploadBuffer(buffer, fileName, documentType, metadata = {}) {
+    return getStorageProvider().pinFile(buffer, pinOptions(documentType, fileName, metadata));
+}
 
-        console.log(`Uploading file ${fileName} to IPFS...`);
-        const result = await pinata.pinFileToIPFS(readableStreamForFile, options);
-        console.log(`File uploaded with hash: ${result.IpfsHash}`);
-        
-        return result;
-    } catch (error) {
-        console.error('Error uploading file to Pinata:', error);
-        throw error;
-    }
+/**
+ * Pin a JSON document to IPFS
+ * @param {Object} body - JSON-serialisable document
+ * @param {string} documentType - Type of document (use DOCUMENT_TYPES)
+ * @param {Object} metadata - Additional metadata to include
+ * @returns {Promise<Object>} - { cid, size }
+ */
+async function uploadJSON(body, documentType, metadata = {}) {
+    return getStorageProvider().pinJSON(body, pinOptions(documentType, 'document.json', metadata));
 }
 
 /**
- * Upload a directory to Pinata/IPFS
+ * Upload a directory to IPFS
  * @param {string} directoryPath - Path to the directory
  * @param {string} documentType - Type of document (use DOCUMENT_TYPES)
  * @param {Object} metadata - Additional metadata to include
- * @returns {Promise<Object>} - Pinata response with IPFS hash
+ * @returns {Promise<Object>} - { cid, size }
  */
-async function uploadDirectoryToPinata(directoryPath, documentType, metadata = {}) {
-    try {
-        if (!fs.existsSync(directoryPath)) {
-            throw new Error(`Directory does not exist: ${directoryPath}`);
-        }
-
-        const options = {
-            pinataMetadata: {
-                name: `${documentType}-${uuidv4().substring(0, 8)}`,
-                keyvalues: {
-                    documentType,
-                    timestamp: new Date().toISOString(),
-                    ...metadata
-                }
-            },
-            pinataOptions: {
-                cidVersion: 0
-            }
-        };
-
-        console.log(`Uploading directory ${directoryPath} to IPFS...`);
-        const result = await pinata.pinFromFS(directoryPath, options);
-        console.log(`Directory uploaded with hash: ${result.IpfsHash}`);
-        
-        return result;
-    } catch (error) {
-        console.error('Error uploading directory to Pinata:', error);
-        throw error;
-    }
+async function uploadDirectory(directoryPath, documentType, metadata = {}) {
+    return getStorageProvider().pinDirectory(directoryPath, pinOptions(documentType, null, metadata));
 }
 
 /**
  * Get a URL for an IPFS hash that can be used in a browser
- * @param {string} ipfsHash - The IPFS hash (CID)
+ * @param {string} cid - The IPFS hash (CID)
  * @returns {string} - URL to access the content
  */
-function getIPFSUrl(ipfsHash) {
-    return `${process.env.IPFS_GATEWAY}${ipfsHash}`;
+function getIPFSUrl(cid) {
+    return getStorageProvider().gatewayUrl(cid);
 }
 
 module.exports = {
     DOCUMENT_TYPES,
-    testPinataConnection,
-    uploadFileToPinata,
-    uploadDirectoryToPinata,
+    testStorageConnection,
+    uploadFile,
+    uploadBuffer,
+    uploadJSON,
+    uploadDirectory,
     getIPFSUrl
 };
 
-// When run directly, test the Pinata connection
+// When run directly, test the storage connection
 if (require.main === module) {
-    testPinataConnection()
-        .then(() => console.log('Pinata connection test complete'))
-        .catch(() => console.error('Pinata connection test failed'));
+    testStorageConnection()
+        .then((status) => console.log('Storage connection test complete:', status))
+        .catch((err) => console.error('Storage connection test failed:', err.message));
 }
@@ -0,0 +1,96 @@
+/**
+ * Nonce and session store for wallet authentication
+ * Both implementations expose the same async interface:
+ *   saveNonce({ nonce, walletAddress, expiresAt })
+ *   consumeNonce(nonce)        -> { nonce, walletAddress, expiresAt } | null, at most once per nonce
+ *   saveToken({ jti, userId, expiresAt })
+ *   revokeToken({ jti, userId, expiresAt }) -> { revokedAt }
+ *   isTokenRevoked(jti)
+ *   pruneExpired()
+ * Select one with AUTH_STORE=memory|postgres. The memory store is per-process
+ * and only suitable for a single instance or tests.
+ */
+
+const logger = require('./logger');
+
+function createMemoryAuthStore({ now = () => Date.now() } = {}) {
+  const nonces = new Map();
+  const tokens = new Map();
+
+  async function saveNonce({ nonce, walletAddress, expiresAt }) {
+    nonces.set(nonce, { nonce, walletAddress, expiresAt: new Date(expiresAt) });
+  }
+
+  // get + delete run without yielding, so concurrent callers cannot both see the entry
+  async function consumeNonce(nonce) {
+    const entry = nonces.get(nonce);
+    nonces.delete(nonce);
+    if (!entry || entry.expiresAt.getTime() <= now()) return null;
+    return entry;
+  }
+
+  async function saveToken({ jti, userId, expiresAt }) {
+    if (!tokens.has(jti)) tokens.set(jti, { userId, expiresAt: new Date(expiresAt), revokedAt: null });
+  }
+
+  async function revokeToken({ jti, userId, expiresAt }) {
+    const entry = tokens.get(jti) || { userId, expiresAt: new Date(expiresAt), revokedAt: null };
+    if (!entry.revokedAt) entry.revokedAt = new Date(now());
+    tokens.set(jti, entry);
+    return { revokedAt: entry.revokedAt };
+  }
+
+  async function isTokenRevoked(jti) {
+    const entry = tokens.get(jti);
+    return Boolean(entry && entry.revokedAt);
+  }
+
+  async function pruneExpired() {
+    let removed = 0;
+    for (const map of [nonces, tokens]) {
+      for (const [key, entry] of map.entries()) {
+        if (entry.expiresAt.getTime() <= now()) {
+          map.delete(key);
+          removed += 1;
+        }
+      }
+    }
+    return removed;
+  }
+
+  return { saveNonce, consumeNonce, saveToken, revokeToken, isTokenRevoked, pruneExpired };
+}
+
+function createPostgresAuthStore({ repo = require('../db/repos/auth') } = {}) {
+  return {
+    saveNonce: repo.saveNonce,
+    consumeNonce: repo.consumeNonce,
+    saveToken: repo.saveToken,
+    revokeToken: repo.revokeToken,
+    isTokenRevoked: repo.isTokenRevoked,
+    pruneExpired: repo.deleteExpired,
+  };
+}
+
+let store = null;
+
+function getAuthStore() {
+  if (store) return store;
+  const kind = process.env.AUTH_STORE || (process.env.NODE_ENV === 'test' ? 'memory' : 'postgres');
+  if (kind === 'memory') {
+    store = createMemoryAuthStore();
+  } else if (kind === 'postgres') {
+    store = createPostgresAuthStore();
+  } else {
+    throw new Error(`Unknown AUTH_STORE: ${kind}`);
+  }
+  logger.info('Auth store initialised', { store: kind });
+  return store;
+}
+
+// Tests swap in their own store
+function setAuthStore(next) {
+  store = next;
+}
+
+module.exports = { createMemoryAuthStore, createPostgresAuthStore, getAuthStore, setAuthStore };
@@ -0,0 +1,76 @@
+/**
+ * Disaster verification gate for campaigns
+ * A campaign that references a disaster goes live only once the oracle has
+ * verified the disaster with at least DISASTER_MIN_CONFIDENCE. Until then it
+ * waits in pending_verification; the oracle result activates or rejects it.
+ */
+
+require('dotenv').config();
+const disastersRepo = require('../db/repos/disasters');
+const campaignsRepo = require('../db/repos/campaigns');
+const { ValidationError } = require('./errorHandler');
+const logger = require('./logger');
+
+function getMinConfidence() {
+  return Number(process.env.DISASTER_MIN_CONFIDENCE || '70');
+}
+
+function meetsThreshold(verification, minConfidence = getMinConfidence()) {
+  return verification.status === 'verified' && Number(verification.confidence) >= minConfidence;
+}
+
+// The oracle answered and the answer is final (as opposed to a timeout, which can be retried)
+function isRejected(verification, minConfidence = getMinConfidence()) {
+  if (verification.status === 'verified') return !meetsThreshold(verification, minConfidence);
+  return verification.status === 'failed' && Boolean(verification.resultTxHash);
+}
+
+// Adds the threshold to a campaign's disasterVerification so clients can tell a low-confidence result apart
+function withMinConfidence(campaign) {
+  if (!campaign || !campaign.disasterVerification) return campaign;
+  return { ...campaign, disasterVerification: { ...campaign.disasterVerification, minConfidence: getMinConfidence() } };
+}
+
+/**
+ * Status a new campaign for this disaster starts in
+ * @param {string|null} disasterId
+ * @returns {Promise<string>} - 'active' or 'pending_verification'
+ * @throws {ValidationError} when the disaster was never submitted or the oracle rejected it
+ */
+async function campaignStatusFor(disasterId) {
+  if (!disasterId) return 'active';
+  const verification = await disastersRepo.getVerification(disasterId);
+  if (!verification) {
+    throw new ValidationError(`Disaster ${disasterId} has not been submitted for verification`);
+  }
+  const minConfidence = getMinConfidence();
+  if (meetsThreshold(verification, minConfidence)) return 'active';
+  if (isRejected(verification, minConfidence)) {
+    throw new ValidationError(
+      `Disaster ${disasterId} was not verified with at least ${minConfidence}% confidence`
+    );
+  }
+  return 'pending_verification';
+}
+
+/**
+ * Activate or reject the campaigns waiting on a disaster once its oracle result is in
+ * @param {Object} verification - DisasterVerifications row
+ * @returns {Promise<Object>} - { activated, rejected } campaign ids
+ */
+async function settleCampaigns(verification) {
+  const { disasterId } = verification;
+  if (meetsThreshold(verification)) {
+    const activated = await campaignsRepo.settlePendingForDisaster({ disasterId, status: 'active' });
+    if (activated.length) logger.info('Campaigns activated by disaster verification', { disasterId, campaigns: activated });
+    return { activated, rejected: [] };
+  }
+  if (isRejected(verification)) {
+    const rejected = await campaignsRepo.settlePendingForDisaster({ disasterId, status: 'rejected' });
+    if (rejected.length) logger.warn('Campaigns rejected by disaster verification', { disasterId, campaigns: rejected });
+    return { activated: [], rejected };
+  }
+  return { activated: [], rejected: [] };
+}
+
+module.exports = { getMinConfidence, meetsThreshold, withMinConfidence, campaignStatusFor, settleCampaigns };
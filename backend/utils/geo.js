@@ -0,0 +1,51 @@
+/**
+ * GeoJSON checks for disaster locations
+ * Coordinates are [longitude, latitude] in WGS84, as GeoJSON and PostGIS expect.
+ */
+
+const isNumber = (n) => typeof n === 'number' && Number.isFinite(n);
+
+function isPosition(position) {
+  return Array.isArray(position)
+    && position.length >= 2
+    && isNumber(position[0]) && position[0] >= -180 && position[0] <= 180
+    && isNumber(position[1]) && position[1] >= -90 && position[1] <= 90;
+}
+
+// A closed ring of at least four positions
+function isLinearRing(ring) {
+  if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isPosition)) return false;
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  return first[0] === last[0] && first[1] === last[1];
+}
+
+const isPolygonCoordinates = (rings) => Array.isArray(rings) && rings.length > 0 && rings.every(isLinearRing);
+
+function isPoint(geometry) {
+  return Boolean(geometry) && geometry.type === 'Point' && isPosition(geometry.coordinates);
+}
+
+function isArea(geometry) {
+  if (!geometry) return false;
+  if (geometry.type === 'Polygon') return isPolygonCoordinates(geometry.coordinates);
+  if (geometry.type === 'MultiPolygon') {
+    return Array.isArray(geometry.coordinates) && geometry.coordinates.length > 0 && geometry.coordinates.every(isPolygonCoordinates);
+  }
+  return false;
+}
+
+/**
+ * Parse a "minLon,minLat,maxLon,maxLat" bounding box
+ * @param {string} value
+ * @returns {number[]|null} - [minLon, minLat, maxLon, maxLat], or null when malformed
+ */
+function parseBbox(value) {
+  const parts = String(value).split(',').map((p) => Number(p.trim()));
+  if (parts.length !== 4 || !parts.every(isNumber)) return null;
+  const [minLon, minLat, maxLon, maxLat] = parts;
+  if (!isPosition([minLon, minLat]) || !isPosition([maxLon, maxLat])) return null;
+  if (minLon > maxLon || minLat > maxLat) return null;
+  return parts;
+}
+
+module.exports = { isPoint, isArea, parseBbox };
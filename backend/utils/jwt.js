@@ -1,10 +1,27 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const JWT_EXPIRY = process.env.JWT_EXPIRY || '7d';
+const DEV_SECRET = 'your-secret-key-change-in-production';
+const JWT_SECRET = process.env.JWT_SECRET || DEV_SECRET;
+// Access tokens are short-lived; sessions are extended with refresh tokens
+const JWT_EXPIRY = process.env.JWT_EXPIRY || '15m';
+const REFRESH_TOKEN_TTL_MS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10) * 24 * 60 * 60 * 1000;
+
+if (JWT_SECRET === DEV_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('JWT_SECRET must be set in production');
+}
+
+// Every token carries a unique jti so it can be revoked individually
+function issueToken(payload) {
+  const jti = uuidv4();
+  const token = jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRY, jwtid: jti });
+  const { exp } = jwt.decode(token);
+  return { token, jti, expiresAt: new Date(exp * 1000) };
+}
 
 function generateToken(payload) {
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRY });
+  return issueToken(payload).token;
 }
 
 function verifyToken(token) {
@@ -15,7 +32,20 @@ function verifyToken(token) {
   }
 }
 
+// Opaque refresh token; only its hash is persisted
+function generateRefreshToken() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS) };
+}
+
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
 module.exports = {
+  issueToken,
   generateToken,
   verifyToken,
+  generateRefreshToken,
+  hashRefreshToken,
 };
@@ -0,0 +1,41 @@
+/**
+ * Milestone budget rules
+ * A campaign's milestones may allocate up to the larger of its target and the
+ * amount raised. Funds are released in milestone order, and never beyond what
+ * the campaign has raised. Amounts are ETH decimals compared at wei precision.
+ */
+
+const { ethers } = require('ethers');
+
+// ETH amount with at most 18 decimals
+const AMOUNT_PATTERN = /^\d+(\.\d{1,18})?$/;
+
+const toWei = (amount) => ethers.utils.parseUnits(String(amount), 18);
+
+const trim = (amount) => ethers.utils.formatUnits(toWei(amount), 18).replace(/\.0$/, '');
+
+/**
+ * Why a new milestone of `fundAmount` does not fit the budget
+ * @param {Object} budget - from milestonesRepo.getBudget
+ * @param {string} fundAmount
+ * @returns {string|null} - null when it fits
+ */
+function allocationError(budget, fundAmount) {
+  if (toWei(fundAmount).lte(toWei(budget.unallocatedAmount))) return null;
+  const unallocated = toWei(budget.unallocatedAmount).lt(0) ? '0' : trim(budget.unallocatedAmount);
+  return `Milestone amount ${trim(fundAmount)} exceeds the campaign's unallocated budget of ${unallocated} `
+    + `(target ${trim(budget.targetAmount)}, raised ${trim(budget.raisedAmount)}, allocated ${trim(budget.allocatedAmount)})`;
+}
+
+/**
+ * Why releasing the milestone would take out more than the campaign raised
+ * @returns {string|null} - null when the raised funds cover it
+ */
+function releaseError(budget, milestone) {
+  const total = toWei(budget.releasedAmount).add(toWei(milestone.fundAmount));
+  if (total.lte(toWei(budget.raisedAmount))) return null;
+  return `Releasing ${trim(milestone.fundAmount)} would exceed the ${trim(budget.raisedAmount)} raised `
+    + `(${trim(budget.releasedAmount)} already released)`;
+}
+
+module.exports = { AMOUNT_PATTERN, allocationError, releaseError };
@@ -0,0 +1,58 @@
+/**
+ * Milestone challenge window and disputes
+ * An approved milestone stays open to challenge for MILESTONE_CHALLENGE_PERIOD_HOURS.
+ * Donors to the campaign can dispute it in that window; a dispute is open until
+ * a reviewer upholds or dismisses it. Funds are released only after the window
+ * closes with no open or upheld disputes.
+ */
+
+const DISPUTE_STATUSES = ['open', 'upheld', 'dismissed'];
+
+const TRANSITIONS = Object.freeze({
+  open: ['upheld', 'dismissed'],
+  upheld: [],
+  dismissed: [],
+});
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+function getChallengePeriodMs() {
+  const hours = Number(process.env.MILESTONE_CHALLENGE_PERIOD_HOURS ?? 72);
+  return Number.isFinite(hours) && hours > 0 ? hours * 60 * 60 * 1000 : 0;
+}
+
+// End of the challenge window for a milestone approved at `approvedAt`
+const challengeEndsAt = (approvedAt = new Date()) => new Date(new Date(approvedAt).getTime() + getChallengePeriodMs());
+
+// Milestones approved before challenge windows existed have none
+const isChallengeOpen = (milestone, now = new Date()) => Boolean(
+  milestone.approved && !milestone.releasedAt && milestone.challengeEndsAt && new Date(milestone.challengeEndsAt) > now
+);
+
+/**
+ * Why an approved milestone's funds cannot be released yet
+ * @param {Object} milestone
+ * @param {Array<Object>} disputes - the milestone's disputes
+ * @returns {string|null} - null when nothing blocks the release
+ */
+function releaseBlocker(milestone, disputes, now = new Date()) {
+  if (disputes.some((d) => d.status === 'upheld')) {
+    return 'A dispute against this milestone was upheld; its funds are frozen';
+  }
+  const open = disputes.filter((d) => d.status === 'open').length;
+  if (open) return `Release is frozen by ${open} open dispute${open === 1 ? '' : 's'}`;
+  if (isChallengeOpen(milestone, now)) {
+    return `The challenge period ends at ${new Date(milestone.challengeEndsAt).toISOString()}`;
+  }
+  return null;
+}
+
+module.exports = {
+  DISPUTE_STATUSES,
+  TRANSITIONS,
+  canTransition,
+  getChallengePeriodMs,
+  challengeEndsAt,
+  isChallengeOpen,
+  releaseBlocker,
+};
@@ -0,0 +1,43 @@
+/**
+ * NGO review state machine
+ * Applications start as submitted; reviewers take them under review and then
+ * verify them or send them back to the applicant. Verified NGOs can be
+ * suspended, and a suspended NGO goes back under review to be reinstated.
+ * Only wallets of verified NGOs may create campaigns.
+ */
+
+const ngosRepo = require('../db/repos/ngos');
+const { AuthorizationError } = require('./errorHandler');
+
+const NGO_STATUSES = ['submitted', 'under_review', 'verified', 'suspended'];
+
+const TRANSITIONS = Object.freeze({
+  submitted: ['under_review'],
+  under_review: ['verified', 'submitted'],
+  verified: ['suspended'],
+  suspended: ['under_review'],
+});
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+// Applicants may only change their application before review starts
+const isEditable = (ngo) => ngo.status === 'submitted';
+
+/**
+ * The verified NGO a wallet belongs to
+ * @param {string} walletAddress
+ * @returns {Promise<Object>} - the NGO
+ * @throws {AuthorizationError} when the wallet has no NGO or the NGO is not verified
+ */
+async function requireVerifiedNgo(walletAddress) {
+  const ngo = walletAddress ? await ngosRepo.getNgoByWallet(walletAddress) : null;
+  if (!ngo) {
+    throw new AuthorizationError('Only wallets of verified NGOs can create campaigns; register your NGO first');
+  }
+  if (ngo.status !== 'verified') {
+    throw new AuthorizationError(`Your NGO is ${ngo.status.replace('_', ' ')}; only verified NGOs can create campaigns`);
+  }
+  return ngo;
+}
+
+module.exports = { NGO_STATUSES, TRANSITIONS, canTransition, isEditable, requireVerifiedNgo };
@@ -0,0 +1,104 @@
+/**
+ * Minimal text-only PDF writer
+ * Lays out lines of Helvetica text on A4 pages. Output depends only on the
+ * input, so a document rendered again later is byte-identical to the one that
+ * was pinned. Characters outside printable ASCII are replaced with '?'.
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+// Rough average Helvetica glyph width as a fraction of the font size
+const CHAR_WIDTH = 0.56;
+
+function toAscii(text) {
+  return String(text).replace(/[^\x20-\x7e]/g, '?');
+}
+
+function escapeText(text) {
+  return text.replace(/[\\()]/g, (c) => `\\${c}`);
+}
+
+// Splits text on spaces to fit the line width, hard-breaking long words (hashes, signatures)
+function wrap(text, size) {
+  const max = Math.max(1, Math.floor((PAGE_WIDTH - 2 * MARGIN) / (size * CHAR_WIDTH)));
+  const lines = [];
+  let current = '';
+  for (let word of text.split(' ')) {
+    while (word.length > max) {
+      if (current) lines.push(current);
+      current = '';
+      lines.push(word.slice(0, max));
+      word = word.slice(max);
+    }
+    const next = current ? `${current} ${word}` : word;
+    if (next.length > max) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = next;
+    }
+  }
+  lines.push(current);
+  return lines;
+}
+
+function layout(lines) {
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+  for (const line of lines) {
+    const { text = '', size = 11, bold = false, gap = 0 } = typeof line === 'string' ? { text: line } : line;
+    y -= gap;
+    for (const part of wrap(toAscii(text), size)) {
+      const leading = Math.round(size * 1.4);
+      if (y - leading < MARGIN) {
+        pages.push([]);
+        y = PAGE_HEIGHT - MARGIN;
+      }
+      y -= leading;
+      pages[pages.length - 1].push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${MARGIN} ${y} Td (${escapeText(part)}) Tj ET`);
+    }
+  }
+  return pages.map((ops) => ops.join('\n'));
+}
+
+/**
+ * Render lines of text to a PDF document
+ * @param {Array<string|Object>} lines - Strings or { text, size, bold, gap } (gap adds space above)
+ * @param {Object} [info]
+ * @param {string} [info.title] - Document title metadata
+ * @returns {Buffer}
+ */
+function renderTextPdf(lines, { title } = {}) {
+  const contents = layout(lines);
+  const pageIds = contents.map((_, i) => 5 + i * 2);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+  ];
+  contents.forEach((stream, i) => {
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`
+    );
+    objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+  });
+  objects.push(`<< /Producer (D3R) /Title (${escapeText(toAscii(title || ''))}) >>`);
+
+  let out = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\n`;
+  out += `startxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, 'latin1');
+}
+
+module.exports = { renderTextPdf };
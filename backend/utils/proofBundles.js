@@ -0,0 +1,130 @@
+/**
+ * Milestone proof bundles
+ * A proof is a set of files (photos, invoices, receipts) with captions. Each
+ * file is pinned and registered on its own, then a JSON manifest listing them
+ * is pinned; the manifest CID is the milestone's proof, so every resubmission
+ * is a new version with its own CID that verifiers sign afresh.
+ */
+
+const { uploadFile, uploadJSON, DOCUMENT_TYPES } = require('../upload');
+const filesRepo = require('../db/repos/files');
+const { queueRegistration } = require('../web3/fileRegistry');
+const { upload, execScan, withRetry } = require('../middleware/fileUpload');
+const { ValidationError } = require('./errorHandler');
+
+const PROOF_KINDS = ['photo', 'invoice', 'receipt', 'other'];
+const MAX_PROOF_FILES = 10;
+const MAX_CAPTION_LENGTH = 500;
+
+// proofFile is the single-file field MilestoneSubmission used before bundles
+const proofUpload = upload.fields([
+  { name: 'proofFile', maxCount: 1 },
+  { name: 'proofFiles', maxCount: MAX_PROOF_FILES },
+]);
+
+// Files received by proofUpload, in form order
+function proofFilesOf(req) {
+  const files = req.files || {};
+  return [...(files.proofFile || []), ...(files.proofFiles || [])];
+}
+
+/**
+ * Kind and caption of each uploaded file
+ * @param {string|undefined} raw - JSON array of { kind, caption }, one per file
+ * @param {Object[]} files - multer files
+ * @returns {{ kind: string, caption: string }[]}
+ */
+function parseFileDetails(raw, files) {
+  if (files.length > MAX_PROOF_FILES) {
+    throw new ValidationError(`A proof can have at most ${MAX_PROOF_FILES} files`);
+  }
+  const defaults = (file) => ({ kind: file.mimetype.startsWith('image/') ? 'photo' : 'other', caption: '' });
+  if (raw === undefined || raw === '') return files.map(defaults);
+
+  let details;
+  try {
+    details = JSON.parse(raw);
+  } catch (e) {
+    throw new ValidationError('fileDetails must be a JSON array of { kind, caption }');
+  }
+  if (!Array.isArray(details) || details.length !== files.length) {
+    throw new ValidationError(`fileDetails must describe each of the ${files.length} files`);
+  }
+  return details.map((d, i) => {
+    const kind = (d && d.kind) || defaults(files[i]).kind;
+    const caption = d && d.caption != null ? String(d.caption).trim() : '';
+    if (!PROOF_KINDS.includes(kind)) {
+      throw new ValidationError(`File kind must be one of ${PROOF_KINDS.join(', ')}`);
+    }
+    if (caption.length > MAX_CAPTION_LENGTH) {
+      throw new ValidationError(`Captions must be less than ${MAX_CAPTION_LENGTH} characters`);
+    }
+    return { kind, caption };
+  });
+}
+
+/**
+ * Pin the files and the manifest of one proof version
+ * @param {Object} params
+ * @param {Object[]} params.files - multer files; the caller removes them afterwards
+ * @param {Object[]} params.details - from parseFileDetails
+ * @param {Object} params.milestone - { id, campaignId, title }
+ * @param {number} params.version
+ * @param {string|null} params.previousCID - manifest of the version this one replaces
+ * @param {string} [params.note] - what changed
+ * @param {string} params.uploader - user id
+ * @returns {Promise<{ cid: string, files: Object[] }>} - manifest CID and its file entries
+ */
+async function pinProofBundle({ files, details, milestone, version, previousCID, note, uploader }) {
+  const metadata = { campaignId: milestone.campaignId, milestoneId: milestone.id, version };
+  const entries = [];
+  for (const [i, file] of files.entries()) {
+    await execScan(file.path);
+    const up = await withRetry(() => uploadFile(file.path, DOCUMENT_TYPES.MILESTONE_PROOF, metadata), 3, 300);
+    await filesRepo.saveUploadedFile({
+      cid: up.cid,
+      documentType: DOCUMENT_TYPES.MILESTONE_PROOF,
+      uploader,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      sizeBytes: file.size,
+      metadata,
+      verificationStatus: 'unregistered',
+    });
+    queueRegistration(up.cid);
+    entries.push({ cid: up.cid, name: file.originalname, mimeType: file.mimetype, size: file.size, ...details[i] });
+  }
+
+  const manifest = {
+    type: 'milestone-proof',
+    campaignId: milestone.campaignId,
+    milestoneId: milestone.id,
+    title: milestone.title,
+    version,
+    previousCID: previousCID || null,
+    note: note || null,
+    files: entries,
+  };
+  const pinned = await withRetry(() => uploadJSON(manifest, DOCUMENT_TYPES.MILESTONE_PROOF, metadata), 3, 300);
+  await filesRepo.saveUploadedFile({
+    cid: pinned.cid,
+    documentType: DOCUMENT_TYPES.MILESTONE_PROOF,
+    uploader,
+    originalName: `milestone-proof-v${version}.json`,
+    mimeType: 'application/json',
+    sizeBytes: pinned.size,
+    metadata,
+    verificationStatus: 'unregistered',
+  });
+  queueRegistration(pinned.cid);
+  return { cid: pinned.cid, files: entries };
+}
+
+module.exports = {
+  PROOF_KINDS,
+  MAX_PROOF_FILES,
+  proofUpload,
+  proofFilesOf,
+  parseFileDetails,
+  pinProofBundle,
+};
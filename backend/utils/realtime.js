@@ -0,0 +1,180 @@
+/**
+ * Realtime updates
+ * Events recorded by the repo write paths (the webhook outbox) are tailed in
+ * seq order and pushed to subscribers of the topics they concern:
+ * campaign:<id>, disaster:<id> and stats. A subscriber that reconnects with
+ * the last seq it saw gets the events it missed first; when it missed more
+ * than REALTIME_REPLAY_LIMIT it is told to reload instead.
+ */
+
+const webhooksRepo = require('../db/repos/webhooks');
+const logger = require('./logger');
+
+// Campaign ids are UUIDs; disaster ids are the slugs validateDisaster accepts
+const TOPIC_PATTERN = /^(stats|campaign:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|disaster:[A-Za-z0-9._-]{1,64})$/i;
+const MAX_TOPICS = 20;
+
+// Events that move the platform totals shown on the home page
+const STATS_EVENTS = new Set(['donation.confirmed', 'donation.removed', 'campaign.cancelled', 'campaign.status_changed']);
+
+function getRealtimeConfig() {
+  return {
+    pollMs: parseInt(process.env.REALTIME_POLL_MS || '1000', 10),
+    replayLimit: parseInt(process.env.REALTIME_REPLAY_LIMIT || '1000', 10),
+    heartbeatMs: parseInt(process.env.REALTIME_HEARTBEAT_MS || '25000', 10),
+    gapWaitMs: 5000,
+  };
+}
+
+function topicsFor({ type, payload }) {
+  const topics = [];
+  if (payload.campaignId) topics.push(`campaign:${payload.campaignId}`);
+  if (payload.disasterId) topics.push(`disaster:${payload.disasterId}`);
+  if (STATS_EVENTS.has(type)) topics.push('stats');
+  return topics;
+}
+
+/**
+ * Tails recorded events and fans them out to subscribers
+ * Seqs are handed out at insert, so a lower seq can commit after a higher one;
+ * the tail waits up to gapWaitMs for a missing seq before skipping it (it may
+ * belong to a rolled back transaction).
+ */
+function createRealtimeHub({ pollMs = 1000, replayLimit = 1000, gapWaitMs = 5000, batchSize = 500 }) {
+  const subscribers = new Set();
+  let cursor = null;
+  let ready = null;
+  let gapSince = null;
+  let running = null;
+  let timer = null;
+
+  const matches = (subscriber, event, topics) =>
+    event.seq > subscriber.after && topics.some((t) => subscriber.topics.has(t));
+
+  function broadcast(event) {
+    const topics = topicsFor(event);
+    for (const subscriber of subscribers) {
+      if (!matches(subscriber, event, topics)) continue;
+      if (subscriber.queue) subscriber.queue.push(event);
+      else subscriber.send(event);
+    }
+  }
+
+  async function tail() {
+    const events = await webhooksRepo.listEventsAfter({ after: cursor, limit: batchSize });
+    for (const event of events) {
+      if (event.seq !== cursor + 1) {
+        if (gapSince == null) gapSince = Date.now();
+        if (Date.now() - gapSince < gapWaitMs) return;
+      }
+      gapSince = null;
+      cursor = event.seq;
+      broadcast(event);
+    }
+  }
+
+  function check() {
+    if (running) return running;
+    if (cursor == null) return Promise.resolve();
+    running = tail()
+      .catch((err) => logger.error('Realtime tail failed', { error: err.message }))
+      .finally(() => {
+        running = null;
+      });
+    return running;
+  }
+
+  // Starts tailing from the latest event; safe to call repeatedly
+  function start() {
+    if (!ready) {
+      ready = webhooksRepo.getLatestEventSeq().then((seq) => {
+        cursor = seq;
+      });
+      ready.catch(() => {
+        ready = null;
+      });
+    }
+    if (!timer) {
+      timer = setInterval(check, pollMs);
+      if (timer.unref) timer.unref();
+    }
+    return ready;
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  // Stops tailing and ends every open stream, so the HTTP server can close
+  function close() {
+    stop();
+    for (const subscriber of subscribers) {
+      if (subscriber.end) subscriber.end();
+    }
+    subscribers.clear();
+  }
+
+  /**
+   * Subscribe to topics, replaying what was missed since `after`
+   * @param {Object} params
+   * @param {string[]} params.topics
+   * @param {number} [params.after] - last seq the subscriber saw
+   * @param {function(Object)} params.send - gets { seq, id, type, payload, createdAt }
+   * @param {function()} [params.reset] - called instead of replaying when too much was missed
+   * @param {function()} [params.end] - called when the hub closes
+   * @returns {Promise<function()>} - unsubscribe
+   */
+  async function subscribe({ topics, after, send, reset, end }) {
+    await start();
+    const subscriber = { topics: new Set(topics), after: after ?? cursor, send, end, queue: [] };
+    const upTo = cursor;
+    subscribers.add(subscriber);
+    const unsubscribe = () => subscribers.delete(subscriber);
+    try {
+      if (subscriber.after < upTo) {
+        const missed = await webhooksRepo.listEventsAfter({ after: subscriber.after, upTo, limit: replayLimit + 1 });
+        if (missed.length > replayLimit) {
+          if (reset) reset();
+        } else {
+          for (const event of missed) {
+            if (topicsFor(event).some((t) => subscriber.topics.has(t))) send(event);
+          }
+        }
+      }
+    } catch (err) {
+      unsubscribe();
+      throw err;
+    }
+    const { queue } = subscriber;
+    subscriber.queue = null;
+    queue.forEach(send);
+    return unsubscribe;
+  }
+
+  return { start, stop, close, check, subscribe, subscriberCount: () => subscribers.size };
+}
+
+let hub = null;
+
+// The process-wide hub, created on first use
+function getRealtimeHub() {
+  if (!hub) hub = createRealtimeHub(getRealtimeConfig());
+  return hub;
+}
+
+// Ends open streams on shutdown; a no-op when no stream was ever opened
+function closeRealtimeHub() {
+  if (hub) hub.close();
+}
+
+module.exports = {
+  TOPIC_PATTERN,
+  MAX_TOPICS,
+  STATS_EVENTS,
+  getRealtimeConfig,
+  topicsFor,
+  createRealtimeHub,
+  getRealtimeHub,
+  closeRealtimeHub,
+};
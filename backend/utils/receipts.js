@@ -0,0 +1,255 @@
+/**
+ * Donation receipts
+ * Once a donation is confirmed the platform issues a receipt: a JSON document
+ * signed by the platform key (EIP-191 personal_sign over its canonical JSON)
+ * and a PDF rendering of it. Both are pinned to IPFS, recorded in
+ * UploadedFiles and stored in DonationReceipts.
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+const { ethers } = require('ethers');
+const { getProvider } = require('../web3/provider');
+const { uploadJSON, uploadBuffer, DOCUMENT_TYPES } = require('../upload');
+const donationsRepo = require('../db/repos/donations');
+const campaignsRepo = require('../db/repos/campaigns');
+const filesRepo = require('../db/repos/files');
+const receiptsRepo = require('../db/repos/receipts');
+const { renderTextPdf } = require('./pdf');
+const cache = require('./cache');
+const logger = require('./logger');
+
+const RECEIPT_VERSION = 1;
+const ISSUER_NAME = 'D3R Disaster Relief Platform';
+const PRICE_SOURCE = 'coingecko';
+
+// Issues in flight, so the confirmer and a download racing for one donation pin it once
+const inflight = new Map();
+
+function getReceiptSigner() {
+  const key = process.env.RECEIPT_SIGNER_PRIVATE_KEY || process.env.PRIVATE_KEY;
+  if (!key || !key.trim()) throw new Error('RECEIPT_SIGNER_PRIVATE_KEY is not set');
+  return new ethers.Wallet(key);
+}
+
+function getFiatCurrency() {
+  return (process.env.RECEIPT_FIAT_CURRENCY || 'usd').toLowerCase();
+}
+
+// JSON with object keys sorted at every level, so signer and verifier hash the same bytes
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * ETH price in a fiat currency on the day of the donation
+ * @param {Date} date
+ * @param {string} currency - Lowercase ISO code, e.g. 'usd'
+ * @returns {Promise<number|null>} - null when the price feed is unavailable
+ */
+async function getEthPrice(date, currency) {
+  const day = date.toISOString().slice(0, 10);
+  const key = `eth-price:${currency}:${day}`;
+  const cached = cache.get(key, 'long');
+  if (cached !== undefined) return cached;
+
+  try {
+    const [y, m, d] = day.split('-');
+    const { data } = await axios.get('https://api.coingecko.com/api/v3/coins/ethereum/history', {
+      params: { date: `${d}-${m}-${y}`, localization: false },
+      timeout: 5000,
+    });
+    const price = data?.market_data?.current_price?.[currency];
+    if (typeof price !== 'number') return null;
+    cache.set(key, price, 'long');
+    return price;
+  } catch (err) {
+    logger.warn('ETH price lookup failed', { day, currency, error: err.message });
+    return null;
+  }
+}
+
+/**
+ * Build the receipt document for a confirmed donation
+ * @param {Object} params
+ * @param {Object} params.donation - Row from donationsRepo.getDonationById
+ * @param {Object} params.campaign - { id, title, onChainId }
+ * @param {number|null} params.blockNumber
+ * @param {Date} params.timestamp - Block time of the donation
+ * @param {number|null} params.price - ETH price in params.currency
+ * @param {string} params.currency
+ * @param {string} params.issuer - Signer address
+ * @returns {Object}
+ */
+function buildReceipt({ donation, campaign, blockNumber, timestamp, price, currency, issuer }) {
+  const amountEth = ethers.utils.formatEther(ethers.utils.parseEther(String(donation.amount)));
+  const anonymous = !donation.donorWallet || donation.donorWallet === donationsRepo.ANON_WALLET;
+  return {
+    version: RECEIPT_VERSION,
+    type: DOCUMENT_TYPES.DONATION_RECEIPT,
+    receiptId: donation.id,
+    donor: anonymous ? { anonymous: true, wallet: null } : { anonymous: false, wallet: donation.donorWallet },
+    campaign: { id: campaign.id, title: campaign.title, onChainId: campaign.onChainId ?? null },
+    amount: {
+      eth: amountEth,
+      fiat: price === null ? null : {
+        currency: currency.toUpperCase(),
+        amount: (Number(amountEth) * price).toFixed(2),
+        rate: price,
+        source: PRICE_SOURCE,
+      },
+    },
+    transaction: { txHash: donation.txHash, blockNumber, timestamp: timestamp.toISOString() },
+    issuer: { name: ISSUER_NAME, address: issuer },
+  };
+}
+
+/**
+ * Sign a receipt document with the platform key
+ * @param {Object} document
+ * @param {ethers.Wallet} [signer]
+ * @returns {Promise<Object>} - { document, signature, signer }
+ */
+async function signReceipt(document, signer = getReceiptSigner()) {
+  const signature = await signer.signMessage(canonicalJSON(document));
+  return { document, signature, signer: signer.address };
+}
+
+/**
+ * Check a receipt signature against the issuer named in the document
+ * @param {Object} receipt - { document, signature }
+ * @returns {boolean}
+ */
+function verifyReceipt({ document, signature }) {
+  try {
+    const recovered = ethers.utils.verifyMessage(canonicalJSON(document), signature);
+    return recovered.toLowerCase() === String(document.issuer?.address).toLowerCase();
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Render a signed receipt to PDF. Deterministic, so the stored document
+ * renders to the same bytes that were pinned.
+ * @param {Object} receipt - { document, signature }
+ * @returns {Buffer}
+ */
+function renderReceiptPdf({ document, signature }) {
+  const { amount, transaction, campaign, donor, issuer } = document;
+  const fiat = amount.fiat
+    ? `${amount.fiat.amount} ${amount.fiat.currency} (at ${amount.fiat.rate} ${amount.fiat.currency}/ETH, ${amount.fiat.source})`
+    : 'Not available';
+  return renderTextPdf([
+    { text: 'Donation Receipt', size: 20, bold: true },
+    { text: issuer.name, size: 10 },
+    { text: `Receipt ID: ${document.receiptId}`, size: 10, gap: 12 },
+    { text: 'Donor', bold: true, gap: 12 },
+    donor.anonymous ? 'Anonymous donor' : `Wallet: ${donor.wallet}`,
+    { text: 'Campaign', bold: true, gap: 12 },
+    campaign.title,
+    `Campaign ID: ${campaign.id}`,
+    `On-chain ID: ${campaign.onChainId ?? 'n/a'}`,
+    { text: 'Amount', bold: true, gap: 12 },
+    `${amount.eth} ETH`,
+    `Fiat value: ${fiat}`,
+    { text: 'Transaction', bold: true, gap: 12 },
+    `Tx hash: ${transaction.txHash}`,
+    `Block: ${transaction.blockNumber ?? 'n/a'}`,
+    `Timestamp: ${transaction.timestamp}`,
+    { text: 'Signature', bold: true, gap: 12 },
+    `Signed by ${issuer.address} over the canonical JSON of this receipt (EIP-191).`,
+    { text: signature, size: 9 },
+  ], { title: `Donation receipt ${document.receiptId}` });
+}
+
+async function createReceipt(donationId, { provider, blockNumber } = {}) {
+  const donation = await donationsRepo.getDonationById(donationId);
+  if (!donation) throw new Error(`Donation ${donationId} not found`);
+  if (donation.status !== 'confirmed') throw new Error(`Donation ${donationId} is not confirmed`);
+  const campaign = await campaignsRepo.getCampaignByIdWithCounts(donation.campaignId);
+
+  // Prefer chain time; fall back to when the donation was recorded
+  let timestamp = new Date(donation.timestamp);
+  try {
+    const p = provider || getProvider();
+    if (blockNumber == null) blockNumber = (await p.getTransactionReceipt(donation.txHash))?.blockNumber ?? null;
+    if (blockNumber != null) {
+      const block = await p.getBlock(blockNumber);
+      if (block) timestamp = new Date(block.timestamp * 1000);
+    }
+  } catch (err) {
+    logger.warn('Receipt block lookup failed', { donationId, error: err.message });
+  }
+
+  const currency = getFiatCurrency();
+  const price = await getEthPrice(timestamp, currency);
+  const signer = getReceiptSigner();
+  const document = buildReceipt({ donation, campaign, blockNumber: blockNumber ?? null, timestamp, price, currency, issuer: signer.address });
+  const signed = await signReceipt(document, signer);
+
+  const pdf = renderReceiptPdf(signed);
+  const meta = { donationId, txHash: donation.txHash };
+  const json = await uploadJSON(signed, DOCUMENT_TYPES.DONATION_RECEIPT, meta);
+  const pinnedPdf = await uploadBuffer(pdf, `receipt-${donationId}.pdf`, DOCUMENT_TYPES.DONATION_RECEIPT, meta);
+
+  await filesRepo.saveUploadedFile({
+    cid: json.cid,
+    documentType: DOCUMENT_TYPES.DONATION_RECEIPT,
+    originalName: `receipt-${donationId}.json`,
+    mimeType: 'application/json',
+    sizeBytes: Buffer.byteLength(JSON.stringify(signed)),
+  });
+  await filesRepo.saveUploadedFile({
+    cid: pinnedPdf.cid,
+    documentType: DOCUMENT_TYPES.DONATION_RECEIPT,
+    originalName: `receipt-${donationId}.pdf`,
+    mimeType: 'application/pdf',
+    sizeBytes: pdf.length,
+  });
+
+  const receipt = await receiptsRepo.saveReceipt({
+    donationId,
+    jsonCid: json.cid,
+    pdfCid: pinnedPdf.cid,
+    signer: signed.signer,
+    signature: signed.signature,
+    document,
+  });
+  logger.info('Donation receipt issued', { donationId, jsonCid: receipt.jsonCid, pdfCid: receipt.pdfCid });
+  return receipt;
+}
+
+/**
+ * Get the receipt for a confirmed donation, issuing and pinning it on first use
+ * @param {string} donationId
+ * @param {Object} [options]
+ * @param {Object} [options.provider] - Provider used to look up block number and time
+ * @param {number} [options.blockNumber] - Block the donation was mined in, when already known
+ * @returns {Promise<Object>} - DonationReceipts row
+ */
+async function issueReceipt(donationId, options = {}) {
+  const existing = await receiptsRepo.getReceiptByDonationId(donationId);
+  if (existing) return existing;
+  if (!inflight.has(donationId)) {
+    inflight.set(donationId, createReceipt(donationId, options).finally(() => inflight.delete(donationId)));
+  }
+  return inflight.get(donationId);
+}
+
+module.exports = {
+  canonicalJSON,
+  buildReceipt,
+  signReceipt,
+  verifyReceipt,
+  renderReceiptPdf,
+  issueReceipt,
+};
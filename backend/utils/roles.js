@@ -0,0 +1,38 @@
+/**
+ * User roles for role-based access control
+ */
+
+const ROLES = Object.freeze({
+  DONOR: 'donor',
+  CAMPAIGN_CREATOR: 'campaign_creator',
+  NGO_VERIFIER: 'ngo_verifier',
+  ADMIN: 'admin',
+  AUDITOR: 'auditor',
+});
+
+const ALL_ROLES = Object.values(ROLES);
+
+function parseRoleList(value) {
+  return String(value || '')
+    .split(',')
+    .map((r) => r.trim())
+    .filter(Boolean);
+}
+
+// Roles granted to every newly created user
+function getDefaultRoles() {
+  const roles = process.env.DEFAULT_USER_ROLES
+    ? parseRoleList(process.env.DEFAULT_USER_ROLES)
+    : [ROLES.DONOR, ROLES.CAMPAIGN_CREATOR];
+  return roles.filter((r) => ALL_ROLES.includes(r));
+}
+
+// Wallets listed in ADMIN_WALLETS always hold the admin role (bootstrap for the first admin)
+function isBootstrapAdmin(walletAddress) {
+  if (!walletAddress) return false;
+  return parseRoleList(process.env.ADMIN_WALLETS)
+    .map((w) => w.toLowerCase())
+    .includes(walletAddress.toLowerCase());
+}
+
+module.exports = { ROLES, ALL_ROLES, getDefaultRoles, isBootstrapAdmin };
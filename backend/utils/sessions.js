@@ -0,0 +1,105 @@
+/**
+ * Wallet sessions: short-lived access tokens plus rotating refresh tokens.
+ * Each sign-in starts a refresh-token family. Rotating a token marks it used;
+ * presenting a used or revoked token again is treated as theft and revokes
+ * the whole family.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { issueToken, generateRefreshToken, hashRefreshToken } = require('./jwt');
+const { getAuthStore } = require('./authStore');
+const { AuthenticationError } = require('./errorHandler');
+const refreshTokensRepo = require('../db/repos/refreshTokens');
+const usersRepo = require('../db/repos/users');
+const rolesRepo = require('../db/repos/roles');
+const { ROLES, isBootstrapAdmin } = require('./roles');
+const logger = require('./logger');
+
+// Roles are read at issue time, so changes apply from the next refresh
+async function rolesFor(user) {
+  const roles = await rolesRepo.listRoles(user.id);
+  if (isBootstrapAdmin(user.walletAddress) && !roles.includes(ROLES.ADMIN)) roles.push(ROLES.ADMIN);
+  return roles;
+}
+
+/**
+ * Issue an access token and a refresh token for a user
+ * @param {Object} user - { id, walletAddress }
+ * @param {string} [familyId] - Existing family when rotating; a new one is started otherwise
+ * @returns {Promise<Object>} - { token, expiresAt, refreshToken, refreshExpiresAt }
+ */
+async function issueSession(user, familyId = uuidv4()) {
+  const access = issueToken({
+    userId: user.id,
+    walletAddress: user.walletAddress,
+    roles: await rolesFor(user),
+    sid: familyId,
+  });
+  await getAuthStore().saveToken({ jti: access.jti, userId: user.id, expiresAt: access.expiresAt });
+
+  const refresh = generateRefreshToken();
+  await refreshTokensRepo.createRefreshToken({
+    userId: user.id,
+    familyId,
+    tokenHash: hashRefreshToken(refresh.token),
+    expiresAt: refresh.expiresAt,
+  });
+
+  return {
+    token: access.token,
+    expiresAt: access.expiresAt.toISOString(),
+    refreshToken: refresh.token,
+    refreshExpiresAt: refresh.expiresAt.toISOString(),
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh pair
+ * @param {string} refreshToken - Raw refresh token from the client
+ * @returns {Promise<Object>} - { user, session }
+ * @throws {AuthenticationError} - Unknown, expired, revoked or reused token
+ */
+async function rotateSession(refreshToken) {
+  const record = await refreshTokensRepo.getByHash(hashRefreshToken(refreshToken));
+  if (!record) throw new AuthenticationError('Invalid refresh token');
+
+  if (record.rotatedAt || record.revokedAt) {
+    await refreshTokensRepo.revokeFamily(record.familyId);
+    logger.warn('Refresh token reuse detected; family revoked', { userId: record.userId, familyId: record.familyId });
+    throw new AuthenticationError('Refresh token has already been used');
+  }
+  if (new Date(record.expiresAt).getTime() <= Date.now()) {
+    throw new AuthenticationError('Refresh token has expired');
+  }
+
+  // Lost race against a concurrent rotation of the same token: also reuse
+  if (!(await refreshTokensRepo.markRotated(record.id))) {
+    await refreshTokensRepo.revokeFamily(record.familyId);
+    logger.warn('Concurrent refresh token reuse; family revoked', { userId: record.userId, familyId: record.familyId });
+    throw new AuthenticationError('Refresh token has already been used');
+  }
+
+  const user = await usersRepo.getUserById(record.userId);
+  if (!user) throw new AuthenticationError('User no longer exists');
+  return { user, session: await issueSession(user, record.familyId) };
+}
+
+/**
+ * Revoke every refresh token of a session family
+ * @param {Object} params
+ * @param {string} [params.familyId] - Family id (the `sid` claim of an access token)
+ * @param {string} [params.refreshToken] - Raw refresh token, when no access token is available
+ * @returns {Promise<boolean>} - Whether a family was found
+ */
+async function endSession({ familyId, refreshToken }) {
+  let family = familyId;
+  if (!family && refreshToken) {
+    const record = await refreshTokensRepo.getByHash(hashRefreshToken(refreshToken));
+    family = record ? record.familyId : null;
+  }
+  if (!family) return false;
+  await refreshTokensRepo.revokeFamily(family);
+  return true;
+}
+
+module.exports = { issueSession, rotateSession, endSession };
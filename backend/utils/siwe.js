@@ -0,0 +1,193 @@
+/**
+ * Sign-In with Ethereum (EIP-4361) message handling
+ * Builds, parses and validates the plain-text messages wallets sign at login.
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+const FIELD_KEYS = {
+  URI: 'uri',
+  Version: 'version',
+  'Chain ID': 'chainId',
+  Nonce: 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId',
+};
+const REQUIRED_FIELDS = ['uri', 'version', 'chainId', 'nonce', 'issuedAt'];
+const NONCE_PATTERN = /^[a-zA-Z0-9]{8,}$/;
+const CLOCK_SKEW_MS = 60 * 1000;
+
+class SiweError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SiweError';
+  }
+}
+
+function getSiweConfig() {
+  const origins = process.env.ALLOWED_ORIGINS
+    ? process.env.ALLOWED_ORIGINS.split(',')
+    : ['http://localhost:3000', 'http://localhost:3001'];
+  const domains = process.env.SIWE_DOMAINS
+    ? process.env.SIWE_DOMAINS.split(',')
+    : origins.map((origin) => {
+      try {
+        return new URL(origin.trim()).host;
+      } catch (_) {
+        return null;
+      }
+    });
+  return {
+    domains: domains.filter(Boolean).map((d) => d.trim()),
+    chainId: parseInt(process.env.SIWE_CHAIN_ID || '11155111', 10),
+    nonceTtlMs: parseInt(process.env.SIWE_NONCE_TTL_MS || String(5 * 60 * 1000), 10),
+  };
+}
+
+/**
+ * Cryptographically random alphanumeric nonce
+ * @returns {string}
+ */
+function generateNonce() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Render an EIP-4361 message
+ * @param {Object} fields - domain, address, statement, uri, version, chainId, nonce, issuedAt, expirationTime, notBefore, requestId, resources
+ * @returns {string}
+ */
+function buildSiweMessage(fields) {
+  const lines = [`${fields.domain}${HEADER_SUFFIX}`, fields.address, ''];
+  if (fields.statement) lines.push(fields.statement);
+  lines.push('');
+  lines.push(`URI: ${fields.uri}`);
+  lines.push(`Version: ${fields.version || '1'}`);
+  lines.push(`Chain ID: ${fields.chainId}`);
+  lines.push(`Nonce: ${fields.nonce}`);
+  lines.push(`Issued At: ${fields.issuedAt}`);
+  if (fields.expirationTime) lines.push(`Expiration Time: ${fields.expirationTime}`);
+  if (fields.notBefore) lines.push(`Not Before: ${fields.notBefore}`);
+  if (fields.requestId) lines.push(`Request ID: ${fields.requestId}`);
+  if (fields.resources && fields.resources.length) {
+    lines.push('Resources:');
+    fields.resources.forEach((r) => lines.push(`- ${r}`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Parse an EIP-4361 message into its fields
+ * @param {string} message - Message text as signed by the wallet
+ * @returns {Object} - Parsed fields
+ * @throws {SiweError} - When the message is not a well-formed SIWE message
+ */
+function parseSiweMessage(message) {
+  if (typeof message !== 'string') throw new SiweError('Message must be a string');
+  const lines = message.replace(/\r\n/g, '\n').split('\n');
+
+  const header = lines[0] || '';
+  if (!header.endsWith(HEADER_SUFFIX)) throw new SiweError('Missing SIWE header');
+  const domain = header.slice(0, -HEADER_SUFFIX.length).replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+  if (!domain || /\s/.test(domain)) throw new SiweError('Invalid domain');
+
+  const address = lines[1] || '';
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) throw new SiweError('Invalid address line');
+  if (lines[2] !== '') throw new SiweError('Expected blank line after address');
+
+  let i = 3;
+  let statement = null;
+  if (lines[i] !== '') {
+    statement = lines[i];
+    i += 1;
+  }
+  if (lines[i] !== '') throw new SiweError('Expected blank line before fields');
+  i += 1;
+
+  const fields = { domain, address, statement, resources: [] };
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+    if (line === 'Resources:') {
+      for (i += 1; i < lines.length; i++) {
+        if (!lines[i].startsWith('- ')) throw new SiweError('Invalid resource line');
+        fields.resources.push(lines[i].slice(2));
+      }
+      break;
+    }
+    const sep = line.indexOf(': ');
+    const key = sep > 0 ? FIELD_KEYS[line.slice(0, sep)] : null;
+    if (!key) throw new SiweError(`Unexpected line: ${line}`);
+    if (key in fields) throw new SiweError(`Duplicate field: ${line.slice(0, sep)}`);
+    fields[key] = line.slice(sep + 2);
+  }
+
+  const missing = REQUIRED_FIELDS.filter((key) => !fields[key]);
+  if (missing.length) throw new SiweError(`Missing fields: ${missing.join(', ')}`);
+  return fields;
+}
+
+function parseTime(value, name) {
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms) || !/^\d{4}-\d{2}-\d{2}T/.test(value)) throw new SiweError(`${name} is not an ISO-8601 timestamp`);
+  return ms;
+}
+
+/**
+ * Validate every field of a parsed message against server expectations
+ * @param {Object} fields - Output of parseSiweMessage
+ * @param {Object} expected
+ * @param {Array<string>} expected.domains - Hosts allowed to request sign-in
+ * @param {number} expected.chainId - Chain the backend operates on
+ * @param {string} [expected.nonce] - Nonce issued by the server, when already known
+ * @param {number} [expected.now] - Current time in ms (for tests)
+ * @throws {SiweError}
+ */
+function validateSiweMessage(fields, { domains, chainId, nonce, now = Date.now() }) {
+  if (fields.version !== '1') throw new SiweError('Unsupported SIWE version');
+
+  let checksummed;
+  try {
+    checksummed = ethers.utils.getAddress(fields.address);
+  } catch (_) {
+    throw new SiweError('Invalid address');
+  }
+  if (checksummed !== fields.address) throw new SiweError('Address must be EIP-55 checksummed');
+
+  if (!domains.includes(fields.domain)) throw new SiweError('Domain is not allowed');
+  let uri;
+  try {
+    uri = new URL(fields.uri);
+  } catch (_) {
+    throw new SiweError('Invalid URI');
+  }
+  if (uri.host !== fields.domain) throw new SiweError('URI does not match domain');
+
+  if (!/^\d+$/.test(fields.chainId) || Number(fields.chainId) !== Number(chainId)) {
+    throw new SiweError('Chain ID mismatch');
+  }
+  if (!NONCE_PATTERN.test(fields.nonce)) throw new SiweError('Invalid nonce');
+  if (nonce && fields.nonce !== nonce) throw new SiweError('Nonce mismatch');
+
+  const issuedAt = parseTime(fields.issuedAt, 'Issued At');
+  if (issuedAt > now + CLOCK_SKEW_MS) throw new SiweError('Message issued in the future');
+  if (!fields.expirationTime) throw new SiweError('Expiration Time is required');
+  const expiresAt = parseTime(fields.expirationTime, 'Expiration Time');
+  if (expiresAt <= now) throw new SiweError('Message has expired');
+  if (expiresAt <= issuedAt) throw new SiweError('Expiration Time precedes Issued At');
+  if (fields.notBefore && parseTime(fields.notBefore, 'Not Before') > now + CLOCK_SKEW_MS) {
+    throw new SiweError('Message is not yet valid');
+  }
+}
+
+module.exports = {
+  SiweError,
+  getSiweConfig,
+  generateNonce,
+  buildSiweMessage,
+  parseSiweMessage,
+  validateSiweMessage,
+};
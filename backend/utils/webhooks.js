@@ -0,0 +1,180 @@
+/**
+ * Webhook delivery
+ * Repo write paths record events in the same transaction as the change; the
+ * dispatcher POSTs each pending delivery to its subscription's URL, signed
+ * with the subscription secret. Failed attempts are retried with exponential
+ * backoff and a delivery that runs out of attempts is dead-lettered until an
+ * admin redelivers it.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const webhooksRepo = require('../db/repos/webhooks');
+const logger = require('./logger');
+
+const WEBHOOK_EVENTS = [
+  'donation.confirmed',
+  'milestone.approved',
+  'funds.released',
+  'campaign.cancelled',
+  'disaster.verified',
+];
+
+const SIGNATURE_HEADER = 'X-D3R-Signature';
+
+function getWebhookConfig() {
+  return {
+    intervalMs: parseInt(process.env.WEBHOOK_INTERVAL_MS || '15000', 10),
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10),
+    retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '30000', 10),
+    maxRetryMs: parseInt(process.env.WEBHOOK_MAX_RETRY_MS || String(6 * 60 * 60 * 1000), 10),
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10),
+    batchSize: parseInt(process.env.WEBHOOK_BATCH_SIZE || '20', 10),
+    staleMs: 5 * 60 * 1000,
+  };
+}
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Signature a receiver recomputes to authenticate a delivery
+ * @param {string} secret - subscription secret
+ * @param {number} timestamp - unix seconds, sent in the header so receivers can reject replays
+ * @param {string} body - raw request body
+ * @returns {string} - hex HMAC-SHA256 of `${timestamp}.${body}`
+ */
+const signPayload = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const signatureHeader = (secret, timestamp, body) => `t=${timestamp},v1=${signPayload(secret, timestamp, body)}`;
+
+// Wait before the attempt after `attempt` failed: base, 2x base, 4x base, ... up to maxMs
+const retryDelayMs = (attempt, { baseMs = 30000, maxMs = 6 * 60 * 60 * 1000 } = {}) =>
+  Math.min(baseMs * 2 ** Math.max(attempt - 1, 0), maxMs);
+
+// Body sent for a claimed delivery
+const buildBody = (delivery) => JSON.stringify({
+  id: delivery.eventId,
+  type: delivery.eventType,
+  createdAt: delivery.eventCreatedAt,
+  data: delivery.payload,
+});
+
+/**
+ * Send one delivery
+ * @param {Object} delivery - row from claimDueDeliveries
+ * @param {Object} [options]
+ * @param {Function} [options.post] - axios.post compatible
+ * @returns {Promise<Object>} - { ok, responseStatus, error, durationMs }
+ */
+async function deliver(delivery, { post = axios.post, timeoutMs = 10000, now = Date.now } = {}) {
+  const body = buildBody(delivery);
+  const timestamp = Math.floor(now() / 1000);
+  const started = now();
+  try {
+    const response = await post(delivery.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'D3R-Webhooks/1.0',
+        'X-D3R-Event': delivery.eventType,
+        'X-D3R-Delivery': delivery.id,
+        [SIGNATURE_HEADER]: signatureHeader(delivery.secret, timestamp, body),
+      },
+      timeout: timeoutMs,
+      maxRedirects: 0,
+      validateStatus: () => true,
+    });
+    const ok = response.status >= 200 && response.status < 300;
+    return { ok, responseStatus: response.status, error: ok ? null : `HTTP ${response.status}`, durationMs: now() - started };
+  } catch (err) {
+    return { ok: false, responseStatus: null, error: err.message, durationMs: now() - started };
+  }
+}
+
+function createWebhookDispatcher({
+  post = axios.post,
+  intervalMs = 15000,
+  maxAttempts = 8,
+  retryBaseMs = 30000,
+  maxRetryMs = 6 * 60 * 60 * 1000,
+  timeoutMs = 10000,
+  batchSize = 20,
+  staleMs = 5 * 60 * 1000,
+}) {
+  let running = null;
+  let timer = null;
+
+  async function send(delivery) {
+    const outcome = await deliver(delivery, { post, timeoutMs });
+    let status = 'delivered';
+    let nextAttemptAt = null;
+    if (!outcome.ok) {
+      status = delivery.attempts >= maxAttempts ? 'dead' : 'pending';
+      if (status === 'pending') {
+        nextAttemptAt = new Date(Date.now() + retryDelayMs(delivery.attempts, { baseMs: retryBaseMs, maxMs: maxRetryMs }));
+      }
+    }
+    await webhooksRepo.recordAttempt({
+      id: delivery.id,
+      attempt: delivery.attempts,
+      status,
+      responseStatus: outcome.responseStatus,
+      error: outcome.error,
+      durationMs: outcome.durationMs,
+      nextAttemptAt,
+    });
+    if (status === 'dead') {
+      logger.warn('Webhook delivery dead-lettered', { deliveryId: delivery.id, subscriptionId: delivery.subscriptionId, error: outcome.error });
+    }
+    return status;
+  }
+
+  async function dispatchDue() {
+    const due = await webhooksRepo.claimDueDeliveries({ limit: batchSize, staleMs });
+    for (const delivery of due) {
+      await send(delivery);
+    }
+  }
+
+  function check() {
+    if (running) return running;
+    running = dispatchDue()
+      .catch((err) => logger.error('Webhook dispatch failed', { error: err.message }))
+      .finally(() => {
+        running = null;
+      });
+    return running;
+  }
+
+  function start() {
+    timer = setInterval(check, intervalMs);
+    if (timer.unref) timer.unref();
+    return check();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, check };
+}
+
+function startWebhookDispatcher() {
+  const dispatcher = createWebhookDispatcher(getWebhookConfig());
+  dispatcher.start();
+  return dispatcher;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  SIGNATURE_HEADER,
+  getWebhookConfig,
+  generateSecret,
+  signPayload,
+  signatureHeader,
+  retryDelayMs,
+  buildBody,
+  deliver,
+  createWebhookDispatcher,
+  startWebhookDispatcher,
+};
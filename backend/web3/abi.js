@@ -0,0 +1,105 @@
+/**
+ * Contract ABI loader
+ * Reads ABIs from Foundry's build output (out/<Name>.sol/<Name>.json) and falls
+ * back to the JSON export committed under web3/abi/. Run `npm run abi:export`
+ * after `forge build` to refresh the committed copies.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const CONTRACT_NAMES = ['DonationTracker', 'IPFSVerifier', 'DisasterOracleMock'];
+const EXPORT_DIR = path.join(__dirname, 'abi');
+
+const cache = new Map();
+
+function getFoundryOutDir() {
+  return path.resolve(process.env.FOUNDRY_OUT || path.join(__dirname, '..', '..', 'out'));
+}
+
+function readArtifact(file) {
+  if (!fs.existsSync(file)) return null;
+  const artifact = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(artifact.abi)) throw new Error(`No abi array in ${file}`);
+  return artifact;
+}
+
+/**
+ * Load a contract ABI, preferring a fresh Foundry build over the committed export
+ * @param {string} name - Contract name as declared in contracts/*.sol
+ * @returns {Object} - { name, abi, source }
+ */
+function loadAbi(name) {
+  if (cache.has(name)) return cache.get(name);
+
+  const foundryFile = path.join(getFoundryOutDir(), `${name}.sol`, `${name}.json`);
+  const exportFile = path.join(EXPORT_DIR, `${name}.json`);
+  const foundry = readArtifact(foundryFile);
+  const artifact = foundry || readArtifact(exportFile);
+  if (!artifact) throw new Error(`ABI for ${name} not found in ${foundryFile} or ${exportFile}`);
+
+  const entry = { name, abi: artifact.abi, source: foundry ? foundryFile : exportFile };
+  cache.set(name, entry);
+  return entry;
+}
+
+/**
+ * Function selectors declared by an ABI
+ * @param {Array} abi - JSON or human-readable ABI
+ * @returns {Array} - [{ signature, selector }]
+ */
+function getSelectors(abi) {
+  const iface = new ethers.utils.Interface(abi);
+  return Object.keys(iface.functions).map((signature) => ({
+    signature,
+    selector: iface.getSighash(signature),
+  }));
+}
+
+/**
+ * Selectors that do not appear in deployed runtime bytecode.
+ * The solc dispatcher pushes each selector as an immediate, so a selector
+ * missing from the code means the contract cannot route that call. Leading
+ * zero bytes are dropped because the optimizer pushes them with a shorter PUSH.
+ * @param {Array} abi - Contract ABI
+ * @param {string} code - Runtime bytecode from eth_getCode
+ * @returns {Array} - Signatures not found in the bytecode
+ */
+function findMissingSelectors(abi, code) {
+  const hex = code.toLowerCase();
+  return getSelectors(abi)
+    .filter(({ selector }) => !hex.includes(selector.slice(2).replace(/^(00)+/, '')))
+    .map(({ signature }) => signature);
+}
+
+/**
+ * Copy ABIs from Foundry's out/ directory into the committed export
+ * @param {Object} [options]
+ * @param {string} [options.outDir] - Foundry out directory
+ * @param {string} [options.targetDir] - Export directory
+ * @returns {Array} - Paths written
+ */
+function exportAbis({ outDir = getFoundryOutDir(), targetDir = EXPORT_DIR } = {}) {
+  const written = [];
+  for (const name of CONTRACT_NAMES) {
+    const artifact = readArtifact(path.join(outDir, `${name}.sol`, `${name}.json`));
+    if (!artifact) throw new Error(`Missing Foundry artifact for ${name} in ${outDir}; run forge build first`);
+    const file = path.join(targetDir, `${name}.json`);
+    fs.writeFileSync(file, `${JSON.stringify({ contractName: name, abi: artifact.abi }, null, 2)}\n`);
+    written.push(file);
+  }
+  cache.clear();
+  return written;
+}
+
+module.exports = { CONTRACT_NAMES, loadAbi, getSelectors, findMissingSelectors, exportAbis, getFoundryOutDir };
+
+if (require.main === module) {
+  try {
+    exportAbis().forEach((file) => console.log(`Wrote ${file}`));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * Links between DB campaigns and DonationTracker campaigns
+ * The contract keeps no owner per campaign, so the creator is whoever sent
+ * the createCampaign transaction that emitted CampaignCreated.
+ */
+
+const { ethers } = require('ethers');
+
+/**
+ * Read an on-chain campaign and the wallet that created it
+ * @param {ethers.Contract} tracker - DonationTracker, connected to a provider
+ * @param {string|number} onChainId
+ * @param {number} [fromBlock=0] - first block to search for CampaignCreated
+ * @returns {Promise<Object|null>} - { onChainId, target, status, milestoneCount, creator } or null when it does not exist
+ */
+async function readOnChainCampaign(tracker, onChainId, fromBlock = 0) {
+  let onChain;
+  try {
+    onChain = await tracker.getCampaign(onChainId);
+  } catch (_) {
+    return null;
+  }
+  const [created] = await tracker.queryFilter(tracker.filters.CampaignCreated(onChainId), fromBlock);
+  const tx = created ? await tracker.provider.getTransaction(created.transactionHash) : null;
+  return {
+    onChainId: onChain.id.toString(),
+    target: onChain.target,
+    status: onChain.status,
+    milestoneCount: onChain.milestoneCount.toNumber(),
+    creator: tx ? tx.from.toLowerCase() : null,
+  };
+}
+
+/**
+ * Why a DB campaign cannot be linked to an on-chain campaign
+ * @param {Object} campaign - DB campaign with targetAmount in ETH
+ * @param {string} creatorWallet - wallet of the DB campaign's creator
+ * @param {Object} onChain - from readOnChainCampaign
+ * @returns {string|null}
+ */
+function campaignLinkError(campaign, creatorWallet, onChain) {
+  if (!onChain.target.eq(ethers.utils.parseEther(String(campaign.targetAmount)))) {
+    return `On-chain target ${ethers.utils.formatEther(onChain.target)} does not match the campaign target ${campaign.targetAmount}`;
+  }
+  if (!onChain.creator || !creatorWallet || onChain.creator !== creatorWallet.toLowerCase()) {
+    return 'On-chain campaign was not created by the campaign creator';
+  }
+  return null;
+}
+
+module.exports = { readOnChainCampaign, campaignLinkError };
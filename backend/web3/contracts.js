@@ -1,87 +1,80 @@
 require('dotenv').config();
 const { ethers } = require('ethers');
 const { getProvider, getSigner } = require('./provider');
+const { loadAbi, findMissingSelectors } = require('./abi');
+const logger = require('../utils/logger');
 
-// DonationTracker ABI (expanded with view functions)
-const DonationTrackerABI = [
-  // Read functions
-  'function campaignCount() view returns (uint256)',
-  'function campaigns(uint256) view returns (uint256 id, address creator, string memory title, uint256 targetAmount, uint256 deadline, bool isActive, uint256 totalDonated, uint256 milestonesCount)',
-  'function getCampaignMilestones(uint256 campaignId) view returns (uint256[] memory)',
-  'function getMilestone(uint256 campaignId, uint256 milestoneId) view returns (uint256 id, string memory proofCID, bool approved, uint256 fundAmount, bool released)',
-  'function getCampaignDonations(uint256 campaignId) view returns (address[] memory, uint256[] memory)',
-  
-  // Write functions
-  'function createCampaign(string memory title, uint256 targetAmount, uint256 deadline) external',
-  'function donate(uint256 campaignId) external payable',
-  'function addMilestone(uint256 campaignId, string memory title, string memory proofCID, uint256 fundAmount) external',
-  'function approveMilestone(uint256 campaignId, uint256 milestoneId) external',
-  'function releaseFunds(uint256 campaignId, uint256 milestoneId) external',
-  'function cancelCampaign(uint256 campaignId) external',
-  
-  // Events
-  'event CampaignCreated(uint256 indexed campaignId, address indexed creator, string title, uint256 targetAmount, uint256 deadline)',
-  'event DonationReceived(uint256 indexed campaignId, address indexed donor, uint256 amount)',
-  'event MilestoneAdded(uint256 indexed campaignId, uint256 indexed milestoneId, string title, uint256 fundAmount)',
-  'event MilestoneApproved(uint256 indexed campaignId, uint256 indexed milestoneId)',
-  'event FundsReleased(uint256 indexed campaignId, uint256 indexed milestoneId, uint256 amount, address indexed recipient)'
-];
-
-// IPFSVerifier ABI
-const IPFSVerifierABI = [
-  // Read functions
-  'function owner() view returns (address)',
-  'function getEntry(string memory cid) view returns (string memory, uint256, bool, string memory)',
-  'function isVerified(string memory cid) view returns (bool)',
-  
-  // Write functions
-  'function addEntry(string memory cid, string memory metadata) external',
-  'function verifyEntry(string memory cid, bool isValid) external',
-  'function transferOwnership(address newOwner) external',
-  
-  // Events
-  'event EntryAdded(string indexed cid, address indexed submitter, uint256 timestamp)',
-  'event EntryVerified(string indexed cid, bool isValid, address indexed verifier)'
-];
+// ABIs come from the Foundry build (or its committed export), never hand-written
+const DonationTrackerABI = loadAbi('DonationTracker').abi;
+const IPFSVerifierABI = loadAbi('IPFSVerifier').abi;
+const DisasterOracleABI = loadAbi('DisasterOracleMock').abi;
 
-// DisasterOracle ABI
-const DisasterOracleABI = [
-  // Read functions
-  'function owner() view returns (address)',
-  'function requested(bytes32) view returns (bool)',
-  'function getStatus(string memory disasterId) view returns (bool verified, uint256 confidence)',
-  
-  // Write functions
-  'function requestVerification(string memory disasterId, int256 lat, int256 lon, string memory eventType) external returns (bytes32 requestId)',
-  'function setResult(string memory disasterId, bool verified, uint256 confidence) external',
-  'function transferOwnership(address newOwner) external',
-  
-  // Events
-  'event DisasterVerified(bytes32 indexed disasterIdHash, string disasterId, bool verified, uint256 confidence)'
+const DEPLOYMENTS = [
+  { name: 'DonationTracker', envVar: 'DONATION_TRACKER_ADDRESS', abi: DonationTrackerABI },
+  { name: 'IPFSVerifier', envVar: 'IPFS_VERIFIER_ADDRESS', abi: IPFSVerifierABI },
+  { name: 'DisasterOracleMock', envVar: 'DISASTER_ORACLE_ADDRESS', abi: DisasterOracleABI },
 ];
 
-function getDonationTracker(readOnly = false) {
-  const addr = process.env.DONATION_TRACKER_ADDRESS;
-  if (!addr) throw new Error('DONATION_TRACKER_ADDRESS not set');
+function connect({ envVar, abi }, readOnly) {
+  const addr = process.env[envVar];
+  if (!addr) throw new Error(`${envVar} not set`);
   const provider = getProvider();
   const signerOrProvider = readOnly ? provider : getSigner(provider);
-  return new ethers.Contract(addr, DonationTrackerABI, signerOrProvider);
+  return new ethers.Contract(addr, abi, signerOrProvider);
+}
+
+function getDonationTracker(readOnly = false) {
+  return connect(DEPLOYMENTS[0], readOnly);
 }
 
 function getIPFSVerifier(readOnly = false) {
-  const addr = process.env.IPFS_VERIFIER_ADDRESS;
-  if (!addr) throw new Error('IPFS_VERIFIER_ADDRESS not set');
-  const provider = getProvider();
-  const signerOrProvider = readOnly ? provider : getSigner(provider);
-  return new ethers.Contract(addr, IPFSVerifierABI, signerOrProvider);
+  return connect(DEPLOYMENTS[1], readOnly);
 }
 
 function getDisasterOracle(readOnly = false) {
-  const addr = process.env.DISASTER_ORACLE_ADDRESS;
-  if (!addr) throw new Error('DISASTER_ORACLE_ADDRESS not set');
-  const provider = getProvider();
-  const signerOrProvider = readOnly ? provider : getSigner(provider);
-  return new ethers.Contract(addr, DisasterOracleABI, signerOrProvider);
+  return connect(DEPLOYMENTS[2], readOnly);
+}
+
+/**
+ * Compare the loaded ABIs against the bytecode deployed at each configured address
+ * @param {Object} [provider] - ethers provider
+ * @returns {Promise<Array>} - [{ name, address, ok, missing, error }] for each configured contract
+ */
+async function checkDeployedContracts(provider = getProvider()) {
+  const results = [];
+  for (const { name, envVar, abi } of DEPLOYMENTS) {
+    const address = process.env[envVar];
+    if (!address) continue;
+
+    let result;
+    try {
+      const code = await provider.getCode(address);
+      if (!code || code === '0x') {
+        result = { name, address, ok: false, missing: [], error: 'No contract code at address' };
+      } else {
+        const missing = findMissingSelectors(abi, code);
+        result = { name, address, ok: missing.length === 0, missing };
+      }
+    } catch (err) {
+      result = { name, address, ok: false, missing: [], error: err.message };
+    }
+
+    if (result.ok) {
+      logger.info('Contract ABI matches deployed bytecode', { contract: name, address });
+    } else {
+      logger.warn('Contract ABI does not match deployed bytecode', result);
+    }
+    results.push(result);
+  }
+  return results;
 }
 
-module.exports = { getDonationTracker, getIPFSVerifier, getDisasterOracle, DonationTrackerABI, IPFSVerifierABI, DisasterOracleABI };
+module.exports = {
+  getDonationTracker,
+  getIPFSVerifier,
+  getDisasterOracle,
+  checkDeployedContracts,
+  DonationTrackerABI,
+  IPFSVerifierABI,
+  DisasterOracleABI,
+};
@@ -0,0 +1,242 @@
+/**
+ * Disaster oracle requests and results
+ * Sends requestVerification to DisasterOracleMock and follows its
+ * DisasterVerified events, matching disasterIdHash back to the
+ * DisasterVerifications row. Requests move pending -> verified | failed;
+ * requests without a result after the timeout fail and can be retried.
+ * Every step is appended to DisasterVerificationEvents.
+ */
+
+require('dotenv').config();
+const { ethers } = require('ethers');
+const { getProvider } = require('./provider');
+const { getDisasterOracle } = require('./contracts');
+const { watchBlocks } = require('./events');
+const { sendAndWait } = require('./tx');
+const disastersRepo = require('../db/repos/disasters');
+const indexerRepo = require('../db/repos/indexer');
+const { settleCampaigns } = require('../utils/disasterGate');
+const { AppError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const LISTENER_NAME = 'disaster-oracle';
+const MAX_CONFIDENCE = 100;
+
+function getOracleConfig() {
+  return {
+    timeoutMs: parseInt(process.env.DISASTER_ORACLE_TIMEOUT_MS || String(60 * 60 * 1000), 10),
+    intervalMs: parseInt(process.env.DISASTER_ORACLE_INTERVAL_MS || '60000', 10),
+    startBlock: parseInt(process.env.DISASTER_ORACLE_START_BLOCK || '0', 10),
+    confirmations: parseInt(process.env.DISASTER_ORACLE_CONFIRMATIONS || '1', 10),
+    batchSize: parseInt(process.env.INDEXER_BATCH_SIZE || '500', 10),
+  };
+}
+
+// keccak256(abi.encodePacked(disasterId)), the indexed topic of DisasterVerified
+const hashDisasterId = (disasterId) => ethers.utils.id(String(disasterId));
+
+const toMicroDegrees = (value) => Math.trunc(Number(value) * 1e6);
+
+async function sendRequest(row, oracle) {
+  try {
+    const contract = oracle || getDisasterOracle(false);
+    return await sendAndWait(
+      contract.requestVerification(String(row.disasterId), toMicroDegrees(row.latitude), toMicroDegrees(row.longitude), String(row.eventType)),
+      1
+    );
+  } catch (err) {
+    return { status: 'error', error: { message: err.message } };
+  }
+}
+
+const failureReason = (result) => (result.error ? result.error.message : 'Transaction reverted');
+
+/**
+ * Record a verification request and send it to the oracle. A request that
+ * cannot be sent stays pending and fails once the timeout passes. Each
+ * disaster is requested once; failed requests go through retryVerification.
+ * @param {Object} params
+ * @param {string} params.disasterId
+ * @param {number} params.latitude
+ * @param {number} params.longitude
+ * @param {string} params.eventType
+ * @param {string} [params.actor] - User id of the requester
+ * @param {Object} [options]
+ * @param {Object} [options.oracle] - DisasterOracleMock contract with a signer
+ * @returns {Promise<Object>} - DisasterVerifications row
+ */
+async function requestVerification({ disasterId, latitude, longitude, eventType, actor }, { oracle } = {}) {
+  const row = await disastersRepo.createVerification({
+    disasterId,
+    disasterIdHash: hashDisasterId(disasterId),
+    latitude,
+    longitude,
+    eventType,
+  });
+  if (!row) {
+    const existing = await disastersRepo.getVerification(disasterId);
+    const status = existing ? existing.status : 'pending';
+    throw new AppError(
+      status === 'failed'
+        ? `Verification of ${disasterId} failed; retry it with POST /api/disasters/${disasterId}/retry`
+        : `Verification of ${disasterId} is already ${status}`,
+      409
+    );
+  }
+
+  const result = await sendRequest(row, oracle);
+  if (result.status !== 'success') {
+    logger.warn('Disaster oracle request failed', { disasterId, error: failureReason(result) });
+    await disastersRepo.addEvent({ disasterId, event: 'request_failed', status: 'pending', txHash: result.txHash, actor, detail: failureReason(result) });
+    return row;
+  }
+
+  await disastersRepo.addEvent({ disasterId, event: 'requested', status: 'pending', txHash: result.txHash, actor });
+  return disastersRepo.setRequestTx({ disasterId, txHash: result.txHash });
+}
+
+/**
+ * Send a failed request to the oracle again
+ * @param {Object} row - Failed DisasterVerifications row
+ * @param {Object} params
+ * @param {string} [params.actor] - User id of the operator
+ * @param {Object} [params.oracle] - DisasterOracleMock contract with a signer
+ * @returns {Promise<Object>} - { ok, verification } or { ok: false, txHash, reason }
+ */
+async function retryVerification(row, { actor, oracle = getDisasterOracle(false) } = {}) {
+  const { disasterId } = row;
+  const result = await sendRequest(row, oracle);
+  if (result.status !== 'success') {
+    await disastersRepo.addEvent({ disasterId, event: 'request_failed', status: 'failed', txHash: result.txHash, actor, detail: failureReason(result) });
+    return { ok: false, txHash: result.txHash || null, reason: failureReason(result) };
+  }
+
+  // A result can land while the retry is mined; keep it rather than reopening
+  const reopened = await disastersRepo.reopenRequest({ disasterId, txHash: result.txHash });
+  const verification = reopened || (await disastersRepo.getVerification(disasterId));
+  await disastersRepo.addEvent({ disasterId, event: 'retried', status: verification.status, txHash: result.txHash, actor });
+  logger.info('Disaster verification retried', { disasterId, txHash: result.txHash, actor });
+  return { ok: true, verification };
+}
+
+function createOracleListener({
+  contract,
+  provider,
+  timeoutMs = 60 * 60 * 1000,
+  intervalMs = 60000,
+  startBlock = 0,
+  confirmations = 1,
+  batchSize = 500,
+  onResult,
+}) {
+  let running = null;
+  let unsubscribe = null;
+  let timer = null;
+
+  async function getCursor() {
+    const cursor = await indexerRepo.getCursor(LISTENER_NAME);
+    return cursor ? cursor.blockNumber : startBlock - 1;
+  }
+
+  async function applyResult(log) {
+    const { disasterIdHash, disasterId, verified, confidence } = log.args;
+    let row = await disastersRepo.getByHash(disasterIdHash);
+    // Rows created before hashes were stored are matched by the plain id the event also carries
+    if (!row && hashDisasterId(disasterId) === disasterIdHash) row = await disastersRepo.getVerification(disasterId);
+    if (!row) {
+      logger.warn('Oracle result for unknown disaster', { disasterIdHash, disasterId, txHash: log.transactionHash });
+      return;
+    }
+    if (row.resultTxHash === log.transactionHash) return;
+
+    const score = confidence.gt(MAX_CONFIDENCE) ? MAX_CONFIDENCE : confidence.toNumber();
+    const result = { disasterId: row.disasterId, confidence: score, txHash: log.transactionHash, blockNumber: log.blockNumber };
+    const updated = verified
+      ? await disastersRepo.setVerified(result)
+      : await disastersRepo.setFailed({ ...result, reason: 'Oracle did not verify the event' });
+    await disastersRepo.addEvent({ ...result, event: verified ? 'verified' : 'rejected', status: updated.status });
+    logger.info('Oracle result recorded', { disasterId: row.disasterId, verified, confidence: score, txHash: log.transactionHash });
+
+    // Follow-up work must not hold up or fail the listener
+    if (onResult) {
+      Promise.resolve()
+        .then(() => onResult(updated))
+        .catch((err) => logger.error('Oracle result hook failed', { disasterId: row.disasterId, error: err.message }));
+    }
+  }
+
+  async function syncResults(head) {
+    const safeHead = head - confirmations + 1;
+    let next = (await getCursor()) + 1;
+    while (next <= safeHead) {
+      const to = Math.min(safeHead, next + batchSize - 1);
+      const logs = await contract.queryFilter(contract.filters.DisasterVerified(), next, to);
+      logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+      for (const log of logs) {
+        await applyResult(log);
+      }
+      await indexerRepo.setCursor({ name: LISTENER_NAME, blockNumber: to, blockHash: null });
+      next = to + 1;
+    }
+  }
+
+  async function expireRequests() {
+    const expired = await disastersRepo.expirePending({ timeoutMs, reason: `No oracle result within ${Math.round(timeoutMs / 1000)}s` });
+    for (const row of expired) {
+      await disastersRepo.addEvent({ disasterId: row.disasterId, event: 'timed_out', status: 'failed', detail: row.failureReason });
+      logger.warn('Disaster verification timed out', { disasterId: row.disasterId, requestedAt: row.requestedAt });
+    }
+  }
+
+  function check(head) {
+    if (running) return running;
+    running = Promise.resolve(head ?? provider.getBlockNumber())
+      .then(syncResults)
+      .then(expireRequests)
+      .catch((err) => logger.error('Disaster oracle check failed', { error: err.message }))
+      .finally(() => {
+        running = null;
+      });
+    return running;
+  }
+
+  function start() {
+    logger.info('Starting disaster oracle listener', { contract: contract.address, timeoutMs });
+    unsubscribe = watchBlocks((blockNumber) => check(blockNumber));
+    // Timeouts must fire on a quiet chain too
+    timer = setInterval(() => check(), intervalMs);
+    if (timer.unref) timer.unref();
+    return check();
+  }
+
+  function stop() {
+    if (unsubscribe) unsubscribe();
+    if (timer) clearInterval(timer);
+    unsubscribe = null;
+    timer = null;
+  }
+
+  return { start, stop, check };
+}
+
+function startOracleListener() {
+  const contract = getDisasterOracle(true);
+  const listener = createOracleListener({
+    contract,
+    provider: contract.provider || getProvider(),
+    ...getOracleConfig(),
+    onResult: (verification) => settleCampaigns(verification),
+  });
+  listener.start();
+  return listener;
+}
+
+module.exports = {
+  hashDisasterId,
+  requestVerification,
+  retryVerification,
+  createOracleListener,
+  startOracleListener,
+  getOracleConfig,
+  LISTENER_NAME,
+};
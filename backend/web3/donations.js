@@ -0,0 +1,150 @@
+/**
+ * Donation transaction verification
+ * Checks a reported donation txHash against the chain and moves pending
+ * donations to confirmed or failed once enough blocks have passed.
+ */
+
+require('dotenv').config();
+const { ethers } = require('ethers');
+const { getProvider } = require('./provider');
+const { DonationTrackerABI } = require('./contracts');
+const { watchBlocks } = require('./events');
+const donationsRepo = require('../db/repos/donations');
+const { issueReceipt } = require('../utils/receipts');
+const logger = require('../utils/logger');
+
+const trackerInterface = new ethers.utils.Interface(DonationTrackerABI);
+
+function getDonationConfig() {
+  return {
+    confirmations: parseInt(process.env.DONATION_CONFIRMATIONS || '3', 10),
+    pendingTimeoutMs: parseInt(process.env.DONATION_PENDING_TIMEOUT_MS || String(30 * 60 * 1000), 10),
+  };
+}
+
+/**
+ * Verify that txHash is a receiveDonation call matching what the client reported
+ * @param {Object} params
+ * @param {string} params.txHash - Transaction hash reported by the client
+ * @param {string} params.campaignOnChainId - DonationTracker id of the campaign being donated to
+ * @param {string} [params.donor] - Expected sender wallet (skipped for anonymous donations)
+ * @param {string} [params.amount] - Expected value in ETH
+ * @returns {Promise<Object>} - { ok, reason } or { ok, from, amount, blockNumber }
+ */
+async function verifyDonationTx({ txHash, campaignOnChainId, donor, amount }, provider = getProvider()) {
+  const trackerAddress = process.env.DONATION_TRACKER_ADDRESS;
+  if (!trackerAddress) throw new Error('DONATION_TRACKER_ADDRESS not set');
+
+  const tx = await provider.getTransaction(txHash);
+  if (!tx) return { ok: false, reason: 'Transaction not found on chain' };
+
+  if (!tx.to || tx.to.toLowerCase() !== trackerAddress.toLowerCase()) {
+    return { ok: false, reason: 'Transaction was not sent to the DonationTracker contract' };
+  }
+
+  let parsed;
+  try {
+    parsed = trackerInterface.parseTransaction({ data: tx.data, value: tx.value });
+  } catch (_) {
+    parsed = null;
+  }
+  if (!parsed || parsed.name !== 'receiveDonation') {
+    return { ok: false, reason: 'Transaction is not a receiveDonation call' };
+  }
+  if (parsed.args.campaignId.toString() !== String(campaignOnChainId)) {
+    return { ok: false, reason: 'Transaction donates to a different campaign' };
+  }
+  if (donor && tx.from.toLowerCase() !== donor.toLowerCase()) {
+    return { ok: false, reason: 'Transaction sender does not match donor' };
+  }
+  if (typeof amount !== 'undefined') {
+    let expected;
+    try {
+      expected = ethers.utils.parseEther(String(amount));
+    } catch (_) {
+      return { ok: false, reason: 'amount is invalid' };
+    }
+    if (!tx.value.eq(expected)) return { ok: false, reason: 'Transaction value does not match amount' };
+  }
+
+  const receipt = await provider.getTransactionReceipt(txHash);
+  if (receipt && receipt.status !== 1) return { ok: false, reason: 'Transaction reverted' };
+
+  return {
+    ok: true,
+    from: tx.from,
+    amount: ethers.utils.formatEther(tx.value),
+    blockNumber: receipt ? receipt.blockNumber : null,
+  };
+}
+
+function createDonationConfirmer({ provider, confirmations = 3, pendingTimeoutMs = 30 * 60 * 1000, onConfirmed }) {
+  let running = null;
+  let unsubscribe = null;
+
+  async function checkPending(head) {
+    const pending = await donationsRepo.listPendingDonations();
+    for (const donation of pending) {
+      const receipt = await provider.getTransactionReceipt(donation.txHash);
+      if (!receipt) {
+        const age = Date.now() - new Date(donation.createdAt).getTime();
+        if (age > pendingTimeoutMs && !(await provider.getTransaction(donation.txHash))) {
+          await donationsRepo.failDonation({ txHash: donation.txHash });
+          logger.warn('Donation dropped from mempool', { txHash: donation.txHash });
+        }
+        continue;
+      }
+      if (receipt.status !== 1) {
+        await donationsRepo.failDonation({ txHash: donation.txHash });
+        logger.warn('Donation transaction reverted', { txHash: donation.txHash });
+        continue;
+      }
+      if (head - receipt.blockNumber + 1 >= confirmations) {
+        const confirmed = await donationsRepo.confirmDonation({ txHash: donation.txHash });
+        logger.info('Donation confirmed', { txHash: donation.txHash, blockNumber: receipt.blockNumber });
+        // Follow-up work (receipts) must not hold up or fail the confirmation pass
+        if (confirmed && onConfirmed) {
+          Promise.resolve()
+            .then(() => onConfirmed(confirmed, receipt))
+            .catch((err) => logger.error('Post-confirmation hook failed', { txHash: donation.txHash, error: err.message }));
+        }
+      }
+    }
+  }
+
+  function check(head) {
+    if (running) return running;
+    running = Promise.resolve(head ?? provider.getBlockNumber())
+      .then(checkPending)
+      .catch((err) => logger.error('Donation confirmation check failed', { error: err.message }))
+      .finally(() => {
+        running = null;
+      });
+    return running;
+  }
+
+  function start() {
+    unsubscribe = watchBlocks((blockNumber) => check(blockNumber));
+    return check();
+  }
+
+  function stop() {
+    if (unsubscribe) unsubscribe();
+    unsubscribe = null;
+  }
+
+  return { start, stop, check };
+}
+
+function startDonationConfirmer() {
+  const provider = getProvider();
+  const confirmer = createDonationConfirmer({
+    provider,
+    ...getDonationConfig(),
+    onConfirmed: (donation, receipt) => issueReceipt(donation.id, { provider, blockNumber: receipt.blockNumber }),
+  });
+  confirmer.start();
+  return confirmer;
+}
+
+module.exports = { verifyDonationTx, createDonationConfirmer, startDonationConfirmer, getDonationConfig };
@@ -0,0 +1,173 @@
+/**
+ * IPFSVerifier file registry
+ * Registers uploaded CIDs on-chain with their metadata and writes reviewer
+ * decisions (approveCID/rejectCID). UploadedFiles mirrors the on-chain state:
+ * unregistered -> registering -> pending -> approved | rejected, with failed
+ * registrations retried by the registrar sweep.
+ */
+
+require('dotenv').config();
+const { getIPFSVerifier } = require('./contracts');
+const { sendAndWait } = require('./tx');
+const filesRepo = require('../db/repos/files');
+const logger = require('../utils/logger');
+
+function getRegistryConfig() {
+  return {
+    intervalMs: parseInt(process.env.FILE_REGISTRY_INTERVAL_MS || '60000', 10),
+    maxAttempts: parseInt(process.env.FILE_REGISTRY_MAX_ATTEMPTS || '5', 10),
+    staleMs: parseInt(process.env.FILE_REGISTRY_STALE_MS || String(10 * 60 * 1000), 10),
+  };
+}
+
+// Longest uploader-supplied metadata (serialized) written on-chain; /api/ipfs/upload rejects longer
+const MAX_CHAIN_METADATA_LENGTH = 1024;
+
+// Compact JSON stored on-chain next to the CID; uploader metadata cannot override the file details
+function buildChainMetadata(file) {
+  const extra = file.metadata || {};
+  return JSON.stringify({
+    ...(JSON.stringify(extra).length <= MAX_CHAIN_METADATA_LENGTH ? extra : {}),
+    documentType: file.documentType,
+    name: file.originalName || undefined,
+    mimeType: file.mimeType || undefined,
+    size: file.sizeBytes != null ? Number(file.sizeBytes) : undefined,
+    uploader: file.uploader || undefined,
+  });
+}
+
+/**
+ * Read a CID's on-chain entry
+ * @param {string} cid
+ * @param {Object} [verifier] - IPFSVerifier contract
+ * @returns {Promise<Object|null>} - { approved, registeredAt, metadata } or null when not registered
+ */
+async function getChainEntry(cid, verifier = getIPFSVerifier(true)) {
+  try {
+    const [, timestamp, approved, metadata] = await verifier.getEntry(cid);
+    return { approved, registeredAt: new Date(timestamp.toNumber() * 1000).toISOString(), metadata };
+  } catch (err) {
+    // getEntry reverts with "Not found" for unknown CIDs
+    if (/Not found|CALL_EXCEPTION/.test(`${err.reason} ${err.code} ${err.message}`)) return null;
+    throw err;
+  }
+}
+
+/**
+ * Register a file's CID on IPFSVerifier and record the outcome
+ * @param {string} cid
+ * @param {Object} [options]
+ * @param {Object} [options.verifier] - IPFSVerifier contract with a signer
+ * @param {number} [options.staleMs] - Age after which a stuck 'registering' claim is taken over
+ * @returns {Promise<Object|null>} - Updated file, or null when nothing was claimed
+ */
+async function registerFile(cid, { verifier, staleMs = getRegistryConfig().staleMs } = {}) {
+  const file = await filesRepo.claimForRegistration({ cid, staleMs });
+  if (!file) return null;
+
+  try {
+    const contract = verifier || getIPFSVerifier();
+
+    // Already on-chain (earlier attempt that timed out, or another deployment): adopt its state
+    const existing = await getChainEntry(cid, contract);
+    if (existing) {
+      return filesRepo.markRegistered({ cid, txHash: file.registerTxHash, status: existing.approved ? 'approved' : 'pending' });
+    }
+
+    const result = await sendAndWait(contract.registerCID(cid, buildChainMetadata(file)), 1);
+    if (result.status !== 'success') {
+      const reason = result.error ? result.error.message : 'Transaction reverted';
+      if (/Already exists/.test(reason)) return filesRepo.markRegistered({ cid, txHash: null });
+      throw new Error(reason);
+    }
+    logger.info('File registered on IPFSVerifier', { cid, txHash: result.txHash });
+    return filesRepo.markRegistered({ cid, txHash: result.txHash });
+  } catch (err) {
+    logger.warn('File registration failed', { cid, attempt: file.registrationAttempts, error: err.message });
+    return filesRepo.markRegistrationFailed({ cid, error: err.message });
+  }
+}
+
+/**
+ * Start registering a file without waiting for the transaction; the
+ * registrar sweep retries it if this attempt fails
+ * @param {string} cid
+ */
+function queueRegistration(cid) {
+  if (!process.env.IPFS_VERIFIER_ADDRESS) return;
+  registerFile(cid).catch((err) => logger.error('File registration errored', { cid, error: err.message }));
+}
+
+/**
+ * Write a reviewer's decision on-chain and mirror it into UploadedFiles
+ * @param {Object} params
+ * @param {string} params.cid
+ * @param {boolean} params.approved
+ * @param {string} [params.reason]
+ * @param {string} params.reviewer - User id of the reviewer
+ * @param {Object} [params.verifier] - IPFSVerifier contract with the owner signer
+ * @returns {Promise<Object>} - { ok, file } or { ok: false, txHash, reason }
+ */
+async function reviewFile({ cid, approved, reason = '', reviewer, verifier = getIPFSVerifier() }) {
+  const call = approved ? verifier.approveCID(cid, reason) : verifier.rejectCID(cid, reason);
+  const result = await sendAndWait(call, 1);
+  if (result.status !== 'success') {
+    return { ok: false, txHash: result.txHash || null, reason: result.error ? result.error.message : result.status };
+  }
+  const file = await filesRepo.recordReview({ cid, approved, reason, reviewer, txHash: result.txHash });
+  logger.info('File review recorded', { cid, approved, txHash: result.txHash, reviewer });
+  return { ok: true, file };
+}
+
+function createFileRegistrar({ verifier, intervalMs = 60000, maxAttempts = 5, staleMs = 10 * 60 * 1000 }) {
+  let running = null;
+  let timer = null;
+
+  async function registerBacklog() {
+    const backlog = await filesRepo.listRegistrationBacklog({ maxAttempts, staleMs });
+    for (const file of backlog) {
+      await registerFile(file.cid, { verifier, staleMs });
+    }
+  }
+
+  function check() {
+    if (running) return running;
+    running = registerBacklog()
+      .catch((err) => logger.error('File registration sweep failed', { error: err.message }))
+      .finally(() => {
+        running = null;
+      });
+    return running;
+  }
+
+  function start() {
+    timer = setInterval(check, intervalMs);
+    if (timer.unref) timer.unref();
+    return check();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, check };
+}
+
+function startFileRegistrar() {
+  const registrar = createFileRegistrar({ verifier: getIPFSVerifier(), ...getRegistryConfig() });
+  registrar.start();
+  return registrar;
+}
+
+module.exports = {
+  MAX_CHAIN_METADATA_LENGTH,
+  buildChainMetadata,
+  getChainEntry,
+  registerFile,
+  queueRegistration,
+  reviewFile,
+  createFileRegistrar,
+  startFileRegistrar,
+  getRegistryConfig,
+};
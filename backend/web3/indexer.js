@@ -0,0 +1,287 @@
+/**
+ * DonationTracker chain indexer
+ * Follows CampaignCreated, MilestoneSubmitted and FundsReleased events plus
+ * receiveDonation calls and mirrors them into Postgres. Blocks inside the
+ * confirmation window are re-checked on every sync and rolled back on reorg.
+ * Campaigns and milestones are only ever created through the API; events for
+ * ones not linked yet (PUT /api/campaigns/:id/onchain, PUT /api/milestones/:id/onchain)
+ * are recorded as unlinked.
+ */
+
+require('dotenv').config();
+const { ethers } = require('ethers');
+const { getProvider } = require('./provider');
+const { getDonationTracker } = require('./contracts');
+const { onContractEvents, watchBlocks } = require('./events');
+const indexerRepo = require('../db/repos/indexer');
+const campaignsRepo = require('../db/repos/campaigns');
+const milestonesRepo = require('../db/repos/milestones');
+const donationsRepo = require('../db/repos/donations');
+const logger = require('../utils/logger');
+
+const INDEXER_NAME = 'donation-tracker';
+const TRACKED_EVENTS = ['CampaignCreated', 'MilestoneSubmitted', 'FundsReleased'];
+// receiveDonation emits no event, so donations are decoded from transaction input
+const DONATION_EVENT = 'DonationReceived';
+const DONATION_LOG_INDEX = -1;
+
+function getIndexerConfig() {
+  return {
+    startBlock: parseInt(process.env.INDEXER_START_BLOCK || '0', 10),
+    confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS || '12', 10),
+    batchSize: parseInt(process.env.INDEXER_BATCH_SIZE || '500', 10),
+  };
+}
+
+function createIndexer({ contract, provider, startBlock = 0, confirmations = 12, batchSize = 500 }) {
+  const contractAddress = contract.address.toLowerCase();
+  let running = null;
+  let rerun = false;
+  const unsubscribers = [];
+
+  async function getCursor() {
+    const cursor = await indexerRepo.getCursor(INDEXER_NAME);
+    return cursor || { blockNumber: startBlock - 1, blockHash: null };
+  }
+
+  // A placeholder campaign would skip the disaster and NGO checks of POST /api/campaigns
+  async function applyCampaignCreated(log) {
+    const campaignId = log.args.campaignId.toString();
+    const existing = await campaignsRepo.getCampaignByOnChainId(campaignId);
+    if (existing) return { entityId: existing.id, undo: { created: false } };
+    logger.info('Indexer: on-chain campaign is not linked to a campaign', { campaignId, txHash: log.transactionHash });
+    return { entityId: null, undo: { created: false, unlinked: true } };
+  }
+
+  async function applyMilestoneSubmitted(log) {
+    const { campaignId, milestoneId, proofCID } = log.args;
+    const campaign = await campaignsRepo.getCampaignByOnChainId(campaignId.toString());
+    if (!campaign) {
+      logger.warn('Indexer: milestone for unknown campaign', { campaignId: campaignId.toString() });
+      return { entityId: null, undo: { created: false, unlinked: true } };
+    }
+
+    const onChainIndex = milestoneId.toNumber();
+    const existing = await milestonesRepo.getByOnChainIndex({ campaignId: campaign.id, onChainIndex });
+    if (existing) {
+      // A submitProof over a milestone the platform already knows is a resubmission: record it as a new proof version
+      const undo = { created: false, proofCID: existing.proofCID };
+      if (proofCID !== existing.proofCID) {
+        const version = await milestonesRepo.addProofVersion({ milestoneId: existing.id, cid: proofCID });
+        if (version) undo.proofVersionId = version.id;
+        else await milestonesRepo.setProofCID({ id: existing.id, proofCID });
+      }
+      return { entityId: existing.id, undo };
+    }
+
+    // A placeholder milestone would skip the campaign's milestone budget
+    logger.info('Indexer: on-chain milestone is not linked to a milestone', { campaignId: campaignId.toString(), onChainIndex });
+    return { entityId: null, undo: { created: false, unlinked: true } };
+  }
+
+  async function applyFundsReleased(log) {
+    const { campaignId, milestoneId } = log.args;
+    const campaign = await campaignsRepo.getCampaignByOnChainId(campaignId.toString());
+    const milestone = campaign
+      ? await milestonesRepo.getByOnChainIndex({ campaignId: campaign.id, onChainIndex: milestoneId.toNumber() })
+      : null;
+    if (!milestone) {
+      logger.warn('Indexer: release for unknown milestone', { campaignId: campaignId.toString(), milestoneId: milestoneId.toString() });
+      return { entityId: null, undo: null };
+    }
+    if (milestone.releasedAt) return { entityId: milestone.id, undo: { wasReleased: true } };
+    await milestonesRepo.markReleased({ id: milestone.id, txHash: log.transactionHash, blockNumber: log.blockNumber });
+    return { entityId: milestone.id, undo: { wasReleased: false } };
+  }
+
+  async function applyDonation(tx, parsed) {
+    const campaign = await campaignsRepo.getCampaignByOnChainId(parsed.args.campaignId.toString());
+    if (!campaign) {
+      logger.warn('Indexer: donation for unknown campaign', { txHash: tx.hash });
+      return { entityId: null, undo: null };
+    }
+    try {
+      const created = await donationsRepo.createDonation({
+        campaignId: campaign.id,
+        donorWallet: tx.from,
+        amount: ethers.utils.formatEther(tx.value),
+        txHash: tx.hash,
+      });
+      return { entityId: created.id, undo: { created: true } };
+    } catch (err) {
+      // Already reported through POST /api/donations; nothing to undo on reorg
+      if (err.status === 409) return { entityId: null, undo: { created: false } };
+      throw err;
+    }
+  }
+
+  const appliers = {
+    CampaignCreated: applyCampaignCreated,
+    MilestoneSubmitted: applyMilestoneSubmitted,
+    FundsReleased: applyFundsReleased,
+  };
+
+  async function revertEvent(event) {
+    const undo = event.undo || {};
+    switch (event.eventName) {
+      case 'CampaignCreated':
+        if (undo.created) await campaignsRepo.deleteCampaign(event.entityId);
+        break;
+      case 'MilestoneSubmitted':
+        if (undo.created) await milestonesRepo.deleteMilestone(event.entityId);
+        else if (event.entityId) {
+          if (undo.proofVersionId) await milestonesRepo.deleteProofVersion(undo.proofVersionId);
+          await milestonesRepo.setProofCID({ id: event.entityId, proofCID: undo.proofCID });
+        }
+        break;
+      case 'FundsReleased':
+        if (event.entityId && undo.wasReleased === false) await milestonesRepo.unmarkReleased({ id: event.entityId });
+        break;
+      case DONATION_EVENT:
+        if (undo.created) await donationsRepo.removeDonation({ txHash: event.txHash });
+        break;
+      default:
+        logger.warn('Indexer: no revert handler for event', { eventName: event.eventName });
+    }
+  }
+
+  async function rollbackFrom(blockNumber) {
+    const events = await indexerRepo.listEventsFrom(blockNumber);
+    for (const event of events) {
+      await revertEvent(event);
+    }
+    await indexerRepo.deleteEventsFrom(blockNumber);
+    const previous = blockNumber - 1 >= startBlock ? await provider.getBlock(blockNumber - 1) : null;
+    await indexerRepo.setCursor({ name: INDEXER_NAME, blockNumber: blockNumber - 1, blockHash: previous ? previous.hash : null });
+    logger.warn('Indexer: rolled back unconfirmed blocks', { fromBlock: blockNumber, events: events.length });
+  }
+
+  // A changed hash at the cursor means some block inside the window was replaced
+  async function checkReorg(head) {
+    const cursor = await getCursor();
+    if (!cursor.blockHash) return;
+    const block = cursor.blockNumber <= head ? await provider.getBlock(cursor.blockNumber) : null;
+    if (block && block.hash === cursor.blockHash) return;
+    const from = Math.max(startBlock, cursor.blockNumber - confirmations + 1);
+    logger.warn('Indexer: reorg detected', { cursor: cursor.blockNumber, head, rollbackFrom: from });
+    await rollbackFrom(from);
+  }
+
+  async function processItem(item, block) {
+    const key = { txHash: item.txHash, logIndex: item.logIndex };
+    if (await indexerRepo.isRecorded(key)) return;
+    const { entityId, undo } = item.log
+      ? await appliers[item.log.event](item.log)
+      : await applyDonation(item.tx, item.parsed);
+    await indexerRepo.recordEvent({
+      ...key,
+      blockNumber: block.number,
+      blockHash: block.hash,
+      eventName: item.log ? item.log.event : DONATION_EVENT,
+      entityId,
+      undo,
+    });
+  }
+
+  async function donationItems(block) {
+    const items = [];
+    for (const [txIndex, tx] of block.transactions.entries()) {
+      if (!tx.to || tx.to.toLowerCase() !== contractAddress) continue;
+      let parsed;
+      try {
+        parsed = contract.interface.parseTransaction({ data: tx.data, value: tx.value });
+      } catch (_) {
+        continue;
+      }
+      if (parsed.name !== 'receiveDonation') continue;
+      const receipt = await provider.getTransactionReceipt(tx.hash);
+      if (!receipt || receipt.status !== 1) continue;
+      items.push({ txIndex, logIndex: DONATION_LOG_INDEX, txHash: tx.hash, tx, parsed });
+    }
+    return items;
+  }
+
+  async function processRange(fromBlock, toBlock) {
+    const batches = await Promise.all(
+      TRACKED_EVENTS.map((name) => contract.queryFilter(contract.filters[name](), fromBlock, toBlock))
+    );
+    const logsByBlock = new Map();
+    for (const log of batches.flat()) {
+      if (!logsByBlock.has(log.blockNumber)) logsByBlock.set(log.blockNumber, []);
+      logsByBlock.get(log.blockNumber).push(log);
+    }
+
+    for (let n = fromBlock; n <= toBlock; n++) {
+      const block = await provider.getBlockWithTransactions(n);
+      const items = (logsByBlock.get(n) || []).map((log) => ({
+        txIndex: log.transactionIndex,
+        logIndex: log.logIndex,
+        txHash: log.transactionHash,
+        log,
+      }));
+      items.push(...(await donationItems(block)));
+      items.sort((a, b) => a.txIndex - b.txIndex || a.logIndex - b.logIndex);
+
+      for (const item of items) {
+        await processItem(item, block);
+      }
+      await indexerRepo.setCursor({ name: INDEXER_NAME, blockNumber: n, blockHash: block.hash });
+    }
+  }
+
+  async function syncOnce() {
+    const head = await provider.getBlockNumber();
+    await checkReorg(head);
+    let next = (await getCursor()).blockNumber + 1;
+    while (next <= head) {
+      const to = Math.min(head, next + batchSize - 1);
+      await processRange(next, to);
+      logger.debug('Indexer: processed blocks', { fromBlock: next, toBlock: to });
+      next = to + 1;
+    }
+    return head;
+  }
+
+  // Serialises syncs; triggers that arrive mid-sync collapse into one follow-up run
+  function scheduleSync() {
+    if (running) {
+      rerun = true;
+      return running;
+    }
+    running = syncOnce()
+      .catch((err) => logger.error('Indexer sync failed', { error: err.message, stack: err.stack }))
+      .finally(() => {
+        running = null;
+        if (rerun) {
+          rerun = false;
+          scheduleSync();
+        }
+      });
+    return running;
+  }
+
+  function start() {
+    logger.info('Starting chain indexer', { contract: contract.address, startBlock, confirmations });
+    unsubscribers.push(watchBlocks(() => scheduleSync()));
+    for (const name of TRACKED_EVENTS) {
+      unsubscribers.push(onContractEvents(contract, name, () => scheduleSync()));
+    }
+    return scheduleSync();
+  }
+
+  function stop() {
+    while (unsubscribers.length) unsubscribers.pop()();
+    return running || Promise.resolve();
+  }
+
+  return { start, stop, syncOnce, scheduleSync, rollbackFrom };
+}
+
+function startIndexer() {
+  const contract = getDonationTracker(true);
+  const indexer = createIndexer({ contract, provider: contract.provider || getProvider(), ...getIndexerConfig() });
+  indexer.start();
+  return indexer;
+}
+
+module.exports = { createIndexer, startIndexer, getIndexerConfig, INDEXER_NAME };
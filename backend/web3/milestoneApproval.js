@@ -0,0 +1,144 @@
+/**
+ * Milestone approval by a quorum of verifiers
+ * Each assigned verifier signs an EIP-712 MilestoneApproval over the
+ * milestone id, its proof CID and its amount in wei. Once enough distinct
+ * assigned verifiers have signed the current proof, the milestone is approved:
+ * on DonationTracker (approveMilestone) when it is linked on-chain, then in
+ * the database, which opens the milestone's challenge window. Every signature
+ * is stored for audit.
+ */
+
+require('dotenv').config();
+const { ethers } = require('ethers');
+const { getDonationTracker } = require('./contracts');
+const { sendAndWait } = require('./tx');
+const milestonesRepo = require('../db/repos/milestones');
+const campaignsRepo = require('../db/repos/campaigns');
+const { challengeEndsAt } = require('../utils/milestoneDisputes');
+const logger = require('../utils/logger');
+
+const APPROVAL_TYPES = {
+  MilestoneApproval: [
+    { name: 'milestoneId', type: 'string' },
+    { name: 'proofCID', type: 'string' },
+    { name: 'amount', type: 'uint256' },
+  ],
+};
+
+function getApprovalConfig() {
+  const quorum = parseInt(process.env.MILESTONE_APPROVAL_QUORUM || '2', 10);
+  return {
+    quorum,
+    // Lowest quorum an admin may assign, so no single key can approve
+    minQuorum: Math.max(2, quorum),
+    chainId: parseInt(process.env.MILESTONE_APPROVAL_CHAIN_ID || process.env.SIWE_CHAIN_ID || '11155111', 10),
+    verifyingContract: process.env.DONATION_TRACKER_ADDRESS || null,
+  };
+}
+
+function approvalDomain({ chainId, verifyingContract } = getApprovalConfig()) {
+  const domain = { name: 'D3R Milestones', version: '1', chainId };
+  if (verifyingContract) domain.verifyingContract = verifyingContract;
+  return domain;
+}
+
+const toWei = (fundAmount) => ethers.utils.parseEther(String(fundAmount)).toString();
+
+const approvalMessage = (milestone) => ({
+  milestoneId: milestone.id,
+  proofCID: milestone.proofCID,
+  amount: toWei(milestone.fundAmount),
+});
+
+// eth_signTypedData_v4 payload for the milestone's current proof
+function approvalTypedData(milestone, config = getApprovalConfig()) {
+  return ethers.utils._TypedDataEncoder.getPayload(approvalDomain(config), APPROVAL_TYPES, approvalMessage(milestone));
+}
+
+/**
+ * Address that signed the approval, lowercased
+ * @throws when the signature is malformed
+ */
+function recoverApprover(milestone, signature, config = getApprovalConfig()) {
+  return ethers.utils
+    .verifyTypedData(approvalDomain(config), APPROVAL_TYPES, approvalMessage(milestone), signature)
+    .toLowerCase();
+}
+
+/**
+ * Signatures that count towards quorum: one per currently assigned verifier,
+ * over the milestone's current proof and amount
+ */
+function countedApprovals(milestone, approvals, verifiers) {
+  const amountWei = toWei(milestone.fundAmount);
+  const assigned = new Set(verifiers);
+  const seen = new Set();
+  return approvals.filter((a) => {
+    if (a.proofCID !== milestone.proofCID || a.amountWei !== amountWei) return false;
+    if (!assigned.has(a.verifier) || seen.has(a.verifier)) return false;
+    seen.add(a.verifier);
+    return true;
+  });
+}
+
+async function getApprovalState(milestone) {
+  const [verifiers, approvals] = await Promise.all([
+    milestonesRepo.listVerifiers(milestone.id),
+    milestonesRepo.listApprovals(milestone.id),
+  ]);
+  const counted = countedApprovals(milestone, approvals, verifiers);
+  return { verifiers, approvals, counted, quorum: milestone.approvalQuorum };
+}
+
+/**
+ * Approve the milestone if its signatures reach quorum
+ * @param {Object} milestone
+ * @param {Object} [options]
+ * @param {Object} [options.tracker] - DonationTracker with a signer
+ * @returns {Promise<Object>} - { status: 'pending' | 'approved' | 'failed', signatures, quorum, milestone?, txHash?, reason? }
+ */
+async function finalizeApproval(milestone, { tracker } = {}) {
+  const { counted, quorum } = await getApprovalState(milestone);
+  const progress = { signatures: counted.length, quorum };
+  if (!quorum || counted.length < quorum) return { status: 'pending', ...progress };
+
+  let txHash = null;
+  const campaign = milestone.onChainIndex != null
+    ? await campaignsRepo.getCampaignByIdWithCounts(milestone.campaignId)
+    : null;
+  if (campaign && campaign.onChainId) {
+    let contract;
+    try {
+      contract = tracker || getDonationTracker();
+    } catch (e) {
+      return { status: 'failed', ...progress, txHash: null, reason: `DonationTracker is not configured: ${e.message}` };
+    }
+    const result = await sendAndWait(contract.approveMilestone(campaign.onChainId, milestone.onChainIndex), 1);
+    if (result.status === 'success') {
+      txHash = result.txHash;
+    } else {
+      const reason = result.error ? result.error.message : 'Transaction reverted';
+      // Approved by an earlier attempt whose response was lost: adopt it
+      if (!/Already approved/.test(reason)) {
+        logger.error('On-chain milestone approval failed', { milestoneId: milestone.id, reason });
+        return { status: 'failed', ...progress, txHash: result.txHash || null, reason };
+      }
+    }
+  }
+
+  const approved = await milestonesRepo.markApproved({ id: milestone.id, txHash, challengeEndsAt: challengeEndsAt() });
+  logger.info('Milestone approved by quorum', { milestoneId: milestone.id, ...progress, txHash });
+  return { status: 'approved', ...progress, milestone: approved || await milestonesRepo.getById(milestone.id) };
+}
+
+module.exports = {
+  APPROVAL_TYPES,
+  getApprovalConfig,
+  approvalDomain,
+  approvalMessage,
+  approvalTypedData,
+  recoverApprover,
+  countedApprovals,
+  getApprovalState,
+  finalizeApproval,
+};
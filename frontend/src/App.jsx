@@ -19,6 +19,7 @@ const Campaigns = lazy(() => import('./pages/Campaigns'));
 const CampaignDetail = lazy(() => import('./pages/CampaignDetail'));
 const MyDashboard = lazy(() => import('./pages/MyDashboard'));
 const CreateCampaign = lazy(() => import('./pages/CreateCampaign'));
+const DisasterMap = lazy(() => import('./pages/DisasterMap'));
 
 // Fallback component for lazy loading
 const LoadingFallback = () => (
@@ -42,6 +43,7 @@ export default function App() {
                       <Route path="/" element={<Home />} />
                       <Route path="/campaigns" element={<Campaigns />} />
                       <Route path="/campaigns/:id" element={<CampaignDetail />} />
+                      <Route path="/map" element={<DisasterMap />} />
 
                       {/* Protected routes - require authentication */}
                       <Route
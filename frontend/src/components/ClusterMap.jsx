@@ -0,0 +1,99 @@
+import React, { useEffect, useRef } from 'react';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { MAP_TILES, MAP_DEFAULT_VIEW } from '../config/map';
+import { clusterPoints, fundingPercent, markerRadius, progressColor } from '../utils/mapClusters';
+
+const markerIcon = (radius, color, label) =>
+  L.divIcon({
+    className: '',
+    iconSize: [radius * 2, radius * 2],
+    html: `<div style="width:${radius * 2}px;height:${radius * 2}px;border-radius:50%;background:${color};opacity:0.9;border:2px solid #fff;box-shadow:0 1px 4px rgba(0,0,0,0.35);display:flex;align-items:center;justify-content:center;color:#fff;font:600 12px sans-serif;">${label}</div>`,
+  });
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+
+/**
+ * Leaflet map of disasters, clustered at each zoom level
+ * Clicking a disaster (or a cluster that cannot be split further) passes its
+ * disasters to onSelect; clicking any other cluster zooms into it.
+ */
+export default function ClusterMap({ disasters, onSelect, height = 560 }) {
+  const containerRef = useRef(null);
+  const mapRef = useRef(null);
+  const layerRef = useRef(null);
+  const fittedRef = useRef(false);
+  const onSelectRef = useRef(onSelect);
+  onSelectRef.current = onSelect;
+
+  // Create the map once
+  useEffect(() => {
+    const map = L.map(containerRef.current, { worldCopyJump: true })
+      .setView(MAP_DEFAULT_VIEW.center, MAP_DEFAULT_VIEW.zoom);
+    L.tileLayer(MAP_TILES.url, { attribution: MAP_TILES.attribution, maxZoom: MAP_TILES.maxZoom }).addTo(map);
+    layerRef.current = L.layerGroup().addTo(map);
+    mapRef.current = map;
+    return () => {
+      map.remove();
+      mapRef.current = null;
+    };
+  }, []);
+
+  // Redraw markers when the data or the zoom changes
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map) return undefined;
+
+    if (!fittedRef.current && disasters.length) {
+      fittedRef.current = true;
+      map.fitBounds(L.latLngBounds(disasters.map((d) => [d.latitude, d.longitude])).pad(0.2), {
+        maxZoom: 8,
+      });
+    }
+
+    const maxRaised = Math.max(0, ...disasters.map((d) => d.raisedAmount));
+    const draw = () => {
+      const layer = layerRef.current;
+      const zoom = map.getZoom();
+      layer.clearLayers();
+      clusterPoints(disasters, (lat, lon) => map.project([lat, lon], zoom)).forEach((cluster) => {
+        const percent = fundingPercent(cluster.raisedAmount, cluster.targetAmount);
+        const single = cluster.items.length === 1;
+        const marker = L.marker([cluster.latitude, cluster.longitude], {
+          icon: markerIcon(markerRadius(cluster.raisedAmount, maxRaised), progressColor(percent), single ? '' : cluster.items.length),
+          keyboard: true,
+          title: single ? cluster.items[0].name || cluster.items[0].disasterId : `${cluster.items.length} disasters`,
+        });
+        const heading = single
+          ? escapeHtml(cluster.items[0].name || cluster.items[0].disasterId)
+          : `${cluster.items.length} disasters`;
+        marker.bindTooltip(`${heading}<br/>${cluster.raisedAmount.toLocaleString()} ETH raised · ${percent.toFixed(0)}% funded`);
+        marker.on('click', () => {
+          const bounds = L.latLngBounds(cluster.items.map((d) => [d.latitude, d.longitude]));
+          if (single || zoom >= map.getMaxZoom() || bounds.getNorthEast().equals(bounds.getSouthWest())) {
+            onSelectRef.current(cluster.items);
+          } else {
+            map.fitBounds(bounds.pad(0.5));
+          }
+        });
+        layer.addLayer(marker);
+      });
+    };
+
+    draw();
+    map.on('zoomend', draw);
+    return () => {
+      map.off('zoomend', draw);
+    };
+  }, [disasters]);
+
+  return (
+    <div
+      ref={containerRef}
+      role="region"
+      aria-label="Map of verified disasters"
+      style={{ height, width: '100%', borderRadius: 12, overflow: 'hidden', border: '1px solid #e2e8f0' }}
+    />
+  );
+}
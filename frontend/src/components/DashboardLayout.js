@@ -53,6 +53,7 @@ function Header() {
       <nav style={{ display: 'flex', gap: 16 }}>
         <NavLink to="/" style={({isActive})=>({ textDecoration: 'none', color: isActive ? '#0ea5e9' : '#111827' })}>Home</NavLink>
         <NavLink to="/campaigns" style={({isActive})=>({ textDecoration: 'none', color: isActive ? '#0ea5e9' : '#111827' })}>Campaigns</NavLink>
+        <NavLink to="/map" style={({isActive})=>({ textDecoration: 'none', color: isActive ? '#0ea5e9' : '#111827' })}>Map</NavLink>
         <NavLink to="/dashboard" style={({isActive})=>({ textDecoration: 'none', color: isActive ? '#0ea5e9' : '#111827' })}>Dashboard</NavLink>
         <NavLink to="/create" style={({isActive})=>({ textDecoration: 'none', color: isActive ? '#0ea5e9' : '#111827' })}>Create Campaign</NavLink>
       </nav>
@@ -161,6 +162,7 @@ function Sidebar() {
       <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
         <NavLink to="/" style={({isActive})=>({ textDecoration: 'none', color: isActive ? '#0ea5e9' : '#111827' })}>Home</NavLink>
         <NavLink to="/campaigns" style={({isActive})=>({ textDecoration: 'none', color: isActive ? '#0ea5e9' : '#111827' })}>Campaigns</NavLink>
+        <NavLink to="/map" style={({isActive})=>({ textDecoration: 'none', color: isActive ? '#0ea5e9' : '#111827' })}>Map</NavLink>
         <NavLink to="/dashboard" style={({isActive})=>({ textDecoration: 'none', color: isActive ? '#0ea5e9' : '#111827' })}>Dashboard</NavLink>
         <NavLink to="/create" style={({isActive})=>({ textDecoration: 'none', color: isActive ? '#0ea5e9' : '#111827' })}>Create Campaign</NavLink>
       </div>
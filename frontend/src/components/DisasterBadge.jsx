@@ -0,0 +1,42 @@
+import React from 'react';
+
+const VARIANTS = {
+  verified: { background: '#d1fae5', color: '#065f46' },
+  belowThreshold: { background: '#ffedd5', color: '#9a3412' },
+  pending: { background: '#fef3c7', color: '#92400e' },
+  failed: { background: '#fee2e2', color: '#991b1b' },
+};
+
+// Oracle verification of the disaster a campaign raises funds for; minConfidence is the
+// threshold campaigns need, so a verified result below it is not shown as verified
+export default function DisasterBadge({ verification }) {
+  if (!verification) return null;
+  const { status, confidence, minConfidence } = verification;
+  const belowThreshold = status === 'verified' && confidence != null && minConfidence != null && Number(confidence) < Number(minConfidence);
+  const verified = status === 'verified' && !belowThreshold;
+  const variant = VARIANTS[belowThreshold ? 'belowThreshold' : status] || VARIANTS.pending;
+
+  let label = 'Disaster verification pending';
+  let title = 'Awaiting the disaster oracle';
+  if (belowThreshold) {
+    label = `Low-confidence disaster · ${Math.round(confidence)}% (needs ${minConfidence}%)`;
+    title = `The disaster oracle verified this disaster below the ${minConfidence}% confidence campaigns need`;
+  } else if (verified) {
+    label = confidence != null ? `Verified disaster · ${Math.round(confidence)}% confidence` : 'Verified disaster';
+    title = 'Verified on-chain by the disaster oracle';
+  } else if (status === 'failed') {
+    label = 'Disaster not verified';
+    title = 'The disaster oracle did not verify this disaster';
+  }
+
+  return (
+    <span
+      role="status"
+      title={title}
+      style={{ display: 'inline-block', padding: '4px 10px', borderRadius: 999, fontSize: 13, fontWeight: 600, ...variant }}
+    >
+      {verified && <span aria-hidden="true">✓ </span>}
+      {label}
+    </span>
+  );
+}
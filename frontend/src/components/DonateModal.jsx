@@ -1,71 +1,117 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
+import { ethers } from 'ethers';
 import { useWeb3 } from '../hooks/useWeb3';
 import { useToast } from '../context/ToastContext';
 import LoadingButton from './LoadingButton';
+import api from '../config/api';
+import useCampaignStore from '../store/useCampaignStore';
 import { validateDonationAmount } from '../utils/validation';
+import { DONATION_CONFIRMATIONS, donate, estimateDonation } from '../utils/donationTracker';
+import { TX_STATUS } from '../utils/txLifecycle';
 
-export default function DonateModal({ campaignId, onClose }) {
+const ESTIMATE_DEBOUNCE_MS = 400;
+
+// Revert reasons from the node are more useful than ethers' wrapper message
+const errorMessage = (err) => {
+  if (err.code === 4001 || err.code === 'ACTION_REJECTED') return 'Transaction rejected in wallet';
+  return err.error?.message || err.reason || err.message || 'Donation failed';
+};
+
+export default function DonateModal({ campaign, onClose }) {
   const [amount, setAmount] = useState('');
   const [anonymous, setAnonymous] = useState(false);
   const [loading, setLoading] = useState(false);
   const [txHash, setTxHash] = useState(null);
-  const [txStatus, setTxStatus] = useState(null); // 'pending' | 'success' | 'error'
-  const { account, isConnected, sendTransaction } = useWeb3();
+  const [txStatus, setTxStatus] = useState(null); // TX_STATUS value | 'signing' | 'error'
+  const [confirmations, setConfirmations] = useState(0);
+  const [txError, setTxError] = useState(null);
+  const [gasEstimate, setGasEstimate] = useState(null);
+  const { account, isConnected, signer } = useWeb3();
   const { addToast } = useToast();
+  const recordDonation = useCampaignStore((s) => s.recordDonation);
+  const onChainId = campaign?.onChainId;
+
+  // Estimate the fee once the amount settles
+  useEffect(() => {
+    setGasEstimate(null);
+    if (!signer || !onChainId || !validateDonationAmount(amount).isValid) return undefined;
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      estimateDonation({ signer, onChainId, amount })
+        .then(({ maxCost }) => {
+          if (!cancelled && maxCost) setGasEstimate(ethers.utils.formatEther(maxCost));
+        })
+        .catch(() => {}); // a revert here resurfaces with its reason when donating
+    }, ESTIMATE_DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [signer, onChainId, amount]);
 
   const handleDonate = async () => {
-    if (!isConnected) {
+    if (!isConnected || !signer) {
       addToast('Please connect your wallet first', 'error');
       return;
     }
+    if (!onChainId) {
+      addToast('This campaign is not linked to an on-chain campaign yet', 'error');
+      return;
+    }
     
     const validation = validateDonationAmount(amount);
     if (!validation.isValid) {
       addToast(validation.error, 'error');
       return;
     }
-    
-    const amt = parseFloat(amount);
 
     setLoading(true);
-    setTxStatus('pending');
+    setTxError(null);
+    setTxStatus('signing');
     try {
-      // Send transaction to contract (mock for now; replace with actual contract call)
-      // In real app: call DonationTracker.receiveDonation(campaignId) with value
-      const valueHex = '0x' + Math.floor(amt * 1e18).toString(16);
-      const hash = await sendTransaction({
-        to: process.env.REACT_APP_DONATION_TRACKER_ADDRESS || '0x0000000000000000000000000000000000000000',
-        value: valueHex,
-        data: '0x', // In real app: encode receiveDonation(campaignId)
+      const result = await donate({
+        signer,
+        onChainId,
+        amount,
+        onStatus: ({ status, hash, confirmations: n }) => {
+          setTxHash(hash);
+          setTxStatus(status);
+          setConfirmations(n);
+          if (status === TX_STATUS.PENDING) addToast('Transaction sent! Waiting for confirmation...', 'info');
+          if (status === TX_STATUS.REPLACED) addToast('Transaction was sped up; following the replacement', 'info');
+        },
       });
-      setTxHash(hash);
-      addToast('Transaction sent! Waiting for confirmation...', 'info');
-
-      // Poll for confirmation (simplified; in real app use ethers.js waitForTransaction)
-      await new Promise(r => setTimeout(r, 3000));
-
-      // Record donation in backend
-      await fetch('/api/donations', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          campaignId,
+
+      // The chain is the source of truth; the backend re-verifies the transaction
+      let recorded = { donationId: null };
+      try {
+        const response = await api.post('/donations', {
+          campaignId: campaign.id,
           donor: anonymous ? null : account,
-          amount: String(amt),
-          txHash: hash,
+          amount: result.amount,
+          txHash: result.hash,
           anonymous,
-        }),
-      });
+        });
+        recorded = response.data;
+      } catch (err) {
+        addToast(`Donation confirmed on chain but not yet recorded: ${err.response?.data?.error || err.message}`, 'info');
+      }
 
-      setTxStatus('success');
+      recordDonation(campaign.id, {
+        id: recorded.donationId || result.hash,
+        campaignId: campaign.id,
+        donorWallet: anonymous ? null : account,
+        amount: result.amount,
+        txHash: result.hash,
+        anonymous,
+        timestamp: new Date().toISOString(),
+      });
       addToast('Donation successful!', 'success');
-      setTimeout(() => {
-        onClose();
-        window.location.reload(); // Refresh to show updated stats
-      }, 2000);
+      setTimeout(onClose, 2000);
     } catch (err) {
       setTxStatus('error');
-      addToast(err.message || 'Donation failed', 'error');
+      setTxError(errorMessage(err));
+      addToast(errorMessage(err), 'error');
     } finally {
       setLoading(false);
     }
@@ -76,7 +122,7 @@ export default function DonateModal({ campaignId, onClose }) {
       <div onClick={e => e.stopPropagation()} style={{ background: '#fff', borderRadius: 12, padding: 24, maxWidth: 400, width: '90%' }}>
         <h2 style={{ margin: '0 0 16px', fontSize: 24 }}>Donate to Campaign</h2>
 
-        {txStatus === 'success' ? (
+        {txStatus === TX_STATUS.CONFIRMED ? (
           <div style={{ textAlign: 'center', padding: 24 }}>
             <div style={{ fontSize: 48, marginBottom: 16 }}>✅</div>
             <div style={{ fontSize: 18, fontWeight: 600, marginBottom: 8 }}>Donation Successful!</div>
@@ -106,6 +152,12 @@ export default function DonateModal({ campaignId, onClose }) {
               <label htmlFor="anon" style={{ fontSize: 14, cursor: 'pointer' }}>Donate anonymously</label>
             </div>
 
+            {!onChainId && (
+              <div role="alert" style={{ padding: 12, background: '#fee2e2', borderRadius: 8, marginBottom: 16, fontSize: 14, color: '#991b1b' }}>
+                This campaign is not linked to an on-chain campaign yet, so it cannot receive donations until an admin links it.
+              </div>
+            )}
+
             {amount && (
               <div style={{ padding: 12, background: '#f1f5f9', borderRadius: 8, marginBottom: 16, fontSize: 14 }}>
                 <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 4 }}>
@@ -113,15 +165,27 @@ export default function DonateModal({ campaignId, onClose }) {
                   <span>{amount} ETH</span>
                 </div>
                 <div style={{ display: 'flex', justifyContent: 'space-between', color: '#64748b' }}>
-                  <span>Est. Gas:</span>
-                  <span>~0.002 ETH</span>
+                  <span>Max network fee:</span>
+                  <span>{gasEstimate ? `~${Number(gasEstimate).toFixed(6)} ETH` : '—'}</span>
                 </div>
               </div>
             )}
 
-            {txStatus === 'pending' && txHash && (
+            {txStatus === 'signing' && (
+              <div style={{ padding: 12, background: '#fef3c7', borderRadius: 8, marginBottom: 16, fontSize: 14 }}>
+                Confirm the donation in your wallet...
+              </div>
+            )}
+
+            {[TX_STATUS.PENDING, TX_STATUS.REPLACED, TX_STATUS.MINED].includes(txStatus) && txHash && (
               <div style={{ padding: 12, background: '#fef3c7', borderRadius: 8, marginBottom: 16, fontSize: 14 }}>
-                <div style={{ marginBottom: 4 }}>Transaction pending...</div>
+                <div style={{ marginBottom: 4 }}>
+                  {txStatus === TX_STATUS.MINED
+                    ? `Mined, waiting for confirmations (${confirmations}/${DONATION_CONFIRMATIONS})...`
+                    : txStatus === TX_STATUS.REPLACED
+                      ? 'Transaction sped up, waiting for the replacement...'
+                      : 'Transaction pending...'}
+                </div>
                 <a href={`https://sepolia.etherscan.io/tx/${txHash}`} target="_blank" rel="noreferrer" style={{ fontSize: 12, color: '#667eea' }}>
                   View on Etherscan
                 </a>
@@ -130,7 +194,7 @@ export default function DonateModal({ campaignId, onClose }) {
 
             {txStatus === 'error' && (
               <div style={{ padding: 12, background: '#fee2e2', borderRadius: 8, marginBottom: 16, fontSize: 14, color: '#991b1b' }}>
-                Transaction failed. Please try again.
+                {txError || 'Transaction failed. Please try again.'}
               </div>
             )}
 
@@ -141,7 +205,7 @@ export default function DonateModal({ campaignId, onClose }) {
               <LoadingButton
                 onClick={handleDonate}
                 loading={loading}
-                disabled={!amount}
+                disabled={!amount || !onChainId}
                 style={{ flex: 1, padding: '10px 16px', borderRadius: 8, border: 'none', background: '#667eea', color: '#fff', fontWeight: 600 }}
               >
                 Donate
@@ -0,0 +1,70 @@
+import React, { useEffect, useState } from 'react';
+import {
+  CHALLENGE_STATE,
+  challengeRemainingMs,
+  challengeState,
+  formatCountdown,
+  openDisputes,
+} from '../utils/milestoneChallenge';
+
+const VARIANTS = {
+  [CHALLENGE_STATE.OPEN]: { background: '#e0e7ff', color: '#3730a3' },
+  [CHALLENGE_STATE.DISPUTED]: { background: '#fef3c7', color: '#92400e' },
+  [CHALLENGE_STATE.FROZEN]: { background: '#fee2e2', color: '#991b1b' },
+  [CHALLENGE_STATE.CLOSED]: { background: '#d1fae5', color: '#065f46' },
+};
+
+// Challenge countdown and open disputes of an approved milestone
+export default function MilestoneChallenge({ milestone, gateway }) {
+  const [now, setNow] = useState(() => Date.now());
+  const state = challengeState(milestone, now);
+
+  useEffect(() => {
+    if (state !== CHALLENGE_STATE.OPEN) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, [state]);
+
+  if (state === CHALLENGE_STATE.NONE) return null;
+
+  const disputes = openDisputes(milestone);
+  let label = 'Challenge window closed';
+  if (state === CHALLENGE_STATE.OPEN) {
+    label = `Challenge window: ${formatCountdown(challengeRemainingMs(milestone, now))} left for donors to dispute`;
+  } else if (state === CHALLENGE_STATE.DISPUTED) {
+    label = `Release on hold: ${disputes.length} open dispute${disputes.length === 1 ? '' : 's'}`;
+  } else if (state === CHALLENGE_STATE.FROZEN) {
+    label = 'Funds frozen: a dispute was upheld';
+  }
+
+  return (
+    <div style={{ marginTop: 12 }}>
+      <span
+        role="status"
+        style={{ display: 'inline-block', padding: '4px 10px', borderRadius: 999, fontSize: 13, fontWeight: 600, ...VARIANTS[state] }}
+      >
+        {label}
+      </span>
+      {disputes.length > 0 && (
+        <ul aria-label="Open disputes" style={{ listStyle: 'none', padding: 0, margin: '8px 0 0', display: 'flex', flexDirection: 'column', gap: 8 }}>
+          {disputes.map((d) => (
+            <li key={d.id} style={{ padding: 10, border: '1px solid #fde68a', background: '#fffbeb', borderRadius: 8, fontSize: 14 }}>
+              <div style={{ color: '#334155' }}>{d.reason}</div>
+              <div style={{ color: '#64748b', fontSize: 12, marginTop: 4 }}>
+                Filed {new Date(d.createdAt).toLocaleDateString()}
+                {(d.evidenceCids || []).map((cid, i) => (
+                  <React.Fragment key={cid}>
+                    {' · '}
+                    <a href={`${gateway}${cid}`} target="_blank" rel="noreferrer" style={{ color: '#667eea' }}>
+                      Evidence {i + 1}
+                    </a>
+                  </React.Fragment>
+                ))}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
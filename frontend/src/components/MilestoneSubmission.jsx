@@ -2,16 +2,25 @@ import React, { useState } from 'react';
 import { useWeb3 } from '../hooks/useWeb3';
 import { useToast } from '../context/ToastContext';
 import api from '../config/api';
+import { KIND_LABELS, PROOF_KINDS } from '../utils/proofDiff';
 
-export default function MilestoneSubmission({ campaignId, onSuccess, onClose }) {
+const MAX_PROOF_FILES = 10;
+
+const defaultKind = (file) => (file.type.startsWith('image/') ? 'photo' : 'other');
+
+// New milestone with an optional proof bundle; given a milestone, submits a new proof version for it instead
+export default function MilestoneSubmission({ campaignId, milestone, onSuccess, onClose }) {
+  const resubmitting = Boolean(milestone);
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     fundAmount: '',
   });
-  const [proofFile, setProofFile] = useState(null);
+  // { file, kind, caption } per proof file
+  const [proofFiles, setProofFiles] = useState([]);
+  const [note, setNote] = useState('');
   const [loading, setLoading] = useState(false);
-  const { account, isConnected } = useWeb3();
+  const { isConnected } = useWeb3();
   const { addToast } = useToast();
 
   const handleChange = (e) => {
@@ -20,14 +29,25 @@ export default function MilestoneSubmission({ campaignId, onSuccess, onClose })
   };
 
   const handleFileChange = (e) => {
-    const file = e.target.files?.[0];
-    if (file) {
-      if (file.size > 100 * 1024 * 1024) {
-        addToast('File must be less than 100MB', 'error');
-        return;
-      }
-      setProofFile(file);
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.some((file) => file.size > 100 * 1024 * 1024)) {
+      addToast('Each file must be less than 100MB', 'error');
+      return;
+    }
+    if (proofFiles.length + files.length > MAX_PROOF_FILES) {
+      addToast(`A proof can have at most ${MAX_PROOF_FILES} files`, 'error');
+      return;
     }
+    setProofFiles((items) => [...items, ...files.map((file) => ({ file, kind: defaultKind(file), caption: '' }))]);
+  };
+
+  const updateProofFile = (index, changes) => {
+    setProofFiles((items) => items.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  };
+
+  const removeProofFile = (index) => {
+    setProofFiles((items) => items.filter((_, i) => i !== index));
   };
 
   const handleSubmit = async (e) => {
@@ -38,42 +58,53 @@ export default function MilestoneSubmission({ campaignId, onSuccess, onClose })
     }
 
     const { title, description, fundAmount } = formData;
-    if (!title || !fundAmount) {
-      addToast('Title and fund amount are required', 'error');
-      return;
-    }
+    if (resubmitting) {
+      if (!proofFiles.length) {
+        addToast('Add at least one proof file', 'error');
+        return;
+      }
+    } else {
+      if (!title || !fundAmount) {
+        addToast('Title and fund amount are required', 'error');
+        return;
+      }
 
-    const amt = parseFloat(fundAmount);
-    if (!amt || amt < 0) {
-      addToast('Fund amount must be >= 0', 'error');
-      return;
+      const amt = parseFloat(fundAmount);
+      if (!amt || amt < 0) {
+        addToast('Fund amount must be >= 0', 'error');
+        return;
+      }
     }
 
     setLoading(true);
     try {
-      // Upload proof file to IPFS if provided
+      // Proof files are pinned to IPFS as one bundle; fileDetails carries each file's kind and caption
       const formDataToSend = new FormData();
-      formDataToSend.append('title', title);
-      formDataToSend.append('description', description || '');
-      formDataToSend.append('fundAmount', String(amt));
-      formDataToSend.append('documentType', 'milestone-proof');
-      if (proofFile) {
-        formDataToSend.append('proofFile', proofFile);
+      if (!resubmitting) {
+        formDataToSend.append('title', title);
+        formDataToSend.append('description', description || '');
+        formDataToSend.append('fundAmount', String(fundAmount).trim());
+      }
+      if (note.trim()) formDataToSend.append(resubmitting ? 'note' : 'proofNote', note.trim());
+      proofFiles.forEach(({ file }) => formDataToSend.append('proofFiles', file));
+      if (proofFiles.length) {
+        formDataToSend.append('fileDetails', JSON.stringify(proofFiles.map(({ kind, caption }) => ({ kind, caption: caption.trim() }))));
       }
 
-      const response = await api.post(`/campaigns/${campaignId}/milestones`, formDataToSend, {
+      const url = resubmitting ? `/milestones/${milestone.id}/proofs` : `/campaigns/${campaignId}/milestones`;
+      const response = await api.post(url, formDataToSend, {
         headers: {
-          'Content-Type': 'multipart/form-data',
-          'x-user-id': account
+          'Content-Type': 'multipart/form-data'
         }
       });
       
       const data = response.data;
-      addToast('Milestone submitted successfully!', 'success');
+      addToast(resubmitting ? `Proof version ${data.version} submitted` : 'Milestone submitted successfully!', 'success');
       if (onSuccess) onSuccess(data);
       if (onClose) onClose();
     } catch (err) {
-      addToast(err.message || 'Failed to submit milestone', 'error');
+      // 409s explain how much of the campaign budget is left
+      addToast(err.response?.data?.message || err.message || (resubmitting ? 'Failed to submit proof' : 'Failed to submit milestone'), 'error');
     } finally {
       setLoading(false);
     }
@@ -82,9 +113,10 @@ export default function MilestoneSubmission({ campaignId, onSuccess, onClose })
   return (
     <div onClick={onClose} style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.5)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 9999 }}>
       <div onClick={e => e.stopPropagation()} style={{ background: '#fff', borderRadius: 12, padding: 24, maxWidth: 500, width: '90%', maxHeight: '90vh', overflowY: 'auto' }}>
-        <h2 style={{ margin: '0 0 16px', fontSize: 24 }}>Submit Milestone</h2>
+        <h2 style={{ margin: '0 0 16px', fontSize: 24 }}>{resubmitting ? `New Proof for "${milestone.title}"` : 'Submit Milestone'}</h2>
 
         <form onSubmit={handleSubmit}>
+          {!resubmitting && (<>
           {/* Title */}
           <div style={{ marginBottom: 16 }}>
             <label style={{ display: 'block', marginBottom: 4, fontSize: 14, fontWeight: 600 }}>Milestone Title *</label>
@@ -129,19 +161,64 @@ export default function MilestoneSubmission({ campaignId, onSuccess, onClose })
             <div style={{ fontSize: 12, color: '#64748b', marginTop: 4 }}>Amount to be released upon approval</div>
           </div>
 
-          {/* Proof File */}
-          <div style={{ marginBottom: 20 }}>
-            <label style={{ display: 'block', marginBottom: 4, fontSize: 14, fontWeight: 600 }}>Proof Document (optional)</label>
+          </>)}
+
+          {/* Proof Files */}
+          <div style={{ marginBottom: 16 }}>
+            <label style={{ display: 'block', marginBottom: 4, fontSize: 14, fontWeight: 600 }}>
+              Proof Files {resubmitting ? '*' : '(optional)'}
+            </label>
             <input
               type="file"
+              multiple
               accept="image/*,application/pdf,.doc,.docx"
               onChange={handleFileChange}
               style={{ width: '100%', padding: '10px 12px', borderRadius: 8, border: '1px solid #cbd5e1', fontSize: 14 }}
             />
-            {proofFile && <div style={{ fontSize: 12, color: '#64748b', marginTop: 4 }}>Selected: {proofFile.name}</div>}
-            <div style={{ fontSize: 12, color: '#64748b', marginTop: 4 }}>Upload photos, receipts, or documents as proof</div>
+            <div style={{ fontSize: 12, color: '#64748b', marginTop: 4 }}>Photos, invoices and receipts, up to {MAX_PROOF_FILES} files, each with a caption</div>
+            {proofFiles.map((item, i) => (
+              <div key={`${item.file.name}-${i}`} style={{ marginTop: 8, padding: 8, border: '1px solid #e2e8f0', borderRadius: 8 }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 8, fontSize: 13 }}>
+                  <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{item.file.name}</span>
+                  <select
+                    aria-label={`Kind of ${item.file.name}`}
+                    value={item.kind}
+                    onChange={(e) => updateProofFile(i, { kind: e.target.value })}
+                    style={{ fontSize: 13 }}
+                  >
+                    {PROOF_KINDS.map((kind) => <option key={kind} value={kind}>{KIND_LABELS[kind]}</option>)}
+                  </select>
+                  <button type="button" onClick={() => removeProofFile(i)} aria-label={`Remove ${item.file.name}`} style={{ border: 'none', background: 'none', color: '#991b1b', cursor: 'pointer' }}>
+                    ✕
+                  </button>
+                </div>
+                <input
+                  type="text"
+                  aria-label={`Caption for ${item.file.name}`}
+                  value={item.caption}
+                  onChange={(e) => updateProofFile(i, { caption: e.target.value })}
+                  placeholder="Caption, e.g. Water tanks delivered to camp 3"
+                  maxLength={500}
+                  style={{ width: '100%', marginTop: 6, padding: '6px 8px', borderRadius: 6, border: '1px solid #cbd5e1', fontSize: 13 }}
+                />
+              </div>
+            ))}
           </div>
 
+          {/* Note */}
+          {(resubmitting || proofFiles.length > 0) && (
+            <div style={{ marginBottom: 20 }}>
+              <label style={{ display: 'block', marginBottom: 4, fontSize: 14, fontWeight: 600 }}>{resubmitting ? 'What changed' : 'Note for reviewers'}</label>
+              <textarea
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                rows={2}
+                placeholder={resubmitting ? 'e.g. Added the delivery receipt the reviewer asked for' : 'Anything reviewers should know about these files'}
+                style={{ width: '100%', padding: '10px 12px', borderRadius: 8, border: '1px solid #cbd5e1', fontSize: 14, resize: 'vertical' }}
+              />
+            </div>
+          )}
+
           {/* Actions */}
           <div style={{ display: 'flex', gap: 8 }}>
             <button type="button" onClick={onClose} disabled={loading} style={{ flex: 1, padding: '10px 16px', borderRadius: 8, border: '1px solid #cbd5e1', background: '#fff', cursor: loading ? 'not-allowed' : 'pointer' }}>
@@ -0,0 +1,162 @@
+import React, { useEffect, useState } from 'react';
+import { KIND_LABELS, diffProofVersions, summarizeDiff } from '../utils/proofDiff';
+
+const DIFF_ROWS = [
+  { key: 'added', label: 'Added', color: '#065f46', background: '#ecfdf5' },
+  { key: 'removed', label: 'Removed', color: '#991b1b', background: '#fef2f2' },
+  { key: 'replaced', label: 'Replaced', color: '#92400e', background: '#fffbeb' },
+  { key: 'edited', label: 'Edited', color: '#3730a3', background: '#eef2ff' },
+];
+
+const fileOf = (entry) => entry.after || entry;
+
+// Proof history of a milestone: pick a version, see its files, what changed since an earlier one and its review comments.
+// loadComments(milestoneId, version) and onComment(milestoneId, version, { body, requestsChanges }) return promises and
+// should keep their identity across renders; without onComment the history is read-only.
+export default function ProofVersions({ milestoneId, versions, gateway, loadComments, onComment }) {
+  const latest = versions.length ? versions[versions.length - 1].version : null;
+  const [selected, setSelected] = useState(latest);
+  const [compareTo, setCompareTo] = useState(latest > 1 ? latest - 1 : null);
+  const [comments, setComments] = useState([]);
+  const [body, setBody] = useState('');
+  const [requestsChanges, setRequestsChanges] = useState(false);
+  const [posting, setPosting] = useState(false);
+
+  const current = versions.find((v) => v.version === selected);
+  const older = versions.find((v) => v.version === compareTo) || null;
+
+  useEffect(() => {
+    let cancelled = false;
+    setComments([]);
+    if (selected != null && loadComments) {
+      loadComments(milestoneId, selected)
+        .then((items) => { if (!cancelled) setComments(items || []); })
+        .catch(() => {});
+    }
+    return () => { cancelled = true; };
+  }, [milestoneId, selected, loadComments]);
+
+  if (!current) return <p style={{ color: '#64748b', fontSize: 14 }}>No proof submitted yet.</p>;
+
+  const select = (version) => {
+    setSelected(version);
+    setCompareTo(version > 1 ? version - 1 : null);
+  };
+
+  const diff = diffProofVersions(older, current);
+
+  const handleComment = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+    setPosting(true);
+    try {
+      const comment = await onComment(milestoneId, selected, { body: body.trim(), requestsChanges });
+      setComments((items) => [...items, comment]);
+      setBody('');
+      setRequestsChanges(false);
+    } catch (_) {
+      // onComment reports the error
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  return (
+    <div style={{ marginTop: 12, padding: 12, border: '1px solid #e2e8f0', borderRadius: 8, background: '#f8fafc' }}>
+      <div role="tablist" aria-label="Proof versions" style={{ display: 'flex', flexWrap: 'wrap', gap: 6, marginBottom: 12 }}>
+        {versions.map((v) => (
+          <button
+            key={v.version}
+            type="button"
+            role="tab"
+            aria-selected={v.version === selected}
+            onClick={() => select(v.version)}
+            style={{
+              padding: '4px 10px',
+              borderRadius: 999,
+              border: '1px solid #cbd5e1',
+              background: v.version === selected ? '#667eea' : '#fff',
+              color: v.version === selected ? '#fff' : '#334155',
+              cursor: 'pointer',
+              fontSize: 13,
+            }}
+          >
+            v{v.version}{v.version === latest ? ' (current)' : ''}{v.status === 'changes_requested' ? ' · changes requested' : ''}
+          </button>
+        ))}
+      </div>
+
+      <div style={{ fontSize: 13, color: '#64748b', marginBottom: 8 }}>
+        Submitted {new Date(current.createdAt).toLocaleString()} ·{' '}
+        <a href={`${gateway}${current.cid}`} target="_blank" rel="noreferrer" style={{ color: '#667eea' }}>Manifest</a>
+      </div>
+      {current.note && <p style={{ margin: '0 0 8px', fontSize: 14, color: '#334155' }}>{current.note}</p>}
+
+      <ul aria-label={`Files in version ${current.version}`} style={{ listStyle: 'none', padding: 0, margin: '0 0 12px', display: 'flex', flexDirection: 'column', gap: 6 }}>
+        {(current.files || []).map((f) => (
+          <li key={f.cid} style={{ fontSize: 14 }}>
+            <span style={{ display: 'inline-block', minWidth: 72, fontSize: 12, fontWeight: 600, color: '#475569' }}>{KIND_LABELS[f.kind] || KIND_LABELS.other}</span>
+            <a href={`${gateway}${f.cid}`} target="_blank" rel="noreferrer" style={{ color: '#667eea' }}>{f.name}</a>
+            {f.caption && <span style={{ color: '#64748b' }}> — {f.caption}</span>}
+          </li>
+        ))}
+      </ul>
+
+      {selected > 1 && (
+        <div style={{ marginBottom: 12 }}>
+          <label style={{ fontSize: 13, fontWeight: 600, color: '#334155' }}>
+            Changes since{' '}
+            <select value={compareTo ?? ''} onChange={(e) => setCompareTo(Number(e.target.value))} style={{ fontSize: 13 }}>
+              {versions.filter((v) => v.version < selected).map((v) => (
+                <option key={v.version} value={v.version}>v{v.version}</option>
+              ))}
+            </select>
+            : {summarizeDiff(diff)}
+          </label>
+          <ul aria-label="Changes" style={{ listStyle: 'none', padding: 0, margin: '6px 0 0', display: 'flex', flexDirection: 'column', gap: 4 }}>
+            {DIFF_ROWS.flatMap(({ key, label, color, background }) => diff[key].map((entry) => (
+              <li key={`${key}-${fileOf(entry).cid}`} style={{ padding: '4px 8px', borderRadius: 6, fontSize: 13, color, background }}>
+                {label}: {fileOf(entry).name}
+                {key === 'edited' && ` (“${entry.before.caption || ''}” → “${entry.after.caption || ''}”)`}
+              </li>
+            )))}
+          </ul>
+        </div>
+      )}
+
+      <div aria-label="Review comments" style={{ borderTop: '1px solid #e2e8f0', paddingTop: 8 }}>
+        {comments.length === 0 ? (
+          <div style={{ fontSize: 13, color: '#94a3b8' }}>No comments on this version.</div>
+        ) : comments.map((c) => (
+          <div key={c.id} style={{ fontSize: 14, marginBottom: 6 }}>
+            {c.requestsChanges && <strong style={{ color: '#92400e' }}>Changes requested: </strong>}
+            <span style={{ color: '#334155' }}>{c.body}</span>
+            <span style={{ color: '#94a3b8', fontSize: 12 }}> · {new Date(c.createdAt).toLocaleDateString()}</span>
+          </div>
+        ))}
+        {onComment && (
+          <form onSubmit={handleComment} style={{ marginTop: 8 }}>
+            <textarea
+              aria-label="Comment"
+              value={body}
+              onChange={(e) => setBody(e.target.value)}
+              rows={2}
+              placeholder={`Comment on version ${selected}...`}
+              style={{ width: '100%', padding: 8, borderRadius: 6, border: '1px solid #cbd5e1', fontSize: 14, resize: 'vertical' }}
+            />
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: 6 }}>
+              {selected === latest ? (
+                <label style={{ fontSize: 13, color: '#334155' }}>
+                  <input type="checkbox" checked={requestsChanges} onChange={(e) => setRequestsChanges(e.target.checked)} /> Request changes
+                </label>
+              ) : <span />}
+              <button type="submit" disabled={posting || !body.trim()} style={{ padding: '6px 12px', borderRadius: 6, border: 'none', background: posting ? '#cbd5e1' : '#667eea', color: '#fff', cursor: posting ? 'not-allowed' : 'pointer', fontSize: 13 }}>
+                {posting ? 'Posting...' : 'Post'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,157 @@
+/**
+ * Tests for ClusterMap component
+ */
+
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import L from 'leaflet';
+import ClusterMap from '../ClusterMap';
+
+// CRA only transforms stylesheets outside node_modules
+jest.mock('leaflet/dist/leaflet.css', () => ({}));
+
+// Leaflet needs real layout, which jsdom does not have: record what the component draws instead.
+// Plain functions, since CRA resets jest.fn implementations before each test
+jest.mock('leaflet', () => {
+  const bounds = (points) => ({
+    pad: () => bounds(points),
+    getNorthEast: () => ({ equals: (other) => other.same }),
+    getSouthWest: () => ({ same: points.every(([lat, lon]) => lat === points[0][0] && lon === points[0][1]) }),
+  });
+  const leaflet = {
+    markers: [],
+    maps: [],
+    map: () => {
+      const handlers = {};
+      const map = {
+        zoom: 3,
+        setView: jest.fn(() => map),
+        fitBounds: jest.fn(),
+        getZoom: () => map.zoom,
+        getMaxZoom: () => 18,
+        // One degree is 100px at zoom 3, so only points close together cluster
+        project: ([lat, lon], zoom) => ({ x: lon * 100 * 2 ** (zoom - 3), y: -lat * 100 * 2 ** (zoom - 3) }),
+        on: (type, fn) => {
+          handlers[type] = fn;
+        },
+        off: (type) => {
+          delete handlers[type];
+        },
+        fire: (type) => handlers[type] && handlers[type](),
+        remove: jest.fn(),
+      };
+      leaflet.maps.push(map);
+      return map;
+    },
+    tileLayer: () => ({ addTo: () => {} }),
+    layerGroup: () => {
+      const layer = {
+        addTo: () => layer,
+        clearLayers: () => leaflet.markers.splice(0),
+        addLayer: () => {},
+      };
+      return layer;
+    },
+    marker: (latLng, options) => {
+      const handlers = {};
+      const marker = {
+        latLng,
+        options,
+        bindTooltip: (html) => {
+          marker.tooltip = html;
+        },
+        on: (type, fn) => {
+          handlers[type] = fn;
+        },
+        click: () => handlers.click(),
+      };
+      leaflet.markers.push(marker);
+      return marker;
+    },
+    divIcon: (options) => options,
+    latLngBounds: bounds,
+  };
+  return { __esModule: true, default: leaflet };
+});
+
+const disaster = (id, latitude, longitude, raisedAmount, extra = {}) => ({
+  disasterId: id,
+  name: `Disaster ${id}`,
+  latitude,
+  longitude,
+  raisedAmount,
+  targetAmount: 10,
+  campaigns: [],
+  ...extra,
+});
+
+describe('ClusterMap', () => {
+  beforeEach(() => {
+    L.markers.splice(0);
+    L.maps.splice(0);
+  });
+
+  it('should draw one marker per disaster that is far from the others', () => {
+    render(<ClusterMap disasters={[disaster('a', 10, 10, 5), disaster('b', -20, 40, 10)]} onSelect={jest.fn()} />);
+
+    expect(screen.getByRole('region', { name: 'Map of verified disasters' })).toBeInTheDocument();
+    expect(L.markers.map((m) => m.options.title)).toEqual(expect.arrayContaining(['Disaster a', 'Disaster b']));
+    expect(L.markers.find((m) => m.options.title === 'Disaster a').tooltip).toBe('Disaster a<br/>5 ETH raised · 50% funded');
+    expect(L.maps[0].fitBounds).toHaveBeenCalledTimes(1);
+  });
+
+  it('should cluster nearby disasters and zoom into a cluster when clicked', () => {
+    const onSelect = jest.fn();
+    render(<ClusterMap disasters={[disaster('a', 10, 10, 2), disaster('b', 10.1, 10.1, 3)]} onSelect={onSelect} />);
+
+    expect(L.markers).toHaveLength(1);
+    const [cluster] = L.markers;
+    expect(cluster.options.title).toBe('2 disasters');
+    expect(cluster.tooltip).toBe('2 disasters<br/>5 ETH raised · 25% funded');
+
+    cluster.click();
+
+    expect(L.maps[0].fitBounds).toHaveBeenCalledTimes(2);
+    expect(onSelect).not.toHaveBeenCalled();
+  });
+
+  it('should split clusters on zoom and hand a clicked disaster to onSelect', () => {
+    const onSelect = jest.fn();
+    const disasters = [disaster('a', 10, 10, 2), disaster('b', 10.1, 10.1, 3)];
+    render(<ClusterMap disasters={disasters} onSelect={onSelect} />);
+
+    L.maps[0].zoom = 10;
+    L.maps[0].fire('zoomend');
+    expect(L.markers).toHaveLength(2);
+
+    L.markers.find((m) => m.options.title === 'Disaster b').click();
+
+    expect(onSelect).toHaveBeenCalledWith([disasters[1]]);
+  });
+
+  it('should hand over a cluster of disasters at the same spot instead of zooming', () => {
+    const onSelect = jest.fn();
+    const disasters = [disaster('a', 10, 10, 2), disaster('b', 10, 10, 3)];
+    render(<ClusterMap disasters={disasters} onSelect={onSelect} />);
+
+    L.markers[0].click();
+
+    expect(onSelect).toHaveBeenCalledWith(expect.arrayContaining(disasters));
+    expect(L.maps[0].fitBounds).toHaveBeenCalledTimes(1);
+  });
+
+  it('should escape disaster names in tooltips', () => {
+    render(<ClusterMap disasters={[disaster('a', 10, 10, 1, { name: '<img src=x onerror=alert(1)>' })]} onSelect={jest.fn()} />);
+
+    expect(L.markers[0].tooltip).toMatch(/^&lt;img src=x onerror=alert\(1\)&gt;<br\/>/);
+  });
+
+  it('should remove the map on unmount', () => {
+    const { unmount } = render(<ClusterMap disasters={[]} onSelect={jest.fn()} />);
+
+    unmount();
+
+    expect(L.maps[0].remove).toHaveBeenCalled();
+    expect(L.maps[0].fitBounds).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Tests for DisasterBadge component
+ */
+
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import DisasterBadge from '../DisasterBadge';
+
+describe('DisasterBadge', () => {
+  it('should render nothing for campaigns without a disaster', () => {
+    const { container } = render(<DisasterBadge verification={null} />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('should show the confidence of a verified disaster', () => {
+    render(<DisasterBadge verification={{ status: 'verified', confidence: 87.5 }} />);
+
+    expect(screen.getByRole('status')).toHaveTextContent('Verified disaster · 88% confidence');
+  });
+
+  it('should not present a result below the confidence threshold as verified', () => {
+    render(<DisasterBadge verification={{ status: 'verified', confidence: 55, minConfidence: 70 }} />);
+
+    const badge = screen.getByRole('status');
+    expect(badge).toHaveTextContent('Low-confidence disaster · 55% (needs 70%)');
+    expect(badge).not.toHaveTextContent('✓');
+    expect(badge).toHaveAttribute('title', expect.stringMatching(/below the 70% confidence/));
+  });
+
+  it('should show results at the threshold as verified', () => {
+    render(<DisasterBadge verification={{ status: 'verified', confidence: 70, minConfidence: 70 }} />);
+
+    expect(screen.getByRole('status')).toHaveTextContent('✓ Verified disaster · 70% confidence');
+  });
+
+  it('should flag disasters still awaiting the oracle', () => {
+    render(<DisasterBadge verification={{ status: 'pending', confidence: null }} />);
+
+    expect(screen.getByRole('status')).toHaveTextContent('Disaster verification pending');
+  });
+
+  it('should flag disasters the oracle did not verify', () => {
+    render(<DisasterBadge verification={{ status: 'failed', confidence: 20 }} />);
+
+    expect(screen.getByRole('status')).toHaveTextContent('Disaster not verified');
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Tests for MilestoneChallenge component
+ */
+
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import MilestoneChallenge from '../MilestoneChallenge';
+
+const GATEWAY = 'https://gateway.example/ipfs/';
+const HOUR = 60 * 60 * 1000;
+const CID = 'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o';
+const milestone = (offsetMs, disputes = []) => ({
+  id: 'm1',
+  approved: true,
+  releasedAt: null,
+  challengeEndsAt: new Date(Date.now() + offsetMs).toISOString(),
+  disputes,
+});
+
+describe('MilestoneChallenge', () => {
+  it('should render nothing for milestones that are not approved', () => {
+    const { container } = render(<MilestoneChallenge milestone={{ id: 'm1', approved: false, disputes: [] }} gateway={GATEWAY} />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('should count down the challenge window', () => {
+    render(<MilestoneChallenge milestone={milestone(26 * HOUR + 30 * 60000)} gateway={GATEWAY} />);
+
+    expect(screen.getByRole('status')).toHaveTextContent(/Challenge window: 1d 2h (29|30)m left/);
+  });
+
+  it('should list open disputes with their evidence', () => {
+    const dispute = { id: 'd1', status: 'open', reason: 'Tanks never arrived', evidenceCids: [CID], createdAt: '2025-11-11T12:00:00Z' };
+
+    render(<MilestoneChallenge milestone={milestone(-HOUR, [dispute, { id: 'd2', status: 'dismissed', reason: 'Old' }])} gateway={GATEWAY} />);
+
+    expect(screen.getByRole('status')).toHaveTextContent('Release on hold: 1 open dispute');
+    expect(screen.getByText('Tanks never arrived')).toBeInTheDocument();
+    expect(screen.queryByText('Old')).not.toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Evidence 1' })).toHaveAttribute('href', `${GATEWAY}${CID}`);
+  });
+
+  it('should flag frozen funds after an upheld dispute', () => {
+    render(<MilestoneChallenge milestone={milestone(-HOUR, [{ id: 'd1', status: 'upheld', reason: 'Fake receipts' }])} gateway={GATEWAY} />);
+
+    expect(screen.getByRole('status')).toHaveTextContent('Funds frozen: a dispute was upheld');
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Tests for ProofVersions component
+ */
+
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ProofVersions from '../ProofVersions';
+
+const GATEWAY = 'https://gateway.example/ipfs/';
+const photo = { cid: 'QmPhoto', name: 'tanks.jpg', kind: 'photo', caption: 'Tanks on site' };
+const invoice = { cid: 'QmInvoice', name: 'invoice.pdf', kind: 'invoice', caption: 'Supplier invoice' };
+const receipt = { cid: 'QmReceipt', name: 'receipt.pdf', kind: 'receipt', caption: 'Delivery receipt' };
+const versions = [
+  { version: 1, cid: 'QmV1', files: [photo, invoice], status: 'changes_requested', createdAt: '2025-11-10T12:00:00Z' },
+  { version: 2, cid: 'QmV2', files: [photo, receipt], status: 'submitted', note: 'Swapped the invoice for the receipt', createdAt: '2025-11-11T12:00:00Z' },
+];
+
+describe('ProofVersions', () => {
+  it('should show the current version and what changed since the previous one', async () => {
+    const loadComments = jest.fn().mockResolvedValue([]);
+
+    render(<ProofVersions milestoneId="m1" versions={versions} gateway={GATEWAY} loadComments={loadComments} />);
+
+    expect(screen.getByRole('tab', { name: 'v2 (current)' })).toHaveAttribute('aria-selected', 'true');
+    expect(screen.getByText('Swapped the invoice for the receipt')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'receipt.pdf' })).toHaveAttribute('href', `${GATEWAY}QmReceipt`);
+    const changes = screen.getByRole('list', { name: 'Changes' });
+    expect(within(changes).getByText('Added: receipt.pdf')).toBeInTheDocument();
+    expect(within(changes).getByText('Removed: invoice.pdf')).toBeInTheDocument();
+    await waitFor(() => expect(loadComments).toHaveBeenCalledWith('m1', 2));
+  });
+
+  it('should load the comments of the selected version', async () => {
+    const loadComments = jest.fn(async (milestoneId, version) => (version === 1
+      ? [{ id: 'c1', body: 'The invoice is unreadable', requestsChanges: true, createdAt: '2025-11-10T13:00:00Z' }]
+      : []));
+
+    render(<ProofVersions milestoneId="m1" versions={versions} gateway={GATEWAY} loadComments={loadComments} />);
+    fireEvent.click(screen.getByRole('tab', { name: 'v1 · changes requested' }));
+
+    expect(await screen.findByText('The invoice is unreadable')).toBeInTheDocument();
+    expect(screen.getByText('Changes requested:')).toBeInTheDocument();
+    expect(screen.queryByRole('list', { name: 'Changes' })).not.toBeInTheDocument();
+  });
+
+  it('should post comments and change requests on the selected version', async () => {
+    const onComment = jest.fn(async (milestoneId, version, { body, requestsChanges }) => ({ id: 'c2', body, requestsChanges, createdAt: '2025-11-11T13:00:00Z' }));
+
+    render(<ProofVersions milestoneId="m1" versions={versions} gateway={GATEWAY} loadComments={jest.fn().mockResolvedValue([])} onComment={onComment} />);
+    fireEvent.change(screen.getByLabelText('Comment'), { target: { value: 'Receipt date is missing' } });
+    fireEvent.click(screen.getByLabelText('Request changes'));
+    fireEvent.click(screen.getByRole('button', { name: 'Post' }));
+
+    expect(await screen.findByText('Receipt date is missing')).toBeInTheDocument();
+    expect(onComment).toHaveBeenCalledWith('m1', 2, { body: 'Receipt date is missing', requestsChanges: true });
+  });
+});
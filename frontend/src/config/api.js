@@ -1,5 +1,9 @@
 import axios from 'axios';
 
+export const AUTH_TOKEN_KEY = 'authToken';
+export const REFRESH_TOKEN_KEY = 'refreshToken';
+export const AUTH_EXPIRES_KEY = 'authExpiresAt';
+
 // Create axios instance with base URL
 const api = axios.create({
   baseURL: 'http://localhost:4000/api',
@@ -9,11 +13,44 @@ const api = axios.create({
   },
 });
 
+// Persist the tokens returned by /auth/verify and /auth/refresh
+export const storeSession = ({ token, refreshToken, expiresAt }) => {
+  localStorage.setItem(AUTH_TOKEN_KEY, token);
+  if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  if (expiresAt) localStorage.setItem(AUTH_EXPIRES_KEY, expiresAt);
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(AUTH_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  localStorage.removeItem(AUTH_EXPIRES_KEY);
+};
+
+// Refresh tokens rotate on every use, so concurrent callers share one request
+let refreshInFlight = null;
+
+export const refreshAuthToken = () => {
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+  if (!refreshToken) return Promise.reject(new Error('No refresh token'));
+  if (!refreshInFlight) {
+    refreshInFlight = api
+      .post('/auth/refresh', { refreshToken }, { skipAuthRefresh: true })
+      .then((response) => {
+        storeSession(response.data);
+        return response.data;
+      })
+      .finally(() => {
+        refreshInFlight = null;
+      });
+  }
+  return refreshInFlight;
+};
+
 // Add a request interceptor to include the auth token
 api.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem('authToken');
-    if (token) {
+    const token = localStorage.getItem(AUTH_TOKEN_KEY);
+    if (token && !config.headers.Authorization) {
       config.headers.Authorization = `Bearer ${token}`;
     }
     return config;
@@ -23,13 +60,25 @@ api.interceptors.request.use(
   }
 );
 
-// Add a response interceptor to handle 401 errors
+// On 401, refresh once and retry; sign out only when the refresh fails
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Handle unauthorized access (e.g., redirect to login)
-      localStorage.removeItem('authToken');
+  async (error) => {
+    const config = error.config || {};
+    if (error.response?.status === 401 && !config.skipAuthRefresh) {
+      if (!config.retriedAfterRefresh && localStorage.getItem(REFRESH_TOKEN_KEY)) {
+        try {
+          const { token } = await refreshAuthToken();
+          return api({
+            ...config,
+            retriedAfterRefresh: true,
+            headers: { ...config.headers, Authorization: `Bearer ${token}` },
+          });
+        } catch (_) {
+          // fall through to sign-out
+        }
+      }
+      clearSession();
       window.location.href = '/';
     }
     return Promise.reject(error);
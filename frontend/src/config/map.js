@@ -0,0 +1,15 @@
+/**
+ * Map tiles and starting view for the disaster map
+ * Set REACT_APP_MAP_TILE_URL to a local tile server (any {z}/{x}/{y} raster
+ * source) to run the map without reaching openstreetmap.org.
+ */
+
+export const MAP_TILES = {
+  url: process.env.REACT_APP_MAP_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+  attribution:
+    process.env.REACT_APP_MAP_ATTRIBUTION ||
+    '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+  maxZoom: parseInt(process.env.REACT_APP_MAP_MAX_ZOOM || '18', 10),
+};
+
+export const MAP_DEFAULT_VIEW = { center: [20, 0], zoom: 2 };
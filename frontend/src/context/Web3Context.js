@@ -1,7 +1,18 @@
 // Enhanced Web3 context with MetaMask integration, authentication, and transaction support
 import React, { createContext, useCallback, useEffect, useMemo, useState } from 'react';
 import { ethers } from 'ethers';
-import api from '../config/api';
+import api, {
+  AUTH_TOKEN_KEY,
+  AUTH_EXPIRES_KEY,
+  REFRESH_TOKEN_KEY,
+  storeSession,
+  clearSession,
+  refreshAuthToken,
+} from '../config/api';
+import { buildSiweMessage } from '../utils/siwe';
+
+// Refresh the access token this long before it expires
+const REFRESH_MARGIN_MS = 60 * 1000;
 
 // Network configurations
 const NETWORKS = {
@@ -36,6 +47,7 @@ export const Web3Context = createContext({
   sendTransaction: async () => {},
   signIn: async () => {},
   signOut: () => {},
+  refreshSession: async () => {},
   getNonce: async () => {},
   checkAuth: async () => {},
   
@@ -57,7 +69,8 @@ export function Web3Provider({ children }) {
   // Auth State
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [user, setUser] = useState(null);
-  const [authToken, setAuthToken] = useState(localStorage.getItem('authToken') || null);
+  const [authToken, setAuthToken] = useState(localStorage.getItem(AUTH_TOKEN_KEY) || null);
+  const [authExpiresAt, setAuthExpiresAt] = useState(localStorage.getItem(AUTH_EXPIRES_KEY) || null);
 
   const isConnected = !!account;
 
@@ -73,11 +86,11 @@ export function Web3Provider({ children }) {
     }
   }, []);
 
-  // Get nonce from backend
+  // Get nonce and SIWE parameters from backend
   const getNonce = useCallback(async (walletAddress) => {
     try {
       const response = await api.post('/auth/nonce', { walletAddress });
-      return response.data.nonce;
+      return response.data;
     } catch (error) {
       console.error('Error getting nonce:', error);
       throw new Error('Failed to get authentication nonce');
@@ -93,9 +106,10 @@ export function Web3Provider({ children }) {
         message
       });
       
-      const { token, user } = response.data;
-      localStorage.setItem('authToken', token);
+      const { token, expiresAt, user } = response.data;
+      storeSession(response.data);
       setAuthToken(token);
+      setAuthExpiresAt(expiresAt);
       setIsAuthenticated(true);
       setUser(user);
       return user;
@@ -116,31 +130,51 @@ export function Web3Provider({ children }) {
     // Don't call signOut here to avoid circular dependency
   }, []);
 
-  // Sign out
+  // Sign out and revoke the session server-side
   const signOut = useCallback(() => {
-    localStorage.removeItem('authToken');
+    const token = localStorage.getItem(AUTH_TOKEN_KEY);
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    if (token || refreshToken) {
+      // Pass the header explicitly: the interceptor runs after the tokens are cleared below
+      api.post('/auth/logout', { refreshToken }, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        skipAuthRefresh: true,
+      }).catch((error) => console.warn('Token revocation failed:', error));
+    }
+    clearSession();
     setAuthToken(null);
+    setAuthExpiresAt(null);
     setIsAuthenticated(false);
     setUser(null);
     disconnectWallet();
   }, [disconnectWallet]);
 
-  // Check if user is authenticated
-  const checkAuth = useCallback(async () => {
-    const token = localStorage.getItem('authToken');
-    if (!token) return false;
-    
+  // Exchange the refresh token for a new access token; sign out if that fails
+  const refreshSession = useCallback(async () => {
     try {
-      // Here you might want to add a /me endpoint to validate the token
-      // For now, we'll just check if we have a token
+      const data = await refreshAuthToken();
+      setAuthToken(data.token);
+      setAuthExpiresAt(data.expiresAt);
+      setIsAuthenticated(true);
+      setUser(data.user);
       return true;
     } catch (error) {
-      console.error('Auth check failed:', error);
+      console.warn('Session refresh failed:', error);
       signOut();
       return false;
     }
   }, [signOut]);
 
+  // Check if user is authenticated, refreshing an expired or unrestored session
+  const checkAuth = useCallback(async () => {
+    const token = localStorage.getItem(AUTH_TOKEN_KEY);
+    if (!token && !localStorage.getItem(REFRESH_TOKEN_KEY)) return false;
+
+    const expiresAt = Date.parse(localStorage.getItem(AUTH_EXPIRES_KEY) || '');
+    if (token && isAuthenticated && expiresAt > Date.now() + REFRESH_MARGIN_MS) return true;
+    return refreshSession();
+  }, [isAuthenticated, refreshSession]);
+
   // Switch to Sepolia network
   const switchToSepolia = async () => {
     try {
@@ -197,10 +231,18 @@ export function Web3Provider({ children }) {
       }
       
       // Get nonce from backend
-      const nonce = await getNonce(walletAddress);
+      const { nonce, chainId: siweChainId, issuedAt, expirationTime } = await getNonce(walletAddress);
       
-      // Sign message
-      const message = `Sign in to D3R. Nonce: ${nonce}`;
+      // Sign an EIP-4361 message bound to this origin, chain and nonce
+      const message = buildSiweMessage({
+        domain: window.location.host,
+        address: ethers.utils.getAddress(walletAddress),
+        uri: window.location.origin,
+        chainId: siweChainId,
+        nonce,
+        issuedAt,
+        expirationTime,
+      });
       const signature = await window.ethereum.request({
         method: 'personal_sign',
         params: [message, walletAddress],
@@ -213,8 +255,9 @@ export function Web3Provider({ children }) {
       const chain = await window.ethereum.request({ method: 'eth_chainId' });
       setAccount(walletAddress);
       setChainId(chain);
-      setProvider(window.ethereum);
-      setSigner({ address: walletAddress });
+      const web3Provider = new ethers.providers.Web3Provider(window.ethereum, 'any');
+      setProvider(web3Provider);
+      setSigner(web3Provider.getSigner(walletAddress));
       await fetchBalance(walletAddress);
       
       return user;
@@ -289,6 +332,16 @@ export function Web3Provider({ children }) {
     initAuth();
   }, [authToken, checkAuth, signOut]);
 
+  // Silently refresh shortly before the access token expires
+  useEffect(() => {
+    if (!authExpiresAt || !localStorage.getItem(REFRESH_TOKEN_KEY)) return undefined;
+    const delay = Math.max(0, Date.parse(authExpiresAt) - Date.now() - REFRESH_MARGIN_MS);
+    const timer = setTimeout(() => {
+      refreshSession();
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [authExpiresAt, refreshSession]);
+
   // Handle wallet events
   useEffect(() => {
     if (!window.ethereum) return;
@@ -298,6 +351,9 @@ export function Web3Provider({ children }) {
       setAccount(addr);
       
       if (addr) {
+        const web3Provider = new ethers.providers.Web3Provider(window.ethereum, 'any');
+        setProvider(web3Provider);
+        setSigner(web3Provider.getSigner(addr));
         await fetchBalance(addr);
         // If user was authenticated but wallet changed, sign them out
         if (isAuthenticated && user?.walletAddress?.toLowerCase() !== addr.toLowerCase()) {
@@ -354,6 +410,7 @@ export function Web3Provider({ children }) {
       sendTransaction,
       signIn,
       signOut,
+      refreshSession,
       getNonce,
       checkAuth,
       
@@ -376,6 +433,7 @@ export function Web3Provider({ children }) {
       sendTransaction,
       signIn,
       signOut,
+      refreshSession,
       getNonce,
       checkAuth,
       isLoading,
@@ -1,22 +1,42 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useWeb3 } from '../hooks/useWeb3';
 import { useToast } from '../context/ToastContext';
 import DonateModal from '../components/DonateModal';
 import MilestoneSubmission from '../components/MilestoneSubmission';
+import DisasterBadge from '../components/DisasterBadge';
+import MilestoneChallenge from '../components/MilestoneChallenge';
+import ProofVersions from '../components/ProofVersions';
 import { CampaignDetailSkeleton } from '../components/SkeletonLoader';
 import api from '../config/api';
+import useCampaignStore from '../store/useCampaignStore';
+
+const DONATIONS_LIMIT = 10;
+const NO_DONATIONS = [];
+const NO_MILESTONES = [];
 
 export default function CampaignDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
-  const [campaign, setCampaign] = useState(null);
-  const [milestones, setMilestones] = useState([]);
-  const [donations, setDonations] = useState([]);
+  // Campaign, donations and milestones come from the store so donations and realtime events update them in place
+  const campaign = useCampaignStore((s) => s.campaignCache[id]?.data || null);
+  const donations = useCampaignStore((s) => s.donationsCache[`${id}-1-${DONATIONS_LIMIT}`]?.data?.items || NO_DONATIONS);
+  const milestones = useCampaignStore((s) => s.milestonesCache[id]?.data || NO_MILESTONES);
+  const fetchCampaign = useCampaignStore((s) => s.fetchCampaign);
+  const fetchDonations = useCampaignStore((s) => s.fetchDonations);
+  const fetchMilestones = useCampaignStore((s) => s.fetchMilestones);
+  const addMilestoneToCache = useCampaignStore((s) => s.addMilestoneToCache);
+  const updateMilestoneInCache = useCampaignStore((s) => s.updateMilestoneInCache);
+  const subscribeToCampaign = useCampaignStore((s) => s.subscribeToCampaign);
+  const disasterId = campaign?.disasterId;
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showDonateModal, setShowDonateModal] = useState(false);
   const [showMilestoneModal, setShowMilestoneModal] = useState(false);
+  // Proof versions per milestone id, fetched the first time its history is opened
+  const [proofs, setProofs] = useState({});
+  const [openProofs, setOpenProofs] = useState(null);
+  const [resubmitFor, setResubmitFor] = useState(null);
   const { account } = useWeb3();
   const { addToast } = useToast();
 
@@ -35,28 +55,22 @@ export default function CampaignDetail() {
       try {
         console.log(`Fetching data for campaign ${id}...`);
         
-        const [campaignRes, milestonesRes, donationsRes] = await Promise.all([
-          api.get(`/campaigns/${id}`).then(r => r.data).catch(err => {
+        const [campaignRes] = await Promise.all([
+          fetchCampaign(id).catch(err => {
             console.error('Error fetching campaign:', err);
             return null;
           }),
-          api.get(`/campaigns/${id}/milestones`).then(r => r.data).catch(err => {
+          fetchMilestones(id).catch(err => {
             console.error('Error fetching milestones:', err);
-            return { items: [] };
           }),
-          api.get(`/campaigns/${id}/donations?limit=10`).then(r => r.data).catch(err => {
+          fetchDonations(id, 1, DONATIONS_LIMIT).catch(err => {
             console.error('Error fetching donations:', err);
-            return { items: [] };
           })
         ]);
 
         if (!campaignRes) {
           throw new Error('Campaign not found');
         }
-
-        setCampaign(campaignRes);
-        setMilestones(milestonesRes?.items || []);
-        setDonations(donationsRes?.items || []);
       } catch (err) {
         console.error('Error in fetchCampaignData:', err);
         setError(err.message || 'Failed to load campaign');
@@ -67,7 +81,52 @@ export default function CampaignDetail() {
     };
 
     fetchCampaignData();
-  }, [id, navigate, addToast]);
+  }, [id, navigate, addToast, fetchCampaign, fetchDonations, fetchMilestones]);
+
+  // Donations, milestone changes and the disaster verification result arrive without a reload
+  useEffect(() => {
+    if (!campaign?.id) return undefined;
+    return subscribeToCampaign(id, { disasterId });
+  }, [id, campaign?.id, disasterId, subscribeToCampaign]);
+
+  const loadProofs = useCallback(async (milestoneId) => {
+    try {
+      const { data } = await api.get(`/milestones/${milestoneId}/proofs`);
+      setProofs((p) => ({ ...p, [milestoneId]: data.items || [] }));
+    } catch (err) {
+      addToast(err.response?.data?.message || 'Failed to load proof history', 'error');
+    }
+  }, [addToast]);
+
+  const loadProofComments = useCallback(
+    (milestoneId, version) => api.get(`/milestones/${milestoneId}/proofs/${version}`).then((r) => r.data.comments || []),
+    []
+  );
+
+  const postProofComment = useCallback(async (milestoneId, version, payload) => {
+    try {
+      const { data } = await api.post(`/milestones/${milestoneId}/proofs/${version}/comments`, payload);
+      if (payload.requestsChanges) {
+        setProofs((p) => ({
+          ...p,
+          [milestoneId]: (p[milestoneId] || []).map((v) => (v.version === version ? { ...v, status: 'changes_requested' } : v)),
+        }));
+      }
+      return data;
+    } catch (err) {
+      addToast(err.response?.data?.message || 'Failed to post comment', 'error');
+      throw err;
+    }
+  }, [addToast]);
+
+  const toggleProofs = (milestoneId) => {
+    if (openProofs === milestoneId) {
+      setOpenProofs(null);
+      return;
+    }
+    setOpenProofs(milestoneId);
+    if (!proofs[milestoneId]) loadProofs(milestoneId);
+  };
 
   if (loading) return <CampaignDetailSkeleton />;
   if (error) {
@@ -98,6 +157,9 @@ export default function CampaignDetail() {
   const progress = ((Number(campaign.currentAmount || 0) / Number(campaign.targetAmount || 1)) * 100);
   // IPFS gateway URL for viewing uploaded files
   const gateway = 'https://gateway.pinata.cloud/ipfs/';
+  const isCreator = Boolean(account && campaign.creator?.toLowerCase() === account.toLowerCase());
+  // Donations go to the DonationTracker campaign, so unlinked campaigns cannot take any yet
+  const canDonate = campaign.status === 'active' && Boolean(campaign.onChainId);
   return (
     <div style={{ maxWidth: 1000, margin: '0 auto' }}>
       {/* Hero Image */}
@@ -106,6 +168,11 @@ export default function CampaignDetail() {
       {/* Campaign Info */}
       <div style={{ background: '#fff', padding: 24, borderRadius: 12, border: '1px solid #e2e8f0', marginBottom: 24 }}>
         <h1 style={{ fontSize: 32, margin: '0 0 8px' }}>{campaign.title}</h1>
+        {campaign.disasterVerification && (
+          <div style={{ marginBottom: 8 }}>
+            <DisasterBadge verification={campaign.disasterVerification} />
+          </div>
+        )}
         <p style={{ color: '#64748b', marginBottom: 16 }}>By {campaign.creator?.slice(0, 6)}...{campaign.creator?.slice(-4)}</p>
         <p style={{ color: '#111827', marginBottom: 24 }}>{campaign.description}</p>
 
@@ -136,7 +203,21 @@ export default function CampaignDetail() {
           </div>
         </div>
 
-        <button onClick={() => setShowDonateModal(true)} style={{ width: '100%', padding: '12px 24px', background: '#667eea', color: '#fff', borderRadius: 8, border: 'none', fontSize: 16, fontWeight: 600, cursor: 'pointer' }}>
+        {campaign.status === 'pending_verification' && (
+          <p style={{ color: '#92400e', fontSize: 14, marginBottom: 12 }}>
+            Donations open once the disaster oracle verifies this event.
+          </p>
+        )}
+        {campaign.status === 'active' && !campaign.onChainId && (
+          <p style={{ color: '#92400e', fontSize: 14, marginBottom: 12 }}>
+            Donations open once an admin links this campaign to its on-chain campaign.
+          </p>
+        )}
+        <button
+          onClick={() => setShowDonateModal(true)}
+          disabled={!canDonate}
+          style={{ width: '100%', padding: '12px 24px', background: '#667eea', color: '#fff', borderRadius: 8, border: 'none', fontSize: 16, fontWeight: 600, cursor: canDonate ? 'pointer' : 'not-allowed', opacity: canDonate ? 1 : 0.6 }}
+        >
           Donate Now
         </button>
       </div>
@@ -145,7 +226,7 @@ export default function CampaignDetail() {
       <div style={{ background: '#fff', padding: 24, borderRadius: 12, border: '1px solid #e2e8f0', marginBottom: 24 }}>
         <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
           <h2 style={{ fontSize: 24, margin: 0 }}>Milestones</h2>
-          {account && campaign.creator?.toLowerCase() === account.toLowerCase() && (
+          {isCreator && (
             <button onClick={() => setShowMilestoneModal(true)} style={{ padding: '8px 16px', background: '#667eea', color: '#fff', borderRadius: 8, border: 'none', cursor: 'pointer', fontWeight: 600 }}>
               Add Milestone
             </button>
@@ -167,11 +248,36 @@ export default function CampaignDetail() {
                   </div>
                 </div>
                 <div style={{ fontSize: 14, color: '#64748b', marginBottom: 8 }}>Fund Amount: ${Number(m.fundAmount || 0).toLocaleString()}</div>
-                {m.proofCID && (
-                  <a href={`${gateway}${m.proofCID}`} target="_blank" rel="noreferrer" style={{ fontSize: 14, color: '#667eea' }}>
-                    View Proof (IPFS)
-                  </a>
-                )}
+                <div style={{ display: 'flex', gap: 16, alignItems: 'center', fontSize: 14 }}>
+                  {m.proofCID && (
+                    <a href={`${gateway}${m.proofCID}`} target="_blank" rel="noreferrer" style={{ color: '#667eea' }}>
+                      View Proof (IPFS)
+                    </a>
+                  )}
+                  {m.proofCID && (
+                    <button type="button" onClick={() => toggleProofs(m.id)} style={{ padding: 0, border: 'none', background: 'none', color: '#667eea', cursor: 'pointer', fontSize: 14 }}>
+                      {openProofs === m.id ? 'Hide proof history' : 'Proof history'}
+                    </button>
+                  )}
+                  {isCreator && !m.approved && (
+                    <button type="button" onClick={() => setResubmitFor(m)} style={{ padding: 0, border: 'none', background: 'none', color: '#667eea', cursor: 'pointer', fontSize: 14 }}>
+                      Submit new proof
+                    </button>
+                  )}
+                </div>
+                {openProofs === m.id && (proofs[m.id] ? (
+                  <ProofVersions
+                    key={proofs[m.id].length}
+                    milestoneId={m.id}
+                    versions={proofs[m.id]}
+                    gateway={gateway}
+                    loadComments={loadProofComments}
+                    onComment={account ? postProofComment : undefined}
+                  />
+                ) : (
+                  <p style={{ color: '#64748b', fontSize: 14 }}>Loading proof history...</p>
+                ))}
+                <MilestoneChallenge milestone={m} gateway={gateway} />
               </div>
             ))}
           </div>
@@ -189,7 +295,7 @@ export default function CampaignDetail() {
               <div key={d.id} style={{ display: 'flex', justifyContent: 'space-between', padding: 12, border: '1px solid #e2e8f0', borderRadius: 8 }}>
                 <div>
                   <div style={{ fontWeight: 600 }}>{d.anonymous ? 'Anonymous' : `${d.donorWallet?.slice(0, 6)}...${d.donorWallet?.slice(-4)}`}</div>
-                  <div style={{ fontSize: 12, color: '#64748b' }}>{new Date(d.createdAt).toLocaleDateString()}</div>
+                  <div style={{ fontSize: 12, color: '#64748b' }}>{new Date(d.timestamp || d.createdAt).toLocaleDateString()}</div>
                 </div>
                 <div style={{ fontWeight: 600, color: '#667eea' }}>${Number(d.amount || 0).toLocaleString()}</div>
               </div>
@@ -198,20 +304,25 @@ export default function CampaignDetail() {
         )}
       </div>
 
-      {showDonateModal && <DonateModal campaignId={id} onClose={() => setShowDonateModal(false)} />}
+      {showDonateModal && <DonateModal campaign={campaign} onClose={() => setShowDonateModal(false)} />}
       {showMilestoneModal && (
         <MilestoneSubmission
           campaignId={id}
-          onSuccess={() => {
-            // Refresh milestones
-            fetch(`/api/campaigns/${id}/milestones`)
-              .then(r => r.ok ? r.json() : { items: [] })
-              .then(data => setMilestones(data.items || []))
-              .catch(() => {});
-          }}
+          onSuccess={(created) => addMilestoneToCache(id, created)}
           onClose={() => setShowMilestoneModal(false)}
         />
       )}
+      {resubmitFor && (
+        <MilestoneSubmission
+          milestone={resubmitFor}
+          onSuccess={(version) => {
+            updateMilestoneInCache(id, version.milestoneId, { proofCID: version.cid });
+            loadProofs(version.milestoneId);
+            setOpenProofs(version.milestoneId);
+          }}
+          onClose={() => setResubmitFor(null)}
+        />
+      )}
     </div>
   );
 }
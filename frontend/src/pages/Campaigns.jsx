@@ -1,118 +1,213 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useToast } from '../context/ToastContext';
 import styled from 'styled-components';
 import CampaignCard from '../components/CampaignCard';
 import SkeletonLoader from '../components/SkeletonLoader';
 import api from '../config/api';
+import { FUNDING_BUCKETS, SORT_OPTIONS, readFilters, writeFilters, toSearchParams } from '../utils/campaignFilters';
+
+const limit = 12;
+
+// Styles live at module scope so inputs keep focus across renders
+const Container = styled.div`
+  max-width: 1200px;
+  margin: 0 auto;
+  padding: 0 16px;
+`;
+
+const Header = styled.div`
+  margin-bottom: 24px;
+`;
+
+const Title = styled.h1`
+  font-size: 2rem;
+  font-weight: 700;
+  color: #1f2937;
+  margin-bottom: 8px;
+`;
+
+const FilterContainer = styled.div`
+  display: flex;
+  gap: 12px;
+  margin-bottom: 24px;
+  flex-wrap: wrap;
+  align-items: center;
+`;
+
+const Select = styled.select`
+  padding: 8px 12px;
+  border-radius: 8px;
+  border: 1px solid #d1d5db;
+  background: white;
+  font-size: 0.9rem;
+  cursor: pointer;
+  transition: all 0.2s;
+
+  &:focus {
+    outline: none;
+    border-color: #3b82f6;
+    box-shadow: 0 0 0 2px rgba(59, 130, 246, 0.2);
+  }
+`;
+
+const CampaignsGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(300px, 1fr));
+  gap: 24px;
+  margin-bottom: 32px;
+
+  @media (max-width: 768px) {
+    grid-template-columns: repeat(auto-fill, minmax(280px, 1fr));
+  }
+`;
+
+const Pagination = styled.div`
+  display: flex;
+  justify-content: center;
+  gap: 8px;
+  margin-top: 32px;
+`;
+
+const PageButton = styled.button`
+  padding: 8px 16px;
+  border: 1px solid #d1d5db;
+  background: ${props => props.$active ? '#3b82f6' : 'white'};
+  color: ${props => props.$active ? 'white' : '#4b5563'};
+  border-radius: 6px;
+  cursor: pointer;
+  transition: all 0.2s;
+
+  &:hover:not(:disabled) {
+    background: ${props => props.$active ? '#2563eb' : '#f3f4f6'};
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const SearchForm = styled.form`
+  display: flex;
+  gap: 12px;
+  margin-bottom: 16px;
+  flex-wrap: wrap;
+`;
+
+const Input = styled.input`
+  padding: 8px 12px;
+  border-radius: 8px;
+  border: 1px solid #d1d5db;
+  font-size: 0.9rem;
+  flex: ${props => props.$grow ? 1 : 'none'};
+  min-width: ${props => props.$grow ? '220px' : '0'};
+  width: ${props => props.$grow ? 'auto' : '120px'};
+
+  &:focus {
+    outline: none;
+    border-color: #3b82f6;
+    box-shadow: 0 0 0 2px rgba(59, 130, 246, 0.2);
+  }
+`;
+
+const SearchButton = styled.button`
+  padding: 8px 16px;
+  border: none;
+  border-radius: 8px;
+  background: #3b82f6;
+  color: white;
+  font-weight: 500;
+  cursor: pointer;
+
+  &:hover {
+    background: #2563eb;
+  }
+`;
+
+const CheckboxLabel = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  font-size: 0.9rem;
+  color: #4b5563;
+  cursor: pointer;
+`;
+
+const ClearButton = styled.button`
+  background: none;
+  border: none;
+  color: #3b82f6;
+  font-size: 0.9rem;
+  cursor: pointer;
+`;
+
+const ResultCount = styled.p`
+  color: #64748b;
+  font-size: 0.9rem;
+  margin-bottom: 16px;
+`;
+
+// "active (12)" style option labels from facet counts
+const withCount = (label, facet, value) => {
+  const entry = (facet || []).find(f => f.value === value);
+  return entry ? `${label} (${entry.count})` : label;
+};
 
 export default function Campaigns() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { filters, page } = useMemo(() => readFilters(searchParams), [searchParams]);
   const [campaigns, setCampaigns] = useState([]);
+  const [facets, setFacets] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [page, setPage] = useState(1);
   const [total, setTotal] = useState(0);
-  const [filters, setFilters] = useState({ status: '', sortBy: 'createdAt', sortOrder: 'desc' });
+  // Free-text fields are edited locally and applied on submit
+  const [draft, setDraft] = useState(filters);
   const { addToast } = useToast();
-  const limit = 12;
+
+  useEffect(() => {
+    setDraft(filters);
+  }, [filters]);
 
   useEffect(() => {
     setLoading(true);
-    const params = new URLSearchParams({ page, limit, ...filters });
-    // Remove empty filters
-    Object.keys(filters).forEach(k => !filters[k] && params.delete(k));
-    
-    api.get(`/campaigns?${params}`)
+    api.get(`/campaigns/search?${toSearchParams(filters, page, limit)}`)
       .then(response => {
         const data = response.data;
         setCampaigns(data.items || []);
         setTotal(data.total || 0);
+        setFacets(data.facets || null);
       })
       .catch(error => {
         console.error('Fetch error:', error);
         addToast(error.message || 'Failed to load campaigns', 'error');
       })
       .finally(() => setLoading(false));
-  }, [page, filters, addToast]);
+  }, [filters, page, addToast]);
 
   const totalPages = Math.ceil(total / limit);
 
-  // Styles
-  const Container = styled.div`
-    max-width: 1200px;
-    margin: 0 auto;
-    padding: 0 16px;
-  `;
-
-  const Header = styled.div`
-    margin-bottom: 24px;
-  `;
-
-  const Title = styled.h1`
-    font-size: 2rem;
-    font-weight: 700;
-    color: #1f2937;
-    margin-bottom: 8px;
-  `;
-
-  const FilterContainer = styled.div`
-    display: flex;
-    gap: 12px;
-    margin-bottom: 24px;
-    flex-wrap: wrap;
-    align-items: center;
-  `;
-
-  const Select = styled.select`
-    padding: 8px 12px;
-    border-radius: 8px;
-    border: 1px solid #d1d5db;
-    background: white;
-    font-size: 0.9rem;
-    cursor: pointer;
-    transition: all 0.2s;
-    
-    &:focus {
-      outline: none;
-      border-color: #3b82f6;
-      box-shadow: 0 0 0 2px rgba(59, 130, 246, 0.2);
-    }
-  `;
-
-  const CampaignsGrid = styled.div`
-    display: grid;
-    grid-template-columns: repeat(auto-fill, minmax(300px, 1fr));
-    gap: 24px;
-    margin-bottom: 32px;
-    
-    @media (max-width: 768px) {
-      grid-template-columns: repeat(auto-fill, minmax(280px, 1fr));
-    }
-  `;
-
-  const Pagination = styled.div`
-    display: flex;
-    justify-content: center;
-    gap: 8px;
-    margin-top: 32px;
-  `;
-
-  const PageButton = styled.button`
-    padding: 8px 16px;
-    border: 1px solid #d1d5db;
-    background: ${props => props.$active ? '#3b82f6' : 'white'};
-    color: ${props => props.$active ? 'white' : '#4b5563'};
-    border-radius: 6px;
-    cursor: pointer;
-    transition: all 0.2s;
-    
-    &:hover:not(:disabled) {
-      background: ${props => props.$active ? '#2563eb' : '#f3f4f6'};
-    }
-    
-    &:disabled {
-      opacity: 0.6;
-      cursor: not-allowed;
-    }
-  `;
+  // Any filter change goes back to page 1
+  const applyFilters = (next) => setSearchParams(writeFilters({ ...filters, ...next }));
+  const setPage = (update) => {
+    const nextPage = typeof update === 'function' ? update(page) : update;
+    setSearchParams(writeFilters(filters, nextPage));
+  };
+
+  const onSearch = (e) => {
+    e.preventDefault();
+    applyFilters({
+      q: draft.q,
+      disasterId: draft.disasterId,
+      creator: draft.creator,
+      minTarget: draft.minTarget,
+      maxTarget: draft.maxTarget,
+      deadlineFrom: draft.deadlineFrom,
+      deadlineTo: draft.deadlineTo,
+    });
+  };
+
+  const hasFilters = writeFilters(filters).toString() !== '';
 
   return (
     <Container>
@@ -120,29 +215,126 @@ export default function Campaigns() {
         <Title>All Campaigns</Title>
       </Header>
 
+      <SearchForm onSubmit={onSearch} role="search">
+        <Input
+          $grow
+          type="search"
+          placeholder="Search campaigns"
+          value={draft.q}
+          onChange={e => setDraft(d => ({ ...d, q: e.target.value }))}
+          aria-label="Search campaigns"
+        />
+        <Input
+          placeholder="Disaster ID"
+          value={draft.disasterId}
+          onChange={e => setDraft(d => ({ ...d, disasterId: e.target.value }))}
+          aria-label="Disaster ID"
+        />
+        <Input
+          placeholder="Creator wallet or ID"
+          value={draft.creator}
+          onChange={e => setDraft(d => ({ ...d, creator: e.target.value }))}
+          aria-label="Creator wallet or user ID"
+          style={{ width: 180 }}
+        />
+        <Input
+          type="number"
+          min="0"
+          step="any"
+          placeholder="Min target"
+          value={draft.minTarget}
+          onChange={e => setDraft(d => ({ ...d, minTarget: e.target.value }))}
+          aria-label="Minimum target (ETH)"
+        />
+        <Input
+          type="number"
+          min="0"
+          step="any"
+          placeholder="Max target"
+          value={draft.maxTarget}
+          onChange={e => setDraft(d => ({ ...d, maxTarget: e.target.value }))}
+          aria-label="Maximum target (ETH)"
+        />
+        <Input
+          type="date"
+          value={draft.deadlineFrom}
+          max={draft.deadlineTo || undefined}
+          onChange={e => setDraft(d => ({ ...d, deadlineFrom: e.target.value }))}
+          aria-label="Deadline from"
+          style={{ width: 150 }}
+        />
+        <Input
+          type="date"
+          value={draft.deadlineTo}
+          min={draft.deadlineFrom || undefined}
+          onChange={e => setDraft(d => ({ ...d, deadlineTo: e.target.value }))}
+          aria-label="Deadline to"
+          style={{ width: 150 }}
+        />
+        <SearchButton type="submit">Search</SearchButton>
+      </SearchForm>
+
       <FilterContainer>
         <Select 
           value={filters.status} 
-          onChange={e => setFilters(f => ({ ...f, status: e.target.value }))}
+          onChange={e => applyFilters({ status: e.target.value })}
           aria-label="Filter by status"
         >
           <option value="">All Status</option>
-          <option value="active">Active</option>
-          <option value="completed">Completed</option>
-          <option value="cancelled">Cancelled</option>
+          <option value="active">{withCount('Active', facets?.status, 'active')}</option>
+          <option value="pending_verification">{withCount('Awaiting verification', facets?.status, 'pending_verification')}</option>
+          <option value="completed">{withCount('Completed', facets?.status, 'completed')}</option>
+          <option value="cancelled">{withCount('Cancelled', facets?.status, 'cancelled')}</option>
+        </Select>
+        <Select
+          value={filters.eventType}
+          onChange={e => applyFilters({ eventType: e.target.value })}
+          aria-label="Filter by disaster type"
+        >
+          <option value="">All disaster types</option>
+          {filters.eventType && !(facets?.eventType || []).some(f => f.value === filters.eventType) && (
+            <option value={filters.eventType}>{filters.eventType}</option>
+          )}
+          {(facets?.eventType || []).map(f => (
+            <option key={f.value} value={f.value}>{`${f.value} (${f.count})`}</option>
+          ))}
+        </Select>
+        <Select
+          value={filters.funded}
+          onChange={e => applyFilters({ funded: e.target.value })}
+          aria-label="Filter by funding"
+        >
+          <option value="">Any funding</option>
+          {FUNDING_BUCKETS.map(bucket => (
+            <option key={bucket} value={bucket}>{withCount(`${bucket}% funded`, facets?.funding, bucket)}</option>
+          ))}
         </Select>
         <Select 
-          value={filters.sortBy} 
-          onChange={e => setFilters(f => ({ ...f, sortBy: e.target.value }))}
+          value={filters.sort} 
+          onChange={e => applyFilters({ sort: e.target.value })}
           aria-label="Sort by"
         >
-          <option value="createdAt">Newest</option>
-          <option value="-createdAt">Oldest</option>
-          <option value="currentAmount">Most Funded</option>
-          <option value="-currentAmount">Least Funded</option>
+          {SORT_OPTIONS.map(o => (
+            <option key={o.value} value={o.value}>{o.label}</option>
+          ))}
         </Select>
+        <CheckboxLabel>
+          <input
+            type="checkbox"
+            checked={filters.endingSoon}
+            onChange={e => applyFilters({ endingSoon: e.target.checked })}
+          />
+          {facets ? `Ending soon (${facets.endingSoon})` : 'Ending soon'}
+        </CheckboxLabel>
+        {hasFilters && (
+          <ClearButton type="button" onClick={() => setSearchParams(new URLSearchParams())}>
+            Clear filters
+          </ClearButton>
+        )}
       </FilterContainer>
 
+      {!loading && <ResultCount>{total} campaign{total === 1 ? '' : 's'} found</ResultCount>}
+
       {loading ? (
         <CampaignsGrid>
           {[...Array(6)].map((_, i) => (
@@ -14,7 +14,7 @@ export default function CreateCampaign() {
   });
   const [imageFile, setImageFile] = useState(null);
   const [loading, setLoading] = useState(false);
-  const { account, isConnected } = useWeb3();
+  const { isConnected } = useWeb3();
   const { addToast } = useToast();
   const navigate = useNavigate();
 
@@ -65,7 +65,6 @@ export default function CreateCampaign() {
         const uploadRes = await api.post('/ipfs/upload', formData, {
           headers: {
             'Content-Type': 'multipart/form-data',
-            'x-user-id': account,
           },
         });
         
@@ -84,15 +83,11 @@ export default function CreateCampaign() {
         deadline: deadline || null,
         disasterId: disasterId || null,
         imageCID,
-      }, {
-        headers: {
-          'x-user-id': account,
-        },
       });
 
       const data = response.data;
       addToast('Campaign created successfully!', 'success');
-      navigate(`/campaigns/${data.campaignId}`);
+      navigate(`/campaigns/${data.id}`);
     } catch (err) {
       addToast(err.message || 'Failed to create campaign', 'error');
     } finally {
@@ -0,0 +1,131 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useToast } from '../context/ToastContext';
+import ClusterMap from '../components/ClusterMap';
+import CampaignCard from '../components/CampaignCard';
+import DisasterBadge from '../components/DisasterBadge';
+import SkeletonLoader from '../components/SkeletonLoader';
+import api from '../config/api';
+import { PROGRESS_COLORS, eventTypes, filterDisasters, fundingPercent } from '../utils/mapClusters';
+
+// The map lists active and completed campaigns only (GET /disasters/map)
+const STATUS_OPTIONS = [
+  { value: 'active', label: 'Active' },
+  { value: 'completed', label: 'Completed' },
+];
+
+const selectStyle = { padding: '8px 12px', borderRadius: 8, border: '1px solid #d1d5db', background: '#fff', fontSize: 14 };
+
+function DisasterPanel({ disasters, onClose }) {
+  return (
+    <aside
+      aria-label="Selected disasters"
+      style={{ width: 360, maxHeight: 560, overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: 16 }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <strong>{disasters.length === 1 ? 'Disaster' : `${disasters.length} disasters`}</strong>
+        <button
+          type="button"
+          onClick={onClose}
+          aria-label="Close panel"
+          style={{ background: 'none', border: 'none', fontSize: 20, cursor: 'pointer', color: '#64748b' }}
+        >
+          ×
+        </button>
+      </div>
+      {disasters.map((disaster) => (
+        <section key={disaster.disasterId} style={{ display: 'flex', flexDirection: 'column', gap: 12 }}>
+          <div>
+            <h2 style={{ fontSize: 18, fontWeight: 700, margin: '0 0 4px' }}>{disaster.name || disaster.disasterId}</h2>
+            <div style={{ color: '#64748b', fontSize: 14, marginBottom: 8 }}>
+              {disaster.eventType} · {disaster.raisedAmount.toLocaleString()} of {disaster.targetAmount.toLocaleString()} ETH
+              {' '}({fundingPercent(disaster.raisedAmount, disaster.targetAmount).toFixed(0)}% funded)
+            </div>
+            <DisasterBadge verification={{ status: 'verified', confidence: disaster.confidence }} />
+          </div>
+          {disaster.campaigns.length === 0 ? (
+            <p style={{ color: '#64748b', fontSize: 14 }}>No campaigns yet.</p>
+          ) : (
+            disaster.campaigns.map((campaign) => <CampaignCard key={campaign.id} campaign={campaign} />)
+          )}
+        </section>
+      ))}
+    </aside>
+  );
+}
+
+export default function DisasterMap() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const eventType = searchParams.get('eventType') || '';
+  const status = searchParams.get('status') || '';
+  const [disasters, setDisasters] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const { addToast } = useToast();
+
+  useEffect(() => {
+    api.get('/disasters/map')
+      .then((response) => setDisasters(response.data.items || []))
+      .catch((error) => {
+        console.error('Fetch error:', error);
+        addToast(error.message || 'Failed to load the disaster map', 'error');
+      })
+      .finally(() => setLoading(false));
+  }, [addToast]);
+
+  const visible = useMemo(() => filterDisasters(disasters, { eventType, status }), [disasters, eventType, status]);
+  const selected = visible.filter((d) => selectedIds.includes(d.disasterId));
+
+  const setFilter = (key, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value) next.set(key, value);
+    else next.delete(key);
+    setSearchParams(next);
+  };
+
+  return (
+    <div style={{ maxWidth: 1400, margin: '0 auto', padding: '0 16px' }}>
+      <h1 style={{ fontSize: '2rem', fontWeight: 700, color: '#1f2937', marginBottom: 8 }}>Where the money goes</h1>
+      <p style={{ color: '#64748b', marginBottom: 16 }}>
+        Verified disasters and the campaigns raising funds for them. Larger markers have raised more.
+      </p>
+
+      <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap', alignItems: 'center', marginBottom: 16 }}>
+        <select value={eventType} onChange={(e) => setFilter('eventType', e.target.value)} aria-label="Filter by disaster type" style={selectStyle}>
+          <option value="">All disaster types</option>
+          {eventTypes(disasters).map((type) => (
+            <option key={type} value={type}>{type}</option>
+          ))}
+        </select>
+        <select value={status} onChange={(e) => setFilter('status', e.target.value)} aria-label="Filter by campaign status" style={selectStyle}>
+          <option value="">All campaigns</option>
+          {STATUS_OPTIONS.map((o) => (
+            <option key={o.value} value={o.value}>{o.label}</option>
+          ))}
+        </select>
+        <div aria-label="Funding legend" style={{ display: 'flex', gap: 12, flexWrap: 'wrap', fontSize: 13, color: '#475569' }}>
+          {PROGRESS_COLORS.map((bucket) => (
+            <span key={bucket.label} style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+              <span style={{ width: 10, height: 10, borderRadius: '50%', background: bucket.color }} />
+              {bucket.label}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <SkeletonLoader height={560} style={{ borderRadius: 12 }} />
+      ) : (
+        <div style={{ display: 'flex', gap: 16, alignItems: 'flex-start' }}>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <ClusterMap disasters={visible} onSelect={(items) => setSelectedIds(items.map((d) => d.disasterId))} />
+            {visible.length === 0 && (
+              <p style={{ color: '#64748b', marginTop: 12 }}>No verified disasters match these filters.</p>
+            )}
+          </div>
+          {selected.length > 0 && <DisasterPanel disasters={selected} onClose={() => setSelectedIds([])} />}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -2,29 +2,36 @@ import React, { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
 import { useToast } from '../context/ToastContext';
 import api from '../config/api';
+import useAppStore from '../store/useAppStore';
+import { patchCampaign } from '../utils/realtime';
+
+const NO_STATS = { totalDonations: 0, campaignCount: 0, peopleHelped: 0 };
 
 export default function Home() {
   const [featuredCampaigns, setFeaturedCampaigns] = useState([]);
-  const [stats, setStats] = useState({ totalDonations: 0, campaignCount: 0, peopleHelped: 0 });
+  const stats = useAppStore((s) => s.stats) || NO_STATS;
+  const fetchStats = useAppStore((s) => s.fetchStats);
+  const subscribeToStats = useAppStore((s) => s.subscribeToStats);
   const [loading, setLoading] = useState(true);
   const { addToast } = useToast();
 
   useEffect(() => {
     Promise.all([
       api.get('/campaigns?featured=true').then(r => r.data).catch(() => ({ items: [] })),
-      api.get('/stats').then(r => r.data).catch(() => ({}))
+      fetchStats().catch(() => {})
     ])
-      .then(([campaigns, statsData]) => {
+      .then(([campaigns]) => {
         setFeaturedCampaigns(campaigns.items || []);
-        setStats({
-          totalDonations: statsData.totalDonations || 0,
-          campaignCount: statsData.campaignCount || 0,
-          peopleHelped: statsData.peopleHelped || 0
-        });
       })
       .catch(() => addToast('Failed to load data', 'error'))
       .finally(() => setLoading(false));
-  }, [addToast]);
+  }, [addToast, fetchStats]);
+
+  // Totals change as donations land and campaigns open or close
+  useEffect(
+    () => subscribeToStats((event) => setFeaturedCampaigns((items) => items.map((c) => patchCampaign(c, event)))),
+    [subscribeToStats]
+  );
 
   return (
     <div style={{ maxWidth: 1200, margin: '0 auto' }}>
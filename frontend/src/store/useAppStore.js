@@ -5,6 +5,8 @@
 
 import { create } from 'zustand';
 import { devtools, persist } from 'zustand/middleware';
+import api from '../config/api';
+import { openRealtime, patchStats } from '../utils/realtime';
 
 const useAppStore = create(
   devtools(
@@ -98,6 +100,30 @@ const useAppStore = create(
         // Stats cache
         stats: null,
         setStats: (stats) => set({ stats }),
+        fetchStats: async () => {
+          const { data } = await api.get('/stats');
+          const stats = {
+            totalDonations: data.totalDonations || 0,
+            campaignCount: data.campaignCount || 0,
+            peopleHelped: data.peopleHelped || 0,
+          };
+          set({ stats });
+          return stats;
+        },
+        applyStatsEvent: (event) => set((state) => ({ stats: patchStats(state.stats, event) })),
+        // Keep stats live; onEvent also sees each event. Returns the unsubscribe function
+        subscribeToStats: (onEvent = () => {}) => {
+          const stream = openRealtime({
+            url: `${api.defaults.baseURL}/realtime`,
+            topics: ['stats'],
+            onEvent: (event) => {
+              get().applyStatsEvent(event);
+              onEvent(event);
+            },
+            onReset: () => get().fetchStats().catch(() => {}),
+          });
+          return stream.close;
+        },
 
         // Search history
         searchHistory: [],
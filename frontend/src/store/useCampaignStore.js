@@ -6,6 +6,7 @@
 import { create } from 'zustand';
 import { devtools } from 'zustand/middleware';
 import api from '../config/api';
+import { openRealtime, patchCampaign, patchDonations, patchMilestones, addPendingDonation } from '../utils/realtime';
 
 const useCampaignStore = create(
   devtools(
@@ -115,6 +116,24 @@ const useCampaignStore = create(
         });
       },
 
+      // List a donation mined on chain as pending; campaign totals wait for its donation.confirmed event
+      recordDonation: (campaignId, donation) => {
+        set((state) => {
+          const donationsCache = { ...state.donationsCache };
+          Object.keys(donationsCache).forEach((key) => {
+            if (!key.startsWith(`${campaignId}-1-`)) return;
+            const { data } = donationsCache[key];
+            const { items, added } = addPendingDonation(data.items || [], donation);
+            donationsCache[key] = {
+              data: { ...data, items, total: (data.total || 0) + added },
+              timestamp: Date.now(),
+            };
+          });
+
+          return { donationsCache };
+        });
+      },
+
       // Donations cache
       donationsCache: {},
       
@@ -152,9 +171,9 @@ const useCampaignStore = create(
       milestonesCache: {},
       
       // Fetch milestones for campaign
-      fetchMilestones: async (campaignId) => {
+      fetchMilestones: async (campaignId, { force = false } = {}) => {
         const cached = get().milestonesCache[campaignId];
-        if (cached && Date.now() - cached.timestamp < 60000) {
+        if (!force && cached && Date.now() - cached.timestamp < 60000) {
           return cached.data;
         }
 
@@ -180,15 +199,96 @@ const useCampaignStore = create(
 
       // Add milestone to cache
       addMilestoneToCache: (campaignId, milestone) => {
-        set((state) => ({
-          milestonesCache: {
-            ...state.milestonesCache,
-            [campaignId]: [
-              ...(state.milestonesCache[campaignId] || []),
-              milestone,
-            ],
-          },
-        }));
+        set((state) => {
+          const items = state.milestonesCache[campaignId]?.data || [];
+          if (items.some((m) => m.id === milestone.id)) return state;
+          return {
+            milestonesCache: {
+              ...state.milestonesCache,
+              [campaignId]: { data: [...items, { disputes: [], ...milestone }], timestamp: Date.now() },
+            },
+          };
+        });
+      },
+
+      // Update one cached milestone
+      updateMilestoneInCache: (campaignId, milestoneId, updates) => {
+        set((state) => {
+          const cached = state.milestonesCache[campaignId];
+          if (!cached) return state;
+          return {
+            milestonesCache: {
+              ...state.milestonesCache,
+              [campaignId]: { data: cached.data.map((m) => (m.id === milestoneId ? { ...m, ...updates } : m)), timestamp: Date.now() },
+            },
+          };
+        });
+      },
+
+      // Patch every cached view of a campaign with a realtime event
+      applyRealtimeEvent: (event) => {
+        const patch = (campaign) => patchCampaign(campaign, event);
+        const { campaignId } = event.data;
+
+        set((state) => {
+          const campaignCache = {};
+          Object.entries(state.campaignCache).forEach(([id, entry]) => {
+            campaignCache[id] = { ...entry, data: patch(entry.data) };
+          });
+
+          const donationsCache = { ...state.donationsCache };
+          Object.keys(donationsCache).forEach((key) => {
+            if (!campaignId || !key.startsWith(`${campaignId}-1-`)) return;
+            const { data } = donationsCache[key];
+            const { items, added } = patchDonations(data.items || [], event);
+            donationsCache[key] = { ...donationsCache[key], data: { ...data, items, total: (data.total || 0) + added } };
+          });
+
+          const milestones = campaignId && state.milestonesCache[campaignId];
+          return {
+            campaigns: state.campaigns.map(patch),
+            campaignCache,
+            donationsCache,
+            milestonesCache: milestones
+              ? { ...state.milestonesCache, [campaignId]: { ...milestones, data: patchMilestones(milestones.data, event) } }
+              : state.milestonesCache,
+          };
+        });
+      },
+
+      // Refetch a campaign and its cached donations and milestones, e.g. after the realtime stream was reset
+      refreshCampaign: async (id) => {
+        const { donationsCache, milestonesCache } = get();
+        const donationPages = Object.keys(donationsCache)
+          .filter((key) => key.startsWith(`${id}-`))
+          .map((key) => key.slice(id.length + 1).split('-').map(Number));
+        set((state) => {
+          const campaignCache = { ...state.campaignCache };
+          delete campaignCache[id];
+          const donations = { ...state.donationsCache };
+          Object.keys(donations).forEach((key) => {
+            if (key.startsWith(`${id}-`)) delete donations[key];
+          });
+          return { campaignCache, donationsCache: donations };
+        });
+        await Promise.all([
+          get().fetchCampaign(id),
+          ...donationPages.map(([page, limit]) => get().fetchDonations(id, page, limit)),
+          milestonesCache[id] ? get().fetchMilestones(id, { force: true }) : null,
+        ]);
+      },
+
+      // Keep a campaign's caches live; returns the unsubscribe function
+      subscribeToCampaign: (id, { disasterId } = {}) => {
+        const topics = [`campaign:${id}`];
+        if (disasterId) topics.push(`disaster:${disasterId}`);
+        const stream = openRealtime({
+          url: `${api.defaults.baseURL}/realtime`,
+          topics,
+          onEvent: (event) => get().applyRealtimeEvent(event),
+          onReset: () => get().refreshCampaign(id).catch(() => {}),
+        });
+        return stream.close;
       },
 
       // Reset store
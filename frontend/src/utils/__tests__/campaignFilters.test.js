@@ -0,0 +1,92 @@
+/**
+ * Tests for campaign search filter helpers
+ */
+
+import { FILTER_DEFAULTS, readFilters, writeFilters, toSearchParams } from '../campaignFilters';
+
+describe('campaignFilters', () => {
+  describe('readFilters', () => {
+    it('should return defaults for an empty query string', () => {
+      expect(readFilters(new URLSearchParams())).toEqual({ filters: FILTER_DEFAULTS, page: 1 });
+    });
+
+    it('should read filters and page from the URL', () => {
+      const { filters, page } = readFilters(
+        new URLSearchParams('q=flood&eventType=flood&endingSoon=true&funded=25-50&sort=deadline:asc&page=3')
+      );
+
+      expect(filters).toEqual({
+        ...FILTER_DEFAULTS,
+        q: 'flood',
+        eventType: 'flood',
+        endingSoon: true,
+        funded: '25-50',
+        sort: 'deadline:asc',
+      });
+      expect(page).toBe(3);
+    });
+
+    it('should drop unknown sort and funding values', () => {
+      const { filters, page } = readFilters(new URLSearchParams('sort=title:asc&funded=10-20&page=abc'));
+
+      expect(filters.sort).toBe('');
+      expect(filters.funded).toBe('');
+      expect(page).toBe(1);
+    });
+  });
+
+  describe('writeFilters', () => {
+    it('should leave defaults out of the URL', () => {
+      expect(writeFilters(FILTER_DEFAULTS).toString()).toBe('');
+    });
+
+    it('should round-trip through readFilters', () => {
+      const filters = { ...FILTER_DEFAULTS, q: 'earthquake', status: 'active', creator: 'user-1', minTarget: '5', deadlineTo: '2025-06-30', endingSoon: true };
+
+      const params = writeFilters(filters, 2);
+
+      expect(params.toString()).toBe('q=earthquake&status=active&creator=user-1&minTarget=5&deadlineTo=2025-06-30&endingSoon=true&page=2');
+      expect(readFilters(params)).toEqual({ filters, page: 2 });
+    });
+  });
+
+  describe('toSearchParams', () => {
+    it('should map form filters to API parameters', () => {
+      const params = toSearchParams(
+        { ...FILTER_DEFAULTS, q: ' flood ', funded: '25-50', sort: 'fundedPercent:desc', endingSoon: true },
+        2,
+        12
+      );
+
+      expect(Object.fromEntries(params)).toEqual({
+        page: '2',
+        limit: '12',
+        q: 'flood',
+        endingSoon: 'true',
+        minFunded: '25',
+        maxFunded: '50',
+        sortBy: 'fundedPercent',
+        sortOrder: 'desc',
+      });
+    });
+
+    it('should pass the creator and include the whole last deadline day', () => {
+      const params = toSearchParams(
+        { ...FILTER_DEFAULTS, creator: ' 0xabc ', deadlineFrom: '2025-01-01', deadlineTo: '2025-01-31' },
+        1,
+        12
+      );
+
+      expect(params.get('creator')).toBe('0xabc');
+      expect(params.get('deadlineFrom')).toBe('2025-01-01');
+      expect(params.get('deadlineTo')).toBe('2025-01-31T23:59:59.999');
+    });
+
+    it('should treat 100+ as a lower bound only', () => {
+      const params = toSearchParams({ ...FILTER_DEFAULTS, funded: '100+' }, 1, 12);
+
+      expect(params.get('minFunded')).toBe('100');
+      expect(params.has('maxFunded')).toBe(false);
+    });
+  });
+});
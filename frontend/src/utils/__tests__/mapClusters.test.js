@@ -0,0 +1,95 @@
+/**
+ * Tests for disaster map helpers
+ */
+
+import {
+  MIN_MARKER_RADIUS,
+  MAX_MARKER_RADIUS,
+  clusterPoints,
+  eventTypes,
+  filterDisasters,
+  fundingPercent,
+  markerRadius,
+  progressColor,
+} from '../mapClusters';
+
+// One pixel per degree keeps distances easy to reason about
+const project = (lat, lon) => ({ x: lon, y: -lat });
+
+const disaster = (id, latitude, longitude, raisedAmount, targetAmount = 10, extra = {}) => ({
+  disasterId: id,
+  latitude,
+  longitude,
+  raisedAmount,
+  targetAmount,
+  eventType: 'flood',
+  campaigns: [],
+  ...extra,
+});
+
+describe('mapClusters', () => {
+  describe('clusterPoints', () => {
+    it('should group nearby disasters and sum their funding', () => {
+      const clusters = clusterPoints(
+        [disaster('A', 0, 0, 1), disaster('B', 10, 10, 5), disaster('C', 0, 100, 2)],
+        project,
+        20
+      );
+
+      expect(clusters).toHaveLength(2);
+      expect(clusters[0].items.map((d) => d.disasterId)).toEqual(['B', 'A']);
+      expect(clusters[0]).toMatchObject({ id: 'B|A', latitude: 5, longitude: 5, raisedAmount: 6, targetAmount: 20 });
+      expect(clusters[1].items.map((d) => d.disasterId)).toEqual(['C']);
+    });
+
+    it('should keep disasters apart when they do not overlap', () => {
+      const clusters = clusterPoints([disaster('A', 0, 0, 1), disaster('B', 0, 50, 1)], project, 20);
+
+      expect(clusters.map((c) => c.items.length)).toEqual([1, 1]);
+    });
+  });
+
+  describe('filterDisasters', () => {
+    const campaigns = [
+      { id: 'c1', status: 'active', currentAmount: 2, targetAmount: 4 },
+      { id: 'c2', status: 'completed', currentAmount: 8, targetAmount: 8 },
+    ];
+    const disasters = [
+      disaster('A', 0, 0, 10, 12, { campaigns }),
+      disaster('B', 0, 0, 0, 0, { eventType: 'Earthquake' }),
+    ];
+
+    it('should filter by event type regardless of case', () => {
+      expect(filterDisasters(disasters, { eventType: 'earthquake' }).map((d) => d.disasterId)).toEqual(['B']);
+    });
+
+    it('should keep only matching campaigns and recompute totals', () => {
+      const [only, ...rest] = filterDisasters(disasters, { status: 'active' });
+
+      expect(rest).toEqual([]);
+      expect(only.campaigns.map((c) => c.id)).toEqual(['c1']);
+      expect(only).toMatchObject({ raisedAmount: 2, targetAmount: 4 });
+    });
+
+    it('should list event types once, sorted', () => {
+      expect(eventTypes([...disasters, disaster('C', 0, 0, 0)])).toEqual(['Earthquake', 'flood']);
+    });
+  });
+
+  describe('marker styling', () => {
+    it('should scale marker area with the amount raised', () => {
+      expect(markerRadius(0, 100)).toBe(MIN_MARKER_RADIUS);
+      expect(markerRadius(100, 100)).toBe(MAX_MARKER_RADIUS);
+      expect(markerRadius(25, 100)).toBe(Math.round(MIN_MARKER_RADIUS + 0.5 * (MAX_MARKER_RADIUS - MIN_MARKER_RADIUS)));
+      expect(markerRadius(5, 0)).toBe(MIN_MARKER_RADIUS);
+    });
+
+    it('should colour markers by funding progress', () => {
+      expect(fundingPercent(3, 0)).toBe(0);
+      expect(fundingPercent(30, 20)).toBe(100);
+      expect(progressColor(fundingPercent(1, 10))).toBe('#ef4444');
+      expect(progressColor(60)).toBe('#eab308');
+      expect(progressColor(100)).toBe('#15803d');
+    });
+  });
+});
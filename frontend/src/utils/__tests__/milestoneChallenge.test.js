@@ -0,0 +1,56 @@
+/**
+ * Tests for milestone challenge window helpers
+ */
+
+import { CHALLENGE_STATE, challengeRemainingMs, challengeState, formatCountdown, openDisputes } from '../milestoneChallenge';
+
+const NOW = Date.parse('2025-11-11T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+const approved = (offsetMs, disputes = []) => ({
+  approved: true,
+  releasedAt: null,
+  challengeEndsAt: new Date(NOW + offsetMs).toISOString(),
+  disputes,
+});
+
+describe('challengeState', () => {
+  it('should be none for milestones without a challenge window', () => {
+    expect(challengeState({ approved: false, disputes: [] }, NOW)).toBe(CHALLENGE_STATE.NONE);
+    expect(challengeState({ approved: true, challengeEndsAt: null }, NOW)).toBe(CHALLENGE_STATE.NONE);
+    expect(challengeState({ ...approved(HOUR), releasedAt: '2025-11-11T00:00:00Z' }, NOW)).toBe(CHALLENGE_STATE.NONE);
+  });
+
+  it('should be open until the window ends, then closed', () => {
+    expect(challengeState(approved(HOUR), NOW)).toBe(CHALLENGE_STATE.OPEN);
+    expect(challengeState(approved(-HOUR), NOW)).toBe(CHALLENGE_STATE.CLOSED);
+  });
+
+  it('should be disputed while disputes are open and frozen once one is upheld', () => {
+    expect(challengeState(approved(-HOUR, [{ status: 'open' }]), NOW)).toBe(CHALLENGE_STATE.DISPUTED);
+    expect(challengeState(approved(-HOUR, [{ status: 'open' }, { status: 'upheld' }]), NOW)).toBe(CHALLENGE_STATE.FROZEN);
+    expect(challengeState(approved(-HOUR, [{ status: 'dismissed' }]), NOW)).toBe(CHALLENGE_STATE.CLOSED);
+  });
+});
+
+describe('challengeRemainingMs', () => {
+  it('should never go below zero', () => {
+    expect(challengeRemainingMs(approved(HOUR), NOW)).toBe(HOUR);
+    expect(challengeRemainingMs(approved(-HOUR), NOW)).toBe(0);
+  });
+});
+
+describe('openDisputes', () => {
+  it('should keep only open disputes', () => {
+    expect(openDisputes(approved(0, [{ id: 1, status: 'open' }, { id: 2, status: 'dismissed' }]))).toEqual([{ id: 1, status: 'open' }]);
+    expect(openDisputes({})).toEqual([]);
+  });
+});
+
+describe('formatCountdown', () => {
+  it('should show days, hours and minutes', () => {
+    expect(formatCountdown(2 * 24 * HOUR + 4 * HOUR + 5 * 60000)).toBe('2d 4h 5m');
+    expect(formatCountdown(HOUR)).toBe('1h 0m');
+    expect(formatCountdown(5 * 60000 + 59000)).toBe('5m');
+    expect(formatCountdown(30000)).toBe('<1m');
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Tests for milestone proof version diffs
+ */
+
+import { diffProofVersions, summarizeDiff } from '../proofDiff';
+
+const photo = { cid: 'QmPhoto', name: 'tanks.jpg', kind: 'photo', caption: 'Tanks on site' };
+const invoice = { cid: 'QmInvoice', name: 'invoice.pdf', kind: 'invoice', caption: 'Supplier invoice' };
+const receipt = { cid: 'QmReceipt', name: 'receipt.pdf', kind: 'receipt', caption: '' };
+
+describe('diffProofVersions', () => {
+  it('should treat every file of the first version as added', () => {
+    const diff = diffProofVersions(null, { files: [photo, invoice] });
+
+    expect(diff.added).toEqual([photo, invoice]);
+    expect(summarizeDiff(diff)).toBe('2 added');
+  });
+
+  it('should find added, removed and unchanged files by CID', () => {
+    const diff = diffProofVersions({ files: [photo, invoice] }, { files: [photo, receipt] });
+
+    expect(diff).toEqual({ added: [receipt], removed: [invoice], replaced: [], edited: [], unchanged: [photo] });
+  });
+
+  it('should report a new upload under the same name as replaced', () => {
+    const rescanned = { ...invoice, cid: 'QmInvoice2' };
+
+    const diff = diffProofVersions({ files: [invoice] }, { files: [rescanned] });
+
+    expect(diff.replaced).toEqual([{ before: invoice, after: rescanned }]);
+    expect(diff.added).toEqual([]);
+    expect(diff.removed).toEqual([]);
+  });
+
+  it('should report caption and kind changes on the same content as edited', () => {
+    const recaptioned = { ...photo, caption: 'Tanks installed at the camp' };
+
+    const diff = diffProofVersions({ files: [photo] }, { files: [recaptioned] });
+
+    expect(diff.edited).toEqual([{ before: photo, after: recaptioned }]);
+    expect(summarizeDiff(diff)).toBe('1 edited');
+  });
+
+  it('should summarize identical versions as no changes', () => {
+    expect(summarizeDiff(diffProofVersions({ files: [photo] }, { files: [photo] }))).toBe('No changes');
+  });
+});
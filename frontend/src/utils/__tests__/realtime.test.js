@@ -0,0 +1,163 @@
+/**
+ * Tests for the realtime stream client and cache patches
+ */
+
+import { openRealtime, reconnectDelayMs, patchCampaign, patchDonations, addPendingDonation, patchMilestones, patchStats } from '../realtime';
+
+// Minimal EventSource that records every instance
+function fakeEventSource() {
+  const sources = [];
+  class FakeEventSource {
+    constructor(url) {
+      this.url = url;
+      this.readyState = 0;
+      this.listeners = {};
+      this.close = jest.fn(() => {
+        this.readyState = 2;
+      });
+      sources.push(this);
+    }
+
+    addEventListener(type, listener) {
+      this.listeners[type] = listener;
+    }
+
+    emit(type, seq, data = {}) {
+      this.listeners[type]({ lastEventId: String(seq), data: JSON.stringify({ id: `e${seq}`, type, data }) });
+    }
+  }
+  return { FakeEventSource, sources };
+}
+
+const donation = (data = {}) => ({
+  type: 'donation.confirmed',
+  data: { donationId: 'd2', campaignId: 'c1', amount: '0.5', txHash: '0xb', currentAmount: '2.5', donationCount: 3, ...data },
+});
+
+describe('realtime', () => {
+  describe('openRealtime', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    it('should subscribe to the topics and skip events it already applied', () => {
+      const { FakeEventSource, sources } = fakeEventSource();
+      const onEvent = jest.fn();
+      openRealtime({ url: 'http://api/realtime', topics: ['campaign:c1', 'stats'], onEvent, EventSource: FakeEventSource });
+
+      sources[0].emit('donation.confirmed', 11);
+      sources[0].emit('donation.confirmed', 11);
+      sources[0].emit('funds.released', 12);
+
+      expect(sources[0].url).toBe('http://api/realtime?topics=campaign%3Ac1%2Cstats');
+      expect(onEvent.mock.calls.map(([e]) => e.id)).toEqual(['e11', 'e12']);
+    });
+
+    it('should reopen a closed stream with backoff from the last event seen', () => {
+      const { FakeEventSource, sources } = fakeEventSource();
+      const stream = openRealtime({ url: 'http://api/realtime', topics: ['stats'], onEvent: jest.fn(), EventSource: FakeEventSource });
+      sources[0].emit('donation.confirmed', 7);
+
+      // Still CONNECTING: the browser retries by itself
+      sources[0].onerror();
+      jest.runOnlyPendingTimers();
+      expect(sources).toHaveLength(1);
+
+      sources[0].readyState = 2;
+      sources[0].onerror();
+      jest.advanceTimersByTime(999);
+      expect(sources).toHaveLength(1);
+      jest.advanceTimersByTime(1);
+
+      expect(sources).toHaveLength(2);
+      expect(sources[1].url).toBe('http://api/realtime?topics=stats&lastEventId=7');
+      expect(stream.lastEventId()).toBe(7);
+    });
+
+    it('should hand resets to onReset and stop reconnecting once closed', () => {
+      const { FakeEventSource, sources } = fakeEventSource();
+      const onReset = jest.fn();
+      const stream = openRealtime({ url: 'http://api/realtime', topics: ['stats'], onEvent: jest.fn(), onReset, EventSource: FakeEventSource });
+
+      sources[0].listeners.reset();
+      stream.close();
+      sources[0].onerror();
+      jest.runOnlyPendingTimers();
+
+      expect(onReset).toHaveBeenCalled();
+      expect(sources[0].close).toHaveBeenCalled();
+      expect(sources).toHaveLength(1);
+    });
+
+    it('should cap the reconnect delay', () => {
+      expect([0, 1, 2, 10].map((attempt) => reconnectDelayMs(attempt, { baseMs: 1000, maxMs: 5000 }))).toEqual([1000, 2000, 4000, 5000]);
+    });
+  });
+
+  describe('patchCampaign', () => {
+    const campaign = { id: 'c1', disasterId: 'x1', currentAmount: '2.0', donationCount: 3, status: 'active' };
+
+    it('should take totals from the event rather than adding to them', () => {
+      expect(patchCampaign(campaign, donation())).toEqual({ ...campaign, currentAmount: '2.5', donationCount: 3 });
+      expect(patchCampaign(campaign, donation({ campaignId: 'c2' }))).toBe(campaign);
+    });
+
+    it('should apply status changes and disaster verification results', () => {
+      expect(patchCampaign(campaign, { type: 'campaign.cancelled', data: { campaignId: 'c1' } }).status).toBe('cancelled');
+      expect(patchCampaign(campaign, { type: 'disaster.verification_failed', data: { disasterId: 'x1', confidence: 40 } }).disasterVerification)
+        .toMatchObject({ status: 'failed', confidence: 40 });
+    });
+  });
+
+  describe('patchDonations', () => {
+    it('should prepend new donations and confirm ones already listed', () => {
+      const listed = [{ id: 'tmp', txHash: '0xb', status: 'pending' }];
+
+      expect(patchDonations([], donation())).toMatchObject({ items: [{ id: 'd2', txHash: '0xb', amount: '0.5' }], added: 1 });
+      expect(patchDonations(listed, donation())).toEqual({ items: [{ id: 'd2', txHash: '0xb', status: 'confirmed' }], added: 0 });
+      expect(patchDonations(listed, { type: 'donation.removed', data: { txHash: '0xb' } })).toEqual({ items: [], added: -1 });
+    });
+  });
+
+  describe('addPendingDonation', () => {
+    const mined = { id: '0xb', txHash: '0xb', amount: '0.5', status: 'confirmed' };
+
+    it('should list a mined donation as pending until its confirmation arrives', () => {
+      const { items, added } = addPendingDonation([{ id: 'd1', txHash: '0xa' }], mined);
+
+      expect(added).toBe(1);
+      expect(items[0]).toEqual({ ...mined, status: 'pending' });
+      expect(patchDonations(items, donation())).toMatchObject({ items: [{ id: 'd2', status: 'confirmed' }, { id: 'd1' }], added: 0 });
+    });
+
+    it('should skip a donation its confirmation already listed', () => {
+      const confirmed = patchDonations([], donation()).items;
+
+      expect(addPendingDonation(confirmed, mined)).toEqual({ items: confirmed, added: 0 });
+    });
+  });
+
+  describe('patchMilestones', () => {
+    it('should add created milestones once and patch the one an event names', () => {
+      const created = { type: 'milestone.created', data: { milestoneId: 'm2', campaignId: 'c1', title: 'Tents' } };
+      const milestones = patchMilestones([{ id: 'm1', approved: false }], created);
+
+      expect(patchMilestones(milestones, created)).toBe(milestones);
+      expect(milestones[1]).toEqual({ id: 'm2', campaignId: 'c1', title: 'Tents', approved: false, disputes: [] });
+      expect(patchMilestones(milestones, { type: 'milestone.approved', data: { milestoneId: 'm1', approvedAt: 't' } })[0])
+        .toMatchObject({ id: 'm1', approved: true, approvedAt: 't' });
+    });
+  });
+
+  describe('patchStats', () => {
+    const stats = { totalDonations: 10, campaignCount: 4, peopleHelped: 0 };
+
+    it('should take the donation total from the event and track campaigns entering or leaving active', () => {
+      expect(patchStats(stats, donation({ totalDonations: '10.5' })).totalDonations).toBe(10.5);
+      expect(patchStats(stats, { type: 'donation.removed', data: { amount: '0.5', totalDonations: '9.5' } }).totalDonations).toBe(9.5);
+      expect(patchStats(stats, donation())).toBe(stats);
+      expect(patchStats(stats, { type: 'campaign.status_changed', data: { status: 'active', previousStatus: 'pending_verification' } }).campaignCount).toBe(5);
+      expect(patchStats(stats, { type: 'campaign.cancelled', data: { previousStatus: 'active' } }).campaignCount).toBe(3);
+      expect(patchStats(null, donation())).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * Tests for the SIWE message builder
+ */
+
+import { buildSiweMessage } from '../siwe';
+
+describe('buildSiweMessage', () => {
+  it('should render every EIP-4361 field in order', () => {
+    const message = buildSiweMessage({
+      domain: 'localhost:3000',
+      address: '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb0',
+      uri: 'http://localhost:3000',
+      chainId: 11155111,
+      nonce: 'a1b2c3d4e5f60718',
+      issuedAt: '2025-01-01T00:00:00.000Z',
+      expirationTime: '2025-01-01T00:05:00.000Z',
+    });
+
+    expect(message).toBe([
+      'localhost:3000 wants you to sign in with your Ethereum account:',
+      '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb0',
+      '',
+      'Sign in to D3R.',
+      '',
+      'URI: http://localhost:3000',
+      'Version: 1',
+      'Chain ID: 11155111',
+      'Nonce: a1b2c3d4e5f60718',
+      'Issued At: 2025-01-01T00:00:00.000Z',
+      'Expiration Time: 2025-01-01T00:05:00.000Z',
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Tests for transaction lifecycle tracking
+ */
+
+import { TX_STATUS, trackTransaction } from '../txLifecycle';
+
+const receipt = (blockNumber, status = 1) => ({ blockNumber, status });
+
+describe('trackTransaction', () => {
+  it('should report pending, mined, each confirmation and confirmed', async () => {
+    const tx = { hash: '0xaaa', wait: jest.fn().mockResolvedValue(receipt(10)) };
+    const provider = { waitForTransaction: jest.fn().mockImplementation(async () => receipt(10)) };
+    const onStatus = jest.fn();
+
+    const result = await trackTransaction(tx, { provider, confirmations: 3, onStatus });
+
+    expect(result).toEqual({ hash: '0xaaa', receipt: receipt(10) });
+    expect(provider.waitForTransaction.mock.calls).toEqual([['0xaaa', 2], ['0xaaa', 3]]);
+    expect(onStatus.mock.calls.map(([s]) => [s.status, s.confirmations])).toEqual([
+      [TX_STATUS.PENDING, 0],
+      [TX_STATUS.MINED, 1],
+      [TX_STATUS.MINED, 2],
+      [TX_STATUS.MINED, 3],
+      [TX_STATUS.CONFIRMED, 3],
+    ]);
+  });
+
+  it('should follow a sped-up replacement', async () => {
+    const err = Object.assign(new Error('replaced'), {
+      code: 'TRANSACTION_REPLACED',
+      cancelled: false,
+      replacement: { hash: '0xbbb' },
+      receipt: receipt(12),
+    });
+    const tx = { hash: '0xaaa', wait: jest.fn().mockRejectedValue(err) };
+    const onStatus = jest.fn();
+
+    const result = await trackTransaction(tx, { provider: {}, confirmations: 1, onStatus });
+
+    expect(result.hash).toBe('0xbbb');
+    expect(onStatus).toHaveBeenCalledWith({ status: TX_STATUS.REPLACED, hash: '0xbbb', confirmations: 0 });
+    expect(onStatus).toHaveBeenLastCalledWith({ status: TX_STATUS.CONFIRMED, hash: '0xbbb', confirmations: 1, blockNumber: 12 });
+  });
+
+  it('should fail when the transaction is cancelled', async () => {
+    const err = Object.assign(new Error('replaced'), { code: 'TRANSACTION_REPLACED', cancelled: true, replacement: { hash: '0xccc' } });
+    const tx = { hash: '0xaaa', wait: jest.fn().mockRejectedValue(err) };
+
+    await expect(trackTransaction(tx, { provider: {} })).rejects.toThrow(/cancelled/);
+  });
+
+  it('should fail when the transaction reverts', async () => {
+    const tx = { hash: '0xaaa', wait: jest.fn().mockResolvedValue(receipt(10, 0)) };
+
+    await expect(trackTransaction(tx, { provider: {} })).rejects.toThrow('Transaction reverted');
+  });
+
+  it('should pass other errors through', async () => {
+    const tx = { hash: '0xaaa', wait: jest.fn().mockRejectedValue(new Error('network down')) };
+
+    await expect(trackTransaction(tx, { provider: {} })).rejects.toThrow('network down');
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Campaign search filters <-> URL query string
+ * The Campaigns page keeps its filters in the URL so searches can be shared
+ * and survive reloads; these helpers translate between the URL, the form
+ * state and the /campaigns/search API parameters.
+ */
+
+export const FILTER_DEFAULTS = {
+  q: '',
+  status: '',
+  eventType: '',
+  disasterId: '',
+  creator: '',
+  funded: '',
+  minTarget: '',
+  maxTarget: '',
+  deadlineFrom: '',
+  deadlineTo: '',
+  endingSoon: false,
+  sort: '',
+};
+
+export const SORT_OPTIONS = [
+  { value: '', label: 'Best match' },
+  { value: 'createdAt:desc', label: 'Newest' },
+  { value: 'createdAt:asc', label: 'Oldest' },
+  { value: 'currentAmount:desc', label: 'Most funded' },
+  { value: 'fundedPercent:desc', label: 'Closest to goal' },
+  { value: 'deadline:asc', label: 'Deadline soonest' },
+];
+
+// Lower bound inclusive, upper bound exclusive: 25% funded is in 25-50 only
+export const FUNDING_BUCKETS = ['0-25', '25-50', '50-75', '75-100', '100+'];
+
+/**
+ * Read filters and page from URL search params, ignoring unknown values
+ * @param {URLSearchParams} params
+ * @returns {{ filters: Object, page: number }}
+ */
+export const readFilters = (params) => {
+  const filters = { ...FILTER_DEFAULTS };
+  Object.keys(FILTER_DEFAULTS).forEach((key) => {
+    const value = params.get(key);
+    if (value === null) return;
+    filters[key] = key === 'endingSoon' ? value === 'true' : value;
+  });
+  if (filters.funded && !FUNDING_BUCKETS.includes(filters.funded)) filters.funded = '';
+  if (!SORT_OPTIONS.some((o) => o.value === filters.sort)) filters.sort = '';
+  const page = Math.max(1, parseInt(params.get('page'), 10) || 1);
+  return { filters, page };
+};
+
+/**
+ * Serialise filters and page for the URL, leaving out defaults
+ * @param {Object} filters
+ * @param {number} [page=1]
+ * @returns {URLSearchParams}
+ */
+export const writeFilters = (filters, page = 1) => {
+  const params = new URLSearchParams();
+  Object.keys(FILTER_DEFAULTS).forEach((key) => {
+    const value = filters[key];
+    if (value === FILTER_DEFAULTS[key] || value === undefined || value === null) return;
+    params.set(key, String(value).trim());
+  });
+  if (page > 1) params.set('page', String(page));
+  return params;
+};
+
+/**
+ * Build the /campaigns/search query for the given filters
+ * @param {Object} filters
+ * @param {number} page
+ * @param {number} limit
+ * @returns {URLSearchParams}
+ */
+export const toSearchParams = (filters, page, limit) => {
+  const { funded, sort, endingSoon, deadlineTo, ...rest } = filters;
+  const params = new URLSearchParams({ page: String(page), limit: String(limit) });
+  Object.entries(rest).forEach(([key, value]) => {
+    const trimmed = String(value || '').trim();
+    if (trimmed) params.set(key, trimmed);
+  });
+  if (endingSoon) params.set('endingSoon', 'true');
+  // The form picks a day; include deadlines falling anywhere on it
+  if (deadlineTo) params.set('deadlineTo', `${deadlineTo}T23:59:59.999`);
+  if (funded) {
+    const [min, max] = funded.replace('+', '').split('-');
+    params.set('minFunded', min);
+    if (max) params.set('maxFunded', max);
+  }
+  if (sort) {
+    const [sortBy, sortOrder] = sort.split(':');
+    params.set('sortBy', sortBy);
+    params.set('sortOrder', sortOrder);
+  }
+  return params;
+};
@@ -0,0 +1,63 @@
+/**
+ * DonationTracker contract client
+ * Encodes receiveDonation(campaignId) calls, estimates their cost and follows
+ * them to the configured number of confirmations.
+ */
+
+import { ethers } from 'ethers';
+import { trackTransaction } from './txLifecycle';
+
+const DONATION_TRACKER_ABI = ['function receiveDonation(uint256 campaignId) payable'];
+
+// Headroom over the node's estimate, in percent
+const GAS_LIMIT_BUFFER = 20;
+
+export const DONATION_CONFIRMATIONS = parseInt(process.env.REACT_APP_DONATION_CONFIRMATIONS || '2', 10);
+
+const getDonationTracker = (signer) => {
+  const address = process.env.REACT_APP_DONATION_TRACKER_ADDRESS;
+  if (!address || !ethers.utils.isAddress(address)) {
+    throw new Error('Donations are unavailable: REACT_APP_DONATION_TRACKER_ADDRESS is not configured');
+  }
+  return new ethers.Contract(address, DONATION_TRACKER_ABI, signer);
+};
+
+/**
+ * Estimate gas for a donation
+ * @param {Object} params
+ * @param {Object} params.signer - ethers Signer
+ * @param {string} params.onChainId - DonationTracker campaign id
+ * @param {string} params.amount - Amount in ETH
+ * @returns {Promise<{ gasLimit: Object, maxCost: Object }>} - BigNumbers; maxCost in wei
+ */
+export const estimateDonation = async ({ signer, onChainId, amount }) => {
+  const tracker = getDonationTracker(signer);
+  const value = ethers.utils.parseEther(String(amount));
+  const estimate = await tracker.estimateGas.receiveDonation(onChainId, { value });
+  const gasLimit = estimate.mul(100 + GAS_LIMIT_BUFFER).div(100);
+  const feeData = await signer.provider.getFeeData();
+  const gasPrice = feeData.maxFeePerGas || feeData.gasPrice;
+  return { gasLimit, maxCost: gasPrice ? gasLimit.mul(gasPrice) : null };
+};
+
+/**
+ * Send receiveDonation(campaignId) and wait for confirmations
+ * @param {Object} params
+ * @param {Object} params.signer - ethers Signer
+ * @param {string} params.onChainId - DonationTracker campaign id
+ * @param {string} params.amount - Amount in ETH
+ * @param {Function} [params.onStatus] - Lifecycle updates, see trackTransaction
+ * @returns {Promise<{ hash: string, receipt: Object, amount: string }>}
+ */
+export const donate = async ({ signer, onChainId, amount, onStatus }) => {
+  const tracker = getDonationTracker(signer);
+  const value = ethers.utils.parseEther(String(amount));
+  const { gasLimit } = await estimateDonation({ signer, onChainId, amount });
+  const tx = await tracker.receiveDonation(onChainId, { value, gasLimit });
+  const result = await trackTransaction(tx, {
+    provider: signer.provider,
+    confirmations: DONATION_CONFIRMATIONS,
+    onStatus,
+  });
+  return { ...result, amount: ethers.utils.formatEther(value) };
+};
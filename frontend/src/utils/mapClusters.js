@@ -0,0 +1,95 @@
+/**
+ * Disaster map helpers
+ * Filtering, marker clustering and marker styling for the /map page. Each
+ * point is a verified disaster from GET /disasters/map with its campaigns and
+ * their raisedAmount / targetAmount totals.
+ */
+
+export const CLUSTER_RADIUS_PX = 48;
+export const MIN_MARKER_RADIUS = 10;
+export const MAX_MARKER_RADIUS = 32;
+
+// Funding progress colours, lowest bucket first
+export const PROGRESS_COLORS = [
+  { max: 25, color: '#ef4444', label: 'Under 25%' },
+  { max: 50, color: '#f97316', label: '25-50%' },
+  { max: 75, color: '#eab308', label: '50-75%' },
+  { max: 100, color: '#22c55e', label: '75-100%' },
+  { max: Infinity, color: '#15803d', label: 'Fully funded' },
+];
+
+export const fundingPercent = (raised, target) => (target > 0 ? Math.min(100, (raised / target) * 100) : 0);
+
+export const progressColor = (percent) => {
+  if (percent >= 100) return PROGRESS_COLORS[PROGRESS_COLORS.length - 1].color;
+  return PROGRESS_COLORS.find((bucket) => percent < bucket.max).color;
+};
+
+/**
+ * Marker radius in pixels; the marker's area grows with the amount raised
+ * @param {number} raised
+ * @param {number} maxRaised - largest amount raised among the markers shown
+ * @returns {number}
+ */
+export const markerRadius = (raised, maxRaised) => {
+  if (!(maxRaised > 0) || !(raised > 0)) return MIN_MARKER_RADIUS;
+  const scale = Math.sqrt(Math.min(raised, maxRaised) / maxRaised);
+  return Math.round(MIN_MARKER_RADIUS + scale * (MAX_MARKER_RADIUS - MIN_MARKER_RADIUS));
+};
+
+export const eventTypes = (disasters) =>
+  [...new Set(disasters.map((d) => d.eventType).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+/**
+ * Apply the map filters; a status filter keeps only matching campaigns and
+ * drops disasters left without any
+ * @param {Array} disasters
+ * @param {{ eventType?: string, status?: string }} filters
+ * @returns {Array}
+ */
+export const filterDisasters = (disasters, { eventType, status } = {}) =>
+  disasters.reduce((kept, disaster) => {
+    if (eventType && (disaster.eventType || '').toLowerCase() !== eventType.toLowerCase()) return kept;
+    if (!status) return [...kept, disaster];
+    const campaigns = disaster.campaigns.filter((c) => c.status === status);
+    if (!campaigns.length) return kept;
+    const raisedAmount = campaigns.reduce((sum, c) => sum + Number(c.currentAmount || 0), 0);
+    const targetAmount = campaigns.reduce((sum, c) => sum + Number(c.targetAmount || 0), 0);
+    return [...kept, { ...disaster, campaigns, raisedAmount, targetAmount }];
+  }, []);
+
+/**
+ * Group disasters whose markers would overlap at the current zoom
+ * Greedy: the best-funded disaster anchors a cluster and takes in every
+ * remaining disaster within radius pixels of it.
+ * @param {Array} disasters
+ * @param {(lat: number, lon: number) => { x: number, y: number }} project - to pixels at the current zoom
+ * @param {number} [radius=CLUSTER_RADIUS_PX]
+ * @returns {Array<{ id, latitude, longitude, items, raisedAmount, targetAmount }>}
+ */
+export const clusterPoints = (disasters, project, radius = CLUSTER_RADIUS_PX) => {
+  const points = disasters
+    .map((disaster) => ({ disaster, pixel: project(disaster.latitude, disaster.longitude) }))
+    .sort((a, b) => b.disaster.raisedAmount - a.disaster.raisedAmount);
+  const clusters = [];
+
+  points.forEach(({ disaster, pixel }) => {
+    const cluster = clusters.find(
+      (c) => Math.hypot(c.pixel.x - pixel.x, c.pixel.y - pixel.y) <= radius
+    );
+    if (cluster) {
+      cluster.items.push(disaster);
+    } else {
+      clusters.push({ pixel, items: [disaster] });
+    }
+  });
+
+  return clusters.map(({ items }) => ({
+    id: items.map((d) => d.disasterId).join('|'),
+    latitude: items.reduce((sum, d) => sum + d.latitude, 0) / items.length,
+    longitude: items.reduce((sum, d) => sum + d.longitude, 0) / items.length,
+    items,
+    raisedAmount: items.reduce((sum, d) => sum + d.raisedAmount, 0),
+    targetAmount: items.reduce((sum, d) => sum + d.targetAmount, 0),
+  }));
+};
@@ -0,0 +1,42 @@
+/**
+ * Milestone challenge window
+ * Approved milestones can be disputed by donors until challengeEndsAt; open
+ * disputes hold the release past that time and an upheld dispute freezes the
+ * funds for good. These helpers derive what CampaignDetail shows for each one.
+ */
+
+export const CHALLENGE_STATE = {
+  NONE: 'none',
+  OPEN: 'open',
+  DISPUTED: 'disputed',
+  FROZEN: 'frozen',
+  CLOSED: 'closed',
+};
+
+export const openDisputes = (milestone) => (milestone.disputes || []).filter((d) => d.status === 'open');
+
+export function challengeRemainingMs(milestone, now = Date.now()) {
+  if (!milestone.challengeEndsAt) return 0;
+  return Math.max(0, new Date(milestone.challengeEndsAt).getTime() - now);
+}
+
+export function challengeState(milestone, now = Date.now()) {
+  const disputes = milestone.disputes || [];
+  if (disputes.some((d) => d.status === 'upheld')) return CHALLENGE_STATE.FROZEN;
+  if (openDisputes(milestone).length) return CHALLENGE_STATE.DISPUTED;
+  if (!milestone.approved || !milestone.challengeEndsAt || milestone.releasedAt) return CHALLENGE_STATE.NONE;
+  return challengeRemainingMs(milestone, now) > 0 ? CHALLENGE_STATE.OPEN : CHALLENGE_STATE.CLOSED;
+}
+
+// "2d 4h 5m", "4h 5m", "5m"; under a minute reads "<1m"
+export function formatCountdown(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return '<1m';
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const parts = [];
+  if (days) parts.push(`${days}d`);
+  if (days || hours) parts.push(`${hours}h`);
+  parts.push(`${minutes % 60}m`);
+  return parts.join(' ');
+}
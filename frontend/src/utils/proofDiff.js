@@ -0,0 +1,58 @@
+/**
+ * Milestone proof versions
+ * Each resubmitted proof bundle is a numbered version listing its files
+ * ({ cid, name, mimeType, size, kind, caption }). Files are matched across
+ * versions by CID (same content), then by name (content replaced).
+ */
+
+export const PROOF_KINDS = ['photo', 'invoice', 'receipt', 'other'];
+
+export const KIND_LABELS = {
+  photo: 'Photo',
+  invoice: 'Invoice',
+  receipt: 'Receipt',
+  other: 'Document',
+};
+
+/**
+ * What changed between two versions of a proof bundle
+ * @param {Object|null} older - the version compared against; null diffs against nothing
+ * @param {Object} newer
+ * @returns {{ added: Object[], removed: Object[], replaced: Object[], edited: Object[], unchanged: Object[] }}
+ *   replaced and edited hold { before, after } pairs; edited files kept their content but not their kind or caption
+ */
+export function diffProofVersions(older, newer) {
+  const before = [...((older && older.files) || [])];
+  const diff = { added: [], removed: [], replaced: [], edited: [], unchanged: [] };
+  const unmatched = [];
+
+  for (const file of (newer && newer.files) || []) {
+    const i = before.findIndex((f) => f.cid === file.cid);
+    if (i === -1) {
+      unmatched.push(file);
+      continue;
+    }
+    const [prev] = before.splice(i, 1);
+    if (prev.kind === file.kind && (prev.caption || '') === (file.caption || '')) diff.unchanged.push(file);
+    else diff.edited.push({ before: prev, after: file });
+  }
+
+  for (const file of unmatched) {
+    const i = before.findIndex((f) => f.name === file.name);
+    if (i === -1) {
+      diff.added.push(file);
+    } else {
+      diff.replaced.push({ before: before.splice(i, 1)[0], after: file });
+    }
+  }
+  diff.removed = before;
+  return diff;
+}
+
+// e.g. "2 added, 1 replaced"; "No changes" when the file lists match
+export function summarizeDiff(diff) {
+  const parts = ['added', 'removed', 'replaced', 'edited']
+    .filter((key) => diff[key].length)
+    .map((key) => `${diff[key].length} ${key}`);
+  return parts.length ? parts.join(', ') : 'No changes';
+}
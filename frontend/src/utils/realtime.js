@@ -0,0 +1,210 @@
+/**
+ * Realtime updates
+ * Opens the backend's Server-Sent Events stream for a set of topics
+ * (campaign:<id>, disaster:<id>, stats) and turns its events into patches
+ * for cached campaigns, donations, milestones and platform stats. The
+ * browser resumes a dropped stream with Last-Event-ID by itself; when the
+ * server refuses a reconnect the stream is reopened with backoff from the
+ * last event seen.
+ */
+
+export const REALTIME_EVENTS = [
+  'donation.confirmed',
+  'donation.removed',
+  'campaign.cancelled',
+  'campaign.status_changed',
+  'milestone.created',
+  'milestone.approved',
+  'milestone.proof_submitted',
+  'milestone.disputed',
+  'milestone.dispute_resolved',
+  'funds.released',
+  'disaster.verified',
+  'disaster.verification_failed',
+];
+
+const CLOSED = 2;
+
+// Wait before reopening after `attempt` failed reconnects: 1s, 2s, 4s, ... up to maxMs
+export const reconnectDelayMs = (attempt, { baseMs = 1000, maxMs = 30000 } = {}) => Math.min(baseMs * 2 ** attempt, maxMs);
+
+/**
+ * Subscribe to realtime topics
+ * @param {Object} options
+ * @param {string} options.url - stream endpoint, e.g. http://localhost:4000/api/realtime
+ * @param {string[]} options.topics
+ * @param {Function} options.onEvent - gets { id, type, createdAt, data }
+ * @param {Function} [options.onReset] - the stream missed too much to replay; reload from the API
+ * @param {Function} [options.EventSource] - EventSource implementation
+ * @returns {{ close: Function, lastEventId: Function }}
+ */
+export function openRealtime({ url, topics, onEvent, onReset = () => {}, EventSource = window.EventSource, baseMs, maxMs }) {
+  let source = null;
+  let timer = null;
+  let attempts = 0;
+  let lastEventId = null;
+  let closed = false;
+
+  const handle = (message) => {
+    const seq = Number(message.lastEventId);
+    // Replays can overlap what was already applied
+    if (lastEventId != null && seq <= lastEventId) return;
+    lastEventId = seq;
+    onEvent(JSON.parse(message.data));
+  };
+
+  function connect() {
+    const params = new URLSearchParams({ topics: topics.join(',') });
+    if (lastEventId != null) params.set('lastEventId', String(lastEventId));
+    source = new EventSource(`${url}?${params}`);
+    REALTIME_EVENTS.forEach((type) => source.addEventListener(type, handle));
+    source.addEventListener('reset', () => onReset());
+    source.onopen = () => {
+      attempts = 0;
+    };
+    source.onerror = () => {
+      // While CONNECTING the browser is already retrying with Last-Event-ID
+      if (closed || source.readyState !== CLOSED) return;
+      source.close();
+      timer = setTimeout(connect, reconnectDelayMs(attempts, { baseMs, maxMs }));
+      attempts += 1;
+    };
+  }
+
+  if (EventSource) connect();
+
+  return {
+    close: () => {
+      closed = true;
+      clearTimeout(timer);
+      if (source) source.close();
+    },
+    lastEventId: () => lastEventId,
+  };
+}
+
+/**
+ * Campaign fields an event changes
+ * @returns {Object} - the campaign, or a patched copy
+ */
+export function patchCampaign(campaign, { type, data }) {
+  if (!campaign) return campaign;
+  if (data.campaignId === campaign.id) {
+    switch (type) {
+      case 'donation.confirmed':
+      case 'donation.removed':
+        // Totals are absolute, so replaying an event already applied changes nothing
+        return {
+          ...campaign,
+          ...(data.currentAmount != null && { currentAmount: data.currentAmount }),
+          ...(data.donationCount != null && { donationCount: data.donationCount }),
+        };
+      case 'campaign.cancelled':
+        return { ...campaign, status: 'cancelled' };
+      case 'campaign.status_changed':
+        return { ...campaign, status: data.status };
+      case 'milestone.created':
+        return { ...campaign, milestoneCount: (campaign.milestoneCount || 0) + 1 };
+      default:
+        break;
+    }
+  }
+  if (data.disasterId && data.disasterId === campaign.disasterId && type.startsWith('disaster.')) {
+    return {
+      ...campaign,
+      disasterVerification: {
+        ...campaign.disasterVerification,
+        status: type === 'disaster.verified' ? 'verified' : 'failed',
+        confidence: data.confidence,
+        txHash: data.txHash,
+      },
+    };
+  }
+  return campaign;
+}
+
+/**
+ * Donation list after an event; a confirmation of a donation already listed
+ * (the donor's own, added when the transaction was mined) updates it in place
+ * @returns {{ items: Object[], added: number }} - added is the change in length
+ */
+export function patchDonations(items, { type, data }) {
+  if (type === 'donation.removed') {
+    const kept = items.filter((d) => d.txHash !== data.txHash);
+    return { items: kept, added: kept.length - items.length };
+  }
+  if (type !== 'donation.confirmed') return { items, added: 0 };
+  if (items.some((d) => d.txHash === data.txHash)) {
+    return { items: items.map((d) => (d.txHash === data.txHash ? { ...d, id: data.donationId, status: 'confirmed' } : d)), added: 0 };
+  }
+  const donation = {
+    id: data.donationId,
+    campaignId: data.campaignId,
+    donorWallet: data.donorWallet,
+    amount: data.amount,
+    txHash: data.txHash,
+    status: 'confirmed',
+    timestamp: data.timestamp,
+  };
+  return { items: [donation, ...items], added: 1 };
+}
+
+/**
+ * Donation list with the donor's own donation, mined but not yet confirmed by
+ * the backend; its donation.confirmed event may already have listed it
+ * @returns {{ items: Object[], added: number }} - added is the change in length
+ */
+export function addPendingDonation(items, donation) {
+  if (items.some((d) => d.txHash === donation.txHash)) return { items, added: 0 };
+  return { items: [{ ...donation, status: 'pending' }, ...items], added: 1 };
+}
+
+const upsertDispute = (disputes = [], dispute) =>
+  disputes.some((d) => d.id === dispute.id) ? disputes.map((d) => (d.id === dispute.id ? dispute : d)) : [...disputes, dispute];
+
+const MILESTONE_PATCHES = {
+  'milestone.approved': (m, data) => ({
+    ...m,
+    approved: true,
+    approvedAt: data.approvedAt,
+    approvalTxHash: data.approvalTxHash,
+    challengeEndsAt: data.challengeEndsAt,
+  }),
+  'funds.released': (m, data) => ({ ...m, releasedAt: data.releasedAt, releaseTxHash: data.txHash }),
+  'milestone.proof_submitted': (m, data) => ({ ...m, proofCID: data.proofCID }),
+  'milestone.disputed': (m, data) => ({ ...m, disputes: upsertDispute(m.disputes, data.dispute) }),
+  'milestone.dispute_resolved': (m, data) => ({ ...m, disputes: upsertDispute(m.disputes, data.dispute) }),
+};
+
+// Milestone list of a campaign after an event
+export function patchMilestones(milestones, { type, data }) {
+  if (type === 'milestone.created') {
+    if (milestones.some((m) => m.id === data.milestoneId)) return milestones;
+    const { milestoneId, ...fields } = data;
+    return [...milestones, { id: milestoneId, ...fields, approved: false, disputes: [] }];
+  }
+  const patch = MILESTONE_PATCHES[type];
+  if (!patch) return milestones;
+  return milestones.map((m) => (m.id === data.milestoneId ? patch(m, data) : m));
+}
+
+const isActive = (status) => status === 'active';
+
+// Home page totals after an event
+export function patchStats(stats, { type, data }) {
+  if (!stats) return stats;
+  switch (type) {
+    case 'donation.confirmed':
+    case 'donation.removed':
+      // The platform total comes with the event; /api/stats only counts confirmed donations
+      return data.totalDonations != null ? { ...stats, totalDonations: Number(data.totalDonations) } : stats;
+    case 'campaign.cancelled':
+    case 'campaign.status_changed': {
+      const status = type === 'campaign.cancelled' ? 'cancelled' : data.status;
+      const change = Number(isActive(status)) - Number(isActive(data.previousStatus));
+      return change ? { ...stats, campaignCount: Math.max(0, (stats.campaignCount || 0) + change) } : stats;
+    }
+    default:
+      return stats;
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * Sign-In with Ethereum (EIP-4361) message builder
+ * Mirrors backend/utils/siwe.js; the backend parses and validates every field.
+ */
+
+export const SIWE_STATEMENT = 'Sign in to D3R.';
+
+/**
+ * Build the EIP-4361 message a wallet signs at login
+ * @param {Object} fields
+ * @param {string} fields.domain - Host requesting the sign-in (window.location.host)
+ * @param {string} fields.address - EIP-55 checksummed wallet address
+ * @param {string} fields.uri - Origin of the app (window.location.origin)
+ * @param {number} fields.chainId - Chain ID from the backend nonce response
+ * @param {string} fields.nonce - Nonce from POST /auth/nonce
+ * @param {string} fields.issuedAt - ISO-8601 timestamp
+ * @param {string} fields.expirationTime - ISO-8601 timestamp
+ * @param {string} [fields.statement]
+ * @returns {string}
+ */
+export const buildSiweMessage = ({
+  domain,
+  address,
+  uri,
+  chainId,
+  nonce,
+  issuedAt,
+  expirationTime,
+  statement = SIWE_STATEMENT,
+}) => {
+  const lines = [`${domain} wants you to sign in with your Ethereum account:`, address, ''];
+  if (statement) lines.push(statement);
+  lines.push(
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+  );
+  if (expirationTime) lines.push(`Expiration Time: ${expirationTime}`);
+  return lines.join('\n');
+};
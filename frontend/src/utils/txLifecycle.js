@@ -0,0 +1,53 @@
+/**
+ * Transaction lifecycle tracking
+ * Follows a sent transaction through pending -> mined -> N confirmations and
+ * reports each step. Works with ethers v5 TransactionResponse objects, whose
+ * wait() rejects with TRANSACTION_REPLACED when the wallet speeds up or
+ * cancels the transaction.
+ */
+
+export const TX_STATUS = {
+  PENDING: 'pending',
+  REPLACED: 'replaced',
+  MINED: 'mined',
+  CONFIRMED: 'confirmed',
+};
+
+/**
+ * Wait for a transaction, following speed-ups, and report progress
+ * @param {Object} tx - TransactionResponse with hash and wait()
+ * @param {Object} options
+ * @param {Object} options.provider - Provider with waitForTransaction(hash, confirmations)
+ * @param {number} [options.confirmations=1] - Confirmations to wait for before resolving
+ * @param {Function} [options.onStatus] - Called with { status, hash, confirmations, blockNumber }
+ * @returns {Promise<{ hash: string, receipt: Object }>}
+ * @throws {Error} - When the transaction reverts or is cancelled
+ */
+export const trackTransaction = async (tx, { provider, confirmations = 1, onStatus = () => {} }) => {
+  let hash = tx.hash;
+  let receipt;
+  onStatus({ status: TX_STATUS.PENDING, hash, confirmations: 0 });
+
+  try {
+    receipt = await tx.wait(1);
+  } catch (err) {
+    if (err.code === 'CALL_EXCEPTION') throw new Error('Transaction reverted');
+    if (err.code !== 'TRANSACTION_REPLACED') throw err;
+    if (err.cancelled) throw new Error('Transaction was cancelled in the wallet');
+    // Sped up: same call with a higher fee, so carry on with the replacement
+    hash = err.replacement.hash;
+    receipt = err.receipt;
+    onStatus({ status: TX_STATUS.REPLACED, hash, confirmations: 0 });
+  }
+
+  if (!receipt || receipt.status === 0) throw new Error('Transaction reverted');
+  onStatus({ status: TX_STATUS.MINED, hash, confirmations: 1, blockNumber: receipt.blockNumber });
+
+  for (let n = 2; n <= confirmations; n++) {
+    receipt = await provider.waitForTransaction(hash, n);
+    onStatus({ status: TX_STATUS.MINED, hash, confirmations: n, blockNumber: receipt.blockNumber });
+  }
+
+  onStatus({ status: TX_STATUS.CONFIRMED, hash, confirmations, blockNumber: receipt.blockNumber });
+  return { hash, receipt };
+};
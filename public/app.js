@@ -203,6 +203,7 @@ function handleAccountChange(accounts) {
         // User disconnected their wallet
         state.account = null;
         state.signer = null;
+        clearSession();
         
         // Reset contract instances to read-only
         initContractInstances();
@@ -232,6 +233,67 @@ function handleAccountChange(accounts) {
     }
 }
 
+// Sign-In with Ethereum (EIP-4361); same message format and storage keys as the React dApp
+const AUTH_TOKEN_KEY = 'authToken';
+const AUTH_EXPIRES_KEY = 'authExpiresAt';
+const AUTH_WALLET_KEY = 'authWallet';
+
+function buildSiweMessage({ address, chainId, nonce, issuedAt, expirationTime }) {
+    return [
+        `${window.location.host} wants you to sign in with your Ethereum account:`,
+        address,
+        '',
+        'Sign in to D3R.',
+        '',
+        `URI: ${window.location.origin}`,
+        'Version: 1',
+        `Chain ID: ${chainId}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${issuedAt}`,
+        `Expiration Time: ${expirationTime}`
+    ].join('\n');
+}
+
+function clearSession() {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+    localStorage.removeItem(AUTH_EXPIRES_KEY);
+    localStorage.removeItem(AUTH_WALLET_KEY);
+}
+
+// Returns an access token for the connected wallet, asking it to sign in when there is none
+async function ensureSignedIn() {
+    const token = localStorage.getItem(AUTH_TOKEN_KEY);
+    const expiresAt = Date.parse(localStorage.getItem(AUTH_EXPIRES_KEY) || '');
+    const wallet = localStorage.getItem(AUTH_WALLET_KEY);
+    if (token && expiresAt > Date.now() + 60000 && wallet === state.account.toLowerCase()) {
+        return token;
+    }
+
+    const address = ethers.utils.getAddress(state.account);
+    const nonceResponse = await fetch('/api/auth/nonce', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ walletAddress: address })
+    });
+    const nonce = await nonceResponse.json();
+    if (!nonceResponse.ok) throw new Error(nonce.message || nonce.error || 'Failed to get a sign-in nonce');
+
+    const message = buildSiweMessage({ address, ...nonce });
+    const signature = await state.signer.signMessage(message);
+    const verifyResponse = await fetch('/api/auth/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ walletAddress: address, signature, message })
+    });
+    const session = await verifyResponse.json();
+    if (!verifyResponse.ok) throw new Error(session.message || session.error || 'Sign-in failed');
+
+    localStorage.setItem(AUTH_TOKEN_KEY, session.token);
+    localStorage.setItem(AUTH_EXPIRES_KEY, session.expiresAt);
+    localStorage.setItem(AUTH_WALLET_KEY, state.account.toLowerCase());
+    return session.token;
+}
+
 // Update wallet UI
 function updateWalletUI() {
     if (state.account) {
@@ -319,10 +381,6 @@ async function handleNGORegistration(event) {
     }
     
     try {
-        const ngoId = document.getElementById('ngo-id').value;
-        const ngoName = document.getElementById('ngo-name').value;
-        const ngoWebsite = document.getElementById('ngo-website').value;
-        const ngoContact = document.getElementById('ngo-contact').value;
         const ngoDocsInput = document.getElementById('ngo-docs');
         
         if (!ngoDocsInput.files || ngoDocsInput.files.length === 0) {
@@ -332,34 +390,56 @@ async function handleNGORegistration(event) {
         
         showAlert('Preparing to register NGO...', 'info');
         
-        // Create form data for API request
-        const formData = new FormData();
-        formData.append('ngoId', ngoId);
-        formData.append('ngoName', ngoName);
-        formData.append('website', ngoWebsite);
-        formData.append('contact', ngoContact);
+        // The API records the signed-in wallet as the applicant
+        let token;
+        try {
+            token = await ensureSignedIn();
+        } catch (error) {
+            console.error('Sign-in failed:', error);
+            showAlert(`Please sign in with your wallet to register: ${error.message}`, 'warning');
+            return;
+        }
+        const authHeaders = { Authorization: `Bearer ${token}` };
         
-        // Add all files
+        // 1. Submit the application with the connected wallet
+        const response = await fetch('/api/ngos', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...authHeaders },
+            body: JSON.stringify({
+                legalName: document.getElementById('ngo-name').value,
+                registrationNumber: document.getElementById('ngo-registration-number').value,
+                country: document.getElementById('ngo-country').value,
+                website: document.getElementById('ngo-website').value,
+                contactEmail: document.getElementById('ngo-contact').value,
+                walletAddresses: [state.account]
+            })
+        });
+        const ngo = await response.json();
+        if (!response.ok) {
+            showAlert(`Registration failed: ${ngo.message || ngo.error}`, 'danger');
+            return;
+        }
+        
+        // 2. Attach the verification documents
+        const formData = new FormData();
         for (let i = 0; i < ngoDocsInput.files.length; i++) {
             formData.append('documents', ngoDocsInput.files[i]);
         }
-        
-        // Call API to register NGO
-        const response = await fetch('/api/ngo/register', {
+        const upload = await fetch(`/api/ngos/${ngo.id}/documents`, {
             method: 'POST',
+            headers: authHeaders,
             body: formData
         });
         
-        const result = await response.json();
-        
-        if (result.success) {
+        if (upload.ok) {
             showAlert('NGO registered successfully! Verification pending.', 'success');
             forms.ngoRegistration.reset();
             
             // Navigate back to home after successful registration
             setTimeout(() => navigateToSection('home'), 3000);
         } else {
-            showAlert(`Registration failed: ${result.message}`, 'danger');
+            const result = await upload.json();
+            showAlert(`NGO submitted, but the documents failed to upload: ${result.message || result.error}`, 'danger');
         }
     } catch (error) {
         console.error('Error registering NGO:', error);